@@ -3,6 +3,7 @@ import {
   ConversationBadRequestError,
   sendInteraction,
 } from "./sessionManager";
+import { withUsageContext } from "../../../server/llm/usage/index.js";
 
 interface MessageRequestBody {
   conversation_id?: unknown;
@@ -63,7 +64,7 @@ function sendError(res: ApiResponse, error: unknown) {
   res.status(500).json({ ok: false, error: "internal_error" });
 }
 
-export default async function handler(req: ApiRequest, res: ApiResponse) {
+async function handler(req: ApiRequest, res: ApiResponse) {
   if (req.method !== "POST") {
     res.setHeader("Allow", "POST");
     res.status(405).json({ ok: false, error: "method_not_allowed" });
@@ -94,3 +95,5 @@ export default async function handler(req: ApiRequest, res: ApiResponse) {
     sendError(res, error);
   }
 }
+
+export default withUsageContext(handler, { route: "/api/assistant/charter/messages" });
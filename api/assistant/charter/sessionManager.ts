@@ -24,6 +24,8 @@ import {
   type CharterFieldChild,
   type CharterFieldId,
 } from "../../../src/features/charter/schema";
+import { localizeCharterField } from "../../../src/features/charter/fieldTranslations";
+import { normalizeLocale } from "../../../src/lib/i18n/translate";
 
 export class CharterSessionError extends Error {
   status: number;
@@ -134,7 +136,7 @@ const EXPIRED_SESSION_TTL_MS = 10 * 60_000;
 /** How often to run automatic cleanup (every 60 seconds) */
 const CLEANUP_INTERVAL_MS = 60_000;
 
-const SLOT_DESCRIPTORS: SlotDescriptor[] = CHARTER_FIELDS.map((field) => ({
+const toSlotDescriptor = (field: CharterField): SlotDescriptor => ({
   slot_id: field.id,
   label: field.label,
   question: field.question,
@@ -151,10 +153,15 @@ const SLOT_DESCRIPTORS: SlotDescriptor[] = CHARTER_FIELDS.map((field) => ({
     type: child.type,
     placeholder: child.placeholder ?? null,
   })),
-}));
+});
 
-export function getSlotDescriptors(): SlotDescriptor[] {
-  return cloneValue(SLOT_DESCRIPTORS);
+const SLOT_DESCRIPTORS: SlotDescriptor[] = CHARTER_FIELDS.map(toSlotDescriptor);
+
+export function getSlotDescriptors(locale?: string | null): SlotDescriptor[] {
+  if (normalizeLocale(locale) === "en") {
+    return cloneValue(SLOT_DESCRIPTORS);
+  }
+  return CHARTER_FIELDS.map((field) => toSlotDescriptor(localizeCharterField(field, locale)));
 }
 
 function cloneValue<T>(value: T): T {
@@ -518,6 +525,8 @@ function getCachedStart(
 
 export interface StartConversationOptions {
   correlationId?: string | null;
+  /** Interview language; unsupported values fall back to English. */
+  locale?: string | null;
 }
 
 export interface StartConversationResult {
@@ -549,6 +558,7 @@ export async function startConversation(
   const result = await orchestratorStartSession({
     conversationId,
     correlationId: correlationId ?? undefined,
+    locale: normalizeLocale(options.locale),
     emitAssistantMessage: (message) => collector.emitAssistant(message, true),
     emitState: (state) => collector.emitState(state, true),
   });
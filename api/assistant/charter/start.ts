@@ -4,9 +4,12 @@ import {
   getSlotDescriptors,
   startConversation,
 } from "./sessionManager";
+import { normalizeLocale } from "../../../src/lib/i18n/translate";
+import { withUsageContext } from "../../../server/llm/usage/index.js";
 
 interface StartRequestBody {
   correlation_id?: unknown;
+  locale?: unknown;
 }
 
 interface ApiRequest {
@@ -53,7 +56,7 @@ function sendError(res: ApiResponse, error: unknown) {
   res.status(500).json({ ok: false, error: "internal_error" });
 }
 
-export default async function handler(req: ApiRequest, res: ApiResponse) {
+async function handler(req: ApiRequest, res: ApiResponse) {
   if (req.method !== "POST") {
     res.setHeader("Allow", "POST");
     res.status(405).json({ ok: false, error: "method_not_allowed" });
@@ -64,12 +67,15 @@ export default async function handler(req: ApiRequest, res: ApiResponse) {
     const body = parseBody(req);
     const correlationId = sanitizeCorrelationId(body?.correlation_id);
 
-    const result = await startConversation({ correlationId });
-    const slots = getSlotDescriptors();
+    const locale = normalizeLocale(typeof body?.locale === "string" ? body.locale : null);
+
+    const result = await startConversation({ correlationId, locale });
+    const slots = getSlotDescriptors(locale);
 
     res.status(200).json({
       ok: true,
       conversation_id: result.conversationId,
+      locale,
       initial_prompt: result.initialPrompt,
       slots,
       voice_enabled: isVoiceEnabled(),
@@ -84,3 +90,5 @@ export default async function handler(req: ApiRequest, res: ApiResponse) {
     sendError(res, error);
   }
 }
+
+export default withUsageContext(handler, { route: "/api/assistant/charter/start" });
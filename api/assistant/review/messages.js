@@ -5,6 +5,8 @@
  *
  * Processes user messages in an interactive review session.
  * Handles navigation commands, feedback acceptance/dismissal, and elaboration requests.
+ * Accepting an item returns the proposed field patch; `resolve <id>` marks it resolved
+ * once the client has applied it.
  */
 
 import {
@@ -17,6 +19,7 @@ import {
   MethodNotAllowedError,
   InvalidRequestBodyError,
 } from "../../../server/utils/apiErrors.js";
+import { withUsageContext } from "../../../server/llm/usage/index.js";
 
 /**
  * Parse request body
@@ -41,7 +44,7 @@ function parseRequestBody(body) {
   throw new InvalidRequestBodyError("Request body must be a JSON object");
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestPath = req?.path || "/api/assistant/review/messages";
 
   if (req.method !== "POST") {
@@ -84,7 +87,7 @@ export default async function handler(req, res) {
     }
 
     // Process the message
-    const { state, response } = await processReviewMessage(sessionId, message.trim());
+    const { state, response, patch } = await processReviewMessage(sessionId, message.trim());
 
     // Build response
     const pendingFeedback = state.feedback.filter((f) => f.status === "pending");
@@ -97,9 +100,11 @@ export default async function handler(req, res) {
       currentFeedbackId: currentFeedback?.id || null,
       currentFeedbackIndex: state.currentFeedbackIndex,
       pendingCount: pendingFeedback.length,
+      patch,
       progress: {
         total: state.feedback.length,
         accepted: state.feedback.filter((f) => f.status === "accepted").length,
+        resolved: state.feedback.filter((f) => f.status === "resolved").length,
         dismissed: state.feedback.filter((f) => f.status === "dismissed").length,
         pending: pendingFeedback.length,
       },
@@ -128,3 +133,5 @@ export default async function handler(req, res) {
     return res.status(statusCode).json(formatErrorResponse(error, { path: requestPath }));
   }
 }
+
+export default withUsageContext(handler, { route: "/api/assistant/review/messages" });
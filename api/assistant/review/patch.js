@@ -0,0 +1,90 @@
+/**
+ * Review Feedback Patch Endpoint
+ *
+ * POST /api/assistant/review/patch
+ *
+ * Proposes the concrete field change for an accepted feedback item so the
+ * client can preview it as a diff before applying it to the draft.
+ */
+
+import { getDocTypeConfig } from "../../../lib/doc/registry.js";
+import { resolveDocType } from "../../../lib/doc/utils.js";
+import { proposeFeedbackPatch } from "../../../server/review/Orchestrator.js";
+import {
+  formatErrorResponse,
+  MethodNotAllowedError,
+  InvalidRequestBodyError,
+} from "../../../server/utils/apiErrors.js";
+import { withUsageContext } from "../../../server/llm/usage/index.js";
+import { securityMiddleware } from "../../../server/middleware/security.js";
+
+/**
+ * Parse request body
+ */
+function parseRequestBody(body) {
+  if (body == null) return {};
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) return {};
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return parsed;
+      }
+      throw new InvalidRequestBodyError("Request body must be a JSON object");
+    } catch (error) {
+      if (error instanceof InvalidRequestBodyError) throw error;
+      throw new InvalidRequestBodyError("Invalid JSON", error?.message);
+    }
+  }
+  if (typeof body === "object" && !Array.isArray(body)) return body;
+  throw new InvalidRequestBodyError("Request body must be a JSON object");
+}
+
+async function handler(req, res) {
+  // Rate limiting, CSRF, and headers, as for /api/documents/review
+  const securityCheck = securityMiddleware({ route: "/api/assistant/review/patch", isOpenAI: true });
+  await new Promise((resolve) => securityCheck(req, res, resolve));
+  if (res.headersSent) return;
+
+  const requestPath = req?.path || "/api/assistant/review/patch";
+
+  if (req.method !== "POST") {
+    const error = new MethodNotAllowedError(req.method, ["POST"]);
+    return res.status(405).json(formatErrorResponse(error, { path: requestPath }));
+  }
+
+  try {
+    const body = parseRequestBody(req.body);
+
+    const docType = resolveDocType(req.query?.docType, body?.docType);
+    if (!docType || !getDocTypeConfig(docType)) {
+      throw new InvalidRequestBodyError(`Unsupported document type: ${docType}`);
+    }
+
+    const document = body?.document;
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+      throw new InvalidRequestBodyError("Document is required");
+    }
+
+    const feedback = body?.feedback;
+    if (!feedback || typeof feedback !== "object" || typeof feedback.id !== "string") {
+      throw new InvalidRequestBodyError("Feedback item is required");
+    }
+
+    const patch = await proposeFeedbackPatch(feedback, document, docType);
+    return res.status(200).json({ feedbackId: feedback.id, patch });
+
+  } catch (error) {
+    const statusCode = error?.statusCode || 500;
+
+    if (error instanceof InvalidRequestBodyError) {
+      return res.status(400).json(formatErrorResponse(error, { path: requestPath }));
+    }
+
+    console.error("Review feedback patch failed:", error);
+    return res.status(statusCode).json(formatErrorResponse(error, { path: requestPath }));
+  }
+}
+
+export default withUsageContext(handler, { route: "/api/assistant/review/patch" });
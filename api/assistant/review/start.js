@@ -16,6 +16,7 @@ import {
   MethodNotAllowedError,
   InvalidRequestBodyError,
 } from "../../../server/utils/apiErrors.js";
+import { withUsageContext } from "../../../server/llm/usage/index.js";
 
 /**
  * Parse request body
@@ -40,7 +41,7 @@ function parseRequestBody(body) {
   throw new InvalidRequestBodyError("Request body must be a JSON object");
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestPath = req?.path || "/api/assistant/review/start";
 
   if (req.method !== "POST") {
@@ -87,7 +88,7 @@ export default async function handler(req, res) {
       strengths: reviewResult.strengths,
       feedback: reviewResult.feedback,
       summary: reviewResult.summary,
-    });
+    }, document);
 
     // Return session info with initial message
     return res.status(200).json({
@@ -111,3 +112,5 @@ export default async function handler(req, res) {
     return res.status(statusCode).json(formatErrorResponse(error, { path: requestPath }));
   }
 }
+
+export default withUsageContext(handler, { route: "/api/assistant/review/start" });
@@ -0,0 +1,88 @@
+import { getAuthCookieName, getAuthMode, toIdentity } from "../../server/auth/index.js";
+import { issueDevToken } from "../../server/auth/devIssuer.js";
+
+export const config = {
+  maxDuration: 10,
+};
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function buildCookie(req, value, maxAgeSeconds) {
+  const secure = req.headers?.["x-forwarded-proto"] === "https" || req.secure;
+  return [
+    `${getAuthCookieName()}=${encodeURIComponent(value)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${maxAgeSeconds}`,
+    ...(secure ? ["Secure"] : []),
+  ].join("; ");
+}
+
+/**
+ * Local dev sign-in: POST issues a token for the given user and sets the
+ * session cookie; DELETE clears it. Only available with AUTH_MODE=dev.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST" && req.method !== "DELETE") {
+    res.setHeader("Allow", "POST, DELETE");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  if (getAuthMode() !== "dev") {
+    res.status(404).json({ error: "dev_issuer_disabled" });
+    return;
+  }
+
+  if (req.method === "DELETE") {
+    res.setHeader("Set-Cookie", buildCookie(req, "", 0));
+    res.status(204).end();
+    return;
+  }
+
+  try {
+    const body = parseRequestBody(req.body);
+    const { token, expiresAt, claims } = issueDevToken({
+      sub: body.sub,
+      email: body.email,
+      name: body.name,
+      roles: body.roles,
+    });
+    res.setHeader("Set-Cookie", buildCookie(req, token, expiresAt - claims.iat));
+    res.status(200).json({ token, expiresAt, user: toIdentity(claims) });
+  } catch (error) {
+    if (error?.name === "DevIssuerError") {
+      res.status(error.statusCode).json({ error: error.code, details: error.message });
+      return;
+    }
+    if (error?.statusCode === 400) {
+      res.status(400).json({ error: error.message, details: error.details });
+      return;
+    }
+    console.error("dev token issue failed", error);
+    res.status(500).json({ error: "dev_token_failed" });
+  }
+}
@@ -0,0 +1,24 @@
+import { authenticateRequest, getAuthMode, sendAuthError } from "../../server/auth/index.js";
+
+export const config = {
+  maxDuration: 10,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  try {
+    const user = await authenticateRequest(req);
+    res.status(200).json({ mode: getAuthMode(), authenticated: Boolean(user), user });
+  } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    console.error("failed to resolve current user", error);
+    res.status(500).json({ error: "auth_failed" });
+  }
+}
@@ -0,0 +1,104 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import {
+  assertCharterAccess,
+  getCharterAccess,
+  grantCharterAccess,
+  resolveCharterRole,
+  revokeCharterAccess,
+} from "../../../server/charter/utils/access.js";
+
+export const config = {
+  maxDuration: 30,
+};
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function sendError(res, error) {
+  if (sendAuthError(res, error)) {
+    return;
+  }
+  if (error?.name === "CharterAccessError") {
+    res.status(error.statusCode).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.name === "RecordConflictError") {
+    res.status(409).json({ error: "access_conflict", details: error.message });
+    return;
+  }
+  if (error?.statusCode === 400) {
+    res.status(400).json({ error: error.message, details: error.details });
+    return;
+  }
+  console.error("charter access update failed", error);
+  res.status(500).json({ error: "access_failed" });
+}
+
+function describeAccess(access, identity) {
+  return {
+    charterId: access.charterId,
+    owner: access.owner,
+    grants: access.grants,
+    role: identity ? resolveCharterRole(access, identity) : null,
+  };
+}
+
+export default async function handler(req, res) {
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
+    res.setHeader("Allow", "GET, POST, DELETE");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const charterId = firstValue(req.query?.id);
+  if (!charterId || typeof charterId !== "string") {
+    res.status(400).json({ error: "charter_id_required" });
+    return;
+  }
+
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+
+    if (req.method === "GET") {
+      await assertCharterAccess(charterId, identity, "read");
+      res.status(200).json(describeAccess(await getCharterAccess(charterId), identity));
+      return;
+    }
+
+    const body = parseRequestBody(req.body);
+    const principal = body.principal ?? body.email ?? firstValue(req.query?.principal);
+
+    const access =
+      req.method === "POST"
+        ? await grantCharterAccess(charterId, identity, { principal, role: body.role ?? "viewer" })
+        : await revokeCharterAccess(charterId, identity, { principal });
+    res.status(200).json(describeAccess(access, identity));
+  } catch (error) {
+    sendError(res, error);
+  }
+}
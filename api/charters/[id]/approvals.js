@@ -0,0 +1,155 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import {
+  assertCharterAccess,
+  claimCharterOwnership,
+} from "../../../server/charter/utils/access.js";
+import {
+  assignApprover,
+  getCharterApprovals,
+  recordApprovalDecision,
+} from "../../../server/charter/utils/approvals.js";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "5mb",
+    },
+  },
+  maxDuration: 30,
+};
+
+const DECISION_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+};
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function sendError(res, error) {
+  if (sendAuthError(res, error)) {
+    return;
+  }
+  if (error?.name === "CharterAccessError") {
+    res.status(error.statusCode).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.name === "ApprovalError") {
+    res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.name === "RecordConflictError") {
+    res.status(409).json({ error: "approval_conflict", details: error.message });
+    return;
+  }
+  if (error?.statusCode === 400) {
+    res.status(400).json({ error: error.message, details: error.details });
+    return;
+  }
+  console.error("charter approvals failed", error);
+  res.status(500).json({ error: "approvals_failed" });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const { id: charterIdParam, docType: docTypeParam } = req.query ?? {};
+  const charterId = firstValue(charterIdParam);
+
+  if (!charterId || typeof charterId !== "string") {
+    res.status(400).json({ error: "charter_id_required" });
+    return;
+  }
+
+  try {
+    // Approvers only need read access; assigning approvers needs write.
+    const identity = await authenticateRequest(req, { required: true });
+    const body = req.method === "POST" ? parseRequestBody(req.body) : {};
+    const action = typeof body?.action === "string" ? body.action.trim().toLowerCase() : "";
+    if (action === "assign") {
+      // Assigning the first approvers of a new charter creates it, owned by the caller
+      await claimCharterOwnership(charterId, identity);
+    }
+    await assertCharterAccess(charterId, identity, "read");
+
+    if (req.method === "GET") {
+      const approvals = await getCharterApprovals(charterId, {
+        docType: firstValue(docTypeParam) || "charter",
+      });
+      res.status(200).json(approvals);
+      return;
+    }
+
+    const docType = body?.docType || firstValue(docTypeParam) || "charter";
+
+    // Same as GET, but compares sign-offs against the supplied document so
+    // approvals of earlier content are flagged as stale.
+    if (action === "status") {
+      const approvals = await getCharterApprovals(charterId, {
+        docType,
+        document: body.document ?? body.charter,
+      });
+      res.status(200).json(approvals);
+      return;
+    }
+
+    if (action === "assign") {
+      await assertCharterAccess(charterId, identity, "write");
+      const approvals = await assignApprover(charterId, {
+        docType,
+        role: body.role,
+        approver: body.approver,
+        assignedBy: identity?.email ?? body.assignedBy ?? null,
+      });
+      res.status(200).json(approvals);
+      return;
+    }
+
+    if (DECISION_ACTIONS[action]) {
+      const approvals = await recordApprovalDecision(charterId, {
+        docType,
+        role: body.role,
+        // Signed-in approvers sign as themselves
+        approver: identity ? { name: identity.name ?? identity.id, email: identity.email } : body.approver,
+        decision: DECISION_ACTIONS[action],
+        comment: body.comment ?? null,
+        document: body.document ?? body.charter,
+      });
+      res.status(200).json(approvals);
+      return;
+    }
+
+    res.status(400).json({ error: "unsupported_action" });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,112 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import { assertCharterAccess } from "../../../server/charter/utils/access.js";
+import {
+  listCarryoverProvenance,
+  listCarryoverTargets,
+  seedDocumentFromCharter,
+} from "../../../server/charter/utils/carryover.js";
+import { readCharterDocumentRecords } from "../../../server/charter/utils/documentStore.js";
+import { listCharterVersionSnapshots } from "../../../server/charter/utils/versionDiff.js";
+
+export const config = {
+  maxDuration: 30,
+};
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function sendError(res, error) {
+  if (sendAuthError(res, error)) {
+    return;
+  }
+  if (error?.name === "CharterAccessError") {
+    res.status(error.statusCode).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.name === "CarryoverError") {
+    res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.statusCode === 400) {
+    res.status(400).json({ error: error.message, details: error.details });
+    return;
+  }
+  console.error("charter carryover failed", error);
+  res.status(500).json({ error: "carryover_failed" });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const charterId = firstValue(req.query?.id);
+  if (!charterId || typeof charterId !== "string") {
+    res.status(400).json({ error: "charter_id_required" });
+    return;
+  }
+
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+    await assertCharterAccess(charterId, identity, req.method === "GET" ? "read" : "write");
+
+    if (req.method === "GET") {
+      const records = await readCharterDocumentRecords(charterId);
+      res.status(200).json({
+        charterId,
+        targets: listCarryoverTargets().map(({ docType, label }) => ({ docType, label })),
+        versions: listCharterVersionSnapshots(records).map(({ version, createdAt, createdBy }) => ({
+          version,
+          createdAt,
+          createdBy,
+        })),
+        history: await listCarryoverProvenance(charterId),
+      });
+      return;
+    }
+
+    const body = parseRequestBody(req.body);
+    const targetType = typeof body?.docType === "string" ? body.docType.trim() : "";
+    if (!targetType) {
+      res.status(400).json({ error: "doc_type_required" });
+      return;
+    }
+
+    const version = body.version == null ? "" : String(body.version).trim();
+    const { document, provenance } = await seedDocumentFromCharter(charterId, {
+      targetType,
+      version: version || null,
+      actor: identity?.email ?? body.actor ?? null,
+    });
+    res.status(201).json({ charterId, docType: targetType, document, provenance });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
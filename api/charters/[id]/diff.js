@@ -0,0 +1,135 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import { assertCharterAccess } from "../../../server/charter/utils/access.js";
+import { readCharterDocumentRecords } from "../../../server/charter/utils/documentStore.js";
+import {
+  diffCharterSnapshots,
+  resolveCharterVersionPair,
+} from "../../../server/charter/utils/versionDiff.js";
+import {
+  buildRedlineModel,
+  renderRedlineDocxBuffer,
+  renderRedlinePdfBuffer,
+} from "../../../server/charter/utils/redline.js";
+import { createAttachmentHeaderValue } from "../../../lib/http/contentDisposition.js";
+
+export const config = {
+  maxDuration: 60,
+};
+
+const REDLINE_FORMATS = {
+  docx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    render: renderRedlineDocxBuffer,
+  },
+  pdf: {
+    contentType: "application/pdf",
+    render: renderRedlinePdfBuffer,
+  },
+};
+
+function getFirstQueryValue(value) {
+  if (Array.isArray(value)) {
+    return value[0];
+  }
+  return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+function sanitizeFilenameSegment(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]+/g, "_");
+}
+
+function describeVersion(entry) {
+  return {
+    version: entry.version,
+    createdAt: entry.createdAt,
+    createdBy: entry.createdBy,
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const charterId = getFirstQueryValue(req.query?.id);
+  if (!charterId) {
+    res.status(400).json({ error: "charter_id_required" });
+    return;
+  }
+
+  const format = (getFirstQueryValue(req.query?.format) || "json").toLowerCase();
+  if (format !== "json" && !REDLINE_FORMATS[format]) {
+    res.status(400).json({ error: "unsupported_format", format });
+    return;
+  }
+
+  let records;
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+    await assertCharterAccess(charterId, identity, "read");
+    records = await readCharterDocumentRecords(charterId);
+  } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    if (error?.name === "CharterAccessError") {
+      res.status(error.statusCode).json({ error: error.code, details: error.message });
+      return;
+    }
+    console.error("failed to load charter documents for diff", error);
+    res.status(500).json({ error: "failed_to_load_documents" });
+    return;
+  }
+
+  let pair;
+  try {
+    pair = resolveCharterVersionPair(records, {
+      from: getFirstQueryValue(req.query?.from),
+      to: getFirstQueryValue(req.query?.to),
+    });
+  } catch (error) {
+    if (error?.name === "CharterVersionError") {
+      res.status(error.statusCode).json({
+        error: error.code,
+        message: error.message,
+        details: error.details,
+      });
+      return;
+    }
+    console.error("failed to resolve charter versions for diff", error);
+    res.status(500).json({ error: "failed_to_resolve_versions" });
+    return;
+  }
+
+  const diff = diffCharterSnapshots(pair.from.snapshot, pair.to.snapshot);
+
+  if (format === "json") {
+    res.status(200).json({
+      charterId,
+      from: describeVersion(pair.from),
+      to: describeVersion(pair.to),
+      diff,
+    });
+    return;
+  }
+
+  try {
+    const model = buildRedlineModel({ charterId, from: pair.from, to: pair.to, diff });
+    const { contentType, render } = REDLINE_FORMATS[format];
+    const buffer = await render(model);
+    const filename = sanitizeFilenameSegment(
+      `Charter_Redline_${charterId}_v${pair.from.version}_to_v${pair.to.version}.${format}`
+    );
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", createAttachmentHeaderValue(filename));
+    res.status(200);
+    res.end(buffer);
+  } catch (error) {
+    console.error("failed to render charter redline", error);
+    res.status(500).json({ error: "redline_render_failed" });
+  }
+}
@@ -1,3 +1,5 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import { assertCharterAccess } from "../../../server/charter/utils/access.js";
 import { readCharterDocumentRecords } from "../../../server/charter/utils/documentStore.js";
 
 export const config = {
@@ -22,9 +24,18 @@ export default async function handler(req, res) {
   }
 
   try {
+    const identity = await authenticateRequest(req, { required: true });
+    await assertCharterAccess(charterId, identity, "read");
     const records = await readCharterDocumentRecords(charterId);
     res.status(200).json({ documents: records });
   } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    if (error?.name === "CharterAccessError") {
+      res.status(error.statusCode).json({ error: error.code, details: error.message });
+      return;
+    }
     console.error("failed to load charter documents", error);
     res.status(500).json({ error: "failed_to_load_documents" });
   }
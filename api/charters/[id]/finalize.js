@@ -1,5 +1,10 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import {
+  assertCharterAccess,
+  claimCharterOwnership,
+} from "../../../server/charter/utils/access.js";
 import finalizeCharter from "../../../server/charter/utils/finalizeCharter.js";
-import { formatDocRenderError } from "../../documents/render.js";
+import { formatDocRenderError } from "../../../lib/doc/render.js";
 
 export const config = {
   api: {
@@ -75,6 +80,11 @@ export default async function handler(req, res) {
   }
 
   try {
+    const identity = await authenticateRequest(req, { required: true });
+    // Finalizing a charter id with no records yet creates it, owned by the caller
+    await claimCharterOwnership(charterId, identity);
+    await assertCharterAccess(charterId, identity, "write");
+
     const body = parseRequestBody(req.body);
     const charterPayload = body?.charter ?? body?.payload ?? body?.data;
     if (!charterPayload || typeof charterPayload !== "object") {
@@ -103,11 +113,30 @@ export default async function handler(req, res) {
       storageOptions,
       metadata,
       version: body?.version ?? null,
-      createdBy: body?.createdBy ?? null,
+      createdBy: identity?.email ?? identity?.id ?? body?.createdBy ?? null,
     });
 
     res.status(200).json({ ok: true, ...result });
   } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    if (error?.name === "CharterAccessError") {
+      res.status(error.statusCode).json({ error: error.code, details: error.message });
+      return;
+    }
+    if (error?.name === "ApprovalsIncompleteError") {
+      res.status(409).json({ error: error.code, pending: error.pending });
+      return;
+    }
+    if (error?.name === "ApprovalError") {
+      res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+      return;
+    }
+    if (error?.name === "RecordConflictError") {
+      res.status(409).json({ error: "finalize_conflict", details: error.message });
+      return;
+    }
     if (error?.statusCode === 400) {
       res.status(400).json({ error: error.message, details: error.details });
       return;
@@ -0,0 +1,108 @@
+import { authenticateRequest, sendAuthError } from "../../../server/auth/index.js";
+import { assertCharterAccess } from "../../../server/charter/utils/access.js";
+import { readCharterDocumentRecords } from "../../../server/charter/utils/documentStore.js";
+import {
+  findSmartsheetLink,
+  syncProjectPlan,
+} from "../../../server/charter/utils/smartsheetExport.js";
+
+export const config = {
+  maxDuration: 30,
+};
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function sendError(res, error) {
+  if (sendAuthError(res, error)) {
+    return;
+  }
+  if (error?.name === "CharterAccessError") {
+    res.status(error.statusCode).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.name === "SmartsheetExportError") {
+    res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.name === "RecordConflictError") {
+    res.status(409).json({ error: "smartsheet_sync_conflict", details: error.message });
+    return;
+  }
+  if (error?.statusCode === 400) {
+    res.status(400).json({ error: error.message, details: error.details });
+    return;
+  }
+  console.error("charter smartsheet sync failed", error);
+  res.status(500).json({ error: "smartsheet_sync_failed" });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const charterId = firstValue(req.query?.id);
+  if (!charterId || typeof charterId !== "string") {
+    res.status(400).json({ error: "charter_id_required" });
+    return;
+  }
+
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+    await assertCharterAccess(charterId, identity, req.method === "GET" ? "read" : "write");
+
+    if (req.method === "GET") {
+      const records = await readCharterDocumentRecords(charterId);
+      const docType = firstValue(req.query?.docType);
+      res.status(200).json({
+        charterId,
+        configured: Boolean(process.env.SMARTSHEET_API_KEY?.trim()),
+        link: findSmartsheetLink(records, typeof docType === "string" && docType.trim() ? docType.trim() : "charter"),
+      });
+      return;
+    }
+
+    const body = parseRequestBody(req.body);
+    const docType = typeof body?.docType === "string" && body.docType.trim() ? body.docType.trim() : "charter";
+    const version = body.version == null ? "" : String(body.version).trim();
+
+    const result = await syncProjectPlan(charterId, {
+      docType,
+      version: version || null,
+      document: body.document ?? null,
+      sheetName: body.sheetName ?? null,
+      actor: identity?.email ?? body.actor ?? null,
+    });
+    res.status(result.createdSheet ? 201 : 200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
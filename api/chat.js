@@ -1,5 +1,4 @@
 // /api/chat.js - Vercel Serverless Function (Node runtime)
-import OpenAI from "openai";
 import { registerStreamController } from "./chat/streamingState.js";
 import { chunkByTokens, countTokens } from "../lib/tokenize.js";
 import {
@@ -15,6 +14,16 @@ import {
   securityMiddleware,
   applySecurityHeaders,
 } from "../server/middleware/security.js";
+import {
+  LLMProviderError,
+  createLLMClient,
+  describeLLMError,
+  providerSupportsResponses,
+  resolveTaskModel,
+  resolveTaskProvider,
+} from "../server/llm/index.js";
+import { INVALID_CHAT_MODEL_PATTERN } from "../server/llm/config.js";
+import { withUsageContext } from "../server/llm/usage/index.js";
 
 export class ChatRequestError extends Error {
   constructor(message, status = 400, code = "bad_request") {
@@ -24,10 +33,14 @@ export class ChatRequestError extends Error {
   }
 }
 
-let OpenAIClient = OpenAI;
+let OpenAIClient = null;
 
+/**
+ * Replaces the OpenAI SDK constructor used by the "openai" and
+ * "openai-compatible" providers. Intended for tests; pass null to restore.
+ */
 export function __setOpenAIClient(override) {
-  OpenAIClient = override || OpenAI;
+  OpenAIClient = override || null;
 }
 
 // HIGH-04: Reduced body size limit from 50MB to 10MB to mitigate DoS attacks
@@ -61,42 +74,13 @@ if (Number.isFinite(chatMaxDuration) && chatMaxDuration > 0) {
   config.api.maxDuration = chatMaxDuration;
 }
 
-export const INVALID_CHAT_MODEL_PATTERN = /(realtime|preview|transcribe|stt)/i;
+export { INVALID_CHAT_MODEL_PATTERN };
 export const USES_RESPONSES_PATTERN = /^(gpt-4\.1|gpt-4o|gpt-5)/i;
 
-function resolveChatModel() {
-  const env = runtimeEnv;
-  const candidates = [
-    env.chat_model,
-    env.CHAT_MODEL,
-    env.OPENAI_MODEL,
-    env.OPENAI_CHAT_MODEL,
-    env.OPENAI_STT_MODEL,
-    env.OPENAI_REALTIME_MODEL,
-  ];
-
-  for (const candidate of candidates) {
-    if (typeof candidate !== "string") continue;
-    const trimmed = candidate.trim();
-    if (!trimmed) continue;
-
-    if (!INVALID_CHAT_MODEL_PATTERN.test(trimmed)) {
-      return trimmed;
-    }
-
-    const fallbackMatch = trimmed.match(
-      /^(.*?)(?:[-_](?:realtime|preview|transcribe|stt))+$/i
-    );
-    const fallback = fallbackMatch?.[1]?.trim();
-    if (fallback && !INVALID_CHAT_MODEL_PATTERN.test(fallback)) {
-      return fallback;
-    }
-  }
-
-  return "gpt-5-mini";
-}
-
-export const CHAT_MODEL = resolveChatModel();
+export const CHAT_MODEL = resolveTaskModel("chat", runtimeEnv);
+export const CHAT_PROVIDER = resolveTaskProvider("chat", runtimeEnv);
+const CHAT_USES_RESPONSES =
+  providerSupportsResponses(CHAT_PROVIDER) && USES_RESPONSES_PATTERN.test(CHAT_MODEL);
 const CHAT_PROMPT_TOKEN_LIMIT = parsePositiveInt(
   runtimeEnv.CHAT_PROMPT_TOKEN_LIMIT,
   0
@@ -274,7 +258,7 @@ export function formatMessagesForResponses(messages) {
 }
 
 async function requestChatText(client, { messages, temperature, maxTokens }) {
-  const useResponses = USES_RESPONSES_PATTERN.test(CHAT_MODEL);
+  const useResponses = CHAT_USES_RESPONSES;
 
   return withRetry(async () => {
     if (useResponses) {
@@ -301,42 +285,10 @@ async function requestChatText(client, { messages, temperature, maxTokens }) {
 }
 
 export function mapChatOpenAIError(status, rawMessage) {
-  const normalizedStatus = Number.isFinite(status) ? status : Number.parseInt(status, 10) || 0;
-  const message = (rawMessage || "") + "";
-
-  if (normalizedStatus === 400 || /model .*does not exist|unsupported|invalid/i.test(message)) {
-    return {
-      status: 400,
-      message: `Model "${CHAT_MODEL}" isn't available for this endpoint/key. Check your OpenAI account has access to this model.`,
-      code: "invalid_model",
-    };
-  }
-
-  if (normalizedStatus === 404) {
-    return {
-      status: 400,
-      message: `Model "${CHAT_MODEL}" not found for this key.`,
-      code: "invalid_model",
-    };
-  }
-
-  if (normalizedStatus === 429) {
-    return {
-      status: 429,
-      message: "Rate limit reached. Please retry shortly.",
-      code: "rate_limited",
-    };
-  }
-
-  if (normalizedStatus === 503) {
-    return {
-      status: 503,
-      message: "OpenAI service unavailable. Please retry shortly.",
-      code: "service_unavailable",
-    };
-  }
-
-  return null;
+  return describeLLMError(
+    { status, message: rawMessage },
+    { provider: CHAT_PROVIDER, model: CHAT_MODEL }
+  );
 }
 
 class OpenAIStreamError extends Error {
@@ -491,7 +443,7 @@ async function streamFromOpenAI({ client, messages, signal, send, tools, mcpMana
   // Determine if we should use tools - use chat completions API when tools are available
   // The responses API doesn't support tools, so fall back to chat completions
   const hasTools = tools?.length > 0;
-  const useResponses = USES_RESPONSES_PATTERN.test(CHAT_MODEL) && !hasTools;
+  const useResponses = CHAT_USES_RESPONSES && !hasTools;
 
   try {
     while (iterations < maxIterations) {
@@ -840,9 +792,9 @@ export async function buildChatMessages(client, body, options = {}) {
   return { messages };
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CRIT-01/02/03/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
-  const securityCheck = securityMiddleware({ isOpenAI: true });
+  const securityCheck = securityMiddleware({ route: "/api/chat", isOpenAI: true });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -851,13 +803,23 @@ export default async function handler(req, res) {
     return;
   }
   try {
-    const apiKey = (runtimeEnv.OPENAI_API_KEY || "").toString().trim();
-    if (!apiKey) {
-      res.status(500).json({ error: "Missing OpenAI API key" });
-      return;
+    let client;
+    try {
+      ({ client } = createLLMClient("chat", {
+        env: runtimeEnv,
+        model: CHAT_MODEL,
+        provider: CHAT_PROVIDER,
+        ...(OpenAIClient ? { OpenAIClient } : {}),
+      }));
+    } catch (providerErr) {
+      if (providerErr instanceof LLMProviderError) {
+        res
+          .status(providerErr.statusCode)
+          .json({ error: providerErr.message, code: providerErr.code });
+        return;
+      }
+      throw providerErr;
     }
-
-    const client = new OpenAIClient({ apiKey });
     const body = req.body || {};
 
     const wantsStream = (() => {
@@ -1095,7 +1057,7 @@ export default async function handler(req, res) {
     // Determine if we should use tools - use chat completions API when tools are available
     // The responses API doesn't support tools, so fall back to chat completions
     const hasTools = mcpTools.length > 0;
-    const useResponses = USES_RESPONSES_PATTERN.test(CHAT_MODEL) && !hasTools;
+    const useResponses = CHAT_USES_RESPONSES && !hasTools;
 
     try {
       while (iterations < maxToolIterations) {
@@ -1205,3 +1167,5 @@ export default async function handler(req, res) {
     res.status(status).json({ error: message });
   }
 }
+
+export default withUsageContext(handler, { route: "/api/chat" });
@@ -1,4 +1,13 @@
 import OpenAI from "openai";
+import { getLLMBudgets } from "../../server/config/llmUsage.js";
+import {
+  INVALID_CHAT_MODEL_PATTERN,
+  providerSupportsResponses,
+  resolveTaskModel,
+  resolveTaskProvider,
+} from "../../server/llm/config.js";
+import { LLMProviderError } from "../../server/llm/errors.js";
+import { createProviderClient } from "../../server/llm/providers/openai.js";
 import { registerStreamController } from "./streamingState.js";
 
 const encoder = new TextEncoder();
@@ -20,42 +29,16 @@ const runtimeEnv: Record<string, string | undefined> =
     ? ((globalThis as any).process.env as Record<string, string | undefined>)
     : {};
 
-const INVALID_CHAT_MODEL_PATTERN = /(realtime|preview|transcribe|stt)/i;
 const USES_RESPONSES_PATTERN = /^(gpt-4\.1|gpt-4o|gpt-5)/i;
 
-function resolveChatModel(): string {
-  const env = runtimeEnv;
-  const candidates = [
-    env.chat_model,
-    env.CHAT_MODEL,
-    env.OPENAI_MODEL,
-    env.OPENAI_CHAT_MODEL,
-    env.OPENAI_STT_MODEL,
-    env.OPENAI_REALTIME_MODEL,
-  ];
-
-  for (const candidate of candidates) {
-    if (typeof candidate !== "string") continue;
-    const trimmed = candidate.trim();
-    if (!trimmed) continue;
-
-    if (!INVALID_CHAT_MODEL_PATTERN.test(trimmed)) {
-      return trimmed;
-    }
-
-    const fallbackMatch = trimmed.match(
-      /^(.*?)(?:[-_](?:realtime|preview|transcribe|stt))+$/i
-    );
-    const fallback = fallbackMatch?.[1]?.trim();
-    if (fallback && !INVALID_CHAT_MODEL_PATTERN.test(fallback)) {
-      return fallback;
-    }
-  }
-
-  return "gpt-5-mini";
-}
-
-const CHAT_MODEL = resolveChatModel();
+// Same provider and model selection as /api/chat. The usage ledger needs
+// Node's file system, which the Edge runtime does not have, so these calls
+// cannot be metered or checked against budgets here; the route refuses to
+// run while a blocking budget is configured (see hasBlockingBudget).
+const CHAT_MODEL = resolveTaskModel("chat", runtimeEnv);
+const CHAT_PROVIDER = resolveTaskProvider("chat", runtimeEnv);
+const CHAT_USES_RESPONSES =
+  providerSupportsResponses(CHAT_PROVIDER) && USES_RESPONSES_PATTERN.test(CHAT_MODEL);
 
 function parsePositiveInt(value: unknown, fallback: number): number {
   if (typeof value === "number" && Number.isFinite(value)) {
@@ -291,8 +274,7 @@ async function requestChatText(
   params: { messages: any[]; temperature: number; maxTokens: number }
 ): Promise<string> {
   const { messages, temperature, maxTokens } = params;
-  const useResponses = USES_RESPONSES_PATTERN.test(CHAT_MODEL);
-  if (useResponses) {
+  if (CHAT_USES_RESPONSES) {
     const prompt = formatMessagesForResponses(messages);
     const response = await client.responses.create({
       model: CHAT_MODEL,
@@ -643,7 +625,7 @@ async function streamFromOpenAI(params: {
   send: (event: string, data?: unknown) => void;
 }): Promise<void> {
   const { client, messages, signal, send } = params;
-  const useResponses = USES_RESPONSES_PATTERN.test(CHAT_MODEL);
+  const useResponses = CHAT_USES_RESPONSES;
 
   const firstNonEmpty = (
     ...candidates: Array<string | null | undefined>
@@ -865,6 +847,14 @@ function mapStreamError(err: unknown): { message: string; code: string } {
   return { message: "Unexpected error", code: "internal_error" };
 }
 
+/**
+ * Whether LLM_BUDGETS has a budget that rejects calls once exhausted. Those
+ * are enforced by /api/chat, so streaming here would get around them.
+ */
+function hasBlockingBudget(): boolean {
+  return getLLMBudgets(runtimeEnv).some((budget: { action?: string }) => budget.action === "block");
+}
+
 export default async function handler(req: Request): Promise<Response> {
   if (req.method !== "POST") {
     return jsonResponse(405, { error: "Method Not Allowed" });
@@ -874,12 +864,24 @@ export default async function handler(req: Request): Promise<Response> {
   if (!isStreamingEnabled(url)) {
     return jsonResponse(404, { error: "Streaming disabled" });
   }
+  if (hasBlockingBudget()) {
+    return jsonResponse(404, {
+      error: "Streaming is disabled while blocking LLM budgets are configured; use /api/chat",
+      code: "streaming_budget_blocked",
+    });
+  }
 
-  const apiKey = ((globalThis as any)?.process?.env?.OPENAI_API_KEY ?? "")
-    .toString()
-    .trim();
-  if (!apiKey) {
-    return jsonResponse(500, { error: "Missing OpenAI API key" });
+  let openai: OpenAI;
+  try {
+    openai = createProviderClient(CHAT_PROVIDER, { task: "chat", env: runtimeEnv }) as OpenAI;
+  } catch (providerErr) {
+    if (providerErr instanceof LLMProviderError) {
+      return jsonResponse(providerErr.statusCode, {
+        error: providerErr.message,
+        code: providerErr.code,
+      });
+    }
+    throw providerErr;
   }
 
   let body: any;
@@ -903,7 +905,6 @@ export default async function handler(req: Request): Promise<Response> {
     return jsonResponse(400, { error: "clientStreamId is required" });
   }
 
-  const openai = new OpenAI({ apiKey });
   const abortController = new AbortController();
   let unregister: (() => void) | undefined;
 
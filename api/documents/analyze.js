@@ -26,13 +26,23 @@
  *   raw: { extractedText, tables, metadata }
  * }
  *
+ * Attachments over the chunk token budget are analyzed chunk by chunk. Send
+ * `Accept: text/event-stream` to receive `progress` events while the chunks
+ * run; the response above then arrives as the final `result` event.
+ *
  * @module api/documents/analyze
  */
 
 import { isDocumentAnalysisEnabled } from "../../config/featureFlags.js";
 import { analyzeDocument } from "../../server/documents/analysis/DocumentAnalyzer.js";
 import { storeAnalysis } from "../../server/documents/analysis/AnalysisCache.js";
+import {
+  recordRedactionAudit,
+  startRedaction,
+} from "../../server/documents/sanitization/redaction.js";
 import { securityMiddleware } from "../../server/middleware/security.js";
+import { withUsageContext } from "../../server/llm/usage/index.js";
+import { createProgressStream } from "../../server/utils/progressStream.js";
 
 /**
  * Parse and validate request body
@@ -122,10 +132,10 @@ function validateAttachments(attachments) {
   };
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CRIT-01/02/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
   // This endpoint consumes OpenAI API, so apply stricter rate limits
-  const securityCheck = securityMiddleware({ isOpenAI: true });
+  const securityCheck = securityMiddleware({ route: "/api/documents/analyze", isOpenAI: true });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -149,6 +159,12 @@ export default async function handler(req, res) {
     });
   }
 
+  // Chunked analysis streams progress when requested; once the stream has
+  // started, the final body goes out as its result event
+  const progress = createProgressStream(req, res);
+  const respond = (statusCode, body) =>
+    progress?.started ? progress.result(statusCode, body) : res.status(statusCode).json(body);
+
   try {
     const body = parseRequestBody(req.body);
 
@@ -174,7 +190,7 @@ export default async function handler(req, res) {
     // Validate attachments
     const attachmentResult = validateAttachments(body.attachments);
     if (!attachmentResult.valid) {
-      return res.status(400).json({
+      return respond(400, {
         error: {
           code: "INVALID_ATTACHMENTS",
           message: attachmentResult.error,
@@ -191,12 +207,19 @@ export default async function handler(req, res) {
       ? body.existingDraft
       : null;
 
-    // Run document analysis
-    const result = await analyzeDocument({
+    // Run document analysis on a redacted copy; placeholders the model
+    // echoes back (field previews, rationale) are restored afterwards
+    const redaction = startRedaction();
+    const analysisInput = {
       attachments: attachmentResult.attachments,
       conversationContext,
       existingDraft,
+    };
+    const analyzed = await analyzeDocument({
+      ...(redaction ? redaction.redact(analysisInput) : analysisInput),
+      onProgress: progress ? (event) => progress.progress(event) : undefined,
     });
+    const result = redaction ? redaction.restore(analyzed) : analyzed;
 
     // Store analysis in cache for later confirmation
     // MED-05: Include sessionId for user/session isolation
@@ -207,8 +230,13 @@ export default async function handler(req, res) {
       sessionId, // Session isolation - only this session can access this analysis
     });
 
+    recordRedactionAudit(redaction, {
+      route: "analyze",
+      hashSource: attachmentResult.attachments.map((attachment) => attachment.text).join("\n"),
+    });
+
     // Return analysis result with signature for serverless fallback
-    return res.status(200).json({
+    return respond(200, {
       status: result.status,
       analysisId: cacheEntry.analysisId,
       analysisSignature: cacheEntry.signature, // Client must return this with confirm request
@@ -222,7 +250,7 @@ export default async function handler(req, res) {
     const code = error.code || "ANALYSIS_ERROR";
     const message = error.message || "An error occurred during document analysis";
 
-    return res.status(statusCode).json({
+    return respond(statusCode, {
       error: {
         code,
         message,
@@ -230,3 +258,14 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withUsageContext(handler, { route: "/api/documents/analyze" });
+
+// Long documents are posted as extracted text
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "10mb",
+    },
+  },
+};
@@ -20,18 +20,39 @@
  * {
  *   status: "extracted",
  *   extractionId: string,
- *   fields: object
+ *   fields: object,
+ *   chunking?: { chunkCount, processed, failed, skipped, conflicts }
  * }
  *
+ * Documents over the chunk token budget are extracted chunk by chunk and
+ * merged. Send `Accept: text/event-stream` to receive `progress` events; the
+ * response above then arrives as the final `result` event.
+ *
  * @module api/documents/confirm
  */
 
 import { randomUUID } from "crypto";
-import { isDocumentAnalysisEnabled } from "../../config/featureFlags.js";
+import {
+  isDocumentAnalysisEnabled,
+  getExtractionChunkTokens,
+  getExtractionMaxChunks,
+} from "../../config/featureFlags.js";
 import { getAnalysis, confirmAnalysis, deleteAnalysis, verifyAnalysisSignature } from "../../server/documents/analysis/AnalysisCache.js";
 import REGISTRY from "../../lib/doc/registry.js";
 import { executeOpenAIExtraction } from "../../server/documents/openai/client.js";
+import {
+  recordRedactionAudit,
+  startRedaction,
+} from "../../server/documents/sanitization/redaction.js";
 import { securityMiddleware } from "../../server/middleware/security.js";
+import { withUsageContext } from "../../server/llm/usage/index.js";
+import {
+  chunkAttachments,
+  describeChunk,
+  needsChunking,
+} from "../../server/documents/extraction/chunking.js";
+import { runChunkedExtraction } from "../../server/documents/extraction/mapReduce.js";
+import { createProgressStream } from "../../server/utils/progressStream.js";
 
 /**
  * Valid actions for confirmation
@@ -95,9 +116,10 @@ function generateExtractionId() {
  * @param {Object} params.analysis - Cached analysis result
  * @param {Object} params.rawContent - Raw document content
  * @param {string} params.action - Extraction action (create/update)
+ * @param {string} [params.part] - Chunk label when the content is one part of a long document
  * @returns {string}
  */
-function buildExtractionPrompt({ docType, analysis, rawContent, action }) {
+function buildExtractionPrompt({ docType, analysis, rawContent, action, part }) {
   const docConfig = REGISTRY.get(docType);
   const docLabel = docConfig?.label || docType;
 
@@ -120,7 +142,8 @@ function buildExtractionPrompt({ docType, analysis, rawContent, action }) {
     suggestedTarget ? `- Fields to Infer: ${(suggestedTarget.coverage?.inferrable || []).join(", ")}` : "",
     suggestedTarget ? `- Missing Fields (will need user input): ${(suggestedTarget.coverage?.missing || []).join(", ")}` : "",
     ``,
-    `## Document Content`,
+    part ? `## Document Content: ${part}` : `## Document Content`,
+    part ? `This is one part of a longer document. Extract only what this part states.` : "",
     ``,
     rawContent?.extractedText || "No content available",
     ``,
@@ -139,10 +162,10 @@ function buildExtractionPrompt({ docType, analysis, rawContent, action }) {
   return sections.filter(Boolean).join("\n");
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CRIT-01/02/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
   // This endpoint consumes OpenAI API, so apply stricter rate limits
-  const securityCheck = securityMiddleware({ isOpenAI: true });
+  const securityCheck = securityMiddleware({ route: "/api/documents/confirm", isOpenAI: true });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -166,6 +189,12 @@ export default async function handler(req, res) {
     });
   }
 
+  // Chunked extraction streams progress when requested; once the stream has
+  // started, the final body goes out as its result event
+  const progress = createProgressStream(req, res);
+  const respond = (statusCode, body) =>
+    progress?.started ? progress.result(statusCode, body) : res.status(statusCode).json(body);
+
   try {
     const body = parseRequestBody(req.body);
 
@@ -175,7 +204,7 @@ export default async function handler(req, res) {
     // Validate analysisId
     const analysisId = body.analysisId;
     if (!analysisId || typeof analysisId !== "string") {
-      return res.status(400).json({
+      return respond(400, {
         error: {
           code: "INVALID_ANALYSIS_ID",
           message: "analysisId is required",
@@ -205,7 +234,7 @@ export default async function handler(req, res) {
 
         if (!isValidSignature) {
           console.warn("[/api/documents/confirm] Invalid signature for inline analysis data");
-          return res.status(403).json({
+          return respond(403, {
             error: {
               code: "INVALID_SIGNATURE",
               message: "Analysis data signature verification failed. Please re-analyze the document.",
@@ -223,14 +252,14 @@ export default async function handler(req, res) {
       } else if (inlineAnalysis && inlineRawContent) {
         // Inline data provided but no signature - reject for security
         console.warn("[/api/documents/confirm] Inline analysis data provided without signature - rejected");
-        return res.status(403).json({
+        return respond(403, {
           error: {
             code: "MISSING_SIGNATURE",
             message: "Analysis data requires a valid signature. Please re-analyze the document.",
           },
         });
       } else {
-        return res.status(404).json({
+        return respond(404, {
           error: {
             code: "ANALYSIS_NOT_FOUND",
             message: "Analysis not found or expired. Please re-analyze the document.",
@@ -242,7 +271,7 @@ export default async function handler(req, res) {
     // Validate confirmed object
     const confirmed = body.confirmed;
     if (!confirmed || typeof confirmed !== "object") {
-      return res.status(400).json({
+      return respond(400, {
         error: {
           code: "INVALID_CONFIRMATION",
           message: "confirmed object is required",
@@ -253,7 +282,7 @@ export default async function handler(req, res) {
     // Validate docType
     const docType = confirmed.docType;
     if (!docType || typeof docType !== "string") {
-      return res.status(400).json({
+      return respond(400, {
         error: {
           code: "INVALID_DOC_TYPE",
           message: "confirmed.docType is required",
@@ -264,7 +293,7 @@ export default async function handler(req, res) {
     // Check if docType is supported
     const docConfig = REGISTRY.get(docType);
     if (!docConfig) {
-      return res.status(400).json({
+      return respond(400, {
         error: {
           code: "UNSUPPORTED_DOC_TYPE",
           message: `Document type "${docType}" is not supported`,
@@ -275,7 +304,7 @@ export default async function handler(req, res) {
     // Validate action
     const action = confirmed.action || "create";
     if (!VALID_ACTIONS.has(action)) {
-      return res.status(400).json({
+      return respond(400, {
         error: {
           code: "INVALID_ACTION",
           message: `Invalid action "${action}". Must be "create" or "update".`,
@@ -291,20 +320,70 @@ export default async function handler(req, res) {
     // Mark analysis as confirmed
     confirmAnalysis(analysisId);
 
-    // Build extraction prompt using analysis context
-    const extractionPrompt = buildExtractionPrompt({
-      docType,
+    // The cache holds the original text, so PII is redacted again here
+    const redaction = startRedaction();
+    const promptContext = {
       analysis: cachedAnalysis.analysis,
       rawContent: cachedAnalysis.rawContent,
-      action,
-    });
+    };
+
+    const prompt = redaction ? redaction.redact(promptContext) : promptContext;
+    const documentText = prompt.rawContent?.extractedText || "";
+    const chunkTokens = getExtractionChunkTokens();
+
+    let completion;
+    let chunking = null;
+    if (needsChunking([{ text: documentText }], chunkTokens)) {
+      // Long documents are extracted section by section and merged
+      const { chunks, skipped } = chunkAttachments([{ name: "Document", text: documentText }], {
+        maxTokens: chunkTokens,
+        maxChunks: getExtractionMaxChunks(),
+      });
+      const result = await runChunkedExtraction({
+        chunks,
+        skipped,
+        extractChunk: (chunk) =>
+          executeOpenAIExtraction({
+            systemSections: [
+              buildExtractionPrompt({
+                docType,
+                analysis: prompt.analysis,
+                rawContent: { ...prompt.rawContent, extractedText: chunk.text },
+                action,
+                part: describeChunk(chunk),
+              }),
+            ],
+            messages: [],
+            temperature: 0.3,
+          }),
+        onProgress: progress ? (event) => progress.progress(event) : undefined,
+      });
+      completion = result.failure ?? result.fields;
+      chunking = result.failure ? null : result.chunking;
+    } else {
+      // Build extraction prompt using analysis context
+      const extractionPrompt = buildExtractionPrompt({
+        docType,
+        ...prompt,
+        action,
+      });
 
-    // Execute extraction
-    const extractedFields = await executeOpenAIExtraction({
-      systemSections: [extractionPrompt],
-      messages: [],
-      model: "gpt-4o-mini",
-      temperature: 0.3,
+      // Execute extraction
+      completion = await executeOpenAIExtraction({
+        systemSections: [extractionPrompt],
+        messages: [],
+        temperature: 0.3,
+      });
+    }
+    const extractedFields = redaction ? redaction.restore(completion) : completion;
+    if (chunking && redaction) {
+      chunking = redaction.restore(chunking);
+    }
+
+    recordRedactionAudit(redaction, {
+      route: "confirm",
+      hashSource: extractedFields,
+      finalType: docType,
     });
 
     // Merge extracted fields with overrides (overrides take precedence)
@@ -319,10 +398,11 @@ export default async function handler(req, res) {
     // Generate extraction ID for tracking
     const extractionId = generateExtractionId();
 
-    return res.status(200).json({
+    return respond(200, {
       status: "extracted",
       extractionId,
       fields: mergedFields,
+      ...(chunking ? { chunking } : {}),
     });
   } catch (error) {
     console.error("[/api/documents/confirm] Error:", error);
@@ -331,7 +411,7 @@ export default async function handler(req, res) {
     const code = error.code || "EXTRACTION_ERROR";
     const message = error.message || "An error occurred during extraction";
 
-    return res.status(statusCode).json({
+    return respond(statusCode, {
       error: {
         code,
         message,
@@ -339,3 +419,14 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withUsageContext(handler, { route: "/api/documents/confirm" });
+
+// The serverless fallback posts the analyzed text back with the confirmation
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "10mb",
+    },
+  },
+};
@@ -1,6 +1,7 @@
 import crypto from "crypto";
 
 import { applySecurityHeaders } from "../../server/middleware/security.js";
+import { assertCharterAccess } from "../../server/charter/utils/access.js";
 import {
   MissingDocAssetError,
   UnsupportedDocTypeError,
@@ -8,8 +9,7 @@ import {
 import { formatDocRenderError, isDocRenderValidationError } from "../../lib/doc/render.js";
 import { getDocTypeConfig } from "../../lib/doc/registry.js";
 import { sanitizeDocType } from "../../lib/doc/utils.js";
-import { renderDocxBufferForDocType } from "./render.js";
-import { renderPdfBuffer } from "../export/pdf.js";
+import { renderDocxBufferForDocType, renderPdfBufferForDocType } from "./render.js";
 import {
   renderJsonBuffer,
   renderXlsxBuffer,
@@ -84,6 +84,19 @@ export default async function handler(req, res) {
     return res.status(410).json({ error: "Download link expired" });
   }
 
+  if (payload.charterId) {
+    const linkOwner = payload.sub ? { id: payload.sub, email: payload.email ?? null } : null;
+    try {
+      await assertCharterAccess(payload.charterId, linkOwner, "read");
+    } catch (error) {
+      if (error?.name === "CharterAccessError" || error?.name === "AuthError") {
+        return res.status(403).json({ error: "Download link is no longer permitted" });
+      }
+      console.error("failed to check charter access for download", error);
+      return res.status(500).json({ error: "Failed to generate document file" });
+    }
+  }
+
   const { docType, document, detection } = resolveDocumentFromPayload(payload);
   if (!docType) {
     return res.status(400).json({ error: "Invalid document type" });
@@ -108,7 +121,10 @@ export default async function handler(req, res) {
   }
 
   try {
-    const buffer = await formatHandler.render(document);
+    const buffer = await formatHandler.render(document, {
+      language: payload.language,
+      bilingual: payload.bilingual,
+    });
 
     res.setHeader("Content-Type", formatHandler.contentType);
     res.setHeader("Content-Disposition", createAttachmentHeaderValue(filename));
@@ -210,9 +226,9 @@ function createFormatHandlersForDocType(docType) {
     docx: {
       contentType:
         "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      render: async (document) => {
+      render: async (document, renderOptions) => {
         try {
-          return await renderDocxBufferForDocType(docType, document);
+          return await renderDocxBufferForDocType(docType, document, renderOptions);
         } catch (error) {
           if (isDocRenderValidationError(error)) {
             const payload = formatDocRenderError(error);
@@ -244,74 +260,45 @@ function createFormatHandlersForDocType(docType) {
     },
   };
 
-  if (docType === "charter") {
-    handlers.pdf = {
-      contentType: "application/pdf",
-      render: async (document) => {
-        try {
-          return await renderPdfBuffer(document);
-        } catch (error) {
-          if (
-            error?.name === "CharterValidationError" &&
-            error?.statusCode === 400
-          ) {
-            const payload = formatDocRenderError(error);
-            console.error("charter download pdf render validation failed", error);
-            throw new FormatResponseError(400, payload, error);
-          }
-          throw error;
+  handlers.pdf = {
+    contentType: "application/pdf",
+    render: async (document, renderOptions) => {
+      try {
+        return await renderPdfBufferForDocType(docType, document, renderOptions);
+      } catch (error) {
+        if (isDocRenderValidationError(error)) {
+          const payload = formatDocRenderError(error);
+          console.error(`${docType} download pdf render validation failed`, error);
+          throw new FormatResponseError(400, payload, error);
         }
-      },
-    };
+        throw error;
+      }
+    },
+  };
 
-    handlers.xlsx = {
-      contentType:
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      render: async (document) => {
-        try {
-          return await renderXlsxBuffer(docType, document);
-        } catch (error) {
-          if (error instanceof FormatNotImplementedError) {
-            throw error;
-          }
-          throw new FormatResponseError(
-            500,
-            {
-              error: {
-                code: "xlsx_render_failed",
-                message: "Failed to generate the XLSX export.",
-              },
-            },
-            error
-          );
+  handlers.xlsx = {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    render: async (document) => {
+      try {
+        return await renderXlsxBuffer(docType, document);
+      } catch (error) {
+        if (error instanceof FormatNotImplementedError) {
+          throw error;
         }
-      },
-    };
-  } else {
-    handlers.xlsx = {
-      contentType:
-        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      render: async (document) => {
-        try {
-          return await renderXlsxBuffer(docType, document);
-        } catch (error) {
-          if (error instanceof FormatNotImplementedError) {
-            throw error;
-          }
-          throw new FormatResponseError(
-            500,
-            {
-              error: {
-                code: "xlsx_render_failed",
-                message: "Failed to generate the XLSX export.",
-              },
+        throw new FormatResponseError(
+          500,
+          {
+            error: {
+              code: "xlsx_render_failed",
+              message: "Failed to generate the XLSX export.",
             },
-            error
-          );
-        }
-      },
-    };
-  }
+          },
+          error
+        );
+      }
+    },
+  };
 
   return handlers;
 }
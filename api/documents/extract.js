@@ -11,7 +11,12 @@ import {
   recordDocumentAudit,
   resolveDetectionFromRequest,
 } from "../../lib/doc/audit.js";
-import { isIntentOnlyExtractionEnabled, isDocumentAnalysisEnabled } from "../../config/featureFlags.js";
+import {
+  isIntentOnlyExtractionEnabled,
+  isDocumentAnalysisEnabled,
+  getExtractionChunkTokens,
+  getExtractionMaxChunks,
+} from "../../config/featureFlags.js";
 import { getAnalysis, confirmAnalysis } from "../../server/documents/analysis/AnalysisCache.js";
 import { detectCharterIntent } from "../../src/utils/detectCharterIntent.js";
 import {
@@ -35,6 +40,10 @@ import {
   sanitizeCharterSeed,
   sanitizeUserMessages,
 } from "../../server/documents/sanitization/sanitizers.js";
+import {
+  recordRedactionAudit,
+  startRedaction,
+} from "../../server/documents/sanitization/redaction.js";
 
 import {
   MIN_TEXT_CONTEXT_LENGTH,
@@ -107,6 +116,15 @@ import {
   processBatchGuidedExtraction,
   processSingleGuidedExtraction,
 } from "../../server/documents/extraction/guided.js";
+import { attachFieldCitations } from "../../server/documents/extraction/citations.js";
+import {
+  chunkAttachments,
+  describeChunk,
+  needsChunking,
+} from "../../server/documents/extraction/chunking.js";
+import { runChunkedExtraction } from "../../server/documents/extraction/mapReduce.js";
+import { createProgressStream } from "../../server/utils/progressStream.js";
+import { withUsageContext } from "../../server/llm/usage/index.js";
 
 const __filename =
   typeof document === "undefined" ? fileURLToPath(import.meta.url) : "";
@@ -250,9 +268,9 @@ async function resolveCharterExtraction() {
   return await loadCharterExtraction();
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CRIT-01/02/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
-  const securityCheck = securityMiddleware({ isOpenAI: true });
+  const securityCheck = securityMiddleware({ route: "/api/documents/extract", isOpenAI: true });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -263,6 +281,13 @@ export default async function handler(req, res) {
     return res.status(405).json(formatErrorResponse(error, { path: requestPath }));
   }
 
+  // Chunked extraction streams progress when the client accepts SSE; once the
+  // stream has started, the final body (errors included) goes out as its
+  // result event.
+  const progress = createProgressStream(req, res);
+  const respond = (statusCode, body) =>
+    progress?.started ? progress.result(statusCode, body) : res.status(statusCode).json(body);
+
   try {
     const body = parseRequestBody(req.body);
     const docType = resolveDocType(req.query?.docType, body?.docType);
@@ -341,7 +366,7 @@ export default async function handler(req, res) {
       }
 
       if (intentOnlyExtractionEnabled && !resolvedIntent) {
-        return res.status(200).json({ status: "skipped", reason: "no_intent", fields: {} });
+        return respond(200, { status: "skipped", reason: "no_intent", fields: {} });
       }
     }
 
@@ -375,10 +400,16 @@ export default async function handler(req, res) {
       const error = new InsufficientContextError(
         "Please provide attachments, voice notes, or at least 25 characters of user text before extracting the document."
       );
-      return res.status(422).json(formatErrorResponse(error, { path: requestPath }));
+      return respond(422, formatErrorResponse(error, { path: requestPath }));
     }
 
+    // Text headed for a prompt has PII swapped for placeholders; the payload
+    // is restored before it is returned.
+    const redaction = startRedaction();
+    const redact = (value) => (redaction ? redaction.redact(value) : value);
+
     let payload;
+    let chunking = null;
     let statusCode = 200;
     let auditStatus = null;
 
@@ -389,22 +420,29 @@ export default async function handler(req, res) {
       auditStatus = result.auditStatus;
     } else if (isGuidedCharterRequest) {
       const charterExtraction = await resolveCharterExtraction();
+      const prompt = redact({
+        toolMessages,
+        toolAttachments,
+        toolVoice,
+        guidedRequests: guidedRequestsRaw,
+        seedValue,
+      });
       const baseRequest = {
-        messages: toolMessages,
-        attachments: toolAttachments,
-        voice: toolVoice,
+        messages: prompt.toolMessages,
+        attachments: prompt.toolAttachments,
+        voice: prompt.toolVoice,
         requestedFieldIds: sanitizedRequestedFieldIds,
-        ...(seedValue !== undefined ? { seed: seedValue } : {}),
+        ...(prompt.seedValue !== undefined ? { seed: prompt.seedValue } : {}),
       };
 
       if (Array.isArray(guidedRequestsRaw) && guidedRequestsRaw.length > 0) {
         const result = await processBatchGuidedExtraction({
           charterExtraction,
-          guidedRequestsRaw,
-          toolMessages,
-          toolAttachments,
-          toolVoice,
-          seedValue,
+          guidedRequestsRaw: prompt.guidedRequests,
+          toolMessages: prompt.toolMessages,
+          toolAttachments: prompt.toolAttachments,
+          toolVoice: prompt.toolVoice,
+          seedValue: prompt.seedValue,
         });
         payload = result.payload;
         statusCode = result.statusCode;
@@ -425,24 +463,56 @@ export default async function handler(req, res) {
         loadExtractMetadata(config),
       ]);
 
-      const systemSections = [
-        formatDocTypeMetadata(docTypeMetadata),
-        formatAttachments(attachments),
-        formatVoice(voice),
-        extractPrompt,
-      ]
-        .map((section) => (section || "").trim())
-        .filter(Boolean);
-
-      payload = await executeOpenAIExtraction({
-        systemSections,
-        messages,
-        seed,
-      });
+      const prompt = redact({ messages, attachments, voice });
+      const buildSystemSections = (promptAttachments) =>
+        [
+          formatDocTypeMetadata(docTypeMetadata),
+          formatAttachments(promptAttachments),
+          formatVoice(prompt.voice),
+          extractPrompt,
+        ]
+          .map((section) => (section || "").trim())
+          .filter(Boolean);
+
+      const chunkTokens = getExtractionChunkTokens();
+      if (needsChunking(prompt.attachments, chunkTokens)) {
+        // Long attachments are extracted section by section and merged
+        const { chunks, skipped } = chunkAttachments(prompt.attachments, {
+          maxTokens: chunkTokens,
+          maxChunks: getExtractionMaxChunks(),
+        });
+        const result = await runChunkedExtraction({
+          chunks,
+          skipped,
+          extractChunk: (chunk) =>
+            executeOpenAIExtraction({
+              systemSections: buildSystemSections([
+                { name: describeChunk(chunk), mimeType: chunk.attachment.mimeType, text: chunk.text },
+              ]),
+              messages: prompt.messages,
+              seed,
+            }),
+          onProgress: progress ? (event) => progress.progress(event) : undefined,
+        });
+        payload = result.failure ?? result.fields;
+        chunking = result.failure ? null : result.chunking;
+      } else {
+        payload = await executeOpenAIExtraction({
+          systemSections: buildSystemSections(prompt.attachments),
+          messages: prompt.messages,
+          seed,
+        });
+      }
       auditStatus = payload?.status || "ok";
     }
 
-    res.status(statusCode).json(payload);
+    if (redaction) {
+      payload = redaction.restore(payload);
+      chunking = chunking && redaction.restore(chunking);
+    }
+    payload = attachFieldCitations(payload, { attachments, messages, voice }, { chunking });
+
+    respond(statusCode, payload);
 
     const auditOptions = {
       hashSource: payload,
@@ -458,23 +528,29 @@ export default async function handler(req, res) {
     }
 
     recordDocumentAudit("documents.extract", auditOptions, { logger: console });
+    recordRedactionAudit(redaction, {
+      route: "extract",
+      hashSource: payload,
+      finalType: config.type,
+      templateVersion: config.templateVersion,
+    });
   } catch (error) {
     // Use standardized error response format
     const statusCode = error?.statusCode || 500;
 
     // Handle malformed request body errors explicitly
     if (error instanceof InvalidRequestBodyError) {
-      return res.status(400).json(formatErrorResponse(error, { path: requestPath }));
+      return respond(400, formatErrorResponse(error, { path: requestPath }));
     }
 
     if (error instanceof UnsupportedDocTypeError) {
       error.message = `Extraction is not available for "${error.docType}" documents.`;
-      return res.status(400).json(formatErrorResponse(error, { path: requestPath }));
+      return respond(400, formatErrorResponse(error, { path: requestPath }));
     }
 
     if (error instanceof MissingDocAssetError) {
       console.error("doc extract asset missing", error);
-      return res.status(statusCode).json(formatErrorResponse(error, { path: requestPath }));
+      return respond(statusCode, formatErrorResponse(error, { path: requestPath }));
     }
 
     // Handle API-related errors with appropriate status codes
@@ -492,8 +568,19 @@ export default async function handler(req, res) {
     }
     console.error("doc extract failed", logData);
 
-    res.status(statusCode).json(formatErrorResponse(error, { path: requestPath }));
+    respond(statusCode, formatErrorResponse(error, { path: requestPath }));
   }
 }
 
+export default withUsageContext(handler, { route: "/api/documents/extract" });
+
+// Long documents are posted as extracted text
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "10mb",
+    },
+  },
+};
+
 export const supportedDocTypes = Array.from(REGISTRY.keys());
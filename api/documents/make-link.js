@@ -1,6 +1,11 @@
 import crypto from "crypto";
 
-import { MissingDocAssetError, UnsupportedDocTypeError } from "../../lib/doc/errors.js";
+import {
+  MissingDocAssetError,
+  UnsupportedDocLanguageError,
+  UnsupportedDocTypeError,
+} from "../../lib/doc/errors.js";
+import { resolveRenderOptions } from "../../lib/doc/localize.js";
 import { formatDocRenderError } from "../../lib/doc/render.js";
 import { getDocTypeConfig } from "../../lib/doc/registry.js";
 import { resolveDocType } from "../../lib/doc/utils.js";
@@ -11,6 +16,8 @@ import {
 } from "../../lib/doc/validation.js";
 import { getFormatHandlersForDocType } from "./download.js";
 import { normalizeDocumentDetection } from "../../lib/doc/audit.js";
+import { authenticateRequest, sendAuthError } from "../../server/auth/index.js";
+import { assertCharterAccess } from "../../server/charter/utils/access.js";
 
 export const config = {
   api: {
@@ -34,6 +41,7 @@ export async function handleDocMakeLink(req, res, options = {}) {
   }
 
   try {
+    const identity = await authenticateRequest(req, { required: true });
     const body = normalizeRequestBody(req.body);
     if (!body) {
       return res
@@ -41,6 +49,12 @@ export async function handleDocMakeLink(req, res, options = {}) {
         .json({ error: "Request body must be a JSON object" });
     }
 
+    const charterId =
+      typeof body.charterId === "string" && body.charterId.trim() ? body.charterId.trim() : null;
+    if (charterId) {
+      await assertCharterAccess(charterId, identity, "read");
+    }
+
     const docType = resolveDocType(req.query?.docType, body?.docType);
     const config = getDocTypeConfig(docType);
     if (!config) {
@@ -49,6 +63,10 @@ export async function handleDocMakeLink(req, res, options = {}) {
 
     await ensureValidationAssets(docType, config);
 
+    const { language, bilingual } = resolveRenderOptions(config, {
+      language: body?.language,
+      bilingual: body?.bilingual,
+    });
     const payload = extractDocumentPayload(body);
     const normalizedDetection = normalizeDocumentDetection(
       body?.docTypeDetection ?? body?.detectedDocType ?? null
@@ -56,7 +74,8 @@ export async function handleDocMakeLink(req, res, options = {}) {
     const { isValid, errors, normalized } = await validateDocument(
       docType,
       config,
-      payload
+      payload,
+      { locale: language }
     );
 
     if (!isValid) {
@@ -98,6 +117,22 @@ export async function handleDocMakeLink(req, res, options = {}) {
       tokenPayload.docTypeDetection = normalizedDetection;
     }
 
+    // The normalized document already holds ISO dates; the language only
+    // affects template labels and how dates are printed.
+    if (language !== "en") {
+      tokenPayload.language = language;
+      tokenPayload.bilingual = bilingual;
+    }
+
+    // Downloads re-check that this user can still read the charter.
+    if (charterId) {
+      tokenPayload.charterId = charterId;
+    }
+    if (identity) {
+      tokenPayload.sub = identity.id;
+      tokenPayload.email = identity.email;
+    }
+
     const token = encodeBase64Url(JSON.stringify(tokenPayload));
 
     const formatHandlers = getFormatHandlersForDocType(config.type);
@@ -127,12 +162,28 @@ export async function handleDocMakeLink(req, res, options = {}) {
 
     return res.status(200).json(response);
   } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+
+    if (error?.name === "CharterAccessError") {
+      return res.status(error.statusCode).json({ error: error.code, details: error.message });
+    }
+
     if (error instanceof UnsupportedDocTypeError) {
       return res.status(400).json({
         error: `Links are not available for "${error.docType}" documents.`,
       });
     }
 
+    if (error instanceof UnsupportedDocLanguageError) {
+      return res.status(400).json({
+        error: "unsupported_language",
+        details: error.message,
+        supportedLanguages: error.supportedLanguages,
+      });
+    }
+
     if (error instanceof MissingDocAssetError || error?.name === "DocAssetLoadError") {
       console.error("doc make-link asset error", error);
       return res.status(error.statusCode || 500).json({
@@ -5,21 +5,32 @@ import { securityMiddleware } from "../../server/middleware/security.js";
 import {
   InvalidDocPayloadError,
   MissingDocAssetError,
+  UnsupportedDocLanguageError,
   UnsupportedDocTypeError,
 } from "../../lib/doc/errors.js";
+import {
+  createLabelTranslator,
+  formatDocumentDates,
+  loadTemplateCatalog,
+  localizeDocxZip,
+  resolveRenderOptions,
+} from "../../lib/doc/localize.js";
 import {
   formatDocRenderError,
   formatInvalidDocPayload,
   isDocRenderValidationError,
 } from "../../lib/doc/render.js";
 import { getDocTypeConfig } from "../../lib/doc/registry.js";
+import { getLocaleInfo } from "../../lib/i18n/locales.js";
 import { resolveDocType } from "../../lib/doc/utils.js";
 import { createAttachmentHeaderValue } from "../../lib/http/contentDisposition.js";
 import {
   createDocValidationError,
   ensureValidationAssets,
+  loadDocTypeSchema,
   validateDocument,
 } from "../../lib/doc/validation.js";
+import { createPdfBufferFromDefinition } from "../../server/charter/utils/pdf.js";
 import {
   recordDocumentAudit,
   resolveDetectionFromRequest,
@@ -69,12 +80,22 @@ function inspectUnresolvedTags(doc) {
   return unresolvedTags;
 }
 
-export async function renderDocxBufferForDocType(docType, document) {
+/**
+ * Renders a document into its DOCX template.
+ * @param {string} docType
+ * @param {object} document
+ * @param {{ language?: string, bilingual?: boolean }} [options] - Output language
+ *   (defaults to English) and whether to keep English labels next to the translation
+ * @returns {Promise<Buffer>}
+ */
+export async function renderDocxBufferForDocType(docType, document, options = {}) {
   const config = getDocTypeConfig(docType);
   if (!config) {
     throw new UnsupportedDocTypeError(docType);
   }
 
+  const { language, bilingual } = resolveRenderOptions(config, options);
+
   await ensureValidationAssets(docType, config);
 
   const preprocess =
@@ -86,7 +107,8 @@ export async function renderDocxBufferForDocType(docType, document) {
   const { isValid, errors, normalized } = await validateDocument(
     docType,
     config,
-    preparedInput
+    preparedInput,
+    { locale: language }
   );
 
   if (!isValid) {
@@ -94,7 +116,8 @@ export async function renderDocxBufferForDocType(docType, document) {
   }
 
   const templateBuffer = await loadDocxTemplateBuffer(docType, config);
-  const zip = new PizZip(templateBuffer);
+  const catalog = await loadTemplateCatalog(docType, config, language);
+  const zip = localizeDocxZip(new PizZip(templateBuffer), catalog, { bilingual });
   const doc = new Docxtemplater(zip, {
     delimiters: {
       start: "{{",
@@ -104,7 +127,7 @@ export async function renderDocxBufferForDocType(docType, document) {
     linebreaks: true,
   });
 
-  doc.setData(normalized);
+  doc.setData(formatDocumentDates(normalized, language));
   doc.render();
 
   const unresolvedTags = inspectUnresolvedTags(doc);
@@ -121,6 +144,44 @@ export async function renderDocxBufferForDocType(docType, document) {
   return doc.getZip().generate({ type: "nodebuffer" });
 }
 
+/**
+ * Renders a document to PDF with the layout its manifest declares, or the
+ * schema-driven fallback layout when it declares none.
+ * @param {string} docType
+ * @param {Record<string, unknown>} document
+ * @param {{ language?: string, bilingual?: boolean }} [options] - Output language
+ *   (defaults to English) and whether to keep English labels next to the translation
+ * @returns {Promise<Buffer>}
+ */
+export async function renderPdfBufferForDocType(docType, document, options = {}) {
+  const config = getDocTypeConfig(docType);
+  if (!config) {
+    throw new UnsupportedDocTypeError(docType);
+  }
+
+  const { language, bilingual } = resolveRenderOptions(config, options);
+
+  await ensureValidationAssets(docType, config);
+
+  const { isValid, errors, normalized } = await validateDocument(docType, config, document, {
+    locale: language,
+  });
+
+  if (!isValid) {
+    throw createDocValidationError(docType, config, errors, normalized);
+  }
+
+  const schema = await loadDocTypeSchema(docType, config);
+  const catalog = await loadTemplateCatalog(docType, config, language);
+  const definition = config.render.buildPdfDefinition(normalized, {
+    schema,
+    label: config.label,
+    locale: getLocaleInfo(language).intlLocale,
+    translate: createLabelTranslator(catalog, { bilingual }),
+  });
+  return createPdfBufferFromDefinition(definition);
+}
+
 export const config = {
   api: {
     bodyParser: {
@@ -131,13 +192,17 @@ export const config = {
   memory: 1024,
 };
 
+function getFirstQueryValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
 export function __clearDocTemplateCache() {
   clearTemplateCache();
 }
 
 export default async function handler(req, res) {
   // CRIT-01/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
-  const securityCheck = securityMiddleware({});
+  const securityCheck = securityMiddleware({ route: "/api/documents/render" });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -173,7 +238,10 @@ export default async function handler(req, res) {
 
     let buffer;
     try {
-      buffer = await renderDocxBufferForDocType(docType, document);
+      buffer = await renderDocxBufferForDocType(docType, document, {
+        language: req.body?.language ?? getFirstQueryValue(req.query?.language),
+        bilingual: req.body?.bilingual ?? getFirstQueryValue(req.query?.bilingual),
+      });
     } catch (renderError) {
       if (renderError instanceof MissingDocAssetError || renderError?.name === "DocAssetLoadError") {
         console.error("doc render asset error", renderError);
@@ -222,6 +290,14 @@ export default async function handler(req, res) {
       });
     }
 
+    if (error instanceof UnsupportedDocLanguageError) {
+      return res.status(400).json({
+        error: "unsupported_language",
+        details: error.message,
+        supportedLanguages: error.supportedLanguages,
+      });
+    }
+
     if (error instanceof MissingDocAssetError || error?.name === "DocAssetLoadError") {
       console.error("doc render asset error", error);
       return res.status(error.statusCode || 500).json({
@@ -7,17 +7,18 @@
  * Each dimension score and feedback item is streamed as it's processed.
  */
 
-import OpenAI from "openai";
 import { getDocTypeConfig } from "../../lib/doc/registry.js";
 import { resolveDocType } from "../../lib/doc/utils.js";
 import { REVIEW_DIMENSIONS } from "../../lib/doc/review.js";
-import { queryKnowledge, formatKnowledgeForPrompt } from "../../server/knowledge/query.js";
+import { rankKnowledge, formatKnowledgeForPrompt } from "../../server/knowledge/query.js";
 import fs from "fs/promises";
 import {
   formatErrorResponse,
   MethodNotAllowedError,
   InvalidRequestBodyError,
 } from "../../server/utils/apiErrors.js";
+import { createLLMClient, mapLLMError } from "../../server/llm/index.js";
+import { withUsageContext } from "../../server/llm/usage/index.js";
 
 /**
  * Parse request body
@@ -113,7 +114,7 @@ function parseStreamLine(line) {
   }
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   const requestPath = req?.path || "/api/documents/review-stream";
 
   if (req.method !== "POST") {
@@ -162,37 +163,35 @@ export default async function handler(req, res) {
     // Load review assets
     const reviewPrompt = await loadReviewPrompt(config);
     const knowledgeCategories = config.review.knowledgeCategories || [docType];
-    const knowledgeEntries = await queryKnowledge({
+    const knowledgeEntries = await rankKnowledge({
       categories: knowledgeCategories,
       document,
       docType,
+      topK: config.review.knowledgeTopK ?? undefined,
     });
     const knowledgeContext = formatKnowledgeForPrompt(knowledgeEntries);
 
     // Build prompt
     const systemPrompt = buildStreamingPrompt(reviewPrompt, knowledgeContext, document, docType);
 
-    // Create OpenAI client
-    const apiKey = process.env.OPENAI_API_KEY?.trim();
-    if (!apiKey) {
-      sendEvent(res, "error", { message: "OpenAI API key not configured" });
-      res.end();
-      return;
-    }
-
-    const client = new OpenAI({ apiKey });
-    const model = body?.options?.model || process.env.REVIEW_MODEL || "gpt-4o-mini";
+    // Missing provider credentials surface as an "error" event
+    const llm = createLLMClient("review", { model: body?.options?.model });
 
     // Start streaming request
-    const stream = await client.chat.completions.create({
-      model,
-      temperature: 0.3,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: "Please review this document and stream your analysis." },
-      ],
-      stream: true,
-    });
+    let stream;
+    try {
+      stream = await llm.client.chat.completions.create({
+        model: llm.model,
+        temperature: 0.3,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: "Please review this document and stream your analysis." },
+        ],
+        stream: true,
+      });
+    } catch (apiError) {
+      throw mapLLMError(apiError, { provider: llm.provider, model: llm.model, task: "review" });
+    }
 
     // Process stream
     let buffer = "";
@@ -311,6 +310,8 @@ export default async function handler(req, res) {
   }
 }
 
+export default withUsageContext(handler, { route: "/api/documents/review-stream" });
+
 // Handle request abort
 export const config = {
   api: {
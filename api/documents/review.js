@@ -18,6 +18,7 @@ import {
 } from "../../server/utils/apiErrors.js";
 import { securityMiddleware } from "../../server/middleware/security.js";
 import { sanitizeErrorMessage } from "../../server/utils/sanitize.js";
+import { withUsageContext } from "../../server/llm/usage/index.js";
 
 /**
  * Parse and validate request body
@@ -60,6 +61,8 @@ function parseRequestBody(body) {
   );
 }
 
+const MAX_KNOWLEDGE_TOP_K = 25;
+
 /**
  * Validate review options
  */
@@ -108,6 +111,17 @@ function validateOptions(options) {
     validated.model = options.model;
   }
 
+  // Validate number of knowledge entries injected into the prompt
+  if (options?.knowledgeTopK !== undefined) {
+    const topK = options.knowledgeTopK;
+    if (!Number.isInteger(topK) || topK < 1 || topK > MAX_KNOWLEDGE_TOP_K) {
+      throw new InvalidRequestBodyError(
+        `options.knowledgeTopK must be an integer between 1 and ${MAX_KNOWLEDGE_TOP_K}`
+      );
+    }
+    validated.knowledgeTopK = topK;
+  }
+
   return validated;
 }
 
@@ -139,9 +153,9 @@ function createMissingDocumentError() {
   return error;
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CRIT-01/02/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
-  const securityCheck = securityMiddleware({ isOpenAI: true });
+  const securityCheck = securityMiddleware({ route: "/api/documents/review", isOpenAI: true });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -223,3 +237,5 @@ export default async function handler(req, res) {
  * Export constants for client use
  */
 export { REVIEW_DIMENSIONS, SEVERITY_LEVELS };
+
+export default withUsageContext(handler, { route: "/api/documents/review" });
@@ -1,6 +1,7 @@
 import { MissingDocAssetError, UnsupportedDocTypeError } from "../../lib/doc/errors.js";
 import { getDocTypeConfig } from "../../lib/doc/registry.js";
 import { resolveDocType } from "../../lib/doc/utils.js";
+import { normalizeLocale } from "../../lib/i18n/locales.js";
 import {
   ensureValidationAssets,
   validateDocument,
@@ -29,7 +30,8 @@ export default async function handler(req, res) {
     const { isValid, errors, normalized } = await validateDocument(
       docType,
       config,
-      payload
+      payload,
+      { locale: normalizeLocale(body?.language) }
     );
 
     if (!isValid) {
@@ -8,7 +8,12 @@ import {
   securityMiddleware,
 } from "../../server/middleware/security.js";
 
-const MAX_TEXT_LENGTH = 20_000;
+// Long documents are chunked downstream by /api/documents/extract and
+// /api/documents/analyze, so only pathological files are truncated here.
+const MAX_TEXT_LENGTH = Number.parseInt(process?.env?.FILE_TEXT_MAX_CHARS, 10) || 400_000;
+
+// Form feed between PDF pages so the chunker can split on page boundaries
+const PAGE_BREAK = "\f";
 
 const pdfParse = pdfParseModule?.default ?? pdfParseModule;
 const mammoth = mammothModule?.default ?? mammothModule;
@@ -84,10 +89,30 @@ function ensureApiKey(req, res) {
   return true;
 }
 
+// Same line grouping as pdf-parse's default renderer, with a page break at
+// the end of every page.
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+  let lastY;
+  let text = "";
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += `\n${item.str}`;
+    }
+    lastY = item.transform[5];
+  }
+  return `${text}${PAGE_BREAK}`;
+}
+
 async function extractTextFromBuffer(buffer, kind) {
   switch (kind) {
     case "pdf": {
-      const result = await pdfParse(buffer);
+      const result = await pdfParse(buffer, { pagerender: renderPdfPage });
       return result?.text ?? "";
     }
     case "docx": {
@@ -267,7 +292,7 @@ async function handleGet(req, res) {
 
 export default async function handler(req, res) {
   // HIGH-03/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
-  const securityCheck = securityMiddleware({});
+  const securityCheck = securityMiddleware({ route: "/api/files/text" });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
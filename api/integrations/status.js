@@ -10,8 +10,29 @@ import {
   getOrCreateMCPManager,
   getMCPChatConfig,
   getMCPConfig,
+  resolveEnvPlaceholders,
 } from "../../server/mcp/index.js";
 
+/**
+ * Describe where a remote server lives without leaking credentials that may
+ * sit in its query string or userinfo.
+ */
+function describeEndpoint(url) {
+  if (!url) {
+    return null;
+  }
+  const { value, missing } = resolveEnvPlaceholders(url);
+  if (missing.length > 0) {
+    return null;
+  }
+  try {
+    const parsed = new URL(value);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
 export default async function handler(req, res) {
   if (req.method !== "GET") {
     res.status(405).json({ error: "Method Not Allowed" });
@@ -41,9 +62,13 @@ export default async function handler(req, res) {
     // Get server configurations
     const serverConfigs = getMCPConfig();
     for (const config of serverConfigs) {
+      const transport = config.transport || "stdio";
       response.servers[config.name] = {
         enabled: config.enabled,
-        command: config.command,
+        transport,
+        ...(transport === "stdio"
+          ? { command: config.command }
+          : { url: describeEndpoint(config.url) }),
         requiredEnv: config.requiredEnv || [],
         envConfigured: config.requiredEnv
           ? config.requiredEnv.every((envVar) => {
@@ -65,10 +90,22 @@ export default async function handler(req, res) {
         serverName: tool.serverName,
       }));
 
-      // Update server connection status
-      for (const tool of tools) {
-        if (response.servers[tool.serverName]) {
-          response.servers[tool.serverName].connected = true;
+      // Update server connection status; remote servers are pinged so a
+      // dropped connection shows up here and starts reconnecting
+      const health = await mcpManager.checkHealth();
+      for (const [serverName, serverHealth] of Object.entries(health)) {
+        if (response.servers[serverName]) {
+          Object.assign(response.servers[serverName], {
+            connected: serverHealth.connected,
+            state: serverHealth.state,
+            toolCount: serverHealth.toolCount,
+            latencyMs: serverHealth.latencyMs,
+            lastConnectedAt: serverHealth.lastConnectedAt,
+            lastCheckedAt: serverHealth.lastCheckedAt,
+            retryCount: serverHealth.retryCount,
+            nextRetryAt: serverHealth.nextRetryAt,
+            lastError: serverHealth.lastError,
+          });
         }
       }
     } catch (mcpErr) {
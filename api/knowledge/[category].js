@@ -0,0 +1,106 @@
+import { authenticateRequest, requireRole, sendAuthError } from "../../server/auth/index.js";
+import {
+  KNOWLEDGE_AUTHOR_ROLES,
+  createKnowledgeEntry,
+  loadKnowledgeEntries,
+  readKnowledgeIndex,
+} from "../../server/knowledge/store.js";
+import { securityMiddleware } from "../../server/middleware/security.js";
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function isTruthyFlag(value) {
+  return ["1", "true", "yes"].includes(String(firstValue(value) ?? "").toLowerCase());
+}
+
+function sendError(res, error) {
+  if (sendAuthError(res, error)) {
+    return;
+  }
+  if (error?.name === "KnowledgeValidationError") {
+    res.status(400).json({ error: error.code, errors: error.errors });
+    return;
+  }
+  if (error?.name === "KnowledgeError") {
+    res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.statusCode === 400) {
+    res.status(400).json({ error: error.message, details: error.details });
+    return;
+  }
+  console.error("knowledge request failed", error);
+  res.status(500).json({ error: "knowledge_unavailable" });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const securityCheck = securityMiddleware({ route: "/api/knowledge", requireUser: false });
+  await new Promise((resolve) => securityCheck(req, res, resolve));
+  if (res.headersSent) return;
+
+  const category = firstValue(req.query?.category);
+  if (!category || typeof category !== "string") {
+    res.status(400).json({ error: "category_required" });
+    return;
+  }
+
+  try {
+    if (req.method === "GET") {
+      const categories = await readKnowledgeIndex();
+      if (!categories.some((item) => item.id === category)) {
+        res.status(404).json({ error: "unknown_category" });
+        return;
+      }
+      const entries = await loadKnowledgeEntries(category, {
+        includeDisabled: isTruthyFlag(req.query?.includeDisabled),
+      });
+      res.status(200).json({ category, entries });
+      return;
+    }
+
+    // Entries feed review prompts, so only signed-in authors may write them.
+    const identity = await authenticateRequest(req, { required: true });
+    requireRole(identity, KNOWLEDGE_AUTHOR_ROLES);
+
+    const body = parseRequestBody(req.body);
+    const entry = await createKnowledgeEntry(category, body.entry, {
+      actor: identity.email ?? identity.id,
+      comment: body.comment ?? null,
+    });
+    res.status(201).json({ entry });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
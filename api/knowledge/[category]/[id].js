@@ -0,0 +1,122 @@
+import { authenticateRequest, requireRole, sendAuthError } from "../../../server/auth/index.js";
+import {
+  KNOWLEDGE_AUTHOR_ROLES,
+  getKnowledgeEntry,
+  setKnowledgeEntryDisabled,
+  updateKnowledgeEntry,
+} from "../../../server/knowledge/store.js";
+import { securityMiddleware } from "../../../server/middleware/security.js";
+
+const ALLOWED_METHODS = ["GET", "PUT", "PATCH", "DELETE"];
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function sendError(res, error) {
+  if (sendAuthError(res, error)) {
+    return;
+  }
+  if (error?.name === "KnowledgeValidationError") {
+    res.status(400).json({ error: error.code, errors: error.errors });
+    return;
+  }
+  if (error?.name === "KnowledgeError") {
+    res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+    return;
+  }
+  if (error?.statusCode === 400) {
+    res.status(400).json({ error: error.message, details: error.details });
+    return;
+  }
+  console.error("knowledge request failed", error);
+  res.status(500).json({ error: "knowledge_unavailable" });
+}
+
+export default async function handler(req, res) {
+  if (!ALLOWED_METHODS.includes(req.method)) {
+    res.setHeader("Allow", ALLOWED_METHODS.join(", "));
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const securityCheck = securityMiddleware({ route: "/api/knowledge", requireUser: false });
+  await new Promise((resolve) => securityCheck(req, res, resolve));
+  if (res.headersSent) return;
+
+  const category = firstValue(req.query?.category);
+  const entryId = firstValue(req.query?.id);
+  if (!category || !entryId) {
+    res.status(400).json({ error: "entry_id_required" });
+    return;
+  }
+
+  try {
+    if (req.method === "GET") {
+      res.status(200).json(await getKnowledgeEntry(category, entryId));
+      return;
+    }
+
+    const identity = await authenticateRequest(req, { required: true });
+    requireRole(identity, KNOWLEDGE_AUTHOR_ROLES);
+
+    const body = parseRequestBody(req.body);
+    const options = {
+      actor: identity.email ?? identity.id,
+      comment: body.comment ?? null,
+      expectedVersion: body.expectedVersion,
+    };
+
+    // DELETE is a soft delete: the entry is disabled and its history kept.
+    if (req.method === "DELETE") {
+      const entry = await setKnowledgeEntryDisabled(category, entryId, true, options);
+      res.status(200).json({ entry });
+      return;
+    }
+
+    if (req.method === "PATCH" && !body.entry && typeof body.disabled === "boolean") {
+      const entry = await setKnowledgeEntryDisabled(category, entryId, body.disabled, options);
+      res.status(200).json({ entry });
+      return;
+    }
+
+    if (!body.entry || typeof body.entry !== "object") {
+      res.status(400).json({ error: "entry_required" });
+      return;
+    }
+
+    const entry = await updateKnowledgeEntry(
+      category,
+      entryId,
+      typeof body.disabled === "boolean" ? { ...body.entry, disabled: body.disabled } : body.entry,
+      { ...options, partial: req.method === "PATCH" }
+    );
+    res.status(200).json({ entry });
+  } catch (error) {
+    sendError(res, error);
+  }
+}
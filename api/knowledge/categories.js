@@ -0,0 +1,22 @@
+import { listKnowledgeCategories } from "../../server/knowledge/store.js";
+import { securityMiddleware } from "../../server/middleware/security.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const securityCheck = securityMiddleware({ route: "/api/knowledge/categories", requireUser: false });
+  await new Promise((resolve) => securityCheck(req, res, resolve));
+  if (res.headersSent) return;
+
+  try {
+    const categories = await listKnowledgeCategories();
+    res.status(200).json({ categories });
+  } catch (error) {
+    console.error("knowledge categories failed", error);
+    res.status(500).json({ error: "knowledge_unavailable" });
+  }
+}
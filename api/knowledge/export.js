@@ -0,0 +1,33 @@
+import { createAttachmentHeaderValue } from "../../lib/http/contentDisposition.js";
+import { exportKnowledge } from "../../server/knowledge/store.js";
+import { securityMiddleware } from "../../server/middleware/security.js";
+
+function parseCategories(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((item) => (typeof item === "string" ? item.split(",") : []))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const securityCheck = securityMiddleware({ route: "/api/knowledge/export", requireUser: false });
+  await new Promise((resolve) => securityCheck(req, res, resolve));
+  if (res.headersSent) return;
+
+  try {
+    const bundle = await exportKnowledge({ categories: parseCategories(req.query?.category) });
+    const stamp = bundle.exportedAt.slice(0, 10);
+    res.setHeader("Content-Disposition", createAttachmentHeaderValue(`knowledge-${stamp}.json`));
+    res.status(200).json(bundle);
+  } catch (error) {
+    console.error("knowledge export failed", error);
+    res.status(500).json({ error: "knowledge_unavailable" });
+  }
+}
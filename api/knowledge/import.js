@@ -0,0 +1,86 @@
+import { authenticateRequest, requireRole, sendAuthError } from "../../server/auth/index.js";
+import { KNOWLEDGE_AUTHOR_ROLES, importKnowledge } from "../../server/knowledge/store.js";
+import { securityMiddleware } from "../../server/middleware/security.js";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "5mb",
+    },
+  },
+};
+
+function parseRequestBody(body) {
+  if (!body) {
+    return {};
+  }
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (!trimmed) {
+      return {};
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      const parseError = new Error("Request body must be valid JSON");
+      parseError.statusCode = 400;
+      parseError.details = error?.message;
+      throw parseError;
+    }
+  }
+  if (typeof body === "object") {
+    return body;
+  }
+  throw new Error("Request body must be a JSON object");
+}
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const securityCheck = securityMiddleware({ route: "/api/knowledge/import", requireUser: false });
+  await new Promise((resolve) => securityCheck(req, res, resolve));
+  if (res.headersSent) return;
+
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+    requireRole(identity, KNOWLEDGE_AUTHOR_ROLES);
+
+    const body = parseRequestBody(req.body);
+    // Accept either the bare export bundle or { bundle, comment, dryRun }.
+    const bundle = body.bundle ?? body;
+    const dryRun =
+      body.dryRun === true || ["1", "true"].includes(String(firstValue(req.query?.dryRun)));
+    const summary = await importKnowledge(bundle, {
+      actor: identity.email ?? identity.id,
+      comment: body.comment ?? null,
+      dryRun,
+    });
+    res.status(200).json(summary);
+  } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    if (error?.name === "KnowledgeValidationError") {
+      res.status(400).json({ error: error.code, errors: error.errors });
+      return;
+    }
+    if (error?.name === "KnowledgeError") {
+      res.status(error.statusCode || 400).json({ error: error.code, details: error.message });
+      return;
+    }
+    if (error?.statusCode === 400) {
+      res.status(400).json({ error: error.message, details: error.details });
+      return;
+    }
+    console.error("knowledge import failed", error);
+    res.status(500).json({ error: "knowledge_import_failed" });
+  }
+}
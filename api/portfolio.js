@@ -0,0 +1,32 @@
+import { authenticateRequest, sendAuthError } from "../server/auth/index.js";
+import { buildCharterPortfolio } from "../server/charter/utils/portfolio.js";
+
+export const config = {
+  maxDuration: 30,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const { businessUnit, tag, tags } = req.query ?? {};
+
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+    const portfolio = await buildCharterPortfolio({
+      businessUnit,
+      tags: [tags, tag].flat().filter(Boolean),
+      identity,
+    });
+    res.status(200).json(portfolio);
+  } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    console.error("failed to build charter portfolio", error);
+    res.status(500).json({ error: "failed_to_load_portfolio" });
+  }
+}
@@ -1,8 +1,9 @@
 // /api/transcribe.js - Vercel Serverless Function (Node runtime)
-import OpenAI from "openai";
 import formidable from "formidable";
 import { createReadStream, promises as fsPromises } from "node:fs";
 import { securityMiddleware } from "../server/middleware/security.js";
+import { createLLMClient, mapLLMError } from "../server/llm/index.js";
+import { withUsageContext } from "../server/llm/usage/index.js";
 
 const ALLOWED_MIME_TYPES = new Set([
   "audio/webm",
@@ -19,19 +20,19 @@ export const config = {
   },
 };
 
-function mapOpenAIError(err) {
-  const status = err?.status || err?.response?.status || 502;
-  const message =
-    (err?.error?.message ||
-      err?.response?.data?.error?.message ||
-      err?.message ||
-      "OpenAI request failed") + "";
-  return { status, message };
+// Whisper is only guaranteed to exist on api.openai.com; other providers
+// must name a fallback deployment explicitly.
+function resolveFallbackModel(provider) {
+  const configured = (process.env.LLM_TRANSCRIPTION_FALLBACK_MODEL || "").trim();
+  if (configured) {
+    return configured;
+  }
+  return provider === "openai" ? "whisper-1" : null;
 }
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CRIT-01/02/HIGH-05: Apply security middleware (rate limiting, CSRF, headers)
-  const securityCheck = securityMiddleware({ isOpenAI: true });
+  const securityCheck = securityMiddleware({ route: "/api/transcribe", isOpenAI: true });
   await new Promise((resolve) => securityCheck(req, res, resolve));
   if (res.headersSent) return;
 
@@ -94,9 +95,15 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "Empty audio data" });
     }
 
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const PRIMARY_MODEL = (process.env.OPENAI_STT_MODEL || "gpt-4o-mini-transcribe").trim();
-    const FALLBACK_MODEL = "whisper-1";
+    let llm;
+    try {
+      llm = createLLMClient("transcription");
+    } catch (providerErr) {
+      const mapped = mapLLMError(providerErr, { task: "transcription" });
+      return res.status(mapped.statusCode).json({ error: mapped.message, code: mapped.code });
+    }
+    const { client, provider, model: PRIMARY_MODEL } = llm;
+    const FALLBACK_MODEL = resolveFallbackModel(provider);
 
     async function transcribeWith(model) {
       return client.audio.transcriptions.create({
@@ -109,19 +116,29 @@ export default async function handler(req, res) {
     try {
       result = await transcribeWith(PRIMARY_MODEL);
     } catch (err) {
-      const { status, message } = mapOpenAIError(err);
-      // If primary model isn't enabled/recognized, or bad request → try Whisper
-      if ((status === 400 || status === 404) && PRIMARY_MODEL !== FALLBACK_MODEL) {
+      const mapped = mapLLMError(err, { provider, model: PRIMARY_MODEL, task: "transcription" });
+      // If primary model isn't enabled/recognized, or bad request → try the fallback
+      if (mapped.code === "invalid_model" && FALLBACK_MODEL && PRIMARY_MODEL !== FALLBACK_MODEL) {
         try {
           result = await transcribeWith(FALLBACK_MODEL);
         } catch (err2) {
-          const mapped = mapOpenAIError(err2);
-          console.error("Transcribe fallback failed:", mapped);
-          return res.status(mapped.status).json({ error: mapped.message, model: FALLBACK_MODEL });
+          const fallbackMapped = mapLLMError(err2, {
+            provider,
+            model: FALLBACK_MODEL,
+            task: "transcription",
+          });
+          console.error("Transcribe fallback failed:", fallbackMapped);
+          return res.status(fallbackMapped.statusCode).json({
+            error: fallbackMapped.message,
+            code: fallbackMapped.code,
+            model: FALLBACK_MODEL,
+          });
         }
       } else {
-        console.error("Transcribe failed:", { status, message });
-        return res.status(status).json({ error: message, model: PRIMARY_MODEL });
+        console.error("Transcribe failed:", { status: mapped.statusCode, message: mapped.message });
+        return res
+          .status(mapped.statusCode)
+          .json({ error: mapped.message, code: mapped.code, model: PRIMARY_MODEL });
       }
     }
 
@@ -150,3 +167,5 @@ export default async function handler(req, res) {
     }
   }
 }
+
+export default withUsageContext(handler, { route: "/api/transcribe" });
@@ -0,0 +1,132 @@
+import { authenticateRequest, isAuthEnabled, sendAuthError } from "../server/auth/index.js";
+import { filterReadableCharterIds } from "../server/charter/utils/access.js";
+import {
+  MAX_REPORT_DAYS,
+  listLLMBudgetStatus,
+  readUsageEntries,
+  rollupUsage,
+  summarizeUsage,
+  usageDay,
+} from "../server/llm/usage/index.js";
+
+export const config = {
+  maxDuration: 30,
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Extra rollups available through `groupBy` */
+const GROUP_FIELDS = {
+  model: "model",
+  task: "task",
+  docType: "docType",
+  session: "sessionId",
+  user: "userId",
+  route: "route",
+};
+
+const FILTER_FIELDS = ["charterId", "docType", "sessionId", "model", "task"];
+
+function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function readDay(value, fallback) {
+  const day = firstValue(value);
+  if (day === undefined || day === "") {
+    return fallback;
+  }
+  if (typeof day !== "string" || !DAY_PATTERN.test(day) || Number.isNaN(Date.parse(day))) {
+    return null;
+  }
+  return day;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86_400_000) + 1;
+}
+
+/**
+ * With authentication on, callers see calls made for charters they can read
+ * and their own calls that were not tied to a charter, and only the
+ * charter and user budgets that belong to those.
+ */
+async function filterVisible({ entries, budgets }, identity) {
+  if (!isAuthEnabled()) {
+    return { entries, budgets };
+  }
+  const charterIds = new Set(entries.map((entry) => entry.charterId).filter(Boolean));
+  budgets.filter((budget) => budget.scope === "charter").forEach((budget) => charterIds.add(budget.key));
+  const readable = new Set(await filterReadableCharterIds([...charterIds], identity));
+  return {
+    entries: entries.filter((entry) =>
+      entry.charterId ? readable.has(entry.charterId) : entry.userId === identity?.id
+    ),
+    budgets: budgets.filter((budget) =>
+      budget.scope === "charter"
+        ? readable.has(budget.key)
+        : budget.scope === "user"
+          ? budget.key === identity?.id
+          : true
+    ),
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    res.status(405).json({ error: "method_not_allowed" });
+    return;
+  }
+
+  const query = req.query ?? {};
+  const today = usageDay();
+  const from = readDay(query.from, `${today.slice(0, 8)}01`);
+  const to = readDay(query.to, today);
+  if (!from || !to || from > to) {
+    res.status(400).json({ error: "invalid_range", details: "from and to must be YYYY-MM-DD with from <= to" });
+    return;
+  }
+  if (daysBetween(from, to) > MAX_REPORT_DAYS) {
+    res.status(400).json({ error: "range_too_large", details: `Reports cover at most ${MAX_REPORT_DAYS} days` });
+    return;
+  }
+
+  const groupBy = firstValue(query.groupBy);
+  if (groupBy && !GROUP_FIELDS[groupBy]) {
+    res.status(400).json({
+      error: "invalid_group_by",
+      details: `groupBy must be one of ${Object.keys(GROUP_FIELDS).join(", ")}`,
+    });
+    return;
+  }
+
+  try {
+    const identity = await authenticateRequest(req, { required: true });
+    const visible = await filterVisible(
+      { entries: await readUsageEntries({ from, to }), budgets: await listLLMBudgetStatus() },
+      identity
+    );
+    let entries = visible.entries;
+    for (const field of FILTER_FIELDS) {
+      const value = firstValue(query[field]);
+      if (value) {
+        entries = entries.filter((entry) => entry[field] === value);
+      }
+    }
+
+    res.status(200).json({
+      from,
+      to,
+      ...summarizeUsage(entries),
+      ...(groupBy ? { groups: rollupUsage(entries, (entry) => entry[GROUP_FIELDS[groupBy]]) } : {}),
+      budgets: visible.budgets,
+    });
+  } catch (error) {
+    if (sendAuthError(res, error)) {
+      return;
+    }
+    console.error("failed to build usage report", error);
+    res.status(500).json({ error: "failed_to_load_usage" });
+  }
+}
@@ -150,16 +150,74 @@ export function getAnalysisConfidenceThreshold() {
  * Uses gpt-4o-mini by default for faster analysis (3-5s vs 10-20s).
  * Document classification is a straightforward task that doesn't require
  * the full reasoning capabilities of gpt-4o.
+ * LLM_ANALYSIS_MODEL (the provider layer's per-task variable) takes precedence
+ * over ANALYSIS_MODEL.
  * @returns {string} Model name (default: "gpt-4o-mini")
  */
 export function getAnalysisModel() {
-  const serverValue = readProcessEnvFlag("ANALYSIS_MODEL");
-  if (serverValue && typeof serverValue === "string" && serverValue.trim()) {
-    return serverValue.trim();
+  for (const key of ["LLM_ANALYSIS_MODEL", "ANALYSIS_MODEL"]) {
+    const serverValue = readProcessEnvFlag(key);
+    if (serverValue && typeof serverValue === "string" && serverValue.trim()) {
+      return serverValue.trim();
+    }
   }
   return "gpt-4o-mini";
 }
 
+/**
+ * Check if PII redaction runs before extraction and analysis prompts.
+ * Server-only: the redaction stage lives in server/documents/sanitization.
+ * @returns {boolean} True if redaction is enabled (default: true)
+ */
+export function isPiiRedactionEnabled() {
+  const parsed = parseBooleanFlag(readProcessEnvFlag("PII_REDACTION_ENABLED"));
+  return parsed ?? true;
+}
+
+/**
+ * Get the built-in redaction detectors to run.
+ * @returns {string[] | null} Detector ids from PII_REDACTION_DETECTORS, or null for all
+ */
+export function getPiiRedactionDetectors() {
+  const serverValue = readProcessEnvFlag("PII_REDACTION_DETECTORS");
+  if (typeof serverValue !== "string" || !serverValue.trim()) {
+    return null;
+  }
+  return serverValue
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function readPositiveIntEnv(key, fallback) {
+  const serverValue = readProcessEnvFlag(key);
+  if (serverValue !== undefined) {
+    const parsed = parseInt(serverValue, 10);
+    if (!Number.isNaN(parsed) && parsed > 0) {
+      return parsed;
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Get the token budget for one chunk of attachment text. Longer attachments
+ * are split and extracted chunk by chunk, then merged.
+ * @returns {number} Tokens per chunk (default: 4000)
+ */
+export function getExtractionChunkTokens() {
+  return readPositiveIntEnv("EXTRACTION_CHUNK_TOKENS", 4000);
+}
+
+/**
+ * Get the maximum number of chunks extracted per request. Chunks past the
+ * limit are skipped and reported in the response.
+ * @returns {number} Chunk limit (default: 30)
+ */
+export function getExtractionMaxChunks() {
+  return readPositiveIntEnv("EXTRACTION_MAX_CHUNKS", 30);
+}
+
 /**
  * Get the current extraction mode based on feature flags.
  * @returns {"analysis-driven" | "intent-driven"} The active extraction mode
@@ -180,5 +238,9 @@ export default {
   getAnalysisCacheTTL,
   getAnalysisConfidenceThreshold,
   getAnalysisModel,
+  isPiiRedactionEnabled,
+  getPiiRedactionDetectors,
+  getExtractionChunkTokens,
+  getExtractionMaxChunks,
   getExtractionMode,
 };
@@ -166,6 +166,7 @@ export function recordDocumentAudit(
     intentSource = null,
     intentReason = null,
     status = null,
+    redaction = null,
   } = {},
   { logger = console, analyticsHook = globalThis?.__analyticsHook__ } = {}
 ) {
@@ -194,6 +195,11 @@ export function recordDocumentAudit(
 
   payload.status = typeof status === "string" && status.trim() ? status.trim() : null;
 
+  // Redaction reports carry counts per detector, never the redacted values
+  if (redaction && typeof redaction === "object") {
+    payload.redaction = redaction;
+  }
+
   if (logger && typeof logger.info === "function") {
     logger.info("[documents:audit]", payload);
   } else if (logger && typeof logger.log === "function") {
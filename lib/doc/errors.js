@@ -38,3 +38,16 @@ export class InvalidDocPayloadError extends Error {
   }
 }
 
+
+export class UnsupportedDocLanguageError extends Error {
+  constructor(docType, language, supportedLanguages = []) {
+    const safeType = typeof docType === "string" && docType.trim() ? docType.trim() : "document";
+    const safeLanguage = typeof language === "string" ? language.trim() : String(language);
+    super(`"${safeType}" documents cannot be rendered in "${safeLanguage}".`);
+    this.name = "UnsupportedDocLanguageError";
+    this.statusCode = 400;
+    this.docType = safeType;
+    this.language = safeLanguage;
+    this.supportedLanguages = Array.isArray(supportedLanguages) ? [...supportedLanguages] : [];
+  }
+}
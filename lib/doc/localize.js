@@ -0,0 +1,224 @@
+import fs from "fs/promises";
+
+import { MissingDocAssetError, UnsupportedDocLanguageError } from "./errors.js";
+import { escapeXml } from "./ooxml.js";
+import {
+  DEFAULT_LOCALE,
+  getLocaleInfo,
+  normalizeLocale,
+  resolveLocale,
+} from "../i18n/locales.js";
+
+/**
+ * Localized DOCX output.
+ *
+ * A doc type can ship a label catalog per locale (English template text →
+ * translated text). Rendering in that locale rewrites the static template
+ * text before tags are filled; bilingual output keeps the English next to
+ * the translation. Dates in the rendered data are written the way the
+ * locale writes them. PDF layouts get the same catalog through
+ * createLabelTranslator.
+ */
+
+const catalogCache = new Map();
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TEXT_RUN_RE = /(<w:t(?:\s[^>]*)?>)([^<]*)(<\/w:t>)/g;
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Loads the template label catalog for a locale. English, and locales the
+ * doc type has no catalog for, return null.
+ * @param {string} docType
+ * @param {object} config - Doc type config from the registry
+ * @param {string} locale
+ * @returns {Promise<Record<string, string> | null>}
+ */
+export async function loadTemplateCatalog(docType, config, locale) {
+  const resolved = normalizeLocale(locale);
+  if (resolved === DEFAULT_LOCALE) {
+    return null;
+  }
+  const filePath = config?.render?.localeCatalogPaths?.[resolved];
+  if (!filePath) {
+    return null;
+  }
+
+  if (!catalogCache.has(filePath)) {
+    const promise = fs
+      .readFile(filePath, "utf8")
+      .then((contents) => JSON.parse(contents))
+      .catch((error) => {
+        catalogCache.delete(filePath);
+        if (error?.code === "ENOENT") {
+          throw new MissingDocAssetError(docType, "template locale", [filePath]);
+        }
+        throw error;
+      });
+    catalogCache.set(filePath, promise);
+  }
+  return catalogCache.get(filePath);
+}
+
+/**
+ * Locales a doc type can render in: English plus every catalog it ships.
+ * @param {object} config
+ * @returns {string[]}
+ */
+export function listRenderLocales(config) {
+  return [DEFAULT_LOCALE, ...Object.keys(config?.render?.localeCatalogPaths ?? {})];
+}
+
+function isTruthyFlag(value) {
+  if (typeof value === "string") {
+    return ["1", "true", "yes", "on"].includes(value.trim().toLowerCase());
+  }
+  return value === true;
+}
+
+/**
+ * Validates the `language` / `bilingual` options of a render request.
+ * A missing language means English; bilingual output only applies to
+ * other languages.
+ * @param {object} config - Doc type config from the registry
+ * @param {{ language?: unknown, bilingual?: unknown }} [options]
+ * @returns {{ language: string, bilingual: boolean }}
+ * @throws {UnsupportedDocLanguageError} When the doc type has no catalog for the language
+ */
+export function resolveRenderOptions(config, { language, bilingual } = {}) {
+  if (language == null || (typeof language === "string" && !language.trim())) {
+    return { language: DEFAULT_LOCALE, bilingual: false };
+  }
+  const supported = listRenderLocales(config);
+  const resolved = resolveLocale(language);
+  if (!resolved || !supported.includes(resolved)) {
+    throw new UnsupportedDocLanguageError(config?.type, language, supported);
+  }
+  return {
+    language: resolved,
+    bilingual: resolved !== DEFAULT_LOCALE && isTruthyFlag(bilingual),
+  };
+}
+
+function translateLabel(label, catalog, bilingual) {
+  const translated = catalog?.[label];
+  if (!label || typeof translated !== "string" || !translated) {
+    return null;
+  }
+  return bilingual && translated !== label ? `${translated} / ${label}` : translated;
+}
+
+/**
+ * Label lookup for layouts that write their own text, such as PDF
+ * definitions. Labels without a catalog entry are returned unchanged.
+ * @param {Record<string, string> | null} catalog
+ * @param {{ bilingual?: boolean }} [options] - `bilingual` returns "Translated / English"
+ * @returns {(label: string) => string}
+ */
+export function createLabelTranslator(catalog, { bilingual = false } = {}) {
+  return (label) => translateLabel(label, catalog, bilingual) ?? label;
+}
+
+/**
+ * Rewrites the static text runs of a WordprocessingML part. Runs holding
+ * template tags and runs without a catalog entry are left alone; leading
+ * and trailing whitespace is kept.
+ * @param {string} xml
+ * @param {Record<string, string>} catalog
+ * @param {{ bilingual?: boolean }} [options] - `bilingual` renders "Translated / English"
+ * @returns {string}
+ */
+export function localizeDocumentXml(xml, catalog, { bilingual = false } = {}) {
+  if (typeof xml !== "string" || !catalog) {
+    return xml;
+  }
+  return xml.replace(TEXT_RUN_RE, (run, open, text, close) => {
+    if (text.includes("{{")) {
+      return run;
+    }
+    const source = unescapeXml(text);
+    const key = source.trim();
+    const output = translateLabel(key, catalog, bilingual);
+    if (output === null) {
+      return run;
+    }
+    const leading = source.slice(0, source.indexOf(key));
+    const trailing = source.slice(source.indexOf(key) + key.length);
+    return `${open}${escapeXml(`${leading}${output}${trailing}`)}${close}`;
+  });
+}
+
+/**
+ * Rewrites word/document.xml inside a PizZip archive in place.
+ * @param {object} zip - PizZip instance
+ * @param {Record<string, string> | null} catalog
+ * @param {{ bilingual?: boolean }} [options]
+ */
+export function localizeDocxZip(zip, catalog, options = {}) {
+  if (!catalog || !zip || typeof zip.file !== "function") {
+    return zip;
+  }
+  const documentFile = zip.file("word/document.xml");
+  if (!documentFile || typeof documentFile.asText !== "function") {
+    return zip;
+  }
+  zip.file("word/document.xml", localizeDocumentXml(documentFile.asText(), catalog, options));
+  return zip;
+}
+
+/**
+ * Formats an ISO date (YYYY-MM-DD) for the locale, e.g. "15.01.2025" in
+ * German. Other values are returned unchanged.
+ * @param {unknown} value
+ * @param {string} locale
+ * @returns {unknown}
+ */
+export function formatLocaleDate(value, locale) {
+  if (typeof value !== "string" || !ISO_DATE_RE.test(value)) {
+    return value;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+  return new Intl.DateTimeFormat(getLocaleInfo(locale).intlLocale, {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    timeZone: "UTC",
+  }).format(date);
+}
+
+/**
+ * Copy of render data with every `*date` field (including list entries such
+ * as milestones[].date) formatted for the locale. English data is returned
+ * as is.
+ * @param {unknown} data
+ * @param {string} locale
+ * @returns {unknown}
+ */
+export function formatDocumentDates(data, locale) {
+  if (normalizeLocale(locale) === DEFAULT_LOCALE) {
+    return data;
+  }
+  const visit = (value, key) => {
+    if (Array.isArray(value)) {
+      return value.map((item) => visit(item, null));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([childKey, child]) => [childKey, visit(child, childKey)])
+      );
+    }
+    return typeof key === "string" && /date$/i.test(key) ? formatLocaleDate(value, locale) : value;
+  };
+  return visit(data, null);
+}
@@ -1,4 +1,4 @@
-import { listTemplateManifests } from "../../templates/registry.js";
+import { createModuleReference, listTemplateManifests } from "../../templates/registry.js";
 import { getDocTypeMetadata } from "./typesMetadata.js";
 import { identity } from "./normalizers.js";
 import {
@@ -7,6 +7,11 @@ import {
   resolveTemplateAssetPath,
 } from "./moduleResolver.js";
 
+// Schema-driven layout used when a manifest has no PDF definition of its own
+const DEFAULT_PDF_DEFINITION = createModuleReference("templates/pdf/schema.pdfdef.mjs", {
+  exportName: "buildPdfDefinition",
+});
+
 function ensureArray(value) {
   if (Array.isArray(value)) {
     return value;
@@ -26,11 +31,16 @@ async function buildDocTypeConfig(manifest) {
 
   const extractConfig = manifest.extract || {};
   const docxConfig = manifest.docx || {};
+  const buildPdfDefinition = await loadServerModule(
+    manifest.pdf?.definition || DEFAULT_PDF_DEFINITION
+  );
   const validationConfig = manifest.validation || {};
   const schemaConfig = manifest.schema || {};
   const formConfig = manifest.form || {};
   const metadataConfig = manifest.metadata || {};
   const reviewConfig = manifest.review || null;
+  const approvalsConfig = manifest.approvals || null;
+  const carryoverConfig = manifest.carryover || null;
 
   const config = {
     type: manifest.id,
@@ -67,6 +77,14 @@ async function buildDocTypeConfig(manifest) {
       ),
       outputFilename:
         docxConfig.outputFilename || `${label.replace(/\s+/g, "_")}.docx`,
+      // Template label catalogs keyed by locale (see lib/doc/localize.js)
+      localeCatalogPaths: Object.fromEntries(
+        Object.entries(docxConfig.locales || {})
+          .map(([locale, assetPath]) => [locale, resolveTemplateAssetPath(assetPath)])
+          .filter(([, resolvedPath]) => Boolean(resolvedPath))
+      ),
+      // Builds the pdfmake definition: (document, { schema, label }) => definition
+      buildPdfDefinition,
     },
     metadata: {
       ...metadataConfig,
@@ -80,10 +98,52 @@ async function buildDocTypeConfig(manifest) {
           promptPath: resolveTemplateAssetPath(reviewConfig.prompt),
           rulesPath: resolveTemplateAssetPath(reviewConfig.rules),
           knowledgeCategories: ensureArray(reviewConfig.knowledgeCategories),
+          knowledgeTopK: Number.isInteger(reviewConfig.knowledgeTopK)
+            ? reviewConfig.knowledgeTopK
+            : null,
           dimensions: ensureArray(reviewConfig.dimensions),
           thresholds: reviewConfig.thresholds || {},
         }
       : null,
+    // Approver roles that must sign off before finalization
+    approvals: approvalsConfig
+      ? {
+          roles: ensureArray(approvalsConfig.roles)
+            .filter((role) => role && typeof role.id === "string" && role.id.trim())
+            .map((role) => ({
+              id: role.id.trim(),
+              label: role.label || role.id.trim(),
+              required: role.required !== false,
+            })),
+        }
+      : null,
+    // Field mappings for seeding this doc type from another, keyed by source type
+    carryover: carryoverConfig
+      ? Object.fromEntries(
+          Object.entries(carryoverConfig).map(([sourceType, sourceConfig]) => [
+            sourceType,
+            {
+              fields: ensureArray(sourceConfig?.fields)
+                .filter(
+                  (field) =>
+                    field &&
+                    typeof field.from === "string" &&
+                    field.from.trim() &&
+                    typeof field.to === "string" &&
+                    field.to.trim()
+                )
+                .map((field) => ({
+                  from: field.from.trim(),
+                  to: field.to.trim(),
+                  items:
+                    field.items && typeof field.items === "object" && !Array.isArray(field.items)
+                      ? { ...field.items }
+                      : null,
+                })),
+            },
+          ])
+        )
+      : null,
   };
 
   return config;
@@ -6,7 +6,9 @@
  */
 
 import { executeOpenAIExtraction } from "../../server/documents/openai/client.js";
-import { queryKnowledge, formatKnowledgeForPrompt } from "../../server/knowledge/query.js";
+import { resolveTaskModel } from "../../server/llm/config.js";
+import { rankKnowledge, formatKnowledgeForPrompt } from "../../server/knowledge/query.js";
+import { withSpan } from "../../server/utils/tracing.js";
 import fs from "fs/promises";
 import path from "path";
 
@@ -218,13 +220,22 @@ export async function reviewDocument(docType, config, document, options = {}) {
     loadReviewRules(docType, config),
   ]);
 
-  // Query knowledge database for relevant entries
+  // Rank knowledge entries by similarity to the draft and keep the top-k
   const knowledgeCategories = config.review.knowledgeCategories || [docType];
-  const knowledgeEntries = await queryKnowledge({
-    categories: knowledgeCategories,
-    document,
-    docType,
-  });
+  const knowledgeEntries = await withSpan(
+    "review.knowledge",
+    { attributes: { "review.doc_type": docType } },
+    async (span) => {
+      const entries = await rankKnowledge({
+        categories: knowledgeCategories,
+        document,
+        docType,
+        topK: options.knowledgeTopK ?? config.review.knowledgeTopK ?? undefined,
+      });
+      span.setAttribute("review.knowledge_entries", entries.length);
+      return entries;
+    }
+  );
   const knowledgeContext = formatKnowledgeForPrompt(knowledgeEntries);
 
   // Build system prompt
@@ -237,12 +248,13 @@ export async function reviewDocument(docType, config, document, options = {}) {
   );
 
   // Execute LLM review
-  const model = options.model || process.env.REVIEW_MODEL || "gpt-4o-mini";
+  const model = options.model || resolveTaskModel("review");
   const response = await executeOpenAIExtraction({
     systemSections: [systemPrompt],
     messages: [{ role: "user", content: "Please review this document and provide detailed feedback." }],
     model,
     temperature: 0.3,
+    task: "review",
   });
 
   // Parse and validate response
@@ -286,6 +298,11 @@ export async function reviewDocument(docType, config, document, options = {}) {
     metadata: {
       modelUsed: model,
       knowledgeEntriesUsed: knowledgeEntries.map((e) => e.id),
+      knowledgeRelevance: knowledgeEntries.map((e) => ({
+        id: e.id,
+        relevance: e.relevance,
+        triggered: e.triggered,
+      })),
       processingTimeMs: Date.now() - startTime,
     },
   };
@@ -0,0 +1,144 @@
+/**
+ * Field patches for accepted review feedback.
+ *
+ * Accepting a feedback item turns its recommendation into a concrete change
+ * to the field it targets: text fields are rewritten, list fields get one
+ * new entry (a risk, a measurable metric). A patch keeps the value before
+ * and after the change so it can be previewed as a diff and undone.
+ */
+
+/**
+ * @typedef {object} FeedbackPatch
+ * @property {string | null} feedbackId
+ * @property {string} field - Top-level document field the patch writes
+ * @property {"replace" | "append"} operation
+ * @property {unknown} before - Field value the patch was built against
+ * @property {unknown} after - Field value once the patch is applied
+ */
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function toListEntry(proposal, template) {
+  if (isPlainObject(proposal)) {
+    if (!isPlainObject(template)) {
+      return proposal;
+    }
+    const blank = Object.fromEntries(Object.keys(template).map((key) => [key, ""]));
+    return { ...blank, ...proposal };
+  }
+  const text = String(proposal).trim();
+  if (!text) {
+    return null;
+  }
+  if (!isPlainObject(template)) {
+    return text;
+  }
+  // Free text for a structured list goes in the entry's leading column
+  const keys = Object.keys(template);
+  return Object.fromEntries(keys.map((key, index) => [key, index === 0 ? text : ""]));
+}
+
+function sameValue(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function fieldValue(document, field) {
+  return isPlainObject(document) && document[field] !== undefined ? document[field] : null;
+}
+
+/**
+ * Proposal used when no rewrite could be generated: the item's example,
+ * which reviewers write as ready-to-use field content.
+ * @param {{ example?: unknown }} item
+ * @returns {string | null}
+ */
+export function fallbackProposal(item) {
+  const example = typeof item?.example === "string" ? item.example.trim() : "";
+  return example || null;
+}
+
+/**
+ * Builds the patch for an accepted feedback item. List fields get the
+ * proposal appended (shaped like the entries already there); other fields
+ * are replaced by it.
+ * @param {{ id?: string, field?: string | null }} item - Feedback item
+ * @param {Record<string, unknown> | null | undefined} document - Current draft
+ * @param {unknown} proposal - New text, list entry, or field value
+ * @returns {FeedbackPatch | null} Null when the item targets no field or the proposal changes nothing
+ */
+export function buildFeedbackPatch(item, document, proposal) {
+  const field = typeof item?.field === "string" ? item.field.trim() : "";
+  if (!field || proposal == null) {
+    return null;
+  }
+  const before = fieldValue(document, field);
+
+  let operation = "replace";
+  let after;
+  if (Array.isArray(before)) {
+    const entry = toListEntry(proposal, before.find(isPlainObject));
+    if (entry == null || before.some((existing) => sameValue(existing, entry))) {
+      return null;
+    }
+    operation = "append";
+    after = [...before, entry];
+  } else if (Array.isArray(proposal) || isPlainObject(proposal)) {
+    after = proposal;
+  } else {
+    after = String(proposal).trim();
+    if (!after) {
+      return null;
+    }
+  }
+
+  if (sameValue(before, after)) {
+    return null;
+  }
+  return { feedbackId: item.id ?? null, field, operation, before, after };
+}
+
+/**
+ * Copy of the document with a patch applied.
+ * @param {Record<string, unknown> | null | undefined} document
+ * @param {FeedbackPatch} patch
+ * @returns {Record<string, unknown>}
+ */
+export function applyFeedbackPatch(document, patch) {
+  return { ...(isPlainObject(document) ? document : {}), [patch.field]: patch.after };
+}
+
+/**
+ * Re-bases a patch on the draft as it is now. An appended entry goes on
+ * the end of the current list; a rewrite is only kept while the field
+ * still holds the value it was built against.
+ * @param {FeedbackPatch} patch
+ * @param {Record<string, unknown> | null | undefined} document - Current draft
+ * @returns {FeedbackPatch | null} Null when the field changed under a rewrite or already has the entry
+ */
+export function rebaseFeedbackPatch(patch, document) {
+  const current = fieldValue(document, patch.field);
+  if (sameValue(current, patch.before)) {
+    return patch;
+  }
+  if (patch.operation !== "append" || !Array.isArray(current) || !Array.isArray(patch.after)) {
+    return null;
+  }
+  const entry = patch.after[patch.after.length - 1];
+  if (entry === undefined || current.some((existing) => sameValue(existing, entry))) {
+    return null;
+  }
+  return { ...patch, before: current, after: [...current, entry] };
+}
+
+/**
+ * Whether an applied patch can still be undone: the field holds exactly
+ * what the patch wrote, so restoring `before` loses no later edits.
+ * @param {FeedbackPatch} patch
+ * @param {Record<string, unknown> | null | undefined} document - Current draft
+ * @returns {boolean}
+ */
+export function canUndoFeedbackPatch(patch, document) {
+  return sameValue(fieldValue(document, patch.field), patch.after);
+}
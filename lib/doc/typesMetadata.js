@@ -13,6 +13,11 @@ const DOC_TYPE_METADATA = [
       "development plan",
     ],
   },
+  {
+    type: "sow",
+    label: "Statement of Work",
+    keywords: ["statement of work", "scope of services", "vendor engagement"],
+  },
 ];
 
 const DOC_TYPE_METADATA_MAP = new Map(
@@ -89,7 +89,7 @@ async function loadFormSchema(docType, config) {
     return null;
   }
   try {
-    return normalizeCharterFormSchema(raw);
+    return normalizeCharterFormSchema(raw, { documentType: docType });
   } catch (error) {
     createAssetLoadError(docType, "form schema", error, formSchemaPath);
   }
@@ -178,6 +178,14 @@ export function normalizeAjvErrors(errors) {
   return normalized;
 }
 
+/**
+ * Loads the JSON schema registered for a doc type (cached alongside the
+ * validator). Resolves to null when the doc type does not declare one.
+ */
+export async function loadDocTypeSchema(docType, config) {
+  return loadSchema(docType, config);
+}
+
 export async function ensureValidationAssets(docType, config) {
   await Promise.all([
     loadSchema(docType, config),
@@ -186,7 +194,14 @@ export async function ensureValidationAssets(docType, config) {
   ]);
 }
 
-export async function validateDocument(docType, config, data) {
+/**
+ * Normalize and validate a document against its doc type schema.
+ * @param {string} docType
+ * @param {Object} config - Doc type config from the registry
+ * @param {Object} data
+ * @param {{ locale?: string }} [options] - Session locale, used to read dates
+ */
+export async function validateDocument(docType, config, data, { locale } = {}) {
   if (!config?.validation) {
     return { isValid: true, errors: [], normalized: data };
   }
@@ -200,14 +215,14 @@ export async function validateDocument(docType, config, data) {
   const formSchema = await loadFormSchema(docType, config);
   if (formSchema) {
     try {
-      const { normalized } = normalizeFormValues(formSchema, preparedInput || {});
+      const { normalized } = normalizeFormValues(formSchema, preparedInput || {}, { locale });
       preparedInput = { ...preparedInput, ...normalized };
     } catch {
       // ignore normalization issues; Ajv will report validation failures
     }
   }
 
-  const prepared = normalizeFn(preparedInput);
+  const prepared = normalizeFn(preparedInput, { locale });
   const validator = await getValidator(docType, config);
   const isValid = validator(prepared);
   const errors = isValid ? [] : normalizeAjvErrors(validator.errors);
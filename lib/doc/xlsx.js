@@ -0,0 +1,308 @@
+import { createZipBuffer, escapeXml } from "./ooxml.js";
+
+/**
+ * Minimal SpreadsheetML (XLSX) writer.
+ *
+ * Produces a standards-compliant workbook from plain sheet descriptors without
+ * pulling in a spreadsheet dependency. Each sheet has a header row (bold,
+ * frozen, auto-filtered) followed by data rows. Cells may be strings, numbers,
+ * booleans, null, or `{ type: "date", value: "YYYY-MM-DD" }` objects which are
+ * written as Excel date serials so they sort and pivot correctly.
+ */
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_WRAP = 3;
+
+const CONTENT_TYPE_SHEET =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml";
+const REL_TYPE_BASE =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+export function columnLetter(index) {
+  let remaining = index + 1;
+  let letters = "";
+  while (remaining > 0) {
+    const mod = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + mod) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Converts an ISO date (YYYY-MM-DD) into an Excel 1900-system serial number.
+ * Returns null when the value is not a valid calendar date.
+ */
+export function toExcelDateSerial(value) {
+  const match = typeof value === "string" ? value.trim().match(ISO_DATE_RE) : null;
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const timestamp = Date.UTC(year, month - 1, day);
+  const parsed = new Date(timestamp);
+  if (
+    parsed.getUTCFullYear() !== year ||
+    parsed.getUTCMonth() !== month - 1 ||
+    parsed.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return Math.round((timestamp - EXCEL_EPOCH_MS) / MS_PER_DAY);
+}
+
+/**
+ * Produces a worksheet name Excel will accept: no []:*?/\ characters, at most
+ * 31 characters, and unique (case-insensitively) within the workbook.
+ */
+export function createSheetName(candidate, usedNames) {
+  const base =
+    String(candidate ?? "")
+      .replace(/[\[\]:*?\/\\]/g, " ")
+      .replace(/^'+|'+$/g, "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, MAX_SHEET_NAME_LENGTH) || "Sheet";
+
+  let name = base;
+  let counter = 2;
+  while (usedNames.has(name.toLowerCase())) {
+    const suffix = ` (${counter})`;
+    name = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    counter += 1;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+function renderCell(value, ref, { header = false } = {}) {
+  if (value == null || value === "") {
+    return "";
+  }
+
+  if (header) {
+    return `<c r="${ref}" s="${STYLE_HEADER}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+
+  if (typeof value === "object" && value.type === "date") {
+    const serial = toExcelDateSerial(value.value);
+    if (serial === null) {
+      return renderCell(value.value, ref);
+    }
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+  }
+
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : "";
+  }
+
+  if (typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = String(value);
+  const style = text.includes("\n") ? STYLE_WRAP : STYLE_DEFAULT;
+  const styleAttr = style === STYLE_DEFAULT ? "" : ` s="${style}"`;
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function displayLength(value) {
+  if (value == null) {
+    return 0;
+  }
+  if (typeof value === "object" && value.type === "date") {
+    return 10;
+  }
+  return String(value)
+    .split("\n")
+    .reduce((max, line) => Math.max(max, line.length), 0);
+}
+
+function computeColumnWidths(header, rows) {
+  return header.map((label, index) => {
+    const longest = rows.reduce(
+      (max, row) => Math.max(max, displayLength(row[index])),
+      displayLength(label)
+    );
+    return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, longest + 2));
+  });
+}
+
+function renderWorksheet(sheet) {
+  const header = sheet.header;
+  const rows = sheet.rows;
+  const lastColumn = columnLetter(Math.max(header.length, 1) - 1);
+  const lastRow = rows.length + 1;
+
+  const widths = computeColumnWidths(header, rows);
+  const cols = widths
+    .map(
+      (width, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`
+    )
+    .join("");
+
+  const rowXml = [header, ...rows]
+    .map((row, rowIndex) => {
+      const cells = row
+        .map((value, columnIndex) =>
+          renderCell(value, `${columnLetter(columnIndex)}${rowIndex + 1}`, {
+            header: rowIndex === 0,
+          })
+        )
+        .join("");
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    `<dimension ref="A1:${lastColumn}${lastRow}"/>`,
+    '<sheetViews><sheetView workbookViewId="0">',
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>',
+    "</sheetView></sheetViews>",
+    '<sheetFormatPr defaultRowHeight="15"/>',
+    `<cols>${cols}</cols>`,
+    `<sheetData>${rowXml}</sheetData>`,
+    `<autoFilter ref="A1:${lastColumn}${lastRow}"/>`,
+    "</worksheet>",
+  ].join("");
+}
+
+function renderWorkbook(sheets) {
+  const sheetEntries = sheets
+    .map(
+      (sheet, index) =>
+        `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+    )
+    .join("");
+
+  const definedNames = sheets
+    .map((sheet, index) => {
+      const lastColumn = columnLetter(Math.max(sheet.header.length, 1) - 1);
+      const quoted = `'${sheet.name.replace(/'/g, "''")}'`;
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">${escapeXml(
+        `${quoted}!$A$1:$${lastColumn}$${sheet.rows.length + 1}`
+      )}</definedName>`;
+    })
+    .join("");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    '<bookViews><workbookView activeTab="0"/></bookViews>',
+    `<sheets>${sheetEntries}</sheets>`,
+    `<definedNames>${definedNames}</definedNames>`,
+    "</workbook>",
+  ].join("");
+}
+
+function renderWorkbookRels(sheets) {
+  const sheetRels = sheets
+    .map(
+      (_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="${REL_TYPE_BASE}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+    )
+    .join("");
+  const stylesId = sheets.length + 1;
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    sheetRels,
+    `<Relationship Id="rId${stylesId}" Type="${REL_TYPE_BASE}/styles" Target="styles.xml"/>`,
+    "</Relationships>",
+  ].join("");
+}
+
+function renderContentTypes(sheets) {
+  const overrides = sheets
+    .map(
+      (_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="${CONTENT_TYPE_SHEET}"/>`
+    )
+    .join("");
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+    overrides,
+    "</Types>",
+  ].join("");
+}
+
+const ROOT_RELS = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  `<Relationship Id="rId1" Type="${REL_TYPE_BASE}/officeDocument" Target="xl/workbook.xml"/>`,
+  "</Relationships>",
+].join("");
+
+// Style indexes: 0 default, 1 header (bold on light gray), 2 date, 3 wrapped text.
+const STYLES = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+  '<fonts count="2">',
+  '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>',
+  '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>',
+  "</fonts>",
+  '<fills count="3">',
+  '<fill><patternFill patternType="none"/></fill>',
+  '<fill><patternFill patternType="gray125"/></fill>',
+  '<fill><patternFill patternType="solid"><fgColor rgb="FFF2F2F2"/><bgColor indexed="64"/></patternFill></fill>',
+  "</fills>",
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+  '<cellXfs count="4">',
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+  '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>',
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>',
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>',
+  "</cellXfs>",
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>',
+  "</styleSheet>",
+].join("");
+
+/**
+ * Serializes sheet descriptors into an XLSX workbook buffer.
+ * @param {Array<{ name: string, header: string[], rows: Array<Array<unknown>> }>} sheets
+ * @returns {Buffer}
+ */
+export function createWorkbookBuffer(sheets) {
+  const usedNames = new Set();
+  const normalizedSheets = (Array.isArray(sheets) ? sheets : []).map((sheet) => ({
+    name: createSheetName(sheet?.name, usedNames),
+    header: Array.isArray(sheet?.header) ? sheet.header : [],
+    rows: Array.isArray(sheet?.rows) ? sheet.rows : [],
+  }));
+
+  if (normalizedSheets.length === 0) {
+    normalizedSheets.push({ name: createSheetName("Sheet1", usedNames), header: [], rows: [] });
+  }
+
+  return createZipBuffer([
+    { name: "[Content_Types].xml", data: renderContentTypes(normalizedSheets) },
+    { name: "_rels/.rels", data: ROOT_RELS },
+    { name: "xl/workbook.xml", data: renderWorkbook(normalizedSheets) },
+    { name: "xl/_rels/workbook.xml.rels", data: renderWorkbookRels(normalizedSheets) },
+    { name: "xl/styles.xml", data: STYLES },
+    ...normalizedSheets.map((sheet, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      data: renderWorksheet(sheet),
+    })),
+  ]);
+}
@@ -2,6 +2,7 @@ import { createRequire } from "module";
 import {
   normalizeObjectEntries,
   normalizeStringList,
+  parseDateInput,
   toTrimmedString,
 } from "../../server/charter/utils/normalize.js";
 
@@ -40,63 +41,22 @@ function normalizeMultiline(value) {
   return normalized;
 }
 
-const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
-const ISO_DATE_SHORT_RE = /^(\d{4})-(\d{2})$/;
-const US_DATE_RE = /^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})$/;
+const INFERRED_DATE_WARNING = {
+  code: "inferred-date",
+  severity: "warning",
+  message: "Date was inferred using the first day of the month.",
+};
 
-function pad(value) {
-  return value < 10 ? `0${value}` : `${value}`;
-}
-
-function formatIsoDate(date) {
-  const year = date.getUTCFullYear();
-  const month = pad(date.getUTCMonth() + 1);
-  const day = pad(date.getUTCDate());
-  return `${year}-${month}-${day}`;
-}
-
-function tryParseDate(value) {
-  const trimmed = value.trim();
-  if (!trimmed) {
+function tryParseDate(value, locale) {
+  if (!value.trim()) {
     return { iso: "" };
   }
 
-  let match = trimmed.match(ISO_DATE_RE);
-  if (match) {
-    return { iso: trimmed };
-  }
-
-  match = trimmed.match(US_DATE_RE);
-  if (match) {
-    const [, month, day, year] = match;
-    const parsed = new Date(`${year}-${pad(Number(month))}-${pad(Number(day))}T00:00:00Z`);
-    if (!Number.isNaN(parsed.getTime())) {
-      return { iso: formatIsoDate(parsed) };
-    }
+  const parsed = parseDateInput(value, { locale });
+  if (!parsed) {
+    return { iso: null };
   }
-
-  match = trimmed.match(ISO_DATE_SHORT_RE);
-  if (match) {
-    const [, year, month] = match;
-    const parsed = new Date(`${year}-${month}-01T00:00:00Z`);
-    if (!Number.isNaN(parsed.getTime())) {
-      return {
-        iso: formatIsoDate(parsed),
-        warning: {
-          code: "inferred-date",
-          severity: "warning",
-          message: "Date was inferred using the first day of the month.",
-        },
-      };
-    }
-  }
-
-  const parsed = new Date(trimmed);
-  if (!Number.isNaN(parsed.getTime())) {
-    return { iso: formatIsoDate(parsed) };
-  }
-
-  return { iso: null };
+  return parsed.inferred ? { iso: parsed.iso, warning: { ...INFERRED_DATE_WARNING } } : { iso: parsed.iso };
 }
 
 function createIssue(code, message, ruleText, severity = "error", details) {
@@ -181,7 +141,7 @@ function evaluateVisibility(field, values) {
   return useAny ? results.some(Boolean) : results.every(Boolean);
 }
 
-function normalizeField(field, rawValue) {
+function normalizeField(field, rawValue, locale) {
   const rawText = toStringValue(rawValue);
   switch (field.type) {
     case "text":
@@ -191,7 +151,7 @@ function normalizeField(field, rawValue) {
     }
     case "date": {
       const text = normalizeSingleLine(rawText);
-      const parsed = tryParseDate(text);
+      const parsed = tryParseDate(text, locale);
       const warnings = parsed.warning ? [parsed.warning] : undefined;
       return { text: parsed.iso ?? text, structured: parsed.iso ?? text, warnings };
     }
@@ -232,7 +192,7 @@ function normalizeField(field, rawValue) {
   }
 }
 
-function runFieldValidation(field, normalized, ruleText) {
+function runFieldValidation(field, normalized, ruleText, locale) {
   const issues = [];
   const value = normalized.structured;
   const text = typeof normalized.text === "string" ? normalized.text : toStringValue(value);
@@ -286,7 +246,7 @@ function runFieldValidation(field, normalized, ruleText) {
   }
 
   if (field.type === "date") {
-    const parsed = tryParseDate(toStringValue(value));
+    const parsed = tryParseDate(toStringValue(value), locale);
     if (!parsed.iso) {
       issues.push(createIssue("date", `${field.label} must be a valid date (YYYY-MM-DD).`, ruleText));
     } else if (parsed.warning) {
@@ -309,7 +269,8 @@ function runFieldValidation(field, normalized, ruleText) {
  * Normalize raw form values according to a charter form schema while collecting validation issues.
  * @param {{ fields?: Array<Record<string, any>> }} schema - Form schema describing charter fields.
  * @param {Record<string, any>} values - Raw form values keyed by field id.
- * @param {{ fieldRules?: Record<string, string> }} [options] - Optional configuration for rule text.
+ * @param {{ fieldRules?: Record<string, string>, locale?: string }} [options] - Optional rule text and
+ *   the session locale used to read dates.
  * @returns {{ normalized: Record<string, any>, issues: Record<string, Array<Record<string, any>>> }}
  */
 export function normalizeFormValues(schema, values, options = {}) {
@@ -332,7 +293,7 @@ export function normalizeFormValues(schema, values, options = {}) {
 
     const contextValues = { ...normalized };
     const visible = evaluateVisibility(field, contextValues);
-    const normalizedResult = normalizeField(field, sourceValues[fieldId]);
+    const normalizedResult = normalizeField(field, sourceValues[fieldId], options.locale);
 
     if (!visible) {
       normalized[fieldId] = normalizedResult.structured;
@@ -342,7 +303,7 @@ export function normalizeFormValues(schema, values, options = {}) {
     const ruleText = fieldRules?.[fieldId] ?? null;
     const fieldIssues = [
       ...(normalizedResult.warnings ?? []),
-      ...runFieldValidation(field, normalizedResult, ruleText),
+      ...runFieldValidation(field, normalizedResult, ruleText, options.locale),
     ];
 
     if (fieldIssues.length > 0) {
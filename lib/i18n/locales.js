@@ -0,0 +1,76 @@
+/**
+ * Interview and document locales shared by the client and the server.
+ *
+ * Charter sessions run in one of these locales; prompts, validation
+ * messages, date parsing, and rendered documents follow it. English is
+ * the fallback for anything that is not translated.
+ *
+ * @module lib/i18n/locales
+ */
+
+export const DEFAULT_LOCALE = "en";
+
+export const SUPPORTED_LOCALES = Object.freeze(["en", "de", "es-MX"]);
+
+/**
+ * Display metadata per locale. `intlLocale` is the BCP 47 tag passed to
+ * Intl formatters and `dateOrder` the numeric day/month order users
+ * type (e.g. 03/04/2025 is March 4 in "en" and 3 April elsewhere).
+ */
+const LOCALE_INFO = Object.freeze({
+  en: { name: "English", englishName: "English", intlLocale: "en-US", dateOrder: "MDY" },
+  de: { name: "Deutsch", englishName: "German", intlLocale: "de-DE", dateOrder: "DMY" },
+  "es-MX": {
+    name: "Español (México)",
+    englishName: "Spanish (Mexico)",
+    intlLocale: "es-MX",
+    dateOrder: "DMY",
+  },
+});
+
+/**
+ * Map a language tag to a supported locale: exact matches first, then the
+ * base language ("de-AT" → "de", "es" → "es-MX").
+ * @param {unknown} value
+ * @returns {string | null} Supported locale, or null when unsupported
+ */
+export function resolveLocale(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const tag = value.trim().replace(/_/g, "-").toLowerCase();
+  if (!tag) {
+    return null;
+  }
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === tag);
+  if (exact) {
+    return exact;
+  }
+  const language = tag.split("-")[0];
+  return SUPPORTED_LOCALES.find((locale) => locale.toLowerCase().split("-")[0] === language) ?? null;
+}
+
+/**
+ * Like resolveLocale, but falls back to the default locale.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function normalizeLocale(value) {
+  return resolveLocale(value) ?? DEFAULT_LOCALE;
+}
+
+/**
+ * @param {unknown} locale
+ * @returns {{ name: string, englishName: string, intlLocale: string, dateOrder: "MDY" | "DMY" }}
+ */
+export function getLocaleInfo(locale) {
+  return LOCALE_INFO[normalizeLocale(locale)];
+}
+
+/**
+ * Locale picker options, in SUPPORTED_LOCALES order.
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export function listLocaleOptions() {
+  return SUPPORTED_LOCALES.map((locale) => ({ value: locale, label: LOCALE_INFO[locale].name }));
+}
@@ -306,8 +306,55 @@ export function chunkByTokens(text, tokensPerChunk, options = {}) {
   return chunks;
 }
 
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "have",
+  "in", "is", "it", "its", "of", "on", "or", "our", "that", "the", "their", "this",
+  "to", "was", "we", "were", "will", "with", "what", "who", "why", "when", "should",
+  "can", "must", "each", "all", "any", "not", "no", "do", "does",
+]);
+
+/**
+ * Light suffix stripping so inflections ("risks", "testing", "defined")
+ * share a term with their base word. Not a full stemmer; it only needs to be
+ * consistent between indexed text and queries.
+ */
+function stemTerm(term) {
+  if (term.length <= 4) return term;
+  if (term.endsWith("ies")) return `${term.slice(0, -3)}y`;
+  if (term.endsWith("ing") && term.length > 6) return term.slice(0, -3);
+  if (term.endsWith("ed") && term.length > 5) return term.slice(0, -2);
+  if (term.endsWith("es") && /(?:ss|x|ch|sh)es$/.test(term)) return term.slice(0, -2);
+  if (term.endsWith("s") && !term.endsWith("ss")) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Splits text into normalized word terms for lexical retrieval (TF-IDF),
+ * as opposed to the model tokens counted by countTokens(). Terms are
+ * lowercased, stop words and 1-character terms are dropped, and plurals and
+ * common suffixes are stripped.
+ */
+export function tokenizeTerms(input, options = {}) {
+  const strings = [];
+  collectStrings(input, strings, new Set());
+  const stopWords = options.stopWords ?? STOP_WORDS;
+  const stem = options.stem !== false;
+  const terms = [];
+  for (const str of strings) {
+    for (const match of str.toLowerCase().matchAll(TERM_PATTERN)) {
+      const term = match[0];
+      if (term.length < 2 || stopWords.has(term)) continue;
+      terms.push(stem ? stemTerm(term) : term);
+    }
+  }
+  return terms;
+}
+
 export default {
   getEncoder,
   countTokens,
   chunkByTokens,
+  tokenizeTerms,
 };
@@ -12,7 +12,10 @@ import {
   ensureValidationAssets,
   validateDocument,
 } from "../../lib/doc/validation.js";
-import { renderDocxBufferForDocType } from "../../api/documents/render.js";
+import {
+  renderDocxBufferForDocType,
+  renderPdfBufferForDocType,
+} from "../../api/documents/render.js";
 
 /**
  * Tool response type
@@ -205,10 +208,12 @@ export async function handleDocumentRender(
   args: Record<string, unknown>,
   _context: ToolContext
 ): Promise<ToolResponse> {
-  const { docType, fields, format = "docx" } = args as {
+  const { docType, fields, format = "docx", language, bilingual } = args as {
     docType: string;
     fields: Record<string, unknown>;
     format?: string;
+    language?: string;
+    bilingual?: boolean;
   };
 
   if (!docType || !fields) {
@@ -217,7 +222,7 @@ export async function handleDocumentRender(
 
   try {
     if (format === "docx") {
-      const buffer = await renderDocxBufferForDocType(docType, fields);
+      const buffer = await renderDocxBufferForDocType(docType, fields, { language, bilingual });
 
       // Return base64-encoded document
       const base64 = buffer.toString("base64");
@@ -230,8 +235,15 @@ export async function handleDocumentRender(
         filename: `${docType}-${Date.now()}.docx`,
       });
     } else if (format === "pdf") {
-      // PDF rendering would go here
-      return error("PDF rendering not yet implemented in MCP handler");
+      const buffer = await renderPdfBufferForDocType(docType, fields, { language });
+
+      return success({
+        format: "pdf",
+        mimeType: "application/pdf",
+        data: buffer.toString("base64"),
+        size: buffer.length,
+        filename: `${docType}-${Date.now()}.pdf`,
+      });
     } else {
       return error(`Unsupported format: ${format}`);
     }
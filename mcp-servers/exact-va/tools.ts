@@ -129,6 +129,17 @@ export const documentRenderTool: Tool = {
         default: "docx",
         description: "Output format",
       },
+      language: {
+        type: "string",
+        enum: ["en", "de", "es-MX"],
+        default: "en",
+        description: "Document language (DOCX labels and date format)",
+      },
+      bilingual: {
+        type: "boolean",
+        default: false,
+        description: "Keep the English labels next to the translated ones",
+      },
     },
     required: ["docType", "fields"],
   },
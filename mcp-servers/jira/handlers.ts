@@ -0,0 +1,452 @@
+/**
+ * MCP Tool Handlers for Jira
+ *
+ * These handlers map charter fields onto Jira issues and read issue status
+ * back into charter shape.
+ */
+
+import type { JiraIssueFields, JiraIssue, ToolContext } from "./index.js";
+import { JIRA_LABELS, JIRA_LIMITS } from "./tools.js";
+
+/**
+ * Tool response type
+ */
+type ToolResponse = {
+  content: Array<{ type: "text"; text: string }>;
+  isError?: boolean;
+};
+
+interface CharterMilestone {
+  phase?: string;
+  deliverable?: string;
+  date?: string;
+}
+
+interface CharterInput {
+  project_name?: string;
+  description?: string;
+  problem?: string;
+  vision?: string;
+  sponsor?: string;
+  project_lead?: string;
+  start_date?: string;
+  end_date?: string;
+  scope_in?: string[];
+  milestones?: CharterMilestone[];
+  risks?: string[];
+}
+
+/**
+ * Create a successful tool response
+ */
+function success(data: unknown): ToolResponse {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Create an error tool response
+ */
+function error(message: string, details?: unknown): ToolResponse {
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({ error: message, details }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
+
+// ============================================================================
+// Charter → Jira Mapping
+// ============================================================================
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/i;
+
+function clean(value: unknown): string {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function cleanList(values: unknown): string[] {
+  return Array.isArray(values) ? values.map(clean).filter(Boolean) : [];
+}
+
+function truncateSummary(text: string): string {
+  const singleLine = text.replace(/\s+/g, " ").trim();
+  return singleLine.length > JIRA_LIMITS.MAX_SUMMARY_LENGTH
+    ? `${singleLine.slice(0, JIRA_LIMITS.MAX_SUMMARY_LENGTH - 1)}…`
+    : singleLine;
+}
+
+/**
+ * Build an Atlassian Document Format body with one paragraph per entry
+ */
+export function toAdf(paragraphs: string[]): Record<string, unknown> {
+  return {
+    type: "doc",
+    version: 1,
+    content: paragraphs
+      .filter((text) => text.length > 0)
+      .map((text) => ({
+        type: "paragraph",
+        content: [{ type: "text", text }],
+      })),
+  };
+}
+
+export function buildEpicFields(
+  projectKey: string,
+  charter: CharterInput,
+  epicIssueType: string
+): JiraIssueFields {
+  const lines = [
+    clean(charter.description),
+    clean(charter.problem) && `Problem: ${clean(charter.problem)}`,
+    clean(charter.vision) && `Vision: ${clean(charter.vision)}`,
+    clean(charter.sponsor) && `Sponsor: ${clean(charter.sponsor)}`,
+    clean(charter.project_lead) && `Project lead: ${clean(charter.project_lead)}`,
+    (clean(charter.start_date) || clean(charter.end_date)) &&
+      `Timeline: ${clean(charter.start_date) || "?"} – ${clean(charter.end_date) || "?"}`,
+  ].filter(Boolean);
+
+  const fields: JiraIssueFields = {
+    project: { key: projectKey },
+    issuetype: { name: epicIssueType },
+    summary: truncateSummary(clean(charter.project_name)),
+    description: toAdf(lines),
+    labels: [JIRA_LABELS.CHARTER],
+  };
+  if (ISO_DATE_PATTERN.test(clean(charter.end_date))) {
+    fields.duedate = clean(charter.end_date);
+  }
+  return fields;
+}
+
+/**
+ * Summary used for milestone issues; parseMilestoneSummary reverses it
+ */
+export function formatMilestoneSummary(milestone: CharterMilestone): string {
+  const phase = clean(milestone.phase);
+  const deliverable = clean(milestone.deliverable);
+  return truncateSummary(phase && deliverable ? `${phase}: ${deliverable}` : phase || deliverable);
+}
+
+export function parseMilestoneSummary(summary: string): { phase: string; deliverable: string } {
+  const separator = summary.indexOf(": ");
+  if (separator === -1) {
+    return { phase: summary, deliverable: "" };
+  }
+  return { phase: summary.slice(0, separator), deliverable: summary.slice(separator + 2) };
+}
+
+export function buildMilestoneFields(
+  projectKey: string,
+  epicKey: string,
+  milestone: CharterMilestone,
+  issueType: string
+): JiraIssueFields | null {
+  const summary = formatMilestoneSummary(milestone);
+  if (!summary) {
+    return null;
+  }
+  const date = clean(milestone.date);
+  const fields: JiraIssueFields = {
+    project: { key: projectKey },
+    issuetype: { name: issueType },
+    parent: { key: epicKey },
+    summary,
+    description: toAdf([date && `Target date: ${date}`].filter(Boolean)),
+    labels: [JIRA_LABELS.CHARTER, JIRA_LABELS.MILESTONE],
+  };
+  if (ISO_DATE_PATTERN.test(date)) {
+    fields.duedate = date;
+  }
+  return fields;
+}
+
+export function buildScopeFields(
+  projectKey: string,
+  epicKey: string,
+  item: string,
+  issueType: string
+): JiraIssueFields {
+  return {
+    project: { key: projectKey },
+    issuetype: { name: issueType },
+    parent: { key: epicKey },
+    summary: truncateSummary(item),
+    description: toAdf([item]),
+    labels: [JIRA_LABELS.CHARTER, JIRA_LABELS.SCOPE],
+  };
+}
+
+export function buildRiskFields(
+  projectKey: string,
+  epicKey: string,
+  risk: string,
+  issueType: string
+): JiraIssueFields {
+  return {
+    project: { key: projectKey },
+    issuetype: { name: issueType },
+    parent: { key: epicKey },
+    summary: truncateSummary(risk),
+    description: toAdf([risk]),
+    labels: [JIRA_LABELS.CHARTER, JIRA_LABELS.RISK],
+  };
+}
+
+function resolveProjectKey(args: Record<string, unknown>, context: ToolContext): string {
+  return clean(args.projectKey) || clean(context.defaultProjectKey);
+}
+
+function projectKeyFromIssue(issueKey: string): string {
+  const separator = issueKey.lastIndexOf("-");
+  return separator > 0 ? issueKey.slice(0, separator) : "";
+}
+
+function summarizeCreated(issues: Array<JiraIssue | null>): Array<{ key: string; id: string }> {
+  return issues
+    .filter((issue): issue is JiraIssue => issue !== null)
+    .map((issue) => ({ key: issue.key, id: issue.id }));
+}
+
+function countFailed(issues: Array<JiraIssue | null>): number {
+  return issues.filter((issue) => issue === null).length;
+}
+
+async function createChildIssues(
+  context: ToolContext,
+  projectKey: string,
+  epicKey: string,
+  milestones: CharterMilestone[],
+  scopeIn: string[]
+) {
+  const milestoneFields = milestones
+    .map((milestone) =>
+      buildMilestoneFields(projectKey, epicKey, milestone, context.issueTypes.task)
+    )
+    .filter((fields): fields is JiraIssueFields => fields !== null);
+  const scopeFields = scopeIn.map((item) =>
+    buildScopeFields(projectKey, epicKey, item, context.issueTypes.task)
+  );
+
+  const created = await context.client.createIssues([...milestoneFields, ...scopeFields]);
+  return {
+    milestones: summarizeCreated(created.slice(0, milestoneFields.length)),
+    scope: summarizeCreated(created.slice(milestoneFields.length)),
+    failed: countFailed(created),
+  };
+}
+
+async function createRiskIssues(
+  context: ToolContext,
+  projectKey: string,
+  epicKey: string,
+  risks: string[]
+) {
+  const created = await context.client.createIssues(
+    risks.map((risk) => buildRiskFields(projectKey, epicKey, risk, context.issueTypes.risk))
+  );
+  return { risks: summarizeCreated(created), failed: countFailed(created) };
+}
+
+// ============================================================================
+// Handlers
+// ============================================================================
+
+/**
+ * Handle epic creation
+ */
+export async function handleCreateEpic(
+  args: Record<string, unknown>,
+  context: ToolContext
+): Promise<ToolResponse> {
+  const charter = (args.charter ?? {}) as CharterInput;
+  const projectKey = resolveProjectKey(args, context);
+
+  if (!projectKey) {
+    return error("projectKey is required (or set JIRA_PROJECT_KEY)");
+  }
+  if (!clean(charter.project_name)) {
+    return error("charter.project_name is required");
+  }
+
+  const epic = await context.client.createIssue(
+    buildEpicFields(projectKey, charter, context.issueTypes.epic)
+  );
+  return success({ epicKey: epic.key, epicId: epic.id, projectKey });
+}
+
+/**
+ * Handle child issue creation for milestones and scope
+ */
+export async function handleCreateChildIssues(
+  args: Record<string, unknown>,
+  context: ToolContext
+): Promise<ToolResponse> {
+  const epicKey = clean(args.epicKey);
+  if (!epicKey) {
+    return error("epicKey is required");
+  }
+  const projectKey = resolveProjectKey(args, context) || projectKeyFromIssue(epicKey);
+  const milestones = Array.isArray(args.milestones) ? (args.milestones as CharterMilestone[]) : [];
+  const scopeIn = cleanList(args.scopeIn);
+
+  if (milestones.length === 0 && scopeIn.length === 0) {
+    return error("milestones or scopeIn must contain at least one item");
+  }
+
+  const result = await createChildIssues(context, projectKey, epicKey, milestones, scopeIn);
+  return success({ epicKey, ...result });
+}
+
+/**
+ * Handle risk issue creation
+ */
+export async function handleCreateRiskIssues(
+  args: Record<string, unknown>,
+  context: ToolContext
+): Promise<ToolResponse> {
+  const epicKey = clean(args.epicKey);
+  if (!epicKey) {
+    return error("epicKey is required");
+  }
+  const risks = cleanList(args.risks);
+  if (risks.length === 0) {
+    return error("risks must contain at least one item");
+  }
+  const projectKey = resolveProjectKey(args, context) || projectKeyFromIssue(epicKey);
+
+  const result = await createRiskIssues(context, projectKey, epicKey, risks);
+  return success({ epicKey, ...result });
+}
+
+/**
+ * Handle pushing a full charter: epic, child issues, and risks
+ */
+export async function handlePushCharter(
+  args: Record<string, unknown>,
+  context: ToolContext
+): Promise<ToolResponse> {
+  const charter = (args.charter ?? {}) as CharterInput;
+  const projectKey = resolveProjectKey(args, context);
+
+  if (!projectKey) {
+    return error("projectKey is required (or set JIRA_PROJECT_KEY)");
+  }
+  if (!clean(charter.project_name)) {
+    return error("charter.project_name is required");
+  }
+
+  const epic = await context.client.createIssue(
+    buildEpicFields(projectKey, charter, context.issueTypes.epic)
+  );
+
+  const milestones = Array.isArray(charter.milestones) ? charter.milestones : [];
+  const scopeIn = args.includeScope === false ? [] : cleanList(charter.scope_in);
+  const risks = args.includeRisks === false ? [] : cleanList(charter.risks);
+
+  const children =
+    milestones.length > 0 || scopeIn.length > 0
+      ? await createChildIssues(context, projectKey, epic.key, milestones, scopeIn)
+      : { milestones: [], scope: [], failed: 0 };
+  const riskResult =
+    risks.length > 0
+      ? await createRiskIssues(context, projectKey, epic.key, risks)
+      : { risks: [], failed: 0 };
+
+  return success({
+    epicKey: epic.key,
+    epicId: epic.id,
+    projectKey,
+    milestones: children.milestones,
+    scope: children.scope,
+    risks: riskResult.risks,
+    failed: children.failed + riskResult.failed,
+  });
+}
+
+function statusOf(issue: JiraIssue) {
+  const status = issue.fields?.status;
+  const statusCategory = status?.statusCategory?.key ?? "new";
+  return {
+    status: status?.name ?? null,
+    statusCategory,
+    done: statusCategory === "done",
+  };
+}
+
+function progressOf(entries: Array<{ done: boolean }>) {
+  const done = entries.filter((entry) => entry.done).length;
+  return {
+    done,
+    total: entries.length,
+    percent: entries.length === 0 ? 0 : Math.round((done / entries.length) * 100),
+  };
+}
+
+/**
+ * Handle reading epic status back into charter shape
+ */
+export async function handleGetEpicStatus(
+  args: Record<string, unknown>,
+  context: ToolContext
+): Promise<ToolResponse> {
+  const epicKey = clean(args.epicKey);
+  if (!epicKey) {
+    return error("epicKey is required");
+  }
+  // The key is interpolated into JQL below
+  if (!ISSUE_KEY_PATTERN.test(epicKey)) {
+    return error(`Invalid issue key: ${epicKey.slice(0, 50)}`);
+  }
+
+  const epic = await context.client.getIssue(epicKey);
+  const children = await context.client.searchIssues(`parent = "${epicKey}" ORDER BY created ASC`);
+
+  const milestones = [];
+  const scope = [];
+  const risks = [];
+  for (const issue of children) {
+    const labels = issue.fields?.labels ?? [];
+    const summary = issue.fields?.summary ?? "";
+    if (labels.includes(JIRA_LABELS.MILESTONE)) {
+      milestones.push({
+        issueKey: issue.key,
+        ...parseMilestoneSummary(summary),
+        date: issue.fields?.duedate ?? "",
+        ...statusOf(issue),
+      });
+    } else if (labels.includes(JIRA_LABELS.RISK)) {
+      risks.push({ issueKey: issue.key, summary, ...statusOf(issue) });
+    } else {
+      scope.push({ issueKey: issue.key, summary, ...statusOf(issue) });
+    }
+  }
+
+  return success({
+    epic: {
+      key: epic.key,
+      summary: epic.fields?.summary ?? "",
+      ...statusOf(epic),
+    },
+    milestones,
+    scope,
+    risks,
+    progress: {
+      milestones: progressOf(milestones),
+      scope: progressOf(scope),
+      openRisks: risks.filter((risk) => !risk.done).length,
+    },
+  });
+}
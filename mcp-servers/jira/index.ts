@@ -0,0 +1,322 @@
+/**
+ * Jira MCP Server
+ *
+ * Provides MCP tools for pushing project charters into Jira: an epic per
+ * charter, child issues for milestones and in-scope items, risk issues for
+ * charter risks, and a status read-back for milestone progress.
+ */
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+import { jiraTools, JIRA_LIMITS } from "./tools.js";
+import * as handlers from "./handlers.js";
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface JiraIssueFields {
+  project: { key: string };
+  issuetype: { name: string };
+  summary: string;
+  description?: Record<string, unknown>;
+  parent?: { key: string };
+  labels?: string[];
+  duedate?: string;
+}
+
+export interface JiraIssue {
+  id: string;
+  key: string;
+  fields?: {
+    summary?: string;
+    labels?: string[];
+    duedate?: string | null;
+    status?: {
+      name?: string;
+      statusCategory?: { key?: string };
+    };
+  };
+}
+
+export interface JiraClientConfig {
+  /** Site URL, e.g. https://your-org.atlassian.net */
+  baseUrl: string;
+  /** Account email for Jira Cloud basic auth; omit to send apiToken as a bearer PAT */
+  email?: string;
+  apiToken: string;
+}
+
+/**
+ * Context passed to tool handlers
+ */
+export interface ToolContext {
+  client: JiraClient;
+  defaultProjectKey?: string;
+  issueTypes: {
+    epic: string;
+    task: string;
+    risk: string;
+  };
+}
+
+// ============================================================================
+// Security: Error Sanitization (MED-06)
+// ============================================================================
+
+/**
+ * MED-06: Sanitize Jira API error messages
+ * Returns a generic error message to avoid leaking sensitive details
+ */
+function sanitizeJiraError(status: number, _errorBody: string): string {
+  const statusMessages: Record<number, string> = {
+    400: "Invalid request to Jira API (check project key and issue types)",
+    401: "Jira authentication failed",
+    403: "Access denied to Jira resource",
+    404: "Jira resource not found",
+    429: "Jira rate limit exceeded - please wait and retry",
+    500: "Jira service error",
+    502: "Jira bad gateway",
+    503: "Jira service unavailable",
+  };
+
+  return statusMessages[status] || `Jira API error (${status})`;
+}
+
+// ============================================================================
+// Jira API Client
+// ============================================================================
+
+const ISSUE_FIELDS = ["summary", "status", "labels", "duedate"];
+
+/**
+ * Jira REST v3 client
+ */
+export class JiraClient {
+  private baseUrl: string;
+  private authorization: string;
+  private fetchImpl: typeof fetch;
+
+  constructor(config: JiraClientConfig, fetchImpl: typeof fetch = fetch) {
+    this.baseUrl = config.baseUrl.replace(/\/+$/, "");
+    this.authorization = config.email
+      ? `Basic ${Buffer.from(`${config.email}:${config.apiToken}`).toString("base64")}`
+      : `Bearer ${config.apiToken}`;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async request(endpoint: string, options: RequestInit = {}): Promise<unknown> {
+    const response = await this.fetchImpl(`${this.baseUrl}/rest/api/3${endpoint}`, {
+      ...options,
+      headers: {
+        Authorization: this.authorization,
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        ...options.headers,
+      },
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(sanitizeJiraError(response.status, errorBody));
+    }
+
+    return response.json();
+  }
+
+  async createIssue(fields: JiraIssueFields): Promise<JiraIssue> {
+    return (await this.request("/issue", {
+      method: "POST",
+      body: JSON.stringify({ fields }),
+    })) as JiraIssue;
+  }
+
+  /**
+   * Create issues in bulk batches. The result is aligned with the input:
+   * entries Jira rejected are null.
+   */
+  async createIssues(fieldsList: JiraIssueFields[]): Promise<Array<JiraIssue | null>> {
+    const results: Array<JiraIssue | null> = [];
+
+    for (let start = 0; start < fieldsList.length; start += JIRA_LIMITS.MAX_BULK_ISSUES) {
+      const batch = fieldsList.slice(start, start + JIRA_LIMITS.MAX_BULK_ISSUES);
+      const result = (await this.request("/issue/bulk", {
+        method: "POST",
+        body: JSON.stringify({ issueUpdates: batch.map((fields) => ({ fields })) }),
+      })) as { issues?: JiraIssue[]; errors?: Array<{ failedElementNumber?: number }> };
+
+      // Created issues come back in request order, skipping failed elements
+      const failedElements = new Set((result.errors ?? []).map((entry) => entry.failedElementNumber));
+      const created = [...(result.issues ?? [])];
+      for (let index = 0; index < batch.length; index += 1) {
+        results.push(failedElements.has(index) ? null : created.shift() ?? null);
+      }
+    }
+
+    return results;
+  }
+
+  async getIssue(issueKey: string): Promise<JiraIssue> {
+    const params = new URLSearchParams({ fields: ISSUE_FIELDS.join(",") });
+    return (await this.request(
+      `/issue/${encodeURIComponent(issueKey)}?${params.toString()}`
+    )) as JiraIssue;
+  }
+
+  /**
+   * Run a JQL search, following pages up to MAX_STATUS_RESULTS issues
+   */
+  async searchIssues(jql: string): Promise<JiraIssue[]> {
+    const issues: JiraIssue[] = [];
+    let nextPageToken: string | undefined;
+
+    do {
+      const params = new URLSearchParams({
+        jql,
+        fields: ISSUE_FIELDS.join(","),
+        maxResults: String(Math.min(100, JIRA_LIMITS.MAX_STATUS_RESULTS - issues.length)),
+      });
+      if (nextPageToken) {
+        params.set("nextPageToken", nextPageToken);
+      }
+      const page = (await this.request(`/search/jql?${params.toString()}`)) as {
+        issues?: JiraIssue[];
+        nextPageToken?: string;
+      };
+      issues.push(...(page.issues ?? []));
+      nextPageToken = page.nextPageToken;
+    } while (nextPageToken && issues.length < JIRA_LIMITS.MAX_STATUS_RESULTS);
+
+    return issues;
+  }
+}
+
+// ============================================================================
+// Server Implementation
+// ============================================================================
+
+/**
+ * Create the Jira MCP server
+ */
+export function createServer(context: ToolContext): Server {
+  const server = new Server(
+    {
+      name: "jira",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+
+  // List available tools
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: jiraTools };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+
+    try {
+      switch (name) {
+        case "jira_push_charter":
+          return await handlers.handlePushCharter(args, context);
+
+        case "jira_get_epic_status":
+          return await handlers.handleGetEpicStatus(args, context);
+
+        case "jira_create_epic":
+          return await handlers.handleCreateEpic(args, context);
+
+        case "jira_create_child_issues":
+          return await handlers.handleCreateChildIssues(args, context);
+
+        case "jira_create_risk_issues":
+          return await handlers.handleCreateRiskIssues(args, context);
+
+        default:
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify({ error: `Unknown tool: ${name}` }),
+              },
+            ],
+            isError: true,
+          };
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`Tool ${name} error:`, errorMessage);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              error: errorMessage,
+              tool: name,
+            }),
+          },
+        ],
+        isError: true,
+      };
+    }
+  });
+
+  return server;
+}
+
+// ============================================================================
+// Main Entry Point
+// ============================================================================
+
+async function main() {
+  const baseUrl = process.env.JIRA_BASE_URL;
+  const apiToken = process.env.JIRA_API_TOKEN;
+
+  if (!baseUrl || !apiToken) {
+    console.error("JIRA_BASE_URL and JIRA_API_TOKEN environment variables are required");
+    process.exit(1);
+  }
+
+  const context: ToolContext = {
+    client: new JiraClient({ baseUrl, apiToken, email: process.env.JIRA_EMAIL || undefined }),
+    defaultProjectKey: process.env.JIRA_PROJECT_KEY || undefined,
+    issueTypes: {
+      epic: process.env.JIRA_EPIC_ISSUE_TYPE || "Epic",
+      task: process.env.JIRA_TASK_ISSUE_TYPE || "Task",
+      risk: process.env.JIRA_RISK_ISSUE_TYPE || "Risk",
+    },
+  };
+
+  const server = createServer(context);
+  const transport = new StdioServerTransport();
+
+  await server.connect(transport);
+
+  console.error("Jira MCP Server v1.0.0 running on stdio");
+}
+
+// Run if executed directly
+const isMainModule =
+  typeof process !== "undefined" &&
+  process.argv[1] &&
+  import.meta.url.endsWith(process.argv[1].replace(/\\/g, "/"));
+
+if (isMainModule) {
+  main().catch((error) => {
+    console.error("Server error:", error);
+    process.exit(1);
+  });
+}
+
+export default createServer;
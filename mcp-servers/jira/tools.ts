@@ -0,0 +1,213 @@
+/**
+ * Jira MCP Tool Definitions
+ *
+ * Tools for pushing a project charter into Jira as an epic with child issues
+ * for milestones and in-scope work, logging charter risks, and reading issue
+ * status back to refresh milestone progress.
+ */
+
+import type { Tool } from "@modelcontextprotocol/sdk/types.js";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const JIRA_LIMITS = {
+  /** Maximum issues created in one bulk request (Jira Cloud limit) */
+  MAX_BULK_ISSUES: 50,
+  /** Maximum child issues read back for an epic */
+  MAX_STATUS_RESULTS: 200,
+  /** Maximum summary length accepted by Jira */
+  MAX_SUMMARY_LENGTH: 255,
+};
+
+/**
+ * Labels applied to created issues so status reads can tell them apart
+ */
+export const JIRA_LABELS = {
+  CHARTER: "charter",
+  MILESTONE: "charter-milestone",
+  SCOPE: "charter-scope",
+  RISK: "charter-risk",
+};
+
+const charterSchema = {
+  type: "object",
+  description:
+    "Charter document fields (project_name, description, problem, vision, sponsor, project_lead, start_date, end_date, scope_in, milestones, risks)",
+  properties: {
+    project_name: { type: "string" },
+    description: { type: "string" },
+    problem: { type: "string" },
+    vision: { type: "string" },
+    sponsor: { type: "string" },
+    project_lead: { type: "string" },
+    start_date: { type: "string" },
+    end_date: { type: "string" },
+    scope_in: { type: "array", items: { type: "string" } },
+    milestones: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          phase: { type: "string" },
+          deliverable: { type: "string" },
+          date: { type: "string" },
+        },
+      },
+    },
+    risks: { type: "array", items: { type: "string" } },
+  },
+  required: ["project_name"],
+};
+
+const projectKeySchema = {
+  type: "string",
+  description: "Jira project key (e.g., 'PMO'). Defaults to JIRA_PROJECT_KEY when omitted.",
+};
+
+// ============================================================================
+// Convenience Tools (RECOMMENDED)
+// ============================================================================
+
+/**
+ * Push a whole charter in one call
+ */
+export const pushCharterTool: Tool = {
+  name: "jira_push_charter",
+  description:
+    "Push a project charter into Jira in one operation: creates an epic from the charter, child issues for each milestone and in-scope item, and risk issues for each risk. This is the RECOMMENDED tool when a user asks to send a charter to Jira. Returns the epic key and created issue keys.",
+  inputSchema: {
+    type: "object" as const,
+    properties: {
+      projectKey: projectKeySchema,
+      charter: charterSchema,
+      includeScope: {
+        type: "boolean",
+        default: true,
+        description: "Create child issues for scope_in items",
+      },
+      includeRisks: {
+        type: "boolean",
+        default: true,
+        description: "Create risk issues for risks",
+      },
+    },
+    required: ["charter"],
+  },
+};
+
+// ============================================================================
+// Write Tools
+// ============================================================================
+
+/**
+ * Create the epic for a charter
+ */
+export const createEpicTool: Tool = {
+  name: "jira_create_epic",
+  description:
+    "Create a Jira epic from a charter. The summary is the project name and the description carries the problem, vision, sponsor, lead, and dates.",
+  inputSchema: {
+    type: "object" as const,
+    properties: {
+      projectKey: projectKeySchema,
+      charter: charterSchema,
+    },
+    required: ["charter"],
+  },
+};
+
+/**
+ * Create child issues from milestones and scope
+ */
+export const createChildIssuesTool: Tool = {
+  name: "jira_create_child_issues",
+  description:
+    "Create child issues under an existing epic: one per charter milestone (due date set from the milestone date) and one per scope_in item.",
+  inputSchema: {
+    type: "object" as const,
+    properties: {
+      projectKey: projectKeySchema,
+      epicKey: {
+        type: "string",
+        description: "Key of the parent epic (e.g., 'PMO-42')",
+      },
+      milestones: charterSchema.properties.milestones,
+      scopeIn: {
+        type: "array",
+        items: { type: "string" },
+        description: "In-scope items from the charter's scope_in field",
+      },
+    },
+    required: ["epicKey"],
+  },
+};
+
+/**
+ * Log charter risks as risk issues
+ */
+export const createRiskIssuesTool: Tool = {
+  name: "jira_create_risk_issues",
+  description:
+    "Log charter risks as risk-type issues under an epic. Uses the JIRA_RISK_ISSUE_TYPE issue type (default 'Risk').",
+  inputSchema: {
+    type: "object" as const,
+    properties: {
+      projectKey: projectKeySchema,
+      epicKey: {
+        type: "string",
+        description: "Key of the parent epic (e.g., 'PMO-42')",
+      },
+      risks: {
+        type: "array",
+        items: { type: "string" },
+        description: "Risk statements from the charter's risks field",
+      },
+    },
+    required: ["epicKey", "risks"],
+  },
+};
+
+// ============================================================================
+// Read Tools
+// ============================================================================
+
+/**
+ * Read epic and child issue status
+ */
+export const getEpicStatusTool: Tool = {
+  name: "jira_get_epic_status",
+  description:
+    "Read the status of an epic and its child issues. Returns milestone progress in charter shape (phase, deliverable, date plus status and done) so the charter's milestones can be refreshed, along with scope and risk issue status.",
+  inputSchema: {
+    type: "object" as const,
+    properties: {
+      epicKey: {
+        type: "string",
+        description: "Key of the epic created for the charter (e.g., 'PMO-42')",
+      },
+    },
+    required: ["epicKey"],
+  },
+};
+
+// ============================================================================
+// Export All Tools
+// ============================================================================
+
+/**
+ * All Jira tools - ordered by recommended usage
+ */
+export const jiraTools: Tool[] = [
+  // Convenience tool (RECOMMENDED)
+  pushCharterTool,
+  // Read tools
+  getEpicStatusTool,
+  // Write operations
+  createEpicTool,
+  createChildIssuesTool,
+  createRiskIssuesTool,
+];
+
+export default jiraTools;
@@ -250,22 +250,25 @@ function enrichRowWithColumnNames(
 // ============================================================================
 
 /**
- * Smartsheet API client with caching for column mappings
+ * Smartsheet API client with caching for column mappings. Also used by the
+ * charter project plan export (server/charter/utils/smartsheetExport.js).
  */
-class SmartsheetClient {
+export class SmartsheetClient {
   private apiKey: string;
+  private fetchImpl: typeof fetch;
   private columnCache: Map<string, { columns: SheetColumn[]; timestamp: number }> = new Map();
   private static CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
-  constructor(apiKey: string) {
+  constructor(apiKey: string, fetchImpl: typeof fetch = fetch) {
     this.apiKey = apiKey;
+    this.fetchImpl = fetchImpl;
   }
 
   async request(
     endpoint: string,
     options: RequestInit = {}
   ): Promise<unknown> {
-    const response = await fetch(`${SMARTSHEET_API_BASE}${endpoint}`, {
+    const response = await this.fetchImpl(`${SMARTSHEET_API_BASE}${endpoint}`, {
       ...options,
       headers: {
         Authorization: `Bearer ${this.apiKey}`,
@@ -418,6 +421,79 @@ class SmartsheetClient {
     });
   }
 
+  /**
+   * Create a sheet from column definitions, or copy one with `fromId`
+   */
+  async createSheet(
+    sheet: {
+      name: string;
+      fromId?: string;
+      columns?: Array<{ title: string; type: string; primary?: boolean }>;
+    },
+    options: { folderId?: string } = {}
+  ): Promise<SheetData> {
+    const endpoint = options.folderId
+      ? `/folders/${encodeURIComponent(options.folderId)}/sheets`
+      : "/sheets";
+    const result = (await this.request(endpoint, {
+      method: "POST",
+      body: JSON.stringify(sheet),
+    })) as { result: SheetData };
+    return result.result;
+  }
+
+  /**
+   * Delete a sheet
+   */
+  async deleteSheet(sheetId: string): Promise<unknown> {
+    this.columnCache.delete(sheetId);
+    return this.request(`/sheets/${encodeURIComponent(sheetId)}`, {
+      method: "DELETE",
+    });
+  }
+
+  /**
+   * Add rows at the bottom of a sheet. The result is aligned with the input.
+   */
+  async addRows(
+    sheetId: string,
+    rows: Array<{ cells: Array<{ columnId: string; value: unknown }> }>
+  ): Promise<SheetRow[]> {
+    const result = (await this.request(`/sheets/${encodeURIComponent(sheetId)}/rows`, {
+      method: "POST",
+      body: JSON.stringify(rows.map((row) => ({ toBottom: true, ...row }))),
+    })) as { result?: SheetRow[] };
+    return result.result ?? [];
+  }
+
+  /**
+   * Update rows, letting rows that no longer exist fail individually. Failed
+   * rows are reported in `failedItems` by their index in `rows`.
+   */
+  async updateRows(
+    sheetId: string,
+    rows: Array<{ id: string; cells: Array<{ columnId: string; value: unknown }> }>
+  ): Promise<{ result?: SheetRow[]; failedItems?: Array<{ index: number }> }> {
+    return (await this.request(
+      `/sheets/${encodeURIComponent(sheetId)}/rows?allowPartialSuccess=true`,
+      {
+        method: "PUT",
+        body: JSON.stringify(rows),
+      }
+    )) as { result?: SheetRow[]; failedItems?: Array<{ index: number }> };
+  }
+
+  /**
+   * Delete rows, ignoring ids that are already gone
+   */
+  async deleteRows(sheetId: string, rowIds: string[]): Promise<unknown> {
+    const ids = rowIds.map((id) => encodeURIComponent(id)).join(",");
+    return this.request(
+      `/sheets/${encodeURIComponent(sheetId)}/rows?ids=${ids}&ignoreRowsNotFound=true`,
+      { method: "DELETE" }
+    );
+  }
+
   /**
    * Search sheets by name
    */
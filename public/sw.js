@@ -0,0 +1,122 @@
+/**
+ * App shell service worker.
+ *
+ * Precaches the shell and every built asset listed in
+ * precache-manifest.json (written by the Vite build) on install, so the
+ * first offline reload has the bundles the first visit loaded before the
+ * worker was registered. When the network is unavailable, navigations fall
+ * back to the cached index.html, assets (hashed under /assets/) are served
+ * from the cache, and templates are fetched fresh with the cached copy as
+ * a fallback.
+ * API calls are never cached; the page queues them while offline (see
+ * src/offline/offlineQueue.ts).
+ */
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `eva-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `eva-runtime-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/manifest.json",
+  "/favicon.ico",
+  "/favicon.png",
+  "/apple-touch-icon.png",
+];
+
+const PRECACHE_MANIFEST_URL = "/precache-manifest.json";
+
+async function loadBuildAssets() {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST_URL, { cache: "no-store" });
+    if (!response.ok) {
+      return [];
+    }
+    const urls = await response.json();
+    return Array.isArray(urls) ? urls.filter((url) => typeof url === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+async function precache() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+  const assets = (await loadBuildAssets()).filter((url) => !SHELL_URLS.includes(url));
+  if (assets.length > 0) {
+    await caches.open(RUNTIME_CACHE).then((runtime) => runtime.addAll(assets));
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(fallbackUrl ? SHELL_CACHE : RUNTIME_CACHE);
+      cache.put(fallbackUrl ?? request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(fallbackUrl ?? request);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "/index.html"));
+    return;
+  }
+
+  // Hashed build output never changes; templates can change per deploy
+  if (url.pathname.startsWith("/assets/") || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith("/templates/")) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Assigns owners to charters finalized before authentication was enabled.
+ * Unowned charters are closed to everyone but admins, so run this once when
+ * turning AUTH_MODE on.
+ *
+ *   node scripts/backfill-charter-owners.mjs [--apply] [--default-owner <email>] [--owners <file.json>]
+ *
+ * Each charter gets the owner listed for it in --owners ({ "<charterId>":
+ * "<email>" }), else the email that created its earliest finalized record,
+ * else --default-owner. Without --apply the plan is only printed.
+ */
+import { promises as fs } from 'fs';
+import process from 'process';
+
+import { backfillCharterOwners } from '../server/charter/utils/access.js';
+
+function parseArgs(argv) {
+  const options = { apply: false, defaultOwner: null, ownersFile: null };
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg === '--default-owner') {
+      options.defaultOwner = argv[++index] ?? null;
+    } else if (arg === '--owners') {
+      options.ownersFile = argv[++index] ?? null;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const { apply, defaultOwner, ownersFile } = parseArgs(process.argv.slice(2));
+  const owners = ownersFile ? JSON.parse(await fs.readFile(ownersFile, 'utf8')) : {};
+
+  const plan = await backfillCharterOwners({ apply, owners, defaultOwner });
+  for (const { charterId, owner, reason } of plan) {
+    const label = typeof owner === 'string' ? owner : owner ? owner.email ?? owner.id : '(none)';
+    console.log(`${charterId}\t${label}\t${reason}`);
+  }
+
+  const unresolved = plan.filter((entry) => !entry.owner).length;
+  console.log(
+    `${plan.length} charter(s) without an owner; ${apply ? 'assigned' : 'would assign'} ${
+      plan.length - unresolved
+    }.${unresolved ? ` ${unresolved} need --owners or --default-owner.` : ''}`
+  );
+  if (!apply && plan.length > unresolved) {
+    console.log('Dry run. Re-run with --apply to write the owners.');
+  }
+}
+
+main().catch((error) => {
+  console.error(error?.message ?? error);
+  process.exitCode = 1;
+});
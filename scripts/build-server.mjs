@@ -75,6 +75,7 @@ const mcpServers = [
   { name: 'exact-va', entry: 'mcp-servers/exact-va/index.ts' },
   { name: 'smartsheet', entry: 'mcp-servers/smartsheet/index.ts' },
   { name: 'office365', entry: 'mcp-servers/office365/index.ts' },
+  { name: 'jira', entry: 'mcp-servers/jira/index.ts' },
 ];
 
 for (const server of mcpServers) {
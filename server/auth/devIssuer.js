@@ -0,0 +1,92 @@
+/**
+ * Local Dev Token Issuer
+ *
+ * Issues and verifies HS256 tokens so the app can be run and tested with
+ * per-user identities without an identity provider. Refuses to run when
+ * NODE_ENV is "production".
+ *
+ * @module server/auth/devIssuer
+ */
+
+import { signJwtWithSecret, verifyJwtWithSecret } from "./jwt.js";
+
+export const DEV_ISSUER = "urn:exact-va:dev-issuer";
+export const DEV_AUDIENCE = "exact-va";
+
+/** Lifetime of issued dev tokens (8 hours) */
+const DEV_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+/** Secret used when AUTH_DEV_SECRET is not set */
+const FALLBACK_DEV_SECRET = "exact-va-local-dev-secret";
+
+export class DevIssuerError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "DevIssuerError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function resolveSecret(env) {
+  if (env.NODE_ENV === "production") {
+    throw new DevIssuerError(
+      "dev_issuer_disabled",
+      "The dev token issuer cannot be used when NODE_ENV=production",
+      403
+    );
+  }
+  return env.AUTH_DEV_SECRET?.trim() || FALLBACK_DEV_SECRET;
+}
+
+function clean(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Issue a dev token for a user
+ * @param {Object} user
+ * @param {string} user.sub - Stable user id
+ * @param {string} [user.email]
+ * @param {string} [user.name]
+ * @param {string[]} [user.roles]
+ * @param {Object} [options]
+ * @param {Object} [options.env]
+ * @param {number} [options.ttlSeconds]
+ * @returns {{ token: string, expiresAt: number, claims: Object }}
+ */
+export function issueDevToken(user, { env = process.env, ttlSeconds = DEV_TOKEN_TTL_SECONDS, now = Date.now() } = {}) {
+  const secret = resolveSecret(env);
+  const email = clean(user?.email).toLowerCase();
+  const sub = clean(user?.sub) || email;
+  if (!sub) {
+    throw new DevIssuerError("subject_required", "A user id (sub) or email is required");
+  }
+
+  const issuedAt = Math.floor(now / 1000);
+  const claims = {
+    iss: DEV_ISSUER,
+    aud: DEV_AUDIENCE,
+    sub,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds,
+    ...(email ? { email } : {}),
+    ...(clean(user?.name) ? { name: clean(user.name) } : {}),
+    ...(Array.isArray(user?.roles) && user.roles.length ? { roles: user.roles.map(clean).filter(Boolean) } : {}),
+  };
+  return { token: signJwtWithSecret(claims, secret), expiresAt: claims.exp, claims };
+}
+
+/**
+ * Verify a dev token
+ * @param {string} token
+ * @param {Object} [options]
+ * @returns {Object} Verified claims
+ */
+export function verifyDevToken(token, { env = process.env, now = Date.now() } = {}) {
+  return verifyJwtWithSecret(token, resolveSecret(env), {
+    issuer: DEV_ISSUER,
+    audience: DEV_AUDIENCE,
+    now,
+  });
+}
@@ -0,0 +1,296 @@
+/**
+ * Request Authentication
+ *
+ * Resolves the signed-in user for a request from a bearer JWT or the session
+ * cookie. AUTH_MODE selects the verifier:
+ *   off  – no identities; routes behave as before (default)
+ *   dev  – tokens from the local dev issuer (see devIssuer.js)
+ *   oidc – tokens from AUTH_OIDC_ISSUER, checked against its JWK set
+ *
+ * @module server/auth
+ */
+
+import { DEV_ISSUER, verifyDevToken } from "./devIssuer.js";
+import { JwtError, looksLikeJwt } from "./jwt.js";
+import { createOidcVerifier, OidcConfigurationError } from "./oidc.js";
+
+export const AUTH_MODES = ["off", "dev", "oidc"];
+
+/** Cookie the dev issuer sets and the verifier reads */
+export const DEFAULT_AUTH_COOKIE = "exactva_session";
+
+export class AuthError extends Error {
+  constructor(code, message, statusCode = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Active auth mode
+ * @param {Object} [env]
+ * @returns {"off"|"dev"|"oidc"}
+ */
+export function getAuthMode(env = process.env) {
+  const mode = (env.AUTH_MODE || "off").trim().toLowerCase();
+  if (!AUTH_MODES.includes(mode)) {
+    console.warn(`[Auth] Unknown AUTH_MODE "${mode}". Authentication is off.`);
+    return "off";
+  }
+  return mode;
+}
+
+export function isAuthEnabled(env = process.env) {
+  return getAuthMode(env) !== "off";
+}
+
+export function getAuthCookieName(env = process.env) {
+  return env.AUTH_COOKIE_NAME?.trim() || DEFAULT_AUTH_COOKIE;
+}
+
+function readCookie(req, name) {
+  if (req.cookies && typeof req.cookies[name] === "string") {
+    return req.cookies[name];
+  }
+  const header = req.headers?.cookie;
+  if (typeof header !== "string") {
+    return null;
+  }
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Identity token from the Authorization header or the session cookie.
+ * Bearer values that are not JWTs are left for API key auth.
+ * @param {Object} req
+ * @param {Object} [env]
+ * @returns {string|null}
+ */
+export function extractIdentityToken(req, env = process.env) {
+  const authHeader = req.headers?.authorization;
+  if (typeof authHeader === "string" && authHeader.trim().toLowerCase().startsWith("bearer ")) {
+    const candidate = authHeader.trim().slice(7).trim();
+    if (looksLikeJwt(candidate)) {
+      return candidate;
+    }
+  }
+  const cookie = readCookie(req, getAuthCookieName(env));
+  return looksLikeJwt(cookie) ? cookie : null;
+}
+
+function parseAudiences(value) {
+  return (value || "")
+    .split(",")
+    .map((audience) => audience.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Throws when the configured mode cannot verify tokens safely. OIDC without
+ * an issuer or audience would either fail every request or accept tokens
+ * minted for other clients of the same provider, so it refuses to load.
+ * @param {Object} [env]
+ */
+export function assertAuthConfiguration(env = process.env) {
+  if (getAuthMode(env) !== "oidc") {
+    return;
+  }
+  if (!env.AUTH_OIDC_ISSUER?.trim()) {
+    throw new OidcConfigurationError("AUTH_OIDC_ISSUER is required when AUTH_MODE=oidc");
+  }
+  if (parseAudiences(env.AUTH_OIDC_AUDIENCE).length === 0) {
+    throw new OidcConfigurationError("AUTH_OIDC_AUDIENCE is required when AUTH_MODE=oidc");
+  }
+}
+
+assertAuthConfiguration();
+
+let oidcVerifier = null;
+let oidcVerifierKey = null;
+let pinnedVerifier = null;
+
+function getOidcVerifier(env) {
+  if (pinnedVerifier) {
+    return pinnedVerifier;
+  }
+  const issuer = env.AUTH_OIDC_ISSUER?.trim();
+  const audience = env.AUTH_OIDC_AUDIENCE?.trim();
+  const jwksUri = env.AUTH_OIDC_JWKS_URI?.trim();
+  const key = [issuer, audience, jwksUri].join("|");
+  if (!oidcVerifier || oidcVerifierKey !== key) {
+    oidcVerifier = createOidcVerifier({
+      issuer,
+      audience: parseAudiences(audience),
+      jwksUri: jwksUri || undefined,
+    });
+    oidcVerifierKey = key;
+  }
+  return oidcVerifier;
+}
+
+/**
+ * Replaces the OIDC verifier (tests). Pass null to build it from the
+ * environment again.
+ */
+export function __setOidcVerifier(verifier) {
+  pinnedVerifier = verifier;
+}
+
+/**
+ * Roles a user can hold, and the env allowlist (comma separated emails or
+ * user ids) that grants each one in addition to the token's `roles` claim.
+ */
+export const AUTH_ROLES = {
+  admin: "AUTH_ADMINS",
+  author: "AUTH_AUTHORS",
+};
+
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.filter((item) => typeof item === "string");
+  }
+  return typeof value === "string" ? value.split(/[\s,]+/) : [];
+}
+
+function resolveRoles(claims, id, email, env) {
+  const roles = new Set();
+  for (const role of splitList(claims.roles)) {
+    const normalized = role.trim().toLowerCase();
+    if (Object.hasOwn(AUTH_ROLES, normalized)) {
+      roles.add(normalized);
+    }
+  }
+  for (const [role, envKey] of Object.entries(AUTH_ROLES)) {
+    const allowed = splitList(env[envKey]).map((item) => item.trim().toLowerCase());
+    if (allowed.includes(String(id).toLowerCase()) || (email && allowed.includes(email))) {
+      roles.add(role);
+    }
+  }
+  return [...roles];
+}
+
+/**
+ * Map verified claims to the identity attached to requests
+ * @param {Object} claims
+ * @param {Object} [env]
+ * @returns {{id: string, email: string|null, name: string|null, issuer: string, roles: string[]}}
+ */
+export function toIdentity(claims, env = process.env) {
+  const email = typeof claims.email === "string" ? claims.email.trim().toLowerCase() : "";
+  const name = claims.name ?? claims.preferred_username ?? null;
+  return {
+    id: claims.sub,
+    email: email || null,
+    name: typeof name === "string" && name.trim() ? name.trim() : null,
+    issuer: claims.iss ?? null,
+    roles: resolveRoles(claims, claims.sub, email, env),
+  };
+}
+
+/**
+ * Whether the identity holds any of the given roles. Admins hold every role.
+ * @param {Object|null} identity
+ * @param {string[]} roles
+ * @returns {boolean}
+ */
+export function hasRole(identity, roles) {
+  const held = Array.isArray(identity?.roles) ? identity.roles : [];
+  return held.includes("admin") || roles.some((role) => held.includes(role));
+}
+
+/**
+ * Throw a 403 AuthError unless the identity holds one of the roles. With
+ * AUTH_MODE=off there is no identity, so role-gated actions are refused.
+ * @param {Object|null} identity
+ * @param {string[]} roles
+ */
+export function requireRole(identity, roles) {
+  if (!hasRole(identity, roles)) {
+    throw new AuthError(
+      "forbidden",
+      `This action requires a signed-in user with the ${roles.join(" or ")} role`,
+      403
+    );
+  }
+}
+
+/**
+ * Resolve the signed-in user for a request and attach it as `req.user`.
+ * Returns null when auth is off, or when no token was sent and the route
+ * does not require one.
+ * @param {Object} req
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Reject requests without a token
+ * @param {Object} [options.env]
+ * @returns {Promise<Object|null>} Identity
+ */
+export async function authenticateRequest(req, { required = false, env = process.env } = {}) {
+  const mode = getAuthMode(env);
+  if (mode === "off") {
+    return null;
+  }
+  if (req.user?.id) {
+    return req.user;
+  }
+
+  const token = extractIdentityToken(req, env);
+  if (!token) {
+    if (required) {
+      throw new AuthError("unauthorized", "Sign-in required");
+    }
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = mode === "dev" ? verifyDevToken(token, { env }) : await getOidcVerifier(env).verify(token);
+  } catch (error) {
+    if (error instanceof JwtError || error?.name === "DevIssuerError") {
+      throw new AuthError(error.code, error.message, error.statusCode);
+    }
+    if (error?.name === "OidcConfigurationError") {
+      console.error("[Auth] OIDC verification unavailable:", error.message);
+      throw new AuthError("auth_unavailable", "Sign-in cannot be verified right now", 503);
+    }
+    throw error;
+  }
+
+  const identity = toIdentity(claims, env);
+  req.user = identity;
+  return identity;
+}
+
+/**
+ * Send the response for an AuthError (401 with a WWW-Authenticate
+ * challenge, or its own status). Returns false for other errors.
+ * @param {Object} res
+ * @param {Error} error
+ * @returns {boolean} Whether a response was sent
+ */
+export function sendAuthError(res, error) {
+  if (error?.name !== "AuthError") {
+    return false;
+  }
+  if (error.statusCode === 401) {
+    res.setHeader(
+      "WWW-Authenticate",
+      error.code === "unauthorized" ? "Bearer" : 'Bearer error="invalid_token"'
+    );
+  }
+  res.status(error.statusCode).json({ error: error.code, details: error.message });
+  return true;
+}
+
+export { DEV_ISSUER };
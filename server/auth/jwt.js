@@ -0,0 +1,239 @@
+/**
+ * JWT Verification
+ *
+ * Compact JWS (JWT) decoding, signature verification against JWKs or a
+ * shared secret, and registered-claim checks, using node:crypto only.
+ *
+ * @module server/auth/jwt
+ */
+
+import crypto from "crypto";
+
+/** Default allowance for clock skew between the issuer and this server */
+const DEFAULT_CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Signature algorithms accepted for asymmetric keys. `none` and symmetric
+ * algorithms are never accepted with a JWK, so a public key cannot be
+ * replayed as an HMAC secret.
+ */
+export const ASYMMETRIC_ALGORITHMS = {
+  RS256: { hash: "sha256", kty: "RSA" },
+  RS384: { hash: "sha384", kty: "RSA" },
+  RS512: { hash: "sha512", kty: "RSA" },
+  PS256: { hash: "sha256", kty: "RSA", pss: true },
+  PS384: { hash: "sha384", kty: "RSA", pss: true },
+  PS512: { hash: "sha512", kty: "RSA", pss: true },
+  ES256: { hash: "sha256", kty: "EC", ec: true },
+  ES384: { hash: "sha384", kty: "EC", ec: true },
+  ES512: { hash: "sha512", kty: "EC", ec: true },
+  EdDSA: { hash: null, kty: "OKP" },
+};
+
+export class JwtError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "JwtError";
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+export function base64UrlEncode(value) {
+  return Buffer.from(value)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/g, "");
+}
+
+function base64UrlDecode(segment) {
+  if (typeof segment !== "string" || !/^[A-Za-z0-9_-]*$/.test(segment)) {
+    throw new JwtError("malformed_token", "Token segment is not base64url");
+  }
+  return Buffer.from(segment, "base64url");
+}
+
+/**
+ * Whether a string has the shape of a compact JWT
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function looksLikeJwt(value) {
+  return typeof value === "string" && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/.test(value);
+}
+
+/**
+ * Decode a compact JWT without verifying it
+ * @param {string} token - Compact JWT
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ */
+export function decodeJwt(token) {
+  if (!looksLikeJwt(token)) {
+    throw new JwtError("malformed_token", "Token is not a compact JWT");
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = token.split(".");
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(headerSegment).toString("utf8"));
+    payload = JSON.parse(base64UrlDecode(payloadSegment).toString("utf8"));
+  } catch (error) {
+    if (error instanceof JwtError) {
+      throw error;
+    }
+    throw new JwtError("malformed_token", "Token header or payload is not JSON");
+  }
+  if (!header || typeof header !== "object" || !payload || typeof payload !== "object") {
+    throw new JwtError("malformed_token", "Token header or payload is not an object");
+  }
+  return {
+    header,
+    payload,
+    signingInput: `${headerSegment}.${payloadSegment}`,
+    signature: base64UrlDecode(signatureSegment),
+  };
+}
+
+/**
+ * Verify an HS256 signature with a shared secret
+ */
+function verifyHmac(decoded, secret) {
+  const expected = crypto.createHmac("sha256", secret).update(decoded.signingInput).digest();
+  return (
+    expected.length === decoded.signature.length &&
+    crypto.timingSafeEqual(expected, decoded.signature)
+  );
+}
+
+/**
+ * Verify an asymmetric signature against a JWK
+ */
+function verifyWithJwk(decoded, jwk) {
+  const algorithm = ASYMMETRIC_ALGORITHMS[decoded.header.alg];
+  if (!algorithm || jwk?.kty !== algorithm.kty) {
+    return false;
+  }
+  if (jwk.alg && jwk.alg !== decoded.header.alg) {
+    return false;
+  }
+
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+  } catch {
+    return false;
+  }
+
+  const verifyKey = algorithm.pss
+    ? {
+        key,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+      }
+    : algorithm.ec
+      ? { key, dsaEncoding: "ieee-p1363" }
+      : key;
+
+  try {
+    return crypto.verify(algorithm.hash, Buffer.from(decoded.signingInput), verifyKey, decoded.signature);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check exp/nbf/iss/aud claims
+ * @param {Object} payload - Decoded claims
+ * @param {Object} options
+ * @param {string} [options.issuer] - Required `iss`
+ * @param {string|string[]} [options.audience] - Accepted `aud` values
+ * @param {number} [options.clockToleranceSeconds]
+ * @param {number} [options.now] - Current time in ms
+ */
+export function assertJwtClaims(
+  payload,
+  { issuer, audience, clockToleranceSeconds = DEFAULT_CLOCK_TOLERANCE_SECONDS, now = Date.now() } = {}
+) {
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (!Number.isFinite(payload.exp)) {
+    throw new JwtError("invalid_token", "Token has no expiry");
+  }
+  if (payload.exp + clockToleranceSeconds <= nowSeconds) {
+    throw new JwtError("token_expired", "Token has expired");
+  }
+  if (Number.isFinite(payload.nbf) && payload.nbf - clockToleranceSeconds > nowSeconds) {
+    throw new JwtError("invalid_token", "Token is not valid yet");
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new JwtError("invalid_token", "Token issuer is not trusted");
+  }
+  if (audience) {
+    const accepted = Array.isArray(audience) ? audience : [audience];
+    const provided = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!provided.some((value) => accepted.includes(value))) {
+      throw new JwtError("invalid_token", "Token audience is not accepted");
+    }
+  }
+  if (typeof payload.sub !== "string" || !payload.sub.trim()) {
+    throw new JwtError("invalid_token", "Token has no subject");
+  }
+}
+
+/**
+ * Verify a JWT signed with an asymmetric key from a JWK set
+ * @param {string} token - Compact JWT
+ * @param {Object} options
+ * @param {(header: Object) => Promise<Object[]>} options.getKeys - Candidate JWKs for the token header
+ * @param {string[]} [options.algorithms] - Allowed `alg` values
+ * @returns {Promise<Object>} Verified claims
+ */
+export async function verifyJwtWithKeys(token, { getKeys, algorithms, ...claimOptions }) {
+  const decoded = decodeJwt(token);
+  const alg = decoded.header.alg;
+  const allowed = algorithms ?? Object.keys(ASYMMETRIC_ALGORITHMS);
+  if (!ASYMMETRIC_ALGORITHMS[alg] || !allowed.includes(alg)) {
+    throw new JwtError("invalid_token", `Token algorithm "${alg}" is not accepted`);
+  }
+
+  const keys = await getKeys(decoded.header);
+  if (!keys.some((jwk) => verifyWithJwk(decoded, jwk))) {
+    throw new JwtError("invalid_signature", "Token signature is invalid");
+  }
+
+  assertJwtClaims(decoded.payload, claimOptions);
+  return decoded.payload;
+}
+
+/**
+ * Verify an HS256 JWT signed with a shared secret
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared secret
+ * @param {Object} [claimOptions] - See assertJwtClaims
+ * @returns {Object} Verified claims
+ */
+export function verifyJwtWithSecret(token, secret, claimOptions = {}) {
+  const decoded = decodeJwt(token);
+  if (decoded.header.alg !== "HS256") {
+    throw new JwtError("invalid_token", `Token algorithm "${decoded.header.alg}" is not accepted`);
+  }
+  if (!verifyHmac(decoded, secret)) {
+    throw new JwtError("invalid_signature", "Token signature is invalid");
+  }
+  assertJwtClaims(decoded.payload, claimOptions);
+  return decoded.payload;
+}
+
+/**
+ * Sign an HS256 JWT
+ * @param {Object} payload - Claims
+ * @param {string} secret - Shared secret
+ * @returns {string} Compact JWT
+ */
+export function signJwtWithSecret(payload, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64UrlEncode(JSON.stringify(payload));
+  const signature = crypto.createHmac("sha256", secret).update(`${header}.${body}`).digest();
+  return `${header}.${body}.${base64UrlEncode(signature)}`;
+}
@@ -0,0 +1,129 @@
+/**
+ * OIDC Token Verifier
+ *
+ * Verifies ID or access tokens from an OpenID Connect provider. The JWK set
+ * is located through the issuer's discovery document (or AUTH_OIDC_JWKS_URI)
+ * and cached; an unknown `kid` triggers one refetch so key rotation is
+ * picked up without a restart.
+ *
+ * @module server/auth/oidc
+ */
+
+import { JwtError, verifyJwtWithKeys } from "./jwt.js";
+
+/** How long a fetched JWK set is trusted */
+const JWKS_CACHE_TTL_MS = 10 * 60_000;
+
+/** Minimum gap between refetches triggered by unknown key ids */
+const JWKS_REFRESH_COOLDOWN_MS = 30_000;
+
+export class OidcConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OidcConfigurationError";
+    this.statusCode = 503;
+  }
+}
+
+async function fetchJson(fetchImpl, url) {
+  const response = await fetchImpl(url, { headers: { Accept: "application/json" } });
+  if (!response.ok) {
+    throw new OidcConfigurationError(`OIDC request to ${new URL(url).origin} failed (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Create a verifier for one issuer
+ * @param {Object} options
+ * @param {string} options.issuer - Expected `iss`, also the discovery base URL
+ * @param {string|string[]} options.audience - Accepted `aud` values
+ * @param {string} [options.jwksUri] - Skip discovery and use this JWK set
+ * @param {string[]} [options.algorithms] - Allowed signature algorithms
+ * @param {typeof fetch} [options.fetchImpl]
+ * @returns {{ verify: (token: string) => Promise<Object> }}
+ */
+export function createOidcVerifier({
+  issuer,
+  audience,
+  jwksUri,
+  algorithms,
+  fetchImpl = fetch,
+  now = () => Date.now(),
+}) {
+  if (!issuer) {
+    throw new OidcConfigurationError("AUTH_OIDC_ISSUER is required for OIDC authentication");
+  }
+  const audiences = (Array.isArray(audience) ? audience : [audience]).filter(
+    (value) => typeof value === "string" && value.trim()
+  );
+  if (audiences.length === 0) {
+    throw new OidcConfigurationError("AUTH_OIDC_AUDIENCE is required for OIDC authentication");
+  }
+
+  let resolvedJwksUri = jwksUri || null;
+  let cachedKeys = null;
+  let cachedAt = 0;
+  let pending = null;
+
+  async function resolveJwksUri() {
+    if (resolvedJwksUri) {
+      return resolvedJwksUri;
+    }
+    const discovery = await fetchJson(
+      fetchImpl,
+      `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`
+    );
+    if (discovery?.issuer !== issuer) {
+      throw new OidcConfigurationError("OIDC discovery document names a different issuer");
+    }
+    if (typeof discovery.jwks_uri !== "string") {
+      throw new OidcConfigurationError("OIDC discovery document has no jwks_uri");
+    }
+    resolvedJwksUri = discovery.jwks_uri;
+    return resolvedJwksUri;
+  }
+
+  async function loadKeys() {
+    if (!pending) {
+      pending = (async () => {
+        const jwks = await fetchJson(fetchImpl, await resolveJwksUri());
+        cachedKeys = Array.isArray(jwks?.keys) ? jwks.keys : [];
+        cachedAt = now();
+        return cachedKeys;
+      })().finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  async function getKeys(header) {
+    const age = now() - cachedAt;
+    let keys = cachedKeys && age < JWKS_CACHE_TTL_MS ? cachedKeys : await loadKeys();
+    const matches = (candidates) =>
+      candidates.filter((jwk) => (jwk.use ?? "sig") === "sig" && (!header.kid || jwk.kid === header.kid));
+
+    if (matches(keys).length === 0 && now() - cachedAt >= JWKS_REFRESH_COOLDOWN_MS) {
+      keys = await loadKeys();
+    }
+    const candidates = matches(keys);
+    if (candidates.length === 0) {
+      throw new JwtError("invalid_signature", "No signing key matches the token");
+    }
+    return candidates;
+  }
+
+  return {
+    issuer,
+    async verify(token) {
+      return verifyJwtWithKeys(token, {
+        getKeys,
+        algorithms,
+        issuer,
+        audience: audiences,
+        now: now(),
+      });
+    },
+  };
+}
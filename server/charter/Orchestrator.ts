@@ -7,10 +7,27 @@ import {
   type GuidedEvent,
   type GuidedState,
 } from "../../src/features/charter/guidedState";
-import { CHARTER_FIELDS, type CharterField, type CharterFieldId } from "../../src/features/charter/schema";
+import { type CharterFieldId } from "../../src/features/charter/schema";
 import { guidedStateToCharterDTO, type CharterDTO, type CharterDTOValue } from "../../src/features/charter/persist";
-import { SYSTEM_PROMPT } from "../../src/features/charter/prompts";
+import { SYSTEM_PROMPT, getSystemPrompt } from "../../src/features/charter/prompts";
 import { getTitleCandidate } from "../../src/features/charter/titlePreprocessor";
+import {
+  extractCommand,
+  findFieldId,
+  formatFieldPrompt,
+  getFieldName,
+  interpretConfirmation,
+  type GuidedCommand,
+} from "../../src/features/charter/guidedCopy";
+import { localizeCharterField } from "../../src/features/charter/fieldTranslations";
+import {
+  formatList,
+  normalizeLocale,
+  resolveLocale,
+  translate,
+  type MessageKey,
+  type TranslationParams,
+} from "../../src/lib/i18n/translate";
 import {
   extractFieldsFromUtterance,
   type CharterExtractionRequest,
@@ -20,14 +37,11 @@ import {
 type StateEmitter = (state: GuidedState) => void;
 type AssistantEmitter = (message: string) => void;
 
-export type Command =
-  | { type: "skip" }
-  | { type: "back" }
-  | { type: "review" }
-  | { type: "edit"; target?: string };
+export type Command = GuidedCommand;
 
 interface SessionContext {
   state: GuidedState;
+  locale: string;
   completionNotified: boolean;
   pendingMessages: string[];
   pendingToolFields: Partial<Record<CharterFieldId, CharterDTOValue>>;
@@ -49,6 +63,8 @@ export interface InteractionOptions {
   correlationId?: string | null;
   emitAssistantMessage?: AssistantEmitter;
   emitState?: StateEmitter;
+  /** Session language; set on start and kept until another supported locale is sent. */
+  locale?: string | null;
 }
 
 export interface InteractionResult {
@@ -89,75 +105,8 @@ function normalizeWhitespace(value: string) {
   return value.replace(/\s+/g, " ").trim();
 }
 
-function extractCommand(raw: string): Command | null {
-  const trimmed = raw.trim();
-  if (!trimmed) return null;
-  const normalized = trimmed.replace(/^\/+/, "");
-  const lower = normalized.toLowerCase();
-
-  if (lower === "skip" || lower === "skip field") {
-    return { type: "skip" };
-  }
-
-  if (lower === "back" || lower === "go back") {
-    return { type: "back" };
-  }
-
-  if (lower === "review" || lower === "review progress" || lower === "review summary") {
-    return { type: "review" };
-  }
-
-  if (lower.startsWith("edit")) {
-    const target = normalized.slice(4).trim();
-    return { type: "edit", target: target || undefined };
-  }
-
-  return null;
-}
-
-const APPROVAL_RESPONSES = new Set([
-  "yes",
-  "y",
-  "yeah",
-  "yep",
-  "sure",
-  "correct",
-  "that's correct",
-  "thats correct",
-  "sounds good",
-  "looks good",
-  "ok",
-  "okay",
-  "confirm",
-  "save",
-]);
-
-const REJECTION_RESPONSES = new Set([
-  "no",
-  "n",
-  "nope",
-  "nah",
-  "don't",
-  "dont",
-  "reject",
-  "not correct",
-  "that's wrong",
-  "thats wrong",
-  "change it",
-]);
-
-function interpretConfirmation(raw: string): "approve" | "reject" | null {
-  const normalized = normalizeWhitespace(raw).toLowerCase();
-  if (!normalized) {
-    return null;
-  }
-  if (APPROVAL_RESPONSES.has(normalized)) {
-    return "approve";
-  }
-  if (REJECTION_RESPONSES.has(normalized)) {
-    return "reject";
-  }
-  return null;
+function t(session: SessionContext, key: MessageKey, params?: TranslationParams): string {
+  return translate(session.locale, key, params);
 }
 
 function formatRecord(record: Record<string, string | null>): string {
@@ -205,52 +154,6 @@ function formatFieldValue(value: FieldValue | null): string {
   return normalizeWhitespace(String(value));
 }
 
-function formatFieldPrompt(field: CharterField, fieldState: FieldValue | null): string {
-  const parts: string[] = [];
-  const statusLabel = field.required ? "required" : "optional";
-  parts.push(`${field.label} (${statusLabel}).`);
-  if (field.question) {
-    parts.push(field.question);
-  }
-  if (field.helpText) {
-    parts.push(field.helpText);
-  }
-  if (field.example) {
-    parts.push(`Example: ${field.example}.`);
-  } else if (field.placeholder) {
-    parts.push(`Example: ${field.placeholder}.`);
-  }
-  const existing = formatFieldValue(fieldState);
-  if (existing) {
-    parts.push(`Current answer: ${existing}.`);
-  }
-  parts.push('Share your response or type "skip" to move on.');
-  return parts.join(" ").replace(/\s+/g, " ").trim();
-}
-
-function findFieldId(raw: string | undefined): CharterFieldId | null {
-  if (!raw) {
-    return null;
-  }
-  const normalized = raw.trim().toLowerCase();
-  if (!normalized) {
-    return null;
-  }
-  const collapsed = normalized.replace(/[^a-z0-9]/g, "");
-  for (const field of CHARTER_FIELDS) {
-    const idNormalized = field.id.toLowerCase();
-    if (idNormalized === normalized || idNormalized === collapsed) {
-      return field.id;
-    }
-    const labelNormalized = field.label.toLowerCase();
-    const labelCollapsed = labelNormalized.replace(/[^a-z0-9]/g, "");
-    if (labelNormalized === normalized || labelCollapsed === collapsed) {
-      return field.id;
-    }
-  }
-  return null;
-}
-
 function isStateActive(state: GuidedState): boolean {
   return state.status !== "idle" && state.status !== "complete";
 }
@@ -276,6 +179,7 @@ function requireConversationId(conversationId: string): string {
 function createSessionContext(): SessionContext {
   return {
     state: createInitialGuidedState(),
+    locale: normalizeLocale(null),
     completionNotified: false,
     pendingMessages: [],
     pendingToolFields: {},
@@ -360,7 +264,7 @@ function promptCurrentFieldInternal(
       sendAssistantMessage(
         session,
         options,
-        "That covers every section. I’ve saved your charter responses—you can review or edit any field with \"edit <field name>\".",
+        t(session, "guided.complete"),
       );
     }
     return;
@@ -370,7 +274,8 @@ function promptCurrentFieldInternal(
   const fieldState = getCurrentFieldState(state);
   const prompt = formatFieldPrompt(
     currentField,
-    fieldState?.confirmedValue ?? fieldState?.value ?? null,
+    formatFieldValue(fieldState?.confirmedValue ?? fieldState?.value ?? null),
+    session.locale,
   );
   sendAssistantMessage(session, options, prompt);
 }
@@ -382,11 +287,11 @@ function handleSkip(
   const { state } = session;
   const field = getCurrentField(state);
   if (!field) {
-    sendAssistantMessage(session, options, "All charter fields are already complete.");
+    sendAssistantMessage(session, options, t(session, "guided.alreadyComplete"));
     return true;
   }
-  const name = field.reviewLabel ?? field.label;
-  sendAssistantMessage(session, options, `Skipping ${name}.`);
+  const name = getFieldName(field, session.locale);
+  sendAssistantMessage(session, options, t(session, "guided.skipping", { name }));
   dispatch(session, { type: "SKIP", fieldId: field.id, reason: "user-skipped" }, options);
   promptCurrentFieldInternal(session, options);
   return true;
@@ -400,14 +305,14 @@ function handleBack(
   dispatch(session, { type: "BACK" }, options);
   const current = getCurrentField(session.state);
   if (!current) {
-    sendAssistantMessage(session, options, "We’re at the beginning of the charter questions.");
+    sendAssistantMessage(session, options, t(session, "guided.atBeginning"));
     return true;
   }
-  const name = current.reviewLabel ?? current.label;
+  const name = getFieldName(current, session.locale);
   if (before && before.id === current.id) {
-    sendAssistantMessage(session, options, `You’re already focused on ${name}.`);
+    sendAssistantMessage(session, options, t(session, "guided.alreadyFocused", { name }));
   } else {
-    sendAssistantMessage(session, options, `Let’s revisit ${name}.`);
+    sendAssistantMessage(session, options, t(session, "guided.revisit", { name }));
   }
   promptCurrentFieldInternal(session, options);
   return true;
@@ -419,7 +324,7 @@ function handleReview(
 ): boolean {
   const { state } = session;
   if (state.status === "idle") {
-    sendAssistantMessage(session, options, "Start the charter session to see progress.");
+    sendAssistantMessage(session, options, t(session, "guided.review.idle"));
     return true;
   }
 
@@ -431,7 +336,7 @@ function handleReview(
     if (!fieldId) continue;
     const fieldState = state.fields[fieldId];
     if (!fieldState) continue;
-    const label = fieldState.definition?.reviewLabel ?? fieldState.definition?.label;
+    const label = getFieldName(fieldState.definition, session.locale);
     if (!label) continue;
 
     switch (fieldState.status) {
@@ -447,48 +352,39 @@ function handleReview(
     }
   }
 
-  const formatList = (values: string[]): string => {
-    if (values.length === 0) {
-      return "";
-    }
-    if (values.length === 1) {
-      return values[0];
-    }
-    if (values.length === 2) {
-      return `${values[0]} and ${values[1]}`;
-    }
-    return `${values.slice(0, -1).join(", ")}, and ${values[values.length - 1]}`;
-  };
-
   const segments: string[] = [];
 
   if (confirmedLabels.length > 0) {
-    segments.push(`Confirmed: ${formatList(confirmedLabels)}.`);
+    segments.push(t(session, "guided.review.confirmed", { list: formatList(session.locale, confirmedLabels) }));
   }
 
   if (skippedLabels.length > 0) {
-    segments.push(`Skipped: ${formatList(skippedLabels)}.`);
+    segments.push(t(session, "guided.review.skipped", { list: formatList(session.locale, skippedLabels) }));
   }
 
   if (pendingLabels.length > 0 && state.status !== "complete") {
-    segments.push(`Still in progress: ${formatList(pendingLabels)}.`);
+    segments.push(t(session, "guided.review.pending", { list: formatList(session.locale, pendingLabels) }));
   }
 
   if (state.status === "complete") {
-    segments.unshift("All charter sections are complete.");
+    segments.unshift(t(session, "guided.review.complete"));
   } else {
     const currentField = getCurrentField(state);
     if (currentField) {
-      const name = currentField.reviewLabel ?? currentField.label;
-      segments.push(`Currently focused on ${name}.`);
+      const name = getFieldName(currentField, session.locale);
+      segments.push(t(session, "guided.review.focused", { name }));
     }
   }
 
   if (segments.length === 0) {
-    segments.push("We haven’t captured any charter responses yet.");
+    segments.push(t(session, "guided.review.empty"));
   }
 
-  sendAssistantMessage(session, options, `Review summary — ${segments.join(" ")}`);
+  sendAssistantMessage(
+    session,
+    options,
+    t(session, "guided.review.summary", { segments: segments.join(" ") }),
+  );
   return true;
 }
 
@@ -498,29 +394,21 @@ function handleEdit(
   target?: string,
 ): boolean {
   if (!target && !getCurrentField(session.state)) {
-    sendAssistantMessage(
-      session,
-      options,
-      "Let me know which field you’d like to edit—try \"edit risks\".",
-    );
+    sendAssistantMessage(session, options, t(session, "guided.edit.which"));
     return true;
   }
 
-  const targetId = target ? findFieldId(target) : session.state.currentFieldId;
+  const targetId = target ? findFieldId(target, session.locale) : session.state.currentFieldId;
   if (!targetId) {
-    sendAssistantMessage(
-      session,
-      options,
-      "I couldn’t find that section. Try something like \"edit project description\".",
-    );
+    sendAssistantMessage(session, options, t(session, "guided.edit.notFound"));
     return true;
   }
 
   dispatch(session, { type: "ASK", fieldId: targetId }, options);
   const current = getCurrentField(session.state);
   if (current) {
-    const name = current.reviewLabel ?? current.label;
-    sendAssistantMessage(session, options, `Okay, updating ${name}.`);
+    const name = getFieldName(current, session.locale);
+    sendAssistantMessage(session, options, t(session, "guided.edit.updating", { name }));
     promptCurrentFieldInternal(session, options);
   }
   return true;
@@ -560,13 +448,13 @@ async function handleAnswer(
     sendAssistantMessage(
       session,
       options,
-      `I didn’t catch a response for ${field.label}. Share an update or type "skip".`,
+      t(session, "guided.noResponse", { name: getFieldName(field, session.locale) }),
     );
     return true;
   }
 
   if (session.state.awaitingConfirmation) {
-    const decision = interpretConfirmation(normalizedInput);
+    const decision = interpretConfirmation(normalizedInput, session.locale);
     const pendingFieldId = session.state.pendingFieldId;
     const pendingDefinition =
       pendingFieldId ? session.state.fields[pendingFieldId]?.definition ?? null : null;
@@ -574,8 +462,8 @@ async function handleAnswer(
     if (decision === "approve" && pendingFieldId) {
       dispatch(session, { type: "CONFIRM_PENDING" }, options);
       clearPendingToolData(session);
-      const name = pendingDefinition?.reviewLabel ?? pendingDefinition?.label ?? field.label;
-      sendAssistantMessage(session, options, `Saved ${name}.`);
+      const name = getFieldName(pendingDefinition ?? field, session.locale);
+      sendAssistantMessage(session, options, t(session, "guided.saved", { name }));
       promptCurrentFieldInternal(session, options);
       return true;
     }
@@ -583,12 +471,8 @@ async function handleAnswer(
     if (decision === "reject" && pendingFieldId) {
       dispatch(session, { type: "REJECT_PENDING" }, options);
       clearPendingToolData(session);
-      const name = pendingDefinition?.reviewLabel ?? pendingDefinition?.label ?? field.label;
-      sendAssistantMessage(
-        session,
-        options,
-        `No problem—let’s adjust ${name}. Share the right details or type "skip" to move on.`,
-      );
+      const name = getFieldName(pendingDefinition ?? field, session.locale);
+      sendAssistantMessage(session, options, t(session, "guided.adjust", { name }));
       promptCurrentFieldInternal(session, options);
       return true;
     }
@@ -609,13 +493,14 @@ async function handleAnswer(
   const fieldState = getCurrentFieldState(session.state);
   const prompt = formatFieldPrompt(
     field,
-    fieldState?.confirmedValue ?? fieldState?.value ?? null,
+    formatFieldValue(fieldState?.confirmedValue ?? fieldState?.value ?? null),
+    session.locale,
   );
 
   const request: CharterExtractionRequest = {
     requestedFieldIds: [field.id],
     messages: [
-      { role: "system", content: SYSTEM_PROMPT },
+      { role: "system", content: getSystemPrompt(session.locale) },
       { role: "assistant", content: prompt },
       { role: "user", content: raw },
     ],
@@ -628,58 +513,49 @@ async function handleAnswer(
   } catch (error) {
     dispatch(session, { type: "REJECT", fieldId: field.id, issues: [] }, options);
     clearPendingToolData(session);
-    const name = field.reviewLabel ?? field.label;
-    const fallback =
+    const name = getFieldName(field, session.locale);
+    const detail =
       error instanceof Error && error.message
         ? ` ${error.message}`
         : "";
-    sendAssistantMessage(
-      session,
-      options,
-      `I couldn’t validate ${name} because the extractor was unavailable.${fallback} Try again or type "skip".`,
-    );
+    sendAssistantMessage(session, options, t(session, "guided.extractor.failed", { name, detail }));
     return true;
   }
 
   if (result.ok === false) {
     const failure = result;
-    const errorMessage = failure.error.message ?? `I couldn’t validate ${field.label}.`;
-    const name = field.reviewLabel ?? field.label;
+    const errorMessage =
+      failure.error.message ??
+      t(session, "guided.extractor.invalid", {
+        name: localizeCharterField(field, session.locale).label,
+      });
     const issues = [errorMessage];
     dispatch(session, { type: "REJECT", fieldId: field.id, issues }, options);
     clearPendingToolData(session);
     const suffix =
       failure.error.code === "validation_failed" || failure.error.code === "missing_required"
-        ? "Try again or type \"skip\" to move on."
-        : "Let’s try again or you can type \"skip\".";
+        ? t(session, "guided.retry.validation")
+        : t(session, "guided.retry.generic");
     sendAssistantMessage(session, options, `${errorMessage} ${suffix}`);
     return true;
   }
 
   const fieldValue = result.fields[field.id];
   if (fieldValue == null) {
-    const name = field.reviewLabel ?? field.label;
+    const name = getFieldName(field, session.locale);
     dispatch(session, { type: "REJECT", fieldId: field.id, issues: [] }, options);
     clearPendingToolData(session);
-    sendAssistantMessage(
-      session,
-      options,
-      `I couldn’t find details for ${name}. Share an update or type "skip" to move on.`,
-    );
+    sendAssistantMessage(session, options, t(session, "guided.noDetails", { name }));
     return true;
   }
 
   const normalizedValue = cloneState(fieldValue) as FieldValue;
   const summary = formatFieldValue(normalizedValue);
   if (!summary) {
-    const name = field.reviewLabel ?? field.label;
+    const name = getFieldName(field, session.locale);
     dispatch(session, { type: "REJECT", fieldId: field.id, issues: [] }, options);
     clearPendingToolData(session);
-    sendAssistantMessage(
-      session,
-      options,
-      `I wasn’t able to capture ${name}. Try again or type "skip" to move on.`,
-    );
+    sendAssistantMessage(session, options, t(session, "guided.notCaptured", { name }));
     return true;
   }
 
@@ -705,18 +581,14 @@ async function handleAnswer(
     options,
   );
 
-  const name = field.reviewLabel ?? field.label;
-  sendAssistantMessage(
-    session,
-    options,
-    `Here’s what I captured for ${name}: ${summary}. Reply "yes" to save it, or share an update.`,
-  );
+  const name = getFieldName(field, session.locale);
+  sendAssistantMessage(session, options, t(session, "guided.proposal", { name, summary }));
 
   if (warningMessages.length > 0) {
     sendAssistantMessage(
       session,
       options,
-      `Heads up: ${warningMessages.join(" ")}`,
+      t(session, "guided.headsUp", { warnings: warningMessages.join(" ") }),
     );
   }
 
@@ -768,12 +640,21 @@ interface WithIdempotencyOptions {
   createIfMissing?: boolean;
 }
 
+function applyLocale(session: SessionContext, locale: string | null | undefined): SessionContext {
+  const resolved = resolveLocale(locale);
+  if (resolved) {
+    session.locale = resolved;
+  }
+  return session;
+}
+
 function ensureSession(
-  conversationId: string,
+  options: InteractionOptions,
   { createIfMissing = false }: WithIdempotencyOptions = {},
 ): SessionContext {
+  const { conversationId } = options;
   if (createIfMissing) {
-    return getOrCreateSession(conversationId);
+    return applyLocale(getOrCreateSession(conversationId), options.locale);
   }
   const existing = getExistingSession(conversationId);
   if (!existing) {
@@ -781,7 +662,7 @@ function ensureSession(
       `Session not found for conversation ${conversationId}`,
     );
   }
-  return existing;
+  return applyLocale(existing, options.locale);
 }
 
 async function withIdempotency(
@@ -802,7 +683,7 @@ async function withIdempotency(
         return { ...snapshot, idempotent: true };
       });
     }
-    const session = ensureSession(options.conversationId, helperOptions);
+    const session = ensureSession(options, helperOptions);
     const computePromise = (async () => {
       const result = await compute(session);
       return cloneInteractionResult(result);
@@ -824,7 +705,7 @@ async function withIdempotency(
     idempotencyMap.set(cacheKey, entry);
     return await computePromise;
   }
-  const session = ensureSession(options.conversationId, helperOptions);
+  const session = ensureSession(options, helperOptions);
   return await compute(session);
 }
 
@@ -841,11 +722,7 @@ export function startSession(options: InteractionOptions): Promise<InteractionRe
         return finalizeInteraction(session, false);
       }
 
-      sendAssistantMessage(
-        session,
-        options,
-        "Let’s build your charter step-by-step. I’ll ask about each section—type \"skip\" to move on, \"back\" to revisit the previous question, or \"edit <field name>\" to jump to a specific section.",
-      );
+      sendAssistantMessage(session, options, t(session, "guided.intro"));
       dispatch(session, { type: "START" }, options);
       promptCurrentFieldInternal(session, options);
       return finalizeInteraction(session, true);
@@ -859,7 +736,7 @@ export function handleCommand(
   command: string | Command,
 ): Promise<InteractionResult> {
   return withIdempotency(options, async (session) => {
-    const resolvedCommand = typeof command === "string" ? extractCommand(command) : command;
+    const resolvedCommand = typeof command === "string" ? extractCommand(command, session.locale) : command;
     if (!resolvedCommand) {
       return finalizeInteraction(session, false);
     }
@@ -877,7 +754,7 @@ export function handleUserMessage(
       return finalizeInteraction(session, false);
     }
 
-    const command = extractCommand(message);
+    const command = extractCommand(message, session.locale);
     if (command) {
       const handledCommand = handleCommandInternal(session, command, options);
       return finalizeInteraction(session, handledCommand);
@@ -900,11 +777,11 @@ export function promptCurrentField(options: InteractionOptions): Promise<Interac
 }
 
 export function getState(conversationId: string): GuidedState {
-  return ensureSession(conversationId).state;
+  return ensureSession({ conversationId }).state;
 }
 
 export function resetSession(conversationId: string) {
-  const session = ensureSession(conversationId, { createIfMissing: true });
+  const session = ensureSession({ conversationId }, { createIfMissing: true });
   session.completionNotified = false;
   setState(session, createInitialGuidedState(), undefined);
   session.pendingMessages.length = 0;
@@ -12,6 +12,7 @@ import {
   normalizeStringList,
   toTrimmedString,
 } from "../../server/charter/utils/normalize.js";
+import { LLMProviderError, createLLMClient, resolveTaskModel } from "../llm/index.js";
 
 const TOOL_NAME = "extract_charter_fields";
 const ISO_DATE_PATTERN = "^(?:\\d{4})-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\\d|3[01])$";
@@ -56,6 +57,8 @@ export interface CharterExtractionRequest {
 
 export interface CharterExtractionOptions {
   client?: OpenAI;
+  /** Whether `client` speaks the Responses API (default true). */
+  supportsResponses?: boolean;
   signal?: AbortSignal;
 }
 
@@ -74,6 +77,7 @@ export interface ExtractionError {
     | "missing_tool_call"
     | "invalid_tool_payload"
     | "openai_error"
+    | "budget_exceeded"
     | "missing_required"
     | "validation_failed";
   message: string;
@@ -98,28 +102,14 @@ export interface ExtractFieldsFailure {
 
 export type ExtractFieldsResult = ExtractFieldsSuccess | ExtractFieldsFailure;
 
-function resolveApiKey(): string | null {
-  const candidates = [
-    runtimeEnv.OPENAI_API_KEY,
-    runtimeEnv.openai_api_key,
-    runtimeEnv.OPENAI_KEY,
-    runtimeEnv.openai_key,
-  ];
-
-  for (const candidate of candidates) {
-    if (typeof candidate === "string" && candidate.trim()) {
-      return candidate.trim();
-    }
-  }
-
-  return null;
-}
-
-function resolveModel(explicit?: string): string {
+// Charter-specific overrides win; otherwise the extraction task model from
+// the provider layer (LLM_EXTRACTION_MODEL, EXTRACTION_MODEL, default).
+function resolveModel(explicit?: string): string | undefined {
   const candidates = [
     explicit,
     runtimeEnv.CHARTER_EXTRACTION_MODEL,
     runtimeEnv.charter_extraction_model,
+    runtimeEnv.LLM_EXTRACTION_MODEL,
     runtimeEnv.OPENAI_EXTRACTION_MODEL,
     runtimeEnv.openai_extraction_model,
     runtimeEnv.OPENAI_MODEL,
@@ -133,17 +123,42 @@ function resolveModel(explicit?: string): string {
     return trimmed;
   }
 
-  return "gpt-4.1-mini";
+  return undefined;
 }
 
-function createOpenAIClient(): OpenAI {
-  const apiKey = resolveApiKey();
-  if (!apiKey) {
-    throw new CharterExtractionConfigurationError(
-      "Missing OpenAI API key for charter field extraction."
-    );
+interface ExtractionClient {
+  client: OpenAI;
+  model: string;
+  supportsResponses: boolean;
+}
+
+/**
+ * Resolves the extraction client through the provider layer so guided
+ * extraction follows LLM_PROVIDER / LLM_EXTRACTION_* like the other tasks.
+ * An injected client speaks the Responses API unless
+ * `options.supportsResponses` is false.
+ */
+function resolveExtractionClient(options: CharterExtractionOptions, model?: string): ExtractionClient {
+  if (options.client) {
+    return {
+      client: options.client,
+      model: resolveModel(model) ?? resolveTaskModel("extraction", runtimeEnv),
+      supportsResponses: options.supportsResponses ?? true,
+    };
+  }
+  try {
+    const llm = createLLMClient("extraction", { env: runtimeEnv, model: resolveModel(model) });
+    return {
+      client: llm.client as OpenAI,
+      model: llm.model,
+      supportsResponses: llm.supportsResponses,
+    };
+  } catch (error) {
+    if (error instanceof LLMProviderError) {
+      throw new CharterExtractionConfigurationError(error.message);
+    }
+    throw error;
   }
-  return new OpenAI({ apiKey });
 }
 
 export class CharterExtractionConfigurationError extends Error {
@@ -703,9 +718,12 @@ function extractToolArguments(response: any): unknown {
     }
   }
 
-  const toolCalls = Array.isArray(response?.output?.[0]?.tool_calls)
-    ? response.output[0].tool_calls
-    : [];
+  // Chat completions (providers without the Responses API)
+  const toolCalls = Array.isArray(response?.choices?.[0]?.message?.tool_calls)
+    ? response.choices[0].message.tool_calls
+    : Array.isArray(response?.output?.[0]?.tool_calls)
+      ? response.output[0].tool_calls
+      : [];
   for (const callEntry of toolCalls) {
     const call = getToolCallDetails(callEntry);
     if (call?.name === TOOL_NAME) {
@@ -739,34 +757,53 @@ export async function extractFieldsFromUtterance(
     };
   }
 
-  const client = options.client ?? createOpenAIClient();
+  const { client, model, supportsResponses } = resolveExtractionClient(options, payload.model);
   const schema = buildToolSchema(requestedFieldIds);
-  const model = resolveModel(payload.model);
   const input = buildResponseInput({ ...payload, requestedFieldIds });
+  const tool = {
+    type: "function",
+    function: {
+      name: TOOL_NAME,
+      description: "Populate project charter fields extracted from the provided context.",
+      parameters: schema,
+    },
+  };
+  const requestOptions = options.signal ? { signal: options.signal } : undefined;
 
   let response;
   try {
-    const requestBody = {
-      model,
-      input,
-      tools: [
-        {
-          type: "function",
-          function: {
-            name: TOOL_NAME,
-            description:
-              "Populate project charter fields extracted from the provided context.",
-            parameters: schema,
-          },
-        },
-      ],
-      tool_choice: { type: "function", name: TOOL_NAME },
-    };
-
-    response = options.signal
-      ? await client.responses.create(requestBody as any, { signal: options.signal })
-      : await client.responses.create(requestBody as any);
+    response = supportsResponses
+      ? await client.responses.create(
+          {
+            model,
+            input,
+            tools: [tool],
+            tool_choice: { type: "function", name: TOOL_NAME },
+          } as any,
+          requestOptions
+        )
+      : await client.chat.completions.create(
+          {
+            model,
+            messages: [{ role: "user", content: input }],
+            tools: [tool],
+            tool_choice: { type: "function", function: { name: TOOL_NAME } },
+          } as any,
+          requestOptions
+        );
   } catch (error) {
+    if ((error as { code?: unknown })?.code === "budget_exceeded") {
+      return {
+        ok: false,
+        error: {
+          code: "budget_exceeded",
+          message: error instanceof Error ? error.message : "LLM budget exceeded.",
+        },
+        warnings: [],
+        fields: {},
+        rawToolArguments: null,
+      };
+    }
     return {
       ok: false,
       error: {
@@ -865,14 +902,15 @@ export async function extractFieldsFromUtterances(
     return [];
   }
 
-  const client = options.client ?? createOpenAIClient();
+  const resolved = resolveExtractionClient(options);
   const results: ExtractFieldsResult[] = [];
 
   for (const request of requests) {
     try {
       const result = await extractFieldsFromUtterance(request, {
         ...options,
-        client,
+        client: resolved.client,
+        supportsResponses: resolved.supportsResponses,
       });
       results.push(result);
     } catch (error) {
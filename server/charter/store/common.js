@@ -0,0 +1,42 @@
+export class RecordConflictError extends Error {
+  constructor(charterId, expectedRevision, actualRevision) {
+    super(
+      `Charter "${charterId}" records changed concurrently (expected revision ${expectedRevision}, found ${actualRevision}).`
+    );
+    this.name = "RecordConflictError";
+    this.statusCode = 409;
+    this.charterId = charterId;
+    this.expectedRevision = expectedRevision;
+    this.actualRevision = actualRevision;
+  }
+}
+
+export class RecordStoreLockError extends Error {
+  constructor(charterId, timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms waiting for the record lock on charter "${charterId}".`);
+    this.name = "RecordStoreLockError";
+    this.statusCode = 503;
+    this.charterId = charterId;
+  }
+}
+
+export function normalizeCharterId(charterId) {
+  if (!charterId || typeof charterId !== "string") {
+    throw new Error("charterId is required");
+  }
+  const trimmed = charterId.trim();
+  if (!trimmed) {
+    throw new Error("charterId must not be blank");
+  }
+  return trimmed;
+}
+
+export function assertExpectedRevision(charterId, expectedRevision, actualRevision) {
+  if (
+    expectedRevision !== undefined &&
+    expectedRevision !== null &&
+    expectedRevision !== actualRevision
+  ) {
+    throw new RecordConflictError(charterId, expectedRevision, actualRevision);
+  }
+}
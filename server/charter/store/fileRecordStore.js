@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+import {
+  RecordStoreLockError,
+  assertExpectedRevision,
+  normalizeCharterId,
+} from "./common.js";
+
+const DEFAULT_LOCK_TIMEOUT_MS = 5000;
+const DEFAULT_STALE_LOCK_MS = 30000;
+const LOCK_RETRY_BASE_MS = 10;
+const LOCK_RETRY_MAX_MS = 200;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses a charter record file. Files written before revisions were tracked
+ * hold a bare array and are treated as revision 0.
+ */
+function parseRecordFile(contents) {
+  const parsed = JSON.parse(contents);
+  if (Array.isArray(parsed)) {
+    return { revision: 0, records: parsed };
+  }
+  if (parsed && typeof parsed === "object" && Array.isArray(parsed.records)) {
+    return {
+      revision: Number.isInteger(parsed.revision) ? parsed.revision : 0,
+      records: parsed.records,
+    };
+  }
+  return { revision: 0, records: [] };
+}
+
+/**
+ * File-backed record store. Each charter gets one JSON file; writers take an
+ * exclusive lock file and replace the data via write-to-temp + rename so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+export class FileCharterRecordStore {
+  constructor({
+    baseDirectory,
+    lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS,
+    staleLockMs = DEFAULT_STALE_LOCK_MS,
+  } = {}) {
+    this.kind = "file";
+    this.baseDirectory = baseDirectory
+      ? path.resolve(baseDirectory)
+      : path.resolve(process.cwd(), "tmp", "charter-documents");
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+  }
+
+  buildFilePath(charterId) {
+    // encodeURIComponent keeps simple ids unchanged and neutralizes separators.
+    const filename = `${encodeURIComponent(normalizeCharterId(charterId))}.json`;
+    return path.join(this.baseDirectory, filename);
+  }
+
+  async read(charterId) {
+    const filePath = this.buildFilePath(charterId);
+    try {
+      const contents = await fs.readFile(filePath, "utf8");
+      return parseRecordFile(contents);
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return { revision: 0, records: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Ids with a record file. Namespaced stores live in subdirectories, which
+   * are skipped along with lock and temp files.
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.baseDirectory, { withFileTypes: true });
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+    return entries
+      .filter((entry) => entry.isFile() && entry.name.endsWith(".json"))
+      .map((entry) => decodeURIComponent(entry.name.slice(0, -".json".length)))
+      .sort();
+  }
+
+  async append(charterId, record, { expectedRevision } = {}) {
+    return this.withLock(charterId, async () => {
+      const current = await this.read(charterId);
+      assertExpectedRevision(charterId, expectedRevision, current.revision);
+      const revision = current.revision + 1;
+      await this.writeFile(charterId, { revision, records: [...current.records, record] });
+      return { record, revision };
+    });
+  }
+
+  async write(charterId, records, { expectedRevision } = {}) {
+    return this.withLock(charterId, async () => {
+      const current = await this.read(charterId);
+      assertExpectedRevision(charterId, expectedRevision, current.revision);
+      const revision = current.revision + 1;
+      const nextRecords = Array.isArray(records) ? records : [];
+      await this.writeFile(charterId, { revision, records: nextRecords });
+      return { records: nextRecords, revision };
+    });
+  }
+
+  async writeFile(charterId, payload) {
+    const filePath = this.buildFilePath(charterId);
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(payload, null, 2), "utf8");
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async withLock(charterId, task) {
+    await fs.mkdir(this.baseDirectory, { recursive: true });
+    const lockPath = `${this.buildFilePath(charterId)}.lock`;
+    const deadline = Date.now() + this.lockTimeoutMs;
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(lockPath, "wx");
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error?.code !== "EEXIST") {
+          throw error;
+        }
+      }
+
+      if (await this.clearStaleLock(lockPath)) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new RecordStoreLockError(charterId, this.lockTimeoutMs);
+      }
+      attempt += 1;
+      await sleep(Math.min(LOCK_RETRY_MAX_MS, LOCK_RETRY_BASE_MS * 2 ** attempt));
+    }
+
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  // A lock left behind by a crashed process is reclaimed once it is older
+  // than staleLockMs.
+  async clearStaleLock(lockPath) {
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs < this.staleLockMs) {
+        return false;
+      }
+      await fs.rm(lockPath, { force: true });
+      return true;
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return true;
+      }
+      throw error;
+    }
+  }
+}
+
+export default FileCharterRecordStore;
@@ -0,0 +1,75 @@
+import path from "path";
+
+import FileCharterRecordStore from "./fileRecordStore.js";
+import SqliteCharterRecordStore from "./sqliteRecordStore.js";
+import { RecordConflictError, RecordStoreLockError } from "./common.js";
+
+function readEnv(key) {
+  if (typeof process !== "undefined" && process?.env) {
+    return process.env[key];
+  }
+  return undefined;
+}
+
+async function loadDatabaseSync() {
+  try {
+    const sqlite = await import("node:sqlite");
+    return sqlite.DatabaseSync;
+  } catch (error) {
+    const loadError = new Error(
+      "CHARTER_RECORD_STORE=sqlite requires a Node.js runtime with the node:sqlite module (22.5+)."
+    );
+    loadError.cause = error;
+    throw loadError;
+  }
+}
+
+/**
+ * Creates the charter record store selected by CHARTER_RECORD_STORE
+ * ("file" by default, or "sqlite"). Both implementations expose:
+ *   read(charterId) -> { records, revision }
+ *   list() -> charterId[] with stored records
+ *   append(charterId, record, { expectedRevision }) -> { record, revision }
+ *   write(charterId, records, { expectedRevision }) -> { records, revision }
+ * and throw RecordConflictError when expectedRevision is stale.
+ *
+ * Pass `namespace` to keep an independent record stream per charter (e.g.
+ * approval sign-offs) alongside the document records in the same backend.
+ */
+export async function createCharterRecordStoreFromEnv(overrides = {}) {
+  const kind = (overrides.kind || readEnv("CHARTER_RECORD_STORE") || "file")
+    .toLowerCase()
+    .trim();
+
+  if (kind === "sqlite") {
+    const DatabaseSync = overrides.DatabaseSync || (await loadDatabaseSync());
+    return new SqliteCharterRecordStore({
+      filename: overrides.filename || readEnv("CHARTER_RECORD_STORE_SQLITE_PATH"),
+      DatabaseSync,
+      namespace: overrides.namespace,
+    });
+  }
+
+  if (kind !== "file") {
+    console.warn(
+      `Unknown CHARTER_RECORD_STORE "${kind}". Falling back to the file record store.`
+    );
+  }
+
+  const baseDirectory = overrides.baseDirectory || readEnv("CHARTER_RECORD_STORE_DIR");
+  return new FileCharterRecordStore({
+    baseDirectory: overrides.namespace
+      ? path.join(
+          baseDirectory || path.resolve(process.cwd(), "tmp", "charter-documents"),
+          overrides.namespace
+        )
+      : baseDirectory,
+  });
+}
+
+export {
+  FileCharterRecordStore,
+  SqliteCharterRecordStore,
+  RecordConflictError,
+  RecordStoreLockError,
+};
@@ -0,0 +1,177 @@
+import fs from "fs";
+import path from "path";
+
+import { assertExpectedRevision, normalizeCharterId } from "./common.js";
+
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS charter_record_revisions (
+    charter_id TEXT PRIMARY KEY,
+    revision INTEGER NOT NULL,
+    namespace TEXT NOT NULL DEFAULT ''
+  );
+  CREATE TABLE IF NOT EXISTS charter_records (
+    charter_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (charter_id, position)
+  );
+`;
+
+/**
+ * SQLite-backed record store built on the `node:sqlite` module. Writes run in
+ * `BEGIN IMMEDIATE` transactions so concurrent processes sharing the database
+ * file serialize on SQLite's write lock; revisions provide optimistic
+ * concurrency on top of that.
+ */
+export class SqliteCharterRecordStore {
+  constructor({
+    filename,
+    busyTimeoutMs = DEFAULT_BUSY_TIMEOUT_MS,
+    DatabaseSync,
+    namespace = null,
+  } = {}) {
+    if (typeof DatabaseSync !== "function") {
+      throw new Error("SqliteCharterRecordStore requires the node:sqlite DatabaseSync class");
+    }
+    this.kind = "sqlite";
+    this.namespace = namespace || null;
+    this.filename = filename
+      ? filename === ":memory:"
+        ? filename
+        : path.resolve(filename)
+      : path.resolve(process.cwd(), "tmp", "charter-documents.sqlite");
+
+    if (this.filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new DatabaseSync(this.filename);
+    this.db.exec(`PRAGMA busy_timeout = ${Number(busyTimeoutMs) || 0};`);
+    if (this.filename !== ":memory:") {
+      this.db.exec("PRAGMA journal_mode = WAL;");
+    }
+    this.db.exec(SCHEMA);
+    this.transaction(() => this.migrateNamespaceColumn());
+
+    this.statements = {
+      revision: this.db.prepare(
+        "SELECT revision FROM charter_record_revisions WHERE charter_id = ?"
+      ),
+      records: this.db.prepare(
+        "SELECT record FROM charter_records WHERE charter_id = ? ORDER BY position"
+      ),
+      count: this.db.prepare(
+        "SELECT COUNT(*) AS total FROM charter_records WHERE charter_id = ?"
+      ),
+      insert: this.db.prepare(
+        "INSERT INTO charter_records (charter_id, position, record) VALUES (?, ?, ?)"
+      ),
+      clear: this.db.prepare("DELETE FROM charter_records WHERE charter_id = ?"),
+      ids: this.db.prepare(
+        "SELECT charter_id FROM charter_record_revisions WHERE namespace = ? ORDER BY charter_id"
+      ),
+      setRevision: this.db.prepare(
+        `INSERT INTO charter_record_revisions (charter_id, revision, namespace) VALUES (?, ?, ?)
+         ON CONFLICT(charter_id) DO UPDATE SET
+           revision = excluded.revision,
+           namespace = excluded.namespace`
+      ),
+    };
+  }
+
+  /**
+   * Databases created before the namespace column existed only have the key
+   * prefix to go on, so their rows are backfilled from it once.
+   */
+  migrateNamespaceColumn() {
+    const columns = this.db.prepare("PRAGMA table_info(charter_record_revisions)").all();
+    if (columns.some((column) => column.name === "namespace")) {
+      return;
+    }
+    this.db.exec(
+      "ALTER TABLE charter_record_revisions ADD COLUMN namespace TEXT NOT NULL DEFAULT ''"
+    );
+    this.db.exec(
+      `UPDATE charter_record_revisions
+       SET namespace = substr(charter_id, 1, instr(charter_id, ':') - 1)
+       WHERE instr(charter_id, ':') > 0`
+    );
+  }
+
+  // Namespaced streams share the tables; their rows are keyed "<namespace>:<id>"
+  // and tagged with the namespace so list() does not have to parse keys.
+  buildKey(charterId) {
+    const id = normalizeCharterId(charterId);
+    return this.namespace ? `${this.namespace}:${id}` : id;
+  }
+
+  readRevision(charterId) {
+    const row = this.statements.revision.get(charterId);
+    return row ? Number(row.revision) : 0;
+  }
+
+  async read(charterId) {
+    const id = this.buildKey(charterId);
+    return {
+      revision: this.readRevision(id),
+      records: this.statements.records.all(id).map((row) => JSON.parse(row.record)),
+    };
+  }
+
+  /** Ids with stored records in this store's namespace. */
+  async list() {
+    const prefix = this.namespace ? `${this.namespace}:` : "";
+    return this.statements.ids
+      .all(this.namespace || "")
+      .map((row) => row.charter_id.slice(prefix.length));
+  }
+
+  async append(charterId, record, { expectedRevision } = {}) {
+    const id = this.buildKey(charterId);
+    return this.transaction(() => {
+      const current = this.readRevision(id);
+      assertExpectedRevision(id, expectedRevision, current);
+      const { total } = this.statements.count.get(id);
+      this.statements.insert.run(id, Number(total), JSON.stringify(record));
+      const revision = current + 1;
+      this.statements.setRevision.run(id, revision, this.namespace || "");
+      return { record, revision };
+    });
+  }
+
+  async write(charterId, records, { expectedRevision } = {}) {
+    const id = this.buildKey(charterId);
+    const nextRecords = Array.isArray(records) ? records : [];
+    return this.transaction(() => {
+      const current = this.readRevision(id);
+      assertExpectedRevision(id, expectedRevision, current);
+      this.statements.clear.run(id);
+      nextRecords.forEach((record, index) => {
+        this.statements.insert.run(id, index, JSON.stringify(record));
+      });
+      const revision = current + 1;
+      this.statements.setRevision.run(id, revision, this.namespace || "");
+      return { records: nextRecords, revision };
+    });
+  }
+
+  transaction(work) {
+    this.db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = work();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default SqliteCharterRecordStore;
@@ -0,0 +1,349 @@
+import crypto from "crypto";
+
+import { recordDocumentAudit } from "../../../lib/doc/audit.js";
+import { AuthError, hasRole, isAuthEnabled } from "../../auth/index.js";
+import { createCharterRecordStoreFromEnv } from "../store/index.js";
+import { hasApprovalRecords } from "./approvals.js";
+import { listCharterIds, readCharterDocumentRecords } from "./documentStore.js";
+
+/** Roles that can be granted on a charter, weakest first */
+export const CHARTER_SHARE_ROLES = ["viewer", "editor"];
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/** Minimum role needed for each action */
+const ACTION_RANK = { read: 1, write: 2, share: 3 };
+
+export class CharterAccessError extends Error {
+  constructor(code, message, statusCode = 403) {
+    super(message);
+    this.name = "CharterAccessError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+let storePromise = null;
+
+function getAccessStore() {
+  if (!storePromise) {
+    storePromise = createCharterRecordStoreFromEnv({ namespace: "access" }).catch((error) => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * Replaces the access ledger store. Intended for tests; pass null to fall
+ * back to the env-selected store on next use.
+ */
+export function __setCharterAccessStore(store) {
+  storePromise = store ? Promise.resolve(store) : null;
+}
+
+function normalizePrincipal(value) {
+  const source = typeof value === "string" ? (value.includes("@") ? { email: value } : { id: value }) : value;
+  const email = typeof source?.email === "string" ? source.email.trim().toLowerCase() : "";
+  const id = typeof source?.id === "string" ? source.id.trim() : "";
+  if (!email && !id) {
+    throw new CharterAccessError("principal_required", "A user id or email is required.", 400);
+  }
+  return { id: id || null, email: email || null };
+}
+
+function principalKey(principal) {
+  return principal.email ? `email:${principal.email}` : `id:${principal.id}`;
+}
+
+function matchesIdentity(principal, identity) {
+  if (!principal || !identity) {
+    return false;
+  }
+  return Boolean(
+    (principal.id && principal.id === identity.id) ||
+      (principal.email && identity.email && principal.email === identity.email)
+  );
+}
+
+function describeActor(identity) {
+  return identity ? { id: identity.id, email: identity.email ?? null } : null;
+}
+
+/**
+ * Folds the access ledger into the current owner and grants. The first
+ * claim sets the owner; later grants and revokes replace earlier ones for
+ * the same principal.
+ */
+export function summarizeCharterAccess(records = []) {
+  let owner = null;
+  const grants = new Map();
+
+  for (const entry of records) {
+    if (entry?.type === "claim" && !owner) {
+      owner = { ...entry.principal, claimedAt: entry.createdAt };
+    } else if (entry?.type === "grant") {
+      grants.set(principalKey(entry.principal), {
+        ...entry.principal,
+        role: entry.role,
+        grantedBy: entry.actor,
+        grantedAt: entry.createdAt,
+      });
+    } else if (entry?.type === "revoke") {
+      grants.delete(principalKey(entry.principal));
+    }
+  }
+
+  return { owner, grants: [...grants.values()] };
+}
+
+/**
+ * Role the identity holds on the charter, or null
+ */
+export function resolveCharterRole(access, identity) {
+  if (matchesIdentity(access?.owner, identity)) {
+    return "owner";
+  }
+  let role = null;
+  for (const grant of access?.grants ?? []) {
+    if (matchesIdentity(grant, identity) && (!role || ROLE_RANK[grant.role] > ROLE_RANK[role])) {
+      role = grant.role;
+    }
+  }
+  return role;
+}
+
+export async function getCharterAccess(charterId) {
+  const store = await getAccessStore();
+  const { records, revision } = await store.read(charterId);
+  return { charterId, ...summarizeCharterAccess(records), revision, history: records };
+}
+
+function isPermitted(access, identity, action) {
+  // Admins can act on every charter, including ones without an owner yet
+  // (finalized before auth was enabled), which are closed to everyone else
+  // until an owner is assigned.
+  if (hasRole(identity, ["admin"])) {
+    return true;
+  }
+  if (!access.owner) {
+    return false;
+  }
+  const role = resolveCharterRole(access, identity);
+  return Boolean(role) && ROLE_RANK[role] >= ACTION_RANK[action];
+}
+
+/**
+ * Throws unless the identity may perform the action ("read", "write", or
+ * "share") on the charter. Does nothing when authentication is off.
+ * @returns {Promise<Object|null>} The charter's access state
+ */
+export async function assertCharterAccess(charterId, identity, action = "read") {
+  if (!isAuthEnabled()) {
+    return null;
+  }
+  if (!identity) {
+    throw new AuthError("unauthorized", "Sign-in required");
+  }
+  const access = await getCharterAccess(charterId);
+  if (!isPermitted(access, identity, action)) {
+    throw new CharterAccessError(
+      "charter_access_denied",
+      access.owner
+        ? `You do not have ${action} access to charter "${charterId}".`
+        : `Charter "${charterId}" has no owner yet. An admin must assign one.`
+    );
+  }
+  return access;
+}
+
+/**
+ * Keeps the charter ids the identity can read. Returns the ids unchanged
+ * when authentication is off.
+ */
+export async function filterReadableCharterIds(charterIds, identity) {
+  if (!isAuthEnabled()) {
+    return charterIds;
+  }
+  const readable = [];
+  for (const charterId of charterIds) {
+    if (identity && isPermitted(await getCharterAccess(charterId), identity, "read")) {
+      readable.push(charterId);
+    }
+  }
+  return readable;
+}
+
+async function appendOwnerClaim(charterId, principal, actor, { revision, source }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    type: "claim",
+    charterId,
+    principal: normalizePrincipal(principal),
+    actor,
+    ...(source ? { source } : {}),
+    createdAt: new Date().toISOString(),
+  };
+  const store = await getAccessStore();
+  await store.append(charterId, entry, { expectedRevision: revision });
+  recordDocumentAudit("charters.access", { hashSource: entry, finalType: "charter", status: "claim" });
+}
+
+/**
+ * Records the identity as owner of a new charter: one with no owner, no
+ * document records, and no approval records yet. Existing charters without an owner are left for
+ * an admin (see assignCharterOwner). A concurrent claim by someone else
+ * wins; the caller's claim is then dropped.
+ */
+export async function claimCharterOwnership(charterId, identity) {
+  if (!isAuthEnabled() || !identity) {
+    return null;
+  }
+  const store = await getAccessStore();
+  const { records, revision } = await store.read(charterId);
+  if (summarizeCharterAccess(records).owner) {
+    return getCharterAccess(charterId);
+  }
+  if ((await readCharterDocumentRecords(charterId)).length > 0 || (await hasApprovalRecords(charterId))) {
+    return getCharterAccess(charterId);
+  }
+
+  try {
+    await appendOwnerClaim(charterId, { id: identity.id, email: identity.email }, describeActor(identity), {
+      revision,
+    });
+  } catch (error) {
+    if (error?.name !== "RecordConflictError") {
+      throw error;
+    }
+  }
+  return getCharterAccess(charterId);
+}
+
+/**
+ * Assigns the owner of a charter that has none. Used by admins and the
+ * ownership backfill; charters that already have an owner are rejected.
+ * @param {string} charterId
+ * @param {string|Object} principal - Email, user id, or { id, email }
+ * @param {Object} [options]
+ * @param {Object|null} [options.actor] - Identity making the assignment
+ * @param {string} [options.source] - Recorded on the claim, e.g. "backfill"
+ */
+export async function assignCharterOwner(charterId, principal, { actor = null, source } = {}) {
+  const store = await getAccessStore();
+  const { records, revision } = await store.read(charterId);
+  if (summarizeCharterAccess(records).owner) {
+    throw new CharterAccessError("charter_owned", `Charter "${charterId}" already has an owner.`, 409);
+  }
+  await appendOwnerClaim(charterId, principal, describeActor(actor), { revision, source });
+  return getCharterAccess(charterId);
+}
+
+/**
+ * Suggested owner for a charter without one: an explicit mapping first,
+ * then the email that created its earliest finalized record, then the
+ * fallback owner.
+ */
+async function proposeCharterOwner(charterId, { owners = {}, defaultOwner = null } = {}) {
+  if (owners[charterId]) {
+    return { principal: owners[charterId], reason: "mapping" };
+  }
+  const records = await readCharterDocumentRecords(charterId);
+  const creator = [...records]
+    .sort((a, b) => String(a?.createdAt ?? "").localeCompare(String(b?.createdAt ?? "")))
+    .map((record) => record?.createdBy)
+    .find((createdBy) => typeof createdBy === "string" && createdBy.includes("@"));
+  if (creator) {
+    return { principal: creator, reason: "created_by" };
+  }
+  return defaultOwner ? { principal: defaultOwner, reason: "default" } : null;
+}
+
+/**
+ * Assigns owners to charters that were finalized before authentication was
+ * enabled and so have none. Without `apply` only the plan is returned.
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Write the claims
+ * @param {Object<string, string>} [options.owners] - Owner per charter id
+ * @param {string|null} [options.defaultOwner] - Owner when nothing else is known
+ * @returns {Promise<Array<{charterId: string, owner: string|Object|null, reason: string}>>}
+ */
+export async function backfillCharterOwners({ apply = false, owners = {}, defaultOwner = null } = {}) {
+  const plan = [];
+  for (const charterId of await listCharterIds()) {
+    if ((await getCharterAccess(charterId)).owner) {
+      continue;
+    }
+    const proposal = await proposeCharterOwner(charterId, { owners, defaultOwner });
+    if (!proposal) {
+      plan.push({ charterId, owner: null, reason: "no_candidate" });
+      continue;
+    }
+    if (apply) {
+      await assignCharterOwner(charterId, proposal.principal, { source: "backfill" });
+    }
+    plan.push({ charterId, owner: proposal.principal, reason: proposal.reason });
+  }
+  return plan;
+}
+
+/**
+ * Shares the charter with a user by email or id. Owner only.
+ */
+export async function grantCharterAccess(charterId, identity, { principal, role = "viewer" } = {}) {
+  if (!CHARTER_SHARE_ROLES.includes(role)) {
+    throw new CharterAccessError(
+      "invalid_role",
+      `Role must be one of ${CHARTER_SHARE_ROLES.join(", ")}.`,
+      400
+    );
+  }
+  const target = normalizePrincipal(principal);
+  const access = await assertCharterAccess(charterId, identity, "share");
+  if (!access?.owner) {
+    throw new CharterAccessError(
+      "charter_unclaimed",
+      "Charter has no owner yet. An admin must assign one first.",
+      409
+    );
+  }
+  if (matchesIdentity(access.owner, target)) {
+    throw new CharterAccessError("owner_grant", "The owner already has full access.", 400);
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    type: "grant",
+    charterId,
+    principal: target,
+    role,
+    actor: describeActor(identity),
+    createdAt: new Date().toISOString(),
+  };
+  const store = await getAccessStore();
+  await store.append(charterId, entry, { expectedRevision: access.revision });
+  recordDocumentAudit("charters.access", { hashSource: entry, finalType: "charter", status: "grant" });
+  return getCharterAccess(charterId);
+}
+
+/**
+ * Removes a user's grant. Owner only.
+ */
+export async function revokeCharterAccess(charterId, identity, { principal } = {}) {
+  const target = normalizePrincipal(principal);
+  const access = await assertCharterAccess(charterId, identity, "share");
+
+  const entry = {
+    id: crypto.randomUUID(),
+    type: "revoke",
+    charterId,
+    principal: target,
+    actor: describeActor(identity),
+    createdAt: new Date().toISOString(),
+  };
+  const store = await getAccessStore();
+  await store.append(charterId, entry, { expectedRevision: access?.revision });
+  recordDocumentAudit("charters.access", { hashSource: entry, finalType: "charter", status: "revoke" });
+  return getCharterAccess(charterId);
+}
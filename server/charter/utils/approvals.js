@@ -0,0 +1,338 @@
+import crypto from "crypto";
+
+import { computeDocumentHash, recordDocumentAudit } from "../../../lib/doc/audit.js";
+import { getDocTypeConfig } from "../../../lib/doc/registry.js";
+import { createCharterRecordStoreFromEnv } from "../store/index.js";
+
+export const APPROVAL_DECISIONS = ["approved", "rejected"];
+
+export class ApprovalError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "ApprovalError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export class ApprovalsIncompleteError extends Error {
+  constructor(charterId, pending) {
+    super(
+      `Charter "${charterId}" is missing required approvals: ${pending.join(", ")}.`
+    );
+    this.name = "ApprovalsIncompleteError";
+    this.code = "approvals_incomplete";
+    this.statusCode = 409;
+    this.charterId = charterId;
+    this.pending = pending;
+  }
+}
+
+let storePromise = null;
+
+function getApprovalStore() {
+  if (!storePromise) {
+    storePromise = createCharterRecordStoreFromEnv({ namespace: "approvals" }).catch(
+      (error) => {
+        storePromise = null;
+        throw error;
+      }
+    );
+  }
+  return storePromise;
+}
+
+/**
+ * Replaces the approval ledger store. Intended for tests; pass null to fall
+ * back to the env-selected store on next use.
+ */
+export function __setApprovalRecordStore(store) {
+  storePromise = store ? Promise.resolve(store) : null;
+}
+
+function resolveApprovalRoles(docType) {
+  const config = getDocTypeConfig(docType);
+  if (!config) {
+    throw new ApprovalError("unsupported_doc_type", `Unsupported doc type "${docType}".`);
+  }
+  return { config, roles: config.approvals?.roles ?? [] };
+}
+
+function resolveRole(roles, roleId) {
+  const role = roles.find((candidate) => candidate.id === roleId);
+  if (!role) {
+    throw new ApprovalError("unknown_role", `Unknown approver role "${roleId}".`);
+  }
+  return role;
+}
+
+function normalizeApprover(value) {
+  const source = typeof value === "string" ? { name: value } : value;
+  const name = typeof source?.name === "string" ? source.name.trim() : "";
+  const email = typeof source?.email === "string" ? source.email.trim().toLowerCase() : "";
+  if (!name && !email) {
+    throw new ApprovalError("approver_required", "An approver name or email is required.");
+  }
+  return { name: name || null, email: email || null };
+}
+
+// Sign-offs for every doc type share one ledger per charter so the hash
+// chain stays linear; role state is read per doc type. Entries written
+// before docType was recorded belong to the charter.
+function filterByDocType(records, docType) {
+  return records.filter((record) => (record?.docType ?? "charter") === docType);
+}
+
+function findAssignedApprover(records, roleId) {
+  for (let index = records.length - 1; index >= 0; index -= 1) {
+    if (records[index]?.type === "assignment" && records[index].role === roleId) {
+      return records[index].approver ?? null;
+    }
+  }
+  return null;
+}
+
+function isSameApprover(left, right) {
+  if (!left || !right) {
+    return false;
+  }
+  if (left.email && right.email) {
+    return left.email === right.email;
+  }
+  return Boolean(left.name && right.name && left.name.toLowerCase() === right.name.toLowerCase());
+}
+
+/**
+ * Hashes the normalized document so a sign-off is bound to the exact content
+ * that was approved. Returns null when no document is supplied.
+ */
+export function computeApprovalDocumentHash(docType, document) {
+  if (!document || typeof document !== "object") {
+    return null;
+  }
+  const config = getDocTypeConfig(docType);
+  const normalize = config?.validation?.normalize;
+  const normalized = typeof normalize === "function" ? normalize(document) : document;
+  return computeDocumentHash(normalized);
+}
+
+function buildSignaturePayload(entry) {
+  return {
+    charterId: entry.charterId,
+    docType: entry.docType,
+    role: entry.role,
+    approver: entry.approver,
+    decision: entry.decision,
+    comment: entry.comment,
+    documentHash: entry.documentHash,
+    signedAt: entry.signedAt,
+    previousHash: entry.previousHash,
+  };
+}
+
+function findLastSignatureHash(records) {
+  for (let index = records.length - 1; index >= 0; index -= 1) {
+    if (records[index]?.type === "decision") {
+      return records[index].signatureHash ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Recomputes every decision's signature hash and checks that each one links
+ * to the decision before it, so edits to the stored ledger are detectable.
+ */
+export function verifyApprovalLedger(records = []) {
+  let previousHash = null;
+  for (const record of records) {
+    if (record?.type !== "decision") {
+      continue;
+    }
+    if (record.previousHash !== previousHash) {
+      return false;
+    }
+    if (computeDocumentHash(buildSignaturePayload(record)) !== record.signatureHash) {
+      return false;
+    }
+    previousHash = record.signatureHash;
+  }
+  return true;
+}
+
+/**
+ * Folds the ledger into one state per configured role. A later assignment
+ * resets the role to pending; an approval recorded against a different
+ * document hash than `documentHash` is reported as stale and does not count.
+ */
+export function summarizeApprovals(records = [], { roles = [], documentHash = null } = {}) {
+  const latestByRole = new Map();
+  for (const record of records) {
+    if (record?.type === "assignment" || record?.type === "decision") {
+      latestByRole.set(record.role, record);
+    }
+  }
+
+  const summary = roles.map((role) => {
+    const latest = latestByRole.get(role.id) ?? null;
+    const isDecision = latest?.type === "decision";
+    const stale = Boolean(
+      isDecision && documentHash && latest.documentHash !== documentHash
+    );
+    return {
+      role: role.id,
+      label: role.label,
+      required: role.required,
+      status: isDecision ? latest.decision : "pending",
+      approver: latest?.approver ?? null,
+      decidedAt: isDecision ? latest.signedAt : null,
+      comment: isDecision ? latest.comment : null,
+      documentHash: isDecision ? latest.documentHash : null,
+      signatureHash: isDecision ? latest.signatureHash : null,
+      stale,
+    };
+  });
+
+  const pending = summary
+    .filter((entry) => entry.required && (entry.status !== "approved" || entry.stale))
+    .map((entry) => entry.role);
+
+  return { roles: summary, pending, complete: pending.length === 0 };
+}
+
+/**
+ * Whether any approver has been assigned or has signed for the charter,
+ * across doc types
+ */
+export async function hasApprovalRecords(charterId) {
+  const store = await getApprovalStore();
+  const { records } = await store.read(charterId);
+  return records.length > 0;
+}
+
+export async function getCharterApprovals(charterId, { docType = "charter", document } = {}) {
+  const { roles } = resolveApprovalRoles(docType);
+  const store = await getApprovalStore();
+  const { records } = await store.read(charterId);
+  const documentHash = computeApprovalDocumentHash(docType, document);
+  const history = filterByDocType(records, docType);
+
+  return {
+    charterId,
+    docType,
+    ...summarizeApprovals(history, { roles, documentHash }),
+    verified: verifyApprovalLedger(records),
+    history,
+  };
+}
+
+export async function assignApprover(
+  charterId,
+  { docType = "charter", role: roleId, approver, assignedBy = null } = {}
+) {
+  const { roles } = resolveApprovalRoles(docType);
+  const role = resolveRole(roles, roleId);
+  const store = await getApprovalStore();
+
+  await store.append(charterId, {
+    id: crypto.randomUUID(),
+    type: "assignment",
+    charterId,
+    docType,
+    role: role.id,
+    approver: normalizeApprover(approver),
+    assignedBy,
+    createdAt: new Date().toISOString(),
+  });
+
+  return getCharterApprovals(charterId, { docType });
+}
+
+/**
+ * Appends a timestamped sign-off to the approval ledger. Only the approver
+ * assigned to the role may sign it. The entry's signature hash covers the
+ * decision, the approved document hash, and the previous sign-off's hash.
+ */
+export async function recordApprovalDecision(
+  charterId,
+  { docType = "charter", role: roleId, approver, decision, comment = null, document } = {}
+) {
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    throw new ApprovalError(
+      "invalid_decision",
+      `Decision must be one of ${APPROVAL_DECISIONS.join(", ")}.`
+    );
+  }
+  const { config, roles } = resolveApprovalRoles(docType);
+  const role = resolveRole(roles, roleId);
+  const documentHash = computeApprovalDocumentHash(docType, document);
+  if (!documentHash) {
+    throw new ApprovalError("document_required", "The document being approved is required.");
+  }
+  const signer = normalizeApprover(approver);
+
+  const store = await getApprovalStore();
+  const { records, revision } = await store.read(charterId);
+  const assigned = findAssignedApprover(filterByDocType(records, docType), role.id);
+  if (!assigned) {
+    throw new ApprovalError(
+      "approver_not_assigned",
+      `Role "${role.id}" has no assigned approver. Assign one before signing.`,
+      403
+    );
+  }
+  if (!isSameApprover(assigned, signer)) {
+    throw new ApprovalError(
+      "approver_mismatch",
+      `Role "${role.id}" is assigned to a different approver.`,
+      403
+    );
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    type: "decision",
+    charterId,
+    docType,
+    role: role.id,
+    approver: signer,
+    decision,
+    comment: typeof comment === "string" && comment.trim() ? comment.trim() : null,
+    documentHash,
+    signedAt: new Date().toISOString(),
+    previousHash: findLastSignatureHash(records),
+  };
+  entry.signatureHash = computeDocumentHash(buildSignaturePayload(entry));
+
+  // expectedRevision keeps the hash chain linear when sign-offs race.
+  await store.append(charterId, entry, { expectedRevision: revision });
+
+  recordDocumentAudit("charters.approval", {
+    hashSource: entry,
+    finalType: docType,
+    templateVersion: config.templateVersion,
+    status: decision,
+  });
+
+  return getCharterApprovals(charterId, { docType, document });
+}
+
+/**
+ * Throws ApprovalsIncompleteError unless every required role has approved
+ * this exact document, or ApprovalError when the ledger hashes do not verify.
+ * Returns the approval state otherwise.
+ */
+export async function assertApprovalsComplete(charterId, { docType = "charter", document } = {}) {
+  const approvals = await getCharterApprovals(charterId, { docType, document });
+  if (!approvals.verified) {
+    throw new ApprovalError(
+      "approval_ledger_invalid",
+      `Approval sign-offs for charter "${charterId}" failed hash verification.`,
+      409
+    );
+  }
+  if (!approvals.complete) {
+    throw new ApprovalsIncompleteError(charterId, approvals.pending);
+  }
+  return approvals;
+}
@@ -0,0 +1,194 @@
+import crypto from "crypto";
+
+import { computeDocumentHash, recordDocumentAudit } from "../../../lib/doc/audit.js";
+import { getDocTypeConfig, getDocTypeRegistry } from "../../../lib/doc/registry.js";
+import { createCharterRecordStoreFromEnv } from "../store/index.js";
+import { readCharterDocumentRecords } from "./documentStore.js";
+import { listCharterVersionSnapshots } from "./versionDiff.js";
+
+export const CARRYOVER_SOURCE_TYPE = "charter";
+
+export class CarryoverError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "CarryoverError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+let storePromise = null;
+
+function getCarryoverStore() {
+  if (!storePromise) {
+    storePromise = createCharterRecordStoreFromEnv({ namespace: "carryover" }).catch(
+      (error) => {
+        storePromise = null;
+        throw error;
+      }
+    );
+  }
+  return storePromise;
+}
+
+/**
+ * Replaces the carryover provenance store. Intended for tests; pass null to
+ * fall back to the env-selected store on next use.
+ */
+export function __setCarryoverRecordStore(store) {
+  storePromise = store ? Promise.resolve(store) : null;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isBlank(value) {
+  if (value == null) {
+    return true;
+  }
+  if (typeof value === "string") {
+    return value.trim() === "";
+  }
+  if (Array.isArray(value)) {
+    return value.every(isBlank);
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).every(isBlank);
+  }
+  return false;
+}
+
+function mapItem(item, itemMap) {
+  if (!itemMap) {
+    return item;
+  }
+  const mapped = {};
+  for (const [targetKey, sourceKey] of Object.entries(itemMap)) {
+    const value = isPlainObject(item) ? item[sourceKey] : undefined;
+    if (!isBlank(value)) {
+      mapped[targetKey] = value;
+    }
+  }
+  return mapped;
+}
+
+function mapFieldValue(value, field) {
+  if (Array.isArray(value)) {
+    return value.map((item) => mapItem(item, field.items)).filter((item) => !isBlank(item));
+  }
+  return field.items ? mapItem(value, field.items) : value;
+}
+
+/**
+ * Lists the doc types that declare a carryover mapping from `sourceType`.
+ */
+export function listCarryoverTargets(sourceType = CARRYOVER_SOURCE_TYPE) {
+  const targets = [];
+  for (const config of getDocTypeRegistry().values()) {
+    const mapping = config.carryover?.[sourceType];
+    if (mapping && mapping.fields.length > 0) {
+      targets.push({ docType: config.type, label: config.label, fields: mapping.fields });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Applies the target doc type's carryover mapping to a source snapshot.
+ * Returns the seeded document and one provenance entry per populated field;
+ * fields whose source value is blank are skipped.
+ */
+export function applyCarryoverMapping(targetType, snapshot, { sourceType = CARRYOVER_SOURCE_TYPE } = {}) {
+  const config = getDocTypeConfig(targetType);
+  if (!config) {
+    throw new CarryoverError("unsupported_doc_type", `Unsupported doc type "${targetType}".`);
+  }
+  const mapping = config.carryover?.[sourceType];
+  if (!mapping || mapping.fields.length === 0) {
+    throw new CarryoverError(
+      "carryover_not_supported",
+      `${config.label} cannot be seeded from a ${sourceType}.`
+    );
+  }
+
+  const document = {};
+  const fields = [];
+  for (const field of mapping.fields) {
+    const value = mapFieldValue(snapshot?.[field.from], field);
+    if (isBlank(value)) {
+      continue;
+    }
+    document[field.to] = value;
+    fields.push({ path: field.to, sourcePath: field.from });
+  }
+
+  return { document, fields };
+}
+
+function resolveSourceVersion(records, version) {
+  const versions = listCharterVersionSnapshots(records);
+  if (versions.length === 0) {
+    throw new CarryoverError(
+      "charter_not_found",
+      "No finalized charter versions with snapshots were found.",
+      404
+    );
+  }
+  if (!version) {
+    return versions[versions.length - 1];
+  }
+  const match = versions.find((entry) => entry.version === version);
+  if (!match) {
+    throw new CarryoverError("version_not_found", `Version ${version} was not found.`, 404);
+  }
+  return match;
+}
+
+/**
+ * Seeds a new draft of `targetType` from a finalized charter version (the
+ * latest when `version` is omitted) and records where each seeded field came
+ * from in the carryover ledger.
+ */
+export async function seedDocumentFromCharter(charterId, { targetType, version, actor } = {}) {
+  const records = await readCharterDocumentRecords(charterId);
+  const source = resolveSourceVersion(records, version);
+  const { document, fields } = applyCarryoverMapping(targetType, source.snapshot);
+  const config = getDocTypeConfig(targetType);
+
+  const entry = {
+    id: crypto.randomUUID(),
+    charterId,
+    targetType,
+    source: {
+      docType: CARRYOVER_SOURCE_TYPE,
+      version: source.version,
+      finalizedAt: source.createdAt,
+      snapshotHash: computeDocumentHash(source.snapshot),
+    },
+    fields,
+    createdBy: typeof actor === "string" && actor.trim() ? actor.trim() : null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const store = await getCarryoverStore();
+  await store.append(charterId, entry);
+
+  recordDocumentAudit("charters.carryover", {
+    hashSource: entry,
+    finalType: targetType,
+    templateVersion: config.templateVersion,
+    status: "seeded",
+  });
+
+  return { document, provenance: entry };
+}
+
+/**
+ * Returns the carryover ledger for a charter, newest first.
+ */
+export async function listCarryoverProvenance(charterId) {
+  const store = await getCarryoverStore();
+  const { records } = await store.read(charterId);
+  return [...records].sort((a, b) => (b?.createdAt ?? "").localeCompare(a?.createdAt ?? ""));
+}
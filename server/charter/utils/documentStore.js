@@ -1,55 +1,56 @@
-import fs from "fs/promises";
-import path from "path";
+import { createCharterRecordStoreFromEnv } from "../store/index.js";
 
-const BASE_DIRECTORY = path.resolve(process.cwd(), "tmp", "charter-documents");
+let storePromise = null;
 
-function normalizeCharterId(charterId) {
-  if (!charterId || typeof charterId !== "string") {
-    throw new Error("charterId is required");
+function getRecordStore() {
+  if (!storePromise) {
+    storePromise = createCharterRecordStoreFromEnv().catch((error) => {
+      storePromise = null;
+      throw error;
+    });
   }
-  const trimmed = charterId.trim();
-  if (!trimmed) {
-    throw new Error("charterId must not be blank");
-  }
-  return trimmed;
+  return storePromise;
 }
 
-function buildFilePath(charterId) {
-  return path.join(BASE_DIRECTORY, `${normalizeCharterId(charterId)}.json`);
+/**
+ * Replaces the active record store. Intended for tests; pass null to fall
+ * back to the env-selected store on next use.
+ */
+export function __setCharterRecordStore(store) {
+  storePromise = store ? Promise.resolve(store) : null;
 }
 
-async function ensureBaseDirectory() {
-  await fs.mkdir(BASE_DIRECTORY, { recursive: true });
+export async function readCharterDocumentRecords(charterId) {
+  const store = await getRecordStore();
+  const { records } = await store.read(charterId);
+  return records;
 }
 
-export async function readCharterDocumentRecords(charterId) {
-  const filePath = buildFilePath(charterId);
-  try {
-    const contents = await fs.readFile(filePath, "utf8");
-    const parsed = JSON.parse(contents);
-    if (Array.isArray(parsed)) {
-      return parsed;
-    }
-    return [];
-  } catch (error) {
-    if (error?.code === "ENOENT") {
-      return [];
-    }
-    throw error;
-  }
+/**
+ * Reads records together with the store revision so callers can pass it back
+ * as `expectedRevision` to detect concurrent writers.
+ */
+export async function readCharterDocumentState(charterId) {
+  const store = await getRecordStore();
+  return store.read(charterId);
 }
 
-export async function writeCharterDocumentRecords(charterId, records) {
-  await ensureBaseDirectory();
-  const filePath = buildFilePath(charterId);
-  const serialized = JSON.stringify(records, null, 2);
-  await fs.writeFile(filePath, serialized, "utf8");
-  return records;
+/**
+ * Ids of every charter with stored document records.
+ */
+export async function listCharterIds() {
+  const store = await getRecordStore();
+  return store.list();
+}
+
+export async function writeCharterDocumentRecords(charterId, records, options = {}) {
+  const store = await getRecordStore();
+  const result = await store.write(charterId, records, options);
+  return result.records;
 }
 
-export async function appendCharterDocumentRecord(charterId, record) {
-  const existing = await readCharterDocumentRecords(charterId);
-  const nextRecords = [...existing, record];
-  await writeCharterDocumentRecords(charterId, nextRecords);
-  return record;
+export async function appendCharterDocumentRecord(charterId, record, options = {}) {
+  const store = await getRecordStore();
+  const result = await store.append(charterId, record, options);
+  return result.record;
 }
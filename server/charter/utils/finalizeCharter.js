@@ -2,18 +2,21 @@ import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 
+import { assertApprovalsComplete } from "./approvals.js";
 import {
   appendCharterDocumentRecord,
-  readCharterDocumentRecords,
+  readCharterDocumentState,
 } from "./documentStore.js";
 import {
   assembleCharterDocxBuffer,
   assembleCharterPdfBuffer,
 } from "./documentAssembler.js";
+import { normalizeCharterPayload } from "./normalize.js";
 import { computeNextVersion } from "./versioning.js";
 import { createStorageClientFromEnv } from "../../../lib/storage/index.js";
 
 const TMP_OUTPUT_DIR = path.resolve(process.cwd(), "tmp", "charter-finalization");
+const MAX_APPEND_ATTEMPTS = 3;
 
 function sanitizeSegment(value, fallback = "document") {
   const normalized = (value ?? "")
@@ -70,7 +73,9 @@ function resolveMetadataFields(metadata, version, fileType) {
     ProjectName: metadata?.projectName,
     OwnerUPN: metadata?.ownerUpn ?? metadata?.owner,
     Version: version,
-    Status: metadata?.status ?? (metadata?.isFinal ? "Final" : undefined),
+    // Only reached once the approval gate has passed, so the caller's
+    // metadata can no longer mark a document final on its own.
+    Status: "Final",
     BusinessUnit: metadata?.businessUnit,
     Tags: tags,
     DocumentType: fileType.toUpperCase(),
@@ -103,6 +108,41 @@ async function uploadArtifact({
   };
 }
 
+/**
+ * Appends finalization records with optimistic concurrency. When another
+ * writer moved the revision without claiming this version (e.g. a Smartsheet
+ * sync), the append is retried against the new revision. A record for the
+ * same version written by someone else means two finalizations raced, and
+ * the RecordConflictError is rethrown.
+ */
+function createVersionAppender(charterId, version, initialRevision) {
+  let revision = initialRevision;
+  const ownRecordIds = new Set();
+
+  return async function appendVersionRecord(record) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await appendCharterDocumentRecord(charterId, record, { expectedRevision: revision });
+        revision += 1;
+        ownRecordIds.add(record.id);
+        return record;
+      } catch (error) {
+        if (error?.name !== "RecordConflictError" || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+        const current = await readCharterDocumentState(charterId);
+        const claimed = current.records.some(
+          (existing) => existing?.version === version && !ownRecordIds.has(existing?.id)
+        );
+        if (claimed) {
+          throw error;
+        }
+        revision = current.revision;
+      }
+    }
+  };
+}
+
 export async function finalizeCharter({
   charterId,
   charter,
@@ -119,11 +159,30 @@ export async function finalizeCharter({
     throw new Error("charter payload is required to finalize");
   }
 
-  const existingRecords = await readCharterDocumentRecords(charterId);
+  // Blocks finalization until every required approver has signed off on
+  // this exact charter content.
+  const approvals = await assertApprovalsComplete(charterId, {
+    docType: "charter",
+    document: charter,
+  });
+  const signOffs = approvals.roles
+    .filter((role) => role.status === "approved")
+    .map(({ role, approver, decidedAt, signatureHash }) => ({
+      role,
+      approver,
+      signedAt: decidedAt,
+      signatureHash,
+    }));
+
+  const { records: existingRecords, revision } = await readCharterDocumentState(charterId);
   const version = computeNextVersion(existingRecords, requestedVersion);
+  const appendVersionRecord = createVersionAppender(charterId, version, revision);
   const now = new Date();
   const dateStamp = now.toISOString().slice(0, 10);
 
+  // Stored on every record so versions can be diffed and redlined later.
+  const snapshot = normalizeCharterPayload(charter);
+
   const projectKey = metadata?.projectKey ?? charter?.project_key ?? charterId;
   const projectName = metadata?.projectName ?? charter?.project_name ?? charterId;
 
@@ -168,10 +227,12 @@ export async function finalizeCharter({
         ...metadata,
         tempFile,
       },
+      snapshot,
+      approvals: signOffs,
       createdBy: createdBy ?? metadata?.owner ?? null,
       createdAt: now.toISOString(),
     };
-    await appendCharterDocumentRecord(charterId, record);
+    await appendVersionRecord(record);
     results.push(record);
   }
 
@@ -213,10 +274,12 @@ export async function finalizeCharter({
         ...metadata,
         tempFile,
       },
+      snapshot,
+      approvals: signOffs,
       createdBy: createdBy ?? metadata?.owner ?? null,
       createdAt: now.toISOString(),
     };
-    await appendCharterDocumentRecord(charterId, record);
+    await appendVersionRecord(record);
     results.push(record);
   }
 
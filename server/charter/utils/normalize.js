@@ -1,3 +1,5 @@
+import { getLocaleInfo, normalizeLocale } from "../../../lib/i18n/locales.js";
+
 const ALIAS_TO_SCHEMA_FIELD = {
   projectTitle: "project_name",
   projectName: "project_name",
@@ -120,6 +122,192 @@ export function toTrimmedString(value) {
   return "";
 }
 
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_MONTH_RE = /^(\d{4})-(\d{2})$/;
+const ISO_DATETIME_RE =
+  /^(\d{4})-(\d{2})-(\d{2})[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i;
+const YEAR_FIRST_DATE_RE = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/;
+const NUMERIC_DATE_RE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const DAY_MONTH_YEAR_RE = /^(\d{1,2})(?:st|nd|rd|th)?\s+([\p{L}]+)\s+(\d{4})$/u;
+const MONTH_DAY_YEAR_RE = /^([\p{L}]+)\s+(\d{1,2})(?:st|nd|rd|th)?\s+(\d{4})$/u;
+const MONTH_YEAR_RE = /^([\p{L}]+)\s+(\d{4})$/u;
+
+// Month names and common abbreviations users type or dictate, keyed by locale
+const MONTH_NAMES = {
+  en: [
+    ["january", "jan"],
+    ["february", "feb"],
+    ["march", "mar"],
+    ["april", "apr"],
+    ["may"],
+    ["june", "jun"],
+    ["july", "jul"],
+    ["august", "aug"],
+    ["september", "sep", "sept"],
+    ["october", "oct"],
+    ["november", "nov"],
+    ["december", "dec"],
+  ],
+  de: [
+    ["januar", "jan", "jänner"],
+    ["februar", "feb"],
+    ["märz", "maerz", "mär", "mrz"],
+    ["april", "apr"],
+    ["mai"],
+    ["juni", "jun"],
+    ["juli", "jul"],
+    ["august", "aug"],
+    ["september", "sep", "sept"],
+    ["oktober", "okt"],
+    ["november", "nov"],
+    ["dezember", "dez"],
+  ],
+  "es-MX": [
+    ["enero", "ene"],
+    ["febrero", "feb"],
+    ["marzo", "mar"],
+    ["abril", "abr"],
+    ["mayo", "may"],
+    ["junio", "jun"],
+    ["julio", "jul"],
+    ["agosto", "ago"],
+    ["septiembre", "setiembre", "sep", "sept"],
+    ["octubre", "oct"],
+    ["noviembre", "nov"],
+    ["diciembre", "dic"],
+  ],
+};
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function lookupMonth(name, locale) {
+  const candidates = locale === "en" ? [MONTH_NAMES.en] : [MONTH_NAMES[locale], MONTH_NAMES.en];
+  for (const table of candidates) {
+    const index = table.findIndex((names) => names.includes(name));
+    if (index !== -1) {
+      return index + 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a date the way a user in `locale` writes or dictates it.
+ *
+ * Accepts ISO dates, numeric dates in the locale's day/month order
+ * ("03/04/2025" is March 4 in English and 3 April in German or Spanish),
+ * and month names ("15. März 2025", "15 de marzo de 2025", "March 15, 2025").
+ * A bare month ("2025-03", "marzo 2025") resolves to its first day and is
+ * flagged as inferred. ISO datetimes keep the calendar date they were
+ * written with. Impossible dates ("2025-02-31") are rejected, and anything
+ * else ("Phase 2", "week 12", "TBD") is not a date.
+ *
+ * @param {unknown} value
+ * @param {{ locale?: string }} [options]
+ * @returns {{ iso: string, inferred: boolean } | null} Null when the value is not a date
+ */
+export function parseDateInput(value, { locale } = {}) {
+  const trimmed = toTrimmedString(value);
+  if (!trimmed) {
+    return null;
+  }
+  const localeKey = normalizeLocale(locale);
+  const { dateOrder } = getLocaleInfo(localeKey);
+
+  let match = trimmed.match(ISO_DATE_RE);
+  if (match) {
+    const iso = toIsoDate(...match.slice(1).map(Number));
+    if (iso) {
+      return { iso, inferred: false };
+    }
+  }
+
+  match = trimmed.match(NUMERIC_DATE_RE);
+  if (match) {
+    const [first, second, year] = match.slice(1).map(Number);
+    const [month, day] = dateOrder === "DMY" ? [second, first] : [first, second];
+    const iso = toIsoDate(year, month, day);
+    if (iso) {
+      return { iso, inferred: false };
+    }
+  }
+
+  match = trimmed.match(YEAR_FIRST_DATE_RE);
+  if (match) {
+    const iso = toIsoDate(...match.slice(1).map(Number));
+    if (iso) {
+      return { iso, inferred: false };
+    }
+  }
+
+  match = trimmed.match(ISO_MONTH_RE);
+  if (match) {
+    const iso = toIsoDate(Number(match[1]), Number(match[2]), 1);
+    if (iso) {
+      return { iso, inferred: true };
+    }
+  }
+
+  // "15. März 2025", "15 de marzo de 2025", "March 15th, 2025", "marzo 2025"
+  const words = trimmed
+    .toLowerCase()
+    .replace(/[.,]/g, " ")
+    .replace(/\b(?:de|del|the|of)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  match = words.match(DAY_MONTH_YEAR_RE);
+  if (match) {
+    const month = lookupMonth(match[2], localeKey);
+    const iso = month ? toIsoDate(Number(match[3]), month, Number(match[1])) : null;
+    if (iso) {
+      return { iso, inferred: false };
+    }
+  }
+
+  match = words.match(MONTH_DAY_YEAR_RE);
+  if (match) {
+    const month = lookupMonth(match[1], localeKey);
+    const iso = month ? toIsoDate(Number(match[3]), month, Number(match[2])) : null;
+    if (iso) {
+      return { iso, inferred: false };
+    }
+  }
+
+  match = words.match(MONTH_YEAR_RE);
+  if (match) {
+    const month = lookupMonth(match[1], localeKey);
+    const iso = month ? toIsoDate(Number(match[2]), month, 1) : null;
+    if (iso) {
+      return { iso, inferred: true };
+    }
+  }
+
+  match = trimmed.match(ISO_DATETIME_RE);
+  if (match) {
+    const iso = toIsoDate(...match.slice(1, 4).map(Number));
+    if (iso) {
+      return { iso, inferred: false };
+    }
+  }
+
+  return null;
+}
+
 function toArray(value, { splitStrings = false } = {}) {
   if (Array.isArray(value)) {
     return value;
@@ -232,7 +420,21 @@ export function normalizeObjectEntries(value, fields, { extraStringFields = [],
   return items;
 }
 
-export function normalizeCharterPayload(input) {
+function normalizeDateValue(value, locale) {
+  return parseDateInput(value, { locale })?.iso ?? value;
+}
+
+/**
+ * Normalize a charter payload to the schema shape.
+ *
+ * With `options.locale`, dates written the way that locale writes them
+ * (start and end dates, milestone dates) are converted to ISO; values that
+ * are not recognisable dates are kept as entered.
+ *
+ * @param {unknown} input
+ * @param {{ locale?: string }} [options]
+ */
+export function normalizeCharterPayload(input, { locale } = {}) {
   const source = coerceAliasesToSchemaKeys(
     input && typeof input === "object" && !Array.isArray(input) ? input : {}
   );
@@ -258,6 +460,14 @@ export function normalizeCharterPayload(input) {
     );
   }
 
+  if (locale) {
+    normalized.start_date = normalizeDateValue(normalized.start_date, locale);
+    normalized.end_date = normalizeDateValue(normalized.end_date, locale);
+    normalized.milestones = normalized.milestones.map((milestone) =>
+      milestone.date ? { ...milestone, date: normalizeDateValue(milestone.date, locale) } : milestone
+    );
+  }
+
   return normalized;
 }
 
@@ -41,7 +41,10 @@ export async function renderCharterPdfBuffer(charter) {
     throw createCharterValidationError(errors, normalized);
   }
 
-  const docDefinition = buildPdfDefinition(normalized);
+  return createPdfBufferFromDefinition(buildPdfDefinition(normalized));
+}
+
+export function createPdfBufferFromDefinition(docDefinition) {
   return new Promise((resolve, reject) => {
     try {
       const pdfDocGenerator = pdfMake.createPdf(docDefinition);
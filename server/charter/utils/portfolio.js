@@ -0,0 +1,237 @@
+import { filterReadableCharterIds } from "./access.js";
+import { listCharterIds, readCharterDocumentRecords } from "./documentStore.js";
+import { compareVersions } from "./versioning.js";
+import { listCharterVersionSnapshots } from "./versionDiff.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTrimmedString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function parseDate(value) {
+  const text = toTrimmedString(value);
+  if (!text) {
+    return null;
+  }
+  const timestamp = Date.parse(text);
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Finalization metadata may carry tags as an array or a "a; b" string.
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(/[;,]/) : [];
+  return [...new Set(list.map(toTrimmedString).filter(Boolean))];
+}
+
+function normalizeMilestones(milestones) {
+  return (Array.isArray(milestones) ? milestones : [])
+    .map((milestone) => ({
+      phase: toTrimmedString(milestone?.phase),
+      deliverable: toTrimmedString(milestone?.deliverable),
+      date: toTrimmedString(milestone?.date),
+    }))
+    .filter((milestone) => milestone.phase || milestone.deliverable || milestone.date);
+}
+
+/**
+ * Timeline used for overlap detection: the charter's start/end dates, with
+ * the earliest/latest milestone standing in for a missing bound.
+ */
+function resolveTimeline(snapshot, milestones) {
+  const milestoneDates = milestones
+    .map((milestone) => parseDate(milestone.date))
+    .filter((timestamp) => timestamp !== null);
+  const start =
+    parseDate(snapshot?.start_date) ??
+    (milestoneDates.length > 0 ? Math.min(...milestoneDates) : null);
+  const end =
+    parseDate(snapshot?.end_date) ??
+    (milestoneDates.length > 0 ? Math.max(...milestoneDates) : null);
+  if (start === null || end === null || end < start) {
+    return null;
+  }
+  return { start, end };
+}
+
+function pickLatestRecord(records) {
+  return records.reduce((latest, record) => {
+    if (!latest) {
+      return record;
+    }
+    const order = compareVersions(record?.version, latest?.version);
+    if (order !== 0) {
+      return order > 0 ? record : latest;
+    }
+    return (record?.createdAt ?? "") > (latest?.createdAt ?? "") ? record : latest;
+  }, null);
+}
+
+/**
+ * Summarizes one charter's stored records into a portfolio row, or null when
+ * the charter has no records.
+ */
+export function summarizeCharterRecords(charterId, records) {
+  const list = Array.isArray(records) ? records : [];
+  const latestRecord = pickLatestRecord(list);
+  if (!latestRecord) {
+    return null;
+  }
+
+  const versions = listCharterVersionSnapshots(list);
+  const snapshot = versions.length > 0 ? versions[versions.length - 1].snapshot : {};
+  const metadata = latestRecord.metadata ?? {};
+  const milestones = normalizeMilestones(snapshot.milestones);
+  const timeline = resolveTimeline(snapshot, milestones);
+
+  return {
+    charterId,
+    projectName:
+      toTrimmedString(snapshot.project_name) || toTrimmedString(metadata.projectName) || charterId,
+    sponsor: toTrimmedString(snapshot.sponsor) || null,
+    projectLead: toTrimmedString(snapshot.project_lead) || null,
+    startDate: toTrimmedString(snapshot.start_date) || null,
+    endDate: toTrimmedString(snapshot.end_date) || null,
+    timeline: timeline ? { start: formatDate(timeline.start), end: formatDate(timeline.end) } : null,
+    milestones,
+    riskCount: Array.isArray(snapshot.risks) ? snapshot.risks.length : 0,
+    latestVersion: latestRecord.version ?? null,
+    versionCount: new Set(list.map((record) => record?.version).filter(Boolean)).size,
+    finalizedAt: latestRecord.createdAt ?? null,
+    businessUnit: toTrimmedString(metadata.businessUnit) || null,
+    tags: normalizeTags(metadata.tags),
+  };
+}
+
+function matchesFilters(row, { businessUnits, tags }) {
+  if (businessUnits.length > 0) {
+    const unit = (row.businessUnit ?? "").toLowerCase();
+    if (!businessUnits.includes(unit)) {
+      return false;
+    }
+  }
+  if (tags.length > 0) {
+    const rowTags = new Set(row.tags.map((tag) => tag.toLowerCase()));
+    if (!tags.every((tag) => rowTags.has(tag))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Pairs of charters whose timelines intersect, with the shared window and the
+ * milestones from either charter that fall inside it.
+ */
+export function detectTimelineOverlaps(rows) {
+  const timed = rows
+    .filter((row) => row.timeline)
+    .map((row) => ({
+      row,
+      start: parseDate(row.timeline.start),
+      end: parseDate(row.timeline.end),
+    }));
+
+  const overlaps = [];
+  for (let i = 0; i < timed.length; i += 1) {
+    for (let j = i + 1; j < timed.length; j += 1) {
+      const start = Math.max(timed[i].start, timed[j].start);
+      const end = Math.min(timed[i].end, timed[j].end);
+      if (start > end) {
+        continue;
+      }
+
+      const milestones = [timed[i].row, timed[j].row].flatMap((row) =>
+        row.milestones
+          .filter((milestone) => {
+            const date = parseDate(milestone.date);
+            return date !== null && date >= start && date <= end;
+          })
+          .map((milestone) => ({ charterId: row.charterId, ...milestone }))
+      );
+      milestones.sort((a, b) => parseDate(a.date) - parseDate(b.date));
+
+      overlaps.push({
+        charterIds: [timed[i].row.charterId, timed[j].row.charterId],
+        start: formatDate(start),
+        end: formatDate(end),
+        days: Math.round((end - start) / DAY_MS) + 1,
+        milestones,
+      });
+    }
+  }
+
+  return overlaps.sort((a, b) => b.days - a.days);
+}
+
+function collectFacets(rows) {
+  const businessUnits = new Set();
+  const tags = new Set();
+  for (const row of rows) {
+    if (row.businessUnit) {
+      businessUnits.add(row.businessUnit);
+    }
+    row.tags.forEach((tag) => tags.add(tag));
+  }
+  const sort = (values) => [...values].sort((a, b) => a.localeCompare(b));
+  return { businessUnits: sort(businessUnits), tags: sort(tags) };
+}
+
+function normalizeFilterList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => (typeof item === "string" ? item.split(",") : []))
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Aggregates every stored charter the identity can read into portfolio rows
+ * (all charters when authentication is off). `businessUnit` keeps
+ * charters in any of the listed units; `tags` keeps charters carrying all of
+ * the listed tags. Facets are computed before filtering so the UI can offer
+ * every available value.
+ */
+export async function buildCharterPortfolio({ businessUnit, tags, identity = null } = {}) {
+  const charterIds = await filterReadableCharterIds(await listCharterIds(), identity);
+  const rows = [];
+  for (const charterId of charterIds) {
+    const row = summarizeCharterRecords(charterId, await readCharterDocumentRecords(charterId));
+    if (row) {
+      rows.push(row);
+    }
+  }
+
+  const filters = {
+    businessUnits: normalizeFilterList(businessUnit),
+    tags: normalizeFilterList(tags),
+  };
+  const charters = rows
+    .filter((row) => matchesFilters(row, filters))
+    .sort((a, b) => a.projectName.localeCompare(b.projectName));
+  const overlaps = detectTimelineOverlaps(charters);
+
+  const overlapping = new Map();
+  for (const { charterIds: [first, second] } of overlaps) {
+    overlapping.set(first, [...(overlapping.get(first) ?? []), second]);
+    overlapping.set(second, [...(overlapping.get(second) ?? []), first]);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    charters: charters.map((row) => ({
+      ...row,
+      overlapsWith: overlapping.get(row.charterId) ?? [],
+    })),
+    overlaps,
+    facets: collectFacets(rows),
+    totals: {
+      charters: charters.length,
+      risks: charters.reduce((sum, row) => sum + row.riskCount, 0),
+      overlapping: overlapping.size,
+    },
+  };
+}
@@ -0,0 +1,256 @@
+import { createZipBuffer, escapeXml } from "../../../lib/doc/ooxml.js";
+import { buildRedlinePdfDefinition } from "../../../templates/pdf/charterRedline.pdfdef.mjs";
+import { createPdfBufferFromDefinition } from "./pdf.js";
+
+const FIELD_LABELS = {
+  project_name: "Project Name",
+  sponsor: "Sponsor",
+  project_lead: "Project Manager",
+  start_date: "Start Date",
+  end_date: "End Date",
+  vision: "Vision",
+  problem: "Problem/Opportunity",
+  description: "Description",
+  scope_in: "In Scope",
+  scope_out: "Out of Scope",
+  risks: "Risks",
+  assumptions: "Assumptions",
+  milestones: "Milestones",
+  success_metrics: "Success Metrics",
+  core_team: "Core Team",
+  system_of_measurement: "System of Measurement",
+};
+
+// Redline colors: deletions in red strikethrough, insertions in blue
+// underline, moved items in purple italics.
+const DELETED_COLOR = "C00000";
+const INSERTED_COLOR = "2E75B6";
+const MOVED_COLOR = "7030A0";
+
+function labelFor(field) {
+  if (FIELD_LABELS[field]) {
+    return FIELD_LABELS[field];
+  }
+  return String(field)
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+function describeValue(value) {
+  if (value == null) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(describeValue).filter(Boolean).join(", ");
+  }
+  if (typeof value === "object") {
+    return Object.values(value).map(describeValue).filter(Boolean).join(" — ");
+  }
+  return String(value).trim();
+}
+
+function deleted(text) {
+  return { text, mark: "deleted" };
+}
+
+function inserted(text) {
+  return { text, mark: "inserted" };
+}
+
+function replacementSegments(before, after) {
+  const segments = [];
+  const beforeText = describeValue(before);
+  const afterText = describeValue(after);
+  if (beforeText) {
+    segments.push(deleted(beforeText));
+  }
+  if (beforeText && afterText) {
+    segments.push({ text: " " });
+  }
+  if (afterText) {
+    segments.push(inserted(afterText));
+  }
+  return segments;
+}
+
+function describeValueChange(entry) {
+  const prefix =
+    entry.change === "added" ? "Added" : entry.change === "removed" ? "Removed" : "Changed";
+  return { prefix, segments: replacementSegments(entry.before, entry.after) };
+}
+
+function describeItemChange(item) {
+  switch (item.change) {
+    case "added":
+      return {
+        prefix: `Added item ${item.to + 1}`,
+        segments: [inserted(describeValue(item.item))],
+      };
+    case "removed":
+      return {
+        prefix: `Removed item ${item.from + 1}`,
+        segments: [deleted(describeValue(item.item))],
+      };
+    case "moved":
+      return {
+        prefix: `Moved item ${item.from + 1} to position ${item.to + 1}`,
+        segments: [{ text: describeValue(item.item), mark: "moved" }],
+      };
+    default: {
+      const moveNote = item.moved ? ` (moved from item ${item.from + 1})` : "";
+      const segments = [];
+      if (item.fields.length === 0) {
+        segments.push(...replacementSegments(item.before, item.after));
+      }
+      item.fields.forEach((fieldChange, index) => {
+        if (index > 0) {
+          segments.push({ text: "; " });
+        }
+        segments.push({ text: `${labelFor(fieldChange.field)}: ` });
+        segments.push(...replacementSegments(fieldChange.before, fieldChange.after));
+      });
+      return { prefix: `Updated item ${item.to + 1}${moveNote}`, segments };
+    }
+  }
+}
+
+function formatVersionLabel(entry) {
+  const date = typeof entry?.createdAt === "string" ? entry.createdAt.slice(0, 10) : "";
+  return date ? `v${entry.version} (${date})` : `v${entry.version}`;
+}
+
+/**
+ * Turns a version diff into a format-neutral redline model that the DOCX and
+ * PDF writers share. Each entry is a prefix plus text segments marked as
+ * deleted, inserted, moved, or unmarked.
+ */
+export function buildRedlineModel({ charterId, from, to, diff }) {
+  const projectName =
+    describeValue(to?.snapshot?.project_name) ||
+    describeValue(from?.snapshot?.project_name) ||
+    charterId;
+
+  const sections = diff.fields.map((fieldDiff) => ({
+    title: labelFor(fieldDiff.field),
+    entries:
+      fieldDiff.type === "array"
+        ? fieldDiff.items.map(describeItemChange)
+        : [describeValueChange(fieldDiff)],
+  }));
+
+  const { added, removed, modified, moved } = diff.summary;
+  return {
+    title: "Charter Redline",
+    projectName,
+    comparison: `Comparing ${formatVersionLabel(from)} to ${formatVersionLabel(to)}`,
+    summary: `${added} added, ${removed} removed, ${modified} modified, ${moved} moved`,
+    sections,
+  };
+}
+
+function docxRun(segment, { bold = false, size = 20 } = {}) {
+  const { mark } = segment;
+  // Run properties must follow the schema order: b, i, strike, color, sz, u.
+  const properties = [
+    bold ? "<w:b/>" : "",
+    mark === "moved" ? "<w:i/>" : "",
+    mark === "deleted" ? "<w:strike/>" : "",
+    mark === "deleted" ? `<w:color w:val="${DELETED_COLOR}"/>` : "",
+    mark === "inserted" ? `<w:color w:val="${INSERTED_COLOR}"/>` : "",
+    mark === "moved" ? `<w:color w:val="${MOVED_COLOR}"/>` : "",
+    `<w:sz w:val="${size}"/>`,
+    mark === "inserted" ? '<w:u w:val="single"/>' : "",
+  ];
+  return `<w:r><w:rPr>${properties.join("")}</w:rPr><w:t xml:space="preserve">${escapeXml(
+    segment.text
+  )}</w:t></w:r>`;
+}
+
+function docxParagraph(runs, { spacingAfter = 120, shading } = {}) {
+  const shadingXml = shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${shading}"/>` : "";
+  return `<w:p><w:pPr>${shadingXml}<w:spacing w:after="${spacingAfter}"/></w:pPr>${runs.join(
+    ""
+  )}</w:p>`;
+}
+
+function buildDocumentXml(model) {
+  const body = [
+    docxParagraph([
+      docxRun({ text: `${model.title}: ${model.projectName}` }, { bold: true, size: 32 }),
+    ]),
+    docxParagraph([docxRun({ text: model.comparison })]),
+    docxParagraph([docxRun({ text: `Summary: ${model.summary}` })]),
+    docxParagraph(
+      [
+        docxRun({ text: "Legend: " }, { bold: true }),
+        docxRun(deleted("deleted")),
+        docxRun({ text: "  " }),
+        docxRun(inserted("inserted")),
+        docxRun({ text: "  " }),
+        docxRun({ text: "moved", mark: "moved" }),
+      ],
+      { spacingAfter: 240 }
+    ),
+  ];
+
+  if (model.sections.length === 0) {
+    body.push(docxParagraph([docxRun({ text: "No changes between these versions." })]));
+  }
+
+  for (const section of model.sections) {
+    body.push(
+      docxParagraph([docxRun({ text: section.title }, { bold: true, size: 22 })], {
+        shading: "F2F2F2",
+      })
+    );
+    for (const entry of section.entries) {
+      body.push(
+        docxParagraph([
+          docxRun({ text: `${entry.prefix}: ` }, { bold: true }),
+          ...entry.segments.map((segment) => docxRun(segment)),
+        ])
+      );
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">',
+    "<w:body>",
+    body.join(""),
+    '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>',
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/>',
+    "</w:sectPr>",
+    "</w:body>",
+    "</w:document>",
+  ].join("");
+}
+
+const DOCX_CONTENT_TYPES = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+  '<Default Extension="xml" ContentType="application/xml"/>',
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>',
+  "</Types>",
+].join("");
+
+const DOCX_ROOT_RELS = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>',
+  "</Relationships>",
+].join("");
+
+export function renderRedlineDocxBuffer(model) {
+  return createZipBuffer([
+    { name: "[Content_Types].xml", data: DOCX_CONTENT_TYPES },
+    { name: "_rels/.rels", data: DOCX_ROOT_RELS },
+    { name: "word/document.xml", data: buildDocumentXml(model) },
+  ]);
+}
+
+export async function renderRedlinePdfBuffer(model) {
+  return createPdfBufferFromDefinition(buildRedlinePdfDefinition(model));
+}
@@ -136,7 +136,7 @@ function normalizeField(value) {
  *   }>
  * }} The normalized charter form schema.
  */
-export function normalizeCharterFormSchema(value) {
+export function normalizeCharterFormSchema(value, { documentType: expectedType = "charter" } = {}) {
   if (!isRecord(value)) {
     throw new Error("Form schema must be an object");
   }
@@ -145,7 +145,7 @@ export function normalizeCharterFormSchema(value) {
     value.document_type,
     "Form schema is missing document_type"
   );
-  if (documentType !== "charter") {
+  if (documentType !== expectedType) {
     throw new Error(`Unexpected form schema type: ${documentType}`);
   }
   const version = toRequiredString(value.version, "Form schema is missing version");
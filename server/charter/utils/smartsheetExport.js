@@ -0,0 +1,377 @@
+import { recordDocumentAudit } from "../../../lib/doc/audit.js";
+import { getDocTypeConfig } from "../../../lib/doc/registry.js";
+import { SmartsheetClient } from "../../../mcp-servers/smartsheet/index.js";
+import {
+  readCharterDocumentState,
+  writeCharterDocumentRecords,
+} from "./documentStore.js";
+import { listCharterVersionSnapshots } from "./versionDiff.js";
+
+export const SMARTSHEET_EXPORT_DOC_TYPES = ["charter", "ddp"];
+
+/**
+ * Project plan columns. Sheets created without a template get the first
+ * title of each entry; template sheets may use any listed title.
+ */
+export const PROJECT_PLAN_COLUMNS = [
+  { key: "milestone", titles: ["Milestone", "Phase", "Task Name"], type: "TEXT_NUMBER", primary: true },
+  { key: "deliverable", titles: ["Deliverable"], type: "TEXT_NUMBER" },
+  { key: "owner", titles: ["Owner", "Assigned To"], type: "TEXT_NUMBER" },
+  { key: "date", titles: ["Date", "Target Date", "Due Date", "End Date"], type: "DATE" },
+];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class SmartsheetExportError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "SmartsheetExportError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function clean(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Maps a charter's milestones or a DDP's phases to project plan rows. Rows
+ * are keyed by the entry's `id` when it has one, otherwise by its milestone
+ * (phase) name, so inserting or reordering milestones keeps every row with
+ * its milestone. Repeated names are told apart by occurrence.
+ */
+export function buildProjectPlanRows(docType, document) {
+  const source = isPlainObject(document) ? document : {};
+  const entries =
+    docType === "ddp"
+      ? (Array.isArray(source.phases) ? source.phases : []).map((phase) => ({
+          id: phase?.id,
+          milestone: clean(phase?.name),
+          deliverable: clean(phase?.deliverable),
+          owner: clean(phase?.owner),
+          date: clean(phase?.target_date),
+        }))
+      : (Array.isArray(source.milestones) ? source.milestones : []).map((milestone) => ({
+          id: milestone?.id,
+          milestone: clean(milestone?.phase),
+          deliverable: clean(milestone?.deliverable),
+          owner: clean(source.project_lead),
+          date: clean(milestone?.date),
+        }));
+
+  const occurrences = new Map();
+  return entries
+    .map(({ id, ...entry }) => ({ id, ...entry, milestone: entry.milestone || entry.deliverable }))
+    .filter((entry) => entry.milestone)
+    .map(({ id, ...entry }) => {
+      if (typeof id === "string" && id.trim()) {
+        return { key: `id:${id.trim()}`, ...entry };
+      }
+      const name = entry.milestone.toLowerCase().replace(/\s+/g, " ");
+      const count = (occurrences.get(name) ?? 0) + 1;
+      occurrences.set(name, count);
+      return { key: count === 1 ? `milestone:${name}` : `milestone:${name}#${count}`, ...entry };
+    });
+}
+
+/**
+ * Smartsheet links stored on a record, keyed by doc type. Records synced
+ * before links were kept per doc type carry a single `smartsheet` link.
+ */
+function readRecordLinks(record) {
+  const links = isPlainObject(record?.smartsheetLinks) ? { ...record.smartsheetLinks } : {};
+  const legacy = record?.smartsheet;
+  if (isPlainObject(legacy) && legacy.sheetId) {
+    const docType = legacy.docType ?? "charter";
+    links[docType] = links[docType] ?? legacy;
+  }
+  return links;
+}
+
+/**
+ * Returns the most recent Smartsheet link for a doc type stored on a
+ * charter's records.
+ */
+export function findSmartsheetLink(records, docType = "charter") {
+  let latest = null;
+  for (const record of Array.isArray(records) ? records : []) {
+    const link = readRecordLinks(record)[docType];
+    if (!isPlainObject(link) || !link.sheetId) {
+      continue;
+    }
+    if (!latest || (link.syncedAt ?? "") > (latest.syncedAt ?? "")) {
+      latest = link;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Runs a Smartsheet client call, reporting API failures as a 502 with the
+ * client's sanitized message.
+ */
+async function callSmartsheet(request) {
+  try {
+    return await request();
+  } catch (error) {
+    throw new SmartsheetExportError(
+      "smartsheet_request_failed",
+      error?.message || "Smartsheet request failed",
+      502
+    );
+  }
+}
+
+function resolveColumnIds(columns) {
+  const ids = {};
+  for (const column of PROJECT_PLAN_COLUMNS) {
+    const titles = column.titles.map((title) => title.toLowerCase());
+    const match = (columns ?? []).find((entry) => titles.includes(clean(entry?.title).toLowerCase()));
+    if (match) {
+      ids[column.key] = match.id;
+    }
+  }
+  if (!ids.milestone) {
+    throw new SmartsheetExportError(
+      "template_missing_columns",
+      `The project sheet needs a "${PROJECT_PLAN_COLUMNS[0].titles[0]}" column.`,
+      422
+    );
+  }
+  return ids;
+}
+
+function toCells(row, columnIds) {
+  const cells = [];
+  for (const column of PROJECT_PLAN_COLUMNS) {
+    const columnId = columnIds[column.key];
+    const value = row[column.key];
+    if (!columnId) {
+      continue;
+    }
+    if (column.type === "DATE" && value && !ISO_DATE_PATTERN.test(value)) {
+      continue;
+    }
+    cells.push({ columnId, value: value || "" });
+  }
+  return cells;
+}
+
+function resolveTarget(records, { docType, version, document }) {
+  const versions = listCharterVersionSnapshots(records);
+  if (versions.length === 0) {
+    throw new SmartsheetExportError(
+      "charter_not_found",
+      "No finalized charter versions with snapshots were found.",
+      404
+    );
+  }
+
+  if (docType === "charter") {
+    const match = version ? versions.find((entry) => entry.version === version) : versions.at(-1);
+    if (!match) {
+      throw new SmartsheetExportError("version_not_found", `Version ${version} was not found.`, 404);
+    }
+    return { version: match.version, document: match.snapshot };
+  }
+
+  // Other doc types are not finalized into the charter store, so the caller
+  // sends the document and the link is kept on the latest charter version.
+  if (!isPlainObject(document)) {
+    throw new SmartsheetExportError("document_required", `A ${docType} document is required.`);
+  }
+  return { version: versions.at(-1).version, document };
+}
+
+/**
+ * Best-effort removal of a sheet created, or rows added, by a sync that
+ * could not be recorded.
+ */
+async function discardSheetChanges(client, { sheetId, createdSheet, addedRowIds }) {
+  try {
+    if (createdSheet) {
+      await client.deleteSheet(sheetId);
+    } else if (addedRowIds.length > 0) {
+      await client.deleteRows(sheetId, addedRowIds);
+    }
+  } catch (error) {
+    console.error("smartsheet cleanup failed", error?.message ?? error);
+  }
+}
+
+/**
+ * Publishes a finalized charter's milestones (or a DDP's phases) as a
+ * Smartsheet project plan, one sheet per doc type. The first sync creates
+ * the sheet, from SMARTSHEET_PROJECT_TEMPLATE_ID when set; row IDs are
+ * stored on the charter version's records so later syncs update the same
+ * rows and delete the rows of milestones that were removed.
+ */
+export async function syncProjectPlan(
+  charterId,
+  { docType = "charter", version, document, sheetName, actor } = {},
+  { fetchImpl = fetch, env = process.env } = {}
+) {
+  if (!SMARTSHEET_EXPORT_DOC_TYPES.includes(docType)) {
+    throw new SmartsheetExportError(
+      "unsupported_doc_type",
+      `Smartsheet export is not available for "${docType}".`
+    );
+  }
+  const apiKey = clean(env.SMARTSHEET_API_KEY);
+  if (!apiKey) {
+    throw new SmartsheetExportError(
+      "smartsheet_not_configured",
+      "SMARTSHEET_API_KEY is not configured.",
+      503
+    );
+  }
+
+  const { records, revision } = await readCharterDocumentState(charterId);
+  const target = resolveTarget(records, { docType, version, document });
+  const rows = buildProjectPlanRows(docType, target.document);
+  if (rows.length === 0) {
+    throw new SmartsheetExportError(
+      "no_milestones",
+      docType === "ddp" ? "The DDP has no phases to export." : "The charter has no milestones to export."
+    );
+  }
+
+  const client = new SmartsheetClient(apiKey, fetchImpl);
+  const previous = findSmartsheetLink(records, docType);
+
+  let sheet;
+  let createdSheet = false;
+  if (previous) {
+    sheet = await callSmartsheet(() => client.getSheet(previous.sheetId, { pageSize: 1 }));
+  } else {
+    const projectName = clean(target.document.project_name) || charterId;
+    const name = clean(sheetName) || `${projectName} – Project Plan`;
+    const templateId = clean(env.SMARTSHEET_PROJECT_TEMPLATE_ID);
+    const created = await callSmartsheet(() =>
+      client.createSheet(
+        templateId
+          ? { name, fromId: templateId }
+          : {
+              name,
+              columns: PROJECT_PLAN_COLUMNS.map((column) => ({
+                title: column.titles[0],
+                type: column.type,
+                ...(column.primary ? { primary: true } : {}),
+              })),
+            },
+        { folderId: clean(env.SMARTSHEET_PROJECT_FOLDER_ID) || undefined }
+      )
+    );
+    createdSheet = true;
+    try {
+      // Template copies are not returned with their columns
+      sheet = await callSmartsheet(() => client.getSheet(created.id, { pageSize: 1 }));
+    } catch (error) {
+      await discardSheetChanges(client, { sheetId: created.id, createdSheet, addedRowIds: [] });
+      throw error;
+    }
+  }
+
+  const rowIds = { ...(previous?.rows ?? {}) };
+  const results = [];
+  const addedRowIds = [];
+  let link;
+
+  try {
+    const columnIds = resolveColumnIds(sheet.columns);
+    const linked = rows.filter((row) => rowIds[row.key]);
+    const relink = new Set();
+
+    if (linked.length > 0) {
+      const update = await callSmartsheet(() =>
+        client.updateRows(
+          sheet.id,
+          linked.map((row) => ({ id: rowIds[row.key], cells: toCells(row, columnIds) }))
+        )
+      );
+      // Rows deleted in Smartsheet since the last sync are added again
+      const failed = new Set((update.failedItems ?? []).map((item) => item.index));
+      linked.forEach((row, index) => {
+        if (failed.has(index)) {
+          relink.add(row.key);
+        } else {
+          results.push({ key: row.key, rowId: rowIds[row.key], action: "updated" });
+        }
+      });
+    }
+
+    const toAdd = rows.filter((row) => !rowIds[row.key] || relink.has(row.key));
+    if (toAdd.length > 0) {
+      const added = await callSmartsheet(() =>
+        client.addRows(sheet.id, toAdd.map((row) => ({ cells: toCells(row, columnIds) })))
+      );
+      toAdd.forEach((row, index) => {
+        const rowId = added[index]?.id;
+        if (rowId) {
+          rowIds[row.key] = rowId;
+          addedRowIds.push(rowId);
+          results.push({ key: row.key, rowId, action: "added" });
+        }
+      });
+    }
+
+    // Rows whose milestone is no longer in the document are removed
+    const keys = new Set(rows.map((row) => row.key));
+    const orphaned = Object.keys(rowIds).filter((key) => !keys.has(key));
+    if (orphaned.length > 0) {
+      await callSmartsheet(() => client.deleteRows(sheet.id, orphaned.map((key) => rowIds[key])));
+      for (const key of orphaned) {
+        results.push({ key, rowId: rowIds[key], action: "deleted" });
+        delete rowIds[key];
+      }
+    }
+
+    link = {
+      sheetId: sheet.id,
+      sheetName: sheet.name ?? null,
+      permalink: sheet.permalink ?? previous?.permalink ?? null,
+      docType,
+      version: target.version,
+      rows: rowIds,
+      syncedAt: new Date().toISOString(),
+      syncedBy: clean(actor) || null,
+    };
+
+    await writeCharterDocumentRecords(
+      charterId,
+      records.map((record) =>
+        record?.version === target.version
+          ? { ...record, smartsheetLinks: { ...readRecordLinks(record), [docType]: link } }
+          : record
+      ),
+      { expectedRevision: revision }
+    );
+  } catch (error) {
+    // Nothing was recorded, so a sheet or rows made by this sync would be
+    // unreachable from the charter
+    await discardSheetChanges(client, { sheetId: sheet.id, createdSheet, addedRowIds });
+    throw error;
+  }
+
+  recordDocumentAudit("charters.smartsheet_sync", {
+    hashSource: link,
+    finalType: docType,
+    templateVersion: getDocTypeConfig(docType)?.templateVersion,
+    status: createdSheet ? "created" : "synced",
+  });
+
+  const order = new Map(rows.map((row, index) => [row.key, index]));
+  return {
+    charterId,
+    createdSheet,
+    link,
+    rows: results.sort(
+      (a, b) => (order.get(a.key) ?? rows.length) - (order.get(b.key) ?? rows.length)
+    ),
+  };
+}
@@ -0,0 +1,346 @@
+import { compareVersions } from "./versioning.js";
+
+// Array items are matched across versions by these fields so an edited
+// milestone shows up as "modified" rather than a remove + add pair.
+const ARRAY_IDENTITY_FIELDS = {
+  milestones: ["phase", "deliverable"],
+  success_metrics: ["benefit", "metric"],
+  core_team: ["name"],
+};
+
+function createVersionError(code, message, statusCode, details) {
+  const error = new Error(message);
+  error.name = "CharterVersionError";
+  error.code = code;
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isBlank(value) {
+  if (value == null) {
+    return true;
+  }
+  if (typeof value === "string") {
+    return value.trim() === "";
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).length === 0;
+  }
+  return false;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).sort();
+    return `{${keys
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function valuesEqual(a, b) {
+  if (isBlank(a) && isBlank(b)) {
+    return true;
+  }
+  return stableStringify(a) === stableStringify(b);
+}
+
+function normalizeKeyPart(value) {
+  return typeof value === "string"
+    ? value.trim().toLowerCase().replace(/\s+/g, " ")
+    : stableStringify(value);
+}
+
+function identityKey(field, item) {
+  if (!isPlainObject(item)) {
+    return normalizeKeyPart(item);
+  }
+  const identityFields = ARRAY_IDENTITY_FIELDS[field];
+  if (!identityFields) {
+    return null;
+  }
+  const parts = identityFields.map((name) => normalizeKeyPart(item[name] ?? ""));
+  return parts.some((part) => part) ? parts.join("|") : null;
+}
+
+function matchItems(beforeItems, afterItems, keyFn) {
+  const pairs = [];
+  const unmatchedBefore = new Set(beforeItems.keys());
+  const unmatchedAfter = new Set(afterItems.keys());
+
+  const matchPass = (computeKey) => {
+    const available = new Map();
+    for (const afterIndex of unmatchedAfter) {
+      const key = computeKey(afterItems[afterIndex]);
+      if (key == null) {
+        continue;
+      }
+      if (!available.has(key)) {
+        available.set(key, []);
+      }
+      available.get(key).push(afterIndex);
+    }
+
+    for (const beforeIndex of [...unmatchedBefore]) {
+      const key = computeKey(beforeItems[beforeIndex]);
+      const candidates = key == null ? null : available.get(key);
+      if (!candidates || candidates.length === 0) {
+        continue;
+      }
+      const afterIndex = candidates.shift();
+      pairs.push({ from: beforeIndex, to: afterIndex });
+      unmatchedBefore.delete(beforeIndex);
+      unmatchedAfter.delete(afterIndex);
+    }
+  };
+
+  // Identical items first so a pure reorder is reported as moves, then the
+  // identity fields for items that were edited in place.
+  matchPass(stableStringify);
+  matchPass(keyFn);
+
+  pairs.sort((a, b) => a.from - b.from);
+  return { pairs, unmatchedBefore, unmatchedAfter };
+}
+
+// Indexes (into `pairs`) of the longest run whose target positions keep their
+// relative order; every other matched item is reported as moved.
+function findStablePairs(pairs) {
+  const tails = [];
+  const previous = new Array(pairs.length).fill(-1);
+
+  pairs.forEach((pair, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]].to < pair.to) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    if (low > 0) {
+      previous[index] = tails[low - 1];
+    }
+    tails[low] = index;
+  });
+
+  const stable = new Set();
+  let cursor = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (cursor !== -1) {
+    stable.add(cursor);
+    cursor = previous[cursor];
+  }
+  return stable;
+}
+
+function diffItemFields(before, after) {
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    return [];
+  }
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys
+    .filter((key) => !valuesEqual(before[key], after[key]))
+    .map((key) => ({ field: key, before: before[key] ?? null, after: after[key] ?? null }));
+}
+
+/**
+ * Computes item-level changes between two versions of an array field.
+ * @param {string} field - Charter field name, used to pick identity fields.
+ * @param {Array<unknown>} beforeValue
+ * @param {Array<unknown>} afterValue
+ * @returns {Array<Record<string, any>>}
+ */
+export function diffArrayItems(field, beforeValue, afterValue) {
+  const beforeItems = Array.isArray(beforeValue) ? beforeValue : [];
+  const afterItems = Array.isArray(afterValue) ? afterValue : [];
+  const { pairs, unmatchedBefore, unmatchedAfter } = matchItems(
+    beforeItems,
+    afterItems,
+    (item) => identityKey(field, item)
+  );
+  const stable = findStablePairs(pairs);
+
+  const changes = [];
+  for (const index of unmatchedBefore) {
+    changes.push({ change: "removed", from: index, item: beforeItems[index] });
+  }
+
+  pairs.forEach((pair, index) => {
+    const before = beforeItems[pair.from];
+    const after = afterItems[pair.to];
+    const moved = !stable.has(index);
+    if (!valuesEqual(before, after)) {
+      changes.push({
+        change: "modified",
+        from: pair.from,
+        to: pair.to,
+        moved,
+        before,
+        after,
+        fields: diffItemFields(before, after),
+      });
+    } else if (moved) {
+      changes.push({ change: "moved", from: pair.from, to: pair.to, item: after });
+    }
+  });
+
+  for (const index of unmatchedAfter) {
+    changes.push({ change: "added", to: index, item: afterItems[index] });
+  }
+
+  const position = (entry) => entry.to ?? entry.from;
+  return changes.sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Field-level diff between two charter snapshots. Scalar fields report
+ * added/removed/modified values; array fields report per-item adds, removes,
+ * moves, and in-place edits.
+ * @param {Record<string, any>} before
+ * @param {Record<string, any>} after
+ */
+export function diffCharterSnapshots(before, after) {
+  const source = isPlainObject(before) ? before : {};
+  const target = isPlainObject(after) ? after : {};
+  const fieldNames = [...new Set([...Object.keys(source), ...Object.keys(target)])];
+
+  const summary = { added: 0, removed: 0, modified: 0, moved: 0 };
+  const fields = [];
+
+  for (const field of fieldNames) {
+    const beforeValue = source[field];
+    const afterValue = target[field];
+
+    if (Array.isArray(beforeValue) || Array.isArray(afterValue)) {
+      const items = diffArrayItems(field, beforeValue, afterValue);
+      if (items.length === 0) {
+        continue;
+      }
+      for (const item of items) {
+        summary[item.change] += 1;
+      }
+      fields.push({ field, type: "array", items });
+      continue;
+    }
+
+    if (valuesEqual(beforeValue, afterValue)) {
+      continue;
+    }
+
+    const change = isBlank(beforeValue)
+      ? "added"
+      : isBlank(afterValue)
+      ? "removed"
+      : "modified";
+    summary[change] += 1;
+    fields.push({
+      field,
+      type: "value",
+      change,
+      before: beforeValue ?? null,
+      after: afterValue ?? null,
+    });
+  }
+
+  return {
+    hasChanges: fields.length > 0,
+    summary,
+    fields,
+  };
+}
+
+/**
+ * Lists stored charter versions that carry a content snapshot, oldest first.
+ * @param {Array<Record<string, any>>} records - Document store records.
+ */
+export function listCharterVersionSnapshots(records) {
+  const byVersion = new Map();
+  for (const record of Array.isArray(records) ? records : []) {
+    if (!record?.version || !isPlainObject(record.snapshot)) {
+      continue;
+    }
+    if (!byVersion.has(record.version)) {
+      byVersion.set(record.version, {
+        version: record.version,
+        createdAt: record.createdAt ?? null,
+        createdBy: record.createdBy ?? null,
+        snapshot: record.snapshot,
+      });
+    }
+  }
+  return [...byVersion.values()].sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Picks the two versions to compare. Defaults to the latest version and the
+ * one before it; throws a CharterVersionError when either cannot be found.
+ */
+export function resolveCharterVersionPair(records, { from, to } = {}) {
+  const versions = listCharterVersionSnapshots(records);
+  const storedVersions = new Set(
+    (Array.isArray(records) ? records : []).map((record) => record?.version).filter(Boolean)
+  );
+
+  const findVersion = (version) => {
+    const match = versions.find((entry) => entry.version === version);
+    if (match) {
+      return match;
+    }
+    if (storedVersions.has(version)) {
+      throw createVersionError(
+        "version_snapshot_unavailable",
+        `Version ${version} was finalized before snapshots were recorded and cannot be compared.`,
+        409,
+        { version }
+      );
+    }
+    throw createVersionError("version_not_found", `Version ${version} was not found.`, 404, {
+      version,
+    });
+  };
+
+  const target = to ? findVersion(to) : versions[versions.length - 1];
+  if (!target) {
+    throw createVersionError(
+      "insufficient_versions",
+      "At least two finalized versions are required to compare.",
+      400
+    );
+  }
+
+  let base;
+  if (from) {
+    base = findVersion(from);
+  } else {
+    const earlier = versions.filter(
+      (entry) => compareVersions(entry.version, target.version) < 0
+    );
+    base = earlier[earlier.length - 1];
+  }
+
+  if (!base || base.version === target.version) {
+    throw createVersionError(
+      "insufficient_versions",
+      "At least two finalized versions are required to compare.",
+      400
+    );
+  }
+
+  return { from: base, to: target };
+}
@@ -0,0 +1,133 @@
+/**
+ * LLM usage pricing and budgets
+ * Prices used to cost ledger entries and the budgets checked before each call
+ * @module server/config/llmUsage
+ */
+
+/**
+ * List prices in USD per million tokens. Models are matched by the longest
+ * prefix, so dated snapshots (e.g. "gpt-4o-mini-2024-07-18") use their base
+ * model's price. Azure deployments are matched by deployment name.
+ */
+export const LLM_PRICING = {
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o-transcribe": { input: 2.5, output: 10 },
+  "gpt-4o-mini-transcribe": { input: 1.25, output: 5 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+};
+
+/** Tags a budget can be scoped to. `total` counts every call. */
+export const LLM_BUDGET_SCOPES = ["total", "charter", "session", "docType", "user"];
+
+export const LLM_BUDGET_PERIODS = ["day", "month"];
+
+/** Fraction of a budget at which calls start logging warnings */
+const DEFAULT_WARN_AT = 0.8;
+
+function readJson(env, key, fallback) {
+  const raw = env?.[key];
+  if (!raw || typeof raw !== "string") {
+    return fallback;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn(`[LLMUsage] ${key} is not valid JSON; ignoring it`);
+    return fallback;
+  }
+}
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Returns the price table with LLM_PRICING (a JSON object of
+ * `{ model: { input, output } }`) merged over the defaults.
+ */
+export function getLLMPricing(env = process.env) {
+  const overrides = readJson(env, "LLM_PRICING", {});
+  const pricing = { ...LLM_PRICING };
+  if (overrides && typeof overrides === "object" && !Array.isArray(overrides)) {
+    for (const [model, price] of Object.entries(overrides)) {
+      if (price && Number.isFinite(price.input) && Number.isFinite(price.output)) {
+        pricing[model] = { input: price.input, output: price.output };
+      }
+    }
+  }
+  return pricing;
+}
+
+/**
+ * Price entry for a model, or null when it is not in the table
+ * @param {string} model
+ * @param {Object} [pricing]
+ * @returns {{input: number, output: number}|null}
+ */
+export function resolveModelPrice(model, pricing = getLLMPricing()) {
+  if (typeof model !== "string" || !model) {
+    return null;
+  }
+  const normalized = model.trim().toLowerCase();
+  let match = null;
+  for (const [name, price] of Object.entries(pricing)) {
+    const key = name.toLowerCase();
+    if ((normalized === key || normalized.startsWith(`${key}-`)) && (!match || key.length > match.key.length)) {
+      match = { key, price };
+    }
+  }
+  return match ? match.price : null;
+}
+
+/**
+ * Budgets from LLM_BUDGETS, a JSON array such as
+ *   [{ "name": "charter-monthly", "scope": "charter", "period": "month",
+ *      "maxCostUsd": 25, "action": "block" }]
+ * Each budget needs `maxTokens` and/or `maxCostUsd`. `action: "warn"`
+ * (default) only logs once usage passes `warnAt`; `action: "block"` also
+ * rejects calls once the limit is reached. Invalid entries are skipped.
+ */
+export function getLLMBudgets(env = process.env) {
+  const raw = readJson(env, "LLM_BUDGETS", []);
+  if (!Array.isArray(raw)) {
+    console.warn("[LLMUsage] LLM_BUDGETS must be a JSON array; ignoring it");
+    return [];
+  }
+
+  const budgets = [];
+  raw.forEach((entry, index) => {
+    const scope = LLM_BUDGET_SCOPES.includes(entry?.scope) ? entry.scope : "total";
+    const maxTokens = isPositiveNumber(entry?.maxTokens) ? entry.maxTokens : null;
+    const maxCostUsd = isPositiveNumber(entry?.maxCostUsd) ? entry.maxCostUsd : null;
+    if (!maxTokens && !maxCostUsd) {
+      console.warn(`[LLMUsage] Budget ${index} has no maxTokens or maxCostUsd; skipping it`);
+      return;
+    }
+    budgets.push({
+      name: typeof entry.name === "string" && entry.name.trim() ? entry.name.trim() : `${scope}-${index}`,
+      scope,
+      period: LLM_BUDGET_PERIODS.includes(entry.period) ? entry.period : "month",
+      maxTokens,
+      maxCostUsd,
+      warnAt: isPositiveNumber(entry.warnAt) && entry.warnAt <= 1 ? entry.warnAt : DEFAULT_WARN_AT,
+      action: entry.action === "block" ? "block" : "warn",
+    });
+  });
+  return budgets;
+}
+
+export default {
+  LLM_PRICING,
+  LLM_BUDGET_SCOPES,
+  LLM_BUDGET_PERIODS,
+  getLLMPricing,
+  getLLMBudgets,
+  resolveModelPrice,
+};
@@ -0,0 +1,126 @@
+/**
+ * Rate limit policies
+ * Central definition of the request budgets applied by the security middleware
+ * @module server/config/rateLimits
+ */
+
+/**
+ * Named policies. `anonymous` applies per client IP and `authenticated` per
+ * user id. `scope: "route"` keeps a separate count for every route the
+ * policy is attached to; `scope: "shared"` draws all of its routes from one
+ * budget.
+ */
+export const RATE_LIMIT_POLICIES = {
+  default: {
+    algorithm: "sliding-window",
+    windowMs: 60_000,
+    anonymous: 30,
+    authenticated: 100,
+    scope: "route",
+  },
+  /** Burst budget shared by every LLM-backed route */
+  llm: {
+    algorithm: "token-bucket",
+    windowMs: 60_000,
+    anonymous: 10,
+    authenticated: 20,
+    scope: "shared",
+  },
+  /** Hourly ceiling on LLM-backed routes */
+  "llm-hourly": {
+    algorithm: "sliding-window",
+    windowMs: 60 * 60_000,
+    anonymous: 60,
+    authenticated: 200,
+    scope: "shared",
+  },
+  transcription: {
+    algorithm: "token-bucket",
+    windowMs: 60_000,
+    anonymous: 10,
+    authenticated: 20,
+    scope: "route",
+  },
+};
+
+const LLM_POLICIES = ["default", "llm", "llm-hourly"];
+
+/**
+ * Policies applied per route. Routes not listed get `default`, plus the LLM
+ * budgets when the caller marks the route as OpenAI-consuming.
+ */
+export const RATE_LIMIT_ROUTES = {
+  "/api/chat": LLM_POLICIES,
+  "/api/documents/review": LLM_POLICIES,
+  "/api/documents/extract": LLM_POLICIES,
+  "/api/documents/analyze": LLM_POLICIES,
+  "/api/documents/confirm": LLM_POLICIES,
+  "/api/assistant/review/patch": LLM_POLICIES,
+  "/api/transcribe": ["default", "transcription"],
+};
+
+export const RATE_LIMIT_ALGORITHMS = ["sliding-window", "token-bucket"];
+
+function readPolicyOverrides(env) {
+  const raw = env?.RATE_LIMIT_POLICIES;
+  if (!raw || typeof raw !== "string") {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    console.warn("[RateLimit] RATE_LIMIT_POLICIES is not valid JSON; using the default policies");
+    return {};
+  }
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Returns the policy table with RATE_LIMIT_POLICIES (a JSON object of
+ * per-policy field overrides) applied. Invalid override fields are ignored.
+ */
+export function getRateLimitPolicies(env = process.env) {
+  const overrides = readPolicyOverrides(env);
+  const policies = {};
+
+  for (const name of new Set([...Object.keys(RATE_LIMIT_POLICIES), ...Object.keys(overrides)])) {
+    const base = RATE_LIMIT_POLICIES[name] ?? RATE_LIMIT_POLICIES.default;
+    const override = overrides[name] ?? {};
+    policies[name] = {
+      algorithm: RATE_LIMIT_ALGORITHMS.includes(override.algorithm) ? override.algorithm : base.algorithm,
+      windowMs: isPositiveInteger(override.windowMs) ? override.windowMs : base.windowMs,
+      anonymous: isPositiveInteger(override.anonymous) ? override.anonymous : base.anonymous,
+      authenticated: isPositiveInteger(override.authenticated)
+        ? override.authenticated
+        : base.authenticated,
+      scope: override.scope === "shared" || override.scope === "route" ? override.scope : base.scope,
+    };
+  }
+
+  return policies;
+}
+
+/**
+ * Resolves the named policies that apply to a route
+ * @param {string} route - Route path, e.g. "/api/chat"
+ * @param {Object} [options]
+ * @param {boolean} [options.isOpenAI] - Apply the LLM budgets to an unlisted route
+ * @param {Object} [options.env] - Environment used for policy overrides
+ * @returns {Array<{name: string} & Object>} Policies in evaluation order
+ */
+export function resolveRateLimitPolicies(route, { isOpenAI = false, env = process.env } = {}) {
+  const policies = getRateLimitPolicies(env);
+  const names = RATE_LIMIT_ROUTES[route] ?? (isOpenAI ? LLM_POLICIES : ["default"]);
+  return names.map((name) => ({ name, ...policies[name] }));
+}
+
+export default {
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_ROUTES,
+  getRateLimitPolicies,
+  resolveRateLimitPolicies,
+};
@@ -10,9 +10,21 @@
  * @module server/documents/analysis/DocumentAnalyzer
  */
 
-import OpenAI from "openai";
-import { getAnalysisModel, getAnalysisConfidenceThreshold } from "../../../config/featureFlags.js";
+import {
+  getAnalysisModel,
+  getAnalysisConfidenceThreshold,
+  getExtractionChunkTokens,
+  getExtractionMaxChunks,
+} from "../../../config/featureFlags.js";
 import REGISTRY from "../../../lib/doc/registry.js";
+import { chunkByTokens, countTokens } from "../../../lib/tokenize.js";
+import { createLLMClient, mapLLMError } from "../../llm/index.js";
+import {
+  chunkAttachments,
+  describeChunk,
+  needsChunking,
+} from "../extraction/chunking.js";
+import { describeProgressChunk, mergeFieldCandidates } from "../extraction/mapReduce.js";
 
 /**
  * Source document type classifications
@@ -87,21 +99,6 @@ Respond with a JSON object following this structure:
 
 If confidence is below 0.5, include clarificationQuestions to help refine the analysis.`;
 
-/**
- * Create OpenAI client
- * @returns {OpenAI}
- */
-function createClient() {
-  const apiKey = process.env.OPENAI_API_KEY?.trim();
-  if (!apiKey) {
-    const error = new Error("OpenAI API key is not configured.");
-    error.statusCode = 500;
-    error.code = "missing_api_key";
-    throw error;
-  }
-  return new OpenAI({ apiKey });
-}
-
 /**
  * Fields relevant for document classification analysis.
  * Only include fields that help determine document type and extraction targets.
@@ -208,22 +205,30 @@ function buildAnalysisInput({ attachments, conversationContext, existingDraft })
  * @param {string} content - Raw response content
  * @returns {Object} Validated analysis object
  */
+function createUnparsedAnalysis() {
+  return {
+    documentClassification: {
+      primaryType: "unknown",
+      confidence: 0.3,
+      signals: ["Failed to parse analysis response"],
+    },
+    suggestedTargets: [],
+    alternativeTargets: [],
+    clarificationQuestions: ["Could you tell me more about this document and what you'd like to create from it?"],
+  };
+}
+
+/**
+ * Parse and normalize the model's analysis reply
+ * @param {string} content
+ * @returns {Object | null} Null when the reply is not JSON
+ */
 function parseAnalysisResponse(content) {
   let parsed;
   try {
     parsed = JSON.parse(content);
   } catch {
-    // Return minimal valid structure on parse failure
-    return {
-      documentClassification: {
-        primaryType: "unknown",
-        confidence: 0.3,
-        signals: ["Failed to parse analysis response"],
-      },
-      suggestedTargets: [],
-      alternativeTargets: [],
-      clarificationQuestions: ["Could you tell me more about this document and what you'd like to create from it?"],
-    };
+    return null;
   }
 
   // Validate and normalize the response
@@ -282,16 +287,131 @@ function parseAnalysisResponse(content) {
   return analysis;
 }
 
+function uniqueStrings(values) {
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    if (typeof value !== "string" || !value.trim()) continue;
+    const key = value.trim().toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(value.trim());
+  }
+  return result;
+}
+
+/**
+ * Merge per-chunk analyses of a long document into one
+ *
+ * - Classification: the primary type with the highest summed confidence wins
+ * - Targets: grouped by doc type, keeping the highest confidence and its
+ *   rationale; preview fields are merged with the extraction merge rules,
+ *   and the values chunks disagreed on are returned as `conflicts`, each
+ *   tagged with its doc type
+ * - Coverage: a field is available if any chunk found it, missing only if no
+ *   chunk could fill or infer it
+ *
+ * @param {Array<Object>} analyses - Parsed analyses in chunk order
+ * @returns {Object} Merged analysis with its `conflicts`
+ */
+export function mergeAnalyses(analyses) {
+  const typeScores = new Map();
+  for (const { documentClassification } of analyses) {
+    const entry = typeScores.get(documentClassification.primaryType) || { total: 0, count: 0 };
+    entry.total += documentClassification.confidence;
+    entry.count += 1;
+    typeScores.set(documentClassification.primaryType, entry);
+  }
+  const [primaryType, score] = [...typeScores.entries()].sort((a, b) => b[1].total - a[1].total)[0];
+
+  const targets = new Map();
+  for (const [chunk, analysis] of analyses.entries()) {
+    for (const target of analysis.suggestedTargets) {
+      const entry = targets.get(target.docType) || { best: target, previews: [], coverage: [] };
+      if (target.confidence > entry.best.confidence) {
+        entry.best = target;
+      }
+      entry.previews.push({ chunk, fields: target.previewFields });
+      entry.coverage.push(target.coverage);
+      targets.set(target.docType, entry);
+    }
+  }
+
+  const conflicts = [];
+  const suggestedTargets = [...targets.values()]
+    .map(({ best, previews, coverage }) => {
+      const available = uniqueStrings(coverage.flatMap((c) => c.available));
+      const inferrable = uniqueStrings(coverage.flatMap((c) => c.inferrable)).filter(
+        (field) => !available.includes(field)
+      );
+      const missing = uniqueStrings(coverage.flatMap((c) => c.missing)).filter(
+        (field) => !available.includes(field) && !inferrable.includes(field)
+      );
+      const preview = mergeFieldCandidates(previews);
+      conflicts.push(...preview.conflicts.map((conflict) => ({ docType: best.docType, ...conflict })));
+      return {
+        docType: best.docType,
+        confidence: best.confidence,
+        rationale: best.rationale,
+        previewFields: preview.fields,
+        coverage: { available, missing, inferrable },
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const suggestedTypes = new Set(suggestedTargets.map((target) => target.docType));
+  const alternatives = new Map();
+  for (const analysis of analyses) {
+    for (const target of analysis.alternativeTargets) {
+      if (suggestedTypes.has(target.docType)) continue;
+      const existing = alternatives.get(target.docType);
+      if (!existing || target.confidence > existing.confidence) {
+        alternatives.set(target.docType, target);
+      }
+    }
+  }
+
+  return {
+    documentClassification: {
+      primaryType,
+      confidence: score.total / score.count,
+      signals: uniqueStrings(analyses.flatMap((a) => a.documentClassification.signals)),
+    },
+    suggestedTargets,
+    alternativeTargets: [...alternatives.values()].sort((a, b) => b.confidence - a.confidence),
+    clarificationQuestions: uniqueStrings(analyses.flatMap((a) => a.clarificationQuestions)),
+    conflicts,
+  };
+}
+
+/**
+ * Attachment text kept for confirmation, cut to the tokens extraction can
+ * read (chunk budget × chunk limit); chunking would skip the rest anyway.
+ */
+function boundRawText(text) {
+  const budget = getExtractionChunkTokens() * getExtractionMaxChunks();
+  if (countTokens(text) <= budget) {
+    return { text, truncated: false };
+  }
+  return { text: chunkByTokens(text, budget)[0]?.text ?? "", truncated: true };
+}
+
 /**
  * Analyze uploaded documents to determine type and extraction targets
  *
+ * Attachments over the chunk token budget are analyzed chunk by chunk and the
+ * results merged with {@link mergeAnalyses}; chunks whose reply cannot be
+ * parsed are left out and counted as `failed`. `onProgress` receives an
+ * event after each chunk.
+ *
  * @param {Object} params
  * @param {Array} params.attachments - Document attachments with extracted text
  * @param {Array} [params.conversationContext] - Optional chat context
  * @param {Object} [params.existingDraft] - Optional existing draft values
+ * @param {(progress: Object) => void} [params.onProgress] - Chunk progress callback
  * @returns {Promise<Object>} Analysis result
  */
-export async function analyzeDocument({ attachments, conversationContext, existingDraft }) {
+export async function analyzeDocument({ attachments, conversationContext, existingDraft, onProgress }) {
   // Validate attachments
   if (!Array.isArray(attachments) || attachments.length === 0) {
     const error = new Error("At least one attachment with text content is required for analysis.");
@@ -308,14 +428,17 @@ export async function analyzeDocument({ attachments, conversationContext, existi
     throw error;
   }
 
-  const client = createClient();
-  const model = getAnalysisModel();
+  const llm = createLLMClient("analysis", { model: getAnalysisModel() });
+  const model = llm.model;
   const confidenceThreshold = getAnalysisConfidenceThreshold();
 
-  const userContent = buildAnalysisInput({ attachments, conversationContext, existingDraft });
-
-  try {
-    const completion = await client.chat.completions.create({
+  const requestAnalysis = async (analysisAttachments) => {
+    const userContent = buildAnalysisInput({
+      attachments: analysisAttachments,
+      conversationContext,
+      existingDraft,
+    });
+    const completion = await llm.client.chat.completions.create({
       model,
       temperature: 0.3,
       messages: [
@@ -326,22 +449,65 @@ export async function analyzeDocument({ attachments, conversationContext, existi
     });
 
     const responseContent = completion.choices?.[0]?.message?.content || "{}";
-    const analysis = parseAnalysisResponse(responseContent);
+    return parseAnalysisResponse(responseContent);
+  };
+
+  try {
+    let analysis;
+    const chunkTokens = getExtractionChunkTokens();
+
+    if (needsChunking(attachments, chunkTokens)) {
+      const report = typeof onProgress === "function" ? onProgress : () => {};
+      const { chunks, skipped } = chunkAttachments(attachments, {
+        maxTokens: chunkTokens,
+        maxChunks: getExtractionMaxChunks(),
+      });
+      const analyses = [];
+      for (const [position, chunk] of chunks.entries()) {
+        report({
+          stage: "analyzing",
+          completed: position,
+          total: chunks.length,
+          chunk: describeProgressChunk(chunk),
+        });
+        const chunkAnalysis = await requestAnalysis([{ name: describeChunk(chunk), text: chunk.text }]);
+        if (chunkAnalysis) {
+          analyses.push(chunkAnalysis);
+        }
+      }
+      report({ stage: "merging", completed: chunks.length, total: chunks.length, chunk: null });
+      const { conflicts, ...merged } =
+        analyses.length > 0 ? mergeAnalyses(analyses) : { ...createUnparsedAnalysis(), conflicts: [] };
+      analysis = {
+        ...merged,
+        chunking: {
+          chunkCount: chunks.length,
+          processed: analyses.length,
+          failed: chunks.length - analyses.length,
+          skipped,
+          conflicts,
+        },
+      };
+    } else {
+      analysis = (await requestAnalysis(attachments)) ?? createUnparsedAnalysis();
+    }
 
     // Determine status based on confidence
     const primaryConfidence = analysis.suggestedTargets[0]?.confidence ?? 0;
     const status = primaryConfidence >= confidenceThreshold ? "analyzed" : "needs_clarification";
 
-    // Build raw content summary
+    // Build raw content summary. Confirmation chunks long documents the same
+    // way, so the text is kept up to what chunked extraction can read.
+    const { text: extractedText, truncated } = boundRawText(
+      attachments.map((a) => a?.text || "").join("\n\n---\n\n")
+    );
     const rawContent = {
-      extractedText: attachments
-        .map((a) => a?.text || "")
-        .join("\n\n---\n\n")
-        .slice(0, 20000),
+      extractedText,
       tables: [],
       metadata: {
         attachmentCount: attachments.length,
         totalCharacters: attachments.reduce((sum, a) => sum + (a?.text?.length || 0), 0),
+        ...(truncated ? { truncated: true } : {}),
       },
     };
 
@@ -351,21 +517,16 @@ export async function analyzeDocument({ attachments, conversationContext, existi
       rawContent,
     };
   } catch (error) {
-    // Handle OpenAI API errors
+    // Handle provider API errors
     if (error.statusCode) {
       throw error;
     }
 
-    const status = error?.status || error?.response?.status || 500;
-    const message = error?.error?.message || error?.message || "Document analysis failed";
-
-    const apiError = new Error(message);
-    apiError.statusCode = status;
-    apiError.code = error?.code || "analysis_error";
-    throw apiError;
+    throw mapLLMError(error, { provider: llm.provider, model, task: "analysis" });
   }
 }
 
 export default {
   analyzeDocument,
+  mergeAnalyses,
 };
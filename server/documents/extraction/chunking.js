@@ -0,0 +1,266 @@
+/**
+ * Heading- and page-aware chunking for long attachments
+ *
+ * Attachments longer than the chunk token budget are split into sections at
+ * page breaks (form feeds from PDF text) and heading lines, and the sections
+ * are packed into chunks that fit the budget. A section that is too long on
+ * its own is cut with `chunkByTokens()`. Chunks never span attachments, so
+ * every chunk can be traced back to its file.
+ *
+ * ## Chunking Flow
+ *
+ * ```
+ * Attachment text
+ *     │
+ *     ├─► splitDocumentSections() ─► Sections (heading, page, offsets)
+ *     │
+ *     └─► chunkDocument() ─► Chunks within the token budget
+ *             │
+ *             └─► chunkAttachments() ─► Chunks for every attachment,
+ *                                       capped at the chunk limit
+ * ```
+ *
+ * @module server/documents/extraction/chunking
+ */
+
+import { chunkByTokens, countTokens } from "../../../lib/tokenize.js";
+
+/**
+ * @typedef {Object} DocumentSection
+ * @property {string | null} heading - Heading line that opens the section
+ * @property {number | null} page - 1-based page number when the text has page breaks
+ * @property {number} start - Offset of the section in the source text
+ * @property {number} end - End offset (exclusive)
+ * @property {string} text - Section text, heading included
+ */
+
+/**
+ * @typedef {Object} DocumentChunk
+ * @property {number} index - Position of the chunk in the request (0-based)
+ * @property {string} text - Chunk text
+ * @property {string | null} heading - First heading in the chunk
+ * @property {{ first: number, last: number } | null} pages - Page range
+ * @property {number} tokenCount - Tokens counted with lib/tokenize.js
+ * @property {{ id: string, name: string, mimeType?: string }} attachment
+ * @property {number} part - 1-based part number within the attachment
+ * @property {number} partCount - Number of parts the attachment was split into
+ */
+
+const PAGE_BREAK = "\f";
+
+// Attachment separator used in analysis raw content
+const SEPARATOR_LINE = /^-{3,}$/;
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/,
+  /^(?:section|chapter|appendix|part)\s+[\w.-]+\b/i,
+  /^(?:\d+(?:\.\d+)*\.?|[IVXLC]+\.|[A-Z]\.)\s+[A-Z][^.!?]*$/,
+];
+
+function isHeadingLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 100) {
+    return false;
+  }
+  if (HEADING_PATTERNS.some((pattern) => pattern.test(trimmed))) {
+    return true;
+  }
+  // Short all-caps lines ("REQUIREMENTS", "SCOPE & OBJECTIVES")
+  return (
+    /[A-Z]{3}/.test(trimmed) &&
+    trimmed === trimmed.toUpperCase() &&
+    /^[A-Z0-9][A-Z0-9 &/,:()'-]+$/.test(trimmed) &&
+    trimmed.split(/\s+/).length <= 10
+  );
+}
+
+/**
+ * Splits text into sections at page breaks, heading lines and attachment
+ * separators. Offsets refer to the original text.
+ * @param {string} text
+ * @returns {DocumentSection[]}
+ */
+export function splitDocumentSections(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    return [];
+  }
+
+  const hasPages = text.includes(PAGE_BREAK);
+  const sections = [];
+  let page = hasPages ? 1 : null;
+  let current = null;
+
+  const close = (end) => {
+    if (current && text.slice(current.start, end).trim()) {
+      sections.push({ ...current, end, text: text.slice(current.start, end).trim() });
+    }
+    current = null;
+  };
+
+  const linePattern = /[^\n\f]*(?:\r?\n|\f|$)/g;
+  let match;
+  while ((match = linePattern.exec(text)) && match[0] !== "") {
+    const start = match.index;
+    const line = match[0].replace(/[\r\n\f]+$/, "");
+
+    if (SEPARATOR_LINE.test(line.trim())) {
+      close(start);
+    } else if (isHeadingLine(line)) {
+      close(start);
+      current = { heading: line.trim().replace(/^#+\s*/, ""), page, start };
+    } else if (!current && line.trim()) {
+      const previousHeading = sections.at(-1)?.heading ?? null;
+      current = { heading: previousHeading, page, start };
+    }
+
+    if (match[0].endsWith(PAGE_BREAK)) {
+      close(start + match[0].length - 1);
+      page += 1;
+    }
+  }
+  close(text.length);
+
+  return sections;
+}
+
+function splitOversizedSection(section, maxTokens, options) {
+  return chunkByTokens(section.text, maxTokens, { model: options.model }).map(
+    (piece, index) => ({
+      ...section,
+      heading: index === 0 ? section.heading : `${section.heading || "Continued"} (cont.)`,
+      text: piece.text,
+      tokenCount: piece.tokenCount,
+    })
+  );
+}
+
+/**
+ * Packs sections into chunks of at most `maxTokens` tokens.
+ * @param {string} text
+ * @param {{ maxTokens: number, model?: string }} options
+ * @returns {Array<Omit<DocumentChunk, "index" | "attachment" | "part" | "partCount">>}
+ */
+export function chunkDocument(text, { maxTokens, model } = {}) {
+  const sections = [];
+  for (const section of splitDocumentSections(text)) {
+    const tokenCount = countTokens(section.text, { model });
+    if (tokenCount > maxTokens) {
+      sections.push(...splitOversizedSection(section, maxTokens, { model }));
+    } else {
+      sections.push({ ...section, tokenCount });
+    }
+  }
+
+  const chunks = [];
+  let current = null;
+  for (const section of sections) {
+    if (current && current.tokenCount + section.tokenCount > maxTokens) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = {
+        parts: [],
+        heading: section.heading,
+        pages: section.page == null ? null : { first: section.page, last: section.page },
+        tokenCount: 0,
+      };
+    }
+    current.parts.push(section.text);
+    current.tokenCount += section.tokenCount;
+    if (current.pages && section.page != null) {
+      current.pages.last = section.page;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map(({ parts, ...chunk }) => ({ ...chunk, text: parts.join("\n\n") }));
+}
+
+/**
+ * Total tokens across attachment texts.
+ * @param {Array<{ text?: string }>} attachments
+ * @param {{ model?: string }} [options]
+ * @returns {number}
+ */
+export function countAttachmentTokens(attachments, options = {}) {
+  return (Array.isArray(attachments) ? attachments : []).reduce(
+    (sum, attachment) =>
+      sum + (typeof attachment?.text === "string" ? countTokens(attachment.text, options) : 0),
+    0
+  );
+}
+
+/**
+ * Whether the attachments exceed one chunk and should go through the
+ * map-reduce pipeline.
+ * @param {Array<{ text?: string }>} attachments
+ * @param {number} maxTokens
+ * @returns {boolean}
+ */
+export function needsChunking(attachments, maxTokens) {
+  return countAttachmentTokens(attachments) > maxTokens;
+}
+
+/**
+ * Chunks every attachment and caps the total at `maxChunks`.
+ * @param {Array<{ id?: string, name?: string, mimeType?: string, text?: string }>} attachments
+ * @param {{ maxTokens: number, maxChunks: number, model?: string }} options
+ * @returns {{ chunks: DocumentChunk[], skipped: number }}
+ */
+export function chunkAttachments(attachments, { maxTokens, maxChunks, model } = {}) {
+  const chunks = [];
+  (Array.isArray(attachments) ? attachments : []).forEach((attachment, attachmentIndex) => {
+    const text = typeof attachment?.text === "string" ? attachment.text : "";
+    const parts = chunkDocument(text, { maxTokens, model });
+    const source = {
+      id:
+        typeof attachment?.id === "string" && attachment.id.trim()
+          ? attachment.id.trim()
+          : `attachment-${attachmentIndex + 1}`,
+      name:
+        typeof attachment?.name === "string" && attachment.name.trim()
+          ? attachment.name.trim()
+          : `Attachment ${attachmentIndex + 1}`,
+      ...(attachment?.mimeType ? { mimeType: attachment.mimeType } : {}),
+    };
+    parts.forEach((part, partIndex) => {
+      chunks.push({
+        ...part,
+        index: chunks.length,
+        attachment: source,
+        part: partIndex + 1,
+        partCount: parts.length,
+      });
+    });
+  });
+
+  const limit = Number.isFinite(maxChunks) && maxChunks > 0 ? maxChunks : chunks.length;
+  return {
+    chunks: chunks.slice(0, limit),
+    skipped: Math.max(0, chunks.length - limit),
+  };
+}
+
+/**
+ * Human-readable label for a chunk, used in prompts and progress events.
+ * @param {DocumentChunk} chunk
+ * @returns {string}
+ */
+export function describeChunk(chunk) {
+  const parts = [`${chunk.attachment.name} (part ${chunk.part} of ${chunk.partCount}`];
+  if (chunk.pages) {
+    parts.push(
+      chunk.pages.first === chunk.pages.last
+        ? `, page ${chunk.pages.first}`
+        : `, pages ${chunk.pages.first}–${chunk.pages.last}`
+    );
+  }
+  parts.push(")");
+  if (chunk.heading) {
+    parts.push(` – ${chunk.heading}`);
+  }
+  return parts.join("");
+}
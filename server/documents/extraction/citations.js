@@ -0,0 +1,382 @@
+/**
+ * Field-level source citations for extracted values
+ *
+ * After extraction, every string, number and boolean value in the draft is
+ * located in the text the user supplied so reviewers can see where it came
+ * from. Attachments are searched first, then user messages and voice
+ * transcripts. A value that cannot be found in any source is flagged as
+ * inferred; booleans never appear verbatim, so they always are.
+ *
+ * ## Matching
+ *
+ * 1. **Exact**: the value appears verbatim, ignoring case, whitespace runs and
+ *    typographic quotes/dashes. ISO dates also match common written forms
+ *    ("March 1, 2025", "3/1/2025"), and numbers match with thousands
+ *    separators ("1,200,000").
+ * 2. **Partial** (text only): the sentence or line sharing the most significant words with
+ *    the value, when at least {@link PARTIAL_MATCH_THRESHOLD} of the value's
+ *    words appear in it.
+ *
+ * Citations are keyed by the same dotted paths the preview uses for locks and
+ * highlights: `vision`, `risks.0`, `milestones.1.date`.
+ *
+ * @module server/documents/extraction/citations
+ */
+
+/**
+ * Share of a value's significant words a sentence must contain to be cited
+ * as a partial match.
+ * @type {number}
+ */
+export const PARTIAL_MATCH_THRESHOLD = 0.6;
+
+const CONTEXT_CHARS = 80;
+const MAX_QUOTE_LENGTH = 400;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "from", "into", "will", "are",
+  "was", "were", "has", "have", "its", "our", "their", "all", "any", "but",
+  "not", "per", "via", "who", "what", "when", "which", "within", "each",
+]);
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+/**
+ * @typedef {Object} CitationSource
+ * @property {"attachment" | "message" | "voice"} type
+ * @property {string} id - Attachment ID, message index or voice event ID
+ * @property {string | null} name - Attachment file name when known
+ */
+
+/**
+ * @typedef {Object} FieldCitation
+ * @property {boolean} inferred - True when no source text supports the value
+ * @property {"exact" | "partial"} [match]
+ * @property {CitationSource} [source]
+ * @property {number} [start] - Start offset in the source text
+ * @property {number} [end] - End offset (exclusive) in the source text
+ * @property {string} [quote] - Source text between start and end
+ * @property {string} [before] - Up to 80 characters preceding the quote
+ * @property {string} [after] - Up to 80 characters following the quote
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+const CHARACTER_FOLDS = {
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "–": "-",
+  "—": "-",
+  " ": " ",
+};
+
+/**
+ * Lowercases text and collapses whitespace while keeping a map from each
+ * normalized character back to its offset in the original.
+ */
+function foldText(text) {
+  let folded = "";
+  const offsets = [];
+  let previousSpace = true;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = CHARACTER_FOLDS[text[index]] ?? text[index];
+    if (/\s/.test(char)) {
+      if (previousSpace) {
+        continue;
+      }
+      folded += " ";
+      previousSpace = true;
+    } else {
+      folded += char.toLowerCase();
+      previousSpace = false;
+    }
+    offsets.push(index);
+  }
+
+  return { folded, offsets };
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+    (token) => (token.length >= 3 || /\d/.test(token)) && !STOPWORDS.has(token)
+  );
+}
+
+function isWordChar(char) {
+  return Boolean(char) && /[a-z0-9]/i.test(char);
+}
+
+function prepareSource(source) {
+  const { folded, offsets } = foldText(source.text);
+  const segments = [];
+  const pattern = /[^\n.!?]+[.!?]*/g;
+  let match;
+  while ((match = pattern.exec(source.text))) {
+    const raw = match[0];
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (!trimmed) {
+      continue;
+    }
+    const start = match.index + leading;
+    segments.push({
+      start,
+      end: start + trimmed.length,
+      tokens: new Set(tokenize(trimmed)),
+    });
+  }
+  return { ...source, folded, offsets, segments };
+}
+
+function findExact(prepared, needle) {
+  const { folded: target } = foldText(needle.trim().replace(/[.;,]+$/, ""));
+  if (!target) {
+    return null;
+  }
+
+  let position = prepared.folded.indexOf(target);
+  while (position !== -1) {
+    const before = prepared.folded[position - 1];
+    const after = prepared.folded[position + target.length];
+    const boundedStart = !isWordChar(target[0]) || !isWordChar(before);
+    const boundedEnd = !isWordChar(target.at(-1)) || !isWordChar(after);
+    if (boundedStart && boundedEnd) {
+      const start = prepared.offsets[position];
+      const end = prepared.offsets[position + target.length - 1] + 1;
+      return { start, end };
+    }
+    position = prepared.folded.indexOf(target, position + 1);
+  }
+  return null;
+}
+
+function findPartial(prepared, valueTokens) {
+  let best = null;
+  for (const segment of prepared.segments) {
+    let shared = 0;
+    for (const token of valueTokens) {
+      if (segment.tokens.has(token)) {
+        shared += 1;
+      }
+    }
+    const score = shared / valueTokens.size;
+    if (score >= PARTIAL_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { start: segment.start, end: segment.end, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Written forms of an ISO date, e.g. 2025-03-01 → "March 1, 2025".
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function expandDateVariants(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) {
+    return [];
+  }
+  const [, year, monthText, dayText] = match;
+  const month = Number(monthText);
+  const day = Number(dayText);
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return [];
+  }
+  const name = MONTHS[month - 1];
+  const short = name.slice(0, 3);
+  return [
+    `${name} ${day}, ${year}`,
+    `${short} ${day}, ${year}`,
+    `${short}. ${day}, ${year}`,
+    `${day} ${name} ${year}`,
+    `${month}/${day}/${year}`,
+    `${monthText}/${dayText}/${year}`,
+  ];
+}
+
+function toCitation(prepared, span, match) {
+  const end = Math.min(span.end, span.start + MAX_QUOTE_LENGTH);
+  return {
+    inferred: false,
+    match,
+    source: { type: prepared.type, id: prepared.id, name: prepared.name },
+    start: span.start,
+    end,
+    quote: prepared.text.slice(span.start, end),
+    before: prepared.text.slice(Math.max(0, span.start - CONTEXT_CHARS), span.start),
+    after: prepared.text.slice(end, end + CONTEXT_CHARS),
+  };
+}
+
+function exactCandidates(value) {
+  if (typeof value === "string") {
+    return [value, ...expandDateVariants(value)];
+  }
+  if (typeof value === "number") {
+    return [...new Set([String(value), value.toLocaleString("en-US")])];
+  }
+  return [];
+}
+
+/**
+ * Locates a single value in the prepared sources.
+ * @param {string | number | boolean} value
+ * @returns {FieldCitation}
+ */
+function citeValue(value, sources) {
+  const candidates = exactCandidates(value);
+  for (const source of sources) {
+    for (const candidate of candidates) {
+      const span = findExact(source, candidate);
+      if (span) {
+        return toCitation(source, span, "exact");
+      }
+    }
+  }
+
+  const valueTokens = new Set(typeof value === "string" ? tokenize(value) : []);
+  if (valueTokens.size >= 2) {
+    let best = null;
+    for (const source of sources) {
+      const span = findPartial(source, valueTokens);
+      if (span && (!best || span.score > best.span.score)) {
+        best = { source, span };
+      }
+    }
+    if (best) {
+      return toCitation(best.source, best.span, "partial");
+    }
+  }
+
+  return { inferred: true };
+}
+
+function collectValues(value, path, output) {
+  if (typeof value === "string") {
+    if (value.trim()) {
+      output.push([path, value]);
+    }
+    return output;
+  }
+  if ((typeof value === "number" && Number.isFinite(value)) || typeof value === "boolean") {
+    output.push([path, value]);
+    return output;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((entry, index) => collectValues(entry, `${path}.${index}`, output));
+    return output;
+  }
+  if (isPlainObject(value)) {
+    for (const [key, entry] of Object.entries(value)) {
+      collectValues(entry, path ? `${path}.${key}` : key, output);
+    }
+  }
+  return output;
+}
+
+/**
+ * Normalizes the request text into citable sources. Attachments without an
+ * `id` are numbered in upload order (`attachment-1`, `attachment-2`, …).
+ * @param {{ attachments?: Array<Object>, messages?: Array<Object>, voice?: Array<Object> }} context
+ */
+export function collectCitationSources({ attachments = [], messages = [], voice = [] } = {}) {
+  const sources = [];
+
+  (Array.isArray(attachments) ? attachments : []).forEach((attachment, index) => {
+    const text = typeof attachment?.text === "string" ? attachment.text : "";
+    if (!text.trim()) {
+      return;
+    }
+    const id =
+      typeof attachment.id === "string" && attachment.id.trim()
+        ? attachment.id.trim()
+        : `attachment-${index + 1}`;
+    const name =
+      typeof attachment.name === "string" && attachment.name.trim() ? attachment.name.trim() : null;
+    sources.push({ type: "attachment", id, name, text });
+  });
+
+  (Array.isArray(messages) ? messages : []).forEach((message, index) => {
+    const text = typeof message?.text === "string" ? message.text : message?.content;
+    if (typeof text === "string" && text.trim()) {
+      sources.push({ type: "message", id: String(index), name: null, text });
+    }
+  });
+
+  (Array.isArray(voice) ? voice : []).forEach((event, index) => {
+    const text = typeof event?.text === "string" ? event.text : "";
+    if (text.trim()) {
+      sources.push({ type: "voice", id: String(event.id ?? index), name: null, text });
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Builds a citation for every non-empty string, number and boolean value in
+ * the extracted fields.
+ * @param {Record<string, unknown>} fields - Extracted draft or guided fields
+ * @param {ReturnType<typeof collectCitationSources>} sources
+ * @returns {Record<string, FieldCitation>}
+ */
+export function buildFieldCitations(fields, sources) {
+  if (!isPlainObject(fields)) {
+    return {};
+  }
+  const prepared = (Array.isArray(sources) ? sources : []).map(prepareSource);
+  const citations = {};
+  for (const [path, value] of collectValues(fields, "", [])) {
+    citations[path] = citeValue(value, prepared);
+  }
+  return citations;
+}
+
+/**
+ * Adds a `citations` map, and the chunking report when there is one, to an
+ * extraction response without mixing them into the extracted values.
+ * Guided responses carry them next to `fields`. A full-document draft is
+ * wrapped as `{ draft, citations, chunking }`, so a document field can never
+ * be mistaken for them. Citations need attachment text; a response with
+ * nothing to add is returned unchanged.
+ * @param {Record<string, any>} payload - Restored extraction payload
+ * @param {{ attachments?: Array<Object>, messages?: Array<Object>, voice?: Array<Object> }} context
+ * @param {{ chunking?: Record<string, any> | null }} [extras]
+ * @returns {Record<string, any>}
+ */
+export function attachFieldCitations(payload, context, { chunking = null } = {}) {
+  if (!isPlainObject(payload) || "result" in payload) {
+    return payload;
+  }
+
+  let fields = null;
+  if (typeof payload.status !== "string") {
+    fields = payload;
+  } else if (payload.status === "ok" && isPlainObject(payload.fields)) {
+    fields = payload.fields;
+  }
+  if (!fields) {
+    return payload;
+  }
+
+  const sources = collectCitationSources(context);
+  const extras = {
+    ...(sources.some((source) => source.type === "attachment")
+      ? { citations: buildFieldCitations(fields, sources) }
+      : {}),
+    ...(chunking ? { chunking } : {}),
+  };
+  if (Object.keys(extras).length === 0) {
+    return payload;
+  }
+  return fields === payload ? { draft: payload, ...extras } : { ...payload, ...extras };
+}
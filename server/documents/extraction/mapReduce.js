@@ -0,0 +1,264 @@
+/**
+ * Per-chunk extraction and field merging for long documents
+ *
+ * Each chunk from {@link module:server/documents/extraction/chunking} is sent
+ * through extraction on its own, and the per-chunk drafts are merged into one.
+ *
+ * ## Merge Rules
+ *
+ * - **Arrays**: entries from every chunk are concatenated in chunk order and
+ *   de-duplicated on their normalized form (case, whitespace, punctuation).
+ *   Object entries with a key field ({@link ENTRY_KEY_FIELDS}) are instead
+ *   matched on that field and merged with these same rules, so chunks that
+ *   disagree on a milestone's date report a conflict such as
+ *   `milestones.1.date`.
+ * - **Objects**: merged key by key with the same rules.
+ * - **Scalars**: candidates are grouped by normalized value. The value found
+ *   in the most chunks wins; ties go to the earliest chunk. When chunks
+ *   disagree, a conflict lists every value with the chunks it came from.
+ * - Empty strings, null and empty collections never count as candidates.
+ *
+ * @module server/documents/extraction/mapReduce
+ */
+
+/**
+ * @typedef {Object} FieldConflict
+ * @property {string} field - Dotted field path, e.g. `sponsor` or `budget.total`
+ * @property {Array<{ value: unknown, chunks: number[] }>} values - Distinct candidates
+ * @property {unknown} chosen - Value kept in the merged draft
+ */
+
+/**
+ * @typedef {Object} ChunkProgress
+ * @property {"extracting" | "merging"} stage
+ * @property {number} completed - Chunks finished so far
+ * @property {number} total - Chunks in the request
+ * @property {{ index: number, heading: string | null, attachment: string, pages: Object | null } | null} chunk
+ */
+
+/**
+ * Fields that identify a list entry across chunks, in order of preference.
+ * @type {string[]}
+ */
+export const ENTRY_KEY_FIELDS = ["name", "phase"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (typeof value === "string") {
+    return !value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (isPlainObject(value)) {
+    return Object.values(value).every(isEmpty);
+  }
+  return false;
+}
+
+/**
+ * Normalized form used to compare values across chunks.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function normalizeCandidate(value) {
+  if (typeof value === "string") {
+    return value
+      .toLowerCase()
+      .replace(/[’‘]/g, "'")
+      .replace(/[^\p{L}\p{N}$%'@.\-/]+/gu, " ")
+      .replace(/[.\s]+$/, "")
+      .trim();
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(normalizeCandidate).join("|")}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => !isEmpty(value[key]))
+      .map((key) => `${key}:${normalizeCandidate(value[key])}`)
+      .join("|")}}`;
+  }
+  return String(value);
+}
+
+function entryKeyField(item) {
+  if (!isPlainObject(item)) {
+    return null;
+  }
+  return (
+    ENTRY_KEY_FIELDS.find((field) => typeof item[field] === "string" && item[field].trim()) ?? null
+  );
+}
+
+function mergeArrays(path, entries, conflicts) {
+  const groups = new Map();
+  for (const { value, chunk } of entries) {
+    for (const item of value) {
+      if (isEmpty(item)) {
+        continue;
+      }
+      const keyField = entryKeyField(item);
+      const key = keyField
+        ? `${keyField}=${normalizeCandidate(item[keyField])}`
+        : normalizeCandidate(item);
+      const group = groups.get(key);
+      if (group) {
+        group.items.push({ value: item, chunk });
+      } else {
+        groups.set(key, { keyed: Boolean(keyField), items: [{ value: item, chunk }] });
+      }
+    }
+  }
+  // Keyed entries seen in several chunks are merged field by field; the
+  // first entry keeps any fields the others leave empty
+  return [...groups.values()].map(({ keyed, items }, index) =>
+    keyed && items.length > 1
+      ? { ...items[0].value, ...mergeEntries(`${path}.${index}`, items, conflicts) }
+      : items[0].value
+  );
+}
+
+function mergeScalars(path, entries, conflicts) {
+  const groups = new Map();
+  for (const { value, chunk } of entries) {
+    const key = normalizeCandidate(value);
+    const group = groups.get(key);
+    if (group) {
+      group.chunks.push(chunk);
+    } else {
+      groups.set(key, { value, chunks: [chunk] });
+    }
+  }
+
+  const ranked = [...groups.values()].sort(
+    (a, b) => b.chunks.length - a.chunks.length || a.chunks[0] - b.chunks[0]
+  );
+  const chosen = ranked[0].value;
+  if (ranked.length > 1) {
+    conflicts.push({
+      field: path,
+      values: ranked.map(({ value, chunks }) => ({ value, chunks })),
+      chosen,
+    });
+  }
+  return chosen;
+}
+
+function mergeEntries(path, entries, conflicts) {
+  if (entries.every(({ value }) => Array.isArray(value))) {
+    return mergeArrays(path, entries, conflicts);
+  }
+  if (entries.every(({ value }) => isPlainObject(value))) {
+    const keys = [...new Set(entries.flatMap(({ value }) => Object.keys(value)))];
+    const merged = {};
+    for (const key of keys) {
+      const nested = entries
+        .filter(({ value }) => !isEmpty(value[key]))
+        .map(({ value, chunk }) => ({ value: value[key], chunk }));
+      if (nested.length > 0) {
+        merged[key] = mergeEntries(path ? `${path}.${key}` : key, nested, conflicts);
+      }
+    }
+    return merged;
+  }
+  return mergeScalars(path, entries, conflicts);
+}
+
+/**
+ * Merges per-chunk field candidates into one draft.
+ * @param {Array<{ chunk: number, fields: Record<string, unknown> }>} candidates
+ * @returns {{ fields: Record<string, unknown>, conflicts: FieldConflict[] }}
+ */
+export function mergeFieldCandidates(candidates) {
+  const entries = (Array.isArray(candidates) ? candidates : [])
+    .filter((candidate) => isPlainObject(candidate?.fields))
+    .map(({ chunk, fields }) => ({ value: fields, chunk }));
+  const conflicts = [];
+  if (entries.length === 0) {
+    return { fields: {}, conflicts };
+  }
+  return { fields: mergeEntries("", entries, conflicts), conflicts };
+}
+
+/**
+ * Chunk summary included in progress events.
+ * @param {import("./chunking.js").DocumentChunk} chunk
+ */
+export function describeProgressChunk(chunk) {
+  return {
+    index: chunk.index,
+    heading: chunk.heading ?? null,
+    attachment: chunk.attachment?.name ?? null,
+    pages: chunk.pages ?? null,
+  };
+}
+
+/**
+ * Runs extraction over every chunk in order and merges the results.
+ *
+ * `extractChunk` returns the parsed draft for a chunk, or a payload with a
+ * `result` key when the model reply could not be parsed; such chunks are
+ * skipped. If every chunk fails, the first failure is returned as-is.
+ *
+ * @param {Object} params
+ * @param {import("./chunking.js").DocumentChunk[]} params.chunks
+ * @param {(chunk: import("./chunking.js").DocumentChunk) => Promise<Record<string, unknown>>} params.extractChunk
+ * @param {number} [params.skipped] - Chunks dropped by the chunk limit
+ * @param {(progress: ChunkProgress) => void} [params.onProgress]
+ * @returns {Promise<{ fields: Record<string, unknown>, chunking: Object } | { failure: Record<string, unknown> }>}
+ */
+export async function runChunkedExtraction({ chunks, extractChunk, skipped = 0, onProgress }) {
+  const report = typeof onProgress === "function" ? onProgress : () => {};
+  const total = chunks.length;
+  const candidates = [];
+  let failure = null;
+
+  report({
+    stage: "extracting",
+    completed: 0,
+    total,
+    chunk: total ? describeProgressChunk(chunks[0]) : null,
+  });
+
+  for (const [position, chunk] of chunks.entries()) {
+    const payload = await extractChunk(chunk);
+    if (isPlainObject(payload) && !("result" in payload)) {
+      candidates.push({ chunk: chunk.index, fields: payload });
+    } else if (!failure) {
+      failure = payload;
+    }
+    const next = chunks[position + 1];
+    report({
+      stage: "extracting",
+      completed: position + 1,
+      total,
+      chunk: next ? describeProgressChunk(next) : null,
+    });
+  }
+
+  if (candidates.length === 0 && failure) {
+    return { failure };
+  }
+
+  report({ stage: "merging", completed: total, total, chunk: null });
+  const { fields, conflicts } = mergeFieldCandidates(candidates);
+
+  return {
+    fields,
+    chunking: {
+      chunkCount: total,
+      processed: candidates.length,
+      failed: total - candidates.length,
+      skipped,
+      conflicts,
+    },
+  };
+}
@@ -1,9 +1,9 @@
 /**
- * OpenAI client utilities for document extraction
+ * LLM client utilities for document extraction
  */
 
-import OpenAI from "openai";
 import { MissingDocAssetError } from "../../../lib/doc/errors.js";
+import { createLLMClient, mapLLMError } from "../../llm/index.js";
 import { readFirstAvailableFile } from "../utils/index.js";
 
 /**
@@ -53,30 +53,26 @@ export function buildOpenAIMessages(systemSections, messages) {
 }
 
 /**
- * Create and execute OpenAI completion for document extraction
+ * Create and execute a JSON-mode completion for document extraction.
+ *
+ * Routed through the provider layer: `task` picks the provider and default
+ * model (extraction, analysis, review); an explicit `model` overrides it.
+ * Provider failures are rethrown as LLMProviderError with the shared codes.
  */
 export async function executeOpenAIExtraction({
   systemSections,
   messages,
   seed,
-  model = "gpt-4o-mini",
+  model,
   temperature = 0.3,
+  task = "extraction",
 }) {
-  const apiKey = process.env.OPENAI_API_KEY?.trim();
-
-  if (!apiKey) {
-    const error = new Error("OpenAI API key is not configured. Please set OPENAI_API_KEY environment variable.");
-    error.statusCode = 500;
-    error.code = "missing_api_key";
-    throw error;
-  }
-
+  const llm = createLLMClient(task, { model });
   const openaiMessages = buildOpenAIMessages(systemSections, messages);
-  const client = new OpenAI({ apiKey });
 
   try {
-    const completion = await client.chat.completions.create({
-      model,
+    const completion = await llm.client.chat.completions.create({
+      model: llm.model,
       temperature,
       messages: openaiMessages,
       response_format: { type: "json_object" },
@@ -94,28 +90,6 @@ export async function executeOpenAIExtraction({
       return { result: replyContent };
     }
   } catch (apiError) {
-    // Enhanced error handling for OpenAI API errors
-    const status = apiError?.status || apiError?.response?.status || 500;
-    const message = apiError?.error?.message || apiError?.message || "OpenAI request failed";
-
-    if (status === 429) {
-      const error = new Error("OpenAI rate limit exceeded. Please wait a moment and try again.");
-      error.statusCode = 429;
-      error.code = "rate_limit_exceeded";
-      throw error;
-    }
-
-    if (status === 401) {
-      const error = new Error("OpenAI API key is invalid. Please check your OPENAI_API_KEY configuration.");
-      error.statusCode = 401;
-      error.code = "invalid_api_key";
-      throw error;
-    }
-
-    // Re-throw with enhanced context
-    const error = new Error(message);
-    error.statusCode = status;
-    error.code = apiError?.code || "openai_error";
-    throw error;
+    throw mapLLMError(apiError, { provider: llm.provider, model: llm.model, task });
   }
 }
@@ -0,0 +1,323 @@
+/**
+ * PII redaction for text sent to the LLM
+ *
+ * Uploaded scope documents can carry patient data, employee IDs and pricing.
+ * Before extraction and analysis prompts are built, every string in the
+ * request is run through a set of detectors and each match is swapped for a
+ * placeholder token such as `[EMAIL_1]`. The same value always gets the same
+ * token within a request, so the model can still relate mentions. Tokens the
+ * model copies into its output are swapped back before the response is sent.
+ *
+ * ## Redaction Flow
+ *
+ * ```
+ * Request strings
+ *     │
+ *     ├─► session.redact() ─► Placeholder text for the prompt
+ *     │                           │
+ *     │                      LLM output
+ *     │                           │
+ *     ├─► session.restore() ◄─────┘ ─► Output with original values
+ *     └─► recordRedactionAudit() ─► Per-request report (counts only)
+ * ```
+ *
+ * ## Configuration
+ *
+ * - `PII_REDACTION_ENABLED` — turn the stage off (default on)
+ * - `PII_REDACTION_DETECTORS` — comma-separated built-in detector ids
+ *   (default: all of `email`, `phone`, `ssn`, `mrn`)
+ * - `PII_REDACTION_PATTERNS` — custom dictionary, inline JSON or a path to a
+ *   JSON file. Keys are placeholder labels; values are a regex source string,
+ *   `{ "pattern", "flags" }`, or an array of literal terms:
+ *   `{ "EMPLOYEE_ID": "\\bEMP-\\d{6}\\b", "CLIENT": ["Northwind", "Contoso"] }`
+ *
+ * @module server/documents/sanitization/redaction
+ */
+
+import fs from "node:fs";
+
+import {
+  getPiiRedactionDetectors,
+  isPiiRedactionEnabled,
+} from "../../../config/featureFlags.js";
+import { recordDocumentAudit } from "../../../lib/doc/audit.js";
+
+/**
+ * @typedef {Object} RedactionDetector
+ * @property {string} id - Detector id used in reports
+ * @property {string} label - Placeholder label, e.g. EMAIL in [EMAIL_1]
+ * @property {RegExp} pattern - Global regex; when it has a capture group only
+ *   the first group is redacted so surrounding labels stay readable
+ */
+
+/**
+ * @typedef {Object} RedactionReport
+ * @property {number} total - Values replaced with placeholders
+ * @property {Record<string, number>} detectors - Replacements per detector id
+ * @property {number} unique - Distinct values redacted
+ * @property {number} restored - Placeholders swapped back in the output
+ */
+
+/**
+ * Built-in detectors, applied in this order.
+ * @type {RedactionDetector[]}
+ */
+export const BUILT_IN_DETECTORS = [
+  {
+    id: "email",
+    label: "EMAIL",
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+  },
+  {
+    id: "ssn",
+    label: "SSN",
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  },
+  {
+    id: "mrn",
+    label: "MRN",
+    pattern: /\b(?:MRN|medical record(?: number| no\.?| #)?)\s*[:#]?\s*([A-Z]{0,3}\d{5,12})\b/gi,
+  },
+  {
+    id: "phone",
+    label: "PHONE",
+    pattern: /(?<![\w+])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?!\w)/g,
+  },
+];
+
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*)_(\d+)\]/g;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toLabel(key) {
+  return String(key)
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function compileDictionaryEntry(key, value) {
+  if (Array.isArray(value)) {
+    const terms = value
+      .filter((term) => typeof term === "string" && term.trim())
+      .map((term) => escapeRegExp(term.trim()));
+    if (terms.length === 0) {
+      return null;
+    }
+    return new RegExp(`\\b(?:${terms.join("|")})\\b`, "gi");
+  }
+
+  const source = typeof value === "string" ? value : value?.pattern;
+  if (typeof source !== "string" || !source) {
+    return null;
+  }
+  const flags = typeof value?.flags === "string" ? value.flags : "";
+  return new RegExp(source, flags.includes("g") ? flags : `${flags}g`);
+}
+
+/**
+ * Compiles a custom regex dictionary into detectors. Invalid entries are
+ * skipped with a warning so one bad pattern cannot block extraction.
+ * @param {Record<string, unknown> | null | undefined} dictionary
+ * @returns {RedactionDetector[]}
+ */
+export function compilePatternDictionary(dictionary) {
+  if (!isPlainObject(dictionary)) {
+    return [];
+  }
+
+  const detectors = [];
+  for (const [key, value] of Object.entries(dictionary)) {
+    const label = toLabel(key);
+    if (!label) {
+      continue;
+    }
+    try {
+      const pattern = compileDictionaryEntry(key, value);
+      if (pattern) {
+        detectors.push({ id: label.toLowerCase(), label, pattern });
+      }
+    } catch (error) {
+      console.warn(`[redaction] ignoring invalid pattern "${key}": ${error.message}`);
+    }
+  }
+  return detectors;
+}
+
+function readPatternDictionary(rawValue) {
+  if (typeof rawValue !== "string" || !rawValue.trim()) {
+    return null;
+  }
+
+  const trimmed = rawValue.trim();
+  try {
+    const json = trimmed.startsWith("{") ? trimmed : fs.readFileSync(trimmed, "utf8");
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn(`[redaction] could not load PII_REDACTION_PATTERNS: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolves the detectors for a request from the environment.
+ * @param {{ detectors?: string[] | null, patterns?: Record<string, unknown> | null }} [overrides]
+ * @returns {RedactionDetector[]}
+ */
+export function resolveRedactionDetectors(overrides = {}) {
+  const enabledIds = overrides.detectors ?? getPiiRedactionDetectors();
+  const builtIns = Array.isArray(enabledIds)
+    ? BUILT_IN_DETECTORS.filter((detector) => enabledIds.includes(detector.id))
+    : BUILT_IN_DETECTORS;
+
+  const dictionary =
+    overrides.patterns !== undefined
+      ? overrides.patterns
+      : readPatternDictionary(process.env.PII_REDACTION_PATTERNS);
+
+  return [...builtIns, ...compilePatternDictionary(dictionary)];
+}
+
+/**
+ * Creates the redaction state for one request. Placeholders are numbered per
+ * label and reused for repeated values.
+ * @param {{ detectors?: RedactionDetector[] }} [options]
+ */
+export function createRedactionSession({ detectors = resolveRedactionDetectors() } = {}) {
+  const tokensByValue = new Map();
+  const valuesByToken = new Map();
+  const countsByLabel = new Map();
+  const detectorCounts = {};
+  let total = 0;
+  let restored = 0;
+
+  function tokenFor(detector, value) {
+    const key = `${detector.label}\u0000${value}`;
+    let token = tokensByValue.get(key);
+    if (!token) {
+      const next = (countsByLabel.get(detector.label) || 0) + 1;
+      countsByLabel.set(detector.label, next);
+      token = `[${detector.label}_${next}]`;
+      tokensByValue.set(key, token);
+      valuesByToken.set(token, value);
+    }
+    total += 1;
+    detectorCounts[detector.id] = (detectorCounts[detector.id] || 0) + 1;
+    return token;
+  }
+
+  function redactString(text) {
+    let result = text;
+    for (const detector of detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, (match, group) => {
+        if (typeof group === "string" && group) {
+          return match.replace(group, tokenFor(detector, group));
+        }
+        return tokenFor(detector, match);
+      });
+    }
+    return result;
+  }
+
+  function restoreString(text) {
+    return text.replace(PLACEHOLDER_PATTERN, (token) => {
+      if (!valuesByToken.has(token)) {
+        return token;
+      }
+      restored += 1;
+      return valuesByToken.get(token);
+    });
+  }
+
+  function mapStrings(value, mapString) {
+    if (typeof value === "string") {
+      return mapString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((entry) => mapStrings(entry, mapString));
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [key, mapStrings(entry, mapString)])
+      );
+    }
+    return value;
+  }
+
+  return {
+    /**
+     * Copy of a value with every string redacted.
+     * @template T
+     * @param {T} value
+     * @returns {T}
+     */
+    redact(value) {
+      return detectors.length > 0 ? mapStrings(value, redactString) : value;
+    },
+
+    /**
+     * Copy of a value with this session's placeholders swapped back.
+     * @template T
+     * @param {T} value
+     * @returns {T}
+     */
+    restore(value) {
+      return valuesByToken.size > 0 ? mapStrings(value, restoreString) : value;
+    },
+
+    /**
+     * Counts for the audit log; never includes the redacted values.
+     * @returns {RedactionReport}
+     */
+    report() {
+      return {
+        total,
+        detectors: { ...detectorCounts },
+        unique: valuesByToken.size,
+        restored,
+      };
+    },
+  };
+}
+
+/**
+ * Starts a redaction session when the stage is enabled.
+ * @returns {ReturnType<typeof createRedactionSession> | null}
+ */
+export function startRedaction() {
+  return isPiiRedactionEnabled() ? createRedactionSession() : null;
+}
+
+/**
+ * Writes the session's redaction report to the document audit log.
+ * @param {ReturnType<typeof createRedactionSession> | null} session
+ * @param {{ route: string, hashSource?: unknown, finalType?: string | null, templateVersion?: string | null }} details
+ * @returns {Object | null} The audit payload, or null without a session
+ */
+export function recordRedactionAudit(
+  session,
+  { route, hashSource = null, finalType = null, templateVersion = null }
+) {
+  if (!session) {
+    return null;
+  }
+  return recordDocumentAudit(
+    "documents.redaction",
+    {
+      hashSource,
+      finalType,
+      templateVersion,
+      status: route,
+      redaction: session.report(),
+    },
+    { logger: console }
+  );
+}
@@ -5,48 +5,47 @@
  * field triggers, and conditions. Used to inject best practices into review prompts.
  */
 
-import fs from "fs/promises";
-import path from "path";
+import { buildKnowledgeIndex, scoreKnowledgeIndex } from "./retrieval.js";
+import { loadKnowledgeEntries, onKnowledgeChange, readTemplateKnowledge } from "./store.js";
+
+const DEFAULT_CACHE_TTL_MS = 60_000;
+const DEFAULT_TOP_K = 8;
+const DEFAULT_MIN_RELEVANCE = 0.05;
 
 const knowledgeCache = new Map();
-const TEMPLATES_DIR = process.cwd() + "/templates/knowledge";
+const retrievalIndexCache = new Map();
+
+// Writes through the knowledge API drop the affected category immediately;
+// the TTL bounds staleness for edits made by other server instances.
+onKnowledgeChange((category) => invalidateKnowledgeCache(category));
+
+function resolveCacheTtlMs() {
+  const parsed = Number.parseInt(process.env.KNOWLEDGE_CACHE_TTL_MS ?? "", 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_CACHE_TTL_MS;
+}
 
 /**
- * Load knowledge entries from a category file
+ * Load the active knowledge entries for a category (template files overlaid
+ * with authored revisions, disabled entries removed)
  */
 async function loadKnowledgeCategory(category) {
-  if (knowledgeCache.has(category)) {
-    return knowledgeCache.get(category);
+  const cached = knowledgeCache.get(category);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.entries;
   }
 
-  const entries = [];
-  const categoryDir = path.join(TEMPLATES_DIR, category);
-
+  let entries;
   try {
-    const files = await fs.readdir(categoryDir);
-    const jsonFiles = files.filter((f) => f.endsWith(".json"));
-
-    for (const file of jsonFiles) {
-      try {
-        const content = await fs.readFile(path.join(categoryDir, file), "utf8");
-        const parsed = JSON.parse(content);
-
-        if (Array.isArray(parsed)) {
-          entries.push(...parsed);
-        } else if (parsed && typeof parsed === "object") {
-          entries.push(parsed);
-        }
-      } catch (parseError) {
-        console.warn(`Failed to parse knowledge file ${file}:`, parseError.message);
-      }
-    }
+    entries = await loadKnowledgeEntries(category);
   } catch (error) {
-    if (error.code !== "ENOENT") {
-      console.warn(`Failed to load knowledge category ${category}:`, error.message);
-    }
+    console.warn(
+      `Failed to load authored knowledge for ${category}; using template entries:`,
+      error.message
+    );
+    entries = await readTemplateKnowledge(category);
   }
 
-  knowledgeCache.set(category, entries);
+  knowledgeCache.set(category, { entries, expiresAt: Date.now() + resolveCacheTtlMs() });
   return entries;
 }
 
@@ -111,6 +110,17 @@ function evaluateCondition(condition, document) {
   }
 }
 
+/**
+ * Check the entry's explicit conditions; entries without any pass
+ */
+function areConditionsMet(entry, document) {
+  const conditions = entry.triggers?.conditions;
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return true;
+  }
+  return conditions.every((condition) => evaluateCondition(condition, document));
+}
+
 /**
  * Check if a knowledge entry is triggered by the document
  */
@@ -120,7 +130,7 @@ function isEntryTriggered(entry, document, docType) {
     return true;
   }
 
-  const { fields, keywords, conditions } = entry.triggers;
+  const { fields, keywords } = entry.triggers;
 
   // Check field triggers
   if (Array.isArray(fields) && fields.length > 0) {
@@ -142,17 +152,20 @@ function isEntryTriggered(entry, document, docType) {
     }
   }
 
-  // Check conditions
-  if (Array.isArray(conditions) && conditions.length > 0) {
-    const allConditionsMet = conditions.every((condition) =>
-      evaluateCondition(condition, document)
-    );
-    if (!allConditionsMet) {
-      return false;
-    }
-  }
+  return areConditionsMet(entry, document);
+}
 
-  return true;
+/**
+ * Load entries for the requested categories plus "general", keeping the
+ * per-category arrays so callers can tell when the cache has been refreshed
+ */
+async function loadCandidateEntries(categories) {
+  const names = categories.includes("general") ? categories : [...categories, "general"];
+  const sources = [];
+  for (const category of names) {
+    sources.push(await loadKnowledgeCategory(category));
+  }
+  return { key: names.join("|"), sources, entries: sources.flat() };
 }
 
 /**
@@ -165,19 +178,7 @@ function isEntryTriggered(entry, document, docType) {
  * @returns {Promise<object[]>} Matching knowledge entries
  */
 export async function queryKnowledge({ categories = [], document = {}, docType = "" }) {
-  const allEntries = [];
-
-  // Load entries from all specified categories
-  for (const category of categories) {
-    const entries = await loadKnowledgeCategory(category);
-    allEntries.push(...entries);
-  }
-
-  // Also load general knowledge if not already included
-  if (!categories.includes("general")) {
-    const generalEntries = await loadKnowledgeCategory("general");
-    allEntries.push(...generalEntries);
-  }
+  const { entries: allEntries } = await loadCandidateEntries(categories);
 
   // Filter entries by triggers
   const matchingEntries = allEntries.filter((entry) =>
@@ -207,6 +208,95 @@ export async function queryKnowledge({ categories = [], document = {}, docType =
   return deduplicated;
 }
 
+/**
+ * Reuse the TF-IDF index while the underlying category arrays are unchanged
+ */
+function getRetrievalIndex({ key, sources, entries }) {
+  const cached = retrievalIndexCache.get(key);
+  if (
+    cached &&
+    cached.sources.length === sources.length &&
+    cached.sources.every((source, index) => source === sources[index])
+  ) {
+    return cached.index;
+  }
+  const index = buildKnowledgeIndex(entries.filter((entry) => entry && typeof entry === "object"));
+  retrievalIndexCache.set(key, { sources, index });
+  return index;
+}
+
+/**
+ * Field text used as the retrieval query: each populated field's name (so a
+ * draft with `risks` matches risk guidance) followed by its values
+ */
+function buildDraftQuery(document) {
+  if (!document || typeof document !== "object") {
+    return [];
+  }
+  return Object.entries(document)
+    .filter(
+      ([, value]) =>
+        value !== undefined &&
+        value !== null &&
+        value !== "" &&
+        (!Array.isArray(value) || value.length > 0)
+    )
+    .map(([field, value]) => [field.replace(/_/g, " "), value]);
+}
+
+/**
+ * Rank knowledge entries by TF-IDF similarity to the document's field text
+ *
+ * Candidates are entries whose triggers match (as in queryKnowledge) plus any
+ * entry at least `minRelevance` similar to the draft, so relevant guidance is
+ * found even when the wording differs from its field or keyword triggers.
+ * Explicit `conditions` are never bypassed. Triggered entries rank ahead of
+ * similarity-only ones, and the top `topK` are returned with `relevance`
+ * (cosine similarity, 0-1) and `triggered` set.
+ *
+ * @param {object} options - Query options
+ * @param {string[]} options.categories - Knowledge categories to query
+ * @param {object} options.document - Draft whose field values are matched
+ * @param {string} options.docType - Document type
+ * @param {number} [options.topK] - Maximum entries to return
+ * @param {number} [options.minRelevance] - Similarity needed without a trigger match
+ * @returns {Promise<object[]>} Entries sorted by relevance
+ */
+export async function rankKnowledge({
+  categories = [],
+  document = {},
+  docType = "",
+  topK = DEFAULT_TOP_K,
+  minRelevance = DEFAULT_MIN_RELEVANCE,
+}) {
+  const candidates = await loadCandidateEntries(categories);
+  const index = getRetrievalIndex(candidates);
+  const priorityOrder = { high: 0, medium: 1, low: 2 };
+
+  const seen = new Set();
+  const ranked = [];
+  for (const { entry, score } of scoreKnowledgeIndex(index, buildDraftQuery(document))) {
+    if (entry.id) {
+      if (seen.has(entry.id)) continue;
+      seen.add(entry.id);
+    }
+    if (!areConditionsMet(entry, document)) continue;
+    const triggered = isEntryTriggered(entry, document, docType);
+    if (!triggered && score < minRelevance) continue;
+    ranked.push({ ...entry, relevance: Math.round(score * 1000) / 1000, triggered });
+  }
+
+  ranked.sort(
+    (a, b) =>
+      Number(b.triggered) - Number(a.triggered) ||
+      b.relevance - a.relevance ||
+      (priorityOrder[a.priority] ?? 1) - (priorityOrder[b.priority] ?? 1)
+  );
+
+  const limit = Number.isFinite(topK) && topK > 0 ? Math.floor(topK) : DEFAULT_TOP_K;
+  return ranked.slice(0, limit);
+}
+
 /**
  * Format knowledge entries for inclusion in a prompt
  */
@@ -243,7 +333,11 @@ export function formatKnowledgeForPrompt(entries) {
       .map((entry) => {
         const title = entry.title || "Untitled";
         const content = entry.content || "";
-        return `### ${title}\n${content}`;
+        const relevance =
+          typeof entry.relevance === "number"
+            ? ` (relevance ${entry.relevance.toFixed(2)})`
+            : "";
+        return `### ${title}${relevance}\n${content}`;
       })
       .join("\n\n");
 
@@ -260,9 +354,22 @@ export async function getAllKnowledge(category) {
   return loadKnowledgeCategory(category);
 }
 
+/**
+ * Drop cached entries for one category, or every category when omitted
+ */
+export function invalidateKnowledgeCache(category) {
+  if (category) {
+    knowledgeCache.delete(category);
+  } else {
+    knowledgeCache.clear();
+    retrievalIndexCache.clear();
+  }
+}
+
 /**
  * Clear knowledge cache (for testing)
  */
 export function __clearKnowledgeCache() {
   knowledgeCache.clear();
+  retrievalIndexCache.clear();
 }
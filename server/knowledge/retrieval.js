@@ -0,0 +1,93 @@
+/**
+ * Knowledge Retrieval Index
+ *
+ * Local TF-IDF index over knowledge entry titles, tags, and content. Lets the
+ * review engine pick entries whose wording is similar to the draft even when
+ * no field trigger or keyword matches exactly.
+ */
+
+import { tokenizeTerms } from "../../lib/tokenize.js";
+
+// Titles and tags summarize an entry, so their terms count extra.
+const TITLE_WEIGHT = 3;
+const TAG_WEIGHT = 2;
+
+function countTerms(terms, weight, counts) {
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + weight);
+  }
+  return counts;
+}
+
+function entryTermCounts(entry) {
+  const counts = new Map();
+  countTerms(tokenizeTerms(entry?.title ?? ""), TITLE_WEIGHT, counts);
+  countTerms(tokenizeTerms(entry?.tags ?? []), TAG_WEIGHT, counts);
+  countTerms(tokenizeTerms(entry?.content ?? ""), 1, counts);
+  return counts;
+}
+
+function weighVector(counts, idf) {
+  const vector = new Map();
+  let sumOfSquares = 0;
+  for (const [term, count] of counts) {
+    const termIdf = idf.get(term);
+    if (!termIdf) continue;
+    // Sublinear term frequency keeps long entries from dominating.
+    const weight = (1 + Math.log(count)) * termIdf;
+    vector.set(term, weight);
+    sumOfSquares += weight * weight;
+  }
+  return { vector, norm: Math.sqrt(sumOfSquares) };
+}
+
+/**
+ * Builds the index for a list of knowledge entries. The result is immutable
+ * and can be cached for as long as the entry list is unchanged.
+ */
+export function buildKnowledgeIndex(entries) {
+  const list = Array.isArray(entries) ? entries : [];
+  const termCounts = list.map(entryTermCounts);
+
+  const documentFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [term, frequency] of documentFrequency) {
+    // Smoothed IDF: terms present in every entry still carry a little weight.
+    idf.set(term, Math.log((1 + list.length) / (1 + frequency)) + 1);
+  }
+
+  return {
+    entries: list,
+    idf,
+    vectors: termCounts.map((counts) => weighVector(counts, idf)),
+  };
+}
+
+/**
+ * Cosine similarity (0-1) between `text` and every indexed entry, in index
+ * order. `text` may be a string or any structure accepted by tokenizeTerms.
+ */
+export function scoreKnowledgeIndex(index, text) {
+  const query = weighVector(countTerms(tokenizeTerms(text), 1, new Map()), index.idf);
+
+  return index.entries.map((entry, position) => {
+    const { vector, norm } = index.vectors[position];
+    if (!norm || !query.norm) {
+      return { entry, score: 0 };
+    }
+    let dot = 0;
+    for (const [term, weight] of query.vector) {
+      const entryWeight = vector.get(term);
+      if (entryWeight) {
+        dot += weight * entryWeight;
+      }
+    }
+    return { entry, score: dot / (norm * query.norm) };
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * Knowledge Entry Schema
+ *
+ * Validates authored knowledge entries, including the `triggers` and
+ * `conditions` evaluated by query.js, so entries that could never match (or
+ * would match everything by accident) are rejected before they are stored.
+ */
+
+export const KNOWLEDGE_ENTRY_TYPES = [
+  "best_practice",
+  "checklist",
+  "example",
+  "anti_pattern",
+  "rule",
+];
+
+export const KNOWLEDGE_PRIORITIES = ["high", "medium", "low"];
+
+/**
+ * Operators understood by evaluateCondition() in query.js, and the kind of
+ * `value` each one expects.
+ */
+export const CONDITION_OPERATORS = {
+  empty: "none",
+  not_empty: "none",
+  less_than: "number",
+  contains: "string",
+  missing_keyword: "string",
+};
+
+const ENTRY_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,119}$/i;
+const TRIGGER_KEYS = new Set(["fields", "keywords", "conditions"]);
+
+/** Properties an authored entry may carry, in canonical order. */
+export const KNOWLEDGE_ENTRY_FIELDS = [
+  "id",
+  "category",
+  "type",
+  "title",
+  "content",
+  "triggers",
+  "priority",
+  "tags",
+  "source",
+];
+
+const ENTRY_KEYS = new Set(KNOWLEDGE_ENTRY_FIELDS);
+
+export class KnowledgeValidationError extends Error {
+  constructor(errors) {
+    super("Knowledge entry failed validation");
+    this.name = "KnowledgeValidationError";
+    this.code = "invalid_knowledge_entry";
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function validateStringList(value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: "must be an array of strings" });
+    return;
+  }
+  value.forEach((item, index) => {
+    if (!isNonEmptyString(item)) {
+      errors.push({ path: `${path}/${index}`, message: "must be a non-empty string" });
+    }
+  });
+}
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    errors.push({ path, message: "must be an object" });
+    return;
+  }
+  if (!isNonEmptyString(condition.field)) {
+    errors.push({ path: `${path}/field`, message: "is required" });
+  }
+
+  const expected = CONDITION_OPERATORS[condition.operator];
+  if (!expected) {
+    errors.push({
+      path: `${path}/operator`,
+      message: `must be one of ${Object.keys(CONDITION_OPERATORS).join(", ")}`,
+    });
+    return;
+  }
+
+  if (expected === "number" && !Number.isFinite(condition.value)) {
+    errors.push({ path: `${path}/value`, message: `must be a number for "${condition.operator}"` });
+  }
+  if (expected === "string" && !isNonEmptyString(condition.value)) {
+    errors.push({
+      path: `${path}/value`,
+      message: `must be a non-empty string for "${condition.operator}"`,
+    });
+  }
+}
+
+function validateTriggers(triggers, errors) {
+  if (triggers === undefined || triggers === null) {
+    return;
+  }
+  if (typeof triggers !== "object" || Array.isArray(triggers)) {
+    errors.push({ path: "/triggers", message: "must be an object" });
+    return;
+  }
+
+  for (const key of Object.keys(triggers)) {
+    if (!TRIGGER_KEYS.has(key)) {
+      errors.push({ path: `/triggers/${key}`, message: "is not a supported trigger" });
+    }
+  }
+
+  if (triggers.fields !== undefined) {
+    validateStringList(triggers.fields, "/triggers/fields", errors);
+  }
+  if (triggers.keywords !== undefined) {
+    validateStringList(triggers.keywords, "/triggers/keywords", errors);
+  }
+  if (triggers.conditions !== undefined) {
+    if (!Array.isArray(triggers.conditions)) {
+      errors.push({ path: "/triggers/conditions", message: "must be an array" });
+    } else {
+      triggers.conditions.forEach((condition, index) =>
+        validateCondition(condition, `/triggers/conditions/${index}`, errors)
+      );
+    }
+  }
+}
+
+/**
+ * Returns a list of `{ path, message }` problems (empty when the entry is
+ * valid). When `category` is given, the entry's own category must match it.
+ */
+export function validateKnowledgeEntry(entry, { category } = {}) {
+  const errors = [];
+
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return [{ path: "", message: "must be an object" }];
+  }
+
+  for (const key of Object.keys(entry)) {
+    if (!ENTRY_KEYS.has(key)) {
+      errors.push({ path: `/${key}`, message: "is not a supported property" });
+    }
+  }
+
+  if (!isNonEmptyString(entry.id) || !ENTRY_ID_PATTERN.test(entry.id)) {
+    errors.push({
+      path: "/id",
+      message: "must be 1-120 letters, digits, dashes, or underscores",
+    });
+  }
+  if (!isNonEmptyString(entry.category)) {
+    errors.push({ path: "/category", message: "is required" });
+  } else if (category && entry.category !== category) {
+    errors.push({ path: "/category", message: `must be "${category}"` });
+  }
+  if (!KNOWLEDGE_ENTRY_TYPES.includes(entry.type)) {
+    errors.push({ path: "/type", message: `must be one of ${KNOWLEDGE_ENTRY_TYPES.join(", ")}` });
+  }
+  if (!isNonEmptyString(entry.title)) {
+    errors.push({ path: "/title", message: "is required" });
+  }
+  if (!isNonEmptyString(entry.content)) {
+    errors.push({ path: "/content", message: "is required" });
+  }
+  if (entry.priority !== undefined && !KNOWLEDGE_PRIORITIES.includes(entry.priority)) {
+    errors.push({ path: "/priority", message: `must be one of ${KNOWLEDGE_PRIORITIES.join(", ")}` });
+  }
+  if (entry.tags !== undefined) {
+    validateStringList(entry.tags, "/tags", errors);
+  }
+  if (entry.source !== undefined && typeof entry.source !== "string") {
+    errors.push({ path: "/source", message: "must be a string" });
+  }
+
+  validateTriggers(entry.triggers, errors);
+
+  return errors;
+}
+
+export function assertValidKnowledgeEntry(entry, options) {
+  const errors = validateKnowledgeEntry(entry, options);
+  if (errors.length > 0) {
+    throw new KnowledgeValidationError(errors);
+  }
+  return entry;
+}
@@ -0,0 +1,550 @@
+/**
+ * Knowledge Authoring Store
+ *
+ * The JSON files under templates/knowledge ship the baseline entries. Edits
+ * made through the knowledge API are kept as an append-only revision log per
+ * category in the charter record store (namespace "knowledge"), so the PMO
+ * can add, edit, disable, and version entries without a redeploy. Reads
+ * overlay the latest revision of each entry on top of the template files.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+import { computeDocumentHash } from "../../lib/doc/audit.js";
+import { createCharterRecordStoreFromEnv } from "../charter/store/index.js";
+import {
+  KNOWLEDGE_ENTRY_FIELDS,
+  KnowledgeValidationError,
+  assertValidKnowledgeEntry,
+  validateKnowledgeEntry,
+} from "./schema.js";
+
+export const KNOWLEDGE_EXPORT_FORMAT = "exact-va-knowledge";
+export const KNOWLEDGE_EXPORT_VERSION = 1;
+
+/** Roles allowed to write entries (see server/auth) */
+export const KNOWLEDGE_AUTHOR_ROLES = ["admin", "author"];
+
+const TEMPLATES_DIR = path.join(process.cwd(), "templates", "knowledge");
+
+export class KnowledgeError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = "KnowledgeError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+let storePromise = null;
+const changeListeners = new Set();
+
+function getKnowledgeStore() {
+  if (!storePromise) {
+    storePromise = createCharterRecordStoreFromEnv({ namespace: "knowledge" }).catch(
+      (error) => {
+        storePromise = null;
+        throw error;
+      }
+    );
+  }
+  return storePromise;
+}
+
+/**
+ * Replaces the knowledge revision store. Intended for tests; pass null to
+ * fall back to the env-selected store on next use.
+ */
+export function __setKnowledgeRecordStore(store) {
+  storePromise = store ? Promise.resolve(store) : null;
+  notifyKnowledgeChange(null);
+}
+
+/**
+ * Registers a callback invoked with the category name after every write
+ * (or null when everything should be considered stale). Returns an
+ * unsubscribe function.
+ */
+export function onKnowledgeChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyKnowledgeChange(category) {
+  for (const listener of changeListeners) {
+    listener(category);
+  }
+}
+
+/**
+ * Categories declared in templates/knowledge/index.json.
+ */
+export async function readKnowledgeIndex() {
+  const contents = await fs.readFile(path.join(TEMPLATES_DIR, "index.json"), "utf8");
+  const parsed = JSON.parse(contents);
+  return Array.isArray(parsed?.categories) ? parsed.categories : [];
+}
+
+async function assertKnownCategory(category) {
+  const categories = await readKnowledgeIndex();
+  const match = categories.find((item) => item.id === category);
+  if (!match) {
+    throw new KnowledgeError(
+      "unknown_category",
+      `Unknown knowledge category "${category}".`,
+      404
+    );
+  }
+  return match;
+}
+
+/**
+ * Reads the baseline entries shipped in templates/knowledge/<category>.
+ */
+export async function readTemplateKnowledge(category) {
+  const entries = [];
+  const categoryDir = path.join(TEMPLATES_DIR, category);
+
+  try {
+    const files = await fs.readdir(categoryDir);
+    const jsonFiles = files.filter((f) => f.endsWith(".json"));
+
+    for (const file of jsonFiles) {
+      try {
+        const content = await fs.readFile(path.join(categoryDir, file), "utf8");
+        const parsed = JSON.parse(content);
+
+        if (Array.isArray(parsed)) {
+          entries.push(...parsed);
+        } else if (parsed && typeof parsed === "object") {
+          entries.push(parsed);
+        }
+      } catch (parseError) {
+        console.warn(`Failed to parse knowledge file ${file}:`, parseError.message);
+      }
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Failed to load knowledge category ${category}:`, error.message);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Keeps only the authored properties, in canonical order, so revision
+ * metadata returned by the API can be round-tripped through PUT or import.
+ */
+function pickEntryFields(entry) {
+  const picked = {};
+  for (const field of KNOWLEDGE_ENTRY_FIELDS) {
+    if (entry?.[field] !== undefined) {
+      picked[field] = entry[field];
+    }
+  }
+  return picked;
+}
+
+function withTemplateMetadata(entry) {
+  return {
+    ...entry,
+    version: 1,
+    disabled: false,
+    origin: "template",
+    updatedAt: null,
+    updatedBy: null,
+  };
+}
+
+function withRevisionMetadata(record, origin) {
+  return {
+    ...record.entry,
+    version: record.version,
+    disabled: record.disabled === true,
+    origin,
+    updatedAt: record.updatedAt,
+    updatedBy: record.updatedBy ?? null,
+  };
+}
+
+async function readCategoryState(category) {
+  const templateEntries = await readTemplateKnowledge(category);
+  const store = await getKnowledgeStore();
+  const { records, revision } = await store.read(category);
+
+  const entries = new Map();
+  templateEntries.forEach((entry, index) => {
+    // Entries without an id cannot be edited but still take part in queries.
+    entries.set(entry?.id ?? Symbol(`template-${index}`), withTemplateMetadata(entry));
+  });
+
+  for (const record of records) {
+    const current = entries.get(record.entryId);
+    entries.set(record.entryId, withRevisionMetadata(record, current?.origin ?? "authored"));
+  }
+
+  return { entries, records, revision, templateEntries };
+}
+
+/**
+ * Current entries for a category: template entries overlaid with the latest
+ * authored revision of each id. Disabled entries are omitted unless
+ * `includeDisabled` is set.
+ */
+export async function loadKnowledgeEntries(category, { includeDisabled = false } = {}) {
+  const { entries } = await readCategoryState(category);
+  const list = Array.from(entries.values());
+  return includeDisabled ? list : list.filter((entry) => !entry.disabled);
+}
+
+export async function listKnowledgeCategories() {
+  const categories = await readKnowledgeIndex();
+  const summaries = [];
+  for (const category of categories) {
+    const { entries, revision } = await readCategoryState(category.id);
+    const list = Array.from(entries.values());
+    summaries.push({
+      id: category.id,
+      label: category.label,
+      description: category.description,
+      entryCount: list.filter((entry) => !entry.disabled).length,
+      disabledCount: list.filter((entry) => entry.disabled).length,
+      revision,
+    });
+  }
+  return summaries;
+}
+
+export async function getKnowledgeEntry(category, entryId) {
+  await assertKnownCategory(category);
+  const { entries, records, templateEntries } = await readCategoryState(category);
+  const entry = entries.get(entryId);
+  if (!entry) {
+    throw new KnowledgeError(
+      "entry_not_found",
+      `Knowledge entry "${entryId}" was not found in "${category}".`,
+      404
+    );
+  }
+
+  const template = templateEntries.find((item) => item?.id === entryId);
+  const history = [
+    ...(template ? [withTemplateMetadata(template)] : []),
+    ...records
+      .filter((record) => record.entryId === entryId)
+      .map((record) => ({
+        ...withRevisionMetadata(record, template ? "template" : "authored"),
+        action: record.action,
+        comment: record.comment ?? null,
+      })),
+  ];
+
+  return { entry, history };
+}
+
+function buildRecord(entry, { version, action, disabled, actor, comment }) {
+  return {
+    entryId: entry.id,
+    version,
+    action,
+    disabled,
+    entry,
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor ?? null,
+    comment: comment ?? null,
+  };
+}
+
+async function appendRecords(category, records, expectedRevision) {
+  const store = await getKnowledgeStore();
+  try {
+    // write() re-checks the revision under the store lock, so a concurrent
+    // writer between this read and the write surfaces as a conflict.
+    const current = await store.read(category);
+    await store.write(category, [...current.records, ...records], { expectedRevision });
+  } catch (error) {
+    if (error?.name === "RecordConflictError") {
+      throw new KnowledgeError(
+        "knowledge_conflict",
+        `Knowledge category "${category}" changed concurrently. Reload and retry.`,
+        409
+      );
+    }
+    throw error;
+  }
+  notifyKnowledgeChange(category);
+}
+
+function assertExpectedVersion(entry, expectedVersion) {
+  if (
+    expectedVersion !== undefined &&
+    expectedVersion !== null &&
+    Number(expectedVersion) !== entry.version
+  ) {
+    throw new KnowledgeError(
+      "version_conflict",
+      `Knowledge entry "${entry.id}" is at version ${entry.version}, not ${expectedVersion}.`,
+      409
+    );
+  }
+}
+
+const REVISION_METADATA_FIELDS = new Set([
+  "version",
+  "disabled",
+  "origin",
+  "updatedAt",
+  "updatedBy",
+]);
+
+/**
+ * Drops revision metadata and fills in the category. Unsupported properties
+ * are kept so validation can report them.
+ */
+function normalizeInput(input, category) {
+  const entry = pickEntryFields({ ...input, category: input?.category ?? category });
+  const unknown = Object.keys(input ?? {}).filter(
+    (key) => !KNOWLEDGE_ENTRY_FIELDS.includes(key) && !REVISION_METADATA_FIELDS.has(key)
+  );
+  for (const key of unknown) {
+    entry[key] = input[key];
+  }
+  return entry;
+}
+
+export async function createKnowledgeEntry(category, input, { actor, comment } = {}) {
+  await assertKnownCategory(category);
+  const entry = assertValidKnowledgeEntry(normalizeInput(input, category), { category });
+  const { entries, revision } = await readCategoryState(category);
+  if (entries.has(entry.id)) {
+    throw new KnowledgeError(
+      "entry_exists",
+      `Knowledge entry "${entry.id}" already exists in "${category}".`,
+      409
+    );
+  }
+
+  const record = buildRecord(entry, {
+    version: 1,
+    action: "create",
+    disabled: false,
+    actor,
+    comment,
+  });
+  await appendRecords(category, [record], revision);
+  return withRevisionMetadata(record, "authored");
+}
+
+/**
+ * Saves a new version of an entry. With `partial`, `input` is merged over the
+ * current entry (PATCH); otherwise it replaces the entry (PUT).
+ */
+export async function updateKnowledgeEntry(
+  category,
+  entryId,
+  input,
+  { actor, comment, expectedVersion, partial = false } = {}
+) {
+  await assertKnownCategory(category);
+  const { entries, revision } = await readCategoryState(category);
+  const current = entries.get(entryId);
+  if (!current) {
+    throw new KnowledgeError(
+      "entry_not_found",
+      `Knowledge entry "${entryId}" was not found in "${category}".`,
+      404
+    );
+  }
+  assertExpectedVersion(current, expectedVersion);
+
+  const merged = partial ? { ...pickEntryFields(current), ...input } : input;
+  const entry = assertValidKnowledgeEntry(
+    normalizeInput({ ...merged, id: entryId }, category),
+    { category }
+  );
+  const disabled = typeof input?.disabled === "boolean" ? input.disabled : current.disabled;
+
+  const record = buildRecord(entry, {
+    version: current.version + 1,
+    action: "update",
+    disabled,
+    actor,
+    comment,
+  });
+  await appendRecords(category, [record], revision);
+  return withRevisionMetadata(record, current.origin);
+}
+
+export async function setKnowledgeEntryDisabled(
+  category,
+  entryId,
+  disabled,
+  { actor, comment, expectedVersion } = {}
+) {
+  await assertKnownCategory(category);
+  const { entries, revision } = await readCategoryState(category);
+  const current = entries.get(entryId);
+  if (!current) {
+    throw new KnowledgeError(
+      "entry_not_found",
+      `Knowledge entry "${entryId}" was not found in "${category}".`,
+      404
+    );
+  }
+  assertExpectedVersion(current, expectedVersion);
+  if (current.disabled === disabled) {
+    return current;
+  }
+
+  const record = buildRecord(pickEntryFields(current), {
+    version: current.version + 1,
+    action: disabled ? "disable" : "enable",
+    disabled,
+    actor,
+    comment,
+  });
+  await appendRecords(category, [record], revision);
+  return withRevisionMetadata(record, current.origin);
+}
+
+/**
+ * Serializes the current entries (including disabled ones) of the given
+ * categories, or every category, in the format accepted by importKnowledge.
+ */
+export async function exportKnowledge({ categories } = {}) {
+  const index = await readKnowledgeIndex();
+  const selected =
+    Array.isArray(categories) && categories.length > 0
+      ? index.filter((category) => categories.includes(category.id))
+      : index;
+
+  const exported = [];
+  for (const category of selected) {
+    const entries = await loadKnowledgeEntries(category.id, { includeDisabled: true });
+    exported.push({
+      id: category.id,
+      label: category.label,
+      entries: entries
+        .filter((entry) => typeof entry.id === "string")
+        .map((entry) => ({ ...pickEntryFields(entry), disabled: entry.disabled })),
+    });
+  }
+
+  return {
+    format: KNOWLEDGE_EXPORT_FORMAT,
+    formatVersion: KNOWLEDGE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    categories: exported,
+  };
+}
+
+function entryFingerprint(entry) {
+  return computeDocumentHash(pickEntryFields(entry));
+}
+
+/**
+ * Applies an export bundle. Every entry is validated before anything is
+ * written; new ids are created, changed entries get a new version, and
+ * identical ones are left alone. With `dryRun` the summary is returned
+ * without writing.
+ */
+export async function importKnowledge(bundle, { actor, comment, dryRun = false } = {}) {
+  if (!bundle || typeof bundle !== "object" || bundle.format !== KNOWLEDGE_EXPORT_FORMAT) {
+    throw new KnowledgeError(
+      "invalid_import_format",
+      `Import must be a "${KNOWLEDGE_EXPORT_FORMAT}" bundle.`
+    );
+  }
+  if (bundle.formatVersion !== KNOWLEDGE_EXPORT_VERSION) {
+    throw new KnowledgeError(
+      "unsupported_import_version",
+      `Unsupported knowledge bundle version ${bundle.formatVersion}.`
+    );
+  }
+  if (!Array.isArray(bundle.categories)) {
+    throw new KnowledgeError("invalid_import_format", "Import bundle must list categories.");
+  }
+
+  const index = await readKnowledgeIndex();
+  const errors = [];
+  const plans = [];
+
+  for (const [categoryIndex, category] of bundle.categories.entries()) {
+    if (!index.some((item) => item.id === category?.id)) {
+      errors.push({
+        category: category?.id ?? null,
+        path: `/categories/${categoryIndex}/id`,
+        message: "is not a known category",
+      });
+      continue;
+    }
+    const entries = Array.isArray(category.entries) ? category.entries : [];
+    const seenIds = new Set();
+    entries.forEach((input, entryIndex) => {
+      const entry = normalizeInput(input, category.id);
+      const entryPath = `/categories/${categoryIndex}/entries/${entryIndex}`;
+      const entryId = typeof input?.id === "string" ? input.id : null;
+      const problems = validateKnowledgeEntry(entry, { category: category.id });
+      if (entryId && seenIds.has(entryId)) {
+        problems.push({ path: "/id", message: "is duplicated in this category" });
+      }
+      seenIds.add(entryId);
+      for (const problem of problems) {
+        errors.push({
+          category: category.id,
+          entryId,
+          path: `${entryPath}${problem.path}`,
+          message: problem.message,
+        });
+      }
+    });
+    plans.push({ id: category.id, entries });
+  }
+
+  if (errors.length > 0) {
+    throw new KnowledgeValidationError(errors);
+  }
+
+  const summary = { created: [], updated: [], unchanged: [], dryRun };
+
+  for (const plan of plans) {
+    const { entries, revision } = await readCategoryState(plan.id);
+    const records = [];
+
+    for (const input of plan.entries) {
+      const entry = pickEntryFields({ ...input, category: plan.id });
+      const disabled = input.disabled === true;
+      const current = entries.get(entry.id);
+      const ref = { category: plan.id, id: entry.id };
+
+      if (!current) {
+        records.push(buildRecord(entry, { version: 1, action: "import", disabled, actor, comment }));
+        summary.created.push(ref);
+      } else if (
+        entryFingerprint(current) === entryFingerprint(entry) &&
+        current.disabled === disabled
+      ) {
+        summary.unchanged.push(ref);
+      } else {
+        records.push(
+          buildRecord(entry, {
+            version: current.version + 1,
+            action: "import",
+            disabled,
+            actor,
+            comment,
+          })
+        );
+        summary.updated.push(ref);
+      }
+    }
+
+    if (!dryRun && records.length > 0) {
+      await appendRecords(plan.id, records, revision);
+    }
+  }
+
+  return summary;
+}
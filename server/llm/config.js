@@ -0,0 +1,124 @@
+export const LLM_TASKS = ["chat", "extraction", "analysis", "review", "transcription"];
+
+export const LLM_PROVIDERS = ["openai", "azure", "openai-compatible", "mock"];
+
+export const INVALID_CHAT_MODEL_PATTERN = /(realtime|preview|transcribe|stt)/i;
+
+// The Responses API only exists on api.openai.com; Azure deployments and
+// compatible servers are driven through chat completions.
+const RESPONSES_API_PROVIDERS = new Set(["openai", "mock"]);
+
+export function providerSupportsResponses(provider) {
+  return RESPONSES_API_PROVIDERS.has(provider);
+}
+
+function readEnv(env, key) {
+  const value = env?.[key];
+  if (typeof value !== "string") {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  return trimmed || undefined;
+}
+
+function defaultEnv() {
+  return typeof process !== "undefined" && process?.env ? process.env : {};
+}
+
+function assertTask(task) {
+  if (!LLM_TASKS.includes(task)) {
+    throw new Error(`Unknown LLM task "${task}". Expected one of ${LLM_TASKS.join(", ")}.`);
+  }
+}
+
+function taskEnvKey(task, suffix) {
+  return `LLM_${task.toUpperCase()}_${suffix}`;
+}
+
+/**
+ * Chat falls back to the legacy model variables. Realtime/transcription model
+ * names are stripped back to their base chat model.
+ */
+function resolveLegacyChatModel(env) {
+  const candidates = [
+    env.chat_model,
+    env.CHAT_MODEL,
+    env.OPENAI_MODEL,
+    env.OPENAI_CHAT_MODEL,
+    env.OPENAI_STT_MODEL,
+    env.OPENAI_REALTIME_MODEL,
+  ];
+
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string") continue;
+    const trimmed = candidate.trim();
+    if (!trimmed) continue;
+
+    if (!INVALID_CHAT_MODEL_PATTERN.test(trimmed)) {
+      return trimmed;
+    }
+
+    const fallbackMatch = trimmed.match(
+      /^(.*?)(?:[-_](?:realtime|preview|transcribe|stt))+$/i
+    );
+    const fallback = fallbackMatch?.[1]?.trim();
+    if (fallback && !INVALID_CHAT_MODEL_PATTERN.test(fallback)) {
+      return fallback;
+    }
+  }
+
+  return undefined;
+}
+
+const LEGACY_MODEL_RESOLVERS = {
+  chat: resolveLegacyChatModel,
+  extraction: (env) => readEnv(env, "EXTRACTION_MODEL"),
+  analysis: (env) => readEnv(env, "ANALYSIS_MODEL"),
+  review: (env) => readEnv(env, "REVIEW_MODEL"),
+  transcription: (env) => readEnv(env, "OPENAI_STT_MODEL"),
+};
+
+const DEFAULT_MODELS = {
+  chat: "gpt-5-mini",
+  extraction: "gpt-4o-mini",
+  analysis: "gpt-4o-mini",
+  review: "gpt-4o-mini",
+  transcription: "gpt-4o-mini-transcribe",
+};
+
+/**
+ * Resolves the model for a task: `LLM_<TASK>_MODEL`, then the variable the
+ * task used before the provider layer existed, then the built-in default.
+ * With the Azure provider the value is the deployment name.
+ */
+export function resolveTaskModel(task, env = defaultEnv()) {
+  assertTask(task);
+  return (
+    readEnv(env, taskEnvKey(task, "MODEL")) ||
+    LEGACY_MODEL_RESOLVERS[task](env) ||
+    DEFAULT_MODELS[task]
+  );
+}
+
+/**
+ * Resolves the provider for a task: `LLM_<TASK>_PROVIDER`, then
+ * `LLM_PROVIDER`, then "openai".
+ */
+export function resolveTaskProvider(task, env = defaultEnv()) {
+  assertTask(task);
+  const provider = (
+    readEnv(env, taskEnvKey(task, "PROVIDER")) ||
+    readEnv(env, "LLM_PROVIDER") ||
+    "openai"
+  ).toLowerCase();
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    console.warn(`Unknown LLM provider "${provider}" for ${task}. Falling back to openai.`);
+    return "openai";
+  }
+  return provider;
+}
+
+export function readProviderEnv(key, env = defaultEnv()) {
+  return readEnv(env, key);
+}
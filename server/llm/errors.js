@@ -0,0 +1,148 @@
+const PROVIDER_LABELS = {
+  openai: "OpenAI",
+  azure: "Azure OpenAI",
+  "openai-compatible": "OpenAI-compatible server",
+  mock: "Mock LLM",
+};
+
+export function getProviderLabel(provider) {
+  return PROVIDER_LABELS[provider] || "LLM provider";
+}
+
+export class LLMProviderError extends Error {
+  constructor(
+    message,
+    { statusCode = 500, code = "llm_error", provider = null, model = null, task = null } = {}
+  ) {
+    super(message);
+    this.name = "LLMProviderError";
+    this.statusCode = statusCode;
+    this.status = statusCode;
+    this.code = code;
+    this.provider = provider;
+    this.model = model;
+    this.task = task;
+  }
+}
+
+export function createMissingCredentialsError(provider, variableName, task) {
+  return new LLMProviderError(
+    `${getProviderLabel(provider)} credentials are not configured. Please set ${variableName}.`,
+    { statusCode: 500, code: "missing_api_key", provider, task }
+  );
+}
+
+function readStatus(error) {
+  const candidates = [error?.status, error?.statusCode, error?.response?.status];
+  for (const candidate of candidates) {
+    const parsed = Number.parseInt(candidate, 10);
+    if (Number.isFinite(parsed) && parsed > 0) {
+      return parsed;
+    }
+  }
+  return 0;
+}
+
+function readMessage(error) {
+  return (
+    error?.error?.message ||
+    error?.response?.data?.error?.message ||
+    error?.message ||
+    ""
+  ) + "";
+}
+
+/**
+ * Classifies a provider failure into the shared error codes. Returns null when
+ * the status/message do not match a known category.
+ */
+export function describeLLMError(
+  { status, message } = {},
+  { provider = "openai", model = null } = {}
+) {
+  const normalizedStatus = Number.isFinite(status) ? status : Number.parseInt(status, 10) || 0;
+  const text = (message || "") + "";
+  const label = getProviderLabel(provider);
+
+  if (normalizedStatus === 401 || normalizedStatus === 403) {
+    return {
+      status: 401,
+      message: `${label} rejected the configured credentials. Check the API key for this provider.`,
+      code: "invalid_api_key",
+    };
+  }
+
+  if (/maximum context length|context_length_exceeded|too many tokens/i.test(text)) {
+    return {
+      status: 400,
+      message: `The request exceeds the context window of model "${model}".`,
+      code: "context_length_exceeded",
+    };
+  }
+
+  if (normalizedStatus === 404 || /DeploymentNotFound|model_not_found/i.test(text)) {
+    return {
+      status: 400,
+      message: `Model "${model}" not found for this key.`,
+      code: "invalid_model",
+    };
+  }
+
+  if (normalizedStatus === 400 || /model .*does not exist|unsupported|invalid/i.test(text)) {
+    return {
+      status: 400,
+      message: `Model "${model}" isn't available for this endpoint/key. Check your ${label} account has access to this model.`,
+      code: "invalid_model",
+    };
+  }
+
+  if (normalizedStatus === 429) {
+    return {
+      status: 429,
+      message: "Rate limit reached. Please retry shortly.",
+      code: "rate_limited",
+    };
+  }
+
+  if (normalizedStatus === 502 || normalizedStatus === 503 || normalizedStatus === 504) {
+    return {
+      status: 503,
+      message: `${label} service unavailable. Please retry shortly.`,
+      code: "service_unavailable",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes any SDK/provider error into an LLMProviderError carrying the
+ * shared code, an HTTP status, and the provider/model/task that failed.
+ */
+export function mapLLMError(error, { provider = "openai", model = null, task = null } = {}) {
+  if (error instanceof LLMProviderError) {
+    return error;
+  }
+
+  const status = readStatus(error);
+  const message = readMessage(error);
+  const described = describeLLMError({ status, message }, { provider, model });
+
+  if (described) {
+    return new LLMProviderError(described.message, {
+      statusCode: described.status,
+      code: described.code,
+      provider,
+      model,
+      task,
+    });
+  }
+
+  return new LLMProviderError(message || `${getProviderLabel(provider)} request failed`, {
+    statusCode: status || 500,
+    code: typeof error?.code === "string" && error.code ? error.code : "llm_error",
+    provider,
+    model,
+    task,
+  });
+}
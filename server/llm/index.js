@@ -0,0 +1,73 @@
+import {
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  providerSupportsResponses,
+  readProviderEnv,
+  resolveTaskModel,
+  resolveTaskProvider,
+} from "./config.js";
+import {
+  LLMProviderError,
+  describeLLMError,
+  getProviderLabel,
+  mapLLMError,
+} from "./errors.js";
+import { createMockClient } from "./providers/mock.js";
+import { createProviderClient } from "./providers/openai.js";
+import { meterLLMClient } from "./usage/meter.js";
+
+/**
+ * Creates the SDK-shaped client for a task ("chat", "extraction",
+ * "analysis", "review", or "transcription") using the provider and model
+ * selected by env:
+ *   LLM_PROVIDER / LLM_<TASK>_PROVIDER  openai | azure | openai-compatible | mock
+ *   LLM_<TASK>_MODEL                    model (or Azure deployment) for the task
+ *
+ * Returns { client, provider, model, task, supportsResponses }. The client
+ * exposes the OpenAI SDK surface (chat.completions, responses,
+ * audio.transcriptions) for every provider and is metered: calls are
+ * checked against LLM_BUDGETS and recorded in the usage ledger. Missing
+ * credentials throw an LLMProviderError with code "missing_api_key".
+ */
+export function createLLMClient(task, overrides = {}) {
+  const env = overrides.env;
+  const provider = overrides.provider || resolveTaskProvider(task, env);
+  const model = overrides.model || resolveTaskModel(task, env);
+
+  let client;
+  if (provider === "mock") {
+    client = createMockClient({
+      task,
+      model,
+      fixtures: overrides.fixtures,
+      fixturesPath: readProviderEnv("LLM_MOCK_FIXTURES", env),
+    });
+  } else {
+    client = createProviderClient(provider, {
+      task,
+      env,
+      ...(overrides.OpenAIClient ? { OpenAIClient: overrides.OpenAIClient } : {}),
+      ...(overrides.AzureOpenAIClient ? { AzureOpenAIClient: overrides.AzureOpenAIClient } : {}),
+    });
+  }
+
+  return {
+    client: meterLLMClient(client, { task, provider, model }),
+    provider,
+    model,
+    task,
+    supportsResponses: providerSupportsResponses(provider),
+  };
+}
+
+export {
+  LLM_PROVIDERS,
+  LLM_TASKS,
+  LLMProviderError,
+  describeLLMError,
+  getProviderLabel,
+  mapLLMError,
+  providerSupportsResponses,
+  resolveTaskModel,
+  resolveTaskProvider,
+};
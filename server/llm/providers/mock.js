@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import fs from "fs";
+
+import { countTokens } from "../../../lib/tokenize.js";
+
+function digest(value) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(value ?? null))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+function loadFixtures(fixtures, fixturesPath) {
+  if (fixtures && typeof fixtures === "object") {
+    return fixtures;
+  }
+  if (!fixturesPath) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+}
+
+function lastUserText(messages, input) {
+  if (typeof input === "string") {
+    return input;
+  }
+  const list = Array.isArray(messages) ? messages : [];
+  for (let index = list.length - 1; index >= 0; index -= 1) {
+    const message = list[index];
+    if (message?.role === "user" && typeof message.content === "string") {
+      return message.content;
+    }
+  }
+  return "";
+}
+
+function buildUsage(request, content) {
+  const promptTokens = countTokens(request?.messages ?? request?.input ?? "");
+  const completionTokens = countTokens(content);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+// Splits the reply on word boundaries so streamed output reassembles exactly.
+function splitIntoDeltas(content) {
+  return content.match(/\S+\s*|\s+/g) || [""];
+}
+
+/**
+ * Deterministic provider for offline runs. Replies depend only on the task,
+ * model, and request, so repeated runs produce identical output. Per-task
+ * replies can be pinned with `fixtures` (or a JSON file at LLM_MOCK_FIXTURES):
+ * strings are returned as-is and objects are returned as JSON.
+ */
+export function createMockClient({ task, model, fixtures, fixturesPath } = {}) {
+  const pinned = loadFixtures(fixtures, fixturesPath);
+
+  const resolveContent = (request) => {
+    const fixture = pinned[task];
+    if (typeof fixture === "string") {
+      return fixture;
+    }
+    if (fixture && typeof fixture === "object") {
+      return JSON.stringify(fixture);
+    }
+    const requestDigest = digest(request?.messages ?? request?.input);
+    if (request?.response_format?.type === "json_object") {
+      return JSON.stringify({ mock: true, task, model, digest: requestDigest });
+    }
+    const prompt = lastUserText(request?.messages, request?.input).trim().slice(0, 200);
+    return `[mock ${task}:${requestDigest}] ${prompt}`.trim();
+  };
+
+  return {
+    chat: {
+      completions: {
+        async create(request) {
+          const content = resolveContent(request);
+          if (request?.stream) {
+            const deltas = splitIntoDeltas(content);
+            return {
+              async *[Symbol.asyncIterator]() {
+                for (let index = 0; index < deltas.length; index += 1) {
+                  const isLast = index === deltas.length - 1;
+                  yield {
+                    choices: [
+                      {
+                        index: 0,
+                        delta: { content: deltas[index] },
+                        finish_reason: isLast ? "stop" : null,
+                      },
+                    ],
+                  };
+                }
+              },
+            };
+          }
+          return {
+            id: `mock-${digest(request)}`,
+            model: request?.model ?? model,
+            choices: [
+              { index: 0, message: { role: "assistant", content }, finish_reason: "stop" },
+            ],
+            usage: buildUsage(request, content),
+          };
+        },
+      },
+    },
+    responses: {
+      async create(request) {
+        const content = resolveContent(request);
+        if (request?.stream) {
+          const deltas = splitIntoDeltas(content);
+          return {
+            async *[Symbol.asyncIterator]() {
+              for (const delta of deltas) {
+                yield { type: "response.output_text.delta", delta };
+              }
+              yield { type: "response.completed" };
+            },
+          };
+        }
+        return { output_text: content, usage: buildUsage(request, content) };
+      },
+    },
+    audio: {
+      transcriptions: {
+        async create() {
+          const fixture = pinned.transcription;
+          return { text: typeof fixture === "string" ? fixture : "Mock transcription." };
+        },
+      },
+    },
+  };
+}
+
+export default createMockClient;
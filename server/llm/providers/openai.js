@@ -0,0 +1,107 @@
+import * as OpenAISDK from "openai";
+
+import { readProviderEnv } from "../config.js";
+import { LLMProviderError, createMissingCredentialsError } from "../errors.js";
+
+const OpenAI = OpenAISDK.default;
+
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+
+/**
+ * Client for api.openai.com. `OpenAIClient` lets callers (and tests) swap in
+ * an SDK-compatible constructor.
+ */
+export function createOpenAIClient({ task, apiKey, OpenAIClient = OpenAI } = {}) {
+  if (!apiKey) {
+    throw createMissingCredentialsError("openai", "OPENAI_API_KEY", task);
+  }
+  return new OpenAIClient({ apiKey });
+}
+
+/**
+ * Client for a self-hosted server that speaks the OpenAI REST API (vLLM,
+ * Ollama, LiteLLM, ...). Many of these ignore the key, so a placeholder is
+ * sent when none is configured.
+ */
+export function createOpenAICompatibleClient({
+  task,
+  baseURL,
+  apiKey,
+  OpenAIClient = OpenAI,
+} = {}) {
+  if (!baseURL) {
+    throw createMissingCredentialsError(
+      "openai-compatible",
+      "OPENAI_COMPATIBLE_BASE_URL",
+      task
+    );
+  }
+  return new OpenAIClient({ apiKey: apiKey || "not-needed", baseURL });
+}
+
+/**
+ * Client for an Azure OpenAI resource. Requests pass the deployment name as
+ * `model`, which the SDK routes to /openai/deployments/<model>/...
+ */
+export function createAzureOpenAIClient({
+  task,
+  endpoint,
+  apiKey,
+  apiVersion,
+  AzureOpenAIClient = OpenAISDK.AzureOpenAI,
+} = {}) {
+  if (!endpoint) {
+    throw createMissingCredentialsError("azure", "AZURE_OPENAI_ENDPOINT", task);
+  }
+  if (!apiKey) {
+    throw createMissingCredentialsError("azure", "AZURE_OPENAI_API_KEY", task);
+  }
+  if (typeof AzureOpenAIClient !== "function") {
+    throw new Error(
+      "The installed openai package does not provide AzureOpenAI (requires openai 4.x or later)."
+    );
+  }
+  return new AzureOpenAIClient({ endpoint, apiKey, apiVersion });
+}
+
+/**
+ * Unmetered client for one of the OpenAI-protocol providers ("openai",
+ * "azure", "openai-compatible"), configured from env. `createLLMClient()`
+ * wraps this with usage metering; the Edge chat stream calls it directly
+ * because the usage ledger needs Node's file system.
+ */
+export function createProviderClient(
+  provider,
+  { task, env, OpenAIClient = OpenAI, AzureOpenAIClient = OpenAISDK.AzureOpenAI } = {}
+) {
+  if (provider === "azure") {
+    return createAzureOpenAIClient({
+      task,
+      endpoint: readProviderEnv("AZURE_OPENAI_ENDPOINT", env),
+      apiKey: readProviderEnv("AZURE_OPENAI_API_KEY", env),
+      apiVersion: readProviderEnv("AZURE_OPENAI_API_VERSION", env) || DEFAULT_AZURE_API_VERSION,
+      AzureOpenAIClient,
+    });
+  }
+  if (provider === "openai-compatible") {
+    return createOpenAICompatibleClient({
+      task,
+      baseURL: readProviderEnv("OPENAI_COMPATIBLE_BASE_URL", env),
+      apiKey: readProviderEnv("OPENAI_COMPATIBLE_API_KEY", env),
+      OpenAIClient,
+    });
+  }
+  if (provider === "openai") {
+    return createOpenAIClient({
+      task,
+      apiKey: readProviderEnv("OPENAI_API_KEY", env),
+      OpenAIClient,
+    });
+  }
+  throw new LLMProviderError(`Provider "${provider}" is not available here.`, {
+    statusCode: 500,
+    code: "unsupported_provider",
+    provider,
+    task,
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * LLM Budgets
+ *
+ * Checks the budgets from LLM_BUDGETS against the usage ledger before each
+ * metered call. Budgets with `action: "warn"` log once and add an
+ * `X-LLM-Budget-Warning` response header; `action: "block"` budgets reject
+ * calls with a `budget_exceeded` LLMProviderError once exhausted.
+ *
+ * @module server/llm/usage/budgets
+ */
+
+import { getLLMBudgets } from "../../config/llmUsage.js";
+import { LLMProviderError } from "../errors.js";
+import { readUsageEntries, usageDay } from "./ledger.js";
+
+const SCOPE_TAGS = {
+  charter: "charterId",
+  session: "sessionId",
+  docType: "docType",
+  user: "userId",
+};
+
+const warned = new Set();
+
+function periodStart(period, now) {
+  const day = usageDay(now);
+  return period === "day" ? day : `${day.slice(0, 8)}01`;
+}
+
+function scopeKey(budget, tags) {
+  if (budget.scope === "total") {
+    return "*";
+  }
+  return tags?.[SCOPE_TAGS[budget.scope]] ?? null;
+}
+
+function describeBudget(budget, key, entries) {
+  let usedTokens = 0;
+  let usedCostUsd = 0;
+  for (const entry of entries) {
+    if (budget.scope === "total" || entry[SCOPE_TAGS[budget.scope]] === key) {
+      usedTokens += entry.totalTokens ?? 0;
+      usedCostUsd += entry.costUsd ?? 0;
+    }
+  }
+  const ratios = [
+    budget.maxTokens ? usedTokens / budget.maxTokens : 0,
+    budget.maxCostUsd ? usedCostUsd / budget.maxCostUsd : 0,
+  ];
+  const ratio = Math.max(...ratios);
+  return {
+    name: budget.name,
+    scope: budget.scope,
+    key,
+    period: budget.period,
+    action: budget.action,
+    maxTokens: budget.maxTokens,
+    maxCostUsd: budget.maxCostUsd,
+    usedTokens,
+    usedCostUsd: Math.round(usedCostUsd * 1e6) / 1e6,
+    ratio: Math.round(ratio * 1000) / 1000,
+    status: ratio >= 1 ? "exceeded" : ratio >= budget.warnAt ? "warn" : "ok",
+  };
+}
+
+/**
+ * Current period status of each budget that applies to the tags. Budgets
+ * scoped to a tag the call does not carry are skipped.
+ * @param {Object} tags - Usage tags (charterId, sessionId, docType, userId)
+ * @returns {Promise<Object[]>}
+ */
+export async function evaluateLLMBudgets(tags, { env = process.env, now = Date.now() } = {}) {
+  const budgets = getLLMBudgets(env);
+  if (budgets.length === 0) {
+    return [];
+  }
+
+  const today = usageDay(now);
+  const entriesByStart = new Map();
+  const statuses = [];
+  for (const budget of budgets) {
+    const key = scopeKey(budget, tags);
+    if (!key) {
+      continue;
+    }
+    const from = periodStart(budget.period, now);
+    if (!entriesByStart.has(from)) {
+      entriesByStart.set(from, await readUsageEntries({ from, to: today }, { now }));
+    }
+    statuses.push(describeBudget(budget, key, entriesByStart.get(from)));
+  }
+  return statuses;
+}
+
+/**
+ * Status of every budget for every key seen in its current period, for the
+ * usage report
+ */
+export async function listLLMBudgetStatus({ env = process.env, now = Date.now() } = {}) {
+  const budgets = getLLMBudgets(env);
+  const today = usageDay(now);
+  const statuses = [];
+  for (const budget of budgets) {
+    const entries = await readUsageEntries({ from: periodStart(budget.period, now), to: today }, { now });
+    const keys =
+      budget.scope === "total"
+        ? ["*"]
+        : [...new Set(entries.map((entry) => entry[SCOPE_TAGS[budget.scope]]).filter(Boolean))];
+    statuses.push(...keys.map((key) => describeBudget(budget, key, entries)));
+  }
+  return statuses;
+}
+
+function warnOnce(status, now) {
+  const marker = [status.name, status.key, periodStart(status.period, now), status.status].join("|");
+  if (warned.has(marker)) {
+    return;
+  }
+  warned.add(marker);
+  console.warn(
+    `[LLMUsage] Budget "${status.name}" (${status.scope} ${status.key}) is at ${Math.round(
+      status.ratio * 100
+    )}% for this ${status.period}`
+  );
+}
+
+function addWarningHeader(res, statuses) {
+  if (!res || res.headersSent || typeof res.setHeader !== "function") {
+    return;
+  }
+  res.setHeader(
+    "X-LLM-Budget-Warning",
+    statuses.map((status) => `${status.name}=${Math.round(status.ratio * 100)}%`).join(", ")
+  );
+}
+
+/**
+ * Throw when a blocking budget is exhausted; log and flag budgets that are
+ * close to or past a warn-only limit.
+ * @param {Object} tags - Usage tags for the call
+ * @param {Object} [options]
+ * @param {Object} [options.res] - Response to add the warning header to
+ * @param {string} [options.task] - LLM task, for the error
+ */
+export async function assertWithinLLMBudget(tags, { res, task = null, env = process.env, now = Date.now() } = {}) {
+  const statuses = await evaluateLLMBudgets(tags, { env, now });
+  const blocked = statuses.find((status) => status.status === "exceeded" && status.action === "block");
+  if (blocked) {
+    throw new LLMProviderError(
+      `LLM budget "${blocked.name}" is used up for this ${blocked.period}.`,
+      { statusCode: 429, code: "budget_exceeded", task }
+    );
+  }
+
+  const flagged = statuses.filter((status) => status.status !== "ok");
+  flagged.forEach((status) => warnOnce(status, now));
+  if (flagged.length > 0) {
+    addWarningHeader(res, flagged);
+  }
+  return statuses;
+}
@@ -0,0 +1,132 @@
+/**
+ * Usage context
+ *
+ * Carries the tags for LLM usage entries (route, session, doc type, charter,
+ * user) through the async call chain of a request, so services several
+ * layers below a handler do not need to pass them along.
+ *
+ * @module server/llm/usage/context
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+import { withRequestTrace } from "../../utils/tracing.js";
+
+const storage = new AsyncLocalStorage();
+
+const TAG_FIELDS = ["route", "sessionId", "docType", "charterId", "userId"];
+
+function cleanTag(value) {
+  if (Array.isArray(value)) {
+    return cleanTag(value[0]);
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim().slice(0, 200);
+  return trimmed || null;
+}
+
+function readBody(req) {
+  if (req?.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) {
+    return req.body;
+  }
+  if (typeof req?.body === "string" && req.body.trim().startsWith("{")) {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+function readCookie(req, name) {
+  const value = req?.cookies?.[name];
+  return typeof value === "string" ? value : null;
+}
+
+/**
+ * Usage tags found on a request. Clients can send `X-Session-Id` and
+ * `X-Charter-Id` headers; otherwise the body (`sessionId`, `threadId`,
+ * `docType`, `charterId`) and query string are used.
+ * @param {Object} req
+ * @returns {Object} Tags with null for anything not present
+ */
+export function usageContextFromRequest(req) {
+  const headers = req?.headers ?? {};
+  const query = req?.query ?? {};
+  const body = readBody(req);
+  return {
+    sessionId:
+      cleanTag(headers["x-session-id"]) ??
+      cleanTag(readCookie(req, "sessionId")) ??
+      cleanTag(body.sessionId) ??
+      cleanTag(body.threadId) ??
+      cleanTag(query.threadId),
+    docType: cleanTag(body.docType) ?? cleanTag(query.docType),
+    charterId: cleanTag(headers["x-charter-id"]) ?? cleanTag(body.charterId) ?? cleanTag(query.charterId),
+  };
+}
+
+/**
+ * Current usage context, or null outside a tracked request
+ */
+export function getUsageContext() {
+  return storage.getStore() ?? null;
+}
+
+/**
+ * Run `fn` with the given tags merged over the current context
+ */
+export function runWithUsageContext(context, fn) {
+  return storage.run({ ...getUsageContext(), ...context }, fn);
+}
+
+/**
+ * Fill in tags that are only known after the handler has parsed the request
+ * (e.g. the resolved doc type). Values already set are kept unless `override`.
+ */
+export function annotateUsageContext(fields = {}, { override = false } = {}) {
+  const store = storage.getStore();
+  if (!store) {
+    return;
+  }
+  for (const field of TAG_FIELDS) {
+    const value = cleanTag(fields[field]);
+    if (value && (override || !store[field])) {
+      store[field] = value;
+    }
+  }
+}
+
+/**
+ * Tags to store on a usage entry. The user id is read from `req.user` at
+ * record time because authentication runs after the context is created.
+ */
+export function resolveUsageTags(context = getUsageContext()) {
+  const tags = {};
+  for (const field of TAG_FIELDS) {
+    tags[field] = cleanTag(context?.[field]) ?? null;
+  }
+  tags.userId = tags.userId ?? cleanTag(context?.req?.user?.id) ?? null;
+  return tags;
+}
+
+/**
+ * Wrap a Node API handler so every LLM call it makes is tagged with the
+ * route and the request's session, doc type, and charter. The request is
+ * also traced (see withRequestTrace), so its LLM and MCP spans share one
+ * correlation ID.
+ * @param {Function} handler - `(req, res) => Promise`
+ * @param {Object} options
+ * @param {string} options.route - Route path, e.g. "/api/chat"
+ */
+export function withUsageContext(handler, { route }) {
+  function trackedHandler(req, res) {
+    return runWithUsageContext({ ...usageContextFromRequest(req), route, req, res }, () =>
+      handler(req, res)
+    );
+  }
+  return withRequestTrace(trackedHandler, { route });
+}
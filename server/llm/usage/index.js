@@ -0,0 +1,28 @@
+/**
+ * LLM usage accounting: request tagging, client metering, the usage ledger,
+ * and budgets.
+ * @module server/llm/usage
+ */
+
+export {
+  annotateUsageContext,
+  getUsageContext,
+  runWithUsageContext,
+  usageContextFromRequest,
+  withUsageContext,
+} from "./context.js";
+export { meterLLMClient } from "./meter.js";
+export {
+  MAX_REPORT_DAYS,
+  __setUsageStore,
+  estimateLLMCost,
+  flushUsageLedger,
+  isUsageLedgerEnabled,
+  readUsageEntries,
+  recordLLMUsage,
+  rollupUsage,
+  summarizeUsage,
+  totalUsage,
+  usageDay,
+} from "./ledger.js";
+export { assertWithinLLMBudget, evaluateLLMBudgets, listLLMBudgetStatus } from "./budgets.js";
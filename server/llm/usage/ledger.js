@@ -0,0 +1,249 @@
+/**
+ * LLM Usage Ledger
+ *
+ * Append-only record of every metered LLM call (tokens, model, latency,
+ * cost, and request tags), kept in the charter record store under the
+ * `usage` namespace with one record stream per UTC day. Also builds the
+ * daily and per-project rollups served by /api/usage.
+ *
+ * @module server/llm/usage/ledger
+ */
+
+import crypto from "crypto";
+
+import { getLLMPricing, resolveModelPrice } from "../../config/llmUsage.js";
+import { createCharterRecordStoreFromEnv } from "../../charter/store/index.js";
+
+/** How long a day read from the store is reused for budget checks */
+const DAY_CACHE_TTL_MS = 30_000;
+
+/** Longest range a single report may cover */
+export const MAX_REPORT_DAYS = 366;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let storePromise = null;
+const dayCache = new Map();
+const pendingWrites = new Set();
+
+function getUsageStore() {
+  if (!storePromise) {
+    storePromise = createCharterRecordStoreFromEnv({ namespace: "usage" }).catch((error) => {
+      storePromise = null;
+      throw error;
+    });
+  }
+  return storePromise;
+}
+
+/**
+ * Replaces the usage store. Intended for tests; pass null to fall back to
+ * the env-selected store on next use.
+ */
+export function __setUsageStore(store) {
+  storePromise = store ? Promise.resolve(store) : null;
+  dayCache.clear();
+}
+
+/**
+ * Whether calls are written to the ledger (LLM_USAGE_LEDGER, default "on")
+ */
+export function isUsageLedgerEnabled(env = process.env) {
+  return (env.LLM_USAGE_LEDGER || "on").trim().toLowerCase() !== "off";
+}
+
+/**
+ * UTC day ("YYYY-MM-DD") for a timestamp
+ */
+export function usageDay(value = Date.now()) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Cost in USD for the given token counts, or null for unpriced models
+ */
+export function estimateLLMCost({ model, promptTokens = 0, completionTokens = 0 }, pricing = getLLMPricing()) {
+  const price = resolveModelPrice(model, pricing);
+  if (!price) {
+    return null;
+  }
+  return roundCost((promptTokens * price.input + completionTokens * price.output) / 1_000_000);
+}
+
+/**
+ * Append a usage entry. The write runs in the background; call
+ * flushUsageLedger() to wait for it.
+ * @param {Object} usage - Call details from the meter
+ * @returns {Object|null} The stored entry, or null when the ledger is off
+ */
+export function recordLLMUsage(usage, { env = process.env, now = Date.now() } = {}) {
+  if (!isUsageLedgerEnabled(env)) {
+    return null;
+  }
+
+  const promptTokens = usage.promptTokens ?? 0;
+  const completionTokens = usage.completionTokens ?? 0;
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date(now).toISOString(),
+    task: usage.task ?? null,
+    operation: usage.operation ?? null,
+    provider: usage.provider ?? null,
+    model: usage.model ?? null,
+    stream: Boolean(usage.stream),
+    status: usage.status ?? "ok",
+    errorCode: usage.errorCode ?? null,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.totalTokens ?? promptTokens + completionTokens,
+    estimated: Boolean(usage.estimated),
+    latencyMs: usage.latencyMs ?? null,
+    costUsd: estimateLLMCost({ model: usage.model, promptTokens, completionTokens }),
+    route: usage.route ?? null,
+    sessionId: usage.sessionId ?? null,
+    docType: usage.docType ?? null,
+    charterId: usage.charterId ?? null,
+    userId: usage.userId ?? null,
+    correlationId: usage.correlationId ?? null,
+    traceId: usage.traceId ?? null,
+  };
+
+  const day = entry.timestamp.slice(0, 10);
+  dayCache.get(day)?.entries.push(entry);
+
+  const write = getUsageStore()
+    .then((store) => store.append(day, entry))
+    .catch((error) => {
+      console.error("[LLMUsage] Failed to record usage entry:", error?.message || error);
+    })
+    .finally(() => pendingWrites.delete(write));
+  pendingWrites.add(write);
+  return entry;
+}
+
+/**
+ * Wait for background ledger writes to finish
+ */
+export async function flushUsageLedger() {
+  await Promise.allSettled([...pendingWrites]);
+}
+
+async function readDay(store, day, now) {
+  const cached = dayCache.get(day);
+  if (cached && now - cached.loadedAt < DAY_CACHE_TTL_MS) {
+    return cached.entries;
+  }
+  const { records } = await store.read(day);
+  dayCache.set(day, { entries: [...records], loadedAt: now });
+  return records;
+}
+
+/**
+ * Entries recorded between two UTC days, inclusive
+ * @param {Object} range
+ * @param {string} range.from - "YYYY-MM-DD"
+ * @param {string} range.to - "YYYY-MM-DD"
+ * @returns {Promise<Object[]>}
+ */
+export async function readUsageEntries({ from, to }, { now = Date.now() } = {}) {
+  await flushUsageLedger();
+  const store = await getUsageStore();
+  const days = (await store.list()).filter((day) => DAY_PATTERN.test(day) && day >= from && day <= to);
+  const entries = [];
+  for (const day of days.sort()) {
+    entries.push(...(await readDay(store, day, now)));
+  }
+  return entries;
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    errors: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+    estimatedCalls: 0,
+    latencyMs: 0,
+  };
+}
+
+function addEntry(totals, entry) {
+  totals.calls += 1;
+  totals.errors += entry.status === "error" ? 1 : 0;
+  totals.promptTokens += entry.promptTokens ?? 0;
+  totals.completionTokens += entry.completionTokens ?? 0;
+  totals.totalTokens += entry.totalTokens ?? 0;
+  if (entry.costUsd === null || entry.costUsd === undefined) {
+    totals.unpricedCalls += 1;
+  } else {
+    totals.costUsd += entry.costUsd;
+  }
+  totals.estimatedCalls += entry.estimated ? 1 : 0;
+  totals.latencyMs += entry.latencyMs ?? 0;
+}
+
+function finishTotals(totals) {
+  const { latencyMs, ...rest } = totals;
+  return {
+    ...rest,
+    costUsd: roundCost(totals.costUsd),
+    avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0,
+  };
+}
+
+/**
+ * Totals for a set of entries
+ */
+export function totalUsage(entries) {
+  const totals = emptyTotals();
+  entries.forEach((entry) => addEntry(totals, entry));
+  return finishTotals(totals);
+}
+
+/**
+ * Roll entries up by a key. Entries without a key are grouped under null.
+ * @param {Object[]} entries
+ * @param {(entry: Object) => string|null} keyOf
+ * @returns {Array<{key: string|null} & Object>} Groups ordered by key
+ */
+export function rollupUsage(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry) ?? null;
+    if (!groups.has(key)) {
+      groups.set(key, emptyTotals());
+    }
+    addEntry(groups.get(key), entry);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null ? 1 : b === null ? -1 : String(a).localeCompare(String(b))))
+    .map(([key, totals]) => ({ key, ...finishTotals(totals) }));
+}
+
+/**
+ * Daily and per-project report for a set of entries
+ */
+export function summarizeUsage(entries) {
+  return {
+    totals: totalUsage(entries),
+    daily: rollupUsage(entries, (entry) => entry.timestamp?.slice(0, 10)).map(({ key, ...totals }) => ({
+      date: key,
+      ...totals,
+    })),
+    projects: rollupUsage(entries, (entry) => entry.charterId).map(({ key, ...totals }) => ({
+      charterId: key,
+      ...totals,
+      docTypes: rollupUsage(
+        entries.filter((entry) => (entry.charterId ?? null) === key),
+        (entry) => entry.docType
+      ).map(({ key: docType, totalTokens, costUsd, calls }) => ({ docType, calls, totalTokens, costUsd })),
+    })),
+  };
+}
@@ -0,0 +1,259 @@
+/**
+ * LLM Client Metering
+ *
+ * Wraps an SDK-shaped client so `chat.completions.create`,
+ * `responses.create`, and `audio.transcriptions.create` check budgets first
+ * and record tokens, model, and latency to the usage ledger afterwards,
+ * including streamed calls. Providers that omit token counts are estimated
+ * with lib/tokenize.js and flagged `estimated`. Each call is also a CLIENT
+ * span with OpenTelemetry GenAI attributes, and its ledger entry records the
+ * request's correlation and trace IDs.
+ *
+ * @module server/llm/usage/meter
+ */
+
+import { countTokens } from "../../../lib/tokenize.js";
+import { startSpan } from "../../utils/tracing.js";
+import { assertWithinLLMBudget } from "./budgets.js";
+import { getUsageContext, resolveUsageTags } from "./context.js";
+import { recordLLMUsage } from "./ledger.js";
+
+const METERED = Symbol.for("exactva.llm.metered");
+
+// Providers that accept `stream_options.include_usage` on streamed chat
+// completions; other servers may reject the field.
+const STREAM_USAGE_PROVIDERS = new Set(["openai", "azure"]);
+
+// `gen_ai.operation.name` values from the OpenTelemetry GenAI conventions
+const GEN_AI_OPERATIONS = {
+  "chat.completions": "chat",
+  responses: "chat",
+  "audio.transcriptions": "transcription",
+};
+
+function readUsage(usage) {
+  if (!usage || typeof usage !== "object") {
+    return null;
+  }
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens;
+  if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+    return null;
+  }
+  return {
+    promptTokens: promptTokens ?? 0,
+    completionTokens: completionTokens ?? 0,
+    totalTokens: usage.total_tokens ?? (promptTokens ?? 0) + (completionTokens ?? 0),
+  };
+}
+
+function responseText(operation, response) {
+  if (operation === "chat.completions") {
+    return (response?.choices ?? []).map((choice) => choice?.message?.content ?? "").join("");
+  }
+  if (operation === "responses") {
+    return response?.output_text ?? "";
+  }
+  return typeof response === "string" ? response : (response?.text ?? "");
+}
+
+function estimateUsage(operation, request, text) {
+  const promptTokens = operation === "audio.transcriptions" ? 0 : countTokens(request?.messages ?? request?.input ?? "");
+  const completionTokens = countTokens(text ?? "");
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+function describeError(error) {
+  return typeof error?.code === "string" && error.code ? error.code : "llm_error";
+}
+
+// Reads go to the wrapped object itself so SDK classes with private fields
+// keep working when their methods are called through the proxy.
+function passThrough(target, prop) {
+  const value = Reflect.get(target, prop);
+  return typeof value === "function" ? value.bind(target) : value;
+}
+
+function meterStream(stream, { operation, request, hideUsageChunk, finish }) {
+  async function* iterate() {
+    let usage = null;
+    let text = "";
+    let failure = null;
+    try {
+      for await (const chunk of stream) {
+        if (operation === "chat.completions") {
+          usage = readUsage(chunk?.usage) ?? usage;
+          text += chunk?.choices?.[0]?.delta?.content ?? "";
+          if (hideUsageChunk && chunk?.usage && !chunk.choices?.length) {
+            continue;
+          }
+        } else if (chunk?.type === "response.output_text.delta") {
+          text += chunk.delta ?? "";
+        } else if (chunk?.type === "response.completed") {
+          usage = readUsage(chunk.response?.usage) ?? usage;
+        }
+        yield chunk;
+      }
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      finish({
+        ...(usage ?? estimateUsage(operation, request, text)),
+        ...(failure ? { status: "error", errorCode: describeError(failure) } : {}),
+      });
+    }
+  }
+
+  return new Proxy(stream, {
+    get(target, prop) {
+      if (prop === Symbol.asyncIterator) {
+        return () => iterate();
+      }
+      return passThrough(target, prop);
+    },
+  });
+}
+
+async function meteredCall(create, target, args, { operation, task, provider, model }) {
+  const [request, ...rest] = args;
+  const context = getUsageContext();
+  const tags = resolveUsageTags(context);
+  const requestModel = request?.model ?? model;
+  const span = startSpan(`${GEN_AI_OPERATIONS[operation]} ${requestModel ?? provider}`, {
+    kind: "CLIENT",
+    attributes: {
+      "gen_ai.system": provider,
+      "gen_ai.operation.name": GEN_AI_OPERATIONS[operation],
+      "gen_ai.request.model": requestModel,
+      "llm.operation": operation,
+      "llm.task": task,
+      "llm.stream": Boolean(request?.stream),
+    },
+  });
+
+  try {
+    await assertWithinLLMBudget(tags, { res: context?.res, task });
+  } catch (error) {
+    span.recordException(error);
+    span.end();
+    throw error;
+  }
+
+  const hideUsageChunk =
+    operation === "chat.completions" &&
+    Boolean(request?.stream) &&
+    !request?.stream_options &&
+    STREAM_USAGE_PROVIDERS.has(provider);
+  const body = hideUsageChunk ? { ...request, stream_options: { include_usage: true } } : request;
+
+  const startedAt = Date.now();
+  const finish = (details) => {
+    const entry = recordLLMUsage({
+      ...tags,
+      task,
+      operation,
+      provider,
+      model: details.model ?? requestModel,
+      stream: Boolean(request?.stream),
+      latencyMs: Date.now() - startedAt,
+      correlationId: span.correlationId,
+      traceId: span.traceId,
+      ...details,
+    });
+    span.setAttributes({
+      "gen_ai.response.model": details.model,
+      "gen_ai.usage.input_tokens": details.promptTokens,
+      "gen_ai.usage.output_tokens": details.completionTokens,
+      "llm.usage.estimated": Boolean(details.estimated),
+      "llm.cost_usd": entry?.costUsd,
+      "llm.usage_entry_id": entry?.id,
+    });
+    if (details.status === "error" && span.status.code !== "ERROR") {
+      span.setStatus("ERROR", details.errorCode);
+    }
+    span.end();
+  };
+
+  let response;
+  try {
+    response = await create.call(target, body, ...rest);
+  } catch (error) {
+    span.recordException(error);
+    finish({ status: "error", errorCode: describeError(error), promptTokens: 0, completionTokens: 0 });
+    throw error;
+  }
+
+  if (request?.stream && typeof response?.[Symbol.asyncIterator] === "function") {
+    return meterStream(response, { operation, request, hideUsageChunk, finish });
+  }
+
+  finish({
+    model: response?.model,
+    ...(readUsage(response?.usage) ?? estimateUsage(operation, request, responseText(operation, response))),
+  });
+  return response;
+}
+
+function meterResource(resource, meta) {
+  return new Proxy(resource, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (prop === "create" && typeof value === "function") {
+        return (...args) => meteredCall(value, target, args, meta);
+      }
+      return passThrough(target, prop);
+    },
+  });
+}
+
+function meterNested(resource, child, meta) {
+  return new Proxy(resource, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      return prop === child && value ? meterResource(value, meta) : passThrough(target, prop);
+    },
+  });
+}
+
+/**
+ * Wrap a client so its calls are budgeted and recorded. Tags come from the
+ * usage context of the request being served (see withUsageContext).
+ * @param {Object} client - OpenAI SDK client or compatible object
+ * @param {Object} meta
+ * @param {string} meta.task - LLM task ("chat", "extraction", ...)
+ * @param {string} meta.provider
+ * @param {string} [meta.model] - Model used when the request names none
+ * @returns {Object} The metered client
+ */
+export function meterLLMClient(client, { task, provider, model } = {}) {
+  if (!client || client[METERED]) {
+    return client;
+  }
+  return new Proxy(client, {
+    get(target, prop) {
+      if (prop === METERED) {
+        return true;
+      }
+      const value = Reflect.get(target, prop);
+      if (!value) {
+        return value;
+      }
+      if (prop === "chat") {
+        return meterNested(value, "completions", { operation: "chat.completions", task, provider, model });
+      }
+      if (prop === "responses") {
+        return meterResource(value, { operation: "responses", task, provider, model });
+      }
+      if (prop === "audio") {
+        return meterNested(value, "transcriptions", {
+          operation: "audio.transcriptions",
+          task,
+          provider,
+          model,
+        });
+      }
+      return passThrough(target, prop);
+    },
+  });
+}
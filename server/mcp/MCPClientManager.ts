@@ -6,8 +6,33 @@
  */
 
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import type { Tool, Resource } from "@modelcontextprotocol/sdk/types.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import type { Transport } from "@modelcontextprotocol/sdk/shared/transport.js";
+import { McpError, type Tool, type Resource } from "@modelcontextprotocol/sdk/types.js";
+
+import { getCorrelationId, traceHeaders, withSpan } from "../utils/tracing.js";
+
+/**
+ * How the client talks to a server: a spawned subprocess over stdio, or a
+ * remote service over Streamable HTTP or (legacy) SSE.
+ */
+export type MCPTransportType = "stdio" | "streamable-http" | "sse";
+
+/**
+ * Backoff settings for re-establishing a dropped remote connection
+ */
+export interface MCPReconnectOptions {
+  /** Attempts before the server is marked failed (default 5) */
+  maxRetries?: number;
+  /** Delay before the first attempt in ms; doubles on each attempt (default 1000) */
+  initialDelayMs?: number;
+  /** Upper bound for the delay in ms (default 30000) */
+  maxDelayMs?: number;
+  /** Interval in ms for retrying a failed server; 0 stops retrying (default 300000) */
+  failedRetryDelayMs?: number;
+}
 
 /**
  * Configuration for an MCP server
@@ -15,10 +40,18 @@ import type { Tool, Resource } from "@modelcontextprotocol/sdk/types.js";
 export interface MCPServerConfig {
   /** Unique name for this server */
   name: string;
-  /** Command to run (e.g., "node") */
-  command: string;
-  /** Arguments to pass to the command */
-  args: string[];
+  /** Transport to use (defaults to "stdio") */
+  transport?: MCPTransportType;
+  /** Command to run (e.g., "node"); stdio only */
+  command?: string;
+  /** Arguments to pass to the command; stdio only */
+  args?: string[];
+  /** Server endpoint for remote transports; may contain ${ENV} placeholders */
+  url?: string;
+  /** Headers sent with every remote request; values may contain ${ENV} placeholders */
+  headers?: Record<string, string>;
+  /** Reconnect/backoff settings for remote transports */
+  reconnect?: MCPReconnectOptions;
   /** Environment variables to set */
   env?: Record<string, string>;
   /** Whether this server is enabled */
@@ -56,14 +89,109 @@ export interface ToolCallResult {
   isError?: boolean;
 }
 
+/**
+ * Connection state of a configured server
+ */
+export type MCPConnectionState =
+  | "idle"
+  | "connecting"
+  | "connected"
+  | "reconnecting"
+  | "disconnected"
+  | "failed";
+
+/**
+ * Health snapshot for a configured server
+ */
+export interface MCPServerHealth {
+  transport: MCPTransportType;
+  state: MCPConnectionState;
+  connected: boolean;
+  toolCount: number;
+  /** Consecutive reconnect attempts since the last successful connection */
+  retryCount: number;
+  lastConnectedAt: string | null;
+  lastCheckedAt: string | null;
+  /** Round-trip time of the last health check ping */
+  latencyMs: number | null;
+  lastError: string | null;
+  nextRetryAt: string | null;
+}
+
+const DEFAULT_RECONNECT: Required<MCPReconnectOptions> = {
+  maxRetries: 5,
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  failedRetryDelayMs: 5 * 60_000,
+};
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const ENV_PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Replaces every ${VAR} in `value` with its environment value. Reports the
+ * variables that were unset so callers can skip incomplete values.
+ */
+export function resolveEnvPlaceholders(
+  value: string,
+  env: Record<string, string | undefined> = process.env
+): { value: string; missing: string[] } {
+  const missing: string[] = [];
+  const resolved = value.replace(ENV_PLACEHOLDER_PATTERN, (_match, name: string) => {
+    const envValue = env[name];
+    if (envValue === undefined || envValue === "") {
+      missing.push(name);
+      return "";
+    }
+    return envValue;
+  });
+  return { value: resolved, missing };
+}
+
+/**
+ * Resolves header placeholders from the environment. Headers that reference
+ * an unset variable are dropped rather than sent half-filled (e.g. "Bearer ").
+ */
+export function resolveRemoteHeaders(
+  headers: Record<string, string> = {},
+  env: Record<string, string | undefined> = process.env
+): Record<string, string> {
+  const resolved: Record<string, string> = {};
+  for (const [key, rawValue] of Object.entries(headers)) {
+    if (typeof rawValue !== "string") {
+      continue;
+    }
+    const { value, missing } = resolveEnvPlaceholders(rawValue, env);
+    if (missing.length === 0) {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+function getTransportType(config: MCPServerConfig): MCPTransportType {
+  return config.transport ?? "stdio";
+}
+
+function isRemoteTransport(config: MCPServerConfig): boolean {
+  return getTransportType(config) !== "stdio";
+}
+
+function describeError(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
 /**
  * Manages connections to MCP servers
  */
 export class MCPClientManager {
   private clients: Map<string, Client> = new Map();
-  private transports: Map<string, StdioClientTransport> = new Map();
+  private transports: Map<string, Transport> = new Map();
   private configs: Map<string, MCPServerConfig> = new Map();
   private toolCache: Map<string, MCPTool[]> = new Map();
+  private health: Map<string, MCPServerHealth> = new Map();
+  private reconnectTimers: Map<string, ReturnType<typeof setTimeout>> = new Map();
   private initialized = false;
 
   constructor(configs: MCPServerConfig[] = []) {
@@ -103,78 +231,277 @@ export class MCPClientManager {
   }
 
   /**
-   * Initialize a single server
-   * CRIT-04: Only pass explicitly required environment variables to subprocesses
+   * Initialize a single server. Remote servers that fail to connect are
+   * retried in the background with backoff.
    */
   private async initializeServer(name: string, config: MCPServerConfig): Promise<void> {
+    this.updateHealth(name, { state: "connecting" });
     try {
-      // CRIT-04: Only include essential runtime env vars and explicitly configured ones
-      // Do NOT spread process.env to prevent credential leakage
-      const safeBaseEnv: Record<string, string> = {
-        // Essential runtime variables only
-        PATH: process.env.PATH || "",
-        NODE_ENV: process.env.NODE_ENV || "production",
-        HOME: process.env.HOME || "",
-        LANG: process.env.LANG || "en_US.UTF-8",
-      };
+      await this.connectServer(name, config);
+      console.log(`MCP server '${name}' connected successfully`);
+    } catch (error) {
+      console.error(`Failed to initialize MCP server '${name}':`, error);
+      this.updateHealth(name, { state: "disconnected", lastError: describeError(error) });
+      if (isRemoteTransport(config)) {
+        this.scheduleReconnect(name);
+      }
+      throw error;
+    }
+  }
 
-      // Resolve environment variable placeholders from config.env only
-      const resolvedEnv: Record<string, string> = { ...safeBaseEnv };
-
-      if (config.env) {
-        for (const [key, value] of Object.entries(config.env)) {
-          if (typeof value === "string" && value.startsWith("${") && value.endsWith("}")) {
-            // Resolve placeholder from parent process env
-            const envVar = value.slice(2, -1);
-            const resolvedValue = process.env[envVar];
-            if (resolvedValue !== undefined) {
-              resolvedEnv[key] = resolvedValue;
-            }
-          } else if (value !== undefined) {
-            resolvedEnv[key] = value;
+  /**
+   * Build the environment for a stdio subprocess
+   * CRIT-04: Only pass explicitly required environment variables to subprocesses
+   */
+  private buildStdioEnv(config: MCPServerConfig): Record<string, string> {
+    // CRIT-04: Only include essential runtime env vars and explicitly configured ones
+    // Do NOT spread process.env to prevent credential leakage
+    const safeBaseEnv: Record<string, string> = {
+      // Essential runtime variables only
+      PATH: process.env.PATH || "",
+      NODE_ENV: process.env.NODE_ENV || "production",
+      HOME: process.env.HOME || "",
+      LANG: process.env.LANG || "en_US.UTF-8",
+    };
+
+    // Resolve environment variable placeholders from config.env only
+    const resolvedEnv: Record<string, string> = { ...safeBaseEnv };
+
+    if (config.env) {
+      for (const [key, value] of Object.entries(config.env)) {
+        if (typeof value === "string" && value.startsWith("${") && value.endsWith("}")) {
+          // Resolve placeholder from parent process env
+          const envVar = value.slice(2, -1);
+          const resolvedValue = process.env[envVar];
+          if (resolvedValue !== undefined) {
+            resolvedEnv[key] = resolvedValue;
           }
+        } else if (value !== undefined) {
+          resolvedEnv[key] = value;
         }
       }
+    }
 
-      // Also include any required env vars specified in config
-      if (config.requiredEnv) {
-        for (const envVar of config.requiredEnv) {
-          const value = process.env[envVar];
-          if (value !== undefined) {
-            resolvedEnv[envVar] = value;
-          }
+    // Also include any required env vars specified in config
+    if (config.requiredEnv) {
+      for (const envVar of config.requiredEnv) {
+        const value = process.env[envVar];
+        if (value !== undefined) {
+          resolvedEnv[envVar] = value;
         }
       }
+    }
+
+    return resolvedEnv;
+  }
+
+  /**
+   * Create the transport described by a server config
+   */
+  private createTransport(config: MCPServerConfig): Transport {
+    const transportType = getTransportType(config);
 
-      const transport = new StdioClientTransport({
+    if (transportType === "stdio") {
+      if (!config.command) {
+        throw new Error(`MCP server '${config.name}' requires a command for stdio transport`);
+      }
+      return new StdioClientTransport({
         command: config.command,
-        args: config.args,
-        env: resolvedEnv,
+        args: config.args ?? [],
+        env: this.buildStdioEnv(config),
       });
+    }
 
-      const client = new Client(
-        {
-          name: "exact-va-client",
-          version: "1.0.0",
-        },
-        {
-          capabilities: {},
-        }
+    const { value: url, missing } = resolveEnvPlaceholders(config.url ?? "");
+    if (!url || missing.length > 0) {
+      throw new Error(
+        `MCP server '${config.name}' has no URL for ${transportType} transport` +
+          (missing.length > 0 ? ` (unset: ${missing.join(", ")})` : "")
       );
+    }
 
-      await client.connect(transport);
+    const requestInit = { headers: resolveRemoteHeaders(config.headers) };
+    if (transportType === "streamable-http") {
+      return new StreamableHTTPClientTransport(new URL(url), { requestInit });
+    }
+    if (transportType === "sse") {
+      return new SSEClientTransport(new URL(url), { requestInit });
+    }
 
-      this.clients.set(name, client);
-      this.transports.set(name, transport);
+    throw new Error(`Unsupported MCP transport '${transportType}' for server '${config.name}'`);
+  }
 
-      // Pre-fetch tools
-      await this.refreshTools(name);
+  /**
+   * Open a client connection and cache the server's tools
+   */
+  private async connectServer(name: string, config: MCPServerConfig): Promise<void> {
+    const transport = this.createTransport(config);
+
+    const client = new Client(
+      {
+        name: "exact-va-client",
+        version: "1.0.0",
+      },
+      {
+        capabilities: {},
+      }
+    );
 
-      console.log(`MCP server '${name}' connected successfully`);
+    try {
+      await client.connect(transport);
     } catch (error) {
-      console.error(`Failed to initialize MCP server '${name}':`, error);
+      await transport.close().catch(() => {});
       throw error;
     }
+
+    if (isRemoteTransport(config)) {
+      client.onclose = () => {
+        // Ignore closes of clients we already replaced or disconnected
+        if (this.clients.get(name) === client) {
+          this.handleConnectionLost(name, new Error("Connection closed"));
+        }
+      };
+    }
+
+    this.clients.set(name, client);
+    this.transports.set(name, transport);
+
+    // Health must agree with isConnected() as soon as the client is usable
+    this.updateHealth(name, {
+      state: "connected",
+      retryCount: 0,
+      lastConnectedAt: new Date().toISOString(),
+      lastError: null,
+      nextRetryAt: null,
+    });
+
+    // Pre-fetch tools
+    await this.refreshTools(name);
+  }
+
+  /**
+   * Drop a remote connection that stopped responding and start reconnecting
+   */
+  private handleConnectionLost(name: string, error: unknown): void {
+    const client = this.clients.get(name);
+    this.clients.delete(name);
+    this.transports.delete(name);
+    this.toolCache.delete(name);
+
+    console.warn(`MCP server '${name}' connection lost:`, describeError(error));
+    this.updateHealth(name, { state: "disconnected", lastError: describeError(error) });
+
+    // Stop the old transport (e.g. an EventSource retrying on its own)
+    client?.close().catch(() => {});
+
+    this.scheduleReconnect(name);
+  }
+
+  /**
+   * Retry a remote connection after an exponentially growing delay. Once
+   * `maxRetries` attempts have failed the server is marked failed and only
+   * retried every `failedRetryDelayMs`, so it recovers when the service
+   * comes back.
+   */
+  private scheduleReconnect(name: string): void {
+    const config = this.configs.get(name);
+    if (!config || this.reconnectTimers.has(name)) {
+      return;
+    }
+
+    const options = { ...DEFAULT_RECONNECT, ...config.reconnect };
+    const { retryCount, state } = this.getHealthRecord(name);
+    let delay: number;
+    if (retryCount >= options.maxRetries) {
+      if (state !== "failed") {
+        console.error(`MCP server '${name}' failed after ${retryCount} reconnect attempts`);
+      }
+      if (!(options.failedRetryDelayMs > 0)) {
+        this.updateHealth(name, { state: "failed", nextRetryAt: null });
+        return;
+      }
+      delay = options.failedRetryDelayMs;
+      this.updateHealth(name, {
+        state: "failed",
+        nextRetryAt: new Date(Date.now() + delay).toISOString(),
+      });
+    } else {
+      delay = Math.min(options.initialDelayMs * 2 ** retryCount, options.maxDelayMs);
+      this.updateHealth(name, {
+        state: "reconnecting",
+        retryCount: retryCount + 1,
+        nextRetryAt: new Date(Date.now() + delay).toISOString(),
+      });
+    }
+
+    const timer = setTimeout(async () => {
+      this.reconnectTimers.delete(name);
+      try {
+        await this.connectServer(name, config);
+        console.log(`MCP server '${name}' reconnected`);
+      } catch (error) {
+        this.updateHealth(name, { lastError: describeError(error) });
+        this.scheduleReconnect(name);
+      }
+    }, delay);
+    // Pending retries must not keep the process alive
+    timer.unref?.();
+    this.reconnectTimers.set(name, timer);
+  }
+
+  private getHealthRecord(name: string): MCPServerHealth {
+    let record = this.health.get(name);
+    if (!record) {
+      const config = this.configs.get(name);
+      record = {
+        transport: config ? getTransportType(config) : "stdio",
+        state: "idle",
+        connected: false,
+        toolCount: 0,
+        retryCount: 0,
+        lastConnectedAt: null,
+        lastCheckedAt: null,
+        latencyMs: null,
+        lastError: null,
+        nextRetryAt: null,
+      };
+      this.health.set(name, record);
+    }
+    return record;
+  }
+
+  private updateHealth(name: string, update: Partial<MCPServerHealth>): void {
+    this.health.set(name, { ...this.getHealthRecord(name), ...update });
+  }
+
+  /**
+   * Rethrow a failed request, first treating transport-level failures on
+   * remote servers as a lost connection. JSON-RPC errors returned by the
+   * server leave the connection alone.
+   */
+  private handleRequestError(serverName: string, error: unknown): never {
+    const config = this.configs.get(serverName);
+    if (
+      config &&
+      isRemoteTransport(config) &&
+      !(error instanceof McpError) &&
+      this.clients.has(serverName)
+    ) {
+      this.handleConnectionLost(serverName, error);
+    }
+    throw error;
+  }
+
+  private requireClient(serverName: string): Client {
+    const client = this.clients.get(serverName);
+    if (!client) {
+      const state = this.health.get(serverName)?.state;
+      throw new Error(
+        `MCP server '${serverName}' not connected` +
+          (state === "reconnecting" ? " (reconnecting)" : "")
+      );
+    }
+    return client;
   }
 
   /**
@@ -227,17 +554,35 @@ export class MCPClientManager {
     toolName: string,
     args: Record<string, unknown>
   ): Promise<ToolCallResult> {
-    const client = this.clients.get(serverName);
-    if (!client) {
-      throw new Error(`MCP server '${serverName}' not connected`);
-    }
-
-    const result = await client.callTool({
-      name: toolName,
-      arguments: args,
+    const config = this.configs.get(serverName);
+    const attributes = {
+      "rpc.system": "mcp",
+      "mcp.method.name": "tools/call",
+      "mcp.server.name": serverName,
+      "mcp.tool.name": toolName,
+      "mcp.transport": config ? getTransportType(config) : undefined,
+    };
+
+    return withSpan(`tools/call ${toolName}`, { kind: "CLIENT", attributes }, async (span) => {
+      const client = this.requireClient(serverName);
+
+      // The trace travels in `_meta` so servers can join it to their own logs.
+      const { traceparent } = traceHeaders();
+      const correlationId = getCorrelationId();
+      try {
+        const result = (await client.callTool({
+          name: toolName,
+          arguments: args,
+          ...(traceparent ? { _meta: { traceparent, ...(correlationId ? { correlationId } : {}) } } : {}),
+        })) as ToolCallResult;
+        if (result.isError) {
+          span.setStatus("ERROR", "tool returned an error result");
+        }
+        return result;
+      } catch (error) {
+        return this.handleRequestError(serverName, error);
+      }
     });
-
-    return result as ToolCallResult;
   }
 
   /**
@@ -264,28 +609,31 @@ export class MCPClientManager {
    * List resources from a specific server
    */
   async listResources(serverName: string): Promise<MCPResource[]> {
-    const client = this.clients.get(serverName);
-    if (!client) {
-      throw new Error(`MCP server '${serverName}' not connected`);
-    }
+    const client = this.requireClient(serverName);
 
-    const { resources } = await client.listResources();
-    return resources.map((resource) => ({
-      ...resource,
-      serverName,
-    }));
+    try {
+      const { resources } = await client.listResources();
+      return resources.map((resource) => ({
+        ...resource,
+        serverName,
+      }));
+    } catch (error) {
+      return this.handleRequestError(serverName, error);
+    }
   }
 
   /**
    * Read a resource from a server
    */
   async readResource(serverName: string, uri: string): Promise<string> {
-    const client = this.clients.get(serverName);
-    if (!client) {
-      throw new Error(`MCP server '${serverName}' not connected`);
-    }
+    const client = this.requireClient(serverName);
 
-    const result = await client.readResource({ uri });
+    let result;
+    try {
+      result = await client.readResource({ uri });
+    } catch (error) {
+      return this.handleRequestError(serverName, error);
+    }
     const content = result.contents[0];
 
     if (content && "text" in content) {
@@ -316,17 +664,28 @@ export class MCPClientManager {
     const client = this.clients.get(serverName);
     const transport = this.transports.get(serverName);
 
+    const timer = this.reconnectTimers.get(serverName);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(serverName);
+    }
+
+    // Remove first so the close handler does not treat this as a dropped connection
+    this.clients.delete(serverName);
+    this.transports.delete(serverName);
+    this.toolCache.delete(serverName);
+
     if (client) {
       await client.close();
-      this.clients.delete(serverName);
     }
 
     if (transport) {
       await transport.close();
-      this.transports.delete(serverName);
     }
 
-    this.toolCache.delete(serverName);
+    if (this.health.has(serverName)) {
+      this.updateHealth(serverName, { state: "disconnected", nextRetryAt: null });
+    }
   }
 
   /**
@@ -335,7 +694,8 @@ export class MCPClientManager {
   async disconnectAll(): Promise<void> {
     const disconnectPromises: Promise<void>[] = [];
 
-    for (const serverName of this.clients.keys()) {
+    const serverNames = new Set([...this.clients.keys(), ...this.reconnectTimers.keys()]);
+    for (const serverName of serverNames) {
       disconnectPromises.push(this.disconnect(serverName));
     }
 
@@ -343,17 +703,53 @@ export class MCPClientManager {
     this.initialized = false;
   }
 
+  /**
+   * Ping every connected remote server and record its latency. Servers that
+   * do not answer are treated as disconnected and start reconnecting.
+   */
+  async checkHealth(timeoutMs: number = HEALTH_CHECK_TIMEOUT_MS): Promise<Record<string, MCPServerHealth>> {
+    const checks: Promise<void>[] = [];
+
+    for (const [name, config] of this.configs) {
+      const client = this.clients.get(name);
+      if (!client || !isRemoteTransport(config)) {
+        continue;
+      }
+      checks.push(
+        (async () => {
+          const startedAt = Date.now();
+          try {
+            await client.ping({ timeout: timeoutMs });
+            this.updateHealth(name, {
+              latencyMs: Date.now() - startedAt,
+              lastCheckedAt: new Date().toISOString(),
+            });
+          } catch (error) {
+            this.updateHealth(name, { latencyMs: null, lastCheckedAt: new Date().toISOString() });
+            if (this.clients.get(name) === client) {
+              this.handleConnectionLost(name, error);
+            }
+          }
+        })()
+      );
+    }
+
+    await Promise.allSettled(checks);
+    return this.getStatus();
+  }
+
   /**
    * Get server status
    */
-  getStatus(): Record<string, { connected: boolean; toolCount: number }> {
-    const status: Record<string, { connected: boolean; toolCount: number }> = {};
+  getStatus(): Record<string, MCPServerHealth> {
+    const status: Record<string, MCPServerHealth> = {};
 
     for (const [name] of this.configs) {
       const connected = this.clients.has(name);
       const tools = this.toolCache.get(name) || [];
 
       status[name] = {
+        ...this.getHealthRecord(name),
         connected,
         toolCount: tools.length,
       };
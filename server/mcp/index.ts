@@ -5,9 +5,13 @@
  * Exact Virtual Assistant.
  */
 
-export { MCPClientManager } from "./MCPClientManager.js";
+export { MCPClientManager, resolveEnvPlaceholders, resolveRemoteHeaders } from "./MCPClientManager.js";
 export type {
   MCPServerConfig,
+  MCPServerHealth,
+  MCPConnectionState,
+  MCPReconnectOptions,
+  MCPTransportType,
   MCPTool,
   MCPResource,
   ToolCallResult,
@@ -29,7 +33,7 @@ export type {
   ToolCallProcessResult,
 } from "./openaiToolBridge.js";
 
-export { getOrCreateMCPManager, getMCPConfig } from "./singleton.js";
+export { getOrCreateMCPManager, getMCPConfig, loadRemoteServerConfigs } from "./singleton.js";
 
 export {
   getMCPChatConfig,
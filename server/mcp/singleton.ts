@@ -6,9 +6,12 @@
  */
 
 import { MCPClientManager, type MCPServerConfig } from "./MCPClientManager.js";
-import { existsSync } from "fs";
+import { existsSync, readFileSync } from "fs";
 import { resolve } from "path";
 
+const DEFAULT_SERVERS_CONFIG_PATH = "config/mcp-servers.json";
+const REMOTE_TRANSPORTS = new Set(["streamable-http", "sse"]);
+
 let mcpManager: MCPClientManager | null = null;
 let initPromise: Promise<MCPClientManager> | null = null;
 
@@ -35,6 +38,58 @@ function getMCPServerPath(serverName: string): string[] {
   }
 }
 
+function envFlagName(serverName: string): string {
+  return `MCP_${serverName.replace(/[^A-Za-z0-9]+/g, "_").toUpperCase()}_ENABLED`;
+}
+
+/**
+ * Load remote (Streamable HTTP / SSE) servers from config/mcp-servers.json
+ *
+ * Stdio servers are configured in code below; the JSON file is only read for
+ * shared servers run as HTTP services. A server is enabled when the file
+ * enables it (or MCP_<NAME>_ENABLED=true) and all of its requiredEnv are set.
+ */
+export function loadRemoteServerConfigs(
+  configPath: string = process.env.MCP_SERVERS_CONFIG || DEFAULT_SERVERS_CONFIG_PATH
+): MCPServerConfig[] {
+  const fullPath = resolve(process.cwd(), configPath);
+  if (!existsSync(fullPath)) {
+    return [];
+  }
+
+  let servers: Record<string, Partial<MCPServerConfig>>;
+  try {
+    servers = JSON.parse(readFileSync(fullPath, "utf8"))?.servers ?? {};
+  } catch (error) {
+    console.error(`Failed to read MCP server config '${configPath}':`, error);
+    return [];
+  }
+
+  const configs: MCPServerConfig[] = [];
+  for (const [name, entry] of Object.entries(servers)) {
+    if (!entry || !REMOTE_TRANSPORTS.has(entry.transport as string)) {
+      continue;
+    }
+
+    const requiredEnv = Array.isArray(entry.requiredEnv) ? entry.requiredEnv : [];
+    const envConfigured = requiredEnv.every((envVar) => Boolean(process.env[envVar]?.trim()));
+    const flag = process.env[envFlagName(name)];
+    const enabledByConfig = flag === "true" || (entry.enabled !== false && flag !== "false");
+
+    configs.push({
+      name,
+      transport: entry.transport,
+      url: entry.url,
+      headers: entry.headers ?? {},
+      reconnect: entry.reconnect,
+      enabled: enabledByConfig && envConfigured,
+      requiredEnv,
+    });
+  }
+
+  return configs;
+}
+
 /**
  * Default MCP configuration
  *
@@ -86,6 +141,34 @@ export function getMCPConfig(): MCPServerConfig[] {
     requiredEnv: ["AZURE_CLIENT_ID", "AZURE_CLIENT_SECRET", "AZURE_TENANT_ID"],
   });
 
+  // Jira integration
+  const hasJiraConfig =
+    Boolean(process.env.JIRA_BASE_URL?.trim()) && Boolean(process.env.JIRA_API_TOKEN?.trim());
+  configs.push({
+    name: "jira",
+    command: "node",
+    args: getMCPServerPath("jira"),
+    env: {
+      JIRA_BASE_URL: process.env.JIRA_BASE_URL || "",
+      JIRA_EMAIL: process.env.JIRA_EMAIL || "",
+      JIRA_API_TOKEN: process.env.JIRA_API_TOKEN || "",
+      JIRA_PROJECT_KEY: process.env.JIRA_PROJECT_KEY || "",
+      JIRA_EPIC_ISSUE_TYPE: process.env.JIRA_EPIC_ISSUE_TYPE || "",
+      JIRA_TASK_ISSUE_TYPE: process.env.JIRA_TASK_ISSUE_TYPE || "",
+      JIRA_RISK_ISSUE_TYPE: process.env.JIRA_RISK_ISSUE_TYPE || "",
+    },
+    enabled: hasJiraConfig && process.env.MCP_JIRA_ENABLED !== "false",
+    requiredEnv: ["JIRA_BASE_URL", "JIRA_API_TOKEN"],
+  });
+
+  // Shared remote servers (Streamable HTTP / SSE)
+  const builtIn = new Set(configs.map((config) => config.name));
+  for (const config of loadRemoteServerConfigs()) {
+    if (!builtIn.has(config.name)) {
+      configs.push(config);
+    }
+  }
+
   return configs;
 }
 
@@ -157,6 +240,7 @@ export default {
   getOrCreateMCPManager,
   getMCPManager,
   getMCPConfig,
+  loadRemoteServerConfigs,
   isMCPEnabled,
   resetMCPManager,
 };
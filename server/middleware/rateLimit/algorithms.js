@@ -0,0 +1,104 @@
+/**
+ * Rate limit algorithms
+ *
+ * Pure state transitions shared by the memory and file stores. The Redis
+ * store runs the same logic as Lua scripts (see redisStore.js); keep the two
+ * in step.
+ *
+ * Each function takes the stored state (or null), the policy
+ * `{ limit, windowMs }` and the current time, and returns the next state plus
+ * a decision `{ allowed, remaining, resetMs, retryAfterMs }`.
+ *
+ * @module server/middleware/rateLimit/algorithms
+ */
+
+/**
+ * Sliding window counter. The previous fixed window's count is weighted by
+ * how much of it still overlaps the sliding window, which smooths the burst
+ * a plain fixed window allows at each boundary.
+ */
+export function slidingWindow(state, { limit, windowMs }, now) {
+  const windowStart = now - (now % windowMs);
+  let previous = 0;
+  let current = 0;
+  if (state?.windowStart === windowStart) {
+    previous = state.previous ?? 0;
+    current = state.current ?? 0;
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current ?? 0;
+  }
+
+  const elapsed = now - windowStart;
+  let used = (previous * (windowMs - elapsed)) / windowMs + current;
+  let allowed = false;
+  let retryAfterMs = 0;
+
+  if (used + 1 <= limit) {
+    allowed = true;
+    current += 1;
+    used += 1;
+  } else if (current + 1 > limit) {
+    // Full on this window alone: wait for the next window and for enough of
+    // this one to slide out.
+    retryAfterMs = windowMs - elapsed + Math.ceil(windowMs * (1 - (limit - 1) / current));
+  } else {
+    retryAfterMs = Math.ceil(windowMs * (1 - (limit - 1 - current) / previous)) - elapsed;
+  }
+
+  return {
+    state: { windowStart, previous, current },
+    ttlMs: windowMs * 2,
+    decision: {
+      allowed,
+      remaining: Math.max(0, Math.floor(limit - used)),
+      resetMs: windowMs - elapsed,
+      retryAfterMs,
+    },
+  };
+}
+
+/**
+ * Token bucket holding up to `limit` tokens and refilling at
+ * `limit / windowMs`. Allows short bursts up to the bucket size while
+ * holding the long-run rate to the limit.
+ */
+export function tokenBucket(state, { limit, windowMs }, now) {
+  const ratePerMs = limit / windowMs;
+  let tokens = limit;
+  if (Number.isFinite(state?.tokens) && Number.isFinite(state?.updatedAt)) {
+    tokens = Math.min(limit, state.tokens + Math.max(0, now - state.updatedAt) * ratePerMs);
+  }
+
+  let allowed = false;
+  let retryAfterMs = 0;
+  if (tokens >= 1) {
+    allowed = true;
+    tokens -= 1;
+  } else {
+    retryAfterMs = Math.ceil((1 - tokens) / ratePerMs);
+  }
+
+  return {
+    state: { tokens, updatedAt: now },
+    ttlMs: windowMs,
+    decision: {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((limit - tokens) / ratePerMs),
+      retryAfterMs,
+    },
+  };
+}
+
+export const ALGORITHMS = {
+  "sliding-window": slidingWindow,
+  "token-bucket": tokenBucket,
+};
+
+/**
+ * Applies the policy's algorithm to the stored state
+ */
+export function applyAlgorithm(state, policy, now) {
+  const algorithm = ALGORITHMS[policy.algorithm] ?? slidingWindow;
+  return algorithm(state, policy, now);
+}
@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+import { applyAlgorithm } from "./algorithms.js";
+
+const DEFAULT_LOCK_TIMEOUT_MS = 1000;
+const DEFAULT_STALE_LOCK_MS = 5000;
+const LOCK_RETRY_BASE_MS = 5;
+const LOCK_RETRY_MAX_MS = 50;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class RateLimitStoreLockError extends Error {
+  constructor(timeoutMs) {
+    super(`Timed out after ${timeoutMs}ms waiting for a rate limit lock.`);
+    this.name = "RateLimitStoreLockError";
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * File-backed rate limit store for instances that share a volume. Each key
+ * gets one JSON file; updates take an exclusive lock file and replace the
+ * state via write-to-temp + rename, like the charter record file store.
+ */
+export class FileRateLimitStore {
+  constructor({
+    baseDirectory,
+    lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS,
+    staleLockMs = DEFAULT_STALE_LOCK_MS,
+  } = {}) {
+    this.kind = "file";
+    this.baseDirectory = baseDirectory
+      ? path.resolve(baseDirectory)
+      : path.resolve(process.cwd(), "tmp", "rate-limits");
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+  }
+
+  buildFilePath(key) {
+    // Keys carry IPs and user ids, so file names are hashed.
+    const digest = crypto.createHash("sha256").update(key).digest("hex").slice(0, 40);
+    return path.join(this.baseDirectory, `${digest}.json`);
+  }
+
+  async consume(key, policy, { now = Date.now() } = {}) {
+    const filePath = this.buildFilePath(key);
+    return this.withLock(filePath, async () => {
+      const entry = await this.readEntry(filePath);
+      const stored = entry && now < entry.expiresAt ? entry.state : null;
+      const { state, ttlMs, decision } = applyAlgorithm(stored, policy, now);
+      await this.writeEntry(filePath, { state, expiresAt: now + ttlMs });
+      return decision;
+    });
+  }
+
+  async readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error?.code === "ENOENT" || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeEntry(filePath, entry) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entry), "utf8");
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Removes entries whose window has passed
+   */
+  async cleanup(now = Date.now()) {
+    let names;
+    try {
+      names = await fs.readdir(this.baseDirectory);
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return;
+      }
+      throw error;
+    }
+    for (const name of names.filter((entry) => entry.endsWith(".json"))) {
+      const filePath = path.join(this.baseDirectory, name);
+      const entry = await this.readEntry(filePath);
+      if (!entry || now >= entry.expiresAt) {
+        await fs.rm(filePath, { force: true });
+      }
+    }
+  }
+
+  async withLock(filePath, task) {
+    await fs.mkdir(this.baseDirectory, { recursive: true });
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + this.lockTimeoutMs;
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(lockPath, "wx");
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error?.code !== "EEXIST") {
+          throw error;
+        }
+      }
+
+      if (await this.clearStaleLock(lockPath)) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new RateLimitStoreLockError(this.lockTimeoutMs);
+      }
+      attempt += 1;
+      await sleep(Math.min(LOCK_RETRY_MAX_MS, LOCK_RETRY_BASE_MS * 2 ** attempt));
+    }
+
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  async clearStaleLock(lockPath) {
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs < this.staleLockMs) {
+        return false;
+      }
+      await fs.rm(lockPath, { force: true });
+      return true;
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return true;
+      }
+      throw error;
+    }
+  }
+}
+
+export default FileRateLimitStore;
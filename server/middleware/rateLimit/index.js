@@ -0,0 +1,87 @@
+import MemoryRateLimitStore from "./memoryStore.js";
+import FileRateLimitStore, { RateLimitStoreLockError } from "./fileStore.js";
+import RedisRateLimitStore, { RedisRateLimitStoreError } from "./redisStore.js";
+
+function readEnv(env, ...keys) {
+  for (const key of keys) {
+    const value = env?.[key];
+    if (typeof value === "string" && value.trim()) {
+      return value.trim();
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Creates the rate limit store selected by RATE_LIMIT_STORE ("memory" by
+ * default, "file", or "redis"). Every store exposes
+ *   consume(key, { algorithm, limit, windowMs }) ->
+ *     { allowed, remaining, resetMs, retryAfterMs }
+ * and applies the update atomically for its backend.
+ *
+ * The Redis store reads RATE_LIMIT_REDIS_URL / RATE_LIMIT_REDIS_TOKEN and
+ * falls back to the Upstash and Vercel KV REST variables.
+ */
+export function createRateLimitStoreFromEnv(env = process.env, overrides = {}) {
+  const kind = (overrides.kind || readEnv(env, "RATE_LIMIT_STORE") || "memory").toLowerCase();
+
+  if (kind === "redis") {
+    const url = readEnv(env, "RATE_LIMIT_REDIS_URL", "UPSTASH_REDIS_REST_URL", "KV_REST_API_URL");
+    if (!url) {
+      throw new Error(
+        "RATE_LIMIT_STORE=redis requires RATE_LIMIT_REDIS_URL (or UPSTASH_REDIS_REST_URL / KV_REST_API_URL)."
+      );
+    }
+    return new RedisRateLimitStore({
+      url,
+      token: readEnv(env, "RATE_LIMIT_REDIS_TOKEN", "UPSTASH_REDIS_REST_TOKEN", "KV_REST_API_TOKEN"),
+      prefix: readEnv(env, "RATE_LIMIT_REDIS_PREFIX") ?? "ratelimit:",
+      fetchImpl: overrides.fetchImpl,
+    });
+  }
+
+  if (kind === "file") {
+    return new FileRateLimitStore({
+      baseDirectory: overrides.baseDirectory || readEnv(env, "RATE_LIMIT_STORE_DIR"),
+    });
+  }
+
+  if (kind !== "memory") {
+    console.warn(`Unknown RATE_LIMIT_STORE "${kind}". Falling back to the memory rate limit store.`);
+  }
+  if (readEnv(env, "VERCEL")) {
+    console.warn(
+      "[RateLimit] Using the in-memory rate limit store on Vercel; limits are per function instance. Set RATE_LIMIT_STORE=redis."
+    );
+  }
+  return new MemoryRateLimitStore();
+}
+
+let activeStore = null;
+
+/**
+ * Store shared by the security middleware, created on first use
+ */
+export function getRateLimitStore() {
+  if (!activeStore) {
+    activeStore = createRateLimitStoreFromEnv();
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the shared store (tests). Pass null to recreate it from the
+ * environment on next use.
+ */
+export function __setRateLimitStore(store) {
+  activeStore?.close?.();
+  activeStore = store;
+}
+
+export {
+  MemoryRateLimitStore,
+  FileRateLimitStore,
+  RedisRateLimitStore,
+  RateLimitStoreLockError,
+  RedisRateLimitStoreError,
+};
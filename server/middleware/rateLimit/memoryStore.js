@@ -0,0 +1,40 @@
+import { applyAlgorithm } from "./algorithms.js";
+
+/**
+ * Process-local rate limit store. Counts are not shared between server
+ * instances, so this is only suitable for local development and tests.
+ */
+export class MemoryRateLimitStore {
+  constructor({ cleanupIntervalMs = 60_000 } = {}) {
+    this.kind = "memory";
+    /** @type {Map<string, {state: Object, expiresAt: number}>} */
+    this.entries = new Map();
+    this.cleanupInterval = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    if (typeof this.cleanupInterval.unref === "function") {
+      this.cleanupInterval.unref();
+    }
+  }
+
+  async consume(key, policy, { now = Date.now() } = {}) {
+    const entry = this.entries.get(key);
+    const stored = entry && now < entry.expiresAt ? entry.state : null;
+    const { state, ttlMs, decision } = applyAlgorithm(stored, policy, now);
+    this.entries.set(key, { state, expiresAt: now + ttlMs });
+    return decision;
+  }
+
+  cleanup(now = Date.now()) {
+    for (const [key, entry] of this.entries.entries()) {
+      if (now >= entry.expiresAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.cleanupInterval);
+    this.entries.clear();
+  }
+}
+
+export default MemoryRateLimitStore;
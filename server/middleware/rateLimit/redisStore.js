@@ -0,0 +1,136 @@
+/**
+ * Redis rate limit store
+ *
+ * Talks to Redis over the REST protocol served by Upstash, Vercel KV and
+ * compatible proxies (POST a JSON command array, read `{ result }`), so it
+ * works from serverless functions without a socket client. Each decision is
+ * one EVAL, which keeps read-modify-write atomic across instances. Scripts
+ * use the Redis server clock so instances with skewed clocks agree.
+ *
+ * @module server/middleware/rateLimit/redisStore
+ */
+
+const CLOCK = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+`;
+
+// Mirrors slidingWindow() in algorithms.js
+const SLIDING_WINDOW_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+${CLOCK}
+local windowStart = now - (now % window)
+local stored = redis.call('HMGET', KEYS[1], 'windowStart', 'previous', 'current')
+local previous, current = 0, 0
+local storedStart = tonumber(stored[1])
+if storedStart == windowStart then
+  previous = tonumber(stored[2]) or 0
+  current = tonumber(stored[3]) or 0
+elseif storedStart == windowStart - window then
+  previous = tonumber(stored[3]) or 0
+end
+local elapsed = now - windowStart
+local used = previous * (window - elapsed) / window + current
+local allowed = 0
+local retryAfter = 0
+if used + 1 <= limit then
+  allowed = 1
+  current = current + 1
+  used = used + 1
+elseif current + 1 > limit then
+  retryAfter = window - elapsed + math.ceil(window * (1 - (limit - 1) / current))
+else
+  retryAfter = math.ceil(window * (1 - (limit - 1 - current) / previous)) - elapsed
+end
+redis.call('HSET', KEYS[1], 'windowStart', windowStart, 'previous', previous, 'current', current)
+redis.call('PEXPIRE', KEYS[1], window * 2)
+return { allowed, math.max(0, math.floor(limit - used)), window - elapsed, retryAfter }
+`;
+
+// Mirrors tokenBucket() in algorithms.js
+const TOKEN_BUCKET_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+${CLOCK}
+local rate = limit / window
+local stored = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = limit
+if stored[1] and stored[2] then
+  tokens = math.min(limit, tonumber(stored[1]) + math.max(0, now - tonumber(stored[2])) * rate)
+end
+local allowed = 0
+local retryAfter = 0
+if tokens >= 1 then
+  allowed = 1
+  tokens = tokens - 1
+else
+  retryAfter = math.ceil((1 - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], window)
+return { allowed, math.floor(tokens), math.ceil((limit - tokens) / rate), retryAfter }
+`;
+
+export const RATE_LIMIT_SCRIPTS = {
+  "sliding-window": SLIDING_WINDOW_SCRIPT,
+  "token-bucket": TOKEN_BUCKET_SCRIPT,
+};
+
+export class RedisRateLimitStoreError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = "RedisRateLimitStoreError";
+    this.statusCode = statusCode;
+  }
+}
+
+export class RedisRateLimitStore {
+  constructor({ url, token, prefix = "ratelimit:", fetchImpl = fetch } = {}) {
+    if (!url) {
+      throw new Error("RedisRateLimitStore requires a REST url");
+    }
+    this.kind = "redis";
+    this.url = url.replace(/\/+$/, "");
+    this.token = token;
+    this.prefix = prefix;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async command(args) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    const response = await this.fetchImpl(this.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(args),
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload?.error) {
+      // Redis errors can echo the script and key; keep them out of logs.
+      throw new RedisRateLimitStoreError(`Redis rate limit store request failed (${response.status})`);
+    }
+    return payload.result;
+  }
+
+  async consume(key, policy) {
+    const script = RATE_LIMIT_SCRIPTS[policy.algorithm] ?? SLIDING_WINDOW_SCRIPT;
+    const result = await this.command([
+      "EVAL",
+      script,
+      "1",
+      `${this.prefix}${key}`,
+      String(policy.limit),
+      String(policy.windowMs),
+    ]);
+    if (!Array.isArray(result) || result.length < 4) {
+      throw new RedisRateLimitStoreError("Unexpected Redis rate limit response");
+    }
+    const [allowed, remaining, resetMs, retryAfterMs] = result.map(Number);
+    return { allowed: allowed === 1, remaining, resetMs, retryAfterMs };
+  }
+}
+
+export default RedisRateLimitStore;
@@ -9,21 +9,26 @@
 
 import crypto from "crypto";
 
+import { authenticateRequest, sendAuthError } from "../auth/index.js";
+import { RATE_LIMIT_POLICIES, resolveRateLimitPolicies } from "../config/rateLimits.js";
+import { ApiError, ERROR_CODES, formatErrorResponse } from "../utils/apiErrors.js";
+import { getRateLimitStore } from "./rateLimit/index.js";
+
 // ============================================================================
 // Configuration Constants
 // ============================================================================
 
 /** Maximum requests per window for unauthenticated users */
-const RATE_LIMIT_ANONYMOUS = 30;
+const RATE_LIMIT_ANONYMOUS = RATE_LIMIT_POLICIES.default.anonymous;
 
 /** Maximum requests per window for authenticated users */
-const RATE_LIMIT_AUTHENTICATED = 100;
+const RATE_LIMIT_AUTHENTICATED = RATE_LIMIT_POLICIES.default.authenticated;
 
 /** Maximum requests per window for OpenAI-consuming endpoints */
-const RATE_LIMIT_OPENAI = 10;
+const RATE_LIMIT_OPENAI = RATE_LIMIT_POLICIES.llm.anonymous;
 
 /** Rate limit window in milliseconds (1 minute) */
-const RATE_LIMIT_WINDOW_MS = 60_000;
+const RATE_LIMIT_WINDOW_MS = RATE_LIMIT_POLICIES.default.windowMs;
 
 /** Maximum body size for API requests (5MB default) */
 const MAX_BODY_SIZE_BYTES = 5 * 1024 * 1024;
@@ -37,21 +42,9 @@ const ALLOWED_ORIGINS = new Set([
 ]);
 
 // ============================================================================
-// Rate Limiting (In-Memory - for production use Redis)
+// Rate Limiting (pluggable store, see server/middleware/rateLimit)
 // ============================================================================
 
-/**
- * @typedef {Object} RateLimitEntry
- * @property {number} count - Request count
- * @property {number} resetAt - Reset timestamp
- */
-
-/** @type {Map<string, RateLimitEntry>} */
-const rateLimitStore = new Map();
-
-/** Cleanup interval for expired entries */
-let cleanupInterval = null;
-
 /**
  * Get rate limit key for request
  * @param {Object} req - Request object
@@ -71,48 +64,59 @@ function getRateLimitKey(req, userId = null) {
 }
 
 /**
- * Check and update rate limit
- * @param {string} key - Rate limit key
- * @param {number} limit - Maximum requests allowed
- * @returns {{allowed: boolean, remaining: number, resetAt: number}}
+ * Route path used to pick rate limit policies
+ * @param {Object} req - Request object
+ * @returns {string} Path without query string
  */
-function checkRateLimit(key, limit) {
-  const now = Date.now();
-  const entry = rateLimitStore.get(key);
-
-  if (!entry || now >= entry.resetAt) {
-    const resetAt = now + RATE_LIMIT_WINDOW_MS;
-    rateLimitStore.set(key, { count: 1, resetAt });
-    return { allowed: true, remaining: limit - 1, resetAt };
-  }
-
-  entry.count += 1;
-
-  if (entry.count > limit) {
-    return { allowed: false, remaining: 0, resetAt: entry.resetAt };
-  }
-
-  return { allowed: true, remaining: limit - entry.count, resetAt: entry.resetAt };
+function getRequestPath(req) {
+  const raw = req.path || req.url || "";
+  return raw.split("?")[0] || "unknown";
 }
 
 /**
- * Cleanup expired rate limit entries
+ * Consume one request from each policy in order, stopping at the first
+ * policy that denies it
+ * @param {Object} store - Rate limit store
+ * @param {string} identity - Rate limit key for the caller
+ * @param {string} route - Route path
+ * @param {Array<Object>} policies - Resolved policies
+ * @param {boolean} authenticated - Whether the caller is a known user
+ * @returns {Promise<Array<Object>>} Decisions with their policy limits
  */
-function cleanupRateLimits() {
-  const now = Date.now();
-  for (const [key, entry] of rateLimitStore.entries()) {
-    if (now >= entry.resetAt) {
-      rateLimitStore.delete(key);
+async function consumeRateLimits(store, identity, route, policies, authenticated) {
+  const decisions = [];
+  for (const policy of policies) {
+    const limit = authenticated ? policy.authenticated : policy.anonymous;
+    const scopeKey = policy.scope === "shared" ? policy.name : `${policy.name}:${route}`;
+    const decision = await store.consume(`${scopeKey}:${identity}`, {
+      algorithm: policy.algorithm,
+      limit,
+      windowMs: policy.windowMs,
+    });
+    decisions.push({ ...decision, policy: policy.name, limit, windowMs: policy.windowMs });
+    if (!decision.allowed) {
+      break;
     }
   }
+  return decisions;
 }
 
-// Start periodic cleanup
-if (cleanupInterval === null) {
-  cleanupInterval = setInterval(cleanupRateLimits, RATE_LIMIT_WINDOW_MS);
-  if (typeof cleanupInterval.unref === "function") {
-    cleanupInterval.unref();
-  }
+/**
+ * Set RateLimit-* headers (IETF draft) for the most restrictive policy
+ * @param {Object} res - Response object
+ * @param {Array<Object>} decisions - Decisions from consumeRateLimits
+ */
+function setRateLimitHeaders(res, decisions) {
+  const binding = decisions.find((decision) => !decision.allowed) ||
+    decisions.reduce((lowest, decision) => (decision.remaining < lowest.remaining ? decision : lowest));
+
+  res.setHeader(
+    "RateLimit-Policy",
+    decisions.map((decision) => `${decision.limit};w=${Math.ceil(decision.windowMs / 1000)}`).join(", ")
+  );
+  res.setHeader("RateLimit-Limit", binding.limit.toString());
+  res.setHeader("RateLimit-Remaining", binding.remaining.toString());
+  res.setHeader("RateLimit-Reset", Math.ceil(binding.resetMs / 1000).toString());
 }
 
 // ============================================================================
@@ -322,41 +326,68 @@ export function validateOrigin(req) {
 
 /**
  * Rate limiting middleware
+ *
+ * Policies come from server/config/rateLimits.js for the route; counts live
+ * in the store selected by RATE_LIMIT_STORE so they hold across instances.
+ * If the store is unreachable the request is let through.
+ *
  * @param {Object} [options] - Configuration options
- * @param {number} [options.limit] - Request limit per window
- * @param {boolean} [options.isOpenAI] - Whether this is an OpenAI-consuming endpoint
+ * @param {string} [options.route] - Route path (defaults to the request path)
+ * @param {number} [options.limit] - Override the route's default request limit per window
+ * @param {boolean} [options.isOpenAI] - Apply the LLM budgets to a route not listed in the config
+ * @param {Object} [options.store] - Rate limit store (defaults to the shared store)
  * @returns {Function} Middleware function
  */
 export function rateLimiter(options = {}) {
   const {
-    limit = RATE_LIMIT_ANONYMOUS,
+    route,
+    limit,
     isOpenAI = false,
+    store,
   } = options;
 
-  const effectiveLimit = isOpenAI ? Math.min(limit, RATE_LIMIT_OPENAI) : limit;
-
-  return (req, res, next) => {
+  return async (req, res, next) => {
     // Skip rate limiting for OPTIONS requests
     if (req.method === "OPTIONS") {
       return next?.();
     }
 
+    const routePath = route || getRequestPath(req);
+    const policies = resolveRateLimitPolicies(routePath, { isOpenAI }).map((policy) =>
+      policy.name === "default" && Number.isInteger(limit)
+        ? { ...policy, anonymous: limit, authenticated: limit }
+        : policy
+    );
     const userId = req.user?.id || null;
     const key = getRateLimitKey(req, userId);
-    const result = checkRateLimit(key, effectiveLimit);
 
-    // Set rate limit headers
-    res.setHeader("X-RateLimit-Limit", effectiveLimit.toString());
-    res.setHeader("X-RateLimit-Remaining", result.remaining.toString());
-    res.setHeader("X-RateLimit-Reset", Math.ceil(result.resetAt / 1000).toString());
+    let decisions;
+    try {
+      decisions = await consumeRateLimits(
+        store || getRateLimitStore(),
+        key,
+        routePath,
+        policies,
+        Boolean(userId)
+      );
+    } catch (error) {
+      console.warn("[Security] Rate limit store unavailable, request not limited:", error?.message);
+      return next?.();
+    }
+
+    setRateLimitHeaders(res, decisions);
 
-    if (!result.allowed) {
+    const denied = decisions.find((decision) => !decision.allowed);
+    if (denied) {
+      const retryAfter = Math.max(1, Math.ceil(denied.retryAfterMs / 1000));
+      res.setHeader("Retry-After", retryAfter.toString());
       res.status(429).json({
         error: {
           code: "RATE_LIMITED",
           message: "Too many requests. Please try again later.",
+          policy: denied.policy,
         },
-        retryAfter: Math.ceil((result.resetAt - Date.now()) / 1000),
+        retryAfter,
       });
       return;
     }
@@ -411,6 +442,41 @@ export function csrfProtection(options = {}) {
   };
 }
 
+/**
+ * User identity middleware
+ *
+ * Verifies the bearer JWT or session cookie and sets `req.user` (see
+ * server/auth). Does nothing when AUTH_MODE is off. Unexpected verifier
+ * failures are answered with 503 rather than thrown, since callers wait for
+ * `next` and would otherwise never respond.
+ *
+ * @param {Object} [options] - Configuration options
+ * @param {boolean} [options.required] - Reject requests without a user token
+ * @returns {Function} Middleware function
+ */
+export function identityAuth(options = {}) {
+  const { required = true } = options;
+
+  return async (req, res, next) => {
+    try {
+      await authenticateRequest(req, { required });
+    } catch (error) {
+      if (sendAuthError(res, error)) {
+        return;
+      }
+      console.error("[Security] Identity check failed:", error);
+      const unavailable = new ApiError(
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        "Sign-in cannot be verified right now",
+        503
+      );
+      res.status(503).json(formatErrorResponse(unavailable, { path: getRequestPath(req) }));
+      return;
+    }
+    return next?.();
+  };
+}
+
 /**
  * API key authentication middleware
  * @param {Object} [options] - Configuration options
@@ -425,6 +491,12 @@ export function apiKeyAuth(options = {}) {
   } = options;
 
   return (req, res, next) => {
+    // A verified user token (see identityAuth) satisfies API key auth
+    if (req.user?.id) {
+      req.authenticated = true;
+      return next?.();
+    }
+
     const expectedKey = process.env[envKey];
 
     // If no key configured, skip validation
@@ -500,6 +572,8 @@ export function applySecurityHeaders(req, res) {
  * Combined security middleware for API endpoints
  * @param {Object} [options] - Configuration options
  * @param {boolean} [options.requireAuth] - Whether to require authentication
+ * @param {boolean} [options.requireUser] - Whether to require a signed-in user when AUTH_MODE is on
+ * @param {string} [options.route] - Route path used to select rate limit policies
  * @param {boolean} [options.isOpenAI] - Whether this is an OpenAI-consuming endpoint
  * @param {number} [options.rateLimit] - Custom rate limit
  * @returns {Function} Combined middleware function
@@ -507,11 +581,14 @@ export function applySecurityHeaders(req, res) {
 export function securityMiddleware(options = {}) {
   const {
     requireAuth = false,
+    requireUser = true,
+    route,
     isOpenAI = false,
-    rateLimit = isOpenAI ? RATE_LIMIT_OPENAI : RATE_LIMIT_ANONYMOUS,
+    rateLimit,
   } = options;
 
-  const rateLimitMiddleware = rateLimiter({ limit: rateLimit, isOpenAI });
+  const identityMiddleware = identityAuth({ required: requireUser });
+  const rateLimitMiddleware = rateLimiter({ route, limit: rateLimit, isOpenAI });
   const csrfMiddleware = csrfProtection({ validateToken: false });
   const authMiddleware = apiKeyAuth({ required: requireAuth });
 
@@ -519,24 +596,17 @@ export function securityMiddleware(options = {}) {
     // Apply security headers
     applySecurityHeaders(req, res);
 
-    // Chain middleware
-    const middlewares = [rateLimitMiddleware, csrfMiddleware, authMiddleware];
+    // Chain middleware; one that does not call next has already responded
+    const middlewares = [identityMiddleware, rateLimitMiddleware, csrfMiddleware, authMiddleware];
 
     for (const middleware of middlewares) {
       let called = false;
-      const result = await new Promise((resolve) => {
-        middleware(req, res, () => {
-          called = true;
-          resolve(true);
-        });
-        // If middleware didn't call next, it responded
-        setTimeout(() => {
-          if (!called) resolve(false);
-        }, 0);
+      await middleware(req, res, () => {
+        called = true;
       });
 
-      if (!result) {
-        return; // Middleware already responded
+      if (!called) {
+        return;
       }
     }
 
@@ -589,6 +659,7 @@ export default {
   validateOrigin,
   rateLimiter,
   csrfProtection,
+  identityAuth,
   apiKeyAuth,
   applySecurityHeaders,
   securityMiddleware,
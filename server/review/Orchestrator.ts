@@ -3,10 +3,17 @@
  *
  * Manages interactive review sessions with state machine-based navigation
  * through feedback items. Supports guided feedback acceptance, elaboration
- * requests, and navigation commands.
+ * requests, and navigation commands. Accepting an item proposes a field
+ * patch against the session's document; once the client applies it, the
+ * item is marked resolved.
  */
 
 import { executeOpenAIExtraction } from "../documents/openai/client.js";
+import {
+  applyFeedbackPatch,
+  buildFeedbackPatch,
+  fallbackProposal,
+} from "../../lib/doc/reviewPatch.js";
 
 /**
  * Review session status
@@ -31,6 +38,17 @@ export type FeedbackItemStatus =
  */
 export type FeedbackSeverity = "critical" | "important" | "suggestion";
 
+/**
+ * Concrete field change proposed for an accepted feedback item
+ */
+export interface FeedbackPatch {
+  feedbackId: string | null;
+  field: string;
+  operation: "replace" | "append";
+  before: unknown;
+  after: unknown;
+}
+
 /**
  * A feedback item in the session
  */
@@ -45,6 +63,7 @@ export interface SessionFeedbackItem {
   status: FeedbackItemStatus;
   userNote?: string;
   elaboration?: string;
+  patch?: FeedbackPatch | null;
 }
 
 /**
@@ -55,6 +74,8 @@ export interface ReviewSessionState {
   docType: string;
   status: ReviewSessionStatus;
   reviewId: string;
+  /** Document under review; accepted patches are applied to it once resolved */
+  document: Record<string, unknown> | null;
   overallScore: number;
   dimensionScores: Record<string, number>;
   strengths: string[];
@@ -87,6 +108,7 @@ export type NavigationCommand =
   | { type: "accept"; feedbackId?: string; note?: string }
   | { type: "dismiss"; feedbackId?: string; reason?: string }
   | { type: "elaborate"; feedbackId?: string }
+  | { type: "resolve"; feedbackId: string }
   | { type: "complete" }
   | { type: "exit" };
 
@@ -274,6 +296,11 @@ function parseUserCommand(input: string): NavigationCommand | null {
     return { type: "exit" };
   }
 
+  const resolveMatch = normalized.match(/^resolve\s+(fb_\w+)$/);
+  if (resolveMatch) {
+    return { type: "resolve", feedbackId: resolveMatch[1] };
+  }
+
   // Check for goto command
   const gotoMatch = normalized.match(/^(?:go to|goto|jump to)\s+(\d+|fb_\w+)$/);
   if (gotoMatch) {
@@ -316,8 +343,8 @@ Keep your response focused and actionable, around 150-200 words.`;
     const response = await executeOpenAIExtraction({
       systemSections: [prompt],
       messages: [{ role: "user", content: "Please elaborate on this feedback." }],
-      model: "gpt-4o-mini",
       temperature: 0.4,
+      task: "review",
     });
 
     return response.elaboration || response.content || response.result || "Unable to generate elaboration.";
@@ -327,6 +354,101 @@ Keep your response focused and actionable, around 150-200 words.`;
   }
 }
 
+/**
+ * Format a field value for a patch preview
+ */
+function formatPatchValue(value: unknown): string {
+  if (value == null || value === "") {
+    return "_(empty)_";
+  }
+  if (typeof value === "string") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => formatPatchValue(entry)).join("; ");
+  }
+  if (typeof value === "object") {
+    return Object.values(value as Record<string, unknown>)
+      .filter((entry) => entry != null && entry !== "")
+      .map((entry) => String(entry))
+      .join(" – ");
+  }
+  return String(value);
+}
+
+/**
+ * Format a proposed patch as a before/after message
+ */
+function formatPatchMessage(patch: FeedbackPatch): string {
+  const fieldLabel = patch.field.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+  let message = `**Proposed change to ${fieldLabel}:**\n`;
+  if (patch.operation === "append" && Array.isArray(patch.after)) {
+    message += `- Add: ${formatPatchValue(patch.after[patch.after.length - 1])}`;
+  } else {
+    message += `- Before: ${formatPatchValue(patch.before)}\n`;
+    message += `- After: ${formatPatchValue(patch.after)}`;
+  }
+  if (patch.feedbackId) {
+    message += `\n\nApply it to your draft, then say **resolve ${patch.feedbackId}**.`;
+  }
+  return message;
+}
+
+/**
+ * Propose a field patch for an accepted feedback item. The LLM rewrites the
+ * field (or drafts one new list entry); the item's example is used when
+ * that fails. Returns null when the item targets no field.
+ */
+export async function proposeFeedbackPatch(
+  item: SessionFeedbackItem,
+  document: Record<string, unknown>,
+  docType: string
+): Promise<FeedbackPatch | null> {
+  if (!item.field) {
+    return null;
+  }
+
+  const current = document?.[item.field] ?? null;
+  const isList = Array.isArray(current);
+  const template = isList
+    ? (current as unknown[]).find((entry) => entry && typeof entry === "object")
+    : null;
+  const shape = template
+    ? `an object with the keys ${Object.keys(template as Record<string, unknown>).join(", ")}`
+    : "a string";
+
+  const prompt = `You are a project management expert applying reviewer feedback the user accepted to a ${docType}.
+
+- Field: ${item.field}
+- Current value: ${JSON.stringify(current)}
+- Issue: ${item.issue}
+- Recommendation: ${item.recommendation}
+${item.example ? `- Example: ${item.example}` : ""}
+
+${isList
+    ? `Write ONE new entry to add to this list, as ${shape}.`
+    : "Rewrite the whole field so it addresses the issue. Keep what is still accurate."}
+Respond with JSON: {"value": <the ${isList ? "new entry" : "new field text"}>}`;
+
+  let proposal: unknown = null;
+  try {
+    const response = await executeOpenAIExtraction({
+      systemSections: [prompt],
+      messages: [{ role: "user", content: "Apply this feedback." }],
+      temperature: 0.3,
+      task: "review",
+    });
+    proposal = response?.value ?? null;
+  } catch (error) {
+    console.error("Failed to generate feedback patch:", error);
+  }
+
+  return (
+    buildFeedbackPatch(item, document, proposal) ??
+    buildFeedbackPatch(item, document, fallbackProposal(item))
+  ) as FeedbackPatch | null;
+}
+
 /**
  * Create a new review session
  */
@@ -338,7 +460,8 @@ export function createReviewSession(
     strengths: string[];
     feedback: SessionFeedbackItem[];
     summary: string;
-  }
+  },
+  document: Record<string, unknown> | null = null
 ): ReviewSessionState {
   const sessionId = generateSessionId();
 
@@ -347,6 +470,7 @@ export function createReviewSession(
     docType,
     status: "reviewing",
     reviewId: reviewResult.reviewId,
+    document,
     overallScore: reviewResult.scores.overall,
     dimensionScores: reviewResult.scores.dimensions,
     strengths: reviewResult.strengths,
@@ -406,7 +530,7 @@ export function createReviewSession(
 export async function processReviewMessage(
   sessionId: string,
   userMessage: string
-): Promise<{ state: ReviewSessionState; response: string }> {
+): Promise<{ state: ReviewSessionState; response: string; patch: FeedbackPatch | null }> {
   const state = sessions.get(sessionId);
 
   if (!state) {
@@ -422,6 +546,7 @@ export async function processReviewMessage(
 
   // Parse command
   const command = parseUserCommand(userMessage);
+  const acceptedId = command?.type === "accept" ? getCurrentFeedback(state)?.id : undefined;
   let response = "";
 
   if (!command) {
@@ -431,6 +556,7 @@ export async function processReviewMessage(
     response += "- **dismiss** - Dismiss this feedback\n";
     response += "- **tell me more** - Get more details\n";
     response += "- **next** / **previous** - Navigate between items\n";
+    response += "- **resolve fb_001** - Mark an accepted item resolved once its change is applied\n";
     response += "- **done** - Complete the review session";
   } else {
     response = await handleCommand(state, command);
@@ -445,7 +571,10 @@ export async function processReviewMessage(
   });
 
   sessions.set(sessionId, state);
-  return { state, response };
+  const patch = acceptedId
+    ? state.feedback.find((f) => f.id === acceptedId)?.patch ?? null
+    : null;
+  return { state, response, patch };
 }
 
 /**
@@ -502,24 +631,31 @@ async function handleCommand(
         return "No current feedback item to accept.";
       }
       const itemToAccept = state.feedback.find((f) => f.id === currentItem.id);
+      let patchMessage = "";
       if (itemToAccept) {
         itemToAccept.status = "accepted";
         if (command.note) {
           itemToAccept.userNote = command.note;
         }
+        if (state.document) {
+          itemToAccept.patch = await proposeFeedbackPatch(itemToAccept, state.document, state.docType);
+          if (itemToAccept.patch) {
+            patchMessage = `${formatPatchMessage(itemToAccept.patch)}\n\n`;
+          }
+        }
       }
 
       const remainingPending = state.feedback.filter((f) => f.status === "pending");
       if (remainingPending.length === 0) {
         state.status = "complete";
         state.completedAt = Date.now();
-        return `Feedback accepted. ✓\n\nYou've addressed all feedback items! Your review session is complete.\n\n**Summary:** ${state.summary}`;
+        return `Feedback accepted. ✓\n\n${patchMessage}You've addressed all feedback items! Your review session is complete.\n\n**Summary:** ${state.summary}`;
       }
 
       // Move to next pending item
       state.currentFeedbackIndex = 0; // Reset since pending list changed
       const nextPending = getCurrentFeedback(state);
-      let acceptResponse = `Feedback accepted. ✓\n\n${remainingPending.length} item(s) remaining.\n\n`;
+      let acceptResponse = `Feedback accepted. ✓\n\n${patchMessage}${remainingPending.length} item(s) remaining.\n\n`;
       if (nextPending) {
         acceptResponse += formatFeedbackMessage(nextPending, 0, remainingPending.length);
       }
@@ -567,6 +703,18 @@ async function handleCommand(
       return `## More Details\n\n${elaboration}\n\n---\nCommands: **accept** | **dismiss** | **next** | **previous** | **done**`;
     }
 
+    case "resolve": {
+      const itemToResolve = state.feedback.find((f) => f.id === command.feedbackId);
+      if (!itemToResolve || itemToResolve.status !== "accepted") {
+        return `Feedback item ${command.feedbackId} has not been accepted.`;
+      }
+      itemToResolve.status = "resolved";
+      if (itemToResolve.patch && state.document) {
+        state.document = applyFeedbackPatch(state.document, itemToResolve.patch);
+      }
+      return `Feedback ${command.feedbackId} resolved. ✓`;
+    }
+
     case "complete": {
       const remaining = state.feedback.filter((f) => f.status === "pending");
       if (remaining.length > 0) {
@@ -576,9 +724,10 @@ async function handleCommand(
       state.completedAt = Date.now();
 
       const accepted = state.feedback.filter((f) => f.status === "accepted").length;
+      const resolved = state.feedback.filter((f) => f.status === "resolved").length;
       const dismissed = state.feedback.filter((f) => f.status === "dismissed").length;
 
-      return `## Review Complete! ✓\n\n**Results:**\n- Accepted: ${accepted}\n- Dismissed: ${dismissed}\n\n**Summary:** ${state.summary}\n\nYour feedback has been recorded. You can now update your charter based on the accepted recommendations.`;
+      return `## Review Complete! ✓\n\n**Results:**\n- Accepted: ${accepted}\n- Resolved: ${resolved}\n- Dismissed: ${dismissed}\n\n**Summary:** ${state.summary}\n\nYour feedback has been recorded. You can now update your charter based on the accepted recommendations.`;
     }
 
     case "exit": {
@@ -611,6 +760,7 @@ export function deleteReviewSession(sessionId: string): boolean {
  */
 export function getSessionSummary(sessionId: string): {
   accepted: SessionFeedbackItem[];
+  resolved: SessionFeedbackItem[];
   dismissed: SessionFeedbackItem[];
   pending: SessionFeedbackItem[];
 } | null {
@@ -619,6 +769,7 @@ export function getSessionSummary(sessionId: string): {
 
   return {
     accepted: state.feedback.filter((f) => f.status === "accepted"),
+    resolved: state.feedback.filter((f) => f.status === "resolved"),
     dismissed: state.feedback.filter((f) => f.status === "dismissed"),
     pending: state.feedback.filter((f) => f.status === "pending"),
   };
@@ -0,0 +1,216 @@
+import {
+  normalizeObjectEntries,
+  normalizeStringList,
+  toTrimmedString,
+} from "../../charter/utils/normalize.js";
+
+const ALIAS_TO_SCHEMA_FIELD = {
+  projectName: "project_name",
+  engagementName: "project_name",
+  engagement_name: "project_name",
+  title: "project_name",
+  sowNumber: "sow_number",
+  contractNumber: "sow_number",
+  contract_number: "sow_number",
+  poNumber: "sow_number",
+  client: "client_name",
+  clientName: "client_name",
+  customer: "client_name",
+  vendor: "vendor_name",
+  vendorName: "vendor_name",
+  supplier: "vendor_name",
+  contractor: "vendor_name",
+  clientContact: "client_contact",
+  vendorContact: "vendor_contact",
+  effectiveDate: "effective_date",
+  startDate: "start_date",
+  endDate: "end_date",
+  scopeIn: "scope_in",
+  scopeOut: "scope_out",
+  exclusions: "scope_out",
+  pricingModel: "pricing_model",
+  totalValue: "total_value",
+  contractValue: "total_value",
+  contract_value: "total_value",
+  paymentSchedule: "payment_schedule",
+  acceptanceProcess: "acceptance_process",
+  keyPersonnel: "key_personnel",
+  changeControl: "change_control",
+};
+
+const CORE_STRING_FIELDS = [
+  "project_name",
+  "sow_number",
+  "client_name",
+  "vendor_name",
+  "client_contact",
+  "vendor_contact",
+  "effective_date",
+  "start_date",
+  "end_date",
+  "background",
+  "objectives",
+  "pricing_model",
+  "currency",
+  "acceptance_process",
+  "change_control",
+];
+
+const STRING_LIST_FIELDS = ["scope_in", "scope_out", "assumptions", "risks"];
+
+const OBJECT_ENTRY_FIELDS = {
+  deliverables: { fields: ["name", "description", "acceptance_criteria", "due_date"] },
+  milestones: { fields: ["phase", "deliverable", "date"] },
+  payment_schedule: { fields: ["milestone", "amount", "due_date"] },
+  key_personnel: { fields: ["name", "role", "organization"] },
+  approvals: { fields: ["name", "role", "organization", "date"] },
+};
+
+const PRICING_MODEL_ALIASES = {
+  fixed: "fixed_price",
+  "fixed price": "fixed_price",
+  "fixed fee": "fixed_price",
+  "firm fixed price": "fixed_price",
+  "time and materials": "time_and_materials",
+  "time & materials": "time_and_materials",
+  "t&m": "time_and_materials",
+  milestone: "milestone_based",
+  "milestone based": "milestone_based",
+  "milestone-based": "milestone_based",
+  retainer: "retainer",
+};
+
+function coerceSowAliases(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {};
+  }
+
+  const clone = { ...input };
+  for (const [alias, canonical] of Object.entries(ALIAS_TO_SCHEMA_FIELD)) {
+    if (
+      Object.prototype.hasOwnProperty.call(input, alias) &&
+      !Object.prototype.hasOwnProperty.call(clone, canonical) &&
+      input[alias] !== undefined
+    ) {
+      clone[canonical] = input[alias];
+    }
+  }
+  return clone;
+}
+
+/**
+ * Parses monetary values such as "$250,000.00", "EUR 1.200" or
+ * "1.234.567,89" into numbers. The last `,` or `.` is the decimal separator
+ * when one or two digits follow it; every other separator groups thousands.
+ * Returns undefined when the value does not contain a usable amount or is
+ * negative.
+ */
+export function toAmount(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : undefined;
+  }
+
+  const text = toTrimmedString(value);
+  const match = text.match(/([-\u2212]?)\s*(\d[\d.,\s]*)/);
+  if (!match) {
+    return undefined;
+  }
+
+  const number = match[2].replace(/[\s.,]+$/, "").replace(/\s+/g, "");
+  const decimal = number.match(/^(.*)[.,](\d{1,2})$/);
+  const digits = decimal
+    ? `${decimal[1].replace(/[.,]/g, "")}.${decimal[2]}`
+    : number.replace(/[.,]/g, "");
+
+  const parsed = Number.parseFloat(`${match[1] ? "-" : ""}${digits}`);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+export function normalizePricingModel(value) {
+  const text = toTrimmedString(value).toLowerCase();
+  if (!text) {
+    return "";
+  }
+  const underscored = text.replace(/[\s-]+/g, "_");
+  if (
+    ["fixed_price", "time_and_materials", "milestone_based", "retainer"].includes(
+      underscored
+    )
+  ) {
+    return underscored;
+  }
+  return PRICING_MODEL_ALIASES[text] || text;
+}
+
+export function createBlankSow() {
+  return {
+    project_name: "",
+    sow_number: "",
+    client_name: "",
+    vendor_name: "",
+    client_contact: "",
+    vendor_contact: "",
+    effective_date: "",
+    start_date: "",
+    end_date: "",
+    background: "",
+    objectives: "",
+    scope_in: [],
+    scope_out: [],
+    deliverables: [],
+    milestones: [],
+    pricing_model: "",
+    currency: "",
+    payment_schedule: [],
+    acceptance_process: "",
+    key_personnel: [],
+    assumptions: [],
+    risks: [],
+    change_control: "",
+    approvals: [],
+  };
+}
+
+export function normalizeSowPayload(input) {
+  const source = coerceSowAliases(input);
+  const normalized = { ...createBlankSow(), ...source };
+
+  for (const field of CORE_STRING_FIELDS) {
+    normalized[field] = toTrimmedString(source[field]);
+  }
+
+  normalized.pricing_model = normalizePricingModel(source.pricing_model);
+  normalized.currency = normalized.currency.toUpperCase();
+
+  for (const field of STRING_LIST_FIELDS) {
+    normalized[field] = normalizeStringList(source[field]);
+  }
+
+  // Missing child values are filled with empty strings so template rows never
+  // print "undefined"; amounts stay numeric and are omitted when unknown.
+  for (const [key, config] of Object.entries(OBJECT_ENTRY_FIELDS)) {
+    const blankEntry = Object.fromEntries(
+      config.fields.filter((field) => field !== "amount").map((field) => [field, ""])
+    );
+    normalized[key] = normalizeObjectEntries(source[key], config.fields).map(
+      (entry) => ({ ...blankEntry, ...entry })
+    );
+  }
+
+  normalized.payment_schedule = normalized.payment_schedule.map((entry) => {
+    const { amount, ...rest } = entry;
+    const parsed = toAmount(amount);
+    return parsed === undefined ? rest : { ...rest, amount: parsed };
+  });
+
+  const totalValue = toAmount(source.total_value);
+  if (totalValue === undefined) {
+    delete normalized.total_value;
+  } else {
+    normalized.total_value = totalValue;
+  }
+
+  return normalized;
+}
+
+export default normalizeSowPayload;
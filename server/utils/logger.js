@@ -1,9 +1,14 @@
 /**
  * Centralized logging utility for server-side
- * Provides structured logging with environment-based filtering
+ * Provides structured logging with environment-based filtering, shipped to
+ * pluggable sinks (console, JSON lines file, OTLP/HTTP collector, memory).
+ * Entries written inside a traced request carry its correlation and trace IDs.
  * @module server/utils/logger
  */
 
+import { promises as fs } from "fs";
+import path from "path";
+
 /**
  * @typedef {'debug' | 'info' | 'warn' | 'error'} LogLevel
  */
@@ -19,6 +24,17 @@
  * @property {string} message - Log message
  * @property {string} timestamp - ISO timestamp
  * @property {LogContext} [context] - Optional context
+ * @property {string} [correlationId] - Request correlation ID, when traced
+ * @property {string} [traceId] - Trace the entry was written in
+ * @property {string} [spanId] - Span the entry was written in
+ */
+
+/**
+ * @typedef {Object} LogSink
+ * @property {string} name - Sink name, for diagnostics
+ * @property {(record: Object) => void} write - Receives `{ type: "log", ...entry }`
+ *   and `{ type: "span", ...span }` records; must not throw
+ * @property {() => Promise<void>} [flush] - Wait for buffered records to be written
  */
 
 /**
@@ -74,13 +90,458 @@ function getMinLogLevel() {
  * @returns {string}
  */
 function formatLogEntry(entry) {
-  const prefix = `[${entry.timestamp}] [${entry.level.toUpperCase()}]`;
+  const correlation = entry.correlationId ? ` [${entry.correlationId}]` : "";
+  const prefix = `[${entry.timestamp}] [${entry.level.toUpperCase()}]${correlation}`;
   if (entry.context && Object.keys(entry.context).length > 0) {
     return `${prefix} ${entry.message} ${JSON.stringify(entry.context)}`;
   }
   return `${prefix} ${entry.message}`;
 }
 
+/**
+ * Default path for the JSON lines sink
+ * @type {string}
+ */
+const DEFAULT_LOG_FILE_PATH = path.join(process.cwd(), "tmp", "logs", "server.jsonl");
+
+const DEFAULT_SERVICE_NAME = "exact-va";
+
+/**
+ * Reads process.env where available
+ * @returns {Record<string, string | undefined>}
+ */
+function readEnv() {
+  return typeof globalThis?.process?.env !== "undefined" ? globalThis.process.env : {};
+}
+
+/**
+ * JSON.stringify that tolerates cycles, BigInts, and Error values
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function safeStringify(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (key, current) => {
+    if (typeof current === "bigint") {
+      return current.toString();
+    }
+    if (current instanceof Error) {
+      return { name: current.name, message: current.message };
+    }
+    if (current && typeof current === "object") {
+      if (seen.has(current)) {
+        return "[Circular]";
+      }
+      seen.add(current);
+    }
+    return current;
+  });
+}
+
+/**
+ * Sink failures go straight to the console, once per sink and message, so a
+ * broken collector cannot loop back into the logger.
+ */
+const reportedSinkErrors = new Set();
+
+function reportSinkError(sinkName, error) {
+  const message = error?.message || String(error);
+  const marker = `${sinkName}|${message}`;
+  if (reportedSinkErrors.has(marker)) {
+    return;
+  }
+  reportedSinkErrors.add(marker);
+  console.error(`[logger] ${sinkName} sink failed: ${message}`);
+}
+
+/**
+ * Console sink with the human-readable line format. Spans are not printed;
+ * ship them to a file or collector sink instead.
+ * @returns {LogSink}
+ */
+function createConsoleSink() {
+  return {
+    name: "console",
+    write(record) {
+      if (record.type !== "log") {
+        return;
+      }
+      const formatted = formatLogEntry(record);
+      switch (record.level) {
+        case "debug":
+          console.debug(formatted);
+          break;
+        case "info":
+          console.info(formatted);
+          break;
+        case "warn":
+          console.warn(formatted);
+          break;
+        case "error":
+          console.error(formatted);
+          break;
+      }
+    },
+  };
+}
+
+/**
+ * JSON lines sink: appends one record per line to a file, in write order
+ * @param {Object} options
+ * @param {string} [options.filePath] - Target file (default tmp/logs/server.jsonl)
+ * @returns {LogSink}
+ */
+function createJsonLinesSink({ filePath = DEFAULT_LOG_FILE_PATH } = {}) {
+  let directoryReady = null;
+  let queue = Promise.resolve();
+  return {
+    name: "jsonl",
+    filePath,
+    write(record) {
+      const line = `${safeStringify(record)}\n`;
+      queue = queue
+        .then(async () => {
+          directoryReady ??= fs.mkdir(path.dirname(filePath), { recursive: true });
+          await directoryReady;
+          await fs.appendFile(filePath, line, "utf8");
+        })
+        .catch((error) => reportSinkError("jsonl", error));
+    },
+    flush() {
+      return queue;
+    },
+  };
+}
+
+const OTLP_SPAN_KINDS = { INTERNAL: 1, SERVER: 2, CLIENT: 3, PRODUCER: 4, CONSUMER: 5 };
+const OTLP_STATUS_CODES = { UNSET: 0, OK: 1, ERROR: 2 };
+const OTLP_SEVERITY_NUMBERS = { debug: 5, info: 9, warn: 13, error: 17 };
+const OTLP_SCOPE = { name: DEFAULT_SERVICE_NAME };
+
+function toOtlpValue(value) {
+  if (typeof value === "boolean") {
+    return { boolValue: value };
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toOtlpValue) } };
+  }
+  if (value && typeof value === "object") {
+    return { stringValue: safeStringify(value) };
+  }
+  return { stringValue: String(value) };
+}
+
+function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes ?? {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+function otlpResource(serviceName) {
+  return { attributes: toOtlpAttributes({ "service.name": serviceName }) };
+}
+
+/**
+ * Encodes span records as an OTLP/HTTP JSON `ExportTraceServiceRequest`
+ * @param {Object[]} spans - Span records from server/utils/tracing
+ * @param {string} [serviceName]
+ * @returns {Object}
+ */
+function toOtlpTraces(spans, serviceName = DEFAULT_SERVICE_NAME) {
+  return {
+    resourceSpans: [
+      {
+        resource: otlpResource(serviceName),
+        scopeSpans: [
+          {
+            scope: OTLP_SCOPE,
+            spans: spans.map((span) => ({
+              traceId: span.traceId,
+              spanId: span.spanId,
+              parentSpanId: span.parentSpanId ?? "",
+              name: span.name,
+              kind: OTLP_SPAN_KINDS[span.kind] ?? OTLP_SPAN_KINDS.INTERNAL,
+              startTimeUnixNano: span.startTimeUnixNano,
+              endTimeUnixNano: span.endTimeUnixNano,
+              attributes: toOtlpAttributes({ ...span.attributes, "correlation.id": span.correlationId }),
+              events: (span.events ?? []).map((event) => ({
+                name: event.name,
+                timeUnixNano: event.timeUnixNano,
+                attributes: toOtlpAttributes(event.attributes),
+              })),
+              status: {
+                code: OTLP_STATUS_CODES[span.status?.code] ?? OTLP_STATUS_CODES.UNSET,
+                ...(span.status?.message ? { message: span.status.message } : {}),
+              },
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Encodes log records as an OTLP/HTTP JSON `ExportLogsServiceRequest`
+ * @param {Object[]} entries - Log records
+ * @param {string} [serviceName]
+ * @returns {Object}
+ */
+function toOtlpLogs(entries, serviceName = DEFAULT_SERVICE_NAME) {
+  return {
+    resourceLogs: [
+      {
+        resource: otlpResource(serviceName),
+        scopeLogs: [
+          {
+            scope: OTLP_SCOPE,
+            logRecords: entries.map((entry) => ({
+              timeUnixNano: String(BigInt(Date.parse(entry.timestamp) || 0) * 1_000_000n),
+              severityNumber: OTLP_SEVERITY_NUMBERS[entry.level] ?? 0,
+              severityText: entry.level.toUpperCase(),
+              body: { stringValue: entry.message },
+              attributes: toOtlpAttributes({ ...entry.context, "correlation.id": entry.correlationId }),
+              ...(entry.traceId ? { traceId: entry.traceId, spanId: entry.spanId ?? "" } : {}),
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * HTTP collector sink: batches records and posts them as OTLP/HTTP JSON to
+ * `<endpoint>/v1/traces` and `<endpoint>/v1/logs`
+ * @param {Object} options
+ * @param {string} options.endpoint - Collector base URL, e.g. http://localhost:4318
+ * @param {Record<string, string>} [options.headers] - Extra request headers
+ * @param {string} [options.serviceName] - `service.name` resource attribute
+ * @param {number} [options.batchSize=50] - Records that trigger an immediate post
+ * @param {number} [options.flushIntervalMs=2000] - Max time a record waits
+ * @param {typeof fetch} [options.fetchImpl]
+ * @returns {LogSink}
+ */
+function createHttpSink({
+  endpoint,
+  headers = {},
+  serviceName = DEFAULT_SERVICE_NAME,
+  batchSize = 50,
+  flushIntervalMs = 2000,
+  fetchImpl = globalThis.fetch,
+} = {}) {
+  const base = String(endpoint ?? "").replace(/\/+$/, "");
+  const inflight = new Set();
+  let logs = [];
+  let spans = [];
+  let timer = null;
+
+  async function post(pathname, payload) {
+    try {
+      const response = await fetchImpl(`${base}${pathname}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: safeStringify(payload),
+      });
+      if (!response.ok) {
+        reportSinkError("http", new Error(`collector responded ${response.status}`));
+      }
+    } catch (error) {
+      reportSinkError("http", error);
+    }
+  }
+
+  function send() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const posts = [];
+    if (spans.length > 0) {
+      posts.push(post("/v1/traces", toOtlpTraces(spans, serviceName)));
+    }
+    if (logs.length > 0) {
+      posts.push(post("/v1/logs", toOtlpLogs(logs, serviceName)));
+    }
+    logs = [];
+    spans = [];
+    const pending = Promise.all(posts).finally(() => inflight.delete(pending));
+    inflight.add(pending);
+    return pending;
+  }
+
+  return {
+    name: "http",
+    write(record) {
+      (record.type === "span" ? spans : logs).push(record);
+      if (logs.length + spans.length >= batchSize) {
+        send();
+      } else if (!timer) {
+        timer = setTimeout(send, flushIntervalMs);
+        timer.unref?.();
+      }
+    },
+    async flush() {
+      send();
+      await Promise.all(inflight);
+    },
+  };
+}
+
+/**
+ * In-memory sink for tests
+ * @returns {LogSink & { records: Object[], logs: Object[], spans: Object[], clear: () => void }}
+ */
+function createMemorySink() {
+  const records = [];
+  return {
+    name: "memory",
+    records,
+    get logs() {
+      return records.filter((record) => record.type === "log");
+    },
+    get spans() {
+      return records.filter((record) => record.type === "span");
+    },
+    write(record) {
+      records.push(record);
+    },
+    clear() {
+      records.length = 0;
+    },
+    async flush() {},
+  };
+}
+
+/**
+ * Parses `key=value,key2=value2` header lists (the OTEL_EXPORTER_OTLP_HEADERS format)
+ * @param {string} [value]
+ * @returns {Record<string, string>}
+ */
+function parseHeaderList(value) {
+  const headers = {};
+  for (const pair of String(value ?? "").split(",")) {
+    const index = pair.indexOf("=");
+    if (index > 0) {
+      headers[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * Builds the sinks named in LOG_SINKS (comma-separated; default "console")
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {LogSink[]}
+ */
+function createLogSinksFromEnv(env = readEnv()) {
+  const names = (env.LOG_SINKS || "console")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  const sinks = [];
+  for (const name of new Set(names)) {
+    if (name === "console") {
+      sinks.push(createConsoleSink());
+    } else if (name === "jsonl") {
+      sinks.push(createJsonLinesSink({ filePath: env.LOG_FILE_PATH || DEFAULT_LOG_FILE_PATH }));
+    } else if (name === "http") {
+      const endpoint = env.LOG_HTTP_ENDPOINT || env.OTEL_EXPORTER_OTLP_ENDPOINT;
+      if (!endpoint) {
+        console.warn("[logger] LOG_SINKS includes http but LOG_HTTP_ENDPOINT is not set; skipping");
+        continue;
+      }
+      sinks.push(
+        createHttpSink({
+          endpoint,
+          headers: parseHeaderList(env.LOG_HTTP_HEADERS ?? env.OTEL_EXPORTER_OTLP_HEADERS),
+          serviceName: env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME,
+        })
+      );
+    } else if (name === "memory") {
+      sinks.push(createMemorySink());
+    } else {
+      console.warn(`[logger] Unknown log sink "${name}" in LOG_SINKS; skipping`);
+    }
+  }
+  return sinks;
+}
+
+/** @type {LogSink[] | null} */
+let activeSinks = null;
+
+/**
+ * Sinks records are currently shipped to, built from the environment on first use
+ * @returns {LogSink[]}
+ */
+function getLogSinks() {
+  activeSinks ??= createLogSinksFromEnv();
+  return activeSinks;
+}
+
+/**
+ * Replaces the active sinks; pass null to rebuild them from the environment
+ * @param {LogSink[] | null} sinks
+ * @returns {LogSink[]} The sinks that were active before
+ */
+function setLogSinks(sinks) {
+  const previous = getLogSinks();
+  activeSinks = sinks ? [...sinks] : null;
+  return previous;
+}
+
+/**
+ * Adds a sink alongside the active ones
+ * @param {LogSink} sink
+ * @returns {() => void} Removes the sink again
+ */
+function addLogSink(sink) {
+  getLogSinks().push(sink);
+  return () => {
+    activeSinks = getLogSinks().filter((candidate) => candidate !== sink);
+  };
+}
+
+/**
+ * Hands a record to every active sink
+ * @param {Object} record - `{ type: "log" | "span", ... }`
+ */
+function writeLogRecord(record) {
+  for (const sink of getLogSinks()) {
+    try {
+      sink.write(record);
+    } catch (error) {
+      reportSinkError(sink.name ?? "unknown", error);
+    }
+  }
+}
+
+/**
+ * Waits for buffered records in every sink to be written
+ * @returns {Promise<void>}
+ */
+async function flushLogs() {
+  await Promise.all(getLogSinks().map((sink) => sink.flush?.()));
+}
+
+/**
+ * Supplies correlation fields for new entries; set by server/utils/tracing
+ * @type {(() => Object | null) | null}
+ */
+let logContextProvider = null;
+
+/**
+ * Registers the function that returns `{ correlationId, traceId, spanId }`
+ * for the code currently running
+ * @param {(() => Object | null) | null} provider
+ */
+function setLogContextProvider(provider) {
+  logContextProvider = provider;
+}
+
 /**
  * Logger class with structured logging support
  */
@@ -118,11 +579,12 @@ class Logger {
       message: fullMessage,
       timestamp: new Date().toISOString(),
       context,
+      ...(logContextProvider?.() ?? {}),
     };
   }
 
   /**
-   * Outputs a log entry to the appropriate console method
+   * Ships a log entry to the active sinks
    * @param {LogEntry} entry - Log entry
    */
   output(entry) {
@@ -130,22 +592,7 @@ class Logger {
       return;
     }
 
-    const formatted = formatLogEntry(entry);
-
-    switch (entry.level) {
-      case "debug":
-        console.debug(formatted);
-        break;
-      case "info":
-        console.info(formatted);
-        break;
-      case "warn":
-        console.warn(formatted);
-        break;
-      case "error":
-        console.error(formatted);
-        break;
-    }
+    writeLogRecord({ type: "log", ...entry });
   }
 
   /**
@@ -246,7 +693,7 @@ const validationLogger = createLogger("validation");
 const charterLogger = createLogger("charter");
 const documentLogger = createLogger("document");
 
-module.exports = {
+export {
   Logger,
   logger,
   createLogger,
@@ -255,4 +702,17 @@ module.exports = {
   validationLogger,
   charterLogger,
   documentLogger,
+  createConsoleSink,
+  createJsonLinesSink,
+  createHttpSink,
+  createMemorySink,
+  createLogSinksFromEnv,
+  getLogSinks,
+  setLogSinks,
+  addLogSink,
+  writeLogRecord,
+  flushLogs,
+  setLogContextProvider,
+  toOtlpTraces,
+  toOtlpLogs,
 };
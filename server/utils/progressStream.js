@@ -0,0 +1,96 @@
+/**
+ * Progress streaming for long-running document endpoints
+ *
+ * Endpoints that may run several LLM calls (chunked analysis and extraction)
+ * report progress as Server-Sent Events when the client asks for them with
+ * `Accept: text/event-stream`. Other clients get the usual JSON response.
+ *
+ * Events:
+ * - `progress` — `{ stage, completed, total, chunk }`
+ * - `result` — `{ status, payload }`: the HTTP status and body the JSON
+ *   response would have carried; always the last event
+ *
+ * Headers are sent on the first event, so validation errors raised before
+ * any progress still go out as regular JSON responses.
+ *
+ * @module server/utils/progressStream
+ */
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Whether the request asked for a progress stream.
+ * @param {{ headers?: Record<string, string | string[] | undefined> }} req
+ * @returns {boolean}
+ */
+export function wantsProgressStream(req) {
+  const accept = req?.headers?.accept ?? req?.headers?.Accept;
+  const value = Array.isArray(accept) ? accept.join(",") : accept;
+  return typeof value === "string" && value.includes("text/event-stream");
+}
+
+/**
+ * Creates a progress stream for the request, or null when the client did not
+ * ask for one.
+ * @param {Object} req
+ * @param {Object} res
+ */
+export function createProgressStream(req, res) {
+  if (!wantsProgressStream(req)) {
+    return null;
+  }
+
+  let started = false;
+  let closed = false;
+
+  function start() {
+    if (started) {
+      return;
+    }
+    started = true;
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    if (typeof res.flushHeaders === "function") {
+      res.flushHeaders();
+    }
+  }
+
+  return {
+    get started() {
+      return started;
+    },
+
+    /**
+     * Sends a progress event.
+     * @param {Object} data
+     */
+    progress(data) {
+      if (closed) {
+        return;
+      }
+      start();
+      sendEvent(res, "progress", data);
+    },
+
+    /**
+     * Sends the final response and closes the stream.
+     * @param {number} status - HTTP status the JSON response would have used
+     * @param {Object} payload - Response body
+     */
+    result(status, payload) {
+      if (closed) {
+        return;
+      }
+      start();
+      closed = true;
+      sendEvent(res, "result", { status, payload });
+      res.end();
+    },
+  };
+}
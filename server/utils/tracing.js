@@ -0,0 +1,281 @@
+/**
+ * Request tracing
+ *
+ * Mints a correlation ID per request (or adopts the caller's `X-Correlation-Id`
+ * / `X-Request-Id`) and carries it, with the active trace and span, through
+ * the async call chain. Spans follow the OpenTelemetry data model (W3C trace
+ * and span IDs, kinds, attributes, events, status) and are shipped to the
+ * logger's sinks as `{ type: "span" }` records when they end. Log entries
+ * written inside a trace pick up its IDs automatically.
+ *
+ * @module server/utils/tracing
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import { performance } from "perf_hooks";
+
+import { createLogger, setLogContextProvider, writeLogRecord } from "./logger.js";
+
+const storage = new AsyncLocalStorage();
+const requestLogger = createLogger("request");
+
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const ZERO_TRACE_ID = "0".repeat(32);
+const ZERO_SPAN_ID = "0".repeat(16);
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function toUnixNano(ms) {
+  return BigInt(Math.round(ms * 1000)) * 1000n;
+}
+
+function readHeader(headers, name) {
+  const value = headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function cleanCorrelationId(value) {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  return CORRELATION_ID_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Parse a W3C `traceparent` header
+ * @param {string} [header]
+ * @returns {{ traceId: string, spanId: string } | null}
+ */
+export function parseTraceparent(header) {
+  const match = typeof header === "string" ? TRACEPARENT_PATTERN.exec(header.trim().toLowerCase()) : null;
+  if (!match || match[1] === ZERO_TRACE_ID || match[2] === ZERO_SPAN_ID) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2] };
+}
+
+/**
+ * A timed operation within a trace. Create with startSpan or withSpan.
+ */
+export class Span {
+  constructor(name, { kind = "INTERNAL", traceId, parentSpanId = null, correlationId = null, attributes = {} } = {}) {
+    this.name = name;
+    this.kind = kind;
+    this.traceId = traceId ?? randomHex(16);
+    this.spanId = randomHex(8);
+    this.parentSpanId = parentSpanId;
+    this.correlationId = correlationId;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: "UNSET" };
+    this.ended = false;
+    this.startTimeUnixNano = toUnixNano(Date.now());
+    this.startedAt = performance.now();
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes ?? {})) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, timeUnixNano: String(toUnixNano(Date.now())), attributes });
+    return this;
+  }
+
+  /**
+   * @param {"UNSET" | "OK" | "ERROR"} code
+   * @param {string} [message] - Only kept for ERROR, as in OpenTelemetry
+   */
+  setStatus(code, message) {
+    this.status = code === "ERROR" && message ? { code, message } : { code };
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent("exception", {
+      "exception.type": error?.name ?? typeof error,
+      "exception.message": error?.message ?? String(error),
+    });
+    return this.setStatus("ERROR", error?.message ?? String(error));
+  }
+
+  /**
+   * Finish the span and ship it to the log sinks. Later calls are ignored.
+   */
+  end() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    const durationMs = performance.now() - this.startedAt;
+    writeLogRecord({
+      type: "span",
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      correlationId: this.correlationId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTimeUnixNano),
+      endTimeUnixNano: String(this.startTimeUnixNano + BigInt(Math.round(durationMs * 1e6))),
+      durationMs: Math.round(durationMs * 1000) / 1000,
+      attributes: this.attributes,
+      events: this.events,
+      status: this.status,
+    });
+  }
+}
+
+/**
+ * Correlation ID, trace ID, and active span ID of the running code, or null
+ * outside a trace
+ * @returns {{ correlationId: string | null, traceId: string, spanId: string } | null}
+ */
+export function getTraceContext() {
+  const store = storage.getStore();
+  return store ? { correlationId: store.correlationId, traceId: store.traceId, spanId: store.spanId } : null;
+}
+
+/**
+ * Correlation ID of the request being served, or null
+ */
+export function getCorrelationId() {
+  return storage.getStore()?.correlationId ?? null;
+}
+
+setLogContextProvider(() => {
+  const context = getTraceContext();
+  if (!context) {
+    return null;
+  }
+  return context.correlationId ? context : { traceId: context.traceId, spanId: context.spanId };
+});
+
+/**
+ * Headers that carry the current trace to another service
+ * @returns {Record<string, string>}
+ */
+export function traceHeaders() {
+  const context = getTraceContext();
+  if (!context) {
+    return {};
+  }
+  return {
+    traceparent: `00-${context.traceId}-${context.spanId}-01`,
+    ...(context.correlationId ? { "x-correlation-id": context.correlationId } : {}),
+  };
+}
+
+/**
+ * Start a span under the active one (or a new trace outside any). The
+ * caller must end it; use withSpan when the work fits in one callback.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {"INTERNAL" | "SERVER" | "CLIENT" | "PRODUCER" | "CONSUMER"} [options.kind]
+ * @param {Object} [options.attributes]
+ * @returns {Span}
+ */
+export function startSpan(name, { kind, attributes } = {}) {
+  const parent = storage.getStore();
+  return new Span(name, {
+    kind,
+    attributes,
+    traceId: parent?.traceId,
+    parentSpanId: parent?.spanId ?? null,
+    correlationId: parent?.correlationId ?? null,
+  });
+}
+
+/**
+ * Run `fn(span)` inside a new span that is active for everything it awaits.
+ * Exceptions mark the span as failed and are rethrown.
+ * @template T
+ * @param {string} name
+ * @param {Object | ((span: Span) => Promise<T> | T)} options - Span options, or `fn`
+ * @param {(span: Span) => Promise<T> | T} [fn]
+ * @returns {Promise<T>}
+ */
+export function withSpan(name, options, fn) {
+  if (typeof options === "function") {
+    return withSpan(name, {}, options);
+  }
+  const span = startSpan(name, options);
+  return runInSpan(span, fn);
+}
+
+function runInSpan(span, fn) {
+  return storage.run(
+    { correlationId: span.correlationId, traceId: span.traceId, spanId: span.spanId },
+    async () => {
+      try {
+        return await fn(span);
+      } catch (error) {
+        span.recordException(error);
+        throw error;
+      } finally {
+        span.end();
+      }
+    }
+  );
+}
+
+/**
+ * Wrap a Node API handler so each request gets a correlation ID, echoed in
+ * the `X-Correlation-Id` response header, and a SERVER span that parents
+ * every span the handler opens. An incoming `traceparent` continues the
+ * caller's trace.
+ * @param {Function} handler - `(req, res) => Promise`
+ * @param {Object} options
+ * @param {string} options.route - Route path, e.g. "/api/chat"
+ */
+export function withRequestTrace(handler, { route }) {
+  return function tracedHandler(req, res) {
+    const headers = req?.headers ?? {};
+    const correlationId =
+      cleanCorrelationId(readHeader(headers, "x-correlation-id")) ??
+      cleanCorrelationId(readHeader(headers, "x-request-id")) ??
+      crypto.randomUUID();
+    const parent = parseTraceparent(readHeader(headers, "traceparent"));
+    const method = req?.method ?? "GET";
+
+    if (typeof res?.setHeader === "function" && !res.headersSent) {
+      res.setHeader("X-Correlation-Id", correlationId);
+    }
+
+    const span = new Span(`${method} ${route}`, {
+      kind: "SERVER",
+      traceId: parent?.traceId,
+      parentSpanId: parent?.spanId ?? null,
+      correlationId,
+      attributes: { "http.request.method": method, "http.route": route },
+    });
+
+    return runInSpan(span, async () => {
+      try {
+        return await handler(req, res);
+      } finally {
+        const statusCode = res?.statusCode;
+        span.setAttribute("http.response.status_code", statusCode);
+        if (statusCode >= 500 && span.status.code === "UNSET") {
+          span.setStatus("ERROR", `HTTP ${statusCode}`);
+        }
+        requestLogger.info(`${method} ${route} ${statusCode ?? "-"}`, {
+          durationMs: Math.round(performance.now() - span.startedAt),
+        });
+      }
+    });
+  };
+}
@@ -7,9 +7,14 @@ import PreviewEditable from "./components/PreviewEditable";
 import DocTypeModal from "./components/DocTypeModal";
 import getBlankDoc from "./utils/getBlankDoc.js";
 import normalizeCharter from "../server/charter/utils/normalize.js";
-import useBackgroundExtraction, { onFileAttached } from "./hooks/useBackgroundExtraction";
+import useBackgroundExtraction, {
+  formatChunkConflictMessage,
+  onFileAttached,
+} from "./hooks/useBackgroundExtraction";
 import { useSpeechInput } from "./hooks/useSpeechInput.ts";
-import mergeIntoDraftWithLocks from "./lib/preview/mergeIntoDraftWithLocks.js";
+import mergeIntoDraftWithLocks, {
+  collectLockConflicts,
+} from "./lib/preview/mergeIntoDraftWithLocks.js";
 import {
   handleSyncCommand,
   handleTypeCommand,
@@ -22,6 +27,7 @@ import { normalizeCharterFormSchema } from "./features/charter/utils/formSchema.
 import { detectCharterIntent } from "./utils/detectCharterIntent.js";
 import { mergeStoredSession, readStoredSession } from "./utils/storage.js";
 import { docApi } from "./lib/docApi.js";
+import { formatChunkProgress } from "./lib/progressStream.js";
 import {
   isIntentOnlyExtractionEnabled,
 } from "../config/featureFlags.js";
@@ -37,6 +43,7 @@ import {
   lockDraftPaths,
   resetDraftLocks,
   clearDraftHighlights,
+  clearDraftMetadata,
 } from "./state/draftStore.js";
 import {
   chatActions,
@@ -61,7 +68,15 @@ import CharterFieldSession from "./chat/CharterFieldSession.tsx";
 import VoiceCharterSession from "./components/VoiceCharterSession.tsx";
 import VoiceCharterPrompt from "./components/VoiceCharterPrompt.tsx";
 import ReviewPanel from "./components/ReviewPanel.jsx";
+import ApprovalsPanel from "./components/ApprovalsPanel.jsx";
+import PortfolioDashboard from "./components/PortfolioDashboard.jsx";
+import CarryoverPanel from "./components/CarryoverPanel.jsx";
+import SmartsheetExportPanel from "./components/SmartsheetExportPanel.jsx";
 import { useCharterReview } from "./hooks/useCharterReview.ts";
+import { useOfflineSync } from "./hooks/useOfflineSync.ts";
+import { enqueueOfflineRequest, isOfflineError } from "./offline/offlineQueue.ts";
+import { loadOfflineDraft, saveOfflineDraft } from "./offline/draftPersistence.ts";
+import { extractAndPopulate } from "./utils/extractAndPopulate.js";
 import { conversationActions, useConversationState } from "./state/conversationStore.ts";
 import {
   voiceCharterActions,
@@ -69,6 +84,7 @@ import {
   useAiSpeaking,
 } from "./state/slices/voiceCharter.ts";
 import { voiceCharterService } from "./voice/VoiceCharterService.ts";
+import { summarizeVoiceSession } from "./voice/voiceSessionPersistence.ts";
 
 /**
  * Helper to convert a draft value to a display string for voice prompts.
@@ -113,7 +129,8 @@ function formatDraftValueForDisplay(value, fieldId) {
 import { sendRealtimeEvent, createSessionUpdateEvent, createConversationItemEvent, createResponseEvent } from "./voice/realtimeEvents.ts";
 import { createGuidedOrchestrator } from "./features/charter/guidedOrchestrator.ts";
 import { createInitialGuidedState } from "./features/charter/guidedState.ts";
-import { SYSTEM_PROMPT as CHARTER_GUIDED_SYSTEM_PROMPT } from "./features/charter/prompts.ts";
+import { getSystemPrompt as getCharterGuidedSystemPrompt } from "./features/charter/prompts.ts";
+import { listLocaleOptions, normalizeLocale } from "../lib/i18n/locales.js";
 import { guidedStateToCharterDTO } from "./features/charter/persist.ts";
 import { runVoiceFieldExtraction } from "./features/charter/voiceFieldController.ts";
 import { getChatPanelClass, getPreviewPanelClass } from "./features/previewFocus/layout.ts";
@@ -137,6 +154,12 @@ if (SHOULD_INSTALL_SYNC_TELEMETRY) {
 }
 
 const THEME_STORAGE_KEY = "eva-theme-mode";
+const CHARTER_LOCALE_STORAGE_KEY = "eva-charter-locale";
+const CHARTER_BILINGUAL_STORAGE_KEY = "eva-charter-bilingual";
+const CHARTER_LOCALE_OPTIONS = listLocaleOptions();
+const OFFLINE_MODE_ENABLED = FLAGS.OFFLINE_MODE_ENABLED;
+// Cypress safe mode starts every run from a blank draft
+const OFFLINE_DRAFTS_ENABLED = OFFLINE_MODE_ENABLED && !SAFE_MODE;
 const MANUAL_PARSE_FALLBACK_MESSAGE = "I couldn’t parse the last turn—keeping your entries.";
 const MANUAL_SYNC_DOC_TYPE_PROMPT =
   "Confirm a document template so I know what to sync. Pick one in the modal or run `/type <id>`.";
@@ -956,6 +979,38 @@ const seedMessages = [
   },
 ];
 
+function formatConflictValue(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (Array.isArray(value) && value.every((entry) => typeof entry === "string")) {
+    return value.join(", ");
+  }
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+}
+
+const MAX_LISTED_CONFLICTS = 10;
+
+function formatLockConflictMessage(conflicts) {
+  const lines = conflicts
+    .slice(0, MAX_LISTED_CONFLICTS)
+    .map(
+      ({ path, current, incoming }) =>
+        `- ${path}: kept “${formatConflictValue(current)}” (extraction suggested “${formatConflictValue(incoming)}”)`
+    );
+  if (conflicts.length > MAX_LISTED_CONFLICTS) {
+    lines.push(`- …and ${conflicts.length - MAX_LISTED_CONFLICTS} more`);
+  }
+  return [
+    "I ran the extraction queued while you were offline. You edited these fields in the meantime, so your values were kept:",
+    ...lines,
+  ].join("\n");
+}
+
 function createTempId() {
   if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
     return crypto.randomUUID();
@@ -965,6 +1020,7 @@ function createTempId() {
 
 export default function ExactVirtualAssistantPM() {
   const initialDraftRef = useRef(null);
+  const restoredDraftLocksRef = useRef(null);
   const intentOnlyExtractionEnabled = INTENT_ONLY_EXTRACTION_ENABLED;
   const legacyAutoExtractionEnabled = !intentOnlyExtractionEnabled;
   const {
@@ -1034,7 +1090,9 @@ export default function ExactVirtualAssistantPM() {
     reset: resetAnalysis,
     isEnabled: isAnalysisFeatureEnabled,
     error: analysisError,
+    progress: analysisProgress,
   } = documentAnalysis;
+  const analysisProgressLabel = formatChunkProgress(analysisProgress);
 
   useEffect(() => {
     if (typeof window !== "undefined" && window.Cypress) {
@@ -1654,7 +1712,9 @@ export default function ExactVirtualAssistantPM() {
     return docTypeConfig.createBlank();
   }, [docTypeConfig, previewDocType]);
   if (initialDraftRef.current === null && previewDocType) {
-    initialDraftRef.current = createBlankDraft();
+    const storedDraft = OFFLINE_DRAFTS_ENABLED ? loadOfflineDraft(previewDocType) : null;
+    initialDraftRef.current = storedDraft?.draft ?? createBlankDraft();
+    restoredDraftLocksRef.current = storedDraft?.lockedPointers ?? null;
   }
   const normalizeDraft = useCallback(
     (draft) => (previewDocType ? docTypeConfig.normalize(draft) : GENERIC_DOC_NORMALIZER(draft)),
@@ -1678,8 +1738,12 @@ export default function ExactVirtualAssistantPM() {
   const [isGeneratingExportLinks, setIsGeneratingExportLinks] = useState(false);
   const [rtcState, setRtcState] = useState("idle");
   const [showVoiceCharterPrompt, setShowVoiceCharterPrompt] = useState(false);
+  const [resumableVoiceSession, setResumableVoiceSession] = useState(() =>
+    voiceCharterService.getResumableSession()
+  );
   const [pendingVoiceCharter, setPendingVoiceCharter] = useState(false);
   const [showReviewPanel, setShowReviewPanel] = useState(false);
+  const [showPortfolio, setShowPortfolio] = useState(false);
   const [isCharterSyncing, setIsCharterSyncing] = useState(false);
   const draftStatus = useDraftStatus();
   const isDraftSyncing = draftStatus === "merging";
@@ -1728,6 +1792,16 @@ export default function ExactVirtualAssistantPM() {
     const useDark = mode === "dark" || (mode === "auto" && prefersDark);
     return useDark ? "dark" : "light";
   });
+  // Interview and document language; applies to new guided and voice sessions
+  const [charterLocale, setCharterLocale] = useState(() => {
+    if (typeof window === "undefined") return "en";
+    return normalizeLocale(window.localStorage.getItem(CHARTER_LOCALE_STORAGE_KEY));
+  });
+  const [charterBilingual, setCharterBilingual] = useState(() => {
+    if (typeof window === "undefined") return false;
+    return window.localStorage.getItem(CHARTER_BILINGUAL_STORAGE_KEY) === "true";
+  });
+  const charterLocaleRef = useRef(charterLocale);
   const shareLinksHealthRef = useRef({ status: "unknown" });
   const shareLinksWarningPostedRef = useRef(false);
   // voice picker removed; server uses env OPENAI_REALTIME_VOICE
@@ -1763,6 +1837,29 @@ export default function ExactVirtualAssistantPM() {
     pointerLocksRef.current = pointerLocks;
   }, [pointerLocks]);
 
+  // Fields locked in a draft restored from local storage stay locked, so
+  // queued extractions cannot overwrite edits made before the reload
+  useEffect(() => {
+    const pointers = restoredDraftLocksRef.current;
+    restoredDraftLocksRef.current = null;
+    if (Array.isArray(pointers) && pointers.length > 0) {
+      lockDraftPaths(pointers);
+    }
+  }, [previewDocType]);
+
+  useEffect(() => {
+    if (!OFFLINE_DRAFTS_ENABLED || !previewDocType || !charterPreview) {
+      return;
+    }
+    saveOfflineDraft({
+      docType: previewDocType,
+      draft: charterPreview,
+      lockedPointers: Array.from(pointerLocks.entries())
+        .filter(([, locked]) => locked)
+        .map(([pointer]) => pointer),
+    });
+  }, [charterPreview, pointerLocks, previewDocType]);
+
   useEffect(() => {
     if (!pointerHighlights || pointerHighlights.size === 0) {
       return undefined;
@@ -1841,6 +1938,21 @@ export default function ExactVirtualAssistantPM() {
     mergeStoredSession({ attachments, messages });
   }, [attachments, messages]);
 
+  // Stable id that approvals and finalization records are filed under.
+  const [charterRecordId] = useState(() => {
+    const stored = storedContextRef.current;
+    return typeof stored?.charterId === "string" && stored.charterId
+      ? stored.charterId
+      : createId();
+  });
+
+  useEffect(() => {
+    if (SAFE_MODE) {
+      return;
+    }
+    mergeStoredSession({ charterId: charterRecordId });
+  }, [charterRecordId]);
+
   const getCurrentDraft = useCallback(() => charterDraftRef.current, []);
 
   useEffect(() => {
@@ -1929,6 +2041,7 @@ export default function ExactVirtualAssistantPM() {
 
   const {
     isExtracting,
+    progress: extractionProgress,
     error: extractError,
     clearError: clearExtractionError,
     trigger: triggerExtraction,
@@ -2015,6 +2128,7 @@ export default function ExactVirtualAssistantPM() {
     setShowDocTypeModal(true);
   }, [docRouterEnabled, hasConfirmedDocType, canSyncNow]);
   const isCharterSyncInFlight = isExtracting || isCharterSyncing || isPreviewSyncing;
+  const extractionProgressLabel = formatChunkProgress(extractionProgress);
   const activeCharterError = charterSyncError || extractError;
 
   const applyCharterDraft = useCallback(
@@ -2165,6 +2279,22 @@ export default function ExactVirtualAssistantPM() {
     }
   };
 
+  const handleCharterLocaleChange = (value) => {
+    setCharterLocale(normalizeLocale(value));
+  };
+
+  useEffect(() => {
+    charterLocaleRef.current = charterLocale;
+    guidedOrchestratorRef.current?.setLocale(charterLocale);
+    if (typeof window === "undefined") return;
+    window.localStorage.setItem(CHARTER_LOCALE_STORAGE_KEY, charterLocale);
+  }, [charterLocale]);
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    window.localStorage.setItem(CHARTER_BILINGUAL_STORAGE_KEY, String(charterBilingual));
+  }, [charterBilingual]);
+
   useEffect(() => {
     if (typeof window === "undefined" || typeof document === "undefined") return undefined;
     const mediaQuery = typeof window.matchMedia === "function" ? window.matchMedia("(prefers-color-scheme: dark)") : null;
@@ -2233,6 +2363,7 @@ export default function ExactVirtualAssistantPM() {
         onPendingChange: setGuidedPendingProposal,
         extractFieldsFromUtterance: runGuidedExtraction,
         getExtractionContext: resolveGuidedExtractionContext,
+        locale: charterLocaleRef.current,
       });
     }
 
@@ -2923,6 +3054,7 @@ const resolveDocTypeForManualSync = useCallback(
       docType: requestDocType,
       document: effectiveDraft,
       charter: requestDocType === "charter" ? effectiveDraft : undefined,
+      language: charterLocale,
     };
 
     if (suggested && typeof suggested?.type === "string") {
@@ -3044,6 +3176,10 @@ const resolveDocTypeForManualSync = useCallback(
     if (!requestPayload.docType && typeof requestDocType === "string") {
       requestPayload.docType = requestDocType;
     }
+    // Binds the signed links to the charter's sharing settings
+    if (!requestPayload.charterId && charterRecordId) {
+      requestPayload.charterId = charterRecordId;
+    }
 
     const normalizedDocType =
       typeof requestPayload.docType === "string"
@@ -3128,6 +3264,11 @@ const resolveDocTypeForManualSync = useCallback(
     }
     if (requestDocType === "charter") {
       docPayload.charter = document;
+      // Template translations exist for charters only
+      if (charterLocale !== "en") {
+        docPayload.language = charterLocale;
+        docPayload.bilingual = charterBilingual;
+      }
     }
     if (suggested && typeof suggested?.type === "string") {
       docPayload.docTypeDetection = {
@@ -3193,7 +3334,28 @@ const resolveDocTypeForManualSync = useCallback(
     includeDocx = true,
     includePdf = true,
     introText,
+    queueOffline = true,
   } = {}) => {
+    // Offline requests are queued and replayed against the latest draft;
+    // replays pass queueOffline: false so the queue keeps the request
+    const handleOfflineExport = (error) => {
+      if (!OFFLINE_MODE_ENABLED || !isOfflineError(error)) {
+        return null;
+      }
+      if (!queueOffline) {
+        return { ok: false, reason: "offline", error };
+      }
+      enqueueOfflineRequest({
+        kind: "render",
+        docType: requestDocType,
+        payload: { baseName, includeDocx, includePdf, introText },
+      });
+      appendAssistantMessage(
+        "You're offline. I'll create the export links when you reconnect."
+      );
+      return { ok: false, reason: "queued" };
+    };
+
     const flushedDraft = flushGuidedAnswers();
     const coerceDraft = (value) =>
       value && typeof value === "object" && !Array.isArray(value) ? value : null;
@@ -3209,6 +3371,10 @@ const resolveDocTypeForManualSync = useCallback(
 
     const validation = await validateCharter(normalizedDocument ?? latestDraft);
     if (!validation.ok) {
+      const offlineResult = handleOfflineExport(validation.cause);
+      if (offlineResult) {
+        return offlineResult;
+      }
       postValidationErrorsToChat(validation.errors);
       return { ok: false, reason: "validation" };
     }
@@ -3258,6 +3424,11 @@ const resolveDocTypeForManualSync = useCallback(
         return { ok: false, reason: "http", status: error.status, payload: error?.payload };
       }
 
+      const offlineResult = handleOfflineExport(error);
+      if (offlineResult) {
+        return offlineResult;
+      }
+
       console.error(`${endpointLabel} network error`, error);
       appendAssistantMessage(
         "Export link error: Unable to create export links right now. Please try again shortly."
@@ -3572,14 +3743,152 @@ const resolveDocTypeForManualSync = useCallback(
     }
 
     setShowReviewPanel(true);
-    const result = await charterReview.startReview(charterDraftRef.current);
+    const result = await charterReview.startReview(charterDraftRef.current, undefined, {
+      charterId: charterRecordId,
+    });
     if (result) {
       pushToast({
         tone: "success",
         message: `Review complete! Score: ${Math.round(result.scores.overall)}%`,
       });
     }
-  }, [charterReview, pushToast]);
+  }, [charterRecordId, charterReview, pushToast]);
+
+  /**
+   * Replay an extraction queued offline. The result merges with the same
+   * locks as a live extraction, so fields edited in the meantime keep the
+   * user's value; those are listed in chat.
+   */
+  const replayQueuedExtraction = useCallback(
+    async (request) => {
+      if (!previewDocType || request.docType !== previewDocType) {
+        throw new Error(
+          `The queued ${request.docType || "document"} extraction no longer matches the open document.`
+        );
+      }
+      let conflicts = [];
+      const result = await extractAndPopulate({
+        ...request.payload,
+        normalize: normalizeDraft,
+        applyDraft: (normalizedDraft) => {
+          conflicts = collectLockConflicts(
+            charterDraftRef.current,
+            normalizedDraft,
+            pointerLocksRef.current
+          );
+          return applyNormalizedDraft(normalizedDraft);
+        },
+      });
+      if (result?.ok) {
+        draftActions.setCitations(result.citations);
+        const chunkConflictMessage = formatChunkConflictMessage(result.chunking);
+        if (chunkConflictMessage) {
+          pushToast({ tone: "warning", message: chunkConflictMessage });
+        }
+      }
+      if (conflicts.length > 0) {
+        appendAssistantMessage(formatLockConflictMessage(conflicts));
+      }
+      return result;
+    },
+    [appendAssistantMessage, applyNormalizedDraft, normalizeDraft, previewDocType, pushToast]
+  );
+
+  const offlineSync = useOfflineSync({
+    enabled: OFFLINE_MODE_ENABLED,
+    handlers: {
+      extract: replayQueuedExtraction,
+      // Reviews and exports use the current draft, which includes offline edits
+      review: async (request) => {
+        const document = charterDraftRef.current ?? request.payload.document;
+        const result = await charterReview.startReview(document, request.payload.options, {
+          charterId: request.payload.charterId ?? charterRecordId,
+          queueOffline: false,
+        });
+        if (result) {
+          pushToast({
+            tone: "success",
+            message: `Queued review complete! Score: ${Math.round(result.scores.overall)}%`,
+          });
+        }
+      },
+      render: async (request) => {
+        const result = await makeShareLinksAndReply({ ...request.payload, queueOffline: false });
+        if (result?.reason === "offline") {
+          throw result.error;
+        }
+      },
+    },
+    onReplayComplete: ({ replayed, failed }) => {
+      const synced = `${replayed.length} queued request${replayed.length === 1 ? "" : "s"}`;
+      pushToast({
+        tone: failed.length > 0 ? "warning" : "success",
+        message:
+          failed.length > 0
+            ? `Back online: synced ${synced}; ${failed.length} could not be replayed.`
+            : `Back online: synced ${synced}.`,
+      });
+    },
+  });
+
+  /**
+   * Replace the draft with a document seeded from a finalized charter version
+   * and mark every carried-over field as derived.
+   */
+  const handleCarryoverSeed = useCallback(
+    ({ docType: targetType, document, provenance }) => {
+      if (!supportedDocTypes.has(targetType)) {
+        pushToast({
+          tone: "warning",
+          message: `${targetType.toUpperCase()} drafts are not enabled in this workspace.`,
+        });
+        return;
+      }
+
+      setDocType(targetType);
+      setSuggested(normalizeDocTypeSuggestion({ type: targetType, confidence: 1 }));
+
+      const seededDraft = document && typeof document === "object" ? document : {};
+      const now = Date.now();
+      charterDraftRef.current = seededDraft;
+      pointerLocksRef.current = new Map();
+      locksRef.current = {};
+      resetDraftLocks();
+      clearDraftMetadata();
+      draftActions.setDraft(seededDraft);
+      setFieldStates(() =>
+        synchronizeFieldStates(seededDraft, {}, {
+          touchedPaths: expandPathsWithAncestors(collectPaths(seededDraft)),
+          source: "Charter",
+          timestamp: now,
+          locks: {},
+        })
+      );
+
+      const sourceVersion = provenance?.source?.version;
+      const derivedMetadata = new Map();
+      for (const field of provenance?.fields ?? []) {
+        derivedMetadata.set(pathToPointer(field.path), {
+          source: `Charter v${sourceVersion}`,
+          updatedAt: now,
+          derived: true,
+          derivedFrom: {
+            docType: provenance.source.docType,
+            version: sourceVersion,
+            field: field.sourcePath,
+            carryoverId: provenance.id,
+          },
+        });
+      }
+      recordDraftMetadata({ paths: derivedMetadata, source: "Charter", updatedAt: now });
+
+      pushToast({
+        tone: "success",
+        message: `Started a new draft from charter v${sourceVersion} (${derivedMetadata.size} fields carried over).`,
+      });
+    },
+    [pushToast, setDocType, setSuggested, supportedDocTypes]
+  );
 
   /**
    * Handle accepting review feedback
@@ -3588,6 +3897,30 @@ const resolveDocTypeForManualSync = useCallback(
     charterReview.acceptFeedback(feedbackId);
   }, [charterReview]);
 
+  /**
+   * Propose the field change for accepted review feedback
+   */
+  const handleReviewProposePatch = useCallback(
+    (feedbackId) => charterReview.proposeFeedbackPatch(feedbackId, charterDraftRef.current ?? {}),
+    [charterReview]
+  );
+
+  /**
+   * Apply a confirmed review patch to the draft
+   */
+  const handleReviewApplyPatch = useCallback(
+    (feedbackId, patch) => charterReview.applyFeedbackPatch(feedbackId, patch),
+    [charterReview]
+  );
+
+  /**
+   * Revert an applied review patch
+   */
+  const handleReviewUndoPatch = useCallback(
+    (feedbackId) => charterReview.undoFeedbackPatch(feedbackId),
+    [charterReview]
+  );
+
   /**
    * Handle dismissing review feedback
    */
@@ -3906,12 +4239,26 @@ const resolveDocTypeForManualSync = useCallback(
       setShowVoiceCharterPrompt(false);
       setPendingVoiceCharter(false);
       if (voiceCharterMode === "active") {
+        // Keep the persisted session so the interview can resume on reconnect
         voiceCharterActions.exit();
-        voiceCharterService.reset();
+        voiceCharterService.suspend();
+        setResumableVoiceSession(voiceCharterService.getResumableSession());
       }
     }
   }, [rtcState, voiceCharterMode]);
 
+  // Offer to resume an interrupted voice charter once realtime is live again
+  useEffect(() => {
+    if (
+      rtcState === "live" &&
+      resumableVoiceSession &&
+      voiceCharterMode === "inactive" &&
+      !pendingVoiceCharter
+    ) {
+      setShowVoiceCharterPrompt(true);
+    }
+  }, [rtcState, resumableVoiceSession, voiceCharterMode, pendingVoiceCharter]);
+
   // Initialize and start voice charter service (called when realtime is connected)
   const initializeVoiceCharter = useCallback(() => {
     if (!dataRef.current) {
@@ -3935,6 +4282,24 @@ const resolveDocTypeForManualSync = useCallback(
       return false;
     }
 
+    // Resume an interrupted session at its last field when one is stored
+    const resumable = voiceCharterService.getResumableSession(schema);
+    if (resumable) {
+      // The language the interview started in wins over the current picker value
+      const resumed = voiceCharterService.resume(schema, dataRef.current, resumable);
+      if (resumed) {
+        const values = voiceCharterService.getCapturedValuesObject();
+        applyVoiceExtractionToDraft(values);
+        voiceCharterActions.resume(values, resumable.startedAt);
+        setResumableVoiceSession(null);
+        setTimeout(() => {
+          voiceCharterService.start();
+        }, 500);
+        return true;
+      }
+      return false;
+    }
+
     // Build PopulatedFieldInfo array from existing draft values
     // Check if there are attachments - if so, values likely came from extraction
     const hasAttachments = Array.isArray(attachmentsRef.current) && attachmentsRef.current.length > 0;
@@ -4009,11 +4374,13 @@ const resolveDocTypeForManualSync = useCallback(
       {
         attachments: voiceCharterAttachments,
         extractionCallback: hasAttachments && populatedFields.length === 0 ? extractionCallback : undefined,
+        locale: charterLocaleRef.current,
       }
     );
 
     if (initialized) {
       voiceCharterActions.start();
+      setResumableVoiceSession(null);
       // Small delay to let the session configure before starting
       setTimeout(() => {
         voiceCharterService.start();
@@ -4021,7 +4388,7 @@ const resolveDocTypeForManualSync = useCallback(
       return true;
     }
     return false;
-  }, [triggerExtraction]);
+  }, [triggerExtraction, applyVoiceExtractionToDraft]);
 
   // Handle voice charter prompt confirmation
   const handleVoiceCharterConfirm = useCallback(() => {
@@ -4049,9 +4416,32 @@ const resolveDocTypeForManualSync = useCallback(
   // Handle voice charter prompt decline (just use regular transcription)
   const handleVoiceCharterDecline = useCallback(() => {
     setShowVoiceCharterPrompt(false);
-    // Voice transcription continues normally without voice charter mode
+    // Voice transcription continues normally without voice charter mode.
+    // A stored session stays available and is offered again after a reload.
+    setResumableVoiceSession(null);
   }, []);
 
+  // Discard an interrupted voice charter and start a new interview
+  const handleVoiceCharterStartOver = useCallback(() => {
+    voiceCharterService.reset();
+    setResumableVoiceSession(null);
+    handleVoiceCharterConfirm();
+  }, [handleVoiceCharterConfirm]);
+
+  const voiceResumeSummary = useMemo(() => {
+    if (!resumableVoiceSession) {
+      return null;
+    }
+    const { form } = getDocTemplateFormState();
+    let schema = null;
+    try {
+      schema = form ? normalizeCharterFormSchema(form) : null;
+    } catch {
+      schema = null;
+    }
+    return summarizeVoiceSession(resumableVoiceSession, schema);
+  }, [resumableVoiceSession]);
+
   // Auto-initialize voice charter when realtime connects and we have a pending request
   useEffect(() => {
     if (rtcState === "live" && pendingVoiceCharter && dataRef.current) {
@@ -4398,7 +4788,7 @@ const resolveDocTypeForManualSync = useCallback(
             : [];
           const guidedSystemPrompt =
             orchestrator && !shouldBypassGuided && orchestrator.isActive()
-              ? CHARTER_GUIDED_SYSTEM_PROMPT
+              ? getCharterGuidedSystemPrompt(charterLocaleRef.current)
               : undefined;
           reply = await callLLM(trimmed, nextHistory, latestAttachments, {
             systemPrompt: guidedSystemPrompt,
@@ -4490,7 +4880,9 @@ const resolveDocTypeForManualSync = useCallback(
       setGuidedState(createInitialGuidedState());
       startDocSession({ docType: 'charter', origin: 'wizard' });
 
-      const startResponse = await startCharterSession(correlationId);
+      const startResponse = await startCharterSession(correlationId, {
+        locale: charterLocaleRef.current,
+      });
 
       setGuidedConversationId(startResponse.conversationId);
       guidedConversationIdRef.current = startResponse.conversationId;
@@ -4805,6 +5197,7 @@ const resolveDocTypeForManualSync = useCallback(
             }
 
             processedAttachments.push({
+              id: `attachment-${Date.now()}-${processedAttachments.length}`,
               name: payload?.name || file.name,
               mimeType: payload?.mimeType || file.type,
               text: payload?.text || "",
@@ -4846,7 +5239,7 @@ const resolveDocTypeForManualSync = useCallback(
             try {
               // Format attachments for the analyzer (API expects: id, name, mimeType, text)
               const analysisAttachments = mergedAttachments.map((att, idx) => ({
-                id: `attachment-${Date.now()}-${idx}`,
+                id: att.id || `attachment-${Date.now()}-${idx}`,
                 name: att.name,
                 mimeType: att.mimeType || "text/plain",
                 text: att.text,
@@ -5109,7 +5502,8 @@ const resolveDocTypeForManualSync = useCallback(
         !result?.ok &&
         result?.reason &&
         result.reason !== "aborted" &&
-        result.reason !== "idle"
+        result.reason !== "idle" &&
+        result.reason !== "queued"
       ) {
         pushToast({
           tone: "warning",
@@ -5159,7 +5553,28 @@ const resolveDocTypeForManualSync = useCallback(
             <span className="text-slate-900 font-semibold text-sm dark:text-white">EVA - Exact Sciences Virtual Assistant</span>
           </div>
           <div className="flex items-center gap-3">
+            {OFFLINE_MODE_ENABLED && (
+              <OfflineStatus
+                online={offlineSync.online}
+                queuedCount={offlineSync.queued.length}
+                isReplaying={offlineSync.isReplaying}
+                onSync={offlineSync.replay}
+              />
+            )}
+            <LanguageSelect
+              locale={charterLocale}
+              bilingual={charterBilingual}
+              onLocaleChange={handleCharterLocaleChange}
+              onBilingualChange={setCharterBilingual}
+            />
             <ThemeSelect mode={themeMode} resolvedMode={resolvedTheme} onChange={handleThemeModeChange} />
+            <button
+              type="button"
+              onClick={() => setShowPortfolio(true)}
+              className="px-4 py-2 rounded-lg border border-slate-300 bg-white text-slate-700 text-sm font-medium shadow-sm hover:bg-slate-50 transition-colors dark:border-slate-600 dark:bg-slate-800 dark:text-slate-200 dark:hover:bg-slate-700"
+            >
+              Portfolio
+            </button>
             <button
               onClick={() => {
                 chatActions.reset();
@@ -5173,6 +5588,20 @@ const resolveDocTypeForManualSync = useCallback(
         </div>
       </header>
 
+      {showPortfolio && (
+        <div
+          className="fixed inset-0 z-40 flex items-start justify-center overflow-y-auto bg-slate-900/40 p-4 sm:p-8"
+          role="dialog"
+          aria-modal="true"
+          aria-label="Charter portfolio"
+        >
+          <PortfolioDashboard
+            className="w-full max-w-6xl shadow-xl"
+            onClose={() => setShowPortfolio(false)}
+          />
+        </div>
+      )}
+
       {/* Main Grid */}
       <main className="mx-auto max-w-7xl px-3 sm:px-4 py-4 md:py-6">
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-4 md:gap-6">
@@ -5240,7 +5669,7 @@ const resolveDocTypeForManualSync = useCallback(
                       <div className="flex items-center gap-3">
                         <div className="h-5 w-5 animate-spin rounded-full border-2 border-indigo-600 border-t-transparent" />
                         <span className="text-sm font-medium text-slate-700 dark:text-slate-300">
-                          Analyzing document...
+                          {analysisProgressLabel || "Analyzing document..."}
                         </span>
                       </div>
                     </div>
@@ -5254,6 +5683,7 @@ const resolveDocTypeForManualSync = useCallback(
                       fieldOverrides={analysisFieldOverrides}
                       selectedDocType={analysisSelectedTarget?.docType}
                       isLoading={isAnalysisExtracting}
+                      progressLabel={analysisProgressLabel}
                       onConfirm={handleAnalysisConfirm}
                       onSelectDocType={selectAnalysisDocType}
                       onFieldEdit={setAnalysisFieldOverride}
@@ -5401,10 +5831,10 @@ const resolveDocTypeForManualSync = useCallback(
                     IconMicMute={IconMicMute}
                     IconSend={IconSend}
                   />
-                  {isPreviewSyncing ? (
+                  {isPreviewSyncing || extractionProgressLabel ? (
                     <div className="mt-3 inline-flex items-center gap-2 rounded-lg bg-indigo-50 px-3 py-2 text-xs font-medium text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300">
                       <span className="h-2 w-2 rounded-full bg-indigo-500 animate-pulse" aria-hidden="true" />
-                      Updating preview…
+                      {extractionProgressLabel || "Updating preview…"}
                     </div>
                   ) : null}
                   {!realtimeEnabled && listening ? (
@@ -5520,10 +5950,10 @@ const resolveDocTypeForManualSync = useCallback(
                   />
                 )}
               </div>
-              {isPreviewSyncing ? (
+              {isPreviewSyncing || extractionProgressLabel ? (
                 <div className="mt-2 inline-flex items-center gap-2 rounded-xl border border-indigo-200 bg-indigo-50 px-3 py-1 text-xs font-medium text-indigo-600 shadow-sm dark:border-indigo-500/40 dark:bg-indigo-900/40 dark:text-indigo-200">
                   <span className="h-2 w-2 rounded-full bg-indigo-400 shadow-inner animate-pulse" aria-hidden="true" />
-                  Updating preview…
+                  {extractionProgressLabel || "Updating preview…"}
                 </div>
               ) : null}
               <div className="mt-4 flex flex-wrap items-center gap-2">
@@ -5586,6 +6016,32 @@ const resolveDocTypeForManualSync = useCallback(
                 )}
               </div>
 
+              {draftHasContent && hasPreviewDocType ? (
+                <ApprovalsPanel
+                  charterId={charterRecordId}
+                  docType={previewDocType}
+                  document={charterPreview}
+                  className="mt-4"
+                />
+              ) : null}
+
+              {previewDocType === "charter" ? (
+                <CarryoverPanel
+                  charterId={charterRecordId}
+                  onSeed={handleCarryoverSeed}
+                  className="mt-4"
+                />
+              ) : null}
+
+              {previewDocType === "charter" || previewDocType === "ddp" ? (
+                <SmartsheetExportPanel
+                  charterId={charterRecordId}
+                  docType={previewDocType}
+                  document={charterPreview}
+                  className="mt-4"
+                />
+              ) : null}
+
               {/* Review Panel */}
               {showReviewPanel && (
                 <div className="mt-4" data-testid="review-panel-container">
@@ -5608,6 +6064,9 @@ const resolveDocTypeForManualSync = useCallback(
                     onAcceptFeedback={handleReviewFeedbackAccept}
                     onDismissFeedback={handleReviewFeedbackDismiss}
                     onTellMore={handleReviewTellMore}
+                    onProposePatch={handleReviewProposePatch}
+                    onApplyPatch={handleReviewApplyPatch}
+                    onUndoPatch={handleReviewUndoPatch}
                     onRerunReview={handleStartReview}
                     className="max-h-[500px] overflow-y-auto"
                   />
@@ -5630,13 +6089,72 @@ const resolveDocTypeForManualSync = useCallback(
       {shouldRenderSyncDevtools && <SyncDevtools onReady={handleDevtoolsReady} />}
       <VoiceCharterPrompt
         visible={showVoiceCharterPrompt}
+        resumeSummary={voiceResumeSummary}
         onConfirm={handleVoiceCharterConfirm}
         onDecline={handleVoiceCharterDecline}
+        onStartOver={handleVoiceCharterStartOver}
       />
     </div>
   );
 }
 
+function OfflineStatus({ online, queuedCount, isReplaying, onSync }) {
+  if (online && queuedCount === 0) {
+    return null;
+  }
+  const queuedLabel = `${queuedCount} queued`;
+
+  return (
+    <div
+      role="status"
+      data-testid="offline-status"
+      className="flex items-center gap-2 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800 dark:bg-amber-900/30 dark:border-amber-700 dark:text-amber-200"
+    >
+      <span className="font-medium">{online ? "Back online" : "Offline"}</span>
+      {queuedCount > 0 && <span>· {queuedLabel}</span>}
+      {online && queuedCount > 0 && (
+        <button
+          type="button"
+          onClick={() => onSync()}
+          disabled={isReplaying}
+          className="text-xs font-medium underline disabled:opacity-50"
+        >
+          {isReplaying ? "Syncing…" : "Sync now"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function LanguageSelect({ locale, bilingual, onLocaleChange, onBilingualChange }) {
+  return (
+    <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-100 border border-slate-200 dark:bg-slate-800 dark:border-slate-700">
+      <select
+        value={locale}
+        onChange={(event) => onLocaleChange(event.target.value)}
+        className="bg-transparent text-sm font-medium text-slate-700 focus:outline-none cursor-pointer dark:text-slate-200"
+        aria-label="Charter language"
+      >
+        {CHARTER_LOCALE_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {locale !== "en" && (
+        <label className="flex items-center gap-1 text-xs text-slate-600 dark:text-slate-300">
+          <input
+            type="checkbox"
+            checked={bilingual}
+            onChange={(event) => onBilingualChange(event.target.checked)}
+          />
+          + English
+        </label>
+      )}
+    </div>
+  );
+}
+
 function ThemeSelect({ mode, resolvedMode, onChange }) {
   const autoLabel = resolvedMode === "dark" ? "Auto (Dark)" : "Auto (Light)";
 
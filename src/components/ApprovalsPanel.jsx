@@ -0,0 +1,238 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Approval status badge component
+ */
+function ApprovalStatusBadge({ status, stale }) {
+  const config = {
+    approved: { className: "bg-green-100 text-green-700 border-green-200", label: "Approved" },
+    rejected: { className: "bg-red-100 text-red-700 border-red-200", label: "Rejected" },
+    pending: { className: "bg-gray-100 text-gray-600 border-gray-200", label: "Pending" },
+  };
+  const { className, label } = stale
+    ? { className: "bg-yellow-100 text-yellow-700 border-yellow-200", label: "Re-approval needed" }
+    : config[status] || config.pending;
+
+  return (
+    <span className={`px-2 py-0.5 text-xs font-medium rounded border ${className}`}>
+      {label}
+    </span>
+  );
+}
+
+function formatApprover(approver) {
+  if (!approver) {
+    return "Unassigned";
+  }
+  return approver.name || approver.email;
+}
+
+/**
+ * Approver role row with sign-off actions
+ */
+function ApprovalRoleRow({ entry, signer, isSubmitting, onDecision }) {
+  const canSign = Boolean(signer.trim()) && !isSubmitting;
+
+  return (
+    <li className="py-2 flex items-start justify-between gap-3" data-testid={`approval-role-${entry.role}`}>
+      <div className="min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="text-sm font-medium text-gray-700">{entry.label}</span>
+          {entry.required ? null : <span className="text-xs text-gray-400">Optional</span>}
+        </div>
+        <div className="text-xs text-gray-500">
+          {formatApprover(entry.approver)}
+          {entry.decidedAt ? ` • ${new Date(entry.decidedAt).toLocaleString()}` : ""}
+        </div>
+        {entry.comment ? <div className="text-xs text-gray-500 italic mt-0.5">{entry.comment}</div> : null}
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <ApprovalStatusBadge status={entry.status} stale={entry.stale} />
+        {entry.status !== "approved" || entry.stale ? (
+          <>
+            <button
+              type="button"
+              onClick={() => onDecision(entry.role, "approve")}
+              disabled={!canSign}
+              className="px-2 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Approve
+            </button>
+            <button
+              type="button"
+              onClick={() => onDecision(entry.role, "reject")}
+              disabled={!canSign}
+              className="px-2 py-1 text-xs rounded border border-red-200 text-red-700 hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Reject
+            </button>
+          </>
+        ) : null}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Main ApprovalsPanel component
+ *
+ * Shows each configured approver role for the document with its sign-off
+ * state and lets the current user approve or reject the previewed content.
+ */
+export default function ApprovalsPanel({ charterId, docType = "charter", document, className = "" }) {
+  const [approvals, setApprovals] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [signer, setSigner] = useState("");
+  const [comment, setComment] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const documentRef = useRef(document);
+  documentRef.current = document;
+
+  const endpoint = `/api/charters/${encodeURIComponent(charterId)}/approvals`;
+
+  const fetchApprovals = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action: "status", docType, document: documentRef.current }),
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to load approvals: ${response.status}`);
+      }
+      setApprovals(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [docType, endpoint]);
+
+  useEffect(() => {
+    if (charterId) {
+      fetchApprovals();
+    }
+  }, [charterId, fetchApprovals]);
+
+  const handleDecision = useCallback(
+    async (role, action) => {
+      try {
+        setIsSubmitting(true);
+        setError(null);
+        const response = await fetch(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            action,
+            docType,
+            role,
+            approver: { name: signer.trim() },
+            comment: comment.trim() || null,
+            document: documentRef.current,
+          }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data?.details || data?.error || `Sign-off failed: ${response.status}`);
+        }
+        setApprovals(data);
+        setComment("");
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsSubmitting(false);
+      }
+    },
+    [comment, docType, endpoint, signer]
+  );
+
+  if (!charterId) {
+    return null;
+  }
+
+  if (loading && !approvals) {
+    return (
+      <div className={`p-4 ${className}`}>
+        <div className="animate-pulse h-4 bg-gray-200 rounded w-40"></div>
+      </div>
+    );
+  }
+
+  const roles = approvals?.roles ?? [];
+
+  return (
+    <div className={`rounded-xl border border-gray-200 bg-white p-4 ${className}`} data-testid="approvals-panel">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-semibold text-gray-700">Approvals</h3>
+          <button
+            type="button"
+            onClick={fetchApprovals}
+            disabled={loading}
+            className="text-xs text-blue-600 hover:underline disabled:opacity-50"
+          >
+            Refresh
+          </button>
+        </div>
+        {approvals ? (
+          <span className={`text-xs font-medium ${approvals.complete ? "text-green-700" : "text-gray-500"}`}>
+            {approvals.complete
+              ? "Ready to finalize"
+              : `${approvals.pending.length} required sign-off${approvals.pending.length === 1 ? "" : "s"} outstanding`}
+          </span>
+        ) : null}
+      </div>
+
+      {roles.length === 0 ? (
+        <p className="text-sm text-gray-500">No approver roles are configured for this document type.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-2">
+            <input
+              type="text"
+              value={signer}
+              onChange={(event) => setSigner(event.target.value)}
+              placeholder="Signing as (full name)"
+              className="flex-1 min-w-[10rem] px-2 py-1 text-sm border border-gray-200 rounded"
+            />
+            <input
+              type="text"
+              value={comment}
+              onChange={(event) => setComment(event.target.value)}
+              placeholder="Comment (optional)"
+              className="flex-1 min-w-[10rem] px-2 py-1 text-sm border border-gray-200 rounded"
+            />
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {roles.map((entry) => (
+              <ApprovalRoleRow
+                key={entry.role}
+                entry={entry}
+                signer={signer}
+                isSubmitting={isSubmitting}
+                onDecision={handleDecision}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+
+      {approvals && !approvals.verified ? (
+        <p className="mt-2 text-xs text-red-600">Sign-off records failed hash verification.</p>
+      ) : null}
+      {error ? (
+        <div className="mt-2 text-red-600 text-sm flex items-center gap-2">
+          <span>⚠</span>
+          <span>{error}</span>
+          <button onClick={fetchApprovals} className="text-blue-600 hover:underline ml-2">
+            Retry
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useCallback, useEffect, useState } from "react";
+
+/**
+ * Main CarryoverPanel component
+ *
+ * Offers to start a follow-on document (such as a DDP) seeded from a
+ * finalized version of the current charter. Renders nothing until the
+ * charter has at least one finalized version and a doc type declares a
+ * carryover mapping for it.
+ */
+export default function CarryoverPanel({ charterId, onSeed, className = "" }) {
+  const [options, setOptions] = useState(null);
+  const [error, setError] = useState(null);
+  const [targetType, setTargetType] = useState("");
+  const [version, setVersion] = useState("");
+  const [isSeeding, setIsSeeding] = useState(false);
+
+  const endpoint = `/api/charters/${encodeURIComponent(charterId)}/carryover`;
+
+  const fetchOptions = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await fetch(endpoint);
+      if (!response.ok) {
+        throw new Error(`Failed to load carryover options: ${response.status}`);
+      }
+      const data = await response.json();
+      setOptions(data);
+      setTargetType((current) => current || data.targets?.[0]?.docType || "");
+      setVersion((current) => current || data.versions?.[data.versions.length - 1]?.version || "");
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [endpoint]);
+
+  useEffect(() => {
+    if (charterId) {
+      fetchOptions();
+    }
+  }, [charterId, fetchOptions]);
+
+  const handleSeed = useCallback(async () => {
+    try {
+      setIsSeeding(true);
+      setError(null);
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ docType: targetType, version }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.details || data?.error || `Carryover failed: ${response.status}`);
+      }
+      onSeed?.(data);
+      fetchOptions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSeeding(false);
+    }
+  }, [endpoint, fetchOptions, onSeed, targetType, version]);
+
+  const targets = options?.targets ?? [];
+  const versions = options?.versions ?? [];
+
+  if (!charterId || targets.length === 0 || versions.length === 0) {
+    return null;
+  }
+
+  const lastSeeded = options.history?.[0];
+
+  return (
+    <div className={`rounded-xl border border-gray-200 bg-white p-4 ${className}`} data-testid="carryover-panel">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">Start next document</h3>
+        {lastSeeded ? (
+          <span className="text-xs text-gray-500">
+            Last seeded {lastSeeded.targetType.toUpperCase()} from v{lastSeeded.source.version}
+          </span>
+        ) : null}
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        Seed a new draft from a finalized charter version. Carried-over fields are marked as derived.
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={targetType}
+          onChange={(event) => setTargetType(event.target.value)}
+          className="px-2 py-1 text-sm border border-gray-200 rounded"
+          aria-label="Document to start"
+        >
+          {targets.map((target) => (
+            <option key={target.docType} value={target.docType}>
+              {target.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={version}
+          onChange={(event) => setVersion(event.target.value)}
+          className="px-2 py-1 text-sm border border-gray-200 rounded"
+          aria-label="Charter version"
+        >
+          {versions.map((entry) => (
+            <option key={entry.version} value={entry.version}>
+              Charter v{entry.version}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSeed}
+          disabled={isSeeding || !targetType || !version}
+          className="px-3 py-1 text-sm rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSeeding ? "Seeding…" : "Create draft"}
+        </button>
+      </div>
+      {error ? (
+        <div className="mt-2 text-red-600 text-sm flex items-center gap-2">
+          <span>⚠</span>
+          <span>{error}</span>
+        </div>
+      ) : null}
+    </div>
+  );
+}
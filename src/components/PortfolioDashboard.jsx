@@ -0,0 +1,255 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+
+import { useLatestReviewsByCharter } from "../state/slices/reviewHistory.ts";
+
+function formatDate(value) {
+  return value || "—";
+}
+
+function ReviewScore({ entry }) {
+  if (!entry) {
+    return <span className="text-xs text-gray-400">Not reviewed</span>;
+  }
+  const score = Math.round(entry.overallScore);
+  const className =
+    score >= 80 ? "text-green-700" : score >= 60 ? "text-yellow-700" : "text-red-700";
+  return (
+    <span className={`text-sm font-medium ${className}`} title={new Date(entry.timestamp).toLocaleString()}>
+      {score}%
+    </span>
+  );
+}
+
+/**
+ * Facet toggle chips for business units and tags
+ */
+function FilterChips({ label, values, selected, onToggle }) {
+  if (values.length === 0) {
+    return null;
+  }
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <span className="text-xs text-gray-500 mr-1">{label}</span>
+      {values.map((value) => {
+        const active = selected.includes(value);
+        return (
+          <button
+            key={value}
+            type="button"
+            onClick={() => onToggle(value)}
+            aria-pressed={active}
+            className={`px-2 py-0.5 text-xs rounded border ${
+              active
+                ? "bg-blue-600 border-blue-600 text-white"
+                : "border-gray-200 text-gray-600 hover:bg-gray-50"
+            }`}
+          >
+            {value}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function toggleValue(list, value) {
+  return list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+}
+
+/**
+ * Main PortfolioDashboard component
+ *
+ * Lists every stored charter with its owners, dates, latest version, latest
+ * review score from local review history, and risk count, and flags charters
+ * whose timelines overlap.
+ */
+export default function PortfolioDashboard({ onClose, className = "" }) {
+  const [portfolio, setPortfolio] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [businessUnits, setBusinessUnits] = useState([]);
+  const [tags, setTags] = useState([]);
+  const latestReviews = useLatestReviewsByCharter();
+
+  const fetchPortfolio = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams();
+      if (businessUnits.length > 0) {
+        params.set("businessUnit", businessUnits.join(","));
+      }
+      if (tags.length > 0) {
+        params.set("tags", tags.join(","));
+      }
+      const query = params.toString();
+      const response = await fetch(`/api/portfolio${query ? `?${query}` : ""}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load portfolio: ${response.status}`);
+      }
+      setPortfolio(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [businessUnits, tags]);
+
+  useEffect(() => {
+    fetchPortfolio();
+  }, [fetchPortfolio]);
+
+  const projectNames = useMemo(
+    () =>
+      Object.fromEntries(
+        (portfolio?.charters ?? []).map((charter) => [charter.charterId, charter.projectName])
+      ),
+    [portfolio]
+  );
+
+  const charters = portfolio?.charters ?? [];
+  const overlaps = portfolio?.overlaps ?? [];
+
+  return (
+    <div className={`rounded-xl border border-gray-200 bg-white p-4 ${className}`} data-testid="portfolio-dashboard">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <h2 className="text-base font-semibold text-gray-800">Charter portfolio</h2>
+          <button
+            type="button"
+            onClick={fetchPortfolio}
+            disabled={loading}
+            className="text-xs text-blue-600 hover:underline disabled:opacity-50"
+          >
+            Refresh
+          </button>
+        </div>
+        <div className="flex items-center gap-3">
+          {portfolio ? (
+            <span className="text-xs text-gray-500">
+              {portfolio.totals.charters} charter{portfolio.totals.charters === 1 ? "" : "s"} •{" "}
+              {portfolio.totals.risks} risk{portfolio.totals.risks === 1 ? "" : "s"}
+            </span>
+          ) : null}
+          {onClose ? (
+            <button
+              type="button"
+              onClick={onClose}
+              className="text-sm text-gray-500 hover:text-gray-700"
+              aria-label="Close portfolio"
+            >
+              ✕
+            </button>
+          ) : null}
+        </div>
+      </div>
+
+      {portfolio ? (
+        <div className="flex flex-col gap-2 mb-3">
+          <FilterChips
+            label="Business unit"
+            values={portfolio.facets.businessUnits}
+            selected={businessUnits}
+            onToggle={(value) => setBusinessUnits((current) => toggleValue(current, value))}
+          />
+          <FilterChips
+            label="Tags"
+            values={portfolio.facets.tags}
+            selected={tags}
+            onToggle={(value) => setTags((current) => toggleValue(current, value))}
+          />
+        </div>
+      ) : null}
+
+      {loading && !portfolio ? (
+        <div className="animate-pulse h-4 bg-gray-200 rounded w-40"></div>
+      ) : charters.length === 0 ? (
+        <p className="text-sm text-gray-500">No finalized charters match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                <th className="py-2 pr-3 font-medium">Project</th>
+                <th className="py-2 pr-3 font-medium">Sponsor</th>
+                <th className="py-2 pr-3 font-medium">Lead</th>
+                <th className="py-2 pr-3 font-medium">Start</th>
+                <th className="py-2 pr-3 font-medium">End</th>
+                <th className="py-2 pr-3 font-medium">Version</th>
+                <th className="py-2 pr-3 font-medium">Review</th>
+                <th className="py-2 pr-3 font-medium">Risks</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {charters.map((charter) => (
+                <tr key={charter.charterId} data-testid={`portfolio-row-${charter.charterId}`}>
+                  <td className="py-2 pr-3">
+                    <div className="font-medium text-gray-800">{charter.projectName}</div>
+                    <div className="text-xs text-gray-400">
+                      {[charter.businessUnit, ...charter.tags].filter(Boolean).join(" • ")}
+                    </div>
+                    {charter.overlapsWith.length > 0 ? (
+                      <div className="text-xs text-yellow-700">
+                        Overlaps {charter.overlapsWith.length} charter
+                        {charter.overlapsWith.length === 1 ? "" : "s"}
+                      </div>
+                    ) : null}
+                  </td>
+                  <td className="py-2 pr-3 text-gray-700">{charter.sponsor || "—"}</td>
+                  <td className="py-2 pr-3 text-gray-700">{charter.projectLead || "—"}</td>
+                  <td className="py-2 pr-3 text-gray-700">{formatDate(charter.startDate)}</td>
+                  <td className="py-2 pr-3 text-gray-700">{formatDate(charter.endDate)}</td>
+                  <td className="py-2 pr-3 text-gray-700">
+                    {charter.latestVersion ? `v${charter.latestVersion}` : "—"}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <ReviewScore entry={latestReviews[charter.charterId]} />
+                  </td>
+                  <td className="py-2 pr-3 text-gray-700">{charter.riskCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {overlaps.length > 0 ? (
+        <div className="mt-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">Timeline overlaps</h3>
+          <ul className="divide-y divide-gray-100">
+            {overlaps.map((overlap) => (
+              <li key={overlap.charterIds.join(":")} className="py-2">
+                <div className="text-sm text-gray-700">
+                  {overlap.charterIds.map((id) => projectNames[id] || id).join(" ↔ ")}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {overlap.start} – {overlap.end} ({overlap.days} day{overlap.days === 1 ? "" : "s"})
+                </div>
+                {overlap.milestones.length > 0 ? (
+                  <ul className="mt-1 text-xs text-gray-500 list-disc pl-4">
+                    {overlap.milestones.map((milestone) => (
+                      <li key={`${milestone.charterId}-${milestone.date}-${milestone.deliverable}`}>
+                        {milestone.date}: {milestone.deliverable || milestone.phase} (
+                        {projectNames[milestone.charterId] || milestone.charterId})
+                      </li>
+                    ))}
+                  </ul>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+
+      {error ? (
+        <div className="mt-2 text-red-600 text-sm flex items-center gap-2">
+          <span>⚠</span>
+          <span>{error}</span>
+          <button onClick={fetchPortfolio} className="text-blue-600 hover:underline ml-2">
+            Retry
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React, { useCallback } from "react";
 import formatRelativeTime from "../utils/formatRelativeTime.js";
 import { useDocTemplate } from "../state/docTemplateStore.js";
-import { useDraft } from "../state/draftStore.ts";
+import { useDraft, useFieldCitations } from "../state/draftStore.ts";
 import { FLAGS } from "../config/flags.ts";
 
 const CUSTOM_EDITORS = {};
@@ -292,7 +292,85 @@ function LockBadge({ locked }) {
   );
 }
 
-function FieldHeader({ label, locked, description, meta, highlighted = false }) {
+function DerivedBadge({ meta }) {
+  if (!meta?.derived) return null;
+  const origin = meta.derivedFrom;
+  const title = origin
+    ? `Carried over from ${origin.docType} v${origin.version}${origin.field ? ` (${origin.field})` : ""}`
+    : "Carried over from another document";
+  return (
+    <span
+      className="inline-flex items-center rounded-full bg-teal-100 px-2 py-0.5 text-[11px] font-medium text-teal-700 dark:bg-teal-900/60 dark:text-teal-200"
+      title={title}
+      data-testid="derived-badge"
+    >
+      Derived
+    </span>
+  );
+}
+
+function describeCitationSource(source) {
+  if (!source) return "";
+  if (source.type === "attachment") {
+    return source.name || source.id;
+  }
+  return source.type === "voice" ? "Voice note" : "Chat message";
+}
+
+/**
+ * Source chip for an extracted value. Hovering or focusing it opens a panel
+ * with the supporting excerpt highlighted in its surrounding text.
+ */
+function CitationBadge({ citation }) {
+  if (!citation) return null;
+
+  if (citation.inferred) {
+    return (
+      <span
+        className="inline-flex items-center rounded-full bg-rose-100 px-2 py-0.5 text-[11px] font-medium text-rose-700 dark:bg-rose-900/50 dark:text-rose-200"
+        title="No supporting text was found in the attachments or conversation"
+        data-testid="citation-inferred"
+      >
+        Inferred
+      </span>
+    );
+  }
+
+  const sourceLabel = describeCitationSource(citation.source);
+  return (
+    <span className="group relative inline-flex" data-testid="citation-badge">
+      <button
+        type="button"
+        className="inline-flex items-center rounded-full bg-emerald-100 px-2 py-0.5 text-[11px] font-medium text-emerald-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-500/40 dark:bg-emerald-900/50 dark:text-emerald-200"
+        aria-label={`Source: ${sourceLabel}`}
+      >
+        Source
+      </button>
+      <span
+        role="tooltip"
+        className="invisible absolute right-0 top-full z-20 mt-1 w-72 rounded-lg border border-slate-200 bg-white p-3 text-left text-xs font-normal text-slate-600 opacity-0 shadow-lg transition-opacity group-hover:visible group-hover:opacity-100 group-focus-within:visible group-focus-within:opacity-100 dark:border-slate-700 dark:bg-slate-900 dark:text-slate-300"
+        data-testid="citation-panel"
+      >
+        <span className="mb-1 flex items-center justify-between gap-2 font-medium text-slate-700 dark:text-slate-200">
+          <span className="truncate">{sourceLabel}</span>
+          <span className="shrink-0 text-[10px] text-slate-400">
+            {citation.match === "partial" ? "Closest match" : "Exact match"}
+            {typeof citation.start === "number" ? ` · chars ${citation.start}–${citation.end}` : ""}
+          </span>
+        </span>
+        <span className="block whitespace-pre-wrap break-words leading-relaxed">
+          {citation.before ? `…${citation.before}` : ""}
+          <mark className="rounded bg-amber-200/80 px-0.5 text-slate-900 dark:bg-amber-400/40 dark:text-amber-50">
+            {citation.quote}
+          </mark>
+          {citation.after ? `${citation.after}…` : ""}
+        </span>
+      </span>
+    </span>
+  );
+}
+
+function FieldHeader({ label, locked, description, meta, highlighted = false, citation = null }) {
   const source = meta?.source;
   const updatedAt = meta?.updatedAt;
   const pending = Boolean(meta?.pending);
@@ -310,6 +388,8 @@ function FieldHeader({ label, locked, description, meta, highlighted = false })
         <span className={labelClasses}>{label}</span>
         <div className="flex items-center gap-2">
           {description ? <span className={descriptionClasses}>{description}</span> : null}
+          <CitationBadge citation={citation} />
+          <DerivedBadge meta={meta} />
           <LockBadge locked={locked} />
         </div>
       </div>
@@ -332,6 +412,7 @@ function ScalarInput({
   description,
   meta,
   highlighted = false,
+  citation = null,
   dataTestId,
 }) {
   const baseClass = "w-full rounded-lg border bg-white px-3 py-2.5 text-sm text-slate-900 shadow-sm transition-all duration-150 placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 disabled:cursor-not-allowed disabled:bg-slate-50 disabled:text-slate-500 dark:bg-slate-800 dark:text-slate-100 dark:placeholder:text-slate-500 dark:focus:ring-indigo-500/30 dark:focus:border-indigo-400 dark:disabled:bg-slate-900";
@@ -358,6 +439,7 @@ function ScalarInput({
         description={description}
         meta={meta}
         highlighted={highlighted}
+        citation={citation}
       />
       {multiline ? (
         <textarea rows={3} {...baseProps} />
@@ -382,6 +464,7 @@ function StringArrayEditor({
   itemMeta,
   description,
   isHighlighted = () => false,
+  citationFor = () => null,
   dataTestId,
 }) {
   const safeItems = Array.isArray(items) ? items : [];
@@ -435,6 +518,7 @@ function StringArrayEditor({
                 Remove
               </button>
               <div className="flex flex-col items-end gap-1">
+                <CitationBadge citation={citationFor(itemPath)} />
                 <LockBadge locked={isLocked(itemPath)} />
                 <FieldMetaTags source={currentMeta?.source} updatedAt={currentMeta?.updatedAt} />
               </div>
@@ -474,6 +558,7 @@ function ObjectArrayEditor({
   fieldMeta,
   description,
   isHighlighted = () => false,
+  citationFor = () => null,
 }) {
   const safeItems = Array.isArray(items) ? items : [];
 
@@ -519,6 +604,7 @@ function ObjectArrayEditor({
                         locked={isLocked(fieldPath)}
                         meta={currentMeta}
                         highlighted={fieldHighlighted}
+                        citation={citationFor(fieldPath)}
                       />
                       <input
                         type="text"
@@ -600,6 +686,7 @@ export default function PreviewEditable({
   isPending = false,
   schema,
   manifest,
+  citations,
 }) {
   const selectDocTemplate = useCallback(
     (snapshot) => ({
@@ -610,6 +697,7 @@ export default function PreviewEditable({
   );
   const { docType: previewDocType, templateLabel } = useDocTemplate(selectDocTemplate);
   const storeDraft = useDraft();
+  const storeCitations = useFieldCitations();
   const providedDraft =
     draft && typeof draft === "object" && !Array.isArray(draft) ? draft : null;
   const providedFields =
@@ -653,6 +741,13 @@ export default function PreviewEditable({
   );
   const isLocked = (path) => Boolean(locks && locks[path]);
   const isHighlighted = (path) => (typeof path === "string" ? highlightSet.has(path) : false);
+  const citationMap =
+    citations && typeof citations === "object" && !Array.isArray(citations)
+      ? citations
+      : storeCitations || {};
+  // Once a field is edited by hand its extraction citation no longer applies
+  const citationFor = (path) =>
+    typeof path === "string" && !isLocked(path) ? citationMap[path] ?? null : null;
   const metaFor = (path) => {
     const fieldMeta = fieldStates?.[path];
     const draftMeta = metadataMap.get(path);
@@ -776,6 +871,7 @@ export default function PreviewEditable({
         description={field?.description}
         meta={metaFor(path)}
         highlighted={isHighlighted(path)}
+        citation={citationFor(path)}
         dataTestId={testId}
       />
     );
@@ -818,6 +914,7 @@ export default function PreviewEditable({
         itemMeta={metaCollectionForPrefix(path)}
         description={field?.description}
         isHighlighted={isHighlighted}
+        citationFor={citationFor}
         dataTestId={testId}
       />
     );
@@ -873,6 +970,7 @@ export default function PreviewEditable({
         fieldMeta={metaCollectionForPrefix(path)}
         description={field?.description}
         isHighlighted={isHighlighted}
+        citationFor={citationFor}
       />
     );
   };
@@ -904,6 +1002,7 @@ export default function PreviewEditable({
         metaCollectionForPrefix={metaCollectionForPrefix}
         highlightedPaths={highlightSet}
         metadata={metadataMap}
+        citationFor={citationFor}
       />
     );
   };
@@ -76,10 +76,110 @@ function SeverityBadge({ severity }) {
   );
 }
 
+/**
+ * Format a field value for the patch diff
+ */
+function formatPatchValue(value) {
+  if (value == null || value === "") {
+    return "(empty)";
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => formatPatchValue(entry)).join("; ");
+  }
+  if (typeof value === "object") {
+    return Object.values(value)
+      .filter((entry) => entry != null && entry !== "")
+      .map((entry) => String(entry))
+      .join(" – ");
+  }
+  return String(value);
+}
+
+/**
+ * Before/after preview of the field change an accepted item proposes
+ */
+function PatchDiff({ proposal, onApply, onDiscard, onUndo }) {
+  if (proposal.status === "loading") {
+    return <p className="text-sm text-gray-500 mt-2">Preparing the change…</p>;
+  }
+  if (proposal.status === "error") {
+    return (
+      <p className="text-sm text-orange-600 mt-2" role="alert">
+        {proposal.error || "Couldn't prepare a change for this item."}
+      </p>
+    );
+  }
+
+  const { patch } = proposal;
+  const fieldLabel = patch.field.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+  const isApplied = proposal.status === "applied";
+
+  return (
+    <div className="mt-3 border rounded bg-white text-sm" data-testid="review-patch-diff">
+      <div className="px-3 py-1.5 border-b text-xs font-medium text-gray-600">
+        {isApplied ? "Applied to" : "Proposed change to"} {fieldLabel}
+      </div>
+      {patch.operation === "append" && Array.isArray(patch.after) ? (
+        <div className="px-3 py-2 bg-green-50 text-green-800">
+          <span className="font-mono mr-1">+</span>
+          {formatPatchValue(patch.after[patch.after.length - 1])}
+        </div>
+      ) : (
+        <>
+          <div className="px-3 py-2 bg-red-50 text-red-800 line-through decoration-red-300">
+            <span className="font-mono mr-1">-</span>
+            {formatPatchValue(patch.before)}
+          </div>
+          <div className="px-3 py-2 bg-green-50 text-green-800">
+            <span className="font-mono mr-1">+</span>
+            {formatPatchValue(patch.after)}
+          </div>
+        </>
+      )}
+      <div className="flex items-center gap-2 px-3 py-2 border-t">
+        {isApplied ? (
+          onUndo && (
+            <button
+              onClick={onUndo}
+              className="px-3 py-1 text-sm text-gray-700 border rounded hover:bg-gray-100 transition-colors"
+            >
+              Undo
+            </button>
+          )
+        ) : (
+          <>
+            <button
+              onClick={onApply}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+            >
+              Apply to draft
+            </button>
+            <button
+              onClick={onDiscard}
+              className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 transition-colors"
+            >
+              Discard
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
 /**
  * Individual feedback item component
  */
-function FeedbackItem({ item, onAccept, onDismiss, onTellMore }) {
+function FeedbackItem({
+  item,
+  proposal,
+  onAccept,
+  onDismiss,
+  onTellMore,
+  onApplyPatch,
+  onDiscardPatch,
+  onUndoPatch,
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
   const isDismissed = item.status === "dismissed";
   const isAccepted = item.status === "accepted";
@@ -174,6 +274,15 @@ function FeedbackItem({ item, onAccept, onDismiss, onTellMore }) {
           </button>
         )}
       </div>
+
+      {proposal && (
+        <PatchDiff
+          proposal={proposal}
+          onApply={() => onApplyPatch?.(item.id)}
+          onDiscard={() => onDiscardPatch?.(item.id)}
+          onUndo={onUndoPatch ? () => onUndoPatch(item.id) : undefined}
+        />
+      )}
     </div>
   );
 }
@@ -245,6 +354,10 @@ const DIMENSION_LABELS = {
  * @param {function} props.onAcceptFeedback - Callback when feedback is accepted
  * @param {function} props.onDismissFeedback - Callback when feedback is dismissed
  * @param {function} props.onTellMore - Callback for "tell me more" action
+ * @param {function} props.onProposePatch - Resolves the field patch for an accepted item (or null)
+ * @param {function} props.onApplyPatch - Applies a confirmed patch to the draft; returns false if the field changed since
+ * @param {function} props.onUndoPatch - Reverts an applied patch; returns false if it could not
+
  * @param {function} props.onRerunReview - Callback to re-run the review
  * @param {function} props.onExportFeedback - Callback to export feedback
  * @param {boolean} props.isLoading - Whether a review is in progress
@@ -255,6 +368,9 @@ export default function ReviewPanel({
   onAcceptFeedback,
   onDismissFeedback,
   onTellMore,
+  onProposePatch,
+  onApplyPatch,
+  onUndoPatch,
   onRerunReview,
   onExportFeedback,
   isLoading = false,
@@ -262,6 +378,19 @@ export default function ReviewPanel({
 }) {
   const [filterSeverity, setFilterSeverity] = useState("all");
   const [feedbackStates, setFeedbackStates] = useState({});
+  const [proposals, setProposals] = useState({});
+
+  const setProposal = useCallback((feedbackId, proposal) => {
+    setProposals((prev) => {
+      const next = { ...prev };
+      if (proposal) {
+        next[feedbackId] = proposal;
+      } else {
+        delete next[feedbackId];
+      }
+      return next;
+    });
+  }, []);
 
   // Merge feedback states with review feedback
   const feedbackWithStates = useMemo(() => {
@@ -294,13 +423,64 @@ export default function ReviewPanel({
     );
   }, [review?.feedback]);
 
-  // Handle accept feedback
+  // Handle accept feedback; items that target a field get a proposed patch
   const handleAccept = useCallback(
-    (feedbackId) => {
+    async (feedbackId) => {
       setFeedbackStates((prev) => ({ ...prev, [feedbackId]: "accepted" }));
       onAcceptFeedback?.(feedbackId);
+      if (!onProposePatch) {
+        return;
+      }
+      setProposal(feedbackId, { status: "loading" });
+      try {
+        const patch = await onProposePatch(feedbackId);
+        setProposal(feedbackId, patch ? { status: "ready", patch } : null);
+      } catch (error) {
+        setProposal(feedbackId, {
+          status: "error",
+          error: error instanceof Error ? error.message : null,
+        });
+      }
+    },
+    [onAcceptFeedback, onProposePatch, setProposal]
+  );
+
+  // Apply a proposed patch and mark the item resolved
+  const handleApplyPatch = useCallback(
+    (feedbackId) => {
+      const proposal = proposals[feedbackId];
+      if (proposal?.status !== "ready") {
+        return;
+      }
+      if (onApplyPatch?.(feedbackId, proposal.patch) === false) {
+        setProposal(feedbackId, {
+          status: "error",
+          error: "This field changed after the change was proposed. Accept the item again for a fresh one.",
+        });
+        return;
+      }
+      setProposal(feedbackId, { ...proposal, status: "applied" });
+      setFeedbackStates((prev) => ({ ...prev, [feedbackId]: "resolved" }));
     },
-    [onAcceptFeedback]
+    [onApplyPatch, proposals, setProposal]
+  );
+
+  // Revert an applied patch; the item goes back to accepted
+  const handleUndoPatch = useCallback(
+    (feedbackId) => {
+      const proposal = proposals[feedbackId];
+      if (proposal?.status !== "applied" || onUndoPatch?.(feedbackId) === false) {
+        return;
+      }
+      setProposal(feedbackId, { ...proposal, status: "ready" });
+      setFeedbackStates((prev) => ({ ...prev, [feedbackId]: "accepted" }));
+    },
+    [onUndoPatch, proposals, setProposal]
+  );
+
+  const handleDiscardPatch = useCallback(
+    (feedbackId) => setProposal(feedbackId, null),
+    [setProposal]
   );
 
   // Handle dismiss feedback
@@ -457,9 +637,13 @@ export default function ReviewPanel({
                 <FeedbackItem
                   key={item.id}
                   item={item}
+                  proposal={proposals[item.id]}
                   onAccept={handleAccept}
                   onDismiss={handleDismiss}
                   onTellMore={onTellMore}
+                  onApplyPatch={handleApplyPatch}
+                  onDiscardPatch={handleDiscardPatch}
+                  onUndoPatch={onUndoPatch ? handleUndoPatch : undefined}
                 />
               ))
             )}
@@ -487,4 +671,4 @@ export default function ReviewPanel({
   );
 }
 
-export { ScoreBar, SeverityBadge, FeedbackItem, StrengthsList, OverallScore };
+export { ScoreBar, SeverityBadge, FeedbackItem, PatchDiff, StrengthsList, OverallScore };
@@ -0,0 +1,116 @@
+import React, { useCallback, useEffect, useState } from "react";
+
+/**
+ * Main SmartsheetExportPanel component
+ *
+ * Publishes the charter's milestones (or a DDP's phases) to a Smartsheet
+ * project plan and shows the linked sheet. Renders nothing when Smartsheet
+ * is not configured on the server.
+ */
+export default function SmartsheetExportPanel({ charterId, docType = "charter", document, className = "" }) {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [lastSync, setLastSync] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const endpoint = `/api/charters/${encodeURIComponent(charterId)}/smartsheet`;
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await fetch(`${endpoint}?docType=${encodeURIComponent(docType)}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load Smartsheet status: ${response.status}`);
+      }
+      setStatus(await response.json());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [docType, endpoint]);
+
+  useEffect(() => {
+    if (charterId) {
+      fetchStatus();
+    }
+  }, [charterId, fetchStatus]);
+
+  const handleSync = useCallback(async () => {
+    try {
+      setIsSyncing(true);
+      setError(null);
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(docType === "charter" ? { docType } : { docType, document }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data?.details || data?.error || `Smartsheet sync failed: ${response.status}`);
+      }
+      setLastSync(data);
+      setStatus((current) => ({ ...current, link: data.link }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [docType, document, endpoint]);
+
+  if (!charterId || !status?.configured) {
+    return null;
+  }
+
+  const link = status.link;
+  const added = lastSync?.rows?.filter((row) => row.action === "added").length ?? 0;
+  const updated = lastSync?.rows?.filter((row) => row.action === "updated").length ?? 0;
+  const deleted = lastSync?.rows?.filter((row) => row.action === "deleted").length ?? 0;
+
+  return (
+    <div className={`rounded-xl border border-gray-200 bg-white p-4 ${className}`} data-testid="smartsheet-export-panel">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">Smartsheet project plan</h3>
+        {link ? (
+          <span className="text-xs text-gray-500">
+            Synced from {link.docType?.toUpperCase()} v{link.version}
+          </span>
+        ) : null}
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        {docType === "ddp"
+          ? "Publish the DDP phases to their own project sheet. Later syncs update the same rows."
+          : "Publish the latest finalized charter's milestones. Later versions update the same rows."}
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={handleSync}
+          disabled={isSyncing}
+          className="px-3 py-1 text-sm rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSyncing ? "Syncing…" : link ? "Update sheet" : "Create sheet"}
+        </button>
+        {link?.permalink ? (
+          <a
+            href={link.permalink}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm text-indigo-600 hover:underline"
+          >
+            {link.sheetName || "Open sheet"}
+          </a>
+        ) : null}
+        {lastSync ? (
+          <span className="text-xs text-gray-500">
+            {updated} updated, {added} added{deleted > 0 ? `, ${deleted} removed` : ""}
+          </span>
+        ) : null}
+      </div>
+      {error ? (
+        <div className="mt-2 text-red-600 text-sm flex items-center gap-2">
+          <span>⚠</span>
+          <span>{error}</span>
+        </div>
+      ) : null}
+    </div>
+  );
+}
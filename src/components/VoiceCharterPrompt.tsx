@@ -4,11 +4,13 @@
  * Appears when the user explicitly requests to create a charter via voice input.
  * This prompt is triggered by intent detection rather than automatically when
  * the mic is activated, allowing the voice feature to be used for other PMO tools.
+ * When an interrupted session is stored it offers to resume that session instead.
  *
  * @module components/VoiceCharterPrompt
  */
 
 import React, { useCallback, useEffect, useRef } from "react";
+import type { VoiceCharterSessionSummary } from "../voice/voiceSessionPersistence";
 
 function classNames(...values: Array<string | false | null | undefined>) {
   return values.filter(Boolean).join(" ");
@@ -40,13 +42,17 @@ export interface VoiceCharterPromptProps {
   onDecline: () => void;
   /** Called when user dismisses the prompt without choosing */
   onDismiss?: () => void;
+  /** Interrupted session to offer for resume; onConfirm then resumes it */
+  resumeSummary?: VoiceCharterSessionSummary | null;
+  /** Called when user discards the interrupted session and starts over */
+  onStartOver?: () => void;
 }
 
 /**
  * Modal prompt for voice charter activation.
  */
 export const VoiceCharterPrompt = React.memo(
-  ({ visible, onConfirm, onDecline, onDismiss }: VoiceCharterPromptProps) => {
+  ({ visible, onConfirm, onDecline, onDismiss, resumeSummary, onStartOver }: VoiceCharterPromptProps) => {
     const modalRef = useRef<HTMLDivElement>(null);
 
     // Handle escape key to dismiss
@@ -77,6 +83,14 @@ export const VoiceCharterPrompt = React.memo(
       return null;
     }
 
+    const resuming = Boolean(resumeSummary);
+    const resumeDescription = resumeSummary
+      ? `You have a voice charter in progress with ${resumeSummary.capturedCount} ` +
+        `field${resumeSummary.capturedCount === 1 ? "" : "s"} captured` +
+        (resumeSummary.currentFieldLabel ? `. We stopped at ${resumeSummary.currentFieldLabel}.` : ".") +
+        " Would you like to pick up where you left off?"
+      : null;
+
     return (
       <div
         className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm"
@@ -104,12 +118,13 @@ export const VoiceCharterPrompt = React.memo(
             id="voice-charter-prompt-title"
             className="mb-2 text-center text-lg font-semibold text-slate-800 dark:text-slate-100"
           >
-            Voice-Guided Charter
+            {resuming ? "Resume Voice Charter" : "Voice-Guided Charter"}
           </h2>
 
           {/* Description */}
           <p className="mb-6 text-center text-sm text-slate-600 dark:text-slate-300">
-            I can guide you through each charter field conversationally. Would you like to continue with voice guidance?
+            {resumeDescription ??
+              "I can guide you through each charter field conversationally. Would you like to continue with voice guidance?"}
           </p>
 
           {/* Buttons */}
@@ -123,8 +138,21 @@ export const VoiceCharterPrompt = React.memo(
                 "dark:bg-indigo-500 dark:hover:bg-indigo-400"
               )}
             >
-              Start voice guidance
+              {resuming ? "Resume where I left off" : "Start voice guidance"}
             </button>
+            {resuming && onStartOver && (
+              <button
+                type="button"
+                onClick={onStartOver}
+                className={classNames(
+                  "w-full rounded-xl border border-indigo-200 bg-white px-4 py-3 text-sm font-medium text-indigo-700",
+                  "transition hover:bg-indigo-50 hover:border-indigo-300",
+                  "dark:border-indigo-500/40 dark:bg-slate-700 dark:text-indigo-200 dark:hover:bg-slate-600"
+                )}
+              >
+                Start over
+              </button>
+            )}
             <button
               type="button"
               onClick={onDecline}
@@ -134,7 +162,7 @@ export const VoiceCharterPrompt = React.memo(
                 "dark:border-slate-600 dark:bg-slate-700 dark:text-slate-200 dark:hover:bg-slate-600"
               )}
             >
-              No thanks, I'll type
+              {resuming ? "Not now" : "No thanks, I'll type"}
             </button>
           </div>
 
@@ -96,4 +96,6 @@ export const FLAGS = {
     "VITE_READABILITY_HIDE_FIELD_TIMESTAMPS",
     false,
   ),
+  // Offline mode: app shell service worker, local drafts, and queued requests.
+  OFFLINE_MODE_ENABLED: readBooleanFlag("VITE_OFFLINE_MODE", true),
 } as const;
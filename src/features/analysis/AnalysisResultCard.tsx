@@ -40,6 +40,8 @@ export interface AnalysisResultCardProps {
   selectedDocType?: DocType | null;
   /** Whether the card is in loading state */
   isLoading?: boolean;
+  /** Chunk progress shown while a long document is extracted */
+  progressLabel?: string;
   /** Callback when user confirms the primary suggestion */
   onConfirm?: () => void;
   /** Callback when user wants to see preview */
@@ -64,6 +66,7 @@ export const AnalysisResultCard: React.FC<AnalysisResultCardProps> = ({
   fieldOverrides = {},
   selectedDocType,
   isLoading = false,
+  progressLabel,
   onConfirm,
   onShowPreview,
   onSelectDocType,
@@ -156,7 +159,7 @@ export const AnalysisResultCard: React.FC<AnalysisResultCardProps> = ({
           {isLoading ? (
             <span className="flex items-center gap-2">
               <LoadingSpinner className="w-4 h-4" />
-              Creating...
+              {progressLabel || "Creating..."}
             </span>
           ) : (
             `Create ${docTypeInfo?.label ?? "Document"}`
@@ -260,7 +263,7 @@ export const AnalysisResultCard: React.FC<AnalysisResultCardProps> = ({
             {isLoading ? (
               <span className="flex items-center gap-2">
                 <LoadingSpinner className="w-4 h-4" />
-                Creating...
+                {progressLabel || "Creating..."}
               </span>
             ) : (
               `Create ${DOC_TYPE_LABELS[selectedDocType].label}`
@@ -328,7 +331,7 @@ export const AnalysisResultCard: React.FC<AnalysisResultCardProps> = ({
             {isLoading ? (
               <span className="flex items-center gap-2">
                 <LoadingSpinner className="w-4 h-4" />
-                Creating...
+                {progressLabel || "Creating..."}
               </span>
             ) : (
               `Create ${DOC_TYPE_LABELS[selectedDocType].label}`
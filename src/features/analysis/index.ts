@@ -55,6 +55,9 @@ export type {
   ConfirmResponse,
   AnalysisError,
   FieldExtractionResult,
+  ChunkProgress,
+  ChunkingReport,
+  FieldConflict,
 } from "./types";
 
 export {
@@ -109,5 +112,6 @@ export {
   useAlternativeTargets,
   useDocumentClassification,
   usePreviewFieldsWithOverrides,
+  useAnalysisProgress,
   analysisActions,
 } from "../../state/slices/analysis";
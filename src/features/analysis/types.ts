@@ -93,6 +93,64 @@ export interface AnalysisResult {
   alternativeTargets: AlternativeTarget[];
   /** Questions for user when confidence is low */
   clarificationQuestions: string[];
+  /** Present when a long document was analyzed in chunks */
+  chunking?: {
+    chunkCount: number;
+    processed: number;
+    skipped: number;
+    /** Preview values the chunks disagreed on */
+    conflicts: AnalysisFieldConflict[];
+  };
+}
+
+/**
+ * Progress event streamed while a long document is processed in chunks.
+ */
+export interface ChunkProgress {
+  /** Current stage */
+  stage: "analyzing" | "extracting" | "merging";
+  /** Chunks finished so far */
+  completed: number;
+  /** Total chunks */
+  total: number;
+  /** Chunk being processed next, if any */
+  chunk: {
+    index: number;
+    heading: string | null;
+    attachment: string | null;
+    pages: { first: number; last: number } | null;
+  } | null;
+}
+
+/**
+ * Field on which chunks of a long document disagreed.
+ */
+export interface FieldConflict {
+  /** Dotted field path */
+  field: string;
+  /** Distinct candidate values and the chunks they came from */
+  values: Array<{ value: unknown; chunks: number[] }>;
+  /** Value kept in the merged result */
+  chosen: unknown;
+}
+
+/**
+ * A preview field conflict from a chunked analysis.
+ */
+export interface AnalysisFieldConflict extends FieldConflict {
+  /** Target doc type whose preview fields disagreed */
+  docType: string;
+}
+
+/**
+ * Summary of a chunked extraction.
+ */
+export interface ChunkingReport {
+  chunkCount: number;
+  processed: number;
+  failed: number;
+  skipped: number;
+  conflicts: FieldConflict[];
 }
 
 /**
@@ -150,6 +208,8 @@ export interface ConfirmResponse {
   extractionId: string;
   /** Extracted field values */
   fields: Record<string, unknown>;
+  /** Present when a long document was extracted in chunks */
+  chunking?: ChunkingReport;
 }
 
 /**
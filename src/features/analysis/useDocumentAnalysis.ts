@@ -31,6 +31,7 @@ import {
   useAlternativeTargets,
   useDocumentClassification,
   usePreviewFieldsWithOverrides,
+  useAnalysisProgress,
 } from "../../state/slices/analysis";
 import type {
   AnalyzeResponse,
@@ -39,6 +40,7 @@ import type {
   AnalysisError,
 } from "./types";
 import { isDocumentAnalysisEnabled } from "../../../config/featureFlags";
+import { PROGRESS_ACCEPT_HEADER, resolveProgressResponse } from "../../lib/progressStream.js";
 
 /**
  * Attachment type matching the API expectations.
@@ -94,6 +96,8 @@ export interface UseDocumentAnalysisReturn {
   error: ReturnType<typeof useAnalysisError>;
   /** Extracted fields after confirmation */
   extractedFields: ReturnType<typeof useExtractedFields>;
+  /** Chunk progress while a long document is analyzed or extracted */
+  progress: ReturnType<typeof useAnalysisProgress>;
 
   // Derived state
   /** Whether analysis is in progress */
@@ -152,6 +156,18 @@ async function parseResponse<T>(response: Response): Promise<T> {
   return response.json();
 }
 
+/**
+ * Posts JSON and follows the progress stream that long documents produce.
+ */
+async function postWithProgress(url: string, body: unknown): Promise<Response> {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: PROGRESS_ACCEPT_HEADER },
+    body: JSON.stringify(body),
+  });
+  return resolveProgressResponse(response, analysisActions.setProgress);
+}
+
 /**
  * Hook for managing the document analysis workflow.
  *
@@ -191,6 +207,7 @@ export function useDocumentAnalysis(): UseDocumentAnalysisReturn {
   const fieldOverrides = useFieldOverrides();
   const error = useAnalysisError();
   const extractedFields = useExtractedFields();
+  const progress = useAnalysisProgress();
 
   // Derived state
   const isAnalyzing = useIsAnalyzing();
@@ -237,11 +254,7 @@ export function useDocumentAnalysis(): UseDocumentAnalysisReturn {
           })),
         });
 
-        const response = await fetch("/api/documents/analyze", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(requestBody),
-        });
+        const response = await postWithProgress("/api/documents/analyze", requestBody);
 
         const data = await parseResponse<AnalyzeResponse>(response);
         analysisActions.setAnalysisResult(data);
@@ -285,22 +298,18 @@ export function useDocumentAnalysis(): UseDocumentAnalysisReturn {
         // Send analysis data inline to work around serverless cache limitations
         // The server will use inline data when in-memory cache lookup fails
         // Include the HMAC signature for verification in serverless environments
-        const response = await fetch("/api/documents/confirm", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            analysisId: currentAnalysisId,
-            // Include cached analysis data for serverless environments
-            analysisData: currentAnalysis,
-            rawContent: currentRawContent,
-            // HMAC signature for verification when in-memory cache is unavailable
-            analysisSignature: currentAnalysisSignature,
-            confirmed: {
-              docType,
-              action: options?.action ?? "create",
-              fieldOverrides: options?.fieldOverrides ?? currentFieldOverrides,
-            },
-          }),
+        const response = await postWithProgress("/api/documents/confirm", {
+          analysisId: currentAnalysisId,
+          // Include cached analysis data for serverless environments
+          analysisData: currentAnalysis,
+          rawContent: currentRawContent,
+          // HMAC signature for verification when in-memory cache is unavailable
+          analysisSignature: currentAnalysisSignature,
+          confirmed: {
+            docType,
+            action: options?.action ?? "create",
+            fieldOverrides: options?.fieldOverrides ?? currentFieldOverrides,
+          },
         });
 
         const data = await parseResponse<ConfirmResponse>(response);
@@ -358,6 +367,7 @@ export function useDocumentAnalysis(): UseDocumentAnalysisReturn {
     fieldOverrides,
     error,
     extractedFields,
+    progress,
 
     // Derived state
     isAnalyzing,
@@ -0,0 +1,207 @@
+/**
+ * Charter field copy for non-English sessions.
+ *
+ * English comes from CHARTER_FIELDS itself; each translation replaces the
+ * label, guided question, and help text of a field. Examples and
+ * placeholders stay as they are.
+ *
+ * @module features/charter/fieldTranslations
+ */
+
+import { normalizeLocale } from "../../../lib/i18n/locales.js";
+import type { CharterField, CharterFieldId } from "./schema";
+
+export interface CharterFieldCopy {
+  label: string;
+  question: string;
+  helpText: string;
+}
+
+type FieldCopyTable = Record<CharterFieldId, CharterFieldCopy>;
+
+const DE: FieldCopyTable = {
+  project_name: {
+    label: "Projekttitel",
+    question: "Wie lautet der offizielle Name dieses Projekts?",
+    helpText:
+      "Verwenden Sie den angegebenen Projekttitel oder die erste Überschrift des hochgeladenen Scope-Dokuments.",
+  },
+  sponsor: {
+    label: "Sponsor",
+    question: "Wer sponsert dieses Projekt?",
+    helpText: "Nennen Sie den Hauptsponsor, der für Budget oder Freigaben verantwortlich ist.",
+  },
+  project_lead: {
+    label: "Projektleitung",
+    question: "Wer leitet das Projekt im Tagesgeschäft?",
+    helpText: "Erfassen Sie den Namen der Projektleitung (meist die angemeldete Projektleiterin bzw. der Projektleiter).",
+  },
+  start_date: {
+    label: "Startdatum",
+    question: "Wann beginnt das Projekt? Zum Beispiel 15.01.2025.",
+    helpText: "Das geplante Startdatum, z. B. 15.01.2025 oder 15. Januar 2025.",
+  },
+  end_date: {
+    label: "Enddatum",
+    question: "Wann soll das Projekt abgeschlossen sein? Zum Beispiel 30.06.2025.",
+    helpText: "Das geplante Enddatum, z. B. 30.06.2025 oder 30. Juni 2025.",
+  },
+  vision: {
+    label: "Vision",
+    question: "Welche Vision oder welches Ziel soll dieses Projekt erreichen?",
+    helpText: "Fassen Sie die übergeordnete Vision oder die Ziele des Projekts zusammen.",
+  },
+  problem: {
+    label: "Problemstellung",
+    question: "Welches Problem oder welche Chance adressiert das Projekt?",
+    helpText: "Beschreiben Sie das Problem oder die Chance, die das Projekt adressiert.",
+  },
+  description: {
+    label: "Projektbeschreibung",
+    question: "Beschreiben Sie kurz Umfang und Ziele des Projekts.",
+    helpText: "Eine kurze Beschreibung des Projekts mit Kontext und Zielen.",
+  },
+  scope_in: {
+    label: "Im Umfang",
+    question: "Was gehört zum Projektumfang? Trennen Sie Einträge durch Kommas oder Zeilenumbrüche.",
+    helpText: "Listen Sie auf, was ausdrücklich zum Umfang gehört.",
+  },
+  scope_out: {
+    label: "Nicht im Umfang",
+    question: "Was gehört ausdrücklich nicht zum Projektumfang?",
+    helpText: "Listen Sie auf, was ausdrücklich ausgeschlossen ist.",
+  },
+  risks: {
+    label: "Risiken",
+    question: "Welche bekannten Risiken verfolgt das Projektteam?",
+    helpText: "Erfassen Sie die bekannten Projektrisiken.",
+  },
+  assumptions: {
+    label: "Annahmen",
+    question: "Von welchen wesentlichen Annahmen gehen Sie aus?",
+    helpText: "Erfassen Sie die Annahmen des Projekts.",
+  },
+  milestones: {
+    label: "Meilensteine",
+    question: "Nennen Sie die wichtigsten Meilensteine mit Phase, Ergebnis und Zieltermin.",
+    helpText: "Meilensteine mit zugehöriger Phase, Ergebnis und Zieltermin.",
+  },
+  success_metrics: {
+    label: "Erfolgskennzahlen",
+    question: "Beschreiben Sie die Erfolgskennzahlen mit Nutzen, Kennzahl und Messsystem.",
+    helpText: "Erfolgskennzahlen mit Nutzen, Kennzahl und Messsystem.",
+  },
+  core_team: {
+    label: "Kernteam",
+    question: "Nennen Sie die Mitglieder des Kernteams mit Rolle und Verantwortlichkeiten.",
+    helpText: "Ein Eintrag pro Teammitglied mit Name, Rolle und optionalen Verantwortlichkeiten.",
+  },
+};
+
+const ES_MX: FieldCopyTable = {
+  project_name: {
+    label: "Título del proyecto",
+    question: "¿Cuál es el nombre oficial de este proyecto?",
+    helpText:
+      "Usa el título que indicó el usuario o el primer encabezado del documento de alcance que se subió.",
+  },
+  sponsor: {
+    label: "Patrocinador",
+    question: "¿Quién patrocina este proyecto?",
+    helpText: "Identifica al patrocinador principal responsable del presupuesto o las aprobaciones.",
+  },
+  project_lead: {
+    label: "Líder del proyecto",
+    question: "¿Quién dirige el proyecto en el día a día?",
+    helpText: "Registra el nombre del líder del proyecto (normalmente el PM que inició sesión).",
+  },
+  start_date: {
+    label: "Fecha de inicio",
+    question: "¿Cuándo inicia el proyecto? Por ejemplo, 15/01/2025.",
+    helpText: "La fecha de inicio planeada, por ejemplo 15/01/2025 o 15 de enero de 2025.",
+  },
+  end_date: {
+    label: "Fecha de término",
+    question: "¿Cuándo debe concluir el proyecto? Por ejemplo, 30/06/2025.",
+    helpText: "La fecha de término prevista, por ejemplo 30/06/2025 o 30 de junio de 2025.",
+  },
+  vision: {
+    label: "Visión",
+    question: "¿Qué visión u objetivo debe lograr este proyecto?",
+    helpText: "Resume la visión general o los objetivos del proyecto.",
+  },
+  problem: {
+    label: "Problema",
+    question: "¿Qué problema u oportunidad atiende el proyecto?",
+    helpText: "Describe el problema o la oportunidad que atiende el proyecto.",
+  },
+  description: {
+    label: "Descripción del proyecto",
+    question: "Da una breve narrativa que explique el alcance y los objetivos del proyecto.",
+    helpText: "Una descripción breve del proyecto con su contexto y objetivos.",
+  },
+  scope_in: {
+    label: "Dentro del alcance",
+    question: "Enumera lo que está dentro del alcance. Separa las entradas con comas o saltos de línea.",
+    helpText: "Enumera lo que se incluye explícitamente en el alcance.",
+  },
+  scope_out: {
+    label: "Fuera del alcance",
+    question: "Enumera lo que queda explícitamente fuera del alcance.",
+    helpText: "Enumera lo que se excluye explícitamente del alcance.",
+  },
+  risks: {
+    label: "Riesgos",
+    question: "Menciona los riesgos conocidos que el equipo está dando seguimiento.",
+    helpText: "Registra los riesgos conocidos del proyecto.",
+  },
+  assumptions: {
+    label: "Supuestos",
+    question: "Documenta los supuestos clave que estás considerando.",
+    helpText: "Registra los supuestos del proyecto.",
+  },
+  milestones: {
+    label: "Hitos",
+    question: "Describe los hitos principales con su fase, entregable y fecha objetivo.",
+    helpText: "Hitos del proyecto con su fase, entregable y fecha objetivo.",
+  },
+  success_metrics: {
+    label: "Métricas de éxito",
+    question: "Describe las métricas de éxito con el beneficio, la métrica y el sistema de medición.",
+    helpText: "Métricas de éxito con beneficio, métrica y sistema de medición.",
+  },
+  core_team: {
+    label: "Equipo central",
+    question: "Enumera a los integrantes del equipo central con su rol y responsabilidades.",
+    helpText: "Una entrada por integrante con nombre, rol y responsabilidades opcionales.",
+  },
+};
+
+const FIELD_COPY: Record<string, FieldCopyTable> = {
+  de: DE,
+  "es-MX": ES_MX,
+};
+
+/**
+ * Translated copy for a field, or null for English and unknown fields.
+ */
+export function getCharterFieldCopy(
+  fieldId: string,
+  locale: string | null | undefined
+): CharterFieldCopy | null {
+  return FIELD_COPY[normalizeLocale(locale)]?.[fieldId as CharterFieldId] ?? null;
+}
+
+/**
+ * A charter field with its label, question, and help text in the locale.
+ */
+export function localizeCharterField(
+  field: CharterField,
+  locale: string | null | undefined
+): CharterField {
+  const copy = getCharterFieldCopy(field.id, locale);
+  if (!copy) {
+    return field;
+  }
+  return { ...field, ...copy, reviewLabel: copy.label };
+}
@@ -0,0 +1,235 @@
+/**
+ * Locale-aware copy and command parsing for the guided charter chat.
+ *
+ * Shared by the client orchestrator and the server-side session
+ * orchestrator so both speak the session language. English commands and
+ * confirmations are always understood; the session locale adds its own
+ * ("überspringen", "omitir", "ja", "sí", ...).
+ *
+ * @module features/charter/guidedCopy
+ */
+
+import { normalizeLocale } from "../../../lib/i18n/locales.js";
+import { createTranslator } from "../../lib/i18n/translate";
+import { localizeCharterField } from "./fieldTranslations";
+import { CHARTER_FIELDS, type CharterField, type CharterFieldId } from "./schema";
+
+export type GuidedCommand =
+  | { type: "skip" }
+  | { type: "back" }
+  | { type: "review" }
+  | { type: "edit"; target?: string };
+
+interface CommandWords {
+  skip: string[];
+  back: string[];
+  review: string[];
+  edit: string[];
+}
+
+const COMMAND_WORDS: Record<string, CommandWords> = {
+  en: {
+    skip: ["skip", "skip field"],
+    back: ["back", "go back"],
+    review: ["review", "review progress", "review summary"],
+    edit: [],
+  },
+  de: {
+    skip: ["überspringen", "ueberspringen", "feld überspringen"],
+    back: ["zurück", "zurueck", "geh zurück"],
+    review: ["übersicht", "uebersicht", "fortschritt"],
+    edit: ["bearbeiten"],
+  },
+  "es-MX": {
+    skip: ["omitir", "saltar", "omitir campo"],
+    back: ["atrás", "atras", "regresar"],
+    review: ["resumen", "revisar", "ver avance"],
+    edit: ["editar"],
+  },
+};
+
+const APPROVAL_RESPONSES: Record<string, string[]> = {
+  en: [
+    "yes",
+    "y",
+    "yeah",
+    "yep",
+    "sure",
+    "correct",
+    "that's correct",
+    "thats correct",
+    "sounds good",
+    "looks good",
+    "ok",
+    "okay",
+    "confirm",
+    "save",
+  ],
+  de: ["ja", "j", "genau", "richtig", "stimmt", "passt", "einverstanden", "bestätigen", "speichern", "sieht gut aus"],
+  "es-MX": ["sí", "si", "claro", "correcto", "está bien", "esta bien", "de acuerdo", "confirmar", "guardar", "se ve bien"],
+};
+
+const REJECTION_RESPONSES: Record<string, string[]> = {
+  en: [
+    "no",
+    "n",
+    "nope",
+    "nah",
+    "don't",
+    "dont",
+    "reject",
+    "not correct",
+    "that's wrong",
+    "thats wrong",
+    "change it",
+  ],
+  de: ["nein", "nö", "falsch", "nicht richtig", "stimmt nicht", "ablehnen", "ändern"],
+  "es-MX": ["incorrecto", "no es correcto", "está mal", "esta mal", "rechazar", "cambiar", "cámbialo"],
+};
+
+function normalizeWhitespace(value: string) {
+  return value.replace(/\s+/g, " ").trim();
+}
+
+function wordsFor<T>(table: Record<string, T[]>, locale: string | null | undefined): T[] {
+  const resolved = normalizeLocale(locale);
+  return resolved === "en" ? table.en : [...table.en, ...(table[resolved] ?? [])];
+}
+
+/**
+ * Parse a guided command ("skip", "back", "review", "edit <field>") in
+ * English or the session locale.
+ */
+export function extractCommand(raw: string, locale?: string | null): GuidedCommand | null {
+  const trimmed = raw.trim();
+  if (!trimmed) return null;
+  const normalized = trimmed.replace(/^\/+/, "");
+  const lower = normalized.toLowerCase();
+  const resolved = normalizeLocale(locale);
+  const words = resolved === "en" ? [COMMAND_WORDS.en] : [COMMAND_WORDS.en, COMMAND_WORDS[resolved]];
+
+  if (words.some((set) => set.skip.includes(lower))) {
+    return { type: "skip" };
+  }
+
+  if (words.some((set) => set.back.includes(lower))) {
+    return { type: "back" };
+  }
+
+  if (words.some((set) => set.review.includes(lower))) {
+    return { type: "review" };
+  }
+
+  for (const set of words) {
+    const verb = set.edit.find((candidate) => lower === candidate || lower.startsWith(`${candidate} `));
+    if (verb) {
+      const target = normalized.slice(verb.length).trim();
+      return { type: "edit", target: target || undefined };
+    }
+  }
+
+  if (lower.startsWith("edit")) {
+    const target = normalized.slice(4).trim();
+    return { type: "edit", target: target || undefined };
+  }
+
+  return null;
+}
+
+/**
+ * Read a reply to "save this?" as approval, rejection, or neither.
+ */
+export function interpretConfirmation(
+  raw: string,
+  locale?: string | null
+): "approve" | "reject" | null {
+  const normalized = normalizeWhitespace(raw).toLowerCase();
+  if (!normalized) {
+    return null;
+  }
+  if (wordsFor(APPROVAL_RESPONSES, locale).includes(normalized)) {
+    return "approve";
+  }
+  if (wordsFor(REJECTION_RESPONSES, locale).includes(normalized)) {
+    return "reject";
+  }
+  return null;
+}
+
+function collapse(value: string): string {
+  return value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Resolve "edit <name>" targets by field ID, English label, or the label
+ * in the session locale.
+ */
+export function findFieldId(raw: string | undefined, locale?: string | null): CharterFieldId | null {
+  if (!raw) {
+    return null;
+  }
+  const normalized = raw.trim().toLowerCase();
+  if (!normalized) {
+    return null;
+  }
+  const collapsed = collapse(normalized);
+  for (const field of CHARTER_FIELDS) {
+    const idNormalized = field.id.toLowerCase();
+    if (idNormalized === normalized || idNormalized === collapsed) {
+      return field.id;
+    }
+    const labels = [field.label, localizeCharterField(field, locale).label];
+    for (const label of labels) {
+      if (label.toLowerCase() === normalized || collapse(label) === collapsed) {
+        return field.id;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Field name as shown in guided messages.
+ */
+export function getFieldName(
+  field: Pick<CharterField, "id" | "label" | "reviewLabel"> | null | undefined,
+  locale?: string | null
+): string | null {
+  if (!field) {
+    return null;
+  }
+  const localized = localizeCharterField(field as CharterField, locale);
+  return localized.reviewLabel ?? localized.label;
+}
+
+/**
+ * The question posted for a field: label, required flag, question, help
+ * text, an example, and the current answer when there is one.
+ */
+export function formatFieldPrompt(
+  field: CharterField,
+  existing: string,
+  locale?: string | null
+): string {
+  const t = createTranslator(locale);
+  const localized = localizeCharterField(field, locale);
+  const parts: string[] = [];
+  const statusLabel = t(field.required ? "guided.prompt.required" : "guided.prompt.optional");
+  parts.push(t("guided.prompt.heading", { label: localized.label, status: statusLabel }));
+  if (localized.question) {
+    parts.push(localized.question);
+  }
+  if (localized.helpText) {
+    parts.push(localized.helpText);
+  }
+  if (field.example) {
+    parts.push(t("guided.prompt.example", { example: field.example }));
+  } else if (field.placeholder) {
+    parts.push(t("guided.prompt.example", { example: field.placeholder }));
+  }
+  if (existing) {
+    parts.push(t("guided.prompt.current", { value: existing }));
+  }
+  parts.push(t("guided.prompt.next"));
+  return parts.join(" ").replace(/\s+/g, " ").trim();
+}
@@ -8,10 +8,20 @@ import {
   type GuidedEvent,
   type GuidedState,
 } from "./guidedState";
-import { CHARTER_FIELDS, type CharterField, type CharterFieldId } from "./schema";
+import { type CharterFieldId } from "./schema";
 import { getTitleCandidate } from "./titlePreprocessor";
 import { guidedStateToCharterDTO } from "./persist";
-import { SYSTEM_PROMPT } from "./prompts";
+import { getSystemPrompt } from "./prompts";
+import {
+  extractCommand,
+  findFieldId,
+  formatFieldPrompt,
+  getFieldName,
+  interpretConfirmation,
+  type GuidedCommand,
+} from "./guidedCopy";
+import { localizeCharterField } from "./fieldTranslations";
+import { createTranslator, formatList, normalizeLocale } from "../../lib/i18n/translate";
 
 type StateListener = (state: GuidedState) => void;
 
@@ -82,6 +92,8 @@ export interface GuidedOrchestratorOptions {
   onPendingChange?: PendingListener;
   extractFieldsFromUtterance?: (request: CharterExtractionRequest) => Promise<CharterExtractionResult>;
   getExtractionContext?: () => CharterExtractionContext | null | undefined;
+  /** Session language for prompts and replies; defaults to English */
+  locale?: string;
 }
 
 export interface GuidedOrchestrator {
@@ -95,44 +107,15 @@ export interface GuidedOrchestrator {
   approvePendingProposal(): boolean;
   rejectPendingProposal(): boolean;
   addPendingListener(listener: PendingListener): () => void;
+  getLocale(): string;
+  /** Switch the session language; later messages use it */
+  setLocale(locale: string): void;
 }
 
-type Command =
-  | { type: "skip" }
-  | { type: "back" }
-  | { type: "review" }
-  | { type: "edit"; target?: string };
-
 function normalizeWhitespace(value: string) {
   return value.replace(/\s+/g, " ").trim();
 }
 
-function extractCommand(raw: string): Command | null {
-  const trimmed = raw.trim();
-  if (!trimmed) return null;
-  const normalized = trimmed.replace(/^\/+/, "");
-  const lower = normalized.toLowerCase();
-
-  if (lower === "skip" || lower === "skip field") {
-    return { type: "skip" };
-  }
-
-  if (lower === "back" || lower === "go back") {
-    return { type: "back" };
-  }
-
-  if (lower === "review" || lower === "review progress" || lower === "review summary") {
-    return { type: "review" };
-  }
-
-  if (lower.startsWith("edit")) {
-    const target = normalized.slice(4).trim();
-    return { type: "edit", target: target || undefined };
-  }
-
-  return null;
-}
-
 function formatRecord(record: Record<string, string | null>): string {
   return Object.entries(record)
     .map(([key, value]) => {
@@ -178,101 +161,10 @@ function formatFieldValue(value: FieldValue | null): string {
   return normalizeWhitespace(String(value));
 }
 
-function formatFieldPrompt(field: CharterField, fieldState: FieldValue | null): string {
-  const parts: string[] = [];
-  const statusLabel = field.required ? "required" : "optional";
-  parts.push(`${field.label} (${statusLabel}).`);
-  if (field.question) {
-    parts.push(field.question);
-  }
-  if (field.helpText) {
-    parts.push(field.helpText);
-  }
-  if (field.example) {
-    parts.push(`Example: ${field.example}.`);
-  } else if (field.placeholder) {
-    parts.push(`Example: ${field.placeholder}.`);
-  }
-  const existing = formatFieldValue(fieldState);
-  if (existing) {
-    parts.push(`Current answer: ${existing}.`);
-  }
-  parts.push('Share your response or type "skip" to move on.');
-  return parts.join(" ").replace(/\s+/g, " ").trim();
-}
-
-function findFieldId(raw: string | undefined): CharterFieldId | null {
-  if (!raw) {
-    return null;
-  }
-  const normalized = raw.trim().toLowerCase();
-  if (!normalized) {
-    return null;
-  }
-  const collapsed = normalized.replace(/[^a-z0-9]/g, "");
-  for (const field of CHARTER_FIELDS) {
-    const idNormalized = field.id.toLowerCase();
-    if (idNormalized === normalized || idNormalized === collapsed) {
-      return field.id;
-    }
-    const labelNormalized = field.label.toLowerCase();
-    const labelCollapsed = labelNormalized.replace(/[^a-z0-9]/g, "");
-    if (labelNormalized === normalized || labelCollapsed === collapsed) {
-      return field.id;
-    }
-  }
-  return null;
-}
-
 function isStateActive(state: GuidedState): boolean {
   return state.status !== "idle" && state.status !== "complete";
 }
 
-const APPROVAL_RESPONSES = new Set([
-  "yes",
-  "y",
-  "yeah",
-  "yep",
-  "sure",
-  "correct",
-  "that's correct",
-  "thats correct",
-  "sounds good",
-  "looks good",
-  "ok",
-  "okay",
-  "confirm",
-  "save",
-]);
-
-const REJECTION_RESPONSES = new Set([
-  "no",
-  "n",
-  "nope",
-  "nah",
-  "don't",
-  "dont",
-  "reject",
-  "not correct",
-  "that's wrong",
-  "thats wrong",
-  "change it",
-]);
-
-function interpretConfirmation(raw: string): "approve" | "reject" | null {
-  const normalized = normalizeWhitespace(raw).toLowerCase();
-  if (!normalized) {
-    return null;
-  }
-  if (APPROVAL_RESPONSES.has(normalized)) {
-    return "approve";
-  }
-  if (REJECTION_RESPONSES.has(normalized)) {
-    return "reject";
-  }
-  return null;
-}
-
 function cloneValue<T>(value: T): T {
   const globalWithClone = globalThis as typeof globalThis & {
     structuredClone?: <U>(input: U) => U;
@@ -293,10 +185,13 @@ export function createGuidedOrchestrator({
   onPendingChange,
   extractFieldsFromUtterance,
   getExtractionContext,
+  locale: initialLocale,
 }: GuidedOrchestratorOptions): GuidedOrchestrator {
   let state = createInitialGuidedState();
   let active = isStateActive(state);
   let completionNotified = false;
+  let locale = normalizeLocale(initialLocale);
+  let t = createTranslator(locale);
 
   const listeners: Set<StateListener> = new Set();
   const activeListeners: Set<ActiveListener> = new Set();
@@ -389,9 +284,7 @@ export function createGuidedOrchestrator({
     if (!currentField) {
       if (state.status === "complete" && !completionNotified) {
         completionNotified = true;
-        sendAssistantMessage(
-          "That covers every section. I’ve saved your charter responses—you can review or edit any field with \"edit <field name>\"."
-        );
+        sendAssistantMessage(t("guided.complete"));
       }
       return;
     }
@@ -400,7 +293,8 @@ export function createGuidedOrchestrator({
     const fieldState = getCurrentFieldState(state);
     const prompt = formatFieldPrompt(
       currentField,
-      fieldState?.confirmedValue ?? fieldState?.value ?? null,
+      formatFieldValue(fieldState?.confirmedValue ?? fieldState?.value ?? null),
+      locale,
     );
     sendAssistantMessage(prompt);
   }
@@ -408,11 +302,11 @@ export function createGuidedOrchestrator({
 function handleSkip(): boolean {
   const field = getCurrentField(state);
   if (!field) {
-    sendAssistantMessage("All charter fields are already complete.");
+    sendAssistantMessage(t("guided.alreadyComplete"));
     return true;
   }
-    const name = field.reviewLabel ?? field.label;
-    sendAssistantMessage(`Skipping ${name}.`);
+    const name = getFieldName(field, locale);
+    sendAssistantMessage(t("guided.skipping", { name }));
     dispatch({ type: "SKIP", fieldId: field.id, reason: "user-skipped" });
     promptCurrentField();
     return true;
@@ -423,14 +317,14 @@ function handleBack(): boolean {
     dispatch({ type: "BACK" });
     const current = getCurrentField(state);
     if (!current) {
-      sendAssistantMessage("We’re at the beginning of the charter questions.");
+      sendAssistantMessage(t("guided.atBeginning"));
       return true;
     }
-    const name = current.reviewLabel ?? current.label;
+    const name = getFieldName(current, locale);
     if (before && before.id === current.id) {
-      sendAssistantMessage(`You’re already focused on ${name}.`);
+      sendAssistantMessage(t("guided.alreadyFocused", { name }));
     } else {
-      sendAssistantMessage(`Let’s revisit ${name}.`);
+      sendAssistantMessage(t("guided.revisit", { name }));
     }
     promptCurrentField();
     return true;
@@ -438,7 +332,7 @@ function handleBack(): boolean {
 
   function handleReview(): boolean {
     if (state.status === "idle") {
-      sendAssistantMessage("Start the charter session to see progress.");
+      sendAssistantMessage(t("guided.review.idle"));
       return true;
     }
 
@@ -450,7 +344,7 @@ function handleBack(): boolean {
       if (!fieldId) continue;
       const fieldState = state.fields[fieldId];
       if (!fieldState) continue;
-      const label = fieldState.definition?.reviewLabel ?? fieldState.definition?.label;
+      const label = getFieldName(fieldState.definition, locale);
       if (!label) continue;
 
       switch (fieldState.status) {
@@ -466,76 +360,59 @@ function handleBack(): boolean {
       }
     }
 
-    const formatList = (values: string[]): string => {
-      if (values.length === 0) {
-        return "";
-      }
-      if (values.length === 1) {
-        return values[0];
-      }
-      if (values.length === 2) {
-        return `${values[0]} and ${values[1]}`;
-      }
-      return `${values.slice(0, -1).join(", ")}, and ${values[values.length - 1]}`;
-    };
-
     const segments: string[] = [];
 
     if (confirmedLabels.length > 0) {
-      segments.push(`Confirmed: ${formatList(confirmedLabels)}.`);
+      segments.push(t("guided.review.confirmed", { list: formatList(locale, confirmedLabels) }));
     }
 
     if (skippedLabels.length > 0) {
-      segments.push(`Skipped: ${formatList(skippedLabels)}.`);
+      segments.push(t("guided.review.skipped", { list: formatList(locale, skippedLabels) }));
     }
 
     if (pendingLabels.length > 0 && state.status !== "complete") {
-      segments.push(`Still in progress: ${formatList(pendingLabels)}.`);
+      segments.push(t("guided.review.pending", { list: formatList(locale, pendingLabels) }));
     }
 
     if (state.status === "complete") {
-      segments.unshift("All charter sections are complete.");
+      segments.unshift(t("guided.review.complete"));
     } else {
       const currentField = getCurrentField(state);
       if (currentField) {
-        const name = currentField.reviewLabel ?? currentField.label;
-        segments.push(`Currently focused on ${name}.`);
+        segments.push(t("guided.review.focused", { name: getFieldName(currentField, locale) }));
       }
     }
 
     if (segments.length === 0) {
-      segments.push("We haven’t captured any charter responses yet.");
+      segments.push(t("guided.review.empty"));
     }
 
-    sendAssistantMessage(`Review summary — ${segments.join(" ")}`);
+    sendAssistantMessage(t("guided.review.summary", { segments: segments.join(" ") }));
     return true;
   }
 
   function handleEdit(target?: string): boolean {
     if (!target && !getCurrentField(state)) {
-      sendAssistantMessage("Let me know which field you’d like to edit—try \"edit risks\".");
+      sendAssistantMessage(t("guided.edit.which"));
       return true;
     }
 
-    const targetId = target ? findFieldId(target) : state.currentFieldId;
+    const targetId = target ? findFieldId(target, locale) : state.currentFieldId;
     if (!targetId) {
-      sendAssistantMessage(
-        "I couldn’t find that section. Try something like \"edit project description\"."
-      );
+      sendAssistantMessage(t("guided.edit.notFound"));
       return true;
     }
 
     dispatch({ type: "ASK", fieldId: targetId });
     const current = getCurrentField(state);
     if (current) {
-      const name = current.reviewLabel ?? current.label;
-      sendAssistantMessage(`Okay, updating ${name}.`);
+      sendAssistantMessage(t("guided.edit.updating", { name: getFieldName(current, locale) }));
       promptCurrentField();
     }
     return true;
   }
 
-  function handleCommand(command: Command): boolean {
+  function handleCommand(command: GuidedCommand): boolean {
     switch (command.type) {
       case "skip":
         return handleSkip();
@@ -558,34 +435,30 @@ function handleBack(): boolean {
 
     const normalizedInput = normalizeWhitespace(raw);
     if (!normalizedInput) {
-      sendAssistantMessage(
-        `I didn’t catch a response for ${field.label}. Share an update or type "skip".`
-      );
+      sendAssistantMessage(t("guided.noResponse", { name: getFieldName(field, locale) }));
       return true;
     }
 
     if (state.awaitingConfirmation) {
-      const decision = interpretConfirmation(normalizedInput);
+      const decision = interpretConfirmation(normalizedInput, locale);
       const pendingFieldId = state.pendingFieldId;
       const pendingDefinition =
         pendingFieldId ? state.fields[pendingFieldId]?.definition ?? null : null;
 
       if (decision === "approve" && pendingFieldId) {
-        const name = pendingDefinition?.reviewLabel ?? pendingDefinition?.label ?? field.label;
+        const name = getFieldName(pendingDefinition ?? field, locale);
         dispatch({ type: "CONFIRM_PENDING" });
         clearPendingToolData();
-        sendAssistantMessage(`Saved ${name}.`);
+        sendAssistantMessage(t("guided.saved", { name }));
         promptCurrentField();
         return true;
       }
 
       if (decision === "reject" && pendingFieldId) {
-        const name = pendingDefinition?.reviewLabel ?? pendingDefinition?.label ?? field.label;
+        const name = getFieldName(pendingDefinition ?? field, locale);
         dispatch({ type: "REJECT_PENDING" });
         clearPendingToolData();
-        sendAssistantMessage(
-          `No problem—let’s adjust ${name}. Share the right details or type "skip" to move on.`
-        );
+        sendAssistantMessage(t("guided.adjust", { name }));
         promptCurrentField();
         return true;
       }
@@ -621,13 +494,14 @@ function handleBack(): boolean {
     const fieldState = getCurrentFieldState(state);
     const prompt = formatFieldPrompt(
       field,
-      fieldState?.confirmedValue ?? fieldState?.value ?? null,
+      formatFieldValue(fieldState?.confirmedValue ?? fieldState?.value ?? null),
+      locale,
     );
 
     const request: CharterExtractionRequest = {
       requestedFieldIds: [field.id],
       messages: [
-        { role: "system", content: SYSTEM_PROMPT },
+        { role: "system", content: getSystemPrompt(locale) },
         { role: "assistant", content: prompt },
         { role: "user", content: raw },
       ],
@@ -651,11 +525,8 @@ function handleBack(): boolean {
 
     const runExtraction = extractFieldsFromUtterance;
     if (typeof runExtraction !== "function") {
-      const name = field.reviewLabel ?? field.label;
       dispatch({ type: "REJECT", fieldId: field.id, issues: [] });
-      sendAssistantMessage(
-        `I couldn’t validate ${name} because the extractor isn’t available. Try again or type "skip".`,
-      );
+      sendAssistantMessage(t("guided.extractor.missing", { name: getFieldName(field, locale) }));
       clearPendingToolData();
       return true;
     }
@@ -668,11 +539,10 @@ function handleBack(): boolean {
         if (shouldIgnoreExtraction()) {
           return;
         }
-        const name = field.reviewLabel ?? field.label;
         dispatch({ type: "REJECT", fieldId: field.id, issues: [] });
-        const fallback = error instanceof Error && error.message ? ` ${error.message}` : "";
+        const detail = error instanceof Error && error.message ? ` ${error.message}` : "";
         sendAssistantMessage(
-          `I couldn’t validate ${name} because the extractor was unavailable.${fallback} Try again or type "skip".`,
+          t("guided.extractor.failed", { name: getFieldName(field, locale), detail }),
         );
         clearPendingToolData();
         return;
@@ -684,16 +554,16 @@ function handleBack(): boolean {
 
       if (!result.ok) {
         const errorMessage =
-          result.error?.message ?? `I couldn’t validate ${field.label}.`;
-        const name = field.reviewLabel ?? field.label;
+          result.error?.message ??
+          t("guided.extractor.invalid", { name: localizeCharterField(field, locale).label });
         const issues = [errorMessage];
         dispatch({ type: "REJECT", fieldId: field.id, issues });
         clearPendingToolData();
         const suffix =
           result.error?.code === "validation_failed" ||
           result.error?.code === "missing_required"
-            ? "Try again or type \"skip\" to move on."
-            : "Let’s try again or you can type \"skip\".";
+            ? t("guided.retry.validation")
+            : t("guided.retry.generic");
         sendAssistantMessage(`${errorMessage} ${suffix}`);
         return;
       }
@@ -703,12 +573,9 @@ function handleBack(): boolean {
         return;
       }
       if (fieldValue == null) {
-        const name = field.reviewLabel ?? field.label;
         dispatch({ type: "REJECT", fieldId: field.id, issues: [] });
         clearPendingToolData();
-        sendAssistantMessage(
-          `I couldn’t find details for ${name}. Share an update or type "skip" to move on.`,
-        );
+        sendAssistantMessage(t("guided.noDetails", { name: getFieldName(field, locale) }));
         return;
       }
 
@@ -718,12 +585,9 @@ function handleBack(): boolean {
         return;
       }
       if (!summary) {
-        const name = field.reviewLabel ?? field.label;
         dispatch({ type: "REJECT", fieldId: field.id, issues: [] });
         clearPendingToolData();
-        sendAssistantMessage(
-          `I wasn’t able to capture ${name}. Try again or type "skip" to move on.`,
-        );
+        sendAssistantMessage(t("guided.notCaptured", { name: getFieldName(field, locale) }));
         return;
       }
 
@@ -741,13 +605,10 @@ function handleBack(): boolean {
         awaitingConfirmation: true,
       });
 
-      const name = field.reviewLabel ?? field.label;
-      sendAssistantMessage(
-        `Here’s what I captured for ${name}: ${summary}. Reply "yes" to save it, or share an update.`,
-      );
+      sendAssistantMessage(t("guided.proposal", { name: getFieldName(field, locale), summary }));
 
       if (warningMessages.length > 0) {
-        sendAssistantMessage(`Heads up: ${warningMessages.join(" ")}`);
+        sendAssistantMessage(t("guided.headsUp", { warnings: warningMessages.join(" ") }));
       }
     })();
 
@@ -764,9 +625,7 @@ function handleBack(): boolean {
       return;
     }
 
-    sendAssistantMessage(
-      "Let’s build your charter step-by-step. I’ll ask about each section—type \"skip\" to move on, \"back\" to revisit the previous question, or \"edit <field name>\" to jump to a specific section."
-    );
+    sendAssistantMessage(t("guided.intro"));
     dispatch({ type: "START" });
     promptCurrentField();
   }
@@ -789,7 +648,7 @@ function handleBack(): boolean {
         return false;
       }
 
-      const command = extractCommand(message);
+      const command = extractCommand(message, locale);
       if (command) {
         return handleCommand(command);
       }
@@ -817,9 +676,8 @@ function handleBack(): boolean {
       const pendingDefinition = state.fields[pendingFieldId]?.definition ?? null;
       dispatch({ type: "CONFIRM_PENDING" });
       clearPendingToolData();
-      const name =
-        pendingDefinition?.reviewLabel ?? pendingDefinition?.label ?? "that section";
-      sendAssistantMessage(`Saved ${name}.`);
+      const name = getFieldName(pendingDefinition, locale) ?? t("guided.thatSection");
+      sendAssistantMessage(t("guided.saved", { name }));
       promptCurrentField();
       return true;
     },
@@ -832,14 +690,18 @@ function handleBack(): boolean {
       const pendingDefinition = state.fields[pendingFieldId]?.definition ?? null;
       dispatch({ type: "REJECT_PENDING" });
       clearPendingToolData();
-      const name =
-        pendingDefinition?.reviewLabel ?? pendingDefinition?.label ?? "that section";
-      sendAssistantMessage(
-        `No problem—let’s adjust ${name}. Share the right details or type "skip" to move on.`,
-      );
+      const name = getFieldName(pendingDefinition, locale) ?? t("guided.thatSection");
+      sendAssistantMessage(t("guided.adjust", { name }));
       promptCurrentField();
       return true;
     },
+    getLocale() {
+      return locale;
+    },
+    setLocale(next: string) {
+      locale = normalizeLocale(next);
+      t = createTranslator(locale);
+    },
     addPendingListener(listener: PendingListener) {
       pendingListeners.add(listener);
       listener(getPendingMetadata());
@@ -1,3 +1,5 @@
+import { getLocaleInfo, normalizeLocale } from "../../../lib/i18n/locales.js";
+
 export const SYSTEM_PROMPT =
   [
     "You are the Exact Virtual Assistant guiding a project charter working session.",
@@ -6,3 +8,22 @@ export const SYSTEM_PROMPT =
     "Honor guided commands: \"skip\" moves on, \"back\" revisits the previous field, \"edit <field name>\" jumps to that section, and \"review\" summarizes confirmed versus pending sections.",
     "Confirm captured answers, reuse the latest confirmed value when referencing past entries, keep responses crisp and professional, and never recommend external blank-charter websites."
   ].join(" ");
+
+/**
+ * System prompt for a session in the given locale. Non-English sessions
+ * are told to converse in that language and to read dates the way it
+ * writes them, while returning field values in the user's own words.
+ */
+export function getSystemPrompt(locale?: string | null): string {
+  const resolved = normalizeLocale(locale);
+  if (resolved === "en") {
+    return SYSTEM_PROMPT;
+  }
+  const { englishName, dateOrder } = getLocaleInfo(resolved);
+  const dateHint = dateOrder === "DMY" ? "day before month (DD.MM.YYYY or DD/MM/YYYY)" : "month before day";
+  return [
+    SYSTEM_PROMPT,
+    `Conduct the whole session in ${englishName}: ask questions, confirm answers, and summarize in ${englishName}, and keep captured values in the language the user wrote them.`,
+    `The user writes numeric dates ${dateHint}; always return dates as YYYY-MM-DD.`,
+  ].join(" ");
+}
@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 
 import { beginDraftSync, completeDraftSync } from "../state/draftStore.js";
+import { draftActions } from "../state/draftStore.ts";
 
 export { mergeExtractedDraft } from "../lib/preview/mergeIntoDraftWithLocks.js";
 
@@ -21,6 +22,7 @@ import {
   isIntentOnlyExtractionEnabled,
 } from "../../config/featureFlags.js";
 import { FLAGS } from "../config/flags.ts";
+import { enqueueOfflineRequest, isOfflineError } from "../offline/offlineQueue.ts";
 import {
   getDocTypeSnapshot,
   setDocType,
@@ -87,6 +89,19 @@ function sanitizeSuggestion(candidate) {
   return normalizeDocTypeSuggestion(candidate);
 }
 
+/**
+ * Warning for fields the chunks of a long document disagreed on, or null.
+ */
+export function formatChunkConflictMessage(chunking) {
+  const conflicts = Array.isArray(chunking?.conflicts) ? chunking.conflicts : [];
+  if (conflicts.length === 0) {
+    return null;
+  }
+  const fields = conflicts.slice(0, 3).map((conflict) => conflict.field);
+  const more = conflicts.length > 3 ? ` and ${conflicts.length - 3} more` : "";
+  return `Parts of the document disagree on ${fields.join(", ")}${more}. The most common value was kept.`;
+}
+
 function shouldAutoExtractPayload({ messages, voice, attachments }) {
   return (
     sanitizeAttachments(attachments).length > 0 ||
@@ -364,6 +379,7 @@ export default function useBackgroundExtraction({
 } = {}) {
   const [isExtracting, setIsExtracting] = useState(false);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
   const [docTypeSuggestion, setDocTypeSuggestion] = useState(() => sanitizeSuggestion(suggestedDocType));
   const [autoExtractAllowed, setAutoExtractAllowed] = useState(true);
 
@@ -656,6 +672,7 @@ export default function useBackgroundExtraction({
     if (isMountedRef.current) {
       setIsExtracting(true);
       setError(null);
+      setProgress(null);
     }
     let syncStarted = false;
     try {
@@ -687,6 +704,11 @@ export default function useBackgroundExtraction({
             applyDraft: setDraftRef.current,
             signal: controller.signal,
             parseFallbackMessage: PARSE_FALLBACK_MESSAGE,
+            onProgress: (event) => {
+              if (isMountedRef.current && abortControllerRef.current === controller) {
+                setProgress(event);
+              }
+            },
           });
 
           if (result?.reason === "skipped") {
@@ -710,6 +732,13 @@ export default function useBackgroundExtraction({
           }
 
           if (result?.ok) {
+            draftActions.setCitations(result.citations || {});
+            // Long documents are extracted in chunks; surface fields the chunks disagreed on
+            const conflictMessage = formatChunkConflictMessage(result.chunking);
+            const notify = notifyRef.current;
+            if (conflictMessage && typeof notify === "function") {
+              notify({ tone: "warning", message: conflictMessage });
+            }
             if (isMountedRef.current) {
               setIsExtracting(false);
               setError(null);
@@ -737,6 +766,36 @@ export default function useBackgroundExtraction({
         return { ok: false, reason: "aborted" };
       }
 
+      if (FLAGS.OFFLINE_MODE_ENABLED && isOfflineError(errorInstance)) {
+        enqueueOfflineRequest({
+          kind: "extract",
+          docType: normalizedDocType,
+          payload: {
+            docType: normalizedDocType,
+            messages: formattedMessages,
+            attachments: formattedAttachments,
+            voice: formattedVoice,
+            seed: latestSeed,
+            suggestion: suggestionRef.current,
+            intent: latestIntent,
+            intentSource: latestIntentSource,
+            intentReason: latestIntentReason,
+          },
+        });
+        if (isMountedRef.current) {
+          setIsExtracting(false);
+          setError(null);
+        }
+        const notify = notifyRef.current;
+        if (typeof notify === "function") {
+          notify({
+            tone: "info",
+            message: "You're offline. Extraction is queued and will run when you reconnect.",
+          });
+        }
+        return { ok: false, reason: "queued" };
+      }
+
       console.error("Background extraction error", errorInstance);
       const message = errorInstance?.message || "Unable to extract charter data";
       if (isMountedRef.current) {
@@ -751,6 +810,9 @@ export default function useBackgroundExtraction({
     } finally {
       if (abortControllerRef.current === controller) {
         abortControllerRef.current = null;
+        if (isMountedRef.current) {
+          setProgress(null);
+        }
       }
       if (syncStarted) {
         try {
@@ -891,6 +953,7 @@ export default function useBackgroundExtraction({
 
   return {
     isExtracting,
+    progress,
     error,
     clearError,
     trigger,
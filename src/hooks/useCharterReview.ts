@@ -14,8 +14,46 @@ import {
   useReviewStatus,
   useReview,
   useFeedbackCounts,
+  type FeedbackItem,
   type ReviewResult,
 } from "../state/slices/reviewSession";
+import { reviewHistoryActions } from "../state/slices/reviewHistory";
+import { applyPatch, syncStoreApi, undoPatch } from "../state/syncStore";
+import { draftStoreApi } from "../state/draftStore.ts";
+import { canUndoFeedbackPatch, rebaseFeedbackPatch } from "../../lib/doc/reviewPatch.js";
+import { createId } from "../utils/id.js";
+import { FLAGS } from "../config/flags";
+import { enqueueOfflineRequest, isOfflineError } from "../offline/offlineQueue";
+
+/**
+ * Shown instead of a review error when the request is queued offline.
+ */
+export const OFFLINE_REVIEW_MESSAGE =
+  "You're offline. The review is queued and will run when you reconnect.";
+
+/**
+ * Where a review result is filed, and how an offline failure is handled.
+ */
+export interface ReviewContext {
+  charterId?: string | null;
+  /**
+   * Queue the review when the API is unreachable (default). Replays pass
+   * false so the offline error is thrown back to the queue instead.
+   */
+  queueOffline?: boolean;
+}
+
+/**
+ * Field change proposed for an accepted feedback item
+ * (see lib/doc/reviewPatch.js).
+ */
+export interface ReviewFeedbackPatch {
+  feedbackId: string | null;
+  field: string;
+  operation: "replace" | "append";
+  before: unknown;
+  after: unknown;
+}
 
 /**
  * Review API request options
@@ -43,14 +81,30 @@ export interface UseCharterReviewReturn {
   review: ReviewResult | null;
   /** Feedback counts by status and severity */
   counts: ReturnType<typeof useFeedbackCounts>;
-  /** Start a new review */
-  startReview: (document: Record<string, unknown>, options?: ReviewOptions) => Promise<ReviewResult | null>;
+  /** Start a new review; `charterId` files the result in review history */
+  startReview: (
+    document: Record<string, unknown>,
+    options?: ReviewOptions,
+    context?: ReviewContext
+  ) => Promise<ReviewResult | null>;
   /** Accept a feedback item */
   acceptFeedback: (feedbackId: string, userNote?: string) => void;
   /** Dismiss a feedback item */
   dismissFeedback: (feedbackId: string, reason?: string) => void;
   /** Mark feedback as resolved */
   resolveFeedback: (feedbackId: string) => void;
+  /** Ask the API for the field change an accepted item implies */
+  proposeFeedbackPatch: (
+    feedbackId: string,
+    document: Record<string, unknown>
+  ) => Promise<ReviewFeedbackPatch | null>;
+  /**
+   * Apply a proposed change to the current draft and mark the item
+   * resolved; false when the field was rewritten since the proposal
+   */
+  applyFeedbackPatch: (feedbackId: string, patch: ReviewFeedbackPatch) => boolean;
+  /** Revert an applied change unless the field was edited since; the item goes back to accepted */
+  undoFeedbackPatch: (feedbackId: string) => boolean;
   /** Reset the review session */
   reset: () => void;
   /** Abort any in-progress review */
@@ -86,6 +140,9 @@ export function useCharterReview(docType: string = "charter"): UseCharterReviewR
   const counts = useFeedbackCounts();
 
   const abortControllerRef = useRef<AbortController | null>(null);
+  const appliedPatchesRef = useRef(
+    new Map<string, { patchId: string; patch: ReviewFeedbackPatch }>()
+  );
 
   /**
    * Start a review for the given document
@@ -93,7 +150,8 @@ export function useCharterReview(docType: string = "charter"): UseCharterReviewR
   const startReview = useCallback(
     async (
       document: Record<string, unknown>,
-      options?: ReviewOptions
+      options?: ReviewOptions,
+      context?: ReviewContext
     ): Promise<ReviewResult | null> => {
       // Abort any existing review
       if (abortControllerRef.current) {
@@ -134,6 +192,11 @@ export function useCharterReview(docType: string = "charter"): UseCharterReviewR
 
         // Update state with result
         reviewSessionActions.setReviewResult(result);
+        reviewHistoryActions.addReview({
+          ...result,
+          charterId: context?.charterId ?? undefined,
+          scores: { overall: result.scores.overall, dimensions: { ...result.scores.dimensions } },
+        });
 
         return result;
       } catch (error) {
@@ -142,6 +205,24 @@ export function useCharterReview(docType: string = "charter"): UseCharterReviewR
           return null;
         }
 
+        if (FLAGS.OFFLINE_MODE_ENABLED && isOfflineError(error)) {
+          if (context?.queueOffline === false) {
+            reviewSessionActions.setReviewError(OFFLINE_REVIEW_MESSAGE);
+            throw error;
+          }
+          enqueueOfflineRequest({
+            kind: "review",
+            docType,
+            payload: {
+              document,
+              options: options || {},
+              charterId: context?.charterId ?? null,
+            },
+          });
+          reviewSessionActions.setReviewError(OFFLINE_REVIEW_MESSAGE);
+          return null;
+        }
+
         const message =
           error instanceof Error ? error.message : "Review failed unexpectedly";
         reviewSessionActions.setReviewError(message);
@@ -177,6 +258,86 @@ export function useCharterReview(docType: string = "charter"): UseCharterReviewR
     reviewSessionActions.resolveFeedback(feedbackId);
   }, []);
 
+  /**
+   * Request the field change for an accepted feedback item
+   */
+  const proposeFeedbackPatch = useCallback(
+    async (
+      feedbackId: string,
+      document: Record<string, unknown>
+    ): Promise<ReviewFeedbackPatch | null> => {
+      const item: FeedbackItem | undefined = state.feedback.byId[feedbackId];
+      if (!item?.field) {
+        return null;
+      }
+
+      const response = await fetch("/api/assistant/review/patch", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ docType, document, feedback: item }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(
+          errorData.message ||
+            errorData.error?.message ||
+            `Patch request failed with status ${response.status}`
+        );
+      }
+
+      const result = await response.json();
+      return result.patch ?? null;
+    },
+    [docType, state.feedback.byId]
+  );
+
+  /**
+   * Apply a proposed change through the sync store, re-based on the
+   * current draft and keeping the previous value so it can be undone
+   */
+  const applyFeedbackPatch = useCallback(
+    (feedbackId: string, proposed: ReviewFeedbackPatch) => {
+      const patch = rebaseFeedbackPatch(proposed, draftStoreApi.getState().draft);
+      if (!patch) {
+        return false;
+      }
+      const patchId = `review-${feedbackId}-${createId()}`;
+      applyPatch(
+        {
+          id: patchId,
+          version: syncStoreApi.getState().draft.version + 1,
+          fields: { [patch.field]: patch.after },
+          appliedAt: Date.now(),
+        },
+        { undo: { [patch.field]: patch.before } }
+      );
+      appliedPatchesRef.current.set(feedbackId, { patchId, patch });
+      reviewSessionActions.resolveFeedback(feedbackId);
+      return true;
+    },
+    []
+  );
+
+  /**
+   * Revert the change applied for a feedback item, as long as the field
+   * still holds what the patch wrote
+   */
+  const undoFeedbackPatch = useCallback((feedbackId: string) => {
+    const applied = appliedPatchesRef.current.get(feedbackId);
+    if (!applied || !canUndoFeedbackPatch(applied.patch, draftStoreApi.getState().draft)) {
+      return false;
+    }
+    if (!undoPatch(applied.patchId)) {
+      return false;
+    }
+    appliedPatchesRef.current.delete(feedbackId);
+    reviewSessionActions.acceptFeedback(feedbackId);
+    return true;
+  }, []);
+
   /**
    * Reset the review session
    */
@@ -210,6 +371,9 @@ export function useCharterReview(docType: string = "charter"): UseCharterReviewR
     acceptFeedback,
     dismissFeedback,
     resolveFeedback,
+    proposeFeedbackPatch,
+    applyFeedbackPatch,
+    undoFeedbackPatch,
     reset,
     abort,
     isLoading,
@@ -0,0 +1,89 @@
+/**
+ * useOfflineSync Hook
+ *
+ * Tracks browser connectivity and replays the offline request queue when
+ * the app comes back online (and once on mount, for requests queued
+ * before a reload).
+ *
+ * @module hooks/useOfflineSync
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  isBrowserOffline,
+  replayOfflineQueue,
+  useOfflineQueue,
+  type OfflineReplayHandlers,
+  type OfflineReplaySummary,
+  type OfflineRequest,
+} from "../offline/offlineQueue";
+
+export interface UseOfflineSyncOptions {
+  /** Replay handler per request kind */
+  handlers: OfflineReplayHandlers;
+  /** Called after each replay that processed at least one request */
+  onReplayComplete?: (summary: OfflineReplaySummary) => void;
+  enabled?: boolean;
+}
+
+export interface UseOfflineSyncReturn {
+  online: boolean;
+  queued: OfflineRequest[];
+  isReplaying: boolean;
+  /** Replay now (e.g. from a "Sync now" button) */
+  replay: () => Promise<OfflineReplaySummary | null>;
+}
+
+export function useOfflineSync({
+  handlers,
+  onReplayComplete,
+  enabled = true,
+}: UseOfflineSyncOptions): UseOfflineSyncReturn {
+  const [online, setOnline] = useState(() => !isBrowserOffline());
+  const [isReplaying, setIsReplaying] = useState(false);
+  const queued = useOfflineQueue();
+  const handlersRef = useRef(handlers);
+  const onReplayCompleteRef = useRef(onReplayComplete);
+  handlersRef.current = handlers;
+  onReplayCompleteRef.current = onReplayComplete;
+
+  const replay = useCallback(async () => {
+    if (!enabled || isBrowserOffline()) {
+      return null;
+    }
+    setIsReplaying(true);
+    try {
+      const summary = await replayOfflineQueue(handlersRef.current);
+      if (summary.replayed.length > 0 || summary.failed.length > 0) {
+        onReplayCompleteRef.current?.(summary);
+      }
+      return summary;
+    } finally {
+      setIsReplaying(false);
+    }
+  }, [enabled]);
+
+  useEffect(() => {
+    if (typeof window === "undefined") {
+      return undefined;
+    }
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (online) {
+      void replay();
+    }
+  }, [online, replay]);
+
+  return { online, queued, isReplaying, replay };
+}
+
+export default useOfflineSync;
@@ -100,6 +100,7 @@ type RawMessageResponse<TEvent> = {
 
 export async function startCharterSession(
   correlationId: string,
+  options: { locale?: string | null } = {},
 ): Promise<CharterSessionStartResponse> {
   try {
     const response = await fetch("/api/assistant/charter/start", {
@@ -107,7 +108,10 @@ export async function startCharterSession(
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({ correlation_id: correlationId }),
+      body: JSON.stringify({
+        correlation_id: correlationId,
+        ...(options.locale ? { locale: options.locale } : {}),
+      }),
     });
 
     const payload = await ensureOk<RawStartResponse<unknown>>(response);
@@ -1,4 +1,6 @@
-export async function docApi(operation, payload, { fetchImpl, signal, bases } = {}) {
+import { PROGRESS_ACCEPT_HEADER, resolveProgressResponse } from './progressStream.js';
+
+export async function docApi(operation, payload, { fetchImpl, signal, bases, onProgress } = {}) {
   const supportedOperations = new Set(['extract', 'validate', 'render']);
   if (!supportedOperations.has(operation)) {
     throw new Error(`Unsupported doc API operation: ${operation}`);
@@ -13,12 +15,21 @@ export async function docApi(operation, payload, { fetchImpl, signal, bases } =
 
   for (const base of baseList) {
     try {
-      const response = await fetchFn(`${base}/${operation}`, {
+      const headers = { 'Content-Type': 'application/json' };
+      if (typeof onProgress === 'function') {
+        // Chunked extraction streams progress before the result
+        headers.Accept = PROGRESS_ACCEPT_HEADER;
+      }
+      const rawResponse = await fetchFn(`${base}/${operation}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body,
         signal,
       });
+      const response =
+        typeof onProgress === 'function'
+          ? await resolveProgressResponse(rawResponse, onProgress)
+          : rawResponse;
       if (response.ok) {
         try {
           return await response.json();
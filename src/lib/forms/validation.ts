@@ -2,8 +2,11 @@ import charterFieldRules from "../../../templates/field_rules.json";
 import {
   normalizeObjectEntries,
   normalizeStringList,
+  parseDateInput,
   toTrimmedString,
 } from "../../../server/charter/utils/normalize.js";
+import { getCharterFieldCopy } from "../../features/charter/fieldTranslations";
+import { translate } from "../i18n/translate";
 
 import type {
   CharterFormField,
@@ -45,6 +48,8 @@ export interface FieldValidationContext {
 
 export interface FormValidatorOptions {
   fieldRules?: FieldRuleMap;
+  /** Session locale for date parsing and validation messages. Defaults to English. */
+  locale?: string | null;
 }
 
 export interface FormValidator {
@@ -95,63 +100,33 @@ function normalizeMultiline(value: string): string {
   return normalized;
 }
 
-const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
-const ISO_DATE_SHORT_RE = /^(\d{4})-(\d{2})$/;
-const US_DATE_RE = /^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})$/;
-
-function pad(value: number): string {
-  return value < 10 ? `0${value}` : `${value}`;
-}
-
-function formatIsoDate(date: Date): string {
-  const year = date.getUTCFullYear();
-  const month = pad(date.getUTCMonth() + 1);
-  const day = pad(date.getUTCDate());
-  return `${year}-${month}-${day}`;
-}
-
-function tryParseDate(value: string): { iso: string | null; warning?: FieldValidationIssue } {
-  const trimmed = value.trim();
-  if (!trimmed) {
+function tryParseDate(
+  value: string,
+  locale: string | null | undefined
+): { iso: string | null; warning?: FieldValidationIssue } {
+  if (!value.trim()) {
     return { iso: "" };
   }
 
-  let match = trimmed.match(ISO_DATE_RE);
-  if (match) {
-    return { iso: trimmed };
+  const parsed = parseDateInput(value, { locale });
+  if (!parsed) {
+    return { iso: null };
   }
-
-  match = trimmed.match(US_DATE_RE);
-  if (match) {
-    const [, month, day, year] = match;
-    const parsed = new Date(`${year}-${pad(Number(month))}-${pad(Number(day))}T00:00:00Z`);
-    if (!Number.isNaN(parsed.getTime())) {
-      return { iso: formatIsoDate(parsed) };
-    }
-  }
-
-  match = trimmed.match(ISO_DATE_SHORT_RE);
-  if (match) {
-    const [, year, month] = match;
-    const parsed = new Date(`${year}-${month}-01T00:00:00Z`);
-    if (!Number.isNaN(parsed.getTime())) {
-      return {
-        iso: formatIsoDate(parsed),
-        warning: {
-          code: "inferred-date",
-          severity: "warning",
-          message: "Date was inferred using the first day of the month.",
-        },
-      };
-    }
-  }
-
-  const parsed = new Date(trimmed);
-  if (!Number.isNaN(parsed.getTime())) {
-    return { iso: formatIsoDate(parsed) };
+  if (parsed.inferred) {
+    return {
+      iso: parsed.iso,
+      warning: {
+        code: "inferred-date",
+        severity: "warning",
+        message: translate(locale, "validation.inferredDate"),
+      },
+    };
   }
+  return { iso: parsed.iso };
+}
 
-  return { iso: null };
+function fieldLabel(field: CharterFormField, locale: string | null | undefined): string {
+  return getCharterFieldCopy(field.id, locale)?.label ?? field.label;
 }
 
 function createIssue(
@@ -266,7 +241,8 @@ function evaluateVisibility(
 
 function normalizeField(
   field: CharterFormField,
-  rawValue: unknown
+  rawValue: unknown,
+  locale?: string | null
 ): FieldNormalizationResult {
   const rawText = toStringValue(rawValue);
   switch (field.type) {
@@ -277,7 +253,7 @@ function normalizeField(
     }
     case "date": {
       const text = normalizeSingleLine(rawText);
-      const parsed = tryParseDate(text);
+      const parsed = tryParseDate(text, locale);
       const warnings = parsed.warning ? [parsed.warning] : undefined;
       return { text: parsed.iso ?? text, structured: parsed.iso ?? text, warnings };
     }
@@ -325,9 +301,11 @@ function runFieldValidation(
   field: CharterFormField,
   normalized: FieldNormalizationResult,
   ruleText: string | null | undefined,
-  context: FieldValidationContext | undefined
+  context: FieldValidationContext | undefined,
+  locale?: string | null
 ): FieldValidationIssue[] {
   const issues: FieldValidationIssue[] = [];
+  const label = fieldLabel(field, locale);
   const value = normalized.structured;
   const text = typeof normalized.text === "string" ? normalized.text : toStringValue(value);
 
@@ -338,7 +316,7 @@ function runFieldValidation(
     issues.push(
       createIssue(
         "required",
-        `${field.label} is required.`,
+        translate(locale, "validation.required", { label }),
         ruleText,
       ),
     );
@@ -350,7 +328,7 @@ function runFieldValidation(
       issues.push(
         createIssue(
           "max_length",
-          `${field.label} must be ${field.max_length} characters or fewer.`,
+          translate(locale, "validation.maxLength", { label, max: field.max_length }),
           ruleText,
           "error",
           { max: field.max_length, length },
@@ -365,7 +343,7 @@ function runFieldValidation(
       issues.push(
         createIssue(
           "enum",
-          `${field.label} must be one of the allowed options.`,
+          translate(locale, "validation.enum", { label }),
           ruleText,
           "error",
           { allowed },
@@ -381,7 +359,7 @@ function runFieldValidation(
         issues.push(
           createIssue(
             "pattern",
-            `${field.label} is not in the expected format.`,
+            translate(locale, "validation.pattern", { label }),
             ruleText,
           ),
         );
@@ -392,12 +370,12 @@ function runFieldValidation(
   }
 
   if (field.type === "date") {
-    const parsed = tryParseDate(toStringValue(value));
+    const parsed = tryParseDate(toStringValue(value), locale);
     if (!parsed.iso) {
       issues.push(
         createIssue(
           "date",
-          `${field.label} must be a valid date (YYYY-MM-DD).`,
+          translate(locale, "validation.date", { label }),
           ruleText,
         ),
       );
@@ -410,7 +388,7 @@ function runFieldValidation(
     issues.push(
       createIssue(
         "required",
-        `${field.label} requires at least one entry.`,
+        translate(locale, "validation.listRequired", { label }),
         ruleText,
       ),
     );
@@ -420,7 +398,7 @@ function runFieldValidation(
     issues.push(
       createIssue(
         "required",
-        `${field.label} requires at least one entry.`,
+        translate(locale, "validation.listRequired", { label }),
         ruleText,
       ),
     );
@@ -434,12 +412,13 @@ export function createFormValidator(
   options: FormValidatorOptions = {}
 ): FormValidator {
   const fieldRules = options.fieldRules ?? defaultFieldRules;
+  const locale = options.locale ?? null;
 
   function normalizeFieldValue(
     field: CharterFormField,
     rawValue: unknown
   ): FieldNormalizationResult {
-    return normalizeField(field, rawValue);
+    return normalizeField(field, rawValue, locale);
   }
 
   function validateField(
@@ -449,7 +428,7 @@ export function createFormValidator(
   ): FieldValidationResult {
     const values = context.values ?? {};
     const visible = evaluateVisibility(field, values);
-    const normalized = normalizeField(field, rawValue);
+    const normalized = normalizeField(field, rawValue, locale);
     if (!visible) {
       return {
         fieldId: field.id,
@@ -462,7 +441,7 @@ export function createFormValidator(
     const ruleText = fieldRules[field.id] ?? null;
     const issues = [
       ...(normalized.warnings ?? []),
-      ...runFieldValidation(field, normalized, ruleText, context),
+      ...runFieldValidation(field, normalized, ruleText, context, locale),
     ];
     return {
       fieldId: field.id,
@@ -0,0 +1,92 @@
+/**
+ * German messages.
+ *
+ * @module lib/i18n/messages/de
+ */
+
+import type { Messages } from "./en";
+
+export const de: Messages = {
+  // Guided chat copy
+  "guided.intro":
+    "Lassen Sie uns Ihre Projektcharta Schritt für Schritt erstellen. Ich frage jeden Abschnitt ab – schreiben Sie „überspringen“, um weiterzugehen, „zurück“, um die vorherige Frage erneut aufzurufen, oder „bearbeiten <Feldname>“, um direkt zu einem Abschnitt zu springen.",
+  "guided.complete":
+    "Damit sind alle Abschnitte erfasst. Ich habe Ihre Antworten gespeichert – mit „bearbeiten <Feldname>“ können Sie jedes Feld prüfen oder ändern.",
+  "guided.alreadyComplete": "Alle Felder der Projektcharta sind bereits ausgefüllt.",
+  "guided.skipping": "{name} wird übersprungen.",
+  "guided.atBeginning": "Wir sind bereits bei der ersten Frage der Projektcharta.",
+  "guided.alreadyFocused": "Wir sind bereits bei {name}.",
+  "guided.revisit": "Gehen wir noch einmal zu {name}.",
+  "guided.review.idle": "Starten Sie die Sitzung, um den Fortschritt zu sehen.",
+  "guided.review.confirmed": "Bestätigt: {list}.",
+  "guided.review.skipped": "Übersprungen: {list}.",
+  "guided.review.pending": "Noch offen: {list}.",
+  "guided.review.complete": "Alle Abschnitte der Projektcharta sind ausgefüllt.",
+  "guided.review.focused": "Aktuell bei {name}.",
+  "guided.review.empty": "Bisher wurden noch keine Antworten erfasst.",
+  "guided.review.summary": "Übersicht — {segments}",
+  "guided.edit.which": "Welches Feld möchten Sie bearbeiten? Versuchen Sie zum Beispiel „bearbeiten Risiken“.",
+  "guided.edit.notFound":
+    "Diesen Abschnitt konnte ich nicht finden. Versuchen Sie etwa „bearbeiten Projektbeschreibung“.",
+  "guided.edit.updating": "In Ordnung, wir aktualisieren {name}.",
+  "guided.noResponse":
+    "Ich habe keine Antwort zu {name} erhalten. Ergänzen Sie Ihre Angabe oder schreiben Sie „überspringen“.",
+  "guided.saved": "{name} gespeichert.",
+  "guided.adjust":
+    "Kein Problem – passen wir {name} an. Nennen Sie die richtigen Angaben oder schreiben Sie „überspringen“.",
+  "guided.thatSection": "diesen Abschnitt",
+  "guided.extractor.missing":
+    "Ich konnte {name} nicht prüfen, weil die Erkennung nicht verfügbar ist. Versuchen Sie es erneut oder schreiben Sie „überspringen“.",
+  "guided.extractor.failed":
+    "Ich konnte {name} nicht prüfen, weil die Erkennung nicht erreichbar war.{detail} Versuchen Sie es erneut oder schreiben Sie „überspringen“.",
+  "guided.extractor.invalid": "Ich konnte {name} nicht prüfen.",
+  "guided.retry.validation": "Versuchen Sie es erneut oder schreiben Sie „überspringen“.",
+  "guided.retry.generic": "Versuchen wir es noch einmal, oder schreiben Sie „überspringen“.",
+  "guided.noDetails":
+    "Ich habe keine Angaben zu {name} gefunden. Ergänzen Sie Ihre Angabe oder schreiben Sie „überspringen“.",
+  "guided.notCaptured":
+    "Ich konnte {name} nicht erfassen. Versuchen Sie es erneut oder schreiben Sie „überspringen“.",
+  "guided.proposal":
+    "Das habe ich für {name} erfasst: {summary}. Antworten Sie mit „ja“, um es zu speichern, oder nennen Sie eine Änderung.",
+  "guided.headsUp": "Hinweis: {warnings}",
+  "guided.prompt.heading": "{label} ({status}).",
+  "guided.prompt.required": "Pflichtfeld",
+  "guided.prompt.optional": "optional",
+  "guided.prompt.example": "Beispiel: {example}.",
+  "guided.prompt.current": "Aktuelle Antwort: {value}.",
+  "guided.prompt.next": "Geben Sie Ihre Antwort ein oder schreiben Sie „überspringen“.",
+
+  // Form validation
+  "validation.required": "{label} ist ein Pflichtfeld.",
+  "validation.maxLength": "{label} darf höchstens {max} Zeichen lang sein.",
+  "validation.enum": "{label} muss einer der zulässigen Optionen entsprechen.",
+  "validation.pattern": "{label} hat nicht das erwartete Format.",
+  "validation.date": "{label} muss ein gültiges Datum sein (TT.MM.JJJJ).",
+  "validation.listRequired": "{label} benötigt mindestens einen Eintrag.",
+  "validation.inferredDate": "Das Datum wurde auf den Monatsersten gesetzt.",
+
+  // Voice interview questions
+  "voice.greeting": "Lassen Sie uns Ihre Projektcharta erstellen. ",
+  "voice.required": "Dieses Feld ist ein Pflichtfeld.",
+  "voice.optional": "Dieses Feld ist optional – Sie können es gerne überspringen.",
+  "voice.prefilled":
+    "Laut Ihrem hochgeladenen Dokument lautet das Feld {label} „{value}“. Möchten Sie das übernehmen oder ändern?",
+  "voice.question.project_name": "Wie heißt Ihr Projekt?",
+  "voice.question.sponsor": "Wer ist der Sponsor des Projekts?",
+  "voice.question.project_lead": "Wer leitet das Projekt?",
+  "voice.question.start_date":
+    "Wann beginnt das Projekt? Sie können zum Beispiel „fünfzehnter Januar zweitausendfünfundzwanzig“ sagen.",
+  "voice.question.end_date": "Und wann ist das geplante Enddatum?",
+  "voice.question.vision": "Was ist die Vision für dieses Projekt? Was möchten Sie erreichen?",
+  "voice.question.problem": "Welches Problem oder welche Chance adressiert das Projekt?",
+  "voice.question.description": "Können Sie das Projekt kurz beschreiben?",
+  "voice.question.scope_in": "Was gehört zum Projektumfang? Nennen Sie mir die wichtigsten Punkte.",
+  "voice.question.scope_out": "Gibt es etwas, das ausdrücklich nicht zum Umfang gehört?",
+  "voice.question.risks": "Welche Hauptrisiken sehen Sie für dieses Projekt?",
+  "voice.question.assumptions": "Von welchen Annahmen gehen Sie bei diesem Projekt aus?",
+  "voice.question.milestones":
+    "Was sind die wichtigsten Meilensteine? Nennen Sie jeweils Phase, Ergebnis und Zieltermin.",
+  "voice.question.success_metrics": "Wie messen Sie den Erfolg? Was sind die wichtigsten Kennzahlen?",
+  "voice.question.core_team": "Wer gehört zum Kernteam? Nennen Sie mir Namen und Rollen.",
+  "voice.question.default": "Was möchten Sie für {label} eintragen?",
+};
@@ -0,0 +1,92 @@
+/**
+ * English messages. Every key used by the app is defined here, and the
+ * other locale catalogs are typed against it so none can miss a key.
+ *
+ * @module lib/i18n/messages/en
+ */
+
+export const en = {
+  // Guided chat copy
+  "guided.intro":
+    "Let’s build your charter step-by-step. I’ll ask about each section—type \"skip\" to move on, \"back\" to revisit the previous question, or \"edit <field name>\" to jump to a specific section.",
+  "guided.complete":
+    "That covers every section. I’ve saved your charter responses—you can review or edit any field with \"edit <field name>\".",
+  "guided.alreadyComplete": "All charter fields are already complete.",
+  "guided.skipping": "Skipping {name}.",
+  "guided.atBeginning": "We’re at the beginning of the charter questions.",
+  "guided.alreadyFocused": "You’re already focused on {name}.",
+  "guided.revisit": "Let’s revisit {name}.",
+  "guided.review.idle": "Start the charter session to see progress.",
+  "guided.review.confirmed": "Confirmed: {list}.",
+  "guided.review.skipped": "Skipped: {list}.",
+  "guided.review.pending": "Still in progress: {list}.",
+  "guided.review.complete": "All charter sections are complete.",
+  "guided.review.focused": "Currently focused on {name}.",
+  "guided.review.empty": "We haven’t captured any charter responses yet.",
+  "guided.review.summary": "Review summary — {segments}",
+  "guided.edit.which": "Let me know which field you’d like to edit—try \"edit risks\".",
+  "guided.edit.notFound": "I couldn’t find that section. Try something like \"edit project description\".",
+  "guided.edit.updating": "Okay, updating {name}.",
+  "guided.noResponse": "I didn’t catch a response for {name}. Share an update or type \"skip\".",
+  "guided.saved": "Saved {name}.",
+  "guided.adjust": "No problem—let’s adjust {name}. Share the right details or type \"skip\" to move on.",
+  "guided.thatSection": "that section",
+  "guided.extractor.missing":
+    "I couldn’t validate {name} because the extractor isn’t available. Try again or type \"skip\".",
+  "guided.extractor.failed":
+    "I couldn’t validate {name} because the extractor was unavailable.{detail} Try again or type \"skip\".",
+  "guided.extractor.invalid": "I couldn’t validate {name}.",
+  "guided.retry.validation": "Try again or type \"skip\" to move on.",
+  "guided.retry.generic": "Let’s try again or you can type \"skip\".",
+  "guided.noDetails": "I couldn’t find details for {name}. Share an update or type \"skip\" to move on.",
+  "guided.notCaptured": "I wasn’t able to capture {name}. Try again or type \"skip\" to move on.",
+  "guided.proposal": "Here’s what I captured for {name}: {summary}. Reply \"yes\" to save it, or share an update.",
+  "guided.headsUp": "Heads up: {warnings}",
+  "guided.prompt.heading": "{label} ({status}).",
+  "guided.prompt.required": "required",
+  "guided.prompt.optional": "optional",
+  "guided.prompt.example": "Example: {example}.",
+  "guided.prompt.current": "Current answer: {value}.",
+  "guided.prompt.next": "Share your response or type \"skip\" to move on.",
+
+  // Form validation
+  "validation.required": "{label} is required.",
+  "validation.maxLength": "{label} must be {max} characters or fewer.",
+  "validation.enum": "{label} must be one of the allowed options.",
+  "validation.pattern": "{label} is not in the expected format.",
+  "validation.date": "{label} must be a valid date (YYYY-MM-DD).",
+  "validation.listRequired": "{label} requires at least one entry.",
+  "validation.inferredDate": "Date was inferred using the first day of the month.",
+
+  // Voice interview questions
+  "voice.greeting": "Let's create your project charter. ",
+  "voice.required": "This is a required field.",
+  "voice.optional": "This field is optional - you can skip it if you'd like.",
+  "voice.prefilled":
+    "Based on your uploaded document, the {labelLower} is \"{value}\". Would you like to keep this, or change it?",
+  "voice.question.project_name": "What's the name of your project?",
+  "voice.question.sponsor": "Who is the project sponsor?",
+  "voice.question.project_lead": "Who is the project lead?",
+  "voice.question.start_date":
+    "When does the project start? You can say something like January fifteenth, twenty twenty-five.",
+  "voice.question.end_date": "And when is the target end date?",
+  "voice.question.vision": "What's the vision for this project? What do you hope to achieve?",
+  "voice.question.problem": "What problem or opportunity does this project address?",
+  "voice.question.description": "Can you give me a brief description of the project?",
+  "voice.question.scope_in": "What's included in the project scope? Tell me the key items.",
+  "voice.question.scope_out": "Is there anything explicitly out of scope?",
+  "voice.question.risks": "What are the main risks you see for this project?",
+  "voice.question.assumptions": "What assumptions are you making for this project?",
+  "voice.question.milestones":
+    "What are the key milestones? Tell me the phase, deliverable, and target date for each.",
+  "voice.question.success_metrics": "How will you measure success? What are the key metrics?",
+  "voice.question.core_team": "Who's on the core team? Tell me their names and roles.",
+  "voice.question.default": "What would you like to enter for {label}?",
+} as const;
+
+export type MessageKey = keyof typeof en;
+
+/**
+ * A complete catalog; translations must define every English key.
+ */
+export type Messages = Record<MessageKey, string>;
@@ -0,0 +1,90 @@
+/**
+ * Spanish (Mexico) messages.
+ *
+ * @module lib/i18n/messages/es-MX
+ */
+
+import type { Messages } from "./en";
+
+export const esMX: Messages = {
+  // Guided chat copy
+  "guided.intro":
+    "Construyamos tu acta de proyecto paso a paso. Te preguntaré por cada sección: escribe \"omitir\" para avanzar, \"atrás\" para volver a la pregunta anterior o \"editar <nombre del campo>\" para ir a una sección específica.",
+  "guided.complete":
+    "Con esto cubrimos todas las secciones. Guardé tus respuestas; puedes revisar o editar cualquier campo con \"editar <nombre del campo>\".",
+  "guided.alreadyComplete": "Todos los campos del acta ya están completos.",
+  "guided.skipping": "Omitiendo {name}.",
+  "guided.atBeginning": "Estamos al inicio de las preguntas del acta.",
+  "guided.alreadyFocused": "Ya estamos en {name}.",
+  "guided.revisit": "Volvamos a {name}.",
+  "guided.review.idle": "Inicia la sesión del acta para ver el avance.",
+  "guided.review.confirmed": "Confirmado: {list}.",
+  "guided.review.skipped": "Omitido: {list}.",
+  "guided.review.pending": "En progreso: {list}.",
+  "guided.review.complete": "Todas las secciones del acta están completas.",
+  "guided.review.focused": "Actualmente en {name}.",
+  "guided.review.empty": "Todavía no hemos registrado respuestas del acta.",
+  "guided.review.summary": "Resumen — {segments}",
+  "guided.edit.which": "Dime qué campo quieres editar; por ejemplo, \"editar riesgos\".",
+  "guided.edit.notFound":
+    "No encontré esa sección. Intenta algo como \"editar descripción del proyecto\".",
+  "guided.edit.updating": "De acuerdo, actualicemos {name}.",
+  "guided.noResponse": "No recibí una respuesta para {name}. Comparte una actualización o escribe \"omitir\".",
+  "guided.saved": "{name} guardado.",
+  "guided.adjust":
+    "No hay problema, ajustemos {name}. Comparte los datos correctos o escribe \"omitir\" para avanzar.",
+  "guided.thatSection": "esa sección",
+  "guided.extractor.missing":
+    "No pude validar {name} porque el extractor no está disponible. Inténtalo de nuevo o escribe \"omitir\".",
+  "guided.extractor.failed":
+    "No pude validar {name} porque el extractor no respondió.{detail} Inténtalo de nuevo o escribe \"omitir\".",
+  "guided.extractor.invalid": "No pude validar {name}.",
+  "guided.retry.validation": "Inténtalo de nuevo o escribe \"omitir\" para avanzar.",
+  "guided.retry.generic": "Intentémoslo de nuevo o puedes escribir \"omitir\".",
+  "guided.noDetails":
+    "No encontré datos para {name}. Comparte una actualización o escribe \"omitir\" para avanzar.",
+  "guided.notCaptured": "No pude registrar {name}. Inténtalo de nuevo o escribe \"omitir\" para avanzar.",
+  "guided.proposal":
+    "Esto es lo que registré para {name}: {summary}. Responde \"sí\" para guardarlo o comparte una actualización.",
+  "guided.headsUp": "Atención: {warnings}",
+  "guided.prompt.heading": "{label} ({status}).",
+  "guided.prompt.required": "obligatorio",
+  "guided.prompt.optional": "opcional",
+  "guided.prompt.example": "Ejemplo: {example}.",
+  "guided.prompt.current": "Respuesta actual: {value}.",
+  "guided.prompt.next": "Comparte tu respuesta o escribe \"omitir\" para avanzar.",
+
+  // Form validation
+  "validation.required": "{label} es obligatorio.",
+  "validation.maxLength": "{label} debe tener {max} caracteres o menos.",
+  "validation.enum": "{label} debe ser una de las opciones permitidas.",
+  "validation.pattern": "{label} no tiene el formato esperado.",
+  "validation.date": "{label} debe ser una fecha válida (DD/MM/AAAA).",
+  "validation.listRequired": "{label} requiere al menos una entrada.",
+  "validation.inferredDate": "La fecha se infirió usando el primer día del mes.",
+
+  // Voice interview questions
+  "voice.greeting": "Vamos a crear el acta de tu proyecto. ",
+  "voice.required": "Este campo es obligatorio.",
+  "voice.optional": "Este campo es opcional; puedes omitirlo si lo prefieres.",
+  "voice.prefilled":
+    "Según el documento que subiste, el campo {labelLower} es \"{value}\". ¿Quieres conservarlo o cambiarlo?",
+  "voice.question.project_name": "¿Cómo se llama tu proyecto?",
+  "voice.question.sponsor": "¿Quién es el patrocinador del proyecto?",
+  "voice.question.project_lead": "¿Quién es el líder del proyecto?",
+  "voice.question.start_date":
+    "¿Cuándo inicia el proyecto? Puedes decir algo como quince de enero de dos mil veinticinco.",
+  "voice.question.end_date": "¿Y cuál es la fecha de término prevista?",
+  "voice.question.vision": "¿Cuál es la visión de este proyecto? ¿Qué esperas lograr?",
+  "voice.question.problem": "¿Qué problema u oportunidad atiende este proyecto?",
+  "voice.question.description": "¿Me puedes dar una breve descripción del proyecto?",
+  "voice.question.scope_in": "¿Qué incluye el alcance del proyecto? Dime los puntos principales.",
+  "voice.question.scope_out": "¿Hay algo que quede explícitamente fuera del alcance?",
+  "voice.question.risks": "¿Cuáles son los principales riesgos que ves para este proyecto?",
+  "voice.question.assumptions": "¿Qué supuestos estás considerando para este proyecto?",
+  "voice.question.milestones":
+    "¿Cuáles son los hitos clave? Dime la fase, el entregable y la fecha objetivo de cada uno.",
+  "voice.question.success_metrics": "¿Cómo medirás el éxito? ¿Cuáles son las métricas clave?",
+  "voice.question.core_team": "¿Quiénes forman el equipo central? Dime sus nombres y roles.",
+  "voice.question.default": "¿Qué quieres registrar para {label}?",
+};
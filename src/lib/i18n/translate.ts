@@ -0,0 +1,74 @@
+/**
+ * Message lookup for localized charter sessions.
+ *
+ * `translate(locale, key, params)` returns the catalog string for the
+ * locale with `{name}` placeholders filled in. Unknown locales use English.
+ *
+ * @module lib/i18n/translate
+ */
+
+import { DEFAULT_LOCALE, getLocaleInfo, normalizeLocale } from "../../../lib/i18n/locales.js";
+import { de } from "./messages/de";
+import { en, type MessageKey, type Messages } from "./messages/en";
+import { esMX } from "./messages/es-MX";
+
+export {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  getLocaleInfo,
+  listLocaleOptions,
+  normalizeLocale,
+  resolveLocale,
+} from "../../../lib/i18n/locales.js";
+export type { MessageKey, Messages } from "./messages/en";
+
+const CATALOGS: Record<string, Messages> = {
+  en,
+  de,
+  "es-MX": esMX,
+};
+
+export type TranslationParams = Record<string, string | number | null | undefined>;
+
+export type Translator = (key: MessageKey, params?: TranslationParams) => string;
+
+function interpolate(template: string, params?: TranslationParams): string {
+  if (!params) {
+    return template;
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name: string) => {
+    const value = params[name];
+    return value == null ? placeholder : String(value);
+  });
+}
+
+/**
+ * Look up a message for a locale.
+ */
+export function translate(
+  locale: string | null | undefined,
+  key: MessageKey,
+  params?: TranslationParams
+): string {
+  const catalog = CATALOGS[normalizeLocale(locale)] ?? CATALOGS[DEFAULT_LOCALE];
+  return interpolate(catalog[key] ?? en[key] ?? key, params);
+}
+
+/**
+ * Bind translate() to a locale.
+ */
+export function createTranslator(locale: string | null | undefined): Translator {
+  const resolved = normalizeLocale(locale);
+  return (key, params) => translate(resolved, key, params);
+}
+
+/**
+ * Join items as a sentence list in the locale ("A, B, and C", "A, B und C").
+ */
+export function formatList(locale: string | null | undefined, items: string[]): string {
+  const { intlLocale } = getLocaleInfo(locale);
+  if (typeof Intl !== "undefined" && typeof Intl.ListFormat === "function") {
+    return new Intl.ListFormat(intlLocale, { style: "long", type: "conjunction" }).format(items);
+  }
+  return items.join(", ");
+}
@@ -301,6 +301,79 @@ export function mergeIntoDraftWithLocks(
   };
 }
 
+function isEmptyValue(value) {
+  if (value == null) {
+    return true;
+  }
+  if (typeof value === "string") {
+    return value.trim() === "";
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).length === 0;
+  }
+  return false;
+}
+
+function valuesEqual(left, right) {
+  if (Object.is(left, right)) {
+    return true;
+  }
+  try {
+    return JSON.stringify(left) === JSON.stringify(right);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lists the locked values an incoming draft would have changed. Merging
+ * keeps the locked value, so these are the updates the user never sees
+ * unless they are surfaced. Empty incoming values are not conflicts.
+ */
+export function collectLockConflicts(currentDraft, incomingDraft, locks = {}) {
+  const locksMap = normalizeLocks(locks);
+  const conflicts = [];
+  if (locksMap.size === 0) {
+    return conflicts;
+  }
+
+  const visit = (currentValue, nextValue, segments) => {
+    if (typeof nextValue === "undefined") {
+      return;
+    }
+    if (isPathLocked(locksMap, segments)) {
+      if (!isEmptyValue(nextValue) && !valuesEqual(currentValue, nextValue)) {
+        conflicts.push({
+          path: joinPath(segments),
+          pointer: segmentsToPointer(segments),
+          current: currentValue,
+          incoming: nextValue,
+        });
+      }
+      return;
+    }
+    if (Array.isArray(nextValue)) {
+      const currentArray = Array.isArray(currentValue) ? currentValue : [];
+      nextValue.forEach((entry, index) => {
+        visit(currentArray[index], entry, [...segments, String(index)]);
+      });
+      return;
+    }
+    if (isPlainObject(nextValue)) {
+      const currentObject = isPlainObject(currentValue) ? currentValue : {};
+      for (const [key, value] of Object.entries(nextValue)) {
+        visit(currentObject[key], value, [...segments, key]);
+      }
+    }
+  };
+
+  visit(currentDraft, incomingDraft, []);
+  return conflicts;
+}
+
 export function mergeExtractedDraft(currentDraft, extractedDraft, locks = {}) {
   return mergeIntoDraftWithLocks(currentDraft, extractedDraft, locks).draft;
 }
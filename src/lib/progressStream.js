@@ -0,0 +1,117 @@
+/**
+ * Client side of the document progress stream
+ *
+ * Requests sent with `Accept: text/event-stream` may come back as a stream of
+ * `progress` events followed by one `result` event carrying the status and
+ * body of the JSON response. {@link resolveProgressResponse} reports progress
+ * as it arrives and turns the result back into an ordinary JSON Response, so
+ * callers handle streamed and plain responses the same way.
+ *
+ * @module lib/progressStream
+ */
+
+export const PROGRESS_ACCEPT_HEADER = "text/event-stream, application/json";
+
+function parseEvent(rawEvent) {
+  let event = "message";
+  const dataLines = [];
+  for (const line of rawEvent.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+  if (dataLines.length === 0) {
+    return null;
+  }
+  try {
+    return { event, data: JSON.parse(dataLines.join("\n")) };
+  } catch {
+    return null;
+  }
+}
+
+function isEventStream(response) {
+  const contentType =
+    typeof response?.headers?.get === "function" ? response.headers.get("content-type") : null;
+  return typeof contentType === "string" && contentType.includes("text/event-stream");
+}
+
+/**
+ * Reads a progress stream to its result event.
+ * @param {Response} response - Fetch response; non-streamed responses are returned as-is
+ * @param {(progress: Object) => void} [onProgress]
+ * @returns {Promise<Response>} JSON response built from the result event
+ */
+export async function resolveProgressResponse(response, onProgress) {
+  if (!isEventStream(response) || !response.body?.getReader) {
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let result = null;
+
+  const handle = (rawEvent) => {
+    const parsed = parseEvent(rawEvent.replace(/\r/g, ""));
+    if (!parsed) {
+      return;
+    }
+    if (parsed.event === "progress" && typeof onProgress === "function") {
+      try {
+        onProgress(parsed.data);
+      } catch (callbackError) {
+        console.error("progress stream onProgress callback failed", callbackError);
+      }
+    } else if (parsed.event === "result") {
+      result = parsed.data;
+    }
+  };
+
+  while (!result) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffered += decoder.decode(value, { stream: true });
+    const segments = buffered.split(/\n\n/);
+    buffered = segments.pop() ?? "";
+    segments.forEach(handle);
+  }
+  if (!result && buffered.trim()) {
+    handle(buffered);
+  }
+
+  if (!result) {
+    const error = new Error("Progress stream ended without a result.");
+    error.status = response.status;
+    error.code = "PROGRESS_STREAM_INCOMPLETE";
+    throw error;
+  }
+
+  return new Response(JSON.stringify(result.payload ?? null), {
+    status: typeof result.status === "number" ? result.status : 200,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Short status line for a progress event, e.g. "Extracting part 3 of 12 (Budget)".
+ * @param {{ stage?: string, completed?: number, total?: number, chunk?: { heading?: string | null } | null } | null} progress
+ * @returns {string}
+ */
+export function formatChunkProgress(progress) {
+  if (!progress || typeof progress !== "object") {
+    return "";
+  }
+  const total = Number(progress.total) || 0;
+  if (progress.stage === "merging") {
+    return `Merging ${total} ${total === 1 ? "part" : "parts"}…`;
+  }
+  const verb = progress.stage === "analyzing" ? "Analyzing" : "Extracting";
+  const current = Math.min(total, (Number(progress.completed) || 0) + 1);
+  const heading = progress.chunk?.heading ? ` (${progress.chunk.heading})` : "";
+  return `${verb} part ${current} of ${total}${heading}…`;
+}
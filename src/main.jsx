@@ -4,6 +4,7 @@ import App from './App.jsx'
 import { AppBoundary } from './AppErrorBoundary'
 import { DocSessionProvider } from './state/docSession'
 import { isVoiceE2EModeActive } from './utils/e2eMode.js'
+import { registerServiceWorker } from './offline/registerServiceWorker'
 import './index.css'
 
 const isVoiceE2EMode = typeof window !== 'undefined' ? isVoiceE2EModeActive(window) : false
@@ -22,6 +23,8 @@ if (typeof document !== 'undefined' && document.body) {
   }
 }
 
+registerServiceWorker()
+
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <DocSessionProvider>
@@ -0,0 +1,109 @@
+/**
+ * Local draft snapshot.
+ *
+ * Keeps the working draft and its locked fields in the state persistence
+ * layer so a draft written offline survives a reload and queued requests
+ * replay against it with the same locks.
+ *
+ * @module offline/draftPersistence
+ */
+
+import { createStore } from "../lib/tinyStore";
+import {
+  createPersistMiddleware,
+  type PersistMiddleware,
+} from "../state/persistence/middleware";
+import { offlineDraftMigrations } from "../state/persistence/migrations";
+import { defaultStorage, type Storage } from "../state/persistence/storage";
+
+/**
+ * Storage key for the snapshot.
+ */
+export const OFFLINE_DRAFT_STORAGE_KEY = "offlineDraft";
+
+/**
+ * Serializable copy of the working draft.
+ */
+export interface OfflineDraftSnapshot {
+  docType: string;
+  draft: Record<string, unknown>;
+  /** JSON pointers of fields the user locked by editing them */
+  lockedPointers: string[];
+  updatedAt: number;
+}
+
+interface OfflineDraftStoreState {
+  snapshot: OfflineDraftSnapshot | null;
+}
+
+const draftStore = createStore<OfflineDraftStoreState>({ snapshot: null });
+
+let persistence: PersistMiddleware<OfflineDraftStoreState> | null = null;
+
+function getPersistence(): PersistMiddleware<OfflineDraftStoreState> {
+  if (!persistence) {
+    configureOfflineDraftStorage(defaultStorage);
+  }
+  return persistence!;
+}
+
+/**
+ * Points draft persistence at a storage instance and rehydrates from it.
+ * Used by tests; the default is the shared localStorage-backed storage.
+ */
+export function configureOfflineDraftStorage(storage: Storage): void {
+  persistence?.stop();
+  draftStore.setState({ snapshot: null }, true);
+  persistence = createPersistMiddleware(draftStore, {
+    key: OFFLINE_DRAFT_STORAGE_KEY,
+    storage,
+    migrations: offlineDraftMigrations,
+    debounce: 500,
+  });
+  persistence.start();
+}
+
+/**
+ * Records the latest draft; written to storage after a short debounce.
+ */
+export function saveOfflineDraft(snapshot: Omit<OfflineDraftSnapshot, "updatedAt">): void {
+  getPersistence();
+  draftStore.setState({ snapshot: { ...snapshot, updatedAt: Date.now() } });
+}
+
+/**
+ * Returns the stored draft for a doc type, if any.
+ */
+export function loadOfflineDraft(docType: string | null | undefined): OfflineDraftSnapshot | null {
+  getPersistence();
+  const snapshot = draftStore.getState().snapshot;
+  if (!snapshot || !docType || snapshot.docType !== docType) {
+    return null;
+  }
+  return snapshot;
+}
+
+/**
+ * Writes any pending draft immediately (e.g. before the page unloads).
+ */
+export function flushOfflineDraft(): void {
+  getPersistence().flush();
+}
+
+/**
+ * Removes the stored draft.
+ */
+export function clearOfflineDraft(): void {
+  const middleware = getPersistence();
+  draftStore.setState({ snapshot: null });
+  middleware.flush();
+  middleware.clear();
+}
+
+if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+  window.addEventListener("pagehide", () => {
+    if (persistence) {
+      persistence.flush();
+    }
+  });
+}
@@ -0,0 +1,314 @@
+/**
+ * Offline request queue.
+ *
+ * Extraction, review, and render requests that fail because the API is
+ * unreachable are kept here (through the state persistence layer, so
+ * they survive a reload) and replayed in order once the app is back
+ * online.
+ *
+ * @module offline/offlineQueue
+ */
+
+import { createStore, useStore } from "../lib/tinyStore";
+import {
+  createPersistMiddleware,
+  type PersistMiddleware,
+} from "../state/persistence/middleware";
+import { offlineQueueMigrations } from "../state/persistence/migrations";
+import { defaultStorage, type Storage } from "../state/persistence/storage";
+
+/**
+ * Storage key for the queue.
+ */
+export const OFFLINE_QUEUE_STORAGE_KEY = "offlineQueue";
+
+/**
+ * Oldest requests are dropped beyond this many.
+ */
+export const OFFLINE_QUEUE_MAX_REQUESTS = 50;
+
+/**
+ * A request still offline after this many replays is dropped, so one
+ * stuck request cannot hold up the queue forever.
+ */
+export const OFFLINE_QUEUE_MAX_ATTEMPTS = 5;
+
+export type OfflineRequestKind = "extract" | "review" | "render";
+
+/**
+ * A request waiting for connectivity.
+ */
+export interface OfflineRequest {
+  id: string;
+  kind: OfflineRequestKind;
+  docType: string | null;
+  /** Whatever the replay handler for this kind needs to re-issue the request */
+  payload: Record<string, unknown>;
+  createdAt: number;
+  attempts: number;
+  lastError: string | null;
+}
+
+export interface EnqueueOfflineRequestInput {
+  kind: OfflineRequestKind;
+  docType?: string | null;
+  payload?: Record<string, unknown>;
+}
+
+/**
+ * Replays one request. Throwing an offline error (see isOfflineError) or
+ * a network TypeError stops the replay and keeps the request until it has
+ * been tried OFFLINE_QUEUE_MAX_ATTEMPTS times; any other error drops it.
+ */
+export type OfflineReplayHandler = (request: OfflineRequest) => Promise<unknown>;
+
+export type OfflineReplayHandlers = Partial<Record<OfflineRequestKind, OfflineReplayHandler>>;
+
+export interface OfflineReplaySummary {
+  replayed: OfflineRequest[];
+  failed: Array<{ request: OfflineRequest; error: unknown }>;
+  remaining: number;
+}
+
+interface OfflineQueueState {
+  requests: OfflineRequest[];
+}
+
+/**
+ * Extraction and review always work from the latest conversation or
+ * draft, so a newer request of the same kind replaces a queued one.
+ */
+const SUPERSEDING_KINDS = new Set<OfflineRequestKind>(["extract", "review"]);
+
+const queueStore = createStore<OfflineQueueState>({ requests: [] });
+
+let persistence: PersistMiddleware<OfflineQueueState> | null = null;
+let replayInFlight: Promise<OfflineReplaySummary> | null = null;
+
+function getPersistence(): PersistMiddleware<OfflineQueueState> {
+  if (!persistence) {
+    configureOfflineQueueStorage(defaultStorage);
+  }
+  return persistence!;
+}
+
+function createRequestId(): string {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function describeError(error: unknown): string {
+  if (error instanceof Error && error.message) {
+    return error.message;
+  }
+  return typeof error === "string" ? error : "Request failed";
+}
+
+/**
+ * Points the queue at a storage instance and rehydrates from it.
+ * Used by tests; the default is the shared localStorage-backed storage.
+ */
+export function configureOfflineQueueStorage(storage: Storage): void {
+  persistence?.stop();
+  queueStore.setState({ requests: [] }, true);
+  persistence = createPersistMiddleware(queueStore, {
+    key: OFFLINE_QUEUE_STORAGE_KEY,
+    storage,
+    migrations: offlineQueueMigrations,
+    debounce: 100,
+  });
+  persistence.start();
+}
+
+/**
+ * Whether the browser reports being offline.
+ */
+export function isBrowserOffline(): boolean {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Whether a failed request never reached the API: fetch rejected with a
+ * TypeError while the browser reports being offline, or the error (or
+ * its cause) is tagged `offline: true`. A TypeError while online is a
+ * CORS, DNS, or code failure, and replaying it would not help.
+ */
+export function isOfflineError(error: unknown): boolean {
+  if (!error || typeof error !== "object") {
+    return false;
+  }
+  const candidate = error as { name?: string; status?: unknown; cause?: unknown; offline?: unknown };
+  if (candidate.name === "AbortError") {
+    return false;
+  }
+  if (typeof candidate.status === "number") {
+    return false;
+  }
+  if (candidate.offline === true) {
+    return true;
+  }
+  if (candidate.name === "TypeError" && isBrowserOffline()) {
+    return true;
+  }
+  return candidate.cause !== error && isOfflineError(candidate.cause);
+}
+
+/**
+ * Whether a replayed request should be kept for another attempt. Besides
+ * offline errors, a fetch TypeError while the browser reports being online
+ * counts: right after reconnecting the network often still drops requests,
+ * and the attempt limit bounds retries of anything that is not transient.
+ */
+function isRetryableReplayError(error: unknown): boolean {
+  if (isOfflineError(error)) {
+    return true;
+  }
+  if (!error || typeof error !== "object") {
+    return false;
+  }
+  const candidate = error as { name?: string; status?: unknown; cause?: unknown };
+  if (candidate.name === "AbortError" || typeof candidate.status === "number") {
+    return false;
+  }
+  if (candidate.name === "TypeError") {
+    return true;
+  }
+  return candidate.cause !== error && isRetryableReplayError(candidate.cause);
+}
+
+/**
+ * Queues a request for replay.
+ */
+export function enqueueOfflineRequest(input: EnqueueOfflineRequestInput): OfflineRequest {
+  const middleware = getPersistence();
+  const request: OfflineRequest = {
+    id: createRequestId(),
+    kind: input.kind,
+    docType: input.docType ?? null,
+    payload: input.payload ?? {},
+    createdAt: Date.now(),
+    attempts: 0,
+    lastError: null,
+  };
+  queueStore.setState((state) => {
+    const kept = SUPERSEDING_KINDS.has(request.kind)
+      ? state.requests.filter(
+          (entry) => entry.kind !== request.kind || entry.docType !== request.docType
+        )
+      : state.requests;
+    return { requests: [...kept, request].slice(-OFFLINE_QUEUE_MAX_REQUESTS) };
+  });
+  middleware.flush();
+  return request;
+}
+
+/**
+ * Queued requests, oldest first.
+ */
+export function listOfflineRequests(): OfflineRequest[] {
+  getPersistence();
+  return queueStore.getState().requests;
+}
+
+/**
+ * Removes a request from the queue.
+ */
+export function removeOfflineRequest(id: string): void {
+  const middleware = getPersistence();
+  queueStore.setState((state) => ({
+    requests: state.requests.filter((entry) => entry.id !== id),
+  }));
+  middleware.flush();
+}
+
+/**
+ * Empties the queue.
+ */
+export function clearOfflineQueue(): void {
+  const middleware = getPersistence();
+  queueStore.setState({ requests: [] });
+  middleware.flush();
+}
+
+function markAttempt(id: string, error: unknown): void {
+  queueStore.setState((state) => ({
+    requests: state.requests.map((entry) =>
+      entry.id === id
+        ? { ...entry, attempts: entry.attempts + 1, lastError: describeError(error) }
+        : entry
+    ),
+  }));
+}
+
+async function runReplay(handlers: OfflineReplayHandlers): Promise<OfflineReplaySummary> {
+  const middleware = getPersistence();
+  const summary: OfflineReplaySummary = { replayed: [], failed: [], remaining: 0 };
+
+  for (const request of [...queueStore.getState().requests]) {
+    const handler = handlers[request.kind];
+    if (!handler) {
+      continue;
+    }
+    try {
+      await handler(request);
+      removeOfflineRequest(request.id);
+      summary.replayed.push(request);
+    } catch (error) {
+      if (isRetryableReplayError(error)) {
+        if (request.attempts + 1 < OFFLINE_QUEUE_MAX_ATTEMPTS) {
+          markAttempt(request.id, error);
+          break;
+        }
+        removeOfflineRequest(request.id);
+        summary.failed.push({ request, error });
+        break;
+      }
+      removeOfflineRequest(request.id);
+      summary.failed.push({ request, error });
+    }
+  }
+
+  middleware.flush();
+  summary.remaining = queueStore.getState().requests.length;
+  return summary;
+}
+
+/**
+ * Replays queued requests in order. Stops at the first request that is
+ * still offline or hits a network error, dropping it once it runs out of
+ * attempts; concurrent calls share one replay.
+ */
+export function replayOfflineQueue(handlers: OfflineReplayHandlers): Promise<OfflineReplaySummary> {
+  if (!replayInFlight) {
+    replayInFlight = runReplay(handlers).finally(() => {
+      replayInFlight = null;
+    });
+  }
+  return replayInFlight;
+}
+
+/**
+ * Subscribes to queue changes.
+ */
+export function subscribeToOfflineQueue(listener: (requests: OfflineRequest[]) => void): () => void {
+  getPersistence();
+  return queueStore.subscribe(() => listener(queueStore.getState().requests));
+}
+
+/**
+ * React hook returning the queued requests.
+ */
+export function useOfflineQueue(): OfflineRequest[] {
+  getPersistence();
+  return useStore(queueStore, (state) => state.requests);
+}
+
+if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+  window.addEventListener("pagehide", () => {
+    if (persistence) {
+      persistence.flush();
+    }
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Registers the app shell service worker (public/sw.js).
+ *
+ * Production builds only: the dev server serves modules that change on
+ * every edit, and Cypress safe mode must not be served a cached shell.
+ *
+ * @module offline/registerServiceWorker
+ */
+
+import { FLAGS } from "../config/flags";
+
+export const SERVICE_WORKER_URL = "/sw.js";
+
+export function registerServiceWorker(): void {
+  const isProductionBuild = Boolean((import.meta as { env?: { PROD?: boolean } }).env?.PROD);
+  if (!FLAGS.OFFLINE_MODE_ENABLED || FLAGS.CYPRESS_SAFE_MODE || !isProductionBuild) {
+    return;
+  }
+  if (typeof window === "undefined" || typeof navigator === "undefined") {
+    return;
+  }
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+      console.warn("Service worker registration failed", error);
+    });
+  });
+}
@@ -376,6 +376,8 @@ function sanitizeTelemetryAction(
 export interface ConversationMachineOptions {
   validator?: FormValidator;
   fieldRules?: FieldRuleMap;
+  /** Session locale passed to the default validator. */
+  locale?: string | null;
   maxValidationAttempts?: number;
   telemetry?: ConversationTelemetryHooks;
 }
@@ -539,10 +541,10 @@ export function applyConversationEvent(
 
   const validator =
     options.validator ??
-    createFormValidator(
-      schema,
-      options.fieldRules ? { fieldRules: options.fieldRules } : undefined
-    );
+    createFormValidator(schema, {
+      fieldRules: options.fieldRules,
+      locale: options.locale,
+    });
   const maxAttempts = Math.max(1, options.maxValidationAttempts ?? 2);
   const telemetry = options.telemetry;
   const telemetryTimestamp = new Date().toISOString();
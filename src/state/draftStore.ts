@@ -2,14 +2,30 @@ import { createStore, useStore } from "../lib/tinyStore.ts";
 
 export type DraftDoc = Record<string, unknown> | null;
 
+/** Where an extracted value came from; see server/documents/extraction/citations.js */
+export type FieldCitation = {
+  inferred: boolean;
+  match?: "exact" | "partial";
+  source?: { type: "attachment" | "message" | "voice"; id: string; name: string | null };
+  start?: number;
+  end?: number;
+  quote?: string;
+  before?: string;
+  after?: string;
+};
+
+export type FieldCitations = Record<string, FieldCitation>;
+
 type DraftState = {
   draft: DraftDoc;
+  citations: FieldCitations;
   status: "idle" | "merging";
   autoExtractMode: "off" | "onUpload";
 };
 
 const draftStore = createStore<DraftState>({
   draft: null,
+  citations: {},
   status: "idle",
   autoExtractMode: "onUpload",
 });
@@ -32,7 +48,10 @@ export const draftActions = {
     draftStore.setState({ status: "idle" });
   },
   resetDraft() {
-    draftStore.setState({ draft: null });
+    draftStore.setState({ draft: null, citations: {} });
+  },
+  setCitations(citations: FieldCitations) {
+    draftStore.setState({ citations });
   },
   setAutoExtractMode(mode: DraftState["autoExtractMode"]) {
     draftStore.setState({ autoExtractMode: mode });
@@ -43,6 +62,7 @@ export const draftActions = {
 };
 
 export const useDraft = () => useStore(draftStore, (state) => state.draft);
+export const useFieldCitations = () => useStore(draftStore, (state) => state.citations);
 export const useDraftStatus = () => useStore(draftStore, (state) => state.status);
 export const useAutoExtractMode = () => useStore(draftStore, (state) => state.autoExtractMode);
 
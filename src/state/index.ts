@@ -147,6 +147,7 @@ export {
   ingestInput,
   submitFinalInput,
   applyPatch,
+  undoPatch,
   beginAgentTurn,
   completeAgentTurn,
   reconcileAgentTurnId,
@@ -49,6 +49,9 @@ export {
   voiceMigrations,
   draftMigrations,
   docTypeMigrations,
+  voiceCharterSessionMigrations,
+  offlineQueueMigrations,
+  offlineDraftMigrations,
   migrationRegistries,
   type Migration,
   type MigrationFn,
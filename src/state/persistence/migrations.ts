@@ -264,6 +264,24 @@ export const draftMigrations = new MigrationRegistry(1);
  */
 export const docTypeMigrations = new MigrationRegistry(1);
 
+/**
+ * Voice charter session migrations (resumable interview snapshot).
+ * Current version: 1 (no migrations needed)
+ */
+export const voiceCharterSessionMigrations = new MigrationRegistry(1);
+
+/**
+ * Offline request queue migrations (extract/review/render replay).
+ * Current version: 1 (no migrations needed)
+ */
+export const offlineQueueMigrations = new MigrationRegistry(1);
+
+/**
+ * Offline draft snapshot migrations.
+ * Current version: 1 (no migrations needed)
+ */
+export const offlineDraftMigrations = new MigrationRegistry(1);
+
 /**
  * All migration registries.
  */
@@ -272,4 +290,7 @@ export const migrationRegistries = {
   voice: voiceMigrations,
   draft: draftMigrations,
   docType: docTypeMigrations,
+  voiceCharterSession: voiceCharterSessionMigrations,
+  offlineQueue: offlineQueueMigrations,
+  offlineDraft: offlineDraftMigrations,
 } as const;
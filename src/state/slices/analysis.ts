@@ -19,6 +19,7 @@ import type {
   DocType,
   SuggestedTarget,
   AnalysisError,
+  ChunkProgress,
 } from "../../features/analysis/types";
 
 /**
@@ -55,6 +56,8 @@ export interface AnalysisSliceState {
   error: AnalysisError | null;
   /** Timestamp of last analysis */
   lastAnalyzedAt: number | null;
+  /** Chunk progress while a long document is analyzed or extracted */
+  progress: ChunkProgress | null;
 }
 
 const initialState: AnalysisSliceState = {
@@ -71,6 +74,7 @@ const initialState: AnalysisSliceState = {
   extractedFields: null,
   error: null,
   lastAnalyzedAt: null,
+  progress: null,
 };
 
 /**
@@ -98,6 +102,7 @@ export const analysisSlice = createSlice({
         fieldOverrides: {},
         extractionId: null,
         extractedFields: null,
+        progress: null,
       });
     },
 
@@ -126,6 +131,7 @@ export const analysisSlice = createSlice({
         selectedTarget: primaryTarget,
         lastAnalyzedAt: Date.now(),
         error: null,
+        progress: null,
       });
     },
 
@@ -200,7 +206,14 @@ export const analysisSlice = createSlice({
      * Starts the extraction process after user confirms.
      */
     startExtraction() {
-      setState({ status: "extracting", error: null });
+      setState({ status: "extracting", error: null, progress: null });
+    },
+
+    /**
+     * Records chunk progress streamed by the analyze or confirm endpoint.
+     */
+    setProgress(progress: ChunkProgress | null) {
+      setState({ progress });
     },
 
     /**
@@ -212,6 +225,7 @@ export const analysisSlice = createSlice({
         extractionId,
         extractedFields: fields,
         error: null,
+        progress: null,
       });
     },
 
@@ -224,6 +238,7 @@ export const analysisSlice = createSlice({
         status: "error",
         statusBeforeError: status !== "error" ? status : getState().statusBeforeError,
         error,
+        progress: null,
       });
     },
 
@@ -331,6 +346,9 @@ export const useAnalysisError = () =>
 export const useRawContent = () =>
   useStore(analysisSlice.store, (state) => state.rawContent);
 
+export const useAnalysisProgress = () =>
+  useStore(analysisSlice.store, (state) => state.progress);
+
 // Derived selectors
 export const useIsAnalyzing = () =>
   useStore(analysisSlice.store, (state) => state.status === "analyzing");
@@ -136,6 +136,7 @@ export {
   ingestInput,
   submitFinalInput,
   applyPatch,
+  undoPatch,
   beginAgentTurn,
   completeAgentTurn,
   reconcileAgentTurnId,
@@ -18,6 +18,8 @@ export interface ReviewHistoryEntry {
   reviewId: string;
   /** Document type */
   docType: string;
+  /** Charter record the review belongs to, when known */
+  charterId?: string;
   /** Document hash for comparison */
   documentHash: string;
   /** Timestamp of review */
@@ -131,6 +133,7 @@ export const reviewHistorySlice = createSlice({
     addReview(review: {
       reviewId: string;
       docType: string;
+      charterId?: string;
       documentHash: string;
       timestamp: string;
       scores: { overall: number; dimensions: Record<string, number> };
@@ -142,6 +145,7 @@ export const reviewHistorySlice = createSlice({
       const entry: ReviewHistoryEntry = {
         reviewId: review.reviewId,
         docType: review.docType,
+        ...(review.charterId ? { charterId: review.charterId } : {}),
         documentHash: review.documentHash,
         timestamp: review.timestamp,
         overallScore: review.scores.overall,
@@ -153,13 +157,16 @@ export const reviewHistorySlice = createSlice({
         summary: review.summary,
       };
 
+      // Merge with persisted history so an unloaded slice never overwrites it
+      const existing = state.lastLoadedAt === null ? loadFromStorage() : state.entries;
+
       // Add to front, remove duplicates by documentHash, limit to maxEntries
-      const filteredEntries = state.entries.filter(
+      const filteredEntries = existing.filter(
         (e) => e.documentHash !== entry.documentHash
       );
       const newEntries = [entry, ...filteredEntries].slice(0, state.maxEntries);
 
-      setState({ entries: newEntries });
+      setState({ entries: newEntries, lastLoadedAt: state.lastLoadedAt ?? Date.now() });
       saveToStorage(newEntries);
     },
 
@@ -219,6 +226,23 @@ export function useLatestReview(docType: string) {
   );
 }
 
+/**
+ * Hook to get the latest review score per charter record id
+ */
+export function useLatestReviewsByCharter() {
+  return useStore(reviewHistorySlice.store, (state) => {
+    const latest: Record<string, ReviewHistoryEntry> = {};
+    for (const entry of state.entries) {
+      if (!entry.charterId) continue;
+      const current = latest[entry.charterId];
+      if (!current || entry.timestamp > current.timestamp) {
+        latest[entry.charterId] = entry;
+      }
+    }
+    return latest;
+  });
+}
+
 /**
  * Hook to get review improvement stats
  */
@@ -110,6 +110,20 @@ export const voiceCharterSlice = createSlice({
       });
     },
 
+    /**
+     * Re-enter voice charter mode for a resumed session, keeping the values
+     * captured before the interruption.
+     */
+    resume(values: Record<string, string>, startedAt: number) {
+      setState({
+        mode: "active",
+        aiSpeaking: false,
+        startedAt,
+        completedAt: null,
+        capturedValues: values,
+      });
+    },
+
     /**
      * Set AI speaking state.
      */
@@ -8,6 +8,7 @@ import type {
   DocumentPatch,
   NormalizedInputEvent,
   PatchQueueState,
+  PatchUndoEntry,
   PendingTurnState,
   RecentFinalInputEntry,
   SyncBuffers,
@@ -25,6 +26,8 @@ type WorkingState = {
 type ApplyPatchOptions = {
   turnId?: string;
   seq?: number;
+  /** Field values that undo the patch; recorded for undoPatch once it applies */
+  undo?: Record<string, unknown>;
 };
 
 const cloneMetadata = (metadata: Record<string, unknown> | undefined) =>
@@ -33,6 +36,7 @@ const cloneMetadata = (metadata: Record<string, unknown> | undefined) =>
 const DEDUPE_WINDOW_MS = 1_000;
 const PATCH_GAP_WAIT_MS = 1_000;
 const GLOBAL_PATCH_QUEUE_KEY = "__global__";
+const UNDO_STACK_LIMIT = 20;
 
 function cloneEvent(event: NormalizedInputEvent): NormalizedInputEvent {
   return { ...event, metadata: cloneMetadata(event.metadata) };
@@ -247,6 +251,7 @@ function createInitialState(): SyncState {
     recentFinalInputs: [],
     patchQueues: {},
     pendingTurn: undefined,
+    undoStack: [],
   };
 }
 
@@ -277,6 +282,9 @@ export function resetSyncStore(overrides?: Partial<SyncState>) {
       )
     : {};
   const pendingTurn = clonePendingTurnState(overrides?.pendingTurn);
+  const undoStack = overrides?.undoStack
+    ? overrides.undoStack.map((entry) => ({ ...entry, fields: { ...entry.fields } }))
+    : [];
 
   syncStore.setState(
     {
@@ -290,6 +298,7 @@ export function resetSyncStore(overrides?: Partial<SyncState>) {
       recentFinalInputs,
       patchQueues,
       pendingTurn,
+      undoStack,
     },
     true,
   );
@@ -427,6 +436,7 @@ export function applyPatch(patch: DocumentPatch, options: ApplyPatchOptions = {}
     const appliedPatchIds = new Set(oplog.map((entry) => entry.id));
     let pendingTurn = state.pendingTurn;
     let pendingTurnChanged = false;
+    let undoStack = state.undoStack;
 
     const nextPatchQueues = { ...state.patchQueues };
     let patchQueuesChanged = false;
@@ -472,6 +482,10 @@ export function applyPatch(patch: DocumentPatch, options: ApplyPatchOptions = {}
       if (!applied && !pendingTurnChanged) {
         return {};
       }
+      if (applied && options.undo) {
+        const entry: PatchUndoEntry = { patchId: patch.id, fields: { ...options.undo } };
+        undoStack = [...state.undoStack, entry].slice(-UNDO_STACK_LIMIT);
+      }
     } else {
       const queueKey = getPatchQueueKey(turnId);
       const existingQueue = nextPatchQueues[queueKey];
@@ -546,11 +560,41 @@ export function applyPatch(patch: DocumentPatch, options: ApplyPatchOptions = {}
     if (pendingTurnChanged) {
       result.pendingTurn = pendingTurn;
     }
+    if (undoStack !== state.undoStack) {
+      result.undoStack = undoStack;
+    }
 
     return Object.keys(result).length > 0 ? result : {};
   });
 }
 
+/**
+ * Reverts a patch applied with `undo` values (the latest one when no id is
+ * given) by applying those values as a new patch. Returns the reverting
+ * patch, or null when there is nothing to undo.
+ */
+export function undoPatch(patchId?: string): DocumentPatch | null {
+  const { undoStack, draft } = syncStore.getState();
+  const entry = patchId
+    ? undoStack.find((candidate) => candidate.patchId === patchId)
+    : undoStack[undoStack.length - 1];
+  if (!entry) {
+    return null;
+  }
+
+  const revert: DocumentPatch = {
+    id: `undo-${entry.patchId}-${createId()}`,
+    version: draft.version + 1,
+    fields: { ...entry.fields },
+    appliedAt: Date.now(),
+  };
+  syncStore.setState((state) => ({
+    undoStack: state.undoStack.filter((candidate) => candidate !== entry),
+  }));
+  applyPatch(revert);
+  return revert;
+}
+
 export function beginAgentTurn(turnId?: string, timestamp = Date.now()): string {
   const resolvedId = turnId ?? `agent-${createId()}`;
   syncStore.setState((state) => {
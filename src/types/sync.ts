@@ -30,6 +30,12 @@ export interface DocumentPatch {
   appliedAt: number;
 }
 
+/** Field values that restore the draft as it was before a patch */
+export interface PatchUndoEntry {
+  patchId: string;
+  fields: Record<string, unknown>;
+}
+
 export interface RecentFinalInputEntry {
   content: string;
   timestamp: number;
@@ -77,4 +83,5 @@ export interface SyncState {
   recentFinalInputs: RecentFinalInputEntry[];
   patchQueues: Record<string, PatchQueueState>;
   pendingTurn?: PendingTurnState;
+  undoStack: PatchUndoEntry[];
 }
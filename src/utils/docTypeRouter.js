@@ -136,6 +136,11 @@ function buildKeywordMap() {
       keywords.add("development plan");
     }
 
+    if (type === "sow") {
+      keywords.add("statement of work");
+      keywords.add("scope of work");
+    }
+
     const filteredKeywords = Array.from(keywords).filter(Boolean);
 
     return { type, keywords: filteredKeywords };
@@ -38,6 +38,7 @@ export function sanitizeAttachments(attachments) {
       const trimmed = text.trim();
       if (!trimmed) return null;
       return {
+        id: typeof item?.id === "string" ? item.id : undefined,
         name: typeof item?.name === "string" ? item.name : undefined,
         mimeType: typeof item?.mimeType === "string" ? item.mimeType : undefined,
         text: trimmed,
@@ -216,8 +217,11 @@ export function buildExtractionPayload({
   return payload;
 }
 
-function createExtractionError(message, { status, payload, code } = {}) {
+function createExtractionError(message, { status, payload, code, cause } = {}) {
   const error = new Error(message);
+  if (cause !== undefined) {
+    error.cause = cause;
+  }
   if (typeof status === "number") {
     error.status = status;
   }
@@ -249,6 +253,7 @@ export async function extractAndPopulate({
   onParseFallback,
   onUnsupportedDocType,
   onError,
+  onProgress,
 } = {}) {
   const payload = buildExtractionPayload({
     docType,
@@ -271,6 +276,9 @@ export async function extractAndPopulate({
   const normalizedDocType = payload.docType;
 
   const docApiOptions = { fetchImpl, signal };
+  if (typeof onProgress === "function") {
+    docApiOptions.onProgress = onProgress;
+  }
   if (
     FLAGS.CHARTER_GUIDED_BACKEND_ENABLED &&
     normalizedDocType === "charter"
@@ -302,6 +310,7 @@ export async function extractAndPopulate({
       status,
       payload: errorPayload,
       code: isUnsupported ? "unsupported-doc-type" : error?.code,
+      cause: error,
     });
 
     if (isUnsupported && typeof onUnsupportedDocType === "function") {
@@ -361,12 +370,19 @@ export async function extractAndPopulate({
     return outcome;
   }
 
-  let normalizedDraft = data;
+  // With source citations or a chunking report the draft arrives wrapped
+  // as { draft, citations, chunking }; otherwise the payload is the draft
+  const enveloped = isPlainObject(data.draft);
+  const draftData = enveloped ? data.draft : data;
+  const citations = enveloped && isPlainObject(data.citations) ? data.citations : {};
+  const chunking = enveloped && isPlainObject(data.chunking) ? data.chunking : null;
+
+  let normalizedDraft = draftData;
   try {
-    normalizedDraft = normalize(data);
+    normalizedDraft = normalize(draftData);
   } catch (normalizeError) {
     console.error("extractAndPopulate normalize error", normalizeError);
-    normalizedDraft = data;
+    normalizedDraft = draftData;
   }
 
   let finalDraft = normalizedDraft;
@@ -388,7 +404,7 @@ export async function extractAndPopulate({
     }
   }
 
-  return { ok: true, draft: finalDraft, data };
+  return { ok: true, draft: finalDraft, data, citations, chunking };
 }
 
 export const PARSE_FALLBACK_MESSAGE = DEFAULT_PARSE_FALLBACK_MESSAGE;
@@ -3,11 +3,22 @@
  *
  * This service coordinates between the OpenAI Realtime API and the charter
  * form, enabling a fully conversational voice-first charter creation experience.
+ * Progress is persisted (see voiceSessionPersistence) so an interrupted
+ * interview can be resumed at the field where it stopped.
  *
  * @module voice/VoiceCharterService
  */
 
 import type { CharterFormField, CharterFormSchema } from "../features/charter/utils/formSchema";
+import { getCharterFieldCopy } from "../features/charter/fieldTranslations";
+import {
+  DEFAULT_LOCALE,
+  createTranslator,
+  getLocaleInfo,
+  normalizeLocale,
+  type MessageKey,
+} from "../lib/i18n/translate";
+import { en } from "../lib/i18n/messages/en";
 import {
   createSessionUpdateEvent,
   createConversationItemEvent,
@@ -21,6 +32,13 @@ import {
 } from "../state/conversationStore";
 import { draftActions, draftStoreApi } from "../state/draftStore.ts";
 import { voiceCharterActions } from "../state/slices/voiceCharter";
+import {
+  clearVoiceSession,
+  flushVoiceSession,
+  loadVoiceSession,
+  saveVoiceSession,
+  type VoiceCharterSessionSnapshot,
+} from "./voiceSessionPersistence";
 
 /**
  * Voice charter session state.
@@ -116,12 +134,21 @@ export type VoiceCharterEvent =
 
 type EventListener = (event: VoiceCharterEvent) => void;
 
+/**
+ * Capture phrase the assistant is told to use in each non-English locale.
+ */
+const CAPTURE_PHRASES: Record<string, string> = {
+  de: "Notiert:",
+  "es-MX": "Anotado:",
+};
+
 /**
  * Generates the system prompt for the voice charter assistant.
  */
 function generateSystemPrompt(
   schema: CharterFormSchema,
-  populatedFields?: Map<string, PopulatedFieldInfo>
+  populatedFields?: Map<string, PopulatedFieldInfo>,
+  locale: string = DEFAULT_LOCALE
 ): string {
   const fieldDescriptions = schema.fields
     .map((field, index) => {
@@ -230,7 +257,28 @@ Without one of these phrases, the value will NOT be saved.
 
 ## Current State
 You will receive context about the current field and any previously captured values.
-Start by greeting the user briefly, then ask about the first field.`;
+Start by greeting the user briefly, then ask about the first field.${generateLanguageSection(locale)}`;
+}
+
+/**
+ * Extra instructions for non-English sessions. The capture phrases stay
+ * English-compatible, but localized ones are also detected.
+ */
+function generateLanguageSection(locale: string): string {
+  const resolved = normalizeLocale(locale);
+  if (resolved === DEFAULT_LOCALE) {
+    return "";
+  }
+  const { englishName, dateOrder } = getLocaleInfo(resolved);
+  const capturePhrase = CAPTURE_PHRASES[resolved] ?? "Noted:";
+  const dateHint = dateOrder === "DMY" ? "day before month (e.g. 15.01.2025 or 15/01/2025)" : "month before day";
+  return `
+
+## Language
+- Conduct the entire conversation in ${englishName}. Ask every question and acknowledgement in ${englishName}, using the field names as they would appear in ${englishName}.
+- Keep captured values in the words the user said; do not translate them.
+- Use "${capturePhrase}" as the capture phrase (e.g., "${capturePhrase} Projekt Alpha."). English capture phrases still work.
+- Users say dates ${dateHint}; speak dates the way a ${englishName} speaker would.`;
 }
 
 /**
@@ -240,15 +288,14 @@ Start by greeting the user briefly, then ask about the first field.`;
 function generateFieldPrompt(
   field: CharterFormField,
   isFirst: boolean,
-  populatedInfo?: PopulatedFieldInfo
+  populatedInfo?: PopulatedFieldInfo,
+  locale: string = DEFAULT_LOCALE
 ): string {
-  const greeting = isFirst
-    ? "Let's create your project charter. "
-    : "";
+  const t = createTranslator(locale);
+  const label = getCharterFieldCopy(field.id, locale)?.label ?? field.label;
+  const greeting = isFirst ? t("voice.greeting") : "";
 
-  const required = field.required
-    ? "This is a required field."
-    : "This field is optional - you can skip it if you'd like.";
+  const required = field.required ? t("voice.required") : t("voice.optional");
 
   // If field is pre-populated from extraction, generate confirmation prompt
   if (populatedInfo && populatedInfo.source === "extraction" && populatedInfo.needsConfirmation) {
@@ -256,60 +303,14 @@ function generateFieldPrompt(
       ? populatedInfo.displayValue.substring(0, 100) + "..."
       : populatedInfo.displayValue;
 
-    return `${greeting}Based on your uploaded document, the ${field.label.toLowerCase()} is "${truncatedValue}". Would you like to keep this, or change it?`;
-  }
-
-  let question = "";
-  switch (field.id) {
-    case "project_name":
-      question = "What's the name of your project?";
-      break;
-    case "sponsor":
-      question = "Who is the project sponsor?";
-      break;
-    case "project_lead":
-      question = "Who is the project lead?";
-      break;
-    case "start_date":
-      question = "When does the project start? You can say something like January fifteenth, twenty twenty-five.";
-      break;
-    case "end_date":
-      question = "And when is the target end date?";
-      break;
-    case "vision":
-      question = "What's the vision for this project? What do you hope to achieve?";
-      break;
-    case "problem":
-      question = "What problem or opportunity does this project address?";
-      break;
-    case "description":
-      question = "Can you give me a brief description of the project?";
-      break;
-    case "scope_in":
-      question = "What's included in the project scope? Tell me the key items.";
-      break;
-    case "scope_out":
-      question = "Is there anything explicitly out of scope?";
-      break;
-    case "risks":
-      question = "What are the main risks you see for this project?";
-      break;
-    case "assumptions":
-      question = "What assumptions are you making for this project?";
-      break;
-    case "milestones":
-      question = "What are the key milestones? Tell me the phase, deliverable, and target date for each.";
-      break;
-    case "success_metrics":
-      question = "How will you measure success? What are the key metrics?";
-      break;
-    case "core_team":
-      question = "Who's on the core team? Tell me their names and roles.";
-      break;
-    default:
-      question = `What would you like to enter for ${field.label}?`;
+    return `${greeting}${t("voice.prefilled", { label, labelLower: label.toLowerCase(), value: truncatedValue })}`;
   }
 
+  const questionKey = `voice.question.${field.id}` as MessageKey;
+  const question = questionKey in en
+    ? t(questionKey)
+    : t("voice.question.default", { label });
+
   return `${greeting}${question} ${required}`;
 }
 
@@ -540,8 +541,8 @@ const LONG_FORM_FIELDS = ["vision", "problem", "description"];
 const AI_CAPTURE_PATTERNS = [
   // "CAPTURE: value." - legacy pattern
   /CAPTURE:\s*(.+?)(?:\.(?:\s|$)|$)/i,
-  // "Noted: value." or "Recording: value." or "Saving: value."
-  /(?:Noted|Recording|Saving|Captured):\s*[""]?(.+?)[""]?(?:\.(?:\s|$)|$)/i,
+  // "Noted: value." or "Recording: value." or "Saving: value." (plus "Notiert:", "Anotado:", "Registrado:")
+  /(?:Noted|Recording|Saving|Captured|Notiert|Erfasst|Anotado|Registrado):\s*[""]?(.+?)[""]?(?:\.(?:\s|$)|$)/i,
   // "I'll save that as: value." or "I'll record that as: value."
   /(?:I'll|I will|Let me) (?:save|record)(?: (?:that|this|it))?(?: as)?:\s*[""]?(.+?)[""]?(?:\.(?:\s|$)|$)/i,
 ];
@@ -912,6 +913,19 @@ export class VoiceCharterService {
    * Attachment names for display in extraction prompt.
    */
   private attachmentNames: string[] = [];
+  /**
+   * When the session started, kept across resumes.
+   */
+  private startedAt: number | null = null;
+  /**
+   * Snapshot being resumed; start() greets the user with a recap instead of
+   * asking the first field.
+   */
+  private resumedSession: VoiceCharterSessionSnapshot | null = null;
+  /**
+   * Interview language for prompts and transcription.
+   */
+  private locale: string = DEFAULT_LOCALE;
 
   constructor() {
     this.state = this.createInitialState();
@@ -954,6 +968,40 @@ export class VoiceCharterService {
   private updateState(updates: Partial<VoiceCharterState>): void {
     this.state = { ...this.state, ...updates };
     this.emit({ type: "state_changed", state: this.getState() });
+    this.persistSession();
+  }
+
+  /**
+   * Save the session snapshot, or drop it once the charter is complete.
+   */
+  private persistSession(): void {
+    if (!this.schema || this.state.step === "idle") {
+      return;
+    }
+    if (this.state.step === "completed") {
+      clearVoiceSession();
+      return;
+    }
+    saveVoiceSession(this.createSnapshot());
+  }
+
+  private createSnapshot(): VoiceCharterSessionSnapshot {
+    return {
+      documentType: this.schema?.document_type ?? "charter",
+      schemaVersion: this.schema?.version ?? "",
+      step: this.state.step,
+      currentFieldIndex: this.state.currentFieldIndex,
+      currentFieldId: this.state.currentFieldId,
+      askingFieldId: this.askingFieldId,
+      capturedValues: Array.from(this.state.capturedValues.values()),
+      populatedFields: Array.from(this.state.populatedFields.values()),
+      awaitingFieldConfirmation: this.state.awaitingFieldConfirmation,
+      hasUnextractedAttachments: this.state.hasUnextractedAttachments,
+      attachmentNames: [...this.attachmentNames],
+      locale: this.locale,
+      startedAt: this.startedAt ?? Date.now(),
+      updatedAt: Date.now(),
+    };
   }
 
   /**
@@ -1024,6 +1072,7 @@ export class VoiceCharterService {
    * @param options - Additional options for initialization
    * @param options.attachments - List of attached files (for extraction prompt detection)
    * @param options.extractionCallback - Callback to trigger extraction when user agrees
+   * @param options.locale - Interview language (defaults to English)
    */
   initialize(
     schema: CharterFormSchema,
@@ -1032,12 +1081,16 @@ export class VoiceCharterService {
     options?: {
       attachments?: VoiceCharterAttachment[];
       extractionCallback?: ExtractionCallback;
+      locale?: string;
     }
   ): boolean {
     this.schema = schema;
+    this.locale = normalizeLocale(options?.locale);
     this.dataChannel = dataChannel;
     this.extractionCallback = options?.extractionCallback ?? null;
     this.attachmentNames = options?.attachments?.map(a => a.name) ?? [];
+    this.startedAt = Date.now();
+    this.resumedSession = null;
 
     // Determine if there are unextracted attachments
     // (attachments present but no populated fields from extraction)
@@ -1084,34 +1137,57 @@ export class VoiceCharterService {
     });
 
     // Ensure conversation store session exists and sync existing values
+    this.syncCapturedValuesToConversationStore(schema, capturedValues);
+
+    // Subscribe to conversation store for two-way sync
+    this.subscribeToConversationStore();
+
+    return this.configureRealtimeSession(dataChannel, schema, populatedFieldsMap);
+  }
+
+  /**
+   * Seed the conversation store with values that already exist when a
+   * session is initialized or resumed.
+   */
+  private syncCapturedValuesToConversationStore(
+    schema: CharterFormSchema,
+    capturedValues: Map<string, CapturedFieldValue>
+  ): void {
     conversationActions.ensureSession(schema);
-    if (populatedFields) {
-      for (const fieldInfo of populatedFields) {
-        if (fieldInfo.displayValue) {
-          this.isInternalUpdate = true;
-          try {
-            conversationActions.dispatch({
-              type: "CAPTURE",
-              fieldId: fieldInfo.fieldId,
-              value: fieldInfo.displayValue,
-            });
-          } finally {
-            this.isInternalUpdate = false;
-          }
+    for (const captured of capturedValues.values()) {
+      if (captured.value) {
+        this.isInternalUpdate = true;
+        try {
+          conversationActions.dispatch({
+            type: "CAPTURE",
+            fieldId: captured.fieldId,
+            value: captured.value,
+          });
+        } finally {
+          this.isInternalUpdate = false;
         }
       }
     }
+  }
 
-    // Subscribe to conversation store for two-way sync
-    this.subscribeToConversationStore();
-
+  /**
+   * Send the voice charter instructions to the Realtime session.
+   */
+  private configureRealtimeSession(
+    dataChannel: RTCDataChannel,
+    schema: CharterFormSchema,
+    populatedFieldsMap: Map<string, PopulatedFieldInfo>
+  ): boolean {
     // Configure the Realtime session with voice charter instructions
     // Include populated fields info so the AI knows about extracted values
     const config: SessionConfig = {
-      instructions: generateSystemPrompt(schema, populatedFieldsMap),
+      instructions: generateSystemPrompt(schema, populatedFieldsMap, this.locale),
       voice: "sage",
       inputAudioTranscription: {
         model: "whisper-1",
+        ...(this.locale !== DEFAULT_LOCALE
+          ? { language: getLocaleInfo(this.locale).intlLocale.split("-")[0] }
+          : {}),
       },
       turnDetection: {
         type: "server_vad",
@@ -1135,6 +1211,68 @@ export class VoiceCharterService {
     return true;
   }
 
+  /**
+   * Stored session that can be resumed with this schema, if any.
+   */
+  getResumableSession(schema?: CharterFormSchema | null): VoiceCharterSessionSnapshot | null {
+    return loadVoiceSession(schema);
+  }
+
+  /**
+   * Restore a persisted session on a new data channel. Call start() afterwards;
+   * the assistant recaps what was captured and continues at the saved field.
+   * @param schema - The charter form schema
+   * @param dataChannel - The WebRTC data channel for Realtime API
+   * @param session - Snapshot from getResumableSession()
+   * @param options.extractionCallback - Callback to trigger extraction when user agrees
+   * @param options.locale - Overrides the language stored with the session
+   */
+  resume(
+    schema: CharterFormSchema,
+    dataChannel: RTCDataChannel,
+    session: VoiceCharterSessionSnapshot,
+    options?: { extractionCallback?: ExtractionCallback; locale?: string }
+  ): boolean {
+    this.unsubscribeFromConversationStore();
+    this.schema = schema;
+    this.dataChannel = dataChannel;
+    this.extractionCallback = options?.extractionCallback ?? null;
+    this.attachmentNames = [...session.attachmentNames];
+    this.locale = normalizeLocale(options?.locale ?? session.locale);
+    this.startedAt = session.startedAt;
+    this.resumedSession = session;
+
+    const capturedValues = new Map(
+      session.capturedValues.map((captured) => [captured.fieldId, captured] as const)
+    );
+    const populatedFieldsMap = new Map(
+      session.populatedFields.map((info) => [info.fieldId, info] as const)
+    );
+    const currentFieldIndex = Math.min(
+      Math.max(session.currentFieldIndex, 0),
+      schema.fields.length - 1
+    );
+    const currentFieldId = schema.fields[currentFieldIndex]?.id ?? null;
+    this.askingFieldId = session.askingFieldId ?? currentFieldId;
+
+    this.updateState({
+      step: "initializing",
+      currentFieldIndex,
+      currentFieldId,
+      capturedValues,
+      pendingValue: null,
+      error: null,
+      populatedFields: populatedFieldsMap,
+      awaitingFieldConfirmation: false,
+      hasUnextractedAttachments: session.hasUnextractedAttachments,
+    });
+
+    this.syncCapturedValuesToConversationStore(schema, capturedValues);
+    this.subscribeToConversationStore();
+
+    return this.configureRealtimeSession(dataChannel, schema, populatedFieldsMap);
+  }
+
   /**
    * Start the voice charter conversation.
    */
@@ -1154,6 +1292,10 @@ export class VoiceCharterService {
       return false;
     }
 
+    if (this.resumedSession) {
+      return this.resumeFieldCollection();
+    }
+
     // Check if there are unextracted attachments - prompt user first
     if (this.state.hasUnextractedAttachments && this.extractionCallback) {
       console.log("[VoiceCharterService] start: Detected unextracted attachments, prompting user");
@@ -1232,7 +1374,7 @@ Keep it brief and conversational.`;
       this.sendAIPrompt(
         "[User declined extraction] Say 'Okay, no problem!' or similar, then ask about the first field: " +
         `${this.schema?.fields[0]?.label ?? "Project Name"}.\n` +
-        generateFieldPrompt(this.schema?.fields[0]!, true)
+        generateFieldPrompt(this.schema?.fields[0]!, true, undefined, this.locale)
       );
       this.updateState({ step: "asking" });
       this.askingFieldId = this.schema?.fields[0]?.id ?? null;
@@ -1414,7 +1556,7 @@ Keep it brief and conversational.`;
       this.updateState({ awaitingFieldConfirmation: true });
     }
 
-    context += generateFieldPrompt(firstField, true, populatedInfo);
+    context += generateFieldPrompt(firstField, true, populatedInfo, this.locale);
 
     // Send context and trigger AI to speak
     this.sendAIPrompt(context);
@@ -1423,6 +1565,72 @@ Keep it brief and conversational.`;
     return true;
   }
 
+  /**
+   * Continue a resumed session: recap what is already captured, then ask the
+   * saved field again.
+   */
+  private resumeFieldCollection(): boolean {
+    const session = this.resumedSession;
+    this.resumedSession = null;
+    if (!this.dataChannel || !this.schema || !session) {
+      return false;
+    }
+
+    // Decisions that were still pending when the connection dropped start over
+    if (
+      session.step === "initializing" ||
+      session.step === "awaiting_extraction_decision" ||
+      session.step === "extracting"
+    ) {
+      if (this.state.hasUnextractedAttachments && this.extractionCallback) {
+        this.promptForExtraction();
+        return true;
+      }
+      return this.startFieldCollection();
+    }
+
+    const field = this.getCurrentField();
+    if (!field) {
+      return false;
+    }
+
+    this.askingFieldId = field.id;
+    voiceCharterActions.setAskingField(field.id);
+    this.syncCurrentFieldToStore(field.id);
+
+    const captured = this.schema.fields.filter((f) => this.state.capturedValues.has(f.id));
+    let context = "[SESSION RESUMED]\n";
+    context += "The user is rejoining a voice charter session that was interrupted. ";
+    context += "Welcome them back and briefly summarise what has already been captured ";
+    context += "(a sentence or two, not every value verbatim), then continue with the current field.\n\n";
+
+    if (captured.length > 0) {
+      context += "Already captured:\n";
+      for (const f of captured) {
+        const value = this.state.capturedValues.get(f.id)!;
+        const needsConfirmation =
+          value.source === "extraction" && !value.userConfirmed ? " [needs confirmation]" : "";
+        context += `- ${f.label}${needsConfirmation}: ${value.value}\n`;
+      }
+    } else {
+      context += "Nothing has been captured yet.\n";
+    }
+    context += `\nProgress: ${captured.length} of ${this.schema.fields.length} fields.\n`;
+    context += `Current field to ask about: ${field.label}\n`;
+
+    const populatedInfo = this.state.populatedFields.get(field.id);
+    const awaitingConfirmation = Boolean(
+      populatedInfo?.source === "extraction" &&
+        populatedInfo.needsConfirmation &&
+        !this.state.capturedValues.get(field.id)?.userConfirmed
+    );
+    context += generateFieldPrompt(field, false, awaitingConfirmation ? populatedInfo : undefined, this.locale);
+
+    this.sendAIPrompt(context);
+    this.updateState({ step: "asking", awaitingFieldConfirmation: awaitingConfirmation });
+    return true;
+  }
+
   /**
    * Process a transcript from voice input.
    *
@@ -1794,7 +2002,7 @@ Keep it brief and conversational.`;
 
     // Check for ANY capture pattern - including natural phrases like "Noted:", "Recording:", etc.
     // This regex matches all patterns in AI_CAPTURE_PATTERNS
-    const hasCapturePattern = /(?:CAPTURE:|Noted:|Recording:|Saving:|Captured:|I'll save that as:|I will save that as:|Let me save|I'll record|I will record)/i.test(transcript);
+    const hasCapturePattern = /(?:CAPTURE:|Noted:|Recording:|Saving:|Captured:|Notiert:|Erfasst:|Anotado:|Registrado:|I'll save that as:|I will save that as:|Let me save|I'll record|I will record)/i.test(transcript);
 
     // Skip only if there's no capture pattern AND we're not waiting for reformulation
     if (!hasCapturePattern && !waitingForReformulation) {
@@ -2442,7 +2650,7 @@ Keep it brief and conversational.`;
     this.syncCurrentFieldToStore(nextField.id);
 
     // Prompt AI to ask about next field
-    const prompt = generateFieldPrompt(nextField, false);
+    const prompt = generateFieldPrompt(nextField, false, undefined, this.locale);
     this.sendAIPrompt(`[Move to next field: ${nextField.label}] ${prompt}`);
 
     this.emit({
@@ -2516,7 +2724,7 @@ Keep it brief and conversational.`;
         prompt += ` If the user indicated a new value, use a capture phrase (Noted:/Recording:/I'll save that as:) to save it. Otherwise ask if they want to change it.`;
       }
     } else {
-      prompt += ` ${generateFieldPrompt(prevField, false)}`;
+      prompt += ` ${generateFieldPrompt(prevField, false, undefined, this.locale)}`;
     }
 
     // Find the next UNFILLED field after this one (to tell LLM what to ask about next)
@@ -2619,7 +2827,7 @@ Keep it brief and conversational.`;
         prompt += ` If the user indicated a new value, use a capture phrase (Noted:/Recording:/I'll save that as:) to save it. Otherwise ask if they want to change it.`;
       }
     } else {
-      prompt += ` ${generateFieldPrompt(field, false)}`;
+      prompt += ` ${generateFieldPrompt(field, false, undefined, this.locale)}`;
     }
 
     // Find the next UNFILLED field after this one (to tell LLM what to ask about next)
@@ -3014,7 +3222,7 @@ Keep it brief and conversational.`;
     let prompt = `[User confirmed all extracted values] All ${extractedFields.length} extracted field(s) have been confirmed.\n`;
     if (nextEmptyField) {
       prompt += `Briefly acknowledge this, then ask about the next empty field: ${nextEmptyField.label}.\n`;
-      prompt += generateFieldPrompt(nextEmptyField, false);
+      prompt += generateFieldPrompt(nextEmptyField, false, undefined, this.locale);
       this.askingFieldId = nextEmptyField.id;
       const fieldIndex = this.schema.fields.findIndex(f => f.id === nextEmptyField.id);
       this.updateState({
@@ -3184,7 +3392,7 @@ Keep it brief and conversational.`;
     let prompt = `[User confirmed ${previousField?.label ?? "previous field"}] `;
     prompt += `Great, keeping that value. `;
     prompt += `Now asking about: ${nextField.label}\n`;
-    prompt += generateFieldPrompt(nextField, false, nextPopulatedInfo);
+    prompt += generateFieldPrompt(nextField, false, nextPopulatedInfo, this.locale);
 
     this.sendAIPrompt(prompt);
   }
@@ -3214,9 +3422,26 @@ Keep it brief and conversational.`;
   }
 
   /**
-   * Reset the service state.
+   * Pause the session when the realtime connection drops. In-memory state is
+   * cleared like reset(), but the persisted snapshot is kept for resume().
+   */
+  suspend(): void {
+    if (this.schema && this.state.step !== "idle") {
+      this.persistSession();
+      flushVoiceSession();
+    }
+    this.clearInMemoryState();
+  }
+
+  /**
+   * Reset the service state and discard the persisted session.
    */
   reset(): void {
+    this.clearInMemoryState();
+    clearVoiceSession();
+  }
+
+  private clearInMemoryState(): void {
     this.unsubscribeFromConversationStore();
     this.state = this.createInitialState();
     this.schema = null;
@@ -3226,15 +3451,16 @@ Keep it brief and conversational.`;
     this.lastAIPromptTime = 0;
     this.pendingReformulationFieldId = null;
     this.pendingReformulationRawValue = null;
+    this.startedAt = null;
+    this.resumedSession = null;
     this.emit({ type: "state_changed", state: this.getState() });
   }
 
   /**
-   * Clean up resources.
+   * Clean up resources, keeping the persisted session so a reload can resume it.
    */
   destroy(): void {
-    this.unsubscribeFromConversationStore();
-    this.reset();
+    this.suspend();
     this.listeners.clear();
   }
 }
@@ -12,6 +12,8 @@ export interface SessionConfig {
   voice?: string;
   inputAudioTranscription?: {
     model?: string;
+    /** ISO-639-1 hint for the transcription model (e.g. "de") */
+    language?: string;
   };
   turnDetection?: {
     type: "server_vad";
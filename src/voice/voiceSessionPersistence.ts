@@ -0,0 +1,173 @@
+/**
+ * Voice charter session persistence.
+ *
+ * Keeps a snapshot of the voice interview (current field, captured and
+ * pre-populated values) in the state persistence layer so a dropped
+ * realtime connection or a page reload can resume where it stopped.
+ *
+ * @module voice/voiceSessionPersistence
+ */
+
+import { createStore } from "../lib/tinyStore";
+import {
+  createPersistMiddleware,
+  type PersistMiddleware,
+} from "../state/persistence/middleware";
+import { voiceCharterSessionMigrations } from "../state/persistence/migrations";
+import { defaultStorage, type Storage } from "../state/persistence/storage";
+import type { CharterFormSchema } from "../features/charter/utils/formSchema";
+import type {
+  CapturedFieldValue,
+  PopulatedFieldInfo,
+  VoiceCharterStep,
+} from "./VoiceCharterService";
+
+/**
+ * Storage key for the session snapshot.
+ */
+export const VOICE_SESSION_STORAGE_KEY = "voiceCharterSession";
+
+/**
+ * Snapshots older than this are not offered for resume.
+ */
+export const VOICE_SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Serializable copy of a voice charter session.
+ */
+export interface VoiceCharterSessionSnapshot {
+  /** Schema document type and version, to reject snapshots from another form */
+  documentType: string;
+  schemaVersion: string;
+  step: VoiceCharterStep;
+  currentFieldIndex: number;
+  currentFieldId: string | null;
+  askingFieldId: string | null;
+  capturedValues: CapturedFieldValue[];
+  populatedFields: PopulatedFieldInfo[];
+  awaitingFieldConfirmation: boolean;
+  hasUnextractedAttachments: boolean;
+  attachmentNames: string[];
+  /** Interview locale; snapshots saved before localization were English */
+  locale?: string;
+  startedAt: number;
+  updatedAt: number;
+}
+
+/**
+ * Short description of a resumable session for prompts.
+ */
+export interface VoiceCharterSessionSummary {
+  capturedCount: number;
+  totalFields: number;
+  currentFieldLabel: string | null;
+  updatedAt: number;
+}
+
+interface VoiceSessionStoreState {
+  session: VoiceCharterSessionSnapshot | null;
+}
+
+const sessionStore = createStore<VoiceSessionStoreState>({ session: null });
+
+let persistence: PersistMiddleware<VoiceSessionStoreState> | null = null;
+
+function getPersistence(): PersistMiddleware<VoiceSessionStoreState> {
+  if (!persistence) {
+    configureVoiceSessionStorage(defaultStorage);
+  }
+  return persistence!;
+}
+
+/**
+ * Points session persistence at a storage instance and rehydrates from it.
+ * Used by tests; the default is the shared localStorage-backed storage.
+ */
+export function configureVoiceSessionStorage(storage: Storage): void {
+  persistence?.stop();
+  sessionStore.setState({ session: null }, true);
+  persistence = createPersistMiddleware(sessionStore, {
+    key: VOICE_SESSION_STORAGE_KEY,
+    storage,
+    migrations: voiceCharterSessionMigrations,
+    debounce: 250,
+  });
+  persistence.start();
+}
+
+/**
+ * Records the latest snapshot; written to storage after a short debounce.
+ */
+export function saveVoiceSession(snapshot: VoiceCharterSessionSnapshot): void {
+  getPersistence();
+  sessionStore.setState({ session: snapshot });
+}
+
+/**
+ * Writes any pending snapshot immediately (e.g. before the page unloads).
+ */
+export function flushVoiceSession(): void {
+  getPersistence().flush();
+}
+
+/**
+ * Removes the stored snapshot.
+ */
+export function clearVoiceSession(): void {
+  const middleware = getPersistence();
+  sessionStore.setState({ session: null });
+  middleware.flush();
+  middleware.clear();
+}
+
+/**
+ * Returns the stored snapshot when it can be resumed with the given schema:
+ * mid-interview, recent, and recorded against the same form.
+ */
+export function loadVoiceSession(
+  schema?: CharterFormSchema | null,
+  now: number = Date.now()
+): VoiceCharterSessionSnapshot | null {
+  getPersistence();
+  const session = sessionStore.getState().session;
+  if (!session || session.step === "idle" || session.step === "completed") {
+    return null;
+  }
+  if (now - session.updatedAt > VOICE_SESSION_MAX_AGE_MS) {
+    return null;
+  }
+  if (schema) {
+    if (
+      schema.document_type !== session.documentType ||
+      schema.version !== session.schemaVersion ||
+      !schema.fields[session.currentFieldIndex]
+    ) {
+      return null;
+    }
+  }
+  return session;
+}
+
+/**
+ * Summarizes a snapshot for the resume prompt.
+ */
+export function summarizeVoiceSession(
+  session: VoiceCharterSessionSnapshot,
+  schema?: CharterFormSchema | null
+): VoiceCharterSessionSummary {
+  const currentField = schema?.fields.find((field) => field.id === session.currentFieldId);
+  return {
+    capturedCount: session.capturedValues.filter((captured) => captured.value).length,
+    totalFields: schema?.fields.length ?? 0,
+    currentFieldLabel: currentField?.label ?? session.currentFieldId,
+    updatedAt: session.updatedAt,
+  };
+}
+
+if (typeof window !== "undefined" && typeof window.addEventListener === "function") {
+  window.addEventListener("pagehide", () => {
+    if (persistence) {
+      persistence.flush();
+    }
+  });
+}
@@ -27,8 +27,15 @@ const noBorderLayout = {
   paddingBottom: () => 0,
 };
 
-export function buildPdfDefinition(charter) {
-  const data = buildTemplateData(charter);
+/**
+ * pdfmake definition for a charter.
+ * @param {object} charter - Normalized charter
+ * @param {{ locale?: string, translate?: (label: string) => string }} [options] -
+ *   Intl locale for dates and the label translation for the output language
+ */
+export function buildPdfDefinition(charter, { locale = "en-US", translate } = {}) {
+  const t = typeof translate === "function" ? translate : (label) => label;
+  const data = buildTemplateData(charter, locale);
 
   const content = [
     // Header with branding
@@ -42,7 +49,7 @@ export function buildPdfDefinition(charter) {
           width: "auto",
         },
         {
-          text: "Project Charter",
+          text: t("Project Charter"),
           style: "headerTitle",
           alignment: "right",
         },
@@ -51,64 +58,64 @@ export function buildPdfDefinition(charter) {
     },
 
     // General Project Information Section
-    createSectionHeader("General Project Information"),
+    createSectionHeader(t("General Project Information")),
     createKeyValueTable([
-      ["Project Name:", data.projectName],
-      ["Sponsor:", data.sponsor],
-      ["Project Manager:", data.projectLead],
-      ["Estimated Project Start Date:", data.startDate],
-      ["Estimated Project End Date:", data.endDate],
+      [t("Project Name:"), data.projectName],
+      [t("Sponsor:"), data.sponsor],
+      [t("Project Manager:"), data.projectLead],
+      [t("Estimated Project Start Date:"), data.startDate],
+      [t("Estimated Project End Date:"), data.endDate],
     ]),
 
     // Vision
-    createLabelDescriptionRow("Project Vision:", "What does the project aim to achieve?"),
+    createLabelDescriptionRow(t("Project Vision:"), t("What does the project aim to achieve?")),
     createValueRow(data.vision),
 
     // Problem/Opportunity
-    createLabelDescriptionRow("Problem/Opportunity:", "What is the problem you are trying to solve or the opportunity you wish to capitalize?"),
+    createLabelDescriptionRow(t("Problem/Opportunity:"), t("What is the problem you are trying to solve or the opportunity you wish to capitalize?")),
     createValueRow(data.problem),
 
     // Description
-    createLabelDescriptionRow("Project Description:", "What are the goals and objectives of the project?"),
+    createLabelDescriptionRow(t("Project Description:"), t("What are the goals and objectives of the project?")),
     createValueRow(data.description),
 
     { text: "", margin: [0, 10, 0, 0] },
 
     // Project Scope Section
-    createSectionHeader("Project Scope"),
-    createDescriptionRow("Scope: Identify what the project will and will not address"),
-    createTwoColumnListTable("In Scope:", data.scopeIn, "Out of Scope:", data.scopeOut),
+    createSectionHeader(t("Project Scope")),
+    createDescriptionRow(t("Scope: Identify what the project will and will not address")),
+    createTwoColumnListTable(t("In Scope:"), data.scopeIn, t("Out of Scope:"), data.scopeOut),
 
     { text: "", margin: [0, 10, 0, 0] },
 
     // Risks and Assumptions Section
-    createSectionHeader("Project Risks, Assumptions/Dependencies"),
+    createSectionHeader(t("Project Risks, Assumptions/Dependencies")),
     createTwoColumnListTableWithDescriptions(
-      "Project Risks/Constraints:",
-      "List any events or conditions which could limit the completion of the project.",
+      t("Project Risks/Constraints:"),
+      t("List any events or conditions which could limit the completion of the project."),
       data.risks,
-      "Assumptions/Dependencies:",
-      "Identify any event or situation expected to occur during the project.",
+      t("Assumptions/Dependencies:"),
+      t("Identify any event or situation expected to occur during the project."),
       data.assumptions
     ),
 
     { text: "", margin: [0, 10, 0, 0] },
 
     // Milestones Section
-    createSectionHeader("Milestones and Key Deliverables"),
-    createMilestonesTable(data.milestones),
+    createSectionHeader(t("Milestones and Key Deliverables")),
+    createMilestonesTable(data.milestones, t),
 
     { text: "", margin: [0, 10, 0, 0] },
 
     // Success Metrics Section
-    createSectionHeader("Success Metrics"),
-    createSuccessMetricsTable(data.successMetrics),
+    createSectionHeader(t("Success Metrics")),
+    createSuccessMetricsTable(data.successMetrics, t),
 
     { text: "", margin: [0, 10, 0, 0] },
 
     // Core Team Section
-    createSectionHeader("Core Team"),
-    createCoreTeamTable(data.coreTeam),
+    createSectionHeader(t("Core Team")),
+    createCoreTeamTable(data.coreTeam, t),
   ];
 
   return {
@@ -294,10 +301,10 @@ function createTwoColumnListTableWithDescriptions(label1, desc1, items1, label2,
   };
 }
 
-function createMilestonesTable(milestones) {
+function createMilestonesTable(milestones, t) {
   const headerRow = [
-    { text: "Milestone / Key Deliverables", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
-    { text: "Anticipated Completion / Delivery Date", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Milestone / Key Deliverables"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Anticipated Completion / Delivery Date"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
   ];
 
   const body = [headerRow];
@@ -326,11 +333,11 @@ function createMilestonesTable(milestones) {
   };
 }
 
-function createSuccessMetricsTable(metrics) {
+function createSuccessMetricsTable(metrics, t) {
   const headerRow = [
-    { text: "Business Benefit", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
-    { text: "Metric", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
-    { text: "System of Measurement", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Business Benefit"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Metric"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("System of Measurement"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
   ];
 
   const body = [headerRow];
@@ -361,11 +368,11 @@ function createSuccessMetricsTable(metrics) {
   };
 }
 
-function createCoreTeamTable(coreTeam) {
+function createCoreTeamTable(coreTeam, t) {
   const headerRow = [
-    { text: "Name", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
-    { text: "Role", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
-    { text: "Project Responsibilities", bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Name"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Role"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
+    { text: t("Project Responsibilities"), bold: true, fontSize: 10, fillColor: LIGHT_GRAY },
   ];
 
   const body = [headerRow];
@@ -400,9 +407,9 @@ function createCoreTeamTable(coreTeam) {
   };
 }
 
-function buildTemplateData(charter) {
+function buildTemplateData(charter, locale) {
   const now = new Date();
-  const generatedOn = formatDate(now);
+  const generatedOn = formatDate(now, locale);
 
   const scopeIn = normalizeStringList(charter.scope_in);
   const scopeOut = normalizeStringList(charter.scope_out);
@@ -418,7 +425,7 @@ function buildTemplateData(charter) {
 
           const phase = toDisplayText(item.phase);
           const deliverable = toDisplayText(item.deliverable);
-          const dateDisplay = formatDate(item.date) || "Not provided";
+          const dateDisplay = formatDate(item.date, locale) || "Not provided";
 
           return { phase, deliverable, dateDisplay };
         })
@@ -472,8 +479,8 @@ function buildTemplateData(charter) {
     projectName: toDisplayText(charter.project_name),
     sponsor: toDisplayText(charter.sponsor),
     projectLead: toDisplayText(charter.project_lead),
-    startDate: formatDate(charter.start_date) || "Not provided",
-    endDate: formatDate(charter.end_date) || "Not provided",
+    startDate: formatDate(charter.start_date, locale) || "Not provided",
+    endDate: formatDate(charter.end_date, locale) || "Not provided",
     vision: toDisplayText(charter.vision),
     problem: toDisplayText(charter.problem),
     description: toDisplayText(charter.description),
@@ -512,9 +519,9 @@ function toDisplayText(value) {
   return "Not provided";
 }
 
-function formatDate(value) {
+function formatDate(value, locale = "en-US") {
   if (value instanceof Date && !Number.isNaN(value.valueOf())) {
-    return new Intl.DateTimeFormat("en-US", {
+    return new Intl.DateTimeFormat(locale, {
       year: "numeric",
       month: "long",
       day: "numeric",
@@ -535,7 +542,7 @@ function formatDate(value) {
     return trimmed;
   }
 
-  return new Intl.DateTimeFormat("en-US", {
+  return new Intl.DateTimeFormat(locale, {
     year: "numeric",
     month: "long",
     day: "numeric",
@@ -0,0 +1,129 @@
+// Brand colors matching the charter PDF
+const PURPLE = "#7030A0";
+const WHITE = "#FFFFFF";
+const DARK_TEXT = "#1a1a1a";
+const GRAY_TEXT = "#666666";
+
+// Redline marks
+const DELETED_COLOR = "#C00000";
+const INSERTED_COLOR = "#2E75B6";
+
+const sectionTableLayout = {
+  hLineWidth: () => 1,
+  vLineWidth: () => 1,
+  hLineColor: () => "#cccccc",
+  vLineColor: () => "#cccccc",
+  paddingLeft: () => 8,
+  paddingRight: () => 8,
+  paddingTop: () => 6,
+  paddingBottom: () => 6,
+};
+
+/**
+ * Builds the pdfmake definition for a charter redline from the model produced
+ * by `buildRedlineModel` in server/charter/utils/redline.js.
+ */
+export function buildRedlinePdfDefinition(model) {
+  const content = [
+    {
+      columns: [
+        {
+          text: [
+            { text: "EXACT ", bold: true, fontSize: 14 },
+            { text: "SCIENCES", fontSize: 14 },
+          ],
+          width: "auto",
+        },
+        {
+          text: model.title,
+          style: "headerTitle",
+          alignment: "right",
+        },
+      ],
+      margin: [0, 0, 0, 12],
+    },
+    { text: model.projectName, bold: true, fontSize: 13, margin: [0, 0, 0, 4] },
+    { text: model.comparison, color: GRAY_TEXT, fontSize: 9 },
+    { text: `Summary: ${model.summary}`, color: GRAY_TEXT, fontSize: 9 },
+    {
+      text: [
+        { text: "Legend: ", bold: true },
+        toPdfSegment({ text: "deleted", mark: "deleted" }),
+        "  ",
+        toPdfSegment({ text: "inserted", mark: "inserted" }),
+        "  ",
+        toPdfSegment({ text: "moved", mark: "moved" }),
+      ],
+      fontSize: 9,
+      margin: [0, 4, 0, 12],
+    },
+  ];
+
+  if (model.sections.length === 0) {
+    content.push({ text: "No changes between these versions.", italics: true });
+  }
+
+  for (const section of model.sections) {
+    content.push(createSectionTable(section), { text: "", margin: [0, 8, 0, 0] });
+  }
+
+  return {
+    pageSize: "A4",
+    pageMargins: [40, 40, 40, 40],
+    content,
+    styles: {
+      headerTitle: {
+        fontSize: 18,
+        bold: true,
+        color: PURPLE,
+      },
+    },
+    defaultStyle: {
+      fontSize: 10,
+      color: DARK_TEXT,
+    },
+  };
+}
+
+function createSectionTable(section) {
+  return {
+    table: {
+      widths: ["*"],
+      body: [
+        [{ text: section.title, bold: true, color: WHITE, fontSize: 11, fillColor: PURPLE }],
+        ...section.entries.map((entry) => [
+          {
+            text: [
+              { text: `${entry.prefix}: `, bold: true },
+              ...entry.segments.map(toPdfSegment),
+            ],
+          },
+        ]),
+      ],
+    },
+    layout: sectionTableLayout,
+  };
+}
+
+function toPdfSegment(segment) {
+  switch (segment.mark) {
+    case "deleted":
+      return {
+        text: segment.text,
+        color: DELETED_COLOR,
+        decoration: "lineThrough",
+        decorationColor: DELETED_COLOR,
+      };
+    case "inserted":
+      return {
+        text: segment.text,
+        color: INSERTED_COLOR,
+        decoration: "underline",
+        decorationColor: INSERTED_COLOR,
+      };
+    case "moved":
+      return { text: segment.text, color: PURPLE, italics: true };
+    default:
+      return { text: segment.text };
+  }
+}
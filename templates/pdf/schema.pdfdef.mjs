@@ -0,0 +1,325 @@
+// Generic PDF layout for doc types without a hand-written definition.
+// Sections are derived from the doc type's JSON schema the same way the
+// XLSX export lays out sheets: scalar fields go in a general information
+// table and every array field gets its own section.
+
+// Brand colors matching the charter PDF
+const PURPLE = "#7030A0";
+const WHITE = "#FFFFFF";
+const LIGHT_GRAY = "#F2F2F2";
+const GRAY_TEXT = "#666666";
+
+const PLACEHOLDER = "Not provided";
+
+const sectionTableLayout = {
+  hLineWidth: () => 1,
+  vLineWidth: () => 1,
+  hLineColor: () => "#cccccc",
+  vLineColor: () => "#cccccc",
+  paddingLeft: () => 8,
+  paddingRight: () => 8,
+  paddingTop: () => 6,
+  paddingBottom: () => 6,
+};
+
+/**
+ * Lays out a document as pdfmake content using its JSON schema. Fields present
+ * on the document but absent from the schema are appended so nothing captured
+ * during extraction is dropped from the export.
+ * @param {Record<string, any>} document - Normalized document payload.
+ * @param {{ schema?: Record<string, any> | null, label?: string }} [options]
+ * @returns {Record<string, any>} pdfmake document definition
+ */
+export function buildPdfDefinition(document, { schema = null, label } = {}) {
+  const properties = isPlainObject(schema?.properties) ? schema.properties : {};
+  const source = isPlainObject(document) ? document : {};
+  const title = label || (typeof schema?.title === "string" ? schema.title : "") || "Document";
+
+  const summaryRows = [];
+  const listSections = [];
+
+  for (const key of collectFieldOrder(properties, source)) {
+    const definition = properties[key];
+    const value = source[key];
+
+    if (isArrayField(definition, value)) {
+      listSections.push(createListSection(key, definition, value));
+      continue;
+    }
+
+    summaryRows.push([`${fieldLabel(key, definition)}:`, toDisplayText(value, definition)]);
+  }
+
+  const content = [
+    {
+      columns: [
+        {
+          text: [
+            { text: "EXACT ", bold: true, fontSize: 14 },
+            { text: "SCIENCES", fontSize: 14 },
+          ],
+          width: "auto",
+        },
+        {
+          text: title,
+          style: "headerTitle",
+          alignment: "right",
+        },
+      ],
+      margin: [0, 0, 0, 20],
+    },
+  ];
+
+  if (summaryRows.length > 0) {
+    content.push(createSectionHeader("General Information"), createKeyValueTable(summaryRows));
+  }
+
+  for (const section of listSections) {
+    content.push({ text: "", margin: [0, 10, 0, 0] }, ...section);
+  }
+
+  return {
+    pageSize: "A4",
+    pageMargins: [40, 40, 40, 40],
+    content,
+    styles,
+  };
+}
+
+function createListSection(key, definition, values) {
+  const label = fieldLabel(key, definition);
+  const items = (Array.isArray(values) ? values : []).filter(
+    (item) => item != null && item !== ""
+  );
+  const itemDefinition = isPlainObject(definition?.items) ? definition.items : {};
+  const itemProperties = isPlainObject(itemDefinition.properties)
+    ? itemDefinition.properties
+    : {};
+  const hasObjectItems =
+    itemDefinition.type === "object" ||
+    Object.keys(itemProperties).length > 0 ||
+    items.some(isPlainObject);
+
+  const header = createSectionHeader(label);
+  const empty = { text: PLACEHOLDER, fontSize: 10, italics: true, color: GRAY_TEXT };
+
+  if (!hasObjectItems) {
+    const list =
+      items.length > 0
+        ? {
+            ul: items.map((item) => ({ text: toDisplayText(item, itemDefinition), fontSize: 10 })),
+          }
+        : empty;
+    return [header, createCellTable([list])];
+  }
+
+  const columns = Object.keys(itemProperties);
+  for (const item of items) {
+    if (!isPlainObject(item)) {
+      continue;
+    }
+    for (const column of Object.keys(item)) {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+
+  if (columns.length === 0) {
+    return [header, createCellTable([empty])];
+  }
+
+  const body = [
+    columns.map((column) => ({
+      text: fieldLabel(column, itemProperties[column]),
+      bold: true,
+      fontSize: 10,
+      fillColor: LIGHT_GRAY,
+    })),
+  ];
+
+  const rows = items.filter(isPlainObject);
+  if (rows.length === 0) {
+    body.push([
+      {
+        text: `No ${label.toLowerCase()} provided`,
+        colSpan: columns.length,
+        italics: true,
+        color: GRAY_TEXT,
+        fontSize: 10,
+      },
+      ...columns.slice(1).map(() => ({})),
+    ]);
+  } else {
+    for (const item of rows) {
+      body.push(
+        columns.map((column) => ({
+          text: toDisplayText(item[column], itemProperties[column]),
+          fontSize: 10,
+        }))
+      );
+    }
+  }
+
+  return [
+    header,
+    {
+      table: {
+        headerRows: 1,
+        widths: columns.map(() => "*"),
+        body,
+      },
+      layout: sectionTableLayout,
+      margin: [0, 0, 0, 0],
+    },
+  ];
+}
+
+function createSectionHeader(text) {
+  return {
+    table: {
+      widths: ["*"],
+      body: [
+        [
+          {
+            text,
+            bold: true,
+            color: WHITE,
+            fontSize: 11,
+            fillColor: PURPLE,
+          },
+        ],
+      ],
+    },
+    layout: sectionTableLayout,
+    margin: [0, 0, 0, 0],
+  };
+}
+
+function createKeyValueTable(rows) {
+  const body = rows.map(([label, value]) => [
+    {
+      text: label,
+      bold: true,
+      fontSize: 10,
+      fillColor: LIGHT_GRAY,
+    },
+    {
+      text: value,
+      fontSize: 10,
+    },
+  ]);
+
+  return {
+    table: {
+      widths: [150, "*"],
+      body,
+    },
+    layout: sectionTableLayout,
+    margin: [0, 0, 0, 0],
+  };
+}
+
+function createCellTable(cells) {
+  return {
+    table: {
+      widths: ["*"],
+      body: [cells],
+    },
+    layout: sectionTableLayout,
+    margin: [0, 0, 0, 0],
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function humanizeFieldName(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+function fieldLabel(key, definition) {
+  const title = typeof definition?.title === "string" ? definition.title.trim() : "";
+  return title || humanizeFieldName(key);
+}
+
+function isArrayField(definition, value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  const type = definition?.type;
+  return type === "array" || (Array.isArray(type) && type.includes("array"));
+}
+
+function collectFieldOrder(properties, document) {
+  const keys = Object.keys(properties);
+  for (const key of Object.keys(document)) {
+    if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function toDisplayText(value, definition) {
+  if (value == null) {
+    return PLACEHOLDER;
+  }
+
+  if (Array.isArray(value)) {
+    const parts = value
+      .map((item) => toDisplayText(item))
+      .filter((item) => item !== PLACEHOLDER);
+    return parts.length > 0 ? parts.join("; ") : PLACEHOLDER;
+  }
+
+  if (isPlainObject(value)) {
+    const parts = Object.entries(value)
+      .map(([key, entry]) => [humanizeFieldName(key), toDisplayText(entry)])
+      .filter(([, entry]) => entry !== PLACEHOLDER)
+      .map(([key, entry]) => `${key}: ${entry}`);
+    return parts.length > 0 ? parts.join(", ") : PLACEHOLDER;
+  }
+
+  if (typeof value === "boolean") {
+    return value ? "Yes" : "No";
+  }
+
+  const text = String(value).trim();
+  if (!text) {
+    return PLACEHOLDER;
+  }
+
+  if (definition?.format === "date") {
+    return formatDate(text);
+  }
+
+  return text;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.valueOf())) {
+    return value;
+  }
+
+  return new Intl.DateTimeFormat("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  }).format(date);
+}
+
+const styles = {
+  headerTitle: {
+    fontSize: 18,
+    bold: true,
+    color: PURPLE,
+  },
+};
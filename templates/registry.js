@@ -1,4 +1,5 @@
 import { createBlankCharter } from "../server/charter/utils/normalize.js";
+import { createBlankSow } from "../server/sow/utils/normalize.js";
 
 export function createModuleReference(
   moduleId,
@@ -28,12 +29,15 @@ function createDocTypeManifest({
   form,
   extract,
   docx,
+  pdf,
   metadata,
   normalize,
   preprocess,
   renderer,
   validation,
   review,
+  approvals,
+  carryover,
   enabled = true,
   notes,
   blank,
@@ -48,12 +52,15 @@ function createDocTypeManifest({
     form,
     extract,
     docx,
+    pdf,
     metadata,
     normalize,
     preprocess,
     renderer,
     validation,
     review,
+    approvals,
+    carryover,
     enabled,
     notes,
     blank,
@@ -92,6 +99,15 @@ function buildTemplateRegistry() {
       template: "project_charter_tokens.docx",
       encoded: "project_charter_tokens.docx.b64",
       outputFilename: "project_charter.docx",
+      locales: {
+        de: "charter/locales/de.json",
+        "es-MX": "charter/locales/es-MX.json",
+      },
+    },
+    pdf: {
+      definition: createModuleReference("templates/pdf/charter.pdfdef.mjs", {
+        exportName: "buildPdfDefinition",
+      }),
     },
     metadata: {
       encodedDocxPath: "project_charter_tokens.docx.b64",
@@ -131,6 +147,13 @@ function buildTemplateRegistry() {
         metric_measurability: 0.7,
       },
     },
+    approvals: {
+      roles: [
+        { id: "sponsor", label: "Project Sponsor", required: true },
+        { id: "project_lead", label: "Project Lead", required: true },
+        { id: "pmo", label: "PMO Reviewer", required: false },
+      ],
+    },
     blank: () => createBlankCharter(),
   }),
     ddp: createDocTypeManifest({
@@ -162,6 +185,11 @@ function buildTemplateRegistry() {
       encoded: "doc-types/ddp/template.docx.b64",
       outputFilename: "design_development_plan.docx",
     },
+    pdf: {
+      definition: createModuleReference("templates/pdf/schema.pdfdef.mjs", {
+        exportName: "buildPdfDefinition",
+      }),
+    },
     metadata: {
       encodedDocxPath: "doc-types/ddp/template.docx.b64",
     },
@@ -199,31 +227,114 @@ function buildTemplateRegistry() {
         metric_measurability: 0.65,
       },
     },
+    approvals: {
+      roles: [
+        { id: "design_lead", label: "Design Lead", required: true },
+        { id: "quality", label: "Quality Assurance", required: true },
+        { id: "regulatory", label: "Regulatory Affairs", required: false },
+      ],
+    },
+    // Fields seeded from a finalized charter version when a DDP is started
+    // from it. `items` maps target item keys to source item keys.
+    carryover: {
+      charter: {
+        fields: [
+          { from: "project_name", to: "project_name" },
+          { from: "problem", to: "problem_statement" },
+          { from: "scope_in", to: "scope" },
+          { from: "risks", to: "risks" },
+          {
+            from: "milestones",
+            to: "phases",
+            items: { name: "phase", deliverable: "deliverable", target_date: "date" },
+          },
+        ],
+      },
+    },
     blank: () => ({}),
   }),
     sow: createDocTypeManifest({
     id: "sow",
     label: "Statement of Work",
-    version: null,
-    schemaId: null,
-    manifestPath: null,
-    schema: null,
-    extract: null,
-    docx: null,
-    metadata: null,
-    normalize: createModuleReference("lib/doc/normalizers.js", {
-      exportName: "identity",
+    version: "2025.01",
+    schemaId: "sow",
+    manifestPath: "doc-types/sow/manifest.json",
+    schema: {
+      path: "doc-types/sow/schema.json",
+      fieldRules: "doc-types/sow/field_rules.json",
+    },
+    form: {
+      schema: "doc-types/sow/formSchema.json",
+    },
+    extract: {
+      fallbackPrompt: "extract_prompt.txt",
+      prompts: [
+        "doc-types/sow/extract_prompt.txt",
+        "extract_prompt.sow.txt",
+      ],
+      metadata: [
+        "doc-types/sow/metadata.json",
+        "doc-types/sow/metadata.txt",
+        "extract_metadata.sow.json",
+        "extract_metadata.sow.txt",
+      ],
+    },
+    docx: {
+      template: "doc-types/sow/template.docx",
+      encoded: "doc-types/sow/template.docx.b64",
+      outputFilename: "statement_of_work.docx",
+    },
+    pdf: {
+      definition: createModuleReference("templates/pdf/schema.pdfdef.mjs", {
+        exportName: "buildPdfDefinition",
+      }),
+    },
+    metadata: {
+      encodedDocxPath: "doc-types/sow/template.docx.b64",
+    },
+    normalize: createModuleReference("server/sow/utils/normalize.js", {
+      exportName: "normalizeSowPayload",
+      fallbacks: ["default"],
     }),
-    preprocess: createModuleReference("lib/doc/normalizers.js", {
-      exportName: "identity",
+    preprocess: createModuleReference("server/sow/utils/normalize.js", {
+      exportName: "normalizeSowPayload",
+      fallbacks: ["default"],
     }),
     renderer: createModuleReference("templates/renderers.js", {
       exportName: "renderJsonBuffer",
     }),
-    validation: null,
-    enabled: false,
-    notes: "Placeholder manifest for future Statement of Work templates.",
-    blank: () => ({}),
+    validation: {
+      errorName: "SOWValidationError",
+      errorMessage: "SOW payload failed validation.",
+    },
+    review: {
+      prompt: "doc-types/sow/review_prompt.txt",
+      rules: "doc-types/sow/review_rules.json",
+      knowledgeCategories: ["sow", "general"],
+      dimensions: [
+        "completeness",
+        "specificity",
+        "feasibility",
+        "risk_coverage",
+        "scope_clarity",
+        "metric_measurability",
+      ],
+      thresholds: {
+        completeness: 0.8,
+        specificity: 0.75,
+        feasibility: 0.7,
+        risk_coverage: 0.65,
+        scope_clarity: 0.8,
+        metric_measurability: 0.7,
+      },
+    },
+    approvals: {
+      roles: [
+        { id: "client_sponsor", label: "Client Sponsor", required: true },
+        { id: "vendor_lead", label: "Vendor Lead", required: true },
+      ],
+    },
+    blank: () => createBlankSow(),
   }),
   };
 }
@@ -1,3 +1,8 @@
+import { UnsupportedDocTypeError } from "../lib/doc/errors.js";
+import { getDocTypeConfig } from "../lib/doc/registry.js";
+import { loadDocTypeSchema } from "../lib/doc/validation.js";
+import { createWorkbookBuffer } from "../lib/doc/xlsx.js";
+
 export class FormatNotImplementedError extends Error {
   constructor(format) {
     super(`${format.toUpperCase()} export is not yet implemented.`);
@@ -7,8 +12,172 @@ export class FormatNotImplementedError extends Error {
   }
 }
 
+const SUMMARY_SHEET_NAME = "Summary";
+const LIST_SEPARATOR = "; ";
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function humanizeFieldName(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+function fieldLabel(key, definition) {
+  const title = typeof definition?.title === "string" ? definition.title.trim() : "";
+  return title || humanizeFieldName(key);
+}
+
+function isArrayField(definition, value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  const type = definition?.type;
+  return type === "array" || (Array.isArray(type) && type.includes("array"));
+}
+
+function toCellValue(value, definition) {
+  if (value == null) {
+    return null;
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (isPlainObject(item) ? JSON.stringify(item) : toCellValue(item)))
+      .filter((item) => item != null && item !== "")
+      .join(LIST_SEPARATOR);
+  }
+
+  if (isPlainObject(value)) {
+    return JSON.stringify(value);
+  }
+
+  const type = definition?.type;
+  if ((type === "number" || type === "integer") && typeof value === "string") {
+    const parsed = Number(value.trim());
+    return value.trim() && Number.isFinite(parsed) ? parsed : value;
+  }
+
+  if (definition?.format === "date" && typeof value === "string" && value.trim()) {
+    return { type: "date", value: value.trim() };
+  }
+
+  return value;
+}
+
+function collectFieldOrder(properties, document) {
+  const keys = Object.keys(properties);
+  for (const key of Object.keys(document)) {
+    if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function buildArraySheet(key, definition, values) {
+  const items = Array.isArray(values) ? values : [];
+  const itemDefinition = isPlainObject(definition?.items) ? definition.items : {};
+  const itemProperties = isPlainObject(itemDefinition.properties)
+    ? itemDefinition.properties
+    : {};
+  const hasObjectItems =
+    itemDefinition.type === "object" ||
+    Object.keys(itemProperties).length > 0 ||
+    items.some(isPlainObject);
+
+  const label = fieldLabel(key, definition);
+
+  if (!hasObjectItems) {
+    return {
+      name: label,
+      header: ["#", label],
+      rows: items
+        .filter((item) => item != null && item !== "")
+        .map((item, index) => [index + 1, toCellValue(item, itemDefinition)]),
+    };
+  }
+
+  const columns = Object.keys(itemProperties);
+  for (const item of items) {
+    if (!isPlainObject(item)) {
+      continue;
+    }
+    for (const column of Object.keys(item)) {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+
+  return {
+    name: label,
+    header: ["#", ...columns.map((column) => fieldLabel(column, itemProperties[column]))],
+    rows: items
+      .filter(isPlainObject)
+      .map((item, index) => [
+        index + 1,
+        ...columns.map((column) => toCellValue(item[column], itemProperties[column])),
+      ]),
+  };
+}
+
+/**
+ * Lays out a document as workbook sheets using its JSON schema: scalar fields
+ * become rows on a summary sheet and every array field gets its own table.
+ * Fields present on the document but absent from the schema are appended so
+ * nothing captured during extraction is dropped from the export.
+ * @param {Record<string, any> | null} schema - Doc type JSON schema.
+ * @param {Record<string, any>} document - Normalized document payload.
+ * @param {{ label?: string }} [options]
+ * @returns {Array<{ name: string, header: string[], rows: Array<Array<unknown>> }>}
+ */
+export function buildWorkbookSheets(schema, document, { label } = {}) {
+  const properties = isPlainObject(schema?.properties) ? schema.properties : {};
+  const source = isPlainObject(document) ? document : {};
+
+  const summaryRows = [];
+  if (label) {
+    summaryRows.push(["Document Type", label]);
+  }
+  const arraySheets = [];
+
+  for (const key of collectFieldOrder(properties, source)) {
+    const definition = properties[key];
+    const value = source[key];
+
+    if (isArrayField(definition, value)) {
+      arraySheets.push(buildArraySheet(key, definition, value));
+      continue;
+    }
+
+    summaryRows.push([fieldLabel(key, definition), toCellValue(value, definition)]);
+  }
+
+  return [
+    { name: SUMMARY_SHEET_NAME, header: ["Field", "Value"], rows: summaryRows },
+    ...arraySheets,
+  ];
+}
+
 export async function renderXlsxBuffer(docType, document) {
-  throw new FormatNotImplementedError("xlsx");
+  const config = getDocTypeConfig(docType);
+  if (!config) {
+    throw new UnsupportedDocTypeError(docType);
+  }
+
+  const source = isPlainObject(document) ? document : {};
+  const normalize =
+    typeof config.validation?.normalize === "function" ? config.validation.normalize : null;
+  const normalized = normalize ? normalize(source) : source;
+
+  const schema = await loadDocTypeSchema(config.type, config);
+  const sheets = buildWorkbookSheets(schema, normalized, { label: config.label });
+  return createWorkbookBuffer(sheets);
 }
 
 export async function renderJsonBuffer(docType, document) {
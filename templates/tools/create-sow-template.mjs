@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Creates the Statement of Work DOCX template with docxtemplater tokens.
+ *
+ * Mirrors the charter template styling (purple section headers, gray label
+ * cells) and writes both the DOCX and its Base64 encoding to
+ * templates/doc-types/sow/.
+ */
+
+import {
+  Document,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+  ShadingType,
+  Header,
+} from "docx";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Brand colors
+const PURPLE = "7030A0";
+const WHITE = "FFFFFF";
+const LIGHT_GRAY = "F2F2F2";
+
+function text(value, options = {}) {
+  return new Paragraph({
+    children: [new TextRun({ text: value, size: 20, ...options })],
+  });
+}
+
+function headerCell(label, columnSpan = 1) {
+  return new TableCell({
+    children: [text(label, { bold: true, color: WHITE, size: 22 })],
+    shading: { fill: PURPLE, type: ShadingType.CLEAR },
+    columnSpan,
+  });
+}
+
+function labelCell(label) {
+  return new TableCell({
+    children: [text(label, { bold: true })],
+    shading: { fill: LIGHT_GRAY, type: ShadingType.CLEAR },
+  });
+}
+
+function cell(paragraphs, columnSpan = 1) {
+  return new TableCell({ children: paragraphs, columnSpan });
+}
+
+function labelledRow(label, token) {
+  return new TableRow({ children: [labelCell(label), cell([text(`{{${token}}}`)])] });
+}
+
+function listCell(loopName) {
+  return cell([
+    text(`{{#${loopName}}}`),
+    text("• {{.}}"),
+    text(`{{/${loopName}}}`),
+  ]);
+}
+
+function sectionTable(title, columnSpan, rows) {
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [new TableRow({ children: [headerCell(title, columnSpan)] }), ...rows],
+  });
+}
+
+function columnHeaders(labels) {
+  return new TableRow({ children: labels.map((label) => labelCell(label)) });
+}
+
+function loopRow(loopName, tokens) {
+  return new TableRow({
+    children: tokens.map((token) =>
+      cell([text(`{{#${loopName}}}${token}{{/${loopName}}}`)])
+    ),
+  });
+}
+
+function spacer() {
+  return new Paragraph({ text: "", spacing: { after: 200 } });
+}
+
+async function createTemplate() {
+  const doc = new Document({
+    sections: [
+      {
+        properties: {},
+        headers: {
+          default: new Header({
+            children: [
+              new Paragraph({
+                children: [
+                  new TextRun({ text: "EXACT", bold: true, size: 28 }),
+                  new TextRun({ text: " SCIENCES", size: 28 }),
+                  new TextRun({
+                    text: "    Statement of Work",
+                    bold: true,
+                    color: PURPLE,
+                    size: 36,
+                  }),
+                ],
+              }),
+            ],
+          }),
+        },
+        children: [
+          spacer(),
+          sectionTable("Engagement Information", 2, [
+            labelledRow("Engagement:", "project_name"),
+            labelledRow("SOW Number:", "sow_number"),
+            labelledRow("Client:", "client_name"),
+            labelledRow("Client Contact:", "client_contact"),
+            labelledRow("Vendor:", "vendor_name"),
+            labelledRow("Vendor Contact:", "vendor_contact"),
+            labelledRow("Effective Date:", "effective_date"),
+            labelledRow("Period of Performance Start:", "start_date"),
+            labelledRow("Period of Performance End:", "end_date"),
+            new TableRow({
+              children: [cell([text("Background:", { bold: true })], 2)],
+            }),
+            new TableRow({ children: [cell([text("{{background}}")], 2)] }),
+            new TableRow({
+              children: [cell([text("Objectives:", { bold: true })], 2)],
+            }),
+            new TableRow({ children: [cell([text("{{objectives}}")], 2)] }),
+          ]),
+          spacer(),
+          sectionTable("Scope of Services", 2, [
+            columnHeaders(["In Scope", "Out of Scope"]),
+            new TableRow({ children: [listCell("scope_in"), listCell("scope_out")] }),
+          ]),
+          spacer(),
+          sectionTable("Deliverables", 4, [
+            columnHeaders(["Deliverable", "Description", "Acceptance Criteria", "Due Date"]),
+            loopRow("deliverables", [
+              "{{name}}",
+              "{{description}}",
+              "{{acceptance_criteria}}",
+              "{{due_date}}",
+            ]),
+          ]),
+          spacer(),
+          sectionTable("Schedule and Milestones", 3, [
+            columnHeaders(["Phase", "Deliverable", "Target Date"]),
+            loopRow("milestones", ["{{phase}}", "{{deliverable}}", "{{date}}"]),
+          ]),
+          spacer(),
+          sectionTable("Fees and Payment", 3, [
+            new TableRow({
+              children: [
+                labelCell("Pricing Model:"),
+                cell([text("{{pricing_model}}")], 2),
+              ],
+            }),
+            new TableRow({
+              children: [
+                labelCell("Total Value:"),
+                cell([text("{{#total_value}}{{total_value}} {{currency}}{{/total_value}}")], 2),
+              ],
+            }),
+            columnHeaders(["Payment Milestone", "Amount", "Due Date"]),
+            loopRow("payment_schedule", [
+              "{{milestone}}",
+              "{{#amount}}{{amount}}{{/amount}}",
+              "{{due_date}}",
+            ]),
+          ]),
+          spacer(),
+          sectionTable("Acceptance and Change Control", 2, [
+            labelledRow("Acceptance Process:", "acceptance_process"),
+            labelledRow("Change Control:", "change_control"),
+          ]),
+          spacer(),
+          sectionTable("Key Personnel", 3, [
+            columnHeaders(["Name", "Role", "Organization"]),
+            loopRow("key_personnel", ["{{name}}", "{{role}}", "{{organization}}"]),
+          ]),
+          spacer(),
+          sectionTable("Assumptions and Risks", 2, [
+            columnHeaders(["Assumptions", "Risks"]),
+            new TableRow({ children: [listCell("assumptions"), listCell("risks")] }),
+          ]),
+          spacer(),
+          sectionTable("Approvals", 4, [
+            columnHeaders(["Name", "Role", "Organization", "Date"]),
+            loopRow("approvals", ["{{name}}", "{{role}}", "{{organization}}", "{{date}}"]),
+          ]),
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+async function main() {
+  console.log("Creating Statement of Work template...");
+
+  const buffer = await createTemplate();
+
+  const outputDir = path.resolve(__dirname, "..", "doc-types", "sow");
+  const outputPath = path.join(outputDir, "template.docx");
+  const b64OutputPath = path.join(outputDir, "template.docx.b64");
+
+  await fs.writeFile(outputPath, buffer);
+  console.log(`Written DOCX to ${outputPath}`);
+
+  await fs.writeFile(b64OutputPath, buffer.toString("base64"));
+  console.log(`Written B64 to ${b64OutputPath}`);
+
+  console.log("Done!");
+}
+
+main().catch((error) => {
+  console.error("Failed to create template:", error);
+  process.exitCode = 1;
+});
@@ -26,7 +26,7 @@ class StubValidator {
   }
 }
 
-export default class Ajv {
+export class Ajv {
   constructor() {}
 
   compile(schema) {
@@ -43,3 +43,5 @@ export default class Ajv {
     return validator;
   }
 }
+
+export default Ajv;
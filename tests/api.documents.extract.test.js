@@ -130,11 +130,13 @@ test("/api/documents/extract routes guided charter requests through the extracti
   globalThis.__analyticsHook__ = originalHook;
 
   assert.equal(res.statusCode, 200);
-  assert.deepEqual(res.body, {
+  const { citations, ...body } = res.body;
+  assert.deepEqual(body, {
     status: "ok",
     fields: { project_title: "Phoenix Initiative" },
     warnings: [],
   });
+  assert.deepEqual(citations.project_title.source, { type: "message", id: "0", name: null });
 
   assert.equal(toolCalls.length, 1);
   const toolPayload = toolCalls[0];
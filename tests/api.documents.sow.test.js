@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { promises as fs } from "fs";
+
+import Docxtemplater from "docxtemplater";
+
+import validateHandler from "../api/documents/validate.js";
+import renderHandler from "../api/documents/render.js";
+import { getDocTypeConfig, listSupportedDocTypes } from "../lib/doc/registry.js";
+import { MINIMAL_VALID_SOW, MINIMAL_INVALID_SOW } from "./fixtures/doc/sow.js";
+import { createMockResponse, withStubbedReadFile } from "./helpers/http.js";
+
+const projectRoot = process.cwd();
+const templatesDir = path.join(projectRoot, "templates");
+const sowDir = path.join(templatesDir, "doc-types", "sow");
+const originalReadFile = fs.readFile.bind(fs);
+
+test("sow is registered with doc-type assets", () => {
+  assert(listSupportedDocTypes().includes("sow"));
+
+  const config = getDocTypeConfig("sow");
+  assert.equal(config.label, "Statement of Work");
+  assert.equal(config.validation.schemaPath, path.join(sowDir, "schema.json"));
+  assert.equal(config.validation.formSchemaPath, path.join(sowDir, "formSchema.json"));
+  assert.equal(config.render.docxTemplatePath, path.join(sowDir, "template.docx.b64"));
+  assert.equal(config.review.promptPath, path.join(sowDir, "review_prompt.txt"));
+  assert.deepEqual(config.review.knowledgeCategories, ["sow", "general"]);
+  assert(
+    config.extract.promptCandidates.includes(path.join(sowDir, "extract_prompt.txt"))
+  );
+});
+
+test("/api/documents/validate normalizes sow payloads", async () => {
+  const readCalls = [];
+  const res = createMockResponse();
+  await withStubbedReadFile(fs, async (filePath, encoding) => {
+    readCalls.push(filePath);
+    return originalReadFile(filePath, encoding);
+  }, async () => {
+    await validateHandler(
+      {
+        method: "POST",
+        query: { docType: "sow" },
+        body: {
+          document: {
+            ...MINIMAL_VALID_SOW,
+            pricing_model: "Time & Materials",
+            total_value: "$250,000",
+            currency: "usd",
+          },
+        },
+      },
+      res
+    );
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body?.ok, true);
+  assert.equal(res.body?.docType, "sow");
+  assert.equal(res.body?.normalized?.pricing_model, "time_and_materials");
+  assert.equal(res.body?.normalized?.total_value, 250000);
+  assert.equal(res.body?.normalized?.currency, "USD");
+  assert.deepEqual(res.body?.normalized?.payment_schedule, [
+    { milestone: "Specification accepted", due_date: "", amount: 50000 },
+  ]);
+  assert(readCalls.some((entry) => entry === path.join(sowDir, "schema.json")));
+});
+
+test("/api/documents/validate reports missing sow fields", async () => {
+  const res = createMockResponse();
+  await validateHandler(
+    {
+      method: "POST",
+      query: { docType: "sow" },
+      body: { document: MINIMAL_INVALID_SOW },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+  const paths = (res.body?.errors || []).map((error) => error.instancePath);
+  assert(paths.includes("/vendor_name"));
+  assert(paths.includes("/pricing_model"));
+});
+
+test("/api/documents/render returns the sow docx template", async () => {
+  Docxtemplater.__setDocumentXmlFactory?.(() => "<w:document></w:document>");
+  const readCalls = [];
+  const res = createMockResponse();
+
+  await withStubbedReadFile(fs, async (filePath, encoding) => {
+    readCalls.push(filePath);
+    return originalReadFile(filePath, encoding);
+  }, async () => {
+    await renderHandler(
+      {
+        method: "POST",
+        query: { docType: "sow" },
+        body: { docType: "sow", document: MINIMAL_VALID_SOW },
+      },
+      res
+    );
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert(Buffer.isBuffer(res.body));
+  assert(readCalls.some((entry) => entry === path.join(sowDir, "template.docx.b64")));
+  assert.match(res.headers["content-disposition"], /statement_of_work\.docx/);
+});
@@ -0,0 +1,410 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+import accessHandler from "../api/charters/[id]/access.js";
+import documentsHandler from "../api/charters/[id]/documents.js";
+import carryoverHandler from "../api/charters/[id]/carryover.js";
+import devTokenHandler from "../api/auth/dev-token.js";
+import meHandler from "../api/auth/me.js";
+import docMakeLinkHandler from "../api/documents/make-link.js";
+import docDownloadHandler from "../api/documents/download.js";
+import { __setOidcVerifier, assertAuthConfiguration, authenticateRequest } from "../server/auth/index.js";
+import { issueDevToken } from "../server/auth/devIssuer.js";
+import { base64UrlEncode, JwtError } from "../server/auth/jwt.js";
+import { createOidcVerifier, OidcConfigurationError } from "../server/auth/oidc.js";
+import { securityMiddleware } from "../server/middleware/security.js";
+import {
+  __setCharterAccessStore,
+  backfillCharterOwners,
+  claimCharterOwnership,
+  getCharterAccess,
+} from "../server/charter/utils/access.js";
+import { __setApprovalRecordStore } from "../server/charter/utils/approvals.js";
+import {
+  __setCharterRecordStore,
+  appendCharterDocumentRecord,
+} from "../server/charter/utils/documentStore.js";
+import { MINIMAL_VALID_DDP as VALID_DDP } from "./fixtures/doc/ddp.js";
+import { createMockResponse } from "./helpers/http.js";
+import { withRecordStores } from "./helpers/recordStores.js";
+
+process.env.FILES_LINK_SECRET = process.env.FILES_LINK_SECRET || "unit-test-secret";
+
+const ISSUER = "https://idp.example.test";
+const AUDIENCE = "exact-va";
+
+function withEnv(t, values) {
+  const previous = {};
+  for (const [key, value] of Object.entries(values)) {
+    previous[key] = process.env[key];
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+}
+
+async function withStores(t) {
+  await withRecordStores(t, {
+    access: __setCharterAccessStore,
+    documents: __setCharterRecordStore,
+    approvals: __setApprovalRecordStore,
+  });
+}
+
+function signRs256(claims, privateKey, kid = "key-1") {
+  const header = base64UrlEncode(JSON.stringify({ alg: "RS256", typ: "JWT", kid }));
+  const body = base64UrlEncode(JSON.stringify(claims));
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${body}`), privateKey);
+  return `${header}.${body}.${base64UrlEncode(signature)}`;
+}
+
+function createIdentityProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid: "key-1", use: "sig", alg: "RS256" };
+  const requests = [];
+  const fetchImpl = async (url) => {
+    requests.push(url);
+    const body =
+      url === `${ISSUER}/.well-known/openid-configuration`
+        ? { issuer: ISSUER, jwks_uri: `${ISSUER}/jwks` }
+        : url === `${ISSUER}/jwks`
+          ? { keys: [jwk] }
+          : null;
+    return { ok: Boolean(body), status: body ? 200 : 404, json: async () => body };
+  };
+  return { privateKey, jwk, fetchImpl, requests };
+}
+
+function claimsFor(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { iss: ISSUER, aud: AUDIENCE, sub: "user-1", iat: now, exp: now + 300, ...overrides };
+}
+
+function devAuth(email) {
+  const { token } = issueDevToken({ sub: email, email });
+  return { authorization: `Bearer ${token}` };
+}
+
+test("OIDC verifier accepts RS256 tokens from the discovered JWK set", async () => {
+  const idp = createIdentityProvider();
+  const verifier = createOidcVerifier({ issuer: ISSUER, audience: AUDIENCE, fetchImpl: idp.fetchImpl });
+
+  const claims = await verifier.verify(signRs256(claimsFor({ email: "a@example.com" }), idp.privateKey));
+  assert.equal(claims.sub, "user-1");
+  assert.deepEqual(idp.requests, [`${ISSUER}/.well-known/openid-configuration`, `${ISSUER}/jwks`]);
+
+  await verifier.verify(signRs256(claimsFor(), idp.privateKey));
+  assert.equal(idp.requests.length, 2, "JWK set should be cached");
+});
+
+test("OIDC verifier rejects expired, foreign-audience, and downgraded tokens", async () => {
+  const idp = createIdentityProvider();
+  const verifier = createOidcVerifier({ issuer: ISSUER, audience: AUDIENCE, fetchImpl: idp.fetchImpl });
+  const rejects = (token, code) =>
+    assert.rejects(verifier.verify(token), (error) => error instanceof JwtError && error.code === code);
+
+  const past = Math.floor(Date.now() / 1000) - 3600;
+  await rejects(signRs256(claimsFor({ iat: past - 60, exp: past }), idp.privateKey), "token_expired");
+  await rejects(signRs256(claimsFor({ aud: "someone-else" }), idp.privateKey), "invalid_token");
+
+  const body = base64UrlEncode(JSON.stringify(claimsFor()));
+  const none = `${base64UrlEncode(JSON.stringify({ alg: "none", kid: "key-1" }))}.${body}.`;
+  await rejects(none, "invalid_token");
+
+  // HS256 signed with the public modulus must not pass as an HMAC secret
+  const hsHeader = base64UrlEncode(JSON.stringify({ alg: "HS256", kid: "key-1" }));
+  const hsSignature = crypto.createHmac("sha256", idp.jwk.n).update(`${hsHeader}.${body}`).digest();
+  await rejects(`${hsHeader}.${body}.${base64UrlEncode(hsSignature)}`, "invalid_token");
+
+  const tampered = signRs256(claimsFor(), idp.privateKey).split(".");
+  tampered[1] = base64UrlEncode(JSON.stringify(claimsFor({ sub: "admin" })));
+  await rejects(tampered.join("."), "invalid_signature");
+});
+
+test("OIDC mode refuses to start without an audience", () => {
+  const idp = createIdentityProvider();
+  for (const audience of [undefined, "", []]) {
+    assert.throws(
+      () => createOidcVerifier({ issuer: ISSUER, audience, fetchImpl: idp.fetchImpl }),
+      (error) => error instanceof OidcConfigurationError && /AUTH_OIDC_AUDIENCE/.test(error.message)
+    );
+  }
+
+  assert.throws(() => assertAuthConfiguration({ AUTH_MODE: "oidc", AUTH_OIDC_ISSUER: ISSUER }), /AUTH_OIDC_AUDIENCE/);
+  assert.throws(
+    () => assertAuthConfiguration({ AUTH_MODE: "oidc", AUTH_OIDC_ISSUER: ISSUER, AUTH_OIDC_AUDIENCE: " , " }),
+    /AUTH_OIDC_AUDIENCE/
+  );
+  assert.throws(() => assertAuthConfiguration({ AUTH_MODE: "oidc", AUTH_OIDC_AUDIENCE: AUDIENCE }), /AUTH_OIDC_ISSUER/);
+  assert.doesNotThrow(() =>
+    assertAuthConfiguration({ AUTH_MODE: "oidc", AUTH_OIDC_ISSUER: ISSUER, AUTH_OIDC_AUDIENCE: AUDIENCE })
+  );
+  assert.doesNotThrow(() => assertAuthConfiguration({ AUTH_MODE: "off" }));
+});
+
+test("dev issuer round-trips through authenticateRequest and the auth routes", async (t) => {
+  withEnv(t, { AUTH_MODE: "dev", NODE_ENV: "test", AUTH_ADMINS: undefined, AUTH_AUTHORS: "DANA@example.com" });
+
+  const issued = createMockResponse();
+  await devTokenHandler(
+    {
+      method: "POST",
+      headers: {},
+      body: { email: "Dana@Example.com", name: "Dana", roles: ["Admin", "superuser"] },
+    },
+    issued
+  );
+  assert.equal(issued.statusCode, 200);
+  assert.deepEqual(issued.body.user, {
+    id: "dana@example.com",
+    email: "dana@example.com",
+    name: "Dana",
+    issuer: "urn:exact-va:dev-issuer",
+    roles: ["admin", "author"],
+  });
+  assert.match(issued.headers["set-cookie"], /^exactva_session=.+; Path=\/; HttpOnly; SameSite=Lax/);
+
+  const me = createMockResponse();
+  await meHandler({ method: "GET", headers: { cookie: `exactva_session=${issued.body.token}` } }, me);
+  assert.equal(me.statusCode, 200);
+  assert.equal(me.body.authenticated, true);
+  assert.equal(me.body.user.email, "dana@example.com");
+
+  const forged = createMockResponse();
+  await meHandler({ method: "GET", headers: { authorization: `Bearer ${issued.body.token}x` } }, forged);
+  assert.equal(forged.statusCode, 401);
+  assert.equal(forged.headers["www-authenticate"], 'Bearer error="invalid_token"');
+
+  await assert.rejects(authenticateRequest({ headers: {} }, { required: true }), { code: "unauthorized" });
+
+  withEnv(t, { AUTH_MODE: "off" });
+  const disabled = createMockResponse();
+  await devTokenHandler({ method: "POST", headers: {}, body: { email: "dana@example.com" } }, disabled);
+  assert.equal(disabled.statusCode, 404);
+});
+
+test("identity middleware answers 503 when the verifier fails unexpectedly", async (t) => {
+  withEnv(t, { AUTH_MODE: "oidc", AUTH_OIDC_ISSUER: ISSUER, AUTH_OIDC_AUDIENCE: AUDIENCE });
+  __setOidcVerifier({
+    verify: async () => {
+      throw new TypeError("fetch failed");
+    },
+  });
+  t.after(() => __setOidcVerifier(null));
+  t.mock.method(console, "error", () => {});
+
+  const idp = createIdentityProvider();
+  const res = createMockResponse();
+  let continued = false;
+  await securityMiddleware({ route: "/api/documents/render" })(
+    {
+      method: "POST",
+      url: "/api/documents/render",
+      headers: { authorization: `Bearer ${signRs256(claimsFor(), idp.privateKey)}` },
+    },
+    res,
+    () => {
+      continued = true;
+    }
+  );
+
+  assert.equal(continued, false);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.error.code, "SERVICE_UNAVAILABLE");
+  assert.equal(res.body.path, "/api/documents/render");
+});
+
+test("charter routes enforce ownership and shared roles", async (t) => {
+  withEnv(t, { AUTH_MODE: "dev", NODE_ENV: "test" });
+  await withStores(t);
+  const charterId = "acl-1";
+  const owner = { id: "owner@example.com", email: "owner@example.com" };
+
+  const anonymous = createMockResponse();
+  await documentsHandler({ method: "GET", headers: {}, query: { id: charterId } }, anonymous);
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(anonymous.headers["www-authenticate"], "Bearer");
+
+  await claimCharterOwnership(charterId, owner);
+  await claimCharterOwnership(charterId, { id: "late@example.com", email: "late@example.com" });
+  assert.equal((await getCharterAccess(charterId)).owner.email, "owner@example.com");
+
+  const share = createMockResponse();
+  await accessHandler(
+    {
+      method: "POST",
+      headers: devAuth("owner@example.com"),
+      query: { id: charterId },
+      body: { email: "viewer@example.com", role: "viewer" },
+    },
+    share
+  );
+  assert.equal(share.statusCode, 200);
+  assert.equal(share.body.role, "owner");
+  assert.deepEqual(
+    share.body.grants.map(({ email, role }) => [email, role]),
+    [["viewer@example.com", "viewer"]]
+  );
+
+  const viewerRead = createMockResponse();
+  await documentsHandler(
+    { method: "GET", headers: devAuth("viewer@example.com"), query: { id: charterId } },
+    viewerRead
+  );
+  assert.equal(viewerRead.statusCode, 200);
+  assert.deepEqual(viewerRead.body.documents, []);
+
+  const viewerWrite = createMockResponse();
+  await carryoverHandler(
+    {
+      method: "POST",
+      headers: devAuth("viewer@example.com"),
+      query: { id: charterId },
+      body: { action: "apply" },
+    },
+    viewerWrite
+  );
+  assert.equal(viewerWrite.statusCode, 403);
+  assert.equal(viewerWrite.body.error, "charter_access_denied");
+
+  const viewerShare = createMockResponse();
+  await accessHandler(
+    {
+      method: "POST",
+      headers: devAuth("viewer@example.com"),
+      query: { id: charterId },
+      body: { email: "friend@example.com", role: "editor" },
+    },
+    viewerShare
+  );
+  assert.equal(viewerShare.statusCode, 403);
+
+  const stranger = createMockResponse();
+  await documentsHandler(
+    { method: "GET", headers: devAuth("stranger@example.com"), query: { id: charterId } },
+    stranger
+  );
+  assert.equal(stranger.statusCode, 403);
+  assert.equal(stranger.body.error, "charter_access_denied");
+});
+
+test("charters without an owner are admin-only until the backfill assigns one", async (t) => {
+  withEnv(t, { AUTH_MODE: "dev", NODE_ENV: "test", AUTH_ADMINS: "admin@example.com" });
+  await withStores(t);
+  const charterId = "legacy-1";
+  await appendCharterDocumentRecord(charterId, {
+    id: "legacy-1-1-docx",
+    charterId,
+    type: "docx",
+    version: "1",
+    createdBy: "creator@example.com",
+    createdAt: "2026-01-01T00:00:00.000Z",
+  });
+  await appendCharterDocumentRecord("legacy-2", {
+    id: "legacy-2-1-docx",
+    charterId: "legacy-2",
+    type: "docx",
+    version: "1",
+    createdBy: null,
+    createdAt: "2026-01-01T00:00:00.000Z",
+  });
+
+  const read = (email) => {
+    const res = createMockResponse();
+    return documentsHandler({ method: "GET", headers: devAuth(email), query: { id: charterId } }, res).then(
+      () => res
+    );
+  };
+
+  const stranger = await read("stranger@example.com");
+  assert.equal(stranger.statusCode, 403);
+  assert.match(stranger.body.details, /no owner yet/);
+
+  await claimCharterOwnership(charterId, { id: "stranger@example.com", email: "stranger@example.com" });
+  assert.equal((await getCharterAccess(charterId)).owner, null, "existing charters are not claimed by callers");
+  assert.equal((await read("admin@example.com")).statusCode, 200);
+
+  const plan = await backfillCharterOwners({ defaultOwner: "pmo@example.com" });
+  assert.deepEqual(plan, [
+    { charterId: "legacy-1", owner: "creator@example.com", reason: "created_by" },
+    { charterId: "legacy-2", owner: "pmo@example.com", reason: "default" },
+  ]);
+  assert.equal((await getCharterAccess(charterId)).owner, null, "dry runs do not write");
+
+  await backfillCharterOwners({ apply: true, owners: { "legacy-2": "lead@example.com" } });
+  assert.equal((await getCharterAccess(charterId)).owner.email, "creator@example.com");
+  assert.equal((await getCharterAccess("legacy-2")).owner.email, "lead@example.com");
+  assert.equal((await read("creator@example.com")).statusCode, 200);
+  assert.equal((await read("stranger@example.com")).statusCode, 403);
+  assert.deepEqual(await backfillCharterOwners({ apply: true }), []);
+});
+
+test("signed download links stop working once access is revoked", async (t) => {
+  withEnv(t, { AUTH_MODE: "dev", NODE_ENV: "test" });
+  await withStores(t);
+  const charterId = "acl-link";
+  await claimCharterOwnership(charterId, { id: "owner@example.com", email: "owner@example.com" });
+
+  const grant = createMockResponse();
+  await accessHandler(
+    {
+      method: "POST",
+      headers: devAuth("owner@example.com"),
+      query: { id: charterId },
+      body: { principal: "viewer@example.com" },
+    },
+    grant
+  );
+  assert.equal(grant.statusCode, 200);
+
+  const link = createMockResponse();
+  await docMakeLinkHandler(
+    {
+      method: "POST",
+      headers: { host: "acl.test", ...devAuth("viewer@example.com") },
+      query: { docType: "ddp" },
+      body: { docType: "ddp", document: VALID_DDP, charterId, formats: ["json"] },
+    },
+    link
+  );
+  assert.equal(link.statusCode, 200);
+  const href = new URL(link.body.links.json);
+  const downloadRequest = {
+    method: "GET",
+    headers: {},
+    query: Object.fromEntries(href.searchParams),
+  };
+
+  const revoke = createMockResponse();
+  await accessHandler(
+    {
+      method: "DELETE",
+      headers: devAuth("owner@example.com"),
+      query: { id: charterId, principal: "viewer@example.com" },
+    },
+    revoke
+  );
+  assert.equal(revoke.statusCode, 200);
+  assert.deepEqual(revoke.body.grants, []);
+
+  const download = createMockResponse();
+  download.end = function end(payload) {
+    this.body = payload;
+    return this;
+  };
+  await docDownloadHandler(downloadRequest, download);
+  assert.equal(download.statusCode, 403);
+  assert.equal(download.body.error, "Download link is no longer permitted");
+});
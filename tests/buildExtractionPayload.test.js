@@ -1,7 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { buildExtractionPayload } from "../src/utils/extractAndPopulate.js";
+import { buildExtractionPayload, extractAndPopulate } from "../src/utils/extractAndPopulate.js";
 
 function withIntentFlag(value, run) {
   const original = process.env.INTENT_ONLY_EXTRACTION;
@@ -109,3 +109,28 @@ test("buildExtractionPayload strips assistant messages", () => {
   assert.equal(payload.messages[0].content, "User input");
   assert.equal(payload.messages[1].content, "Another detail");
 });
+
+test("extractAndPopulate unwraps a draft returned with citations and a chunking report", async () => {
+  const responses = [
+    { draft: { sponsor: "Dana", citations: "kept" }, citations: { sponsor: { inferred: true } } },
+    { sponsor: "Dana", chunking: "not a report" },
+  ];
+  const fetchImpl = async () => new Response(JSON.stringify(responses.shift()), { status: 200 });
+  const request = {
+    docType: "charter",
+    messages: [{ role: "user", text: "The sponsor for this project is Dana." }],
+    intent: "create_charter",
+    fetchImpl,
+  };
+
+  const wrapped = await extractAndPopulate(request);
+  assert.equal(wrapped.ok, true);
+  assert.deepEqual(wrapped.draft, { sponsor: "Dana", citations: "kept" });
+  assert.deepEqual(wrapped.citations, { sponsor: { inferred: true } });
+  assert.equal(wrapped.chunking, null);
+
+  // A bare draft is the document itself, whatever its field names
+  const bare = await extractAndPopulate(request);
+  assert.deepEqual(bare.draft, { sponsor: "Dana", chunking: "not a report" });
+  assert.deepEqual(bare.citations, {});
+});
@@ -0,0 +1,261 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+import approvalsHandler from "../api/charters/[id]/approvals.js";
+import finalizeHandler from "../api/charters/[id]/finalize.js";
+import {
+  ApprovalsIncompleteError,
+  __setApprovalRecordStore,
+  assertApprovalsComplete,
+  assignApprover,
+  recordApprovalDecision,
+  verifyApprovalLedger,
+} from "../server/charter/utils/approvals.js";
+import { __setCharterRecordStore } from "../server/charter/utils/documentStore.js";
+import finalizeCharter from "../server/charter/utils/finalizeCharter.js";
+import { createMockResponse } from "./helpers/http.js";
+import { withRecordStores } from "./helpers/recordStores.js";
+
+const CHARTER = {
+  project_name: "Approval Pilot",
+  sponsor: "Alice Example",
+  project_lead: "Bob Example",
+};
+
+async function post(charterId, body) {
+  const res = createMockResponse();
+  await approvalsHandler({ method: "POST", query: { id: charterId }, body }, res);
+  return res;
+}
+
+test("approvals route tracks per-role sign-offs and gates completion", async (t) => {
+  await withRecordStores(t, { approvals: __setApprovalRecordStore });
+  const charterId = "approvals-1";
+
+  const initial = createMockResponse();
+  await approvalsHandler({ method: "GET", query: { id: charterId } }, initial);
+  assert.equal(initial.statusCode, 200);
+  assert.deepEqual(
+    initial.body.roles.map(({ role, required, status }) => [role, required, status]),
+    [
+      ["sponsor", true, "pending"],
+      ["project_lead", true, "pending"],
+      ["pmo", false, "pending"],
+    ]
+  );
+  assert.deepEqual(initial.body.pending, ["sponsor", "project_lead"]);
+
+  const assigned = await post(charterId, {
+    action: "assign",
+    role: "sponsor",
+    approver: { name: "Alice Example", email: "Alice@Example.com" },
+  });
+  assert.equal(assigned.statusCode, 200);
+  assert.equal(assigned.body.roles[0].approver.email, "alice@example.com");
+
+  const mismatch = await post(charterId, {
+    action: "approve",
+    role: "sponsor",
+    approver: { email: "mallory@example.com" },
+    charter: CHARTER,
+  });
+  assert.equal(mismatch.statusCode, 403);
+  assert.equal(mismatch.body.error, "approver_mismatch");
+
+  const missingDocument = await post(charterId, {
+    action: "approve",
+    role: "sponsor",
+    approver: { email: "alice@example.com" },
+  });
+  assert.equal(missingDocument.statusCode, 400);
+  assert.equal(missingDocument.body.error, "document_required");
+
+  const approved = await post(charterId, {
+    action: "approve",
+    role: "sponsor",
+    approver: { email: "alice@example.com" },
+    comment: "Looks good",
+    charter: CHARTER,
+  });
+  assert.equal(approved.statusCode, 200);
+  const sponsor = approved.body.roles[0];
+  assert.equal(sponsor.status, "approved");
+  assert.equal(sponsor.comment, "Looks good");
+  assert.match(sponsor.signatureHash, /^[0-9a-f]{64}$/);
+  assert.ok(!Number.isNaN(Date.parse(sponsor.decidedAt)));
+  assert.deepEqual(approved.body.pending, ["project_lead"]);
+
+  const unassigned = await post(charterId, {
+    action: "approve",
+    role: "project_lead",
+    approver: "Bob Example",
+    charter: CHARTER,
+  });
+  assert.equal(unassigned.statusCode, 403);
+  assert.equal(unassigned.body.error, "approver_not_assigned");
+
+  await post(charterId, { action: "assign", role: "project_lead", approver: "Bob Example" });
+  const rejected = await post(charterId, {
+    action: "reject",
+    role: "project_lead",
+    approver: "Bob Example",
+    charter: CHARTER,
+  });
+  assert.equal(rejected.body.roles[1].status, "rejected");
+  assert.equal(rejected.body.complete, false);
+
+  const reapproved = await post(charterId, {
+    action: "approve",
+    role: "project_lead",
+    approver: "bob example",
+    charter: CHARTER,
+  });
+  assert.equal(reapproved.body.complete, true);
+  assert.equal(reapproved.body.verified, true);
+  assert.equal(reapproved.body.history.filter((entry) => entry.type === "decision").length, 3);
+
+  const state = await assertApprovalsComplete(charterId, { document: CHARTER });
+  assert.equal(state.complete, true);
+
+  // The DDP reads its own roles from the shared ledger
+  const ddp = createMockResponse();
+  await approvalsHandler({ method: "GET", query: { id: charterId, docType: "ddp" } }, ddp);
+  assert.deepEqual(ddp.body.history, []);
+  assert.equal(ddp.body.verified, true);
+});
+
+test("approvals are bound to the signed document and the ledger hash chain", async (t) => {
+  const {
+    stores: { approvals: store },
+  } = await withRecordStores(t, { approvals: __setApprovalRecordStore });
+  const charterId = "approvals-2";
+
+  for (const [role, approver] of [
+    ["sponsor", "Alice Example"],
+    ["project_lead", "Bob Example"],
+  ]) {
+    await post(charterId, { action: "assign", role, approver });
+    await post(charterId, { action: "approve", role, approver, charter: CHARTER });
+  }
+
+  const edited = { ...CHARTER, project_name: "Approval Pilot v2" };
+  const status = await post(charterId, { action: "status", charter: edited });
+  assert.deepEqual(
+    status.body.roles.filter((entry) => entry.stale).map((entry) => entry.role),
+    ["sponsor", "project_lead"]
+  );
+  await assert.rejects(
+    assertApprovalsComplete(charterId, { document: edited }),
+    (error) =>
+      error instanceof ApprovalsIncompleteError &&
+      error.statusCode === 409 &&
+      error.pending.length === 2
+  );
+
+  const { records } = await store.read(charterId);
+  assert.equal(verifyApprovalLedger(records), true);
+  const firstDecision = records.findIndex((entry) => entry.type === "decision");
+  const tampered = records.map((entry, index) =>
+    index === firstDecision ? { ...entry, approver: { name: "Mallory", email: null } } : entry
+  );
+  assert.equal(verifyApprovalLedger(tampered), false);
+});
+
+test("POST /api/charters/[id]/finalize is blocked until required approvals are in", async (t) => {
+  await withRecordStores(t, { approvals: __setApprovalRecordStore });
+
+  const res = createMockResponse();
+  await finalizeHandler(
+    {
+      method: "POST",
+      query: { id: "approvals-3" },
+      body: { charter: CHARTER, metadata: { isFinal: true } },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 409);
+  assert.deepEqual(res.body, {
+    error: "approvals_incomplete",
+    pending: ["sponsor", "project_lead"],
+  });
+});
+
+test("finalization appends with expectedRevision and rejects a racing finalization", async (t) => {
+  const {
+    baseDirectory,
+    stores: { records },
+  } = await withRecordStores(t, { approvals: __setApprovalRecordStore, records: __setCharterRecordStore });
+
+  const charterId = "approvals-race";
+  const charter = JSON.parse(
+    await fs.readFile(path.join(process.cwd(), "samples", "charter.smoke.json"), "utf8")
+  );
+  for (const [role, approver] of [
+    ["sponsor", "Alice Example"],
+    ["project_lead", "Bob Example"],
+  ]) {
+    await assignApprover(charterId, { role, approver });
+    await recordApprovalDecision(charterId, {
+      role,
+      approver,
+      decision: "approved",
+      document: charter,
+    });
+  }
+  const finalize = () =>
+    finalizeCharter({
+      charterId,
+      charter,
+      exportOptions: { docx: false, pdf: true },
+      storageOptions: { platform: "local", baseDirectory: path.join(baseDirectory, "files") },
+    });
+
+  // A concurrent write that does not claim the version is retried past
+  const originalAppend = records.append.bind(records);
+  let injected = null;
+  records.append = async (id, record, options) => {
+    if (injected) {
+      await originalAppend(id, injected);
+      injected = null;
+    }
+    return originalAppend(id, record, options);
+  };
+  injected = { id: "sync-note", charterId, type: "note" };
+  const first = await finalize();
+  assert.equal(first.version, "1.0.0");
+
+  // Another finalization claiming the same version wins the race
+  injected = { id: "racer", charterId, type: "pdf", version: "1.0.1" };
+  await assert.rejects(finalize(), (error) => error.name === "RecordConflictError");
+
+  const { records: stored } = await records.read(charterId);
+  assert.deepEqual(
+    stored.map(({ id, version }) => (id === "racer" || id === "sync-note" ? id : version)),
+    ["sync-note", "1.0.0", "racer"]
+  );
+});
+
+test("approvals route rejects unknown roles and actions", async (t) => {
+  await withRecordStores(t, { approvals: __setApprovalRecordStore });
+
+  const unknownRole = await post("approvals-4", {
+    action: "approve",
+    role: "cfo",
+    approver: "Carol",
+    charter: CHARTER,
+  });
+  assert.equal(unknownRole.statusCode, 400);
+  assert.equal(unknownRole.body.error, "unknown_role");
+
+  const unknownAction = await post("approvals-4", { action: "escalate" });
+  assert.equal(unknownAction.statusCode, 400);
+  assert.equal(unknownAction.body.error, "unsupported_action");
+
+  const res = createMockResponse();
+  await approvalsHandler({ method: "DELETE", query: { id: "approvals-4" } }, res);
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.headers.allow, "GET, POST");
+});
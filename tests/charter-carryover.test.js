@@ -0,0 +1,153 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import carryoverHandler from "../api/charters/[id]/carryover.js";
+import { getDocTypeConfig } from "../lib/doc/registry.js";
+import {
+  __setCarryoverRecordStore,
+  applyCarryoverMapping,
+} from "../server/charter/utils/carryover.js";
+import {
+  __setCharterRecordStore,
+  appendCharterDocumentRecord,
+} from "../server/charter/utils/documentStore.js";
+import { createMockResponse } from "./helpers/http.js";
+import { finalizedRecord, withRecordStores } from "./helpers/recordStores.js";
+
+const CHARTER_V1 = {
+  project_name: "Pump v2",
+  problem: "Field returns are rising.",
+  scope_in: ["Redesign impeller"],
+  risks: ["Supplier delay"],
+  milestones: [],
+};
+
+const CHARTER_V2 = {
+  ...CHARTER_V1,
+  scope_in: ["Redesign impeller", "Update firmware"],
+  milestones: [
+    { phase: "Design", deliverable: "Design freeze", date: "2026-03-01" },
+    { phase: "", deliverable: "", date: "" },
+  ],
+};
+
+async function withStores(t) {
+  await withRecordStores(t, { records: __setCharterRecordStore, carryover: __setCarryoverRecordStore });
+
+  for (const [version, snapshot] of [
+    ["1", CHARTER_V1],
+    ["2", CHARTER_V2],
+  ]) {
+    await appendCharterDocumentRecord("pump", finalizedRecord("pump", version, snapshot));
+  }
+}
+
+async function call({ method = "GET", query = { id: "pump" }, body } = {}) {
+  const res = createMockResponse();
+  await carryoverHandler({ method, query, body }, res);
+  return res;
+}
+
+test("registry exposes the charter-to-DDP carryover mapping", () => {
+  const fields = getDocTypeConfig("ddp").carryover.charter.fields;
+  assert.deepEqual(
+    fields.map((field) => [field.from, field.to]),
+    [
+      ["project_name", "project_name"],
+      ["problem", "problem_statement"],
+      ["scope_in", "scope"],
+      ["risks", "risks"],
+      ["milestones", "phases"],
+    ]
+  );
+  assert.equal(getDocTypeConfig("charter").carryover, null);
+});
+
+test("applyCarryoverMapping maps item keys and skips blank fields", () => {
+  const { document, fields } = applyCarryoverMapping("ddp", {
+    ...CHARTER_V2,
+    problem: "  ",
+  });
+  assert.deepEqual(document, {
+    project_name: "Pump v2",
+    scope: ["Redesign impeller", "Update firmware"],
+    risks: ["Supplier delay"],
+    phases: [{ name: "Design", deliverable: "Design freeze", target_date: "2026-03-01" }],
+  });
+  assert.deepEqual(
+    fields.map((field) => field.path),
+    ["project_name", "scope", "risks", "phases"]
+  );
+
+  assert.throws(() => applyCarryoverMapping("sow", CHARTER_V2), {
+    name: "CarryoverError",
+    code: "carryover_not_supported",
+  });
+});
+
+test("carryover seeds a DDP from a chosen charter version and records provenance", async (t) => {
+  await withStores(t);
+
+  const options = await call();
+  assert.equal(options.statusCode, 200);
+  assert.deepEqual(options.body.targets, [{ docType: "ddp", label: options.body.targets[0].label }]);
+  assert.deepEqual(
+    options.body.versions.map((entry) => entry.version),
+    ["1", "2"]
+  );
+  assert.deepEqual(options.body.history, []);
+
+  const seeded = await call({
+    method: "POST",
+    body: { docType: "ddp", version: 1, actor: "lead@example.com" },
+  });
+  assert.equal(seeded.statusCode, 201);
+  assert.deepEqual(seeded.body.document, {
+    project_name: "Pump v2",
+    problem_statement: "Field returns are rising.",
+    scope: ["Redesign impeller"],
+    risks: ["Supplier delay"],
+  });
+  const { provenance } = seeded.body;
+  assert.equal(provenance.source.version, "1");
+  assert.match(provenance.source.snapshotHash, /^[0-9a-f]{64}$/);
+  assert.equal(provenance.createdBy, "lead@example.com");
+  assert.deepEqual(provenance.fields, [
+    { path: "project_name", sourcePath: "project_name" },
+    { path: "problem_statement", sourcePath: "problem" },
+    { path: "scope", sourcePath: "scope_in" },
+    { path: "risks", sourcePath: "risks" },
+  ]);
+
+  const latest = await call({ method: "POST", body: { docType: "ddp" } });
+  assert.equal(latest.body.provenance.source.version, "2");
+  assert.equal(latest.body.document.phases.length, 1);
+
+  const history = await call();
+  assert.deepEqual(
+    history.body.history.map((entry) => entry.source.version),
+    ["2", "1"]
+  );
+});
+
+test("carryover reports missing versions and unsupported targets", async (t) => {
+  await withStores(t);
+
+  const missing = await call({ method: "POST", body: { docType: "ddp", version: "9" } });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body.error, "version_not_found");
+
+  const unsupported = await call({ method: "POST", body: { docType: "sow" } });
+  assert.equal(unsupported.statusCode, 400);
+  assert.equal(unsupported.body.error, "carryover_not_supported");
+
+  const noDocType = await call({ method: "POST", body: {} });
+  assert.equal(noDocType.body.error, "doc_type_required");
+
+  const unknown = await call({ method: "POST", query: { id: "nope" }, body: { docType: "ddp" } });
+  assert.equal(unknown.statusCode, 404);
+  assert.equal(unknown.body.error, "charter_not_found");
+
+  const wrongMethod = await call({ method: "DELETE" });
+  assert.equal(wrongMethod.statusCode, 405);
+});
@@ -328,7 +328,7 @@ test("doc make-link filters unsupported formats per doc type", async () => {
       docType: "ddp",
       document: VALID_DDP,
       baseName: "DDP Outline",
-      formats: ["docx", "pdf", "json"],
+      formats: ["docx", "pdf", "csv", "json"],
       docTypeDetection: { type: "ddp", confidence: 0.83 },
     },
   };
@@ -342,8 +342,9 @@ test("doc make-link filters unsupported formats per doc type", async () => {
   assert.strictEqual(payload.docType, "ddp");
   assert.ok(payload.links.docx, "docx link missing for ddp");
   assert.ok(payload.links.json, "json link missing for ddp");
-  assert.strictEqual(payload.links.pdf, undefined);
-  assert.deepStrictEqual(Object.keys(payload.links).sort(), ["docx", "json"]);
+  assert.ok(payload.links.pdf, "pdf link missing for ddp");
+  assert.strictEqual(payload.links.csv, undefined);
+  assert.deepStrictEqual(Object.keys(payload.links).sort(), ["docx", "json", "pdf"]);
 
   const secret = process.env.FILES_LINK_SECRET;
   for (const { format, href } of payload.entries) {
@@ -440,3 +441,44 @@ test("doc download returns the requested ddp format when signature is valid", as
   assert.equal(auditEvent.payload.detectedType, "ddp");
   assert.equal(auditEvent.payload.finalType, "ddp");
 });
+
+test("doc download streams an XLSX workbook for ddp links", async () => {
+  const linkResponse = createResponseCollector();
+  await docMakeLinkHandler(
+    {
+      method: "POST",
+      headers: { host: "ddp-xlsx.test" },
+      query: { docType: "ddp" },
+      body: {
+        docType: "ddp",
+        document: VALID_DDP,
+        baseName: "DDP Workbook",
+        formats: ["xlsx"],
+      },
+    },
+    linkResponse
+  );
+
+  assert.strictEqual(linkResponse.statusCode, 200);
+  const downloadUrl = new URL(linkResponse.body.links.xlsx);
+  const res = createResponseCollector();
+
+  await docDownloadHandler(
+    {
+      method: "GET",
+      headers: { host: "ddp-xlsx.test" },
+      query: Object.fromEntries(downloadUrl.searchParams.entries()),
+    },
+    res
+  );
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.sentAs, "buffer");
+  assert.ok(Buffer.isBuffer(res.body));
+  assert.strictEqual(res.body.readUInt32LE(0), 0x04034b50, "expected a ZIP container");
+  assert.match(
+    res.headers["content-type"],
+    /application\/vnd\.openxmlformats-officedocument\.spreadsheetml\.sheet/
+  );
+  assert.match(res.headers["content-disposition"], /DDP_Workbook.*\.xlsx"?$/);
+});
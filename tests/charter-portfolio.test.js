@@ -0,0 +1,154 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import portfolioHandler from "../api/portfolio.js";
+import {
+  __setCharterRecordStore,
+  appendCharterDocumentRecord,
+} from "../server/charter/utils/documentStore.js";
+import { detectTimelineOverlaps } from "../server/charter/utils/portfolio.js";
+import { createMockResponse } from "./helpers/http.js";
+import { finalizedRecord, withRecordStores } from "./helpers/recordStores.js";
+
+async function seedPortfolio() {
+  await appendCharterDocumentRecord(
+    "pump",
+    finalizedRecord("pump", "1", { project_name: "Pump v1", start_date: "2026-01-01" })
+  );
+  await appendCharterDocumentRecord(
+    "pump",
+    finalizedRecord(
+      "pump",
+      "2",
+      {
+        project_name: "Pump v2",
+        sponsor: "Dana Reyes",
+        project_lead: "Sam Ortiz",
+        start_date: "2026-01-01",
+        end_date: "2026-06-30",
+        risks: ["supplier delay", "validation slip"],
+        milestones: [{ phase: "Build", deliverable: "Prototype", date: "2026-05-15" }],
+      },
+      { metadata: { businessUnit: "Lab Ops", tags: "hardware; q2" } }
+    )
+  );
+  await appendCharterDocumentRecord(
+    "lims",
+    finalizedRecord(
+      "lims",
+      "1",
+      {
+        project_name: "LIMS upgrade",
+        risks: ["data migration"],
+        milestones: [
+          { phase: "Plan", deliverable: "Cutover plan", date: "2026-05-01" },
+          { phase: "Deploy", deliverable: "Go-live", date: "2026-09-01" },
+        ],
+      },
+      { metadata: { businessUnit: "IT", tags: ["q2"] } }
+    )
+  );
+  await appendCharterDocumentRecord(
+    "audit",
+    finalizedRecord(
+      "audit",
+      "1",
+      { project_name: "Audit prep", start_date: "2027-01-01", end_date: "2027-02-01" },
+      { metadata: { businessUnit: "Lab Ops" } }
+    )
+  );
+}
+
+async function callPortfolio(query = {}, method = "GET") {
+  const res = createMockResponse();
+  await portfolioHandler({ method, query }, res);
+  return res;
+}
+
+test("portfolio lists every stored charter with its latest version", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await seedPortfolio();
+
+  const res = await callPortfolio();
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.charters.map((charter) => charter.charterId),
+    ["audit", "lims", "pump"]
+  );
+
+  const pump = res.body.charters.find((charter) => charter.charterId === "pump");
+  assert.equal(pump.projectName, "Pump v2");
+  assert.equal(pump.sponsor, "Dana Reyes");
+  assert.equal(pump.projectLead, "Sam Ortiz");
+  assert.equal(pump.latestVersion, "2");
+  assert.equal(pump.versionCount, 2);
+  assert.equal(pump.riskCount, 2);
+  assert.equal(pump.businessUnit, "Lab Ops");
+  assert.deepEqual(pump.tags, ["hardware", "q2"]);
+
+  assert.deepEqual(res.body.facets, { businessUnits: ["IT", "Lab Ops"], tags: ["hardware", "q2"] });
+  assert.deepEqual(res.body.totals, { charters: 3, risks: 3, overlapping: 2 });
+});
+
+test("portfolio detects overlapping timelines using milestones as fallback bounds", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await seedPortfolio();
+
+  const res = await callPortfolio();
+  assert.deepEqual(res.body.overlaps, [
+    {
+      charterIds: ["lims", "pump"],
+      start: "2026-05-01",
+      end: "2026-06-30",
+      days: 61,
+      milestones: [
+        { charterId: "lims", phase: "Plan", deliverable: "Cutover plan", date: "2026-05-01" },
+        { charterId: "pump", phase: "Build", deliverable: "Prototype", date: "2026-05-15" },
+      ],
+    },
+  ]);
+  const audit = res.body.charters.find((charter) => charter.charterId === "audit");
+  assert.deepEqual(audit.overlapsWith, []);
+});
+
+test("portfolio filters by business unit and tags", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await seedPortfolio();
+
+  const byUnit = await callPortfolio({ businessUnit: "lab ops" });
+  assert.deepEqual(
+    byUnit.body.charters.map((charter) => charter.charterId),
+    ["audit", "pump"]
+  );
+  assert.deepEqual(byUnit.body.overlaps, []);
+  assert.deepEqual(byUnit.body.facets.businessUnits, ["IT", "Lab Ops"]);
+
+  const byTags = await callPortfolio({ tags: "q2,hardware" });
+  assert.deepEqual(
+    byTags.body.charters.map((charter) => charter.charterId),
+    ["pump"]
+  );
+
+  const byTag = await callPortfolio({ tag: ["q2"], businessUnit: "IT,Finance" });
+  assert.deepEqual(
+    byTag.body.charters.map((charter) => charter.charterId),
+    ["lims"]
+  );
+});
+
+test("portfolio rejects non-GET requests", async () => {
+  const res = await callPortfolio({}, "POST");
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.headers.allow, "GET");
+});
+
+test("detectTimelineOverlaps ignores charters without a usable timeline", () => {
+  assert.deepEqual(
+    detectTimelineOverlaps([
+      { charterId: "a", timeline: null, milestones: [] },
+      { charterId: "b", timeline: { start: "2026-01-01", end: "2026-01-01" }, milestones: [] },
+      { charterId: "c", timeline: { start: "2026-01-01", end: "2026-03-01" }, milestones: [] },
+    ]),
+    [{ charterIds: ["b", "c"], start: "2026-01-01", end: "2026-01-01", days: 1, milestones: [] }]
+  );
+});
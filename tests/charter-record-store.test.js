@@ -0,0 +1,259 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  FileCharterRecordStore,
+  RecordConflictError,
+  RecordStoreLockError,
+  SqliteCharterRecordStore,
+  createCharterRecordStoreFromEnv,
+} from "../server/charter/store/index.js";
+import {
+  __setCharterRecordStore,
+  appendCharterDocumentRecord,
+  readCharterDocumentRecords,
+  readCharterDocumentState,
+} from "../server/charter/utils/documentStore.js";
+
+let DatabaseSync = null;
+try {
+  ({ DatabaseSync } = await import("node:sqlite"));
+} catch {
+  DatabaseSync = null;
+}
+
+async function createTempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "charter-store-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+const STORE_FACTORIES = {
+  file: async (t) => new FileCharterRecordStore({ baseDirectory: await createTempDirectory(t) }),
+  sqlite: async (t) => {
+    const directory = await createTempDirectory(t);
+    const store = new SqliteCharterRecordStore({
+      filename: path.join(directory, "records.sqlite"),
+      DatabaseSync,
+    });
+    t.after(() => store.close());
+    return store;
+  },
+};
+
+for (const [kind, createStore] of Object.entries(STORE_FACTORIES)) {
+  const skip = kind === "sqlite" && !DatabaseSync ? "node:sqlite unavailable" : false;
+
+  test(`${kind} record store keeps every concurrent append`, { skip }, async (t) => {
+    const store = await createStore(t);
+    await Promise.all(
+      Array.from({ length: 25 }, (_, index) => store.append("charter-1", { id: index }))
+    );
+
+    const { records, revision } = await store.read("charter-1");
+    assert.equal(revision, 25);
+    assert.deepEqual(
+      records.map((record) => record.id).sort((a, b) => a - b),
+      Array.from({ length: 25 }, (_, index) => index)
+    );
+  });
+
+  test(`${kind} record store rejects stale expected revisions`, { skip }, async (t) => {
+    const store = await createStore(t);
+    const first = await store.append("charter-2", { id: "a" }, { expectedRevision: 0 });
+    assert.equal(first.revision, 1);
+
+    await assert.rejects(
+      store.append("charter-2", { id: "b" }, { expectedRevision: 0 }),
+      (error) =>
+        error instanceof RecordConflictError &&
+        error.statusCode === 409 &&
+        error.actualRevision === 1
+    );
+
+    const replaced = await store.write("charter-2", [{ id: "c" }], { expectedRevision: 1 });
+    assert.equal(replaced.revision, 2);
+    assert.deepEqual((await store.read("charter-2")).records, [{ id: "c" }]);
+    assert.deepEqual(await store.read("unknown"), { revision: 0, records: [] });
+  });
+}
+
+test("file record store reads legacy array files and reclaims stale locks", async (t) => {
+  const baseDirectory = await createTempDirectory(t);
+  await fs.writeFile(
+    path.join(baseDirectory, "legacy.json"),
+    JSON.stringify([{ id: "old", version: "1.0.0" }]),
+    "utf8"
+  );
+
+  const store = new FileCharterRecordStore({ baseDirectory, staleLockMs: 50 });
+  assert.deepEqual(await store.read("legacy"), {
+    revision: 0,
+    records: [{ id: "old", version: "1.0.0" }],
+  });
+
+  const lockPath = path.join(baseDirectory, "legacy.json.lock");
+  await fs.writeFile(lockPath, "12345");
+  const past = new Date(Date.now() - 1000);
+  await fs.utimes(lockPath, past, past);
+
+  await store.append("legacy", { id: "new", version: "1.0.1" });
+  const { records, revision } = await store.read("legacy");
+  assert.equal(revision, 1);
+  assert.deepEqual(records.map((record) => record.id), ["old", "new"]);
+  await assert.rejects(fs.stat(lockPath), { code: "ENOENT" });
+});
+
+test("file record store times out on a held lock and encodes ids", async (t) => {
+  const baseDirectory = await createTempDirectory(t);
+  const store = new FileCharterRecordStore({ baseDirectory, lockTimeoutMs: 50 });
+
+  await fs.writeFile(path.join(baseDirectory, "busy.json.lock"), "12345");
+  await assert.rejects(store.append("busy", { id: 1 }), RecordStoreLockError);
+
+  await store.append("../escape", { id: 1 });
+  const entries = await fs.readdir(baseDirectory);
+  assert.ok(entries.includes("..%2Fescape.json"));
+});
+
+test("createCharterRecordStoreFromEnv selects the store by CHARTER_RECORD_STORE", async (t) => {
+  const original = process.env.CHARTER_RECORD_STORE;
+  t.after(() => {
+    if (original === undefined) {
+      delete process.env.CHARTER_RECORD_STORE;
+    } else {
+      process.env.CHARTER_RECORD_STORE = original;
+    }
+  });
+
+  delete process.env.CHARTER_RECORD_STORE;
+  const fileStore = await createCharterRecordStoreFromEnv({
+    baseDirectory: await createTempDirectory(t),
+  });
+  assert.equal(fileStore.kind, "file");
+
+  if (DatabaseSync) {
+    process.env.CHARTER_RECORD_STORE = "sqlite";
+    const sqliteStore = await createCharterRecordStoreFromEnv({ filename: ":memory:" });
+    assert.equal(sqliteStore.kind, "sqlite");
+    sqliteStore.close();
+  }
+});
+
+test("documentStore delegates to the configured record store", async (t) => {
+  const store = new FileCharterRecordStore({ baseDirectory: await createTempDirectory(t) });
+  __setCharterRecordStore(store);
+  t.after(() => __setCharterRecordStore(null));
+
+  const record = { id: "r1", version: "1.0.0" };
+  assert.equal(await appendCharterDocumentRecord("charter-3", record), record);
+  assert.deepEqual(await readCharterDocumentRecords("charter-3"), [record]);
+
+  const state = await readCharterDocumentState("charter-3");
+  assert.equal(state.revision, 1);
+  await assert.rejects(
+    appendCharterDocumentRecord("charter-3", { id: "r2" }, { expectedRevision: 0 }),
+    RecordConflictError
+  );
+});
+
+test("namespaced record stores keep independent streams per charter", async (t) => {
+  const baseDirectory = await createTempDirectory(t);
+  const documents = await createCharterRecordStoreFromEnv({ kind: "file", baseDirectory });
+  const approvals = await createCharterRecordStoreFromEnv({
+    kind: "file",
+    baseDirectory,
+    namespace: "approvals",
+  });
+  await documents.append("charter-4", { id: "doc" });
+  await approvals.append("charter-4", { id: "sign-off" });
+  assert.deepEqual((await documents.read("charter-4")).records, [{ id: "doc" }]);
+  assert.deepEqual((await approvals.read("charter-4")).records, [{ id: "sign-off" }]);
+
+  if (DatabaseSync) {
+    const filename = path.join(baseDirectory, "records.sqlite");
+    const sqliteDocuments = new SqliteCharterRecordStore({ filename, DatabaseSync });
+    const sqliteApprovals = new SqliteCharterRecordStore({
+      filename,
+      DatabaseSync,
+      namespace: "approvals",
+    });
+    t.after(() => {
+      sqliteDocuments.close();
+      sqliteApprovals.close();
+    });
+    await sqliteApprovals.append("charter-4", { id: "sign-off" });
+    assert.deepEqual(await sqliteDocuments.read("charter-4"), { revision: 0, records: [] });
+    assert.equal((await sqliteApprovals.read("charter-4")).revision, 1);
+  }
+});
+
+test("record stores list ids with records in their own namespace", async (t) => {
+  const baseDirectory = await createTempDirectory(t);
+  const documents = await createCharterRecordStoreFromEnv({ kind: "file", baseDirectory });
+  const approvals = await createCharterRecordStoreFromEnv({
+    kind: "file",
+    baseDirectory,
+    namespace: "approvals",
+  });
+  assert.deepEqual(await documents.list(), []);
+  await documents.append("charter/b", { id: "doc" });
+  await documents.append("charter-a", { id: "doc" });
+  await approvals.append("charter-c", { id: "sign-off" });
+  assert.deepEqual(await documents.list(), ["charter-a", "charter/b"]);
+  assert.deepEqual(await approvals.list(), ["charter-c"]);
+
+  if (DatabaseSync) {
+    const filename = path.join(baseDirectory, "records.sqlite");
+    const sqliteDocuments = new SqliteCharterRecordStore({ filename, DatabaseSync });
+    const sqliteApprovals = new SqliteCharterRecordStore({
+      filename,
+      DatabaseSync,
+      namespace: "approvals",
+    });
+    t.after(() => {
+      sqliteDocuments.close();
+      sqliteApprovals.close();
+    });
+    await sqliteDocuments.append("charter-a", { id: "doc" });
+    await sqliteDocuments.append("project:42", { id: "doc" });
+    await sqliteApprovals.append("charter-c", { id: "sign-off" });
+    assert.deepEqual(await sqliteDocuments.list(), ["charter-a", "project:42"]);
+    assert.deepEqual(await sqliteApprovals.list(), ["charter-c"]);
+  }
+});
+
+test(
+  "sqlite record store backfills namespaces for databases without the column",
+  { skip: DatabaseSync ? false : "node:sqlite unavailable" },
+  async (t) => {
+    const filename = path.join(await createTempDirectory(t), "records.sqlite");
+    const legacy = new DatabaseSync(filename);
+    legacy.exec(`
+      CREATE TABLE charter_record_revisions (
+        charter_id TEXT PRIMARY KEY,
+        revision INTEGER NOT NULL
+      );
+      INSERT INTO charter_record_revisions (charter_id, revision)
+      VALUES ('charter-a', 1), ('approvals:charter-c', 2);
+    `);
+    legacy.close();
+
+    const documents = new SqliteCharterRecordStore({ filename, DatabaseSync });
+    const approvals = new SqliteCharterRecordStore({
+      filename,
+      DatabaseSync,
+      namespace: "approvals",
+    });
+    t.after(() => {
+      documents.close();
+      approvals.close();
+    });
+    assert.deepEqual(await documents.list(), ["charter-a"]);
+    assert.deepEqual(await approvals.list(), ["charter-c"]);
+    assert.equal((await approvals.read("charter-c")).revision, 2);
+  }
+);
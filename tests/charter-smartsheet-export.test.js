@@ -0,0 +1,353 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import smartsheetHandler from "../api/charters/[id]/smartsheet.js";
+import {
+  __setCharterRecordStore,
+  appendCharterDocumentRecord,
+  readCharterDocumentRecords,
+} from "../server/charter/utils/documentStore.js";
+import {
+  buildProjectPlanRows,
+  findSmartsheetLink,
+  syncProjectPlan,
+} from "../server/charter/utils/smartsheetExport.js";
+import { createMockResponse } from "./helpers/http.js";
+import { finalizedRecord, withRecordStores } from "./helpers/recordStores.js";
+
+const env = { SMARTSHEET_API_KEY: "sheet-key" };
+
+const charterV1 = {
+  project_name: "Pump redesign",
+  project_lead: "Sam Ortiz",
+  milestones: [
+    { phase: "Build", deliverable: "Prototype", date: "2026-03-01" },
+    { phase: "Validate", deliverable: "Test report", date: "2026-05-01" },
+  ],
+};
+
+async function finalize(charterId, version, snapshot) {
+  await appendCharterDocumentRecord(charterId, finalizedRecord(charterId, version, snapshot, { type: "docx" }));
+  await appendCharterDocumentRecord(charterId, finalizedRecord(charterId, version, snapshot, { type: "pdf" }));
+}
+
+/**
+ * In-memory Smartsheet API covering the sheet and row endpoints the export
+ * uses. `onRequest` runs before each request is answered.
+ */
+function createSmartsheetFake({ onRequest } = {}) {
+  const sheets = new Map();
+  const requests = [];
+  let nextId = 1000;
+
+  const json = (payload, status = 200) =>
+    new Response(JSON.stringify(payload), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+
+  const fetchImpl = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = init.method ?? "GET";
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    requests.push({ method, pathname, body, headers: init.headers });
+    await onRequest?.({ method, pathname, body });
+
+    if (method === "POST" && pathname === "/2.0/sheets") {
+      const sheet = {
+        id: nextId++,
+        name: body.name,
+        permalink: `https://app.smartsheet.com/sheets/${body.name}`,
+        columns: body.columns.map((column) => ({ id: nextId++, title: column.title, type: column.type })),
+        rows: new Map(),
+      };
+      sheets.set(String(sheet.id), sheet);
+      return json({ result: { id: sheet.id, name: sheet.name } });
+    }
+
+    const match = pathname.match(/^\/2\.0\/sheets\/(\d+)(\/rows)?$/);
+    const sheet = match && sheets.get(match[1]);
+    if (!sheet) {
+      return json({ message: "not found" }, 404);
+    }
+    if (!match[2] && method === "DELETE") {
+      sheets.delete(match[1]);
+      return json({ message: "SUCCESS" });
+    }
+    if (!match[2]) {
+      const { rows, ...rest } = sheet;
+      return json(rest);
+    }
+    if (method === "DELETE") {
+      const ids = searchParams.get("ids").split(",").map(Number);
+      ids.forEach((id) => sheet.rows.delete(id));
+      return json({ result: ids });
+    }
+    if (method === "POST") {
+      const result = body.map((row) => {
+        const id = nextId++;
+        sheet.rows.set(id, row.cells);
+        return { id };
+      });
+      return json({ result });
+    }
+    const failedItems = [];
+    body.forEach((row, index) => {
+      if (sheet.rows.has(row.id)) {
+        sheet.rows.set(row.id, row.cells);
+      } else {
+        failedItems.push({ index, rowId: row.id });
+      }
+    });
+    return json({ result: [], failedItems });
+  };
+
+  return { sheets, requests, fetchImpl };
+}
+
+function cellValues(sheet, rowId) {
+  const titles = new Map(sheet.columns.map((column) => [column.id, column.title]));
+  return Object.fromEntries(
+    sheet.rows.get(rowId).map((cell) => [titles.get(cell.columnId), cell.value])
+  );
+}
+
+test("first sync creates the project sheet and stores row ids on the version records", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const smartsheet = createSmartsheetFake();
+
+  const result = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  assert.equal(result.createdSheet, true);
+  assert.deepEqual(
+    result.rows.map(({ key, action }) => [key, action]),
+    [
+      ["milestone:build", "added"],
+      ["milestone:validate", "added"],
+    ]
+  );
+
+  const sheet = smartsheet.sheets.get(String(result.link.sheetId));
+  assert.equal(sheet.name, "Pump redesign – Project Plan");
+  assert.deepEqual(
+    sheet.columns.map((column) => column.title),
+    ["Milestone", "Deliverable", "Owner", "Date"]
+  );
+  assert.deepEqual(cellValues(sheet, result.link.rows["milestone:build"]), {
+    Milestone: "Build",
+    Deliverable: "Prototype",
+    Owner: "Sam Ortiz",
+    Date: "2026-03-01",
+  });
+  assert.equal(smartsheet.requests[0].headers.Authorization, "Bearer sheet-key");
+
+  const records = await readCharterDocumentRecords("pump");
+  assert.equal(records.length, 2);
+  for (const record of records) {
+    assert.deepEqual(record.smartsheetLinks.charter.rows, result.link.rows);
+    assert.equal(record.smartsheetLinks.charter.version, "1");
+  }
+});
+
+test("later versions update the linked rows instead of duplicating them", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const smartsheet = createSmartsheetFake();
+  const first = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  await finalize("pump", "2", {
+    ...charterV1,
+    milestones: [
+      { phase: "Build", deliverable: "Prototype v2", date: "2026-03-15" },
+      { phase: "Validate", deliverable: "Test report", date: "2026-05-01" },
+      { phase: "Launch", deliverable: "Go-live", date: "TBD" },
+    ],
+  });
+  const second = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  assert.equal(second.createdSheet, false);
+  assert.equal(second.link.sheetId, first.link.sheetId);
+  assert.deepEqual(
+    second.rows.map(({ key, action }) => [key, action]),
+    [
+      ["milestone:build", "updated"],
+      ["milestone:validate", "updated"],
+      ["milestone:launch", "added"],
+    ]
+  );
+  assert.equal(second.link.rows["milestone:build"], first.link.rows["milestone:build"]);
+
+  const sheet = smartsheet.sheets.get(String(first.link.sheetId));
+  assert.equal(sheet.rows.size, 3);
+  assert.equal(cellValues(sheet, first.link.rows["milestone:build"]).Deliverable, "Prototype v2");
+  assert.equal(cellValues(sheet, second.link.rows["milestone:launch"]).Date, undefined);
+
+  const records = await readCharterDocumentRecords("pump");
+  const v2 = records.find((record) => record.version === "2");
+  assert.equal(v2.smartsheetLinks.charter.version, "2");
+  assert.deepEqual(Object.keys(v2.smartsheetLinks.charter.rows), [
+    "milestone:build",
+    "milestone:validate",
+    "milestone:launch",
+  ]);
+});
+
+test("reordered milestones keep their rows and removed milestones are deleted", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const smartsheet = createSmartsheetFake();
+  const first = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  await finalize("pump", "2", {
+    ...charterV1,
+    milestones: [
+      { phase: "Design review", deliverable: "Approved drawings", date: "2026-02-01" },
+      { phase: "Validate", deliverable: "Test report v2", date: "2026-05-01" },
+    ],
+  });
+  const second = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  const added = second.link.rows["milestone:design review"];
+  assert.deepEqual(second.rows, [
+    { key: "milestone:design review", rowId: added, action: "added" },
+    { key: "milestone:validate", rowId: first.link.rows["milestone:validate"], action: "updated" },
+    { key: "milestone:build", rowId: first.link.rows["milestone:build"], action: "deleted" },
+  ]);
+  assert.deepEqual(Object.keys(second.link.rows).sort(), ["milestone:design review", "milestone:validate"]);
+  const sheet = smartsheet.sheets.get(String(first.link.sheetId));
+  assert.equal(sheet.rows.size, 2);
+  assert.equal(cellValues(sheet, first.link.rows["milestone:validate"]).Deliverable, "Test report v2");
+  assert.equal(cellValues(sheet, added).Milestone, "Design review");
+});
+
+test("rows deleted in Smartsheet are added again and relinked", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const smartsheet = createSmartsheetFake();
+  const first = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  const sheet = smartsheet.sheets.get(String(first.link.sheetId));
+  sheet.rows.delete(first.link.rows["milestone:validate"]);
+
+  const second = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+  const validate = second.rows.find((row) => row.key === "milestone:validate");
+  assert.equal(validate.action, "added");
+  assert.notEqual(validate.rowId, first.link.rows["milestone:validate"]);
+  assert.equal(second.link.rows["milestone:validate"], validate.rowId);
+  assert.equal(sheet.rows.size, 2);
+});
+
+test("DDP phases sync to their own sheet without touching the charter link", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const smartsheet = createSmartsheetFake();
+  const first = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+
+  const result = await syncProjectPlan(
+    "pump",
+    {
+      docType: "ddp",
+      document: {
+        project_name: "Pump redesign",
+        phases: [{ name: "Build", deliverable: "Prototype", owner: "Lee Park", target_date: "2026-03-20" }],
+      },
+    },
+    { fetchImpl: smartsheet.fetchImpl, env }
+  );
+
+  assert.equal(result.createdSheet, true);
+  assert.notEqual(result.link.sheetId, first.link.sheetId);
+  assert.equal(result.link.docType, "ddp");
+  const ddpSheet = smartsheet.sheets.get(String(result.link.sheetId));
+  assert.equal(cellValues(ddpSheet, result.link.rows["milestone:build"]).Owner, "Lee Park");
+
+  const charterSheet = smartsheet.sheets.get(String(first.link.sheetId));
+  assert.equal(cellValues(charterSheet, first.link.rows["milestone:build"]).Owner, "Sam Ortiz");
+
+  const records = await readCharterDocumentRecords("pump");
+  assert.deepEqual(findSmartsheetLink(records, "charter").rows, first.link.rows);
+  assert.equal(findSmartsheetLink(records, "ddp").sheetId, result.link.sheetId);
+
+  const again = await syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env });
+  assert.equal(again.link.sheetId, first.link.sheetId);
+});
+
+test("a sheet created by a sync that loses a version race is deleted", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const smartsheet = createSmartsheetFake({
+    async onRequest({ method, pathname }) {
+      if (method === "POST" && pathname.endsWith("/rows")) {
+        await finalize("pump", "2", charterV1);
+      }
+    },
+  });
+
+  await assert.rejects(
+    () => syncProjectPlan("pump", {}, { fetchImpl: smartsheet.fetchImpl, env }),
+    { name: "RecordConflictError" }
+  );
+  assert.equal(smartsheet.sheets.size, 0);
+  assert.equal(findSmartsheetLink(await readCharterDocumentRecords("pump")), null);
+});
+
+test("buildProjectPlanRows keys rows by milestone id or name", () => {
+  assert.deepEqual(
+    buildProjectPlanRows("charter", {
+      milestones: [
+        { id: "m-build", phase: "Build", deliverable: "A" },
+        { phase: " build ", deliverable: "B" },
+        { phase: "", deliverable: "" },
+        { deliverable: "Sign-off" },
+        { phase: "Build", deliverable: "C" },
+      ],
+    }).map((row) => [row.key, row.milestone]),
+    [
+      ["id:m-build", "Build"],
+      ["milestone:build", "build"],
+      ["milestone:sign-off", "Sign-off"],
+      ["milestone:build#2", "Build"],
+    ]
+  );
+  assert.deepEqual(
+    buildProjectPlanRows("ddp", { phases: [{ name: "Verification  Testing" }] }).map((row) => row.key),
+    ["milestone:verification testing"]
+  );
+});
+
+test("smartsheet endpoint reports configuration and rejects syncs without an API key", async (t) => {
+  await withRecordStores(t, { records: __setCharterRecordStore });
+  await finalize("pump", "1", charterV1);
+  const previousKey = process.env.SMARTSHEET_API_KEY;
+  delete process.env.SMARTSHEET_API_KEY;
+  t.after(() => {
+    if (previousKey !== undefined) {
+      process.env.SMARTSHEET_API_KEY = previousKey;
+    }
+  });
+
+  const status = createMockResponse();
+  await smartsheetHandler({ method: "GET", query: { id: "pump" } }, status);
+  assert.equal(status.statusCode, 200);
+  assert.deepEqual(status.body, { charterId: "pump", configured: false, link: null });
+
+  const sync = createMockResponse();
+  await smartsheetHandler({ method: "POST", query: { id: "pump" }, body: {} }, sync);
+  assert.equal(sync.statusCode, 503);
+  assert.equal(sync.body.error, "smartsheet_not_configured");
+
+  const missingDocument = createMockResponse();
+  process.env.SMARTSHEET_API_KEY = "sheet-key";
+  await smartsheetHandler(
+    { method: "POST", query: { id: "pump" }, body: { docType: "ddp" } },
+    missingDocument
+  );
+  assert.equal(missingDocument.statusCode, 400);
+  assert.equal(missingDocument.body.error, "document_required");
+
+  const wrongMethod = createMockResponse();
+  await smartsheetHandler({ method: "DELETE", query: { id: "pump" } }, wrongMethod);
+  assert.equal(wrongMethod.statusCode, 405);
+  assert.equal(wrongMethod.headers.allow, "GET, POST");
+});
@@ -0,0 +1,269 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+
+import diffHandler from "../api/charters/[id]/diff.js";
+import {
+  __setCharterRecordStore,
+  readCharterDocumentRecords,
+  writeCharterDocumentRecords,
+} from "../server/charter/utils/documentStore.js";
+import { FileCharterRecordStore } from "../server/charter/store/index.js";
+import {
+  diffArrayItems,
+  diffCharterSnapshots,
+  resolveCharterVersionPair,
+} from "../server/charter/utils/versionDiff.js";
+
+const BASE_CHARTER = {
+  project_name: "AI Launch",
+  sponsor: "Alice Example",
+  project_lead: "Bob Example",
+  start_date: "2024-01-01",
+  end_date: "2024-12-31",
+  vision: "Deliver an AI assistant to every PM team.",
+  risks: ["Integration delays", "Budget constraints", "Vendor lock-in"],
+  milestones: [
+    { phase: "Discovery", deliverable: "Pilot findings", date: "2024-04-15" },
+    { phase: "Build", deliverable: "MVP", date: "2024-07-01" },
+    { phase: "Rollout", deliverable: "GA release", date: "2024-10-01" },
+  ],
+};
+
+const REBASELINED_CHARTER = {
+  ...BASE_CHARTER,
+  sponsor: "Dana Example",
+  end_date: "2025-03-31",
+  description: "Re-baselined after pilot.",
+  vision: "",
+  risks: ["Vendor lock-in", "Integration delays", "Staffing gaps"],
+  milestones: [
+    { phase: "Rollout", deliverable: "GA release", date: "2025-02-01" },
+    { phase: "Discovery", deliverable: "Pilot findings", date: "2024-04-15" },
+    { phase: "Build", deliverable: "MVP", date: "2024-07-01" },
+    { phase: "Hypercare", deliverable: "Support handoff", date: "2025-03-15" },
+  ],
+};
+
+function createResponseCollector() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+function readZipEntry(buffer, entryName) {
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf8", offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength + extraLength;
+    if (name === entryName) {
+      return zlib
+        .inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize))
+        .toString("utf8");
+    }
+    offset = dataStart + compressedSize;
+  }
+  return null;
+}
+
+function createRecord(charterId, version, snapshot, type = "docx") {
+  return {
+    id: crypto.randomUUID(),
+    charterId,
+    type,
+    version,
+    filename: `Charter_${version}.${type}`,
+    snapshot,
+    createdAt: "2024-06-01T00:00:00.000Z",
+  };
+}
+
+async function withCharterRecords(records, run) {
+  const baseDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "charter-diff-"));
+  __setCharterRecordStore(new FileCharterRecordStore({ baseDirectory }));
+  const charterId = `diff-test-${crypto.randomUUID()}`;
+  try {
+    await writeCharterDocumentRecords(
+      charterId,
+      records.map((record) => ({ ...record, charterId }))
+    );
+    await run(charterId);
+  } finally {
+    __setCharterRecordStore(null);
+    await fs.rm(baseDirectory, { recursive: true, force: true });
+  }
+}
+
+test("diffArrayItems reports adds, removes, and moves for string lists", () => {
+  const changes = diffArrayItems("risks", BASE_CHARTER.risks, REBASELINED_CHARTER.risks);
+  assert.deepEqual(changes, [
+    { change: "removed", from: 1, item: "Budget constraints" },
+    { change: "moved", from: 0, to: 1, item: "Integration delays" },
+    { change: "added", to: 2, item: "Staffing gaps" },
+  ]);
+});
+
+test("diffArrayItems matches milestones by identity so edits are not add/remove pairs", () => {
+  const changes = diffArrayItems(
+    "milestones",
+    BASE_CHARTER.milestones,
+    REBASELINED_CHARTER.milestones
+  );
+
+  const modified = changes.find((entry) => entry.change === "modified");
+  assert.equal(modified.from, 2);
+  assert.equal(modified.to, 0);
+  assert.equal(modified.moved, true);
+  assert.deepEqual(modified.fields, [
+    { field: "date", before: "2024-10-01", after: "2025-02-01" },
+  ]);
+
+  const added = changes.find((entry) => entry.change === "added");
+  assert.equal(added.item.phase, "Hypercare");
+  assert.equal(changes.some((entry) => entry.change === "removed"), false);
+});
+
+test("diffCharterSnapshots reports field-level changes with a summary", () => {
+  const diff = diffCharterSnapshots(BASE_CHARTER, REBASELINED_CHARTER);
+  assert.equal(diff.hasChanges, true);
+
+  const byField = Object.fromEntries(diff.fields.map((entry) => [entry.field, entry]));
+  assert.deepEqual(byField.sponsor, {
+    field: "sponsor",
+    type: "value",
+    change: "modified",
+    before: "Alice Example",
+    after: "Dana Example",
+  });
+  assert.equal(byField.description.change, "added");
+  assert.equal(byField.vision.change, "removed");
+  assert.equal(byField.project_name, undefined);
+  assert.equal(byField.milestones.type, "array");
+  assert.deepEqual(diff.summary, { added: 3, removed: 2, modified: 3, moved: 1 });
+
+  assert.equal(diffCharterSnapshots(BASE_CHARTER, { ...BASE_CHARTER }).hasChanges, false);
+});
+
+test("resolveCharterVersionPair defaults to the latest two versions", () => {
+  const records = [
+    createRecord("c", "1.0.0", BASE_CHARTER),
+    createRecord("c", "1.0.0", BASE_CHARTER, "pdf"),
+    createRecord("c", "1.0.1", REBASELINED_CHARTER),
+  ];
+  const pair = resolveCharterVersionPair(records);
+  assert.equal(pair.from.version, "1.0.0");
+  assert.equal(pair.to.version, "1.0.1");
+
+  assert.throws(
+    () => resolveCharterVersionPair(records, { from: "2.0.0" }),
+    (error) => error.code === "version_not_found" && error.statusCode === 404
+  );
+  assert.throws(
+    () => resolveCharterVersionPair([{ version: "0.9.0" }, ...records], { from: "0.9.0" }),
+    (error) => error.code === "version_snapshot_unavailable" && error.statusCode === 409
+  );
+  assert.throws(
+    () => resolveCharterVersionPair(records.slice(0, 1)),
+    (error) => error.code === "insufficient_versions" && error.statusCode === 400
+  );
+});
+
+test("GET /api/charters/[id]/diff returns a JSON diff between stored versions", async () => {
+  await withCharterRecords(
+    [
+      createRecord("", "1.0.0", BASE_CHARTER),
+      createRecord("", "1.0.1", REBASELINED_CHARTER),
+    ],
+    async (charterId) => {
+      const res = createResponseCollector();
+      await diffHandler(
+        { method: "GET", query: { id: charterId, from: "1.0.0", to: "1.0.1" } },
+        res
+      );
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.charterId, charterId);
+      assert.equal(res.body.from.version, "1.0.0");
+      assert.equal(res.body.to.version, "1.0.1");
+      assert.ok(res.body.diff.fields.some((entry) => entry.field === "risks"));
+    }
+  );
+});
+
+test("GET /api/charters/[id]/diff exports a redlined DOCX and PDF", async () => {
+  await withCharterRecords(
+    [
+      createRecord("", "1.0.0", BASE_CHARTER),
+      createRecord("", "1.0.1", REBASELINED_CHARTER),
+    ],
+    async (charterId) => {
+      const docxRes = createResponseCollector();
+      await diffHandler({ method: "GET", query: { id: charterId, format: "docx" } }, docxRes);
+
+      assert.equal(docxRes.statusCode, 200);
+      assert.match(docxRes.headers["content-type"], /wordprocessingml\.document/);
+      assert.match(docxRes.headers["content-disposition"], /_v1\.0\.0_to_v1\.0\.1\.docx/);
+      const documentXml = readZipEntry(docxRes.body, "word/document.xml");
+      assert.match(documentXml, /<w:strike\/><w:color w:val="C00000"\/>.*Alice Example/);
+      assert.match(documentXml, /Dana Example/);
+      assert.match(documentXml, /Staffing gaps/);
+
+      const pdfRes = createResponseCollector();
+      await diffHandler({ method: "GET", query: { id: charterId, format: "pdf" } }, pdfRes);
+
+      assert.equal(pdfRes.statusCode, 200);
+      assert.match(pdfRes.headers["content-type"], /application\/pdf/);
+      assert.ok(Buffer.isBuffer(pdfRes.body));
+      assert.equal(pdfRes.body.subarray(0, 5).toString("utf8"), "%PDF-");
+    }
+  );
+});
+
+test("GET /api/charters/[id]/diff surfaces version errors", async () => {
+  await withCharterRecords(
+    [
+      { ...createRecord("", "1.0.0", BASE_CHARTER), snapshot: undefined },
+      createRecord("", "1.0.1", REBASELINED_CHARTER),
+    ],
+    async (charterId) => {
+      const res = createResponseCollector();
+      await diffHandler({ method: "GET", query: { id: charterId, from: "1.0.0" } }, res);
+      assert.equal(res.statusCode, 409);
+      assert.equal(res.body.error, "version_snapshot_unavailable");
+
+      const formatRes = createResponseCollector();
+      await diffHandler({ method: "GET", query: { id: charterId, format: "xlsx" } }, formatRes);
+      assert.equal(formatRes.statusCode, 400);
+      assert.equal(formatRes.body.error, "unsupported_format");
+
+      assert.deepEqual(
+        (await readCharterDocumentRecords(charterId)).map((record) => record.version),
+        ["1.0.0", "1.0.1"]
+      );
+    }
+  );
+});
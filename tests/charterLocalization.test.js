@@ -0,0 +1,253 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { promises as fs } from "node:fs";
+
+import Docxtemplater from "docxtemplater";
+
+import renderHandler from "../api/documents/render.js";
+import { UnsupportedDocLanguageError } from "../lib/doc/errors.js";
+import {
+  formatDocumentDates,
+  localizeDocumentXml,
+  resolveRenderOptions,
+} from "../lib/doc/localize.js";
+import { normalizeLocale, resolveLocale } from "../lib/i18n/locales.js";
+import { normalizeCharterPayload, parseDateInput } from "../server/charter/utils/normalize.js";
+import { createGuidedOrchestrator } from "../src/features/charter/guidedOrchestrator.ts";
+import { extractCommand, findFieldId } from "../src/features/charter/guidedCopy.ts";
+import { createFormValidator } from "../src/lib/forms/validation.ts";
+import { translate } from "../src/lib/i18n/translate.ts";
+import { VoiceCharterService } from "../src/voice/VoiceCharterService.ts";
+import { createMockResponse } from "./helpers/http.js";
+
+const sampleCharter = JSON.parse(
+  await fs.readFile(path.join(process.cwd(), "samples", "charter.smoke.json"), "utf8")
+);
+
+test("locales resolve by exact tag or base language", () => {
+  assert.equal(resolveLocale("de-AT"), "de");
+  assert.equal(resolveLocale("es"), "es-MX");
+  assert.equal(resolveLocale("es_mx"), "es-MX");
+  assert.equal(resolveLocale("fr"), null);
+  assert.equal(normalizeLocale("fr"), "en");
+});
+
+test("numeric dates are read in the session locale's day/month order", () => {
+  assert.equal(parseDateInput("03/04/2025").iso, "2025-03-04");
+  assert.equal(parseDateInput("03/04/2025", { locale: "de" }).iso, "2025-04-03");
+  assert.equal(parseDateInput("15.01.2025", { locale: "de" }).iso, "2025-01-15");
+  assert.equal(parseDateInput("15/01/2025", { locale: "es-MX" }).iso, "2025-01-15");
+
+  const normalized = normalizeCharterPayload(
+    {
+      start_date: "06.01.2025",
+      end_date: "not a date",
+      milestones: [{ phase: "Build", deliverable: "Beta", date: "21.02.2025" }],
+    },
+    { locale: "de" }
+  );
+  assert.equal(normalized.start_date, "2025-01-06");
+  assert.equal(normalized.end_date, "not a date");
+  assert.equal(normalized.milestones[0].date, "2025-02-21");
+});
+
+test("parseDateInput does not invent dates from non-date text", () => {
+  for (const value of ["Phase 2", "1", "week 12", "TBD 12", "Q3", "12", "Sprint 2025", "2025"]) {
+    assert.equal(parseDateInput(value), null, value);
+  }
+  for (const value of ["2025-02-31", "2025-13-01", "2025-00-10", "2024-02-30T09:00:00Z"]) {
+    assert.equal(parseDateInput(value), null, value);
+  }
+  assert.equal(parseDateInput("2024-02-29").iso, "2024-02-29");
+  assert.equal(
+    normalizeCharterPayload({ milestones: [{ phase: "Build", deliverable: "Beta", date: "week 12" }] })
+      .milestones[0].date,
+    "week 12"
+  );
+});
+
+test("ISO datetimes keep the calendar date they were written with", () => {
+  assert.deepEqual(parseDateInput("2025-03-15T23:30:00-05:00"), { iso: "2025-03-15", inferred: false });
+  assert.deepEqual(parseDateInput("2025-03-15T00:30:00+09:00"), { iso: "2025-03-15", inferred: false });
+  assert.equal(parseDateInput("2025-03-15 08:00").iso, "2025-03-15");
+  assert.equal(parseDateInput("2025-03-15T08:00:00.000Z").iso, "2025-03-15");
+  assert.equal(parseDateInput("2025-02-30T08:00:00Z"), null);
+});
+
+test("messages fall back to English and fill parameters", () => {
+  assert.equal(translate("de", "guided.saved", { name: "Sponsor" }), "Sponsor gespeichert.");
+  assert.equal(
+    translate("fr", "guided.saved", { name: "Sponsor" }),
+    translate("en", "guided.saved", { name: "Sponsor" })
+  );
+});
+
+test("the guided chat asks and understands commands in the session locale", () => {
+  const messages = [];
+  const orchestrator = createGuidedOrchestrator({
+    locale: "de",
+    postAssistantMessage: (message) => messages.push(message),
+  });
+
+  orchestrator.start();
+  assert.match(messages[0], /Projektcharta Schritt für Schritt/);
+  assert.match(messages.at(-1), /Projekttitel/);
+
+  orchestrator.handleUserMessage("überspringen");
+  assert.match(messages.join("\n"), /Projekttitel wird übersprungen\./);
+  assert.equal(orchestrator.getState().currentFieldId, "sponsor");
+
+  orchestrator.setLocale("es-MX");
+  assert.equal(orchestrator.getLocale(), "es-MX");
+  orchestrator.handleUserMessage("omitir");
+  assert.match(messages.join("\n"), /Patrocinador/);
+
+  assert.deepEqual(extractCommand("bearbeiten Risiken", "de"), { type: "edit", target: "Risiken" });
+  assert.equal(findFieldId("Risiken", "de"), "risks");
+  assert.deepEqual(extractCommand("skip", "de"), { type: "skip" });
+});
+
+test("form validation messages use field labels and copy for the locale", () => {
+  const schema = {
+    document_type: "charter",
+    version: "test-1",
+    fields: [
+      {
+        id: "start_date",
+        label: "Start Date",
+        help_text: null,
+        required: true,
+        type: "date",
+        options: [],
+        max_length: null,
+        pattern: null,
+        placeholder: null,
+        example: null,
+        visibility: null,
+      },
+    ],
+  };
+  const validator = createFormValidator(schema, { fieldRules: {}, locale: "de" });
+  const [field] = schema.fields;
+
+  const missing = validator.validateField(field, "");
+  assert.equal(missing.status, "invalid");
+  assert.equal(missing.issues[0].message, "Startdatum ist ein Pflichtfeld.");
+
+  const parsed = validator.validateField(field, "15.01.2025");
+  assert.equal(parsed.status, "valid");
+  assert.equal(parsed.normalized.structured, "2025-01-15");
+});
+
+test("voice prompts ask in the session language", (t) => {
+  const originalLog = console.log;
+  console.log = () => {};
+  t.after(() => {
+    console.log = originalLog;
+  });
+
+  const channel = {
+    readyState: "open",
+    sent: [],
+    send(payload) {
+      this.sent.push(payload);
+    },
+  };
+  const schema = {
+    document_type: "charter",
+    version: "2024.1",
+    fields: [{ id: "sponsor", label: "Sponsor", type: "string", required: true }],
+  };
+  const service = new VoiceCharterService();
+  assert.equal(service.initialize(schema, channel, [], { locale: "de" }), true);
+  assert.equal(service.start(), true);
+
+  const prompts = channel.sent.map((payload) => JSON.parse(payload));
+  const sessionUpdate = prompts.find((event) => event.type === "session.update");
+  assert.match(sessionUpdate.session.instructions, /## Language/);
+  assert.equal(sessionUpdate.session.input_audio_transcription.language, "de");
+  const question = prompts.filter((event) => event.type === "conversation.item.create").at(-1);
+  assert.match(JSON.stringify(question), /Wer ist der Sponsor des Projekts\?/);
+});
+
+test("template text is translated, optionally next to the English", () => {
+  const catalog = { "Project Charter": "Projektcharta", Sponsor: "Sponsor" };
+  const xml =
+    '<w:t>Project Charter</w:t><w:t xml:space="preserve">Sponsor </w:t><w:t>{{sponsor}}</w:t>';
+
+  assert.equal(
+    localizeDocumentXml(xml, catalog),
+    '<w:t>Projektcharta</w:t><w:t xml:space="preserve">Sponsor </w:t><w:t>{{sponsor}}</w:t>'
+  );
+  assert.equal(
+    localizeDocumentXml(xml, catalog, { bilingual: true }),
+    '<w:t>Projektcharta / Project Charter</w:t><w:t xml:space="preserve">Sponsor </w:t><w:t>{{sponsor}}</w:t>'
+  );
+});
+
+test("render options reject languages without a template catalog", () => {
+  const config = { type: "charter", render: { localeCatalogPaths: { de: "de.json" } } };
+  assert.deepEqual(resolveRenderOptions(config, {}), { language: "en", bilingual: false });
+  assert.deepEqual(resolveRenderOptions(config, { language: "de-DE", bilingual: "true" }), {
+    language: "de",
+    bilingual: true,
+  });
+  assert.throws(
+    () => resolveRenderOptions(config, { language: "es-MX" }),
+    (error) =>
+      error instanceof UnsupportedDocLanguageError &&
+      error.statusCode === 400 &&
+      error.supportedLanguages.includes("de")
+  );
+});
+
+test("rendered dates are written the locale's way", () => {
+  assert.deepEqual(
+    formatDocumentDates(
+      { start_date: "2025-01-06", milestones: [{ date: "2025-02-21", phase: "2025-02-21" }] },
+      "de"
+    ),
+    { start_date: "06.01.2025", milestones: [{ date: "21.02.2025", phase: "2025-02-21" }] }
+  );
+  assert.equal(formatDocumentDates(sampleCharter, "en"), sampleCharter);
+});
+
+test("/api/documents/render fills German charters with German dates", async (t) => {
+  let rendered = null;
+  Docxtemplater.__setDocumentXmlFactory((doc) => {
+    rendered = doc.data;
+    return "<w:document></w:document>";
+  });
+  t.after(() => Docxtemplater.__setDocumentXmlFactory(null));
+
+  const res = createMockResponse();
+  await renderHandler(
+    {
+      method: "POST",
+      query: { docType: "charter" },
+      body: { document: sampleCharter, language: "de", bilingual: true },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(rendered.start_date, "06.01.2025");
+  assert.equal(rendered.milestones[0].date, "10.01.2025");
+});
+
+test("/api/documents/render returns 400 for unsupported languages", async () => {
+  const res = createMockResponse();
+  await renderHandler(
+    {
+      method: "POST",
+      query: { docType: "charter" },
+      body: { document: sampleCharter, language: "fr" },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "unsupported_language");
+  assert.deepEqual(res.body.supportedLanguages, ["en", "de", "es-MX"]);
+});
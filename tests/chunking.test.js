@@ -0,0 +1,369 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import extractHandler from "../api/documents/extract.js";
+import { countTokens } from "../lib/tokenize.js";
+import {
+  chunkAttachments,
+  describeChunk,
+  needsChunking,
+  splitDocumentSections,
+} from "../server/documents/extraction/chunking.js";
+import {
+  mergeFieldCandidates,
+  runChunkedExtraction,
+} from "../server/documents/extraction/mapReduce.js";
+import { analyzeDocument, mergeAnalyses } from "../server/documents/analysis/DocumentAnalyzer.js";
+import { formatChunkProgress, resolveProgressResponse } from "../src/lib/progressStream.js";
+import { createMockResponse, createMockStreamResponse } from "./helpers/http.js";
+
+function section(heading, sentence, repeat) {
+  return `${heading}\n${Array.from({ length: repeat }, () => sentence).join(" ")}`;
+}
+
+const LONG_SCOPE = [
+  section("# Overview", "The Atlas programme refreshes customer onboarding.", 40),
+  section("SPONSORSHIP", "Dana Whitfield sponsors the work and approves scope changes.", 40),
+  `\f${section("3. Risks", "Vendor sandbox delays could slip integration testing.", 40)}`,
+].join("\n");
+
+test("sections split on headings, separators and page breaks", () => {
+  const sections = splitDocumentSections(
+    "Intro.\n# Scope\nOnboarding only.\n---\nNotes.\fAPPENDIX A\nGlossary."
+  );
+  assert.deepEqual(
+    sections.map(({ heading, page, text }) => ({ heading, page, text })),
+    [
+      { heading: null, page: 1, text: "Intro." },
+      { heading: "Scope", page: 1, text: "# Scope\nOnboarding only." },
+      { heading: "Scope", page: 1, text: "Notes." },
+      { heading: "APPENDIX A", page: 2, text: "APPENDIX A\nGlossary." },
+    ]
+  );
+});
+
+test("chunks stay within the token budget and respect the chunk limit", () => {
+  const attachments = [{ id: "att-1", name: "scope.pdf", text: LONG_SCOPE }];
+  assert.equal(needsChunking(attachments, 300), true);
+  assert.equal(needsChunking(attachments, 100_000), false);
+
+  const { chunks, skipped } = chunkAttachments(attachments, { maxTokens: 300, maxChunks: 30 });
+  assert.ok(chunks.length >= 3);
+  assert.equal(skipped, 0);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk.text) <= 300, `chunk ${chunk.index} is over budget`);
+    assert.equal(chunk.attachment.id, "att-1");
+  }
+  assert.equal(chunks[0].heading, "Overview");
+  assert.deepEqual(chunks.at(-1).pages, { first: 2, last: 2 });
+  assert.match(describeChunk(chunks.at(-1)), /^scope\.pdf \(part \d+ of \d+, page 2\) – 3\. Risks/);
+
+  const limited = chunkAttachments(attachments, { maxTokens: 300, maxChunks: 2 });
+  assert.equal(limited.chunks.length, 2);
+  assert.equal(limited.skipped, chunks.length - 2);
+});
+
+test("merging de-duplicates list entries and reports scalar conflicts", () => {
+  const { fields, conflicts } = mergeFieldCandidates([
+    { chunk: 0, fields: { sponsor: "Dana Whitfield", risks: ["Vendor delay"], budget: { total: "$40k" } } },
+    { chunk: 1, fields: { sponsor: "Lee Park", risks: ["vendor delay.", "Scope creep"], vision: "" } },
+    { chunk: 2, fields: { sponsor: "lee park", budget: { total: "$40K" } } },
+  ]);
+
+  assert.deepEqual(fields, {
+    sponsor: "Lee Park",
+    risks: ["Vendor delay", "Scope creep"],
+    budget: { total: "$40k" },
+  });
+  assert.deepEqual(conflicts, [
+    {
+      field: "sponsor",
+      values: [
+        { value: "Lee Park", chunks: [1, 2] },
+        { value: "Dana Whitfield", chunks: [0] },
+      ],
+      chosen: "Lee Park",
+    },
+  ]);
+});
+
+test("list entries with a name or phase merge field by field and report conflicts", () => {
+  const { fields, conflicts } = mergeFieldCandidates([
+    {
+      chunk: 0,
+      fields: {
+        milestones: [
+          { phase: "Design", deliverable: "Specs", date: "2025-03-01" },
+          { phase: "Build", deliverable: "", date: "2025-05-01" },
+        ],
+      },
+    },
+    {
+      chunk: 1,
+      fields: {
+        milestones: [
+          { phase: "design", deliverable: "Specs", date: "2025-03-15" },
+          { phase: "Build", deliverable: "Pilot release", date: "2025-05-01" },
+        ],
+        stakeholders: [{ name: "Dana", role: "Sponsor" }],
+      },
+    },
+    { chunk: 2, fields: { stakeholders: [{ name: "Dana", role: "Executive sponsor" }, { role: "PMO" }] } },
+  ]);
+
+  assert.deepEqual(fields.milestones, [
+    { phase: "Design", deliverable: "Specs", date: "2025-03-01" },
+    { phase: "Build", deliverable: "Pilot release", date: "2025-05-01" },
+  ]);
+  assert.deepEqual(fields.stakeholders, [{ name: "Dana", role: "Sponsor" }, { role: "PMO" }]);
+  assert.deepEqual(
+    conflicts.map(({ field, chosen }) => [field, chosen]),
+    [
+      ["milestones.0.date", "2025-03-01"],
+      ["stakeholders.0.role", "Sponsor"],
+    ]
+  );
+});
+
+test("chunks that fail to parse are skipped; all failures return the first one", async () => {
+  const chunks = [0, 1].map((index) => ({
+    index,
+    heading: null,
+    pages: null,
+    attachment: { id: "a", name: "a.txt" },
+    text: "",
+  }));
+  const partial = await runChunkedExtraction({
+    chunks,
+    extractChunk: async (chunk) => (chunk.index === 0 ? { result: "oops" } : { sponsor: "Dana" }),
+  });
+  assert.deepEqual(partial.fields, { sponsor: "Dana" });
+  assert.equal(partial.chunking.failed, 1);
+
+  const failed = await runChunkedExtraction({ chunks, extractChunk: async () => ({ result: "oops" }) });
+  assert.deepEqual(failed, { failure: { result: "oops" } });
+});
+
+test("chunk analyses merge by summed confidence and union coverage", () => {
+  const target = (confidence, previewFields, available, missing) => ({
+    docType: "charter",
+    confidence,
+    rationale: `r${confidence}`,
+    previewFields,
+    coverage: { available, missing, inferrable: [] },
+  });
+  const merged = mergeAnalyses([
+    {
+      documentClassification: { primaryType: "project_scope", confidence: 0.6, signals: ["Scope heading"] },
+      suggestedTargets: [target(0.6, { project_name: "Atlas" }, ["project_name"], ["sponsor"])],
+      alternativeTargets: [{ docType: "sow", confidence: 0.3, rationale: "" }],
+      clarificationQuestions: [],
+    },
+    {
+      documentClassification: { primaryType: "project_scope", confidence: 0.8, signals: ["scope heading"] },
+      suggestedTargets: [target(0.9, { project_name: "Apollo", sponsor: "Dana" }, ["sponsor"], [])],
+      alternativeTargets: [],
+      clarificationQuestions: [],
+    },
+    {
+      documentClassification: { primaryType: "meeting_notes", confidence: 0.9, signals: [] },
+      suggestedTargets: [],
+      alternativeTargets: [],
+      clarificationQuestions: ["Who approves changes?"],
+    },
+  ]);
+
+  assert.equal(merged.documentClassification.primaryType, "project_scope");
+  assert.equal(merged.documentClassification.confidence, 0.7);
+  assert.deepEqual(merged.documentClassification.signals, ["Scope heading"]);
+  assert.equal(merged.suggestedTargets.length, 1);
+  assert.equal(merged.suggestedTargets[0].confidence, 0.9);
+  assert.deepEqual(merged.suggestedTargets[0].previewFields, { project_name: "Atlas", sponsor: "Dana" });
+  assert.deepEqual(merged.suggestedTargets[0].coverage.missing, []);
+  assert.deepEqual(merged.alternativeTargets.map((t) => t.docType), ["sow"]);
+  assert.deepEqual(merged.clarificationQuestions, ["Who approves changes?"]);
+  assert.deepEqual(merged.conflicts, [
+    {
+      docType: "charter",
+      field: "project_name",
+      values: [
+        { value: "Atlas", chunks: [0] },
+        { value: "Apollo", chunks: [1] },
+      ],
+      chosen: "Atlas",
+    },
+  ]);
+});
+
+test("/api/documents/extract streams chunk progress and returns the merged draft", async (t) => {
+  const originalTokens = process.env.EXTRACTION_CHUNK_TOKENS;
+  const originalApiKey = process.env.OPENAI_API_KEY;
+  process.env.EXTRACTION_CHUNK_TOKENS = "300";
+  process.env.OPENAI_API_KEY = "test-key";
+  const queue = (process.__OPENAI_MOCK_RESPONSES ??= []);
+  const previousQueue = queue.splice(0);
+  const prompts = [];
+  const replies = [
+    { project_name: "Atlas", sponsor: "Dana Whitfield", risks: ["Vendor delay"] },
+    { sponsor: "Dana Whitfield", risks: ["vendor delay"] },
+    { sponsor: "Lee Park", risks: ["Scope creep"] },
+  ];
+  const { chunks } = chunkAttachments([{ text: LONG_SCOPE }], { maxTokens: 300, maxChunks: 30 });
+  for (let index = 0; index < chunks.length; index += 1) {
+    const reply = replies[index] ?? {};
+    queue.push((request) => {
+      prompts.push(request.messages[0].content);
+      return { choices: [{ message: { content: JSON.stringify(reply) } }] };
+    });
+  }
+  t.after(() => {
+    queue.length = 0;
+    queue.push(...previousQueue);
+    if (originalTokens === undefined) {
+      delete process.env.EXTRACTION_CHUNK_TOKENS;
+    } else {
+      process.env.EXTRACTION_CHUNK_TOKENS = originalTokens;
+    }
+    if (originalApiKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = originalApiKey;
+    }
+  });
+
+  const body = {
+    docType: "charter",
+    intent: "create_charter",
+    attachments: [{ id: "att-scope", name: "scope.pdf", text: LONG_SCOPE }],
+    messages: [{ role: "user", text: "Draft the charter from the attached scope document." }],
+  };
+  const res = createMockStreamResponse();
+  await extractHandler(
+    {
+      method: "POST",
+      query: { docType: "charter" },
+      headers: { accept: "text/event-stream" },
+      body,
+    },
+    res
+  );
+
+  assert.equal(res.headers["content-type"], "text/event-stream");
+  assert.equal(res.ended, true);
+  const events = res.events();
+  const progress = events.filter((entry) => entry.event === "progress").map((entry) => entry.data);
+  assert.deepEqual(progress[0], {
+    stage: "extracting",
+    completed: 0,
+    total: chunks.length,
+    chunk: { index: 0, heading: "Overview", attachment: "scope.pdf", pages: { first: 1, last: 1 } },
+  });
+  assert.equal(progress.at(-1).stage, "merging");
+  assert.equal(prompts.length, chunks.length);
+  assert.match(prompts[0], new RegExp(`### Attachment: scope\\.pdf \\(part 1 of ${chunks.length}`));
+
+  const result = events.at(-1);
+  assert.equal(result.event, "result");
+  assert.equal(result.data.status, 200);
+  const { citations, chunking, draft } = result.data.payload;
+  assert.equal(draft.sponsor, "Dana Whitfield");
+  assert.deepEqual(draft.risks, ["Vendor delay", "Scope creep"]);
+  assert.equal(chunking.chunkCount, chunks.length);
+  assert.equal(chunking.conflicts[0].field, "sponsor");
+  assert.equal(citations.sponsor.source.id, "att-scope");
+
+  // Without the SSE Accept header the same request answers with plain JSON
+  chunks.forEach(() =>
+    queue.push(() => ({ choices: [{ message: { content: JSON.stringify(replies[0]) } }] }))
+  );
+  const jsonRes = createMockResponse();
+  await extractHandler({ method: "POST", query: { docType: "charter" }, body }, jsonRes);
+  assert.equal(jsonRes.statusCode, 200);
+  assert.equal(jsonRes.body.chunking.processed, chunks.length);
+});
+
+test("analysis skips chunks it cannot parse and bounds the raw text to the chunk limit", async (t) => {
+  const original = {
+    EXTRACTION_CHUNK_TOKENS: process.env.EXTRACTION_CHUNK_TOKENS,
+    EXTRACTION_MAX_CHUNKS: process.env.EXTRACTION_MAX_CHUNKS,
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  };
+  Object.assign(process.env, { EXTRACTION_CHUNK_TOKENS: "300", EXTRACTION_MAX_CHUNKS: "2", OPENAI_API_KEY: "test-key" });
+  const queue = (process.__OPENAI_MOCK_RESPONSES ??= []);
+  const previousQueue = queue.splice(0);
+  const analysis = {
+    documentClassification: { primaryType: "project_scope", confidence: 0.9, signals: ["Scope headings"] },
+    suggestedTargets: [
+      {
+        docType: "charter",
+        confidence: 0.85,
+        rationale: "Scope document",
+        previewFields: { sponsor: "Dana Whitfield" },
+        coverage: { available: ["sponsor"], missing: [], inferrable: [] },
+      },
+    ],
+  };
+  queue.push(
+    () => ({ choices: [{ message: { content: JSON.stringify(analysis) } }] }),
+    () => ({ choices: [{ message: { content: "Sorry, I cannot help with that." } }] })
+  );
+  t.after(() => {
+    queue.length = 0;
+    queue.push(...previousQueue);
+    for (const [key, value] of Object.entries(original)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  const result = await analyzeDocument({ attachments: [{ name: "scope.pdf", text: LONG_SCOPE }] });
+
+  assert.equal(result.analysis.documentClassification.primaryType, "project_scope");
+  assert.equal(result.analysis.suggestedTargets[0].previewFields.sponsor, "Dana Whitfield");
+  const { chunks, skipped } = chunkAttachments([{ text: LONG_SCOPE }], { maxTokens: 300, maxChunks: 2 });
+  assert.deepEqual(result.analysis.chunking, {
+    chunkCount: chunks.length,
+    processed: 1,
+    failed: 1,
+    skipped,
+    conflicts: [],
+  });
+
+  assert.equal(result.rawContent.metadata.truncated, true);
+  assert.equal(result.rawContent.metadata.totalCharacters, LONG_SCOPE.length);
+  assert.ok(countTokens(result.rawContent.extractedText) <= 600);
+  assert.ok(LONG_SCOPE.startsWith(result.rawContent.extractedText.slice(0, 200)));
+});
+
+test("resolveProgressResponse reports progress and rebuilds the JSON response", async () => {
+  const events = [
+    'event: progress\ndata: {"stage":"extracting","completed":1,"total":4,"chunk":{"heading":"Budget"}}\n\n',
+    'event: result\ndata: {"status":422,"payload":{"error":"too short"}}\n\n',
+  ];
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    start(controller) {
+      // Split mid-event to exercise buffering
+      const text = events.join("");
+      controller.enqueue(encoder.encode(text.slice(0, 30)));
+      controller.enqueue(encoder.encode(text.slice(30)));
+      controller.close();
+    },
+  });
+  const seen = [];
+  const response = await resolveProgressResponse(
+    new Response(stream, { headers: { "Content-Type": "text/event-stream" } }),
+    (progress) => seen.push(formatChunkProgress(progress))
+  );
+
+  assert.deepEqual(seen, ["Extracting part 2 of 4 (Budget)…"]);
+  assert.equal(response.status, 422);
+  assert.deepEqual(await response.json(), { error: "too short" });
+
+  const plain = new Response("{}", { headers: { "Content-Type": "application/json" } });
+  assert.equal(await resolveProgressResponse(plain, () => {}), plain);
+  assert.equal(formatChunkProgress({ stage: "merging", completed: 3, total: 3 }), "Merging 3 parts…");
+});
@@ -0,0 +1,177 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+
+import extractHandler from "../api/documents/extract.js";
+import {
+  attachFieldCitations,
+  buildFieldCitations,
+  collectCitationSources,
+  expandDateVariants,
+} from "../server/documents/extraction/citations.js";
+import { createMockResponse } from "./helpers/http.js";
+
+globalThis.__DOC_ROUTER_ENABLED__ = true;
+
+const { setDocType, setSuggested } = await import("../src/state/docType.js");
+const { default: PreviewEditable } = await import("../src/components/PreviewEditable.jsx");
+
+const charterManifest = JSON.parse(
+  await readFile(new URL("../templates/charter/manifest.json", import.meta.url), "utf8")
+);
+
+const SCOPE_TEXT = [
+  "Project: Atlas   Onboarding Refresh",
+  "Sponsor: Dana Whitfield (VP Customer Success).",
+  "We expect go-live on March 14, 2025. The largest risk is that the vendor sandbox may not be ready for integration testing.",
+].join("\n");
+
+const sources = collectCitationSources({
+  attachments: [{ id: "att-scope", name: "scope.docx", text: SCOPE_TEXT }],
+  messages: [{ role: "user", text: "Budget is capped at $40k." }],
+});
+
+test("values are located in attachments with spans, quotes and context", () => {
+  const citations = buildFieldCitations(
+    {
+      project_name: "Atlas onboarding refresh",
+      sponsor: "Dana Whitfield",
+      end_date: "2025-03-14",
+      risks: ["Vendor sandbox not ready for integration testing", "Budget capped at $40k"],
+      vision: "Every customer is live in a week",
+    },
+    sources
+  );
+
+  const project = citations.project_name;
+  assert.equal(project.match, "exact");
+  assert.deepEqual(project.source, { type: "attachment", id: "att-scope", name: "scope.docx" });
+  assert.equal(project.quote, "Atlas   Onboarding Refresh");
+  assert.equal(SCOPE_TEXT.slice(project.start, project.end), project.quote);
+  assert.equal(project.before, "Project: ");
+
+  assert.equal(citations.sponsor.quote, "Dana Whitfield");
+  assert.equal(citations.end_date.quote, "March 14, 2025");
+
+  const risk = citations["risks.0"];
+  assert.equal(risk.match, "partial");
+  assert.match(risk.quote, /^The largest risk is that the vendor sandbox/);
+
+  assert.equal(citations["risks.1"].source.type, "message");
+  assert.deepEqual(citations.vision, { inferred: true });
+});
+
+test("exact matches respect word boundaries and dates expand to written forms", () => {
+  const [source] = collectCitationSources({ attachments: [{ text: "Owner: Alexandra" }] });
+  assert.equal(source.id, "attachment-1");
+  assert.deepEqual(buildFieldCitations({ owner: "Alex" }, [source]), {
+    owner: { inferred: true },
+  });
+  assert.ok(expandDateVariants("2025-03-01").includes("3/1/2025"));
+  assert.deepEqual(expandDateVariants("soon"), []);
+});
+
+test("numbers are cited with or without separators and booleans are inferred", () => {
+  const [source] = collectCitationSources({
+    attachments: [{ text: "Budget: $1,200,000 over 18 months. Headcount 12." }],
+  });
+  const citations = buildFieldCitations(
+    { budget: 1200000, duration_months: 18, headcount: 2, requires_approval: true },
+    [source]
+  );
+  assert.equal(citations.budget.quote, "1,200,000");
+  assert.equal(citations.duration_months.quote, "18");
+  assert.deepEqual(citations.headcount, { inferred: true });
+  assert.deepEqual(citations.requires_approval, { inferred: true });
+});
+
+test("attachFieldCitations only cites successful extractions", () => {
+  const context = { attachments: [{ text: SCOPE_TEXT }] };
+  // A full draft is wrapped so citations never sit among its fields
+  const draft = attachFieldCitations({ sponsor: "Dana Whitfield", citations: "n/a" }, context);
+  assert.deepEqual(draft.draft, { sponsor: "Dana Whitfield", citations: "n/a" });
+  assert.equal(draft.citations.sponsor.source.id, "attachment-1");
+  assert.equal(draft.citations.citations.inferred, true);
+
+  const guided = attachFieldCitations({ status: "ok", fields: { sponsor: "Dana Whitfield" } }, context);
+  assert.equal(guided.citations.sponsor.match, "exact");
+
+  const failed = { status: "error", fields: { sponsor: "Dana" } };
+  assert.equal(attachFieldCitations(failed, context), failed);
+  const fallback = { result: "not json" };
+  assert.equal(attachFieldCitations(fallback, context), fallback);
+  // Chat-only extractions keep their existing response shape
+  const chatOnly = { messages: [{ role: "user", text: "Sponsor is Dana" }] };
+  assert.deepEqual(attachFieldCitations({ sponsor: "Dana" }, chatOnly), { sponsor: "Dana" });
+  const chunking = { chunkCount: 2, processed: 2, failed: 0, skipped: 0, conflicts: [] };
+  assert.deepEqual(attachFieldCitations({ sponsor: "Dana" }, chatOnly, { chunking }), {
+    draft: { sponsor: "Dana" },
+    chunking,
+  });
+});
+
+test("/api/documents/extract returns citations with the extracted fields", async (t) => {
+  const previousOverrides = globalThis.__charterExtractionOverrides__;
+  globalThis.__charterExtractionOverrides__ = {
+    extractFieldsFromUtterance: async () => ({
+      ok: true,
+      fields: { sponsor: "Dana Whitfield", vision: "Delight every customer" },
+      warnings: [],
+      rawToolArguments: {},
+    }),
+  };
+  t.after(() => {
+    if (previousOverrides === undefined) {
+      delete globalThis.__charterExtractionOverrides__;
+    } else {
+      globalThis.__charterExtractionOverrides__ = previousOverrides;
+    }
+  });
+
+  const res = createMockResponse();
+  await extractHandler(
+    {
+      method: "POST",
+      query: { docType: "charter" },
+      body: {
+        guided: true,
+        docType: "charter",
+        requestedFieldIds: ["sponsor", "vision"],
+        attachments: [{ id: "att-scope", name: "scope.docx", text: SCOPE_TEXT }],
+      },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.fields, { sponsor: "Dana Whitfield", vision: "Delight every customer" });
+  assert.equal(res.body.citations.sponsor.source.id, "att-scope");
+  assert.equal(res.body.citations.sponsor.start, SCOPE_TEXT.indexOf("Dana Whitfield"));
+  assert.equal(res.body.citations.vision.inferred, true);
+});
+
+test("PreviewEditable shows the supporting excerpt and flags inferred values", () => {
+  setDocType("charter");
+  setSuggested(null);
+  const citations = buildFieldCitations(
+    { sponsor: "Dana Whitfield", vision: "Delight every customer", project_name: "Atlas" },
+    sources
+  );
+  const html = renderToStaticMarkup(
+    React.createElement(PreviewEditable, {
+      draft: { sponsor: "Dana Whitfield", vision: "Delight every customer", project_name: "Atlas" },
+      locks: { project_name: true },
+      citations,
+      manifest: charterManifest,
+    })
+  );
+
+  assert.match(html, /data-testid="citation-panel"/);
+  assert.match(html, /<mark[^>]*>Dana Whitfield<\/mark>/);
+  assert.match(html, /scope\.docx/);
+  assert.match(html, /data-testid="citation-inferred"/);
+  // Hand-edited (locked) fields drop their extraction citation
+  assert.doesNotMatch(html, /<mark[^>]*>Atlas<\/mark>/);
+});
@@ -78,3 +78,16 @@ test("isDocTypeConfirmed requires either selection or high-confidence suggestion
     })
   );
 });
+
+test("suggestDocType recognizes statement of work content", () => {
+  const result = suggestDocType({
+    attachments: [
+      {
+        name: "northwind-proposal.pdf",
+        text: "This Statement of Work describes the services Northwind will provide.",
+      },
+    ],
+  });
+  assert.equal(result.type, "sow");
+  assert.ok(result.confidence >= 0.7);
+});
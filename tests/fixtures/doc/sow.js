@@ -0,0 +1,29 @@
+export const MINIMAL_VALID_SOW = {
+  project_name: "LIMS Connector Build",
+  client_name: "Exact Sciences Laboratory Operations",
+  vendor_name: "Northwind Consulting LLC",
+  start_date: "2025-02-03",
+  end_date: "2025-08-29",
+  scope_in: ["Interface design for sample accessioning", "Connector build and unit testing"],
+  deliverables: [
+    {
+      name: "Interface specification",
+      acceptance_criteria: "Signed off by QA",
+      due_date: "2025-03-14",
+    },
+  ],
+  pricing_model: "milestone_based",
+  total_value: 250000,
+  currency: "USD",
+  payment_schedule: [{ milestone: "Specification accepted", amount: 50000 }],
+};
+
+export const MINIMAL_INVALID_SOW = {
+  project_name: "AI", // too short triggers Ajv stub
+  client_name: "Exact Sciences",
+};
+
+export default {
+  valid: MINIMAL_VALID_SOW,
+  invalid: MINIMAL_INVALID_SOW,
+};
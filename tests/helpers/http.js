@@ -36,6 +36,39 @@ export function createMockResponse() {
   return res;
 }
 
+export function createMockStreamResponse() {
+  const res = createMockResponse();
+  res.chunks = [];
+  res.ended = false;
+  res.headersFlushed = false;
+  res.flushHeaders = function flushHeaders() {
+    this.headersFlushed = true;
+  };
+  res.write = function write(chunk) {
+    this.chunks.push(String(chunk));
+    return true;
+  };
+  res.end = function end(chunk) {
+    if (chunk !== undefined) {
+      this.write(chunk);
+    }
+    this.ended = true;
+  };
+  // Parsed server-sent events, in order
+  res.events = function events() {
+    return this.chunks
+      .join("")
+      .split("\n\n")
+      .filter((block) => block.trim())
+      .map((block) => {
+        const event = /^event: (.*)$/m.exec(block)?.[1];
+        const data = /^data: (.*)$/m.exec(block)?.[1];
+        return { event, data: data === undefined ? undefined : JSON.parse(data) };
+      });
+  };
+  return res;
+}
+
 export async function withStubbedReadFile(fsModule, override, run) {
   const previous = fsModule.readFile;
   fsModule.readFile = override;
@@ -0,0 +1,184 @@
+/**
+ * Local MCP stub server for transport tests.
+ *
+ * Serves a single `echo` tool over Streamable HTTP (`/mcp`) and SSE
+ * (`/sse` + `/messages`). Requests must carry `Authorization: Bearer <token>`
+ * when a token is configured. `setAvailable(false)` drops every open
+ * connection and answers 503 until it is re-enabled, so tests can exercise
+ * reconnects without giving up the port. `toolCalls` keeps the params of
+ * every `tools/call`, including `_meta`.
+ */
+
+import { randomUUID } from "node:crypto";
+import http from "node:http";
+
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+
+function createStubMcpServer(toolCalls) {
+  const server = new Server(
+    { name: "stub-mcp-server", version: "1.0.0" },
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [
+      {
+        name: "echo",
+        description: "Echoes the provided message",
+        inputSchema: {
+          type: "object",
+          properties: { message: { type: "string" } },
+          required: ["message"],
+        },
+      },
+    ],
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    toolCalls.push(request.params);
+    if (request.params.name !== "echo") {
+      return {
+        content: [{ type: "text", text: `Unknown tool: ${request.params.name}` }],
+        isError: true,
+      };
+    }
+    return {
+      content: [{ type: "text", text: String(request.params.arguments?.message ?? "") }],
+    };
+  });
+
+  return server;
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  return text ? JSON.parse(text) : undefined;
+}
+
+export function createMcpStubServer({ token = null } = {}) {
+  const httpTransports = new Map();
+  const sseTransports = new Map();
+  const requests = [];
+  const toolCalls = [];
+  let httpServer = null;
+  let port = 0;
+  let available = true;
+
+  async function handleStreamableHttp(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    let transport = sessionId ? httpTransports.get(sessionId) : null;
+
+    if (!transport) {
+      if (sessionId || req.method !== "POST") {
+        res.writeHead(404).end(JSON.stringify({ error: "unknown_session" }));
+        return;
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => httpTransports.set(id, transport),
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          httpTransports.delete(transport.sessionId);
+        }
+      };
+      await createStubMcpServer(toolCalls).connect(transport);
+    }
+
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    requests.push({ method: req.method, path: url.pathname, headers: { ...req.headers } });
+
+    if (!available) {
+      res.writeHead(503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "unavailable" }));
+      return;
+    }
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "unauthorized" }));
+      return;
+    }
+
+    if (url.pathname === "/mcp") {
+      await handleStreamableHttp(req, res);
+      return;
+    }
+
+    if (url.pathname === "/sse" && req.method === "GET") {
+      const transport = new SSEServerTransport("/messages", res);
+      sseTransports.set(transport.sessionId, transport);
+      transport.onclose = () => sseTransports.delete(transport.sessionId);
+      await createStubMcpServer(toolCalls).connect(transport);
+      return;
+    }
+
+    if (url.pathname === "/messages" && req.method === "POST") {
+      const transport = sseTransports.get(url.searchParams.get("sessionId"));
+      if (!transport) {
+        res.writeHead(404).end("unknown session");
+        return;
+      }
+      await transport.handlePostMessage(req, res, await readJsonBody(req));
+      return;
+    }
+
+    res.writeHead(404).end();
+  }
+
+  return {
+    requests,
+    toolCalls,
+    get url() {
+      return `http://127.0.0.1:${port}`;
+    },
+    async start() {
+      httpServer = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+          if (!res.headersSent) {
+            res.writeHead(500);
+          }
+          res.end(String(error?.message ?? error));
+        });
+      });
+      await new Promise((resolve) => httpServer.listen(port, "127.0.0.1", resolve));
+      port = httpServer.address().port;
+    },
+    setAvailable(value) {
+      available = value;
+      if (!value) {
+        httpServer?.closeAllConnections();
+        httpTransports.clear();
+        sseTransports.clear();
+      }
+    },
+    async stop() {
+      if (!httpServer) {
+        return;
+      }
+      const closing = new Promise((resolve) => httpServer.close(resolve));
+      httpServer.closeAllConnections();
+      await closing;
+      httpServer = null;
+      httpTransports.clear();
+      sseTransports.clear();
+    },
+  };
+}
+
+export default createMcpStubServer;
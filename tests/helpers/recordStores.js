@@ -0,0 +1,53 @@
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { FileCharterRecordStore } from "../../server/charter/store/index.js";
+
+/**
+ * Points each `__set…Store` setter at a file record store in a fresh temp
+ * directory until the test ends. With more than one setter, each store gets
+ * a subdirectory named after its key. `beforeCleanup` runs before the stores
+ * are detached, e.g. to flush a buffered ledger.
+ * @param {import("node:test").TestContext} t
+ * @param {Object<string, (store: FileCharterRecordStore|null) => void>} setters
+ * @param {{ prefix?: string, beforeCleanup?: () => Promise<void>|void }} [options]
+ * @returns {Promise<{ baseDirectory: string, stores: Object<string, FileCharterRecordStore> }>}
+ */
+export async function withRecordStores(t, setters, { prefix = "record-store-", beforeCleanup } = {}) {
+  const baseDirectory = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  const entries = Object.entries(setters);
+  const stores = {};
+  for (const [name, setStore] of entries) {
+    stores[name] = new FileCharterRecordStore({
+      baseDirectory: entries.length > 1 ? path.join(baseDirectory, name) : baseDirectory,
+    });
+    setStore(stores[name]);
+  }
+  t.after(async () => {
+    await beforeCleanup?.();
+    for (const [, setStore] of entries) {
+      setStore(null);
+    }
+    await fs.rm(baseDirectory, { recursive: true, force: true });
+  });
+  return { baseDirectory, stores };
+}
+
+/**
+ * A finalized charter document record as written by finalization. Version
+ * "N" is dated the first of month N of 2026.
+ */
+export function finalizedRecord(charterId, version, snapshot, { type = "charter", metadata } = {}) {
+  return {
+    id: `${charterId}-${version}-${type}`,
+    charterId,
+    type,
+    version,
+    filename: `${charterId}.${type}`,
+    ...(metadata ? { metadata } : {}),
+    snapshot,
+    createdBy: "pmo@example.com",
+    createdAt: `2026-0${version}-01T00:00:00.000Z`,
+  };
+}
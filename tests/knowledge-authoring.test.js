@@ -0,0 +1,309 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import categoriesHandler from "../api/knowledge/categories.js";
+import categoryHandler from "../api/knowledge/[category].js";
+import entryHandler from "../api/knowledge/[category]/[id].js";
+import exportHandler from "../api/knowledge/export.js";
+import importHandler from "../api/knowledge/import.js";
+import { issueDevToken } from "../server/auth/devIssuer.js";
+import { __clearKnowledgeCache, queryKnowledge } from "../server/knowledge/query.js";
+import { validateKnowledgeEntry } from "../server/knowledge/schema.js";
+import { __setKnowledgeRecordStore } from "../server/knowledge/store.js";
+import { createMockResponse } from "./helpers/http.js";
+import { withRecordStores } from "./helpers/recordStores.js";
+
+const ENTRY = {
+  id: "ddp-vendor-qualification",
+  type: "checklist",
+  title: "Vendor Qualification",
+  content: "Confirm every critical supplier has a current quality agreement.",
+  triggers: {
+    keywords: ["supplier"],
+    conditions: [{ field: "risks", operator: "less_than", value: 5 }],
+  },
+  priority: "high",
+  tags: ["suppliers"],
+};
+
+const DDP_DOCUMENT = { project_name: "Pump v2", risks: ["supplier delay"] };
+
+const AUTHOR = "pmo@example.com";
+
+function bearer(user) {
+  return { authorization: `Bearer ${issueDevToken(user).token}` };
+}
+
+function withEnv(t, values) {
+  const previous = {};
+  for (const [key, value] of Object.entries(values)) {
+    previous[key] = process.env[key];
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+}
+
+async function withKnowledgeStore(t) {
+  withEnv(t, { AUTH_MODE: "dev", NODE_ENV: "test", AUTH_AUTHORS: AUTHOR, AUTH_ADMINS: undefined });
+  await withRecordStores(t, {
+    knowledge: (store) => {
+      __setKnowledgeRecordStore(store);
+      __clearKnowledgeCache();
+    },
+  });
+}
+
+async function call(
+  handler,
+  { method = "GET", query = {}, body, headers = bearer({ sub: AUTHOR, email: AUTHOR }) } = {}
+) {
+  const res = createMockResponse();
+  await handler({ method, query, body, headers }, res);
+  return res;
+}
+
+async function queryDdpIds() {
+  const entries = await queryKnowledge({ categories: ["ddp"], document: DDP_DOCUMENT });
+  return entries.map((entry) => entry.id);
+}
+
+test("validateKnowledgeEntry checks triggers and condition operators", () => {
+  assert.deepEqual(validateKnowledgeEntry({ ...ENTRY, category: "ddp" }, { category: "ddp" }), []);
+
+  const errors = validateKnowledgeEntry(
+    {
+      ...ENTRY,
+      category: "ddp",
+      priority: "urgent",
+      triggers: {
+        fields: "risks",
+        regex: ["x"],
+        conditions: [
+          { field: "risks", operator: "less_than", value: "3" },
+          { field: "scope", operator: "matches", value: "x" },
+          { operator: "contains", value: "" },
+        ],
+      },
+    },
+    { category: "charter" }
+  );
+  const paths = errors.map((error) => error.path);
+  assert.deepEqual(paths, [
+    "/category",
+    "/priority",
+    "/triggers/regex",
+    "/triggers/fields",
+    "/triggers/conditions/0/value",
+    "/triggers/conditions/1/operator",
+    "/triggers/conditions/2/field",
+    "/triggers/conditions/2/value",
+  ]);
+});
+
+test("knowledge categories include ddp", async (t) => {
+  await withKnowledgeStore(t);
+  const res = await call(categoriesHandler);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["x-frame-options"], "DENY", "categories should run the security middleware");
+  const ddp = res.body.categories.find((category) => category.id === "ddp");
+  assert.ok(ddp, "ddp category should be listed");
+  assert.ok(ddp.entryCount > 0);
+});
+
+test("knowledge entries can be created, versioned, and disabled without a redeploy", async (t) => {
+  await withKnowledgeStore(t);
+
+  assert.ok(!(await queryDdpIds()).includes(ENTRY.id));
+
+  const created = await call(categoryHandler, {
+    method: "POST",
+    query: { category: "ddp" },
+    body: { entry: ENTRY },
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.entry.version, 1);
+  assert.equal(created.body.entry.origin, "authored");
+  assert.ok((await queryDdpIds()).includes(ENTRY.id), "cache is invalidated on create");
+
+  const duplicate = await call(categoryHandler, {
+    method: "POST",
+    query: { category: "ddp" },
+    body: { entry: ENTRY },
+  });
+  assert.equal(duplicate.statusCode, 409);
+  assert.equal(duplicate.body.error, "entry_exists");
+
+  const patched = await call(entryHandler, {
+    method: "PATCH",
+    query: { category: "ddp", id: ENTRY.id },
+    body: { entry: { title: "Supplier Qualification" }, expectedVersion: 1 },
+  });
+  assert.equal(patched.statusCode, 200);
+  assert.equal(patched.body.entry.version, 2);
+  assert.equal(patched.body.entry.title, "Supplier Qualification");
+  assert.equal(patched.body.entry.content, ENTRY.content);
+
+  const stale = await call(entryHandler, {
+    method: "PUT",
+    query: { category: "ddp", id: ENTRY.id },
+    body: { entry: ENTRY, expectedVersion: 1 },
+  });
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.body.error, "version_conflict");
+
+  const disabled = await call(entryHandler, {
+    method: "DELETE",
+    query: { category: "ddp", id: ENTRY.id },
+  });
+  assert.equal(disabled.statusCode, 200);
+  assert.equal(disabled.body.entry.disabled, true);
+  assert.ok(!(await queryDdpIds()).includes(ENTRY.id), "disabled entries are not queried");
+
+  const detail = await call(entryHandler, { query: { category: "ddp", id: ENTRY.id } });
+  assert.deepEqual(
+    detail.body.history.map((revision) => [revision.version, revision.action]),
+    [
+      [1, "create"],
+      [2, "update"],
+      [3, "disable"],
+    ]
+  );
+});
+
+test("template entries can be overridden and rejected edits are reported", async (t) => {
+  await withKnowledgeStore(t);
+
+  const invalid = await call(entryHandler, {
+    method: "PATCH",
+    query: { category: "ddp", id: "ddp-risk-management" },
+    body: { entry: { triggers: { conditions: [{ field: "risks", operator: "between" }] } } },
+  });
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error, "invalid_knowledge_entry");
+  assert.equal(invalid.body.errors[0].path, "/triggers/conditions/0/operator");
+
+  const updated = await call(entryHandler, {
+    method: "PATCH",
+    query: { category: "ddp", id: "ddp-risk-management" },
+    body: { entry: { priority: "low" } },
+  });
+  assert.equal(updated.statusCode, 200);
+  assert.equal(updated.body.entry.version, 2);
+  assert.equal(updated.body.entry.origin, "template");
+
+  const missing = await call(entryHandler, { query: { category: "ddp", id: "nope" } });
+  assert.equal(missing.statusCode, 404);
+  const unknown = await call(categoryHandler, { query: { category: "nope" } });
+  assert.equal(unknown.statusCode, 404);
+});
+
+test("knowledge export bundles round-trip through import", async (t) => {
+  await withKnowledgeStore(t);
+
+  const exported = await call(exportHandler, { query: { category: "ddp" } });
+  assert.equal(exported.statusCode, 200);
+  assert.match(exported.headers["content-disposition"], /knowledge-\d{4}-\d{2}-\d{2}\.json/);
+  assert.equal(exported.headers["x-frame-options"], "DENY", "export should run the security middleware");
+  const bundle = exported.body;
+  assert.deepEqual(
+    bundle.categories.map((category) => category.id),
+    ["ddp"]
+  );
+
+  const unchanged = await call(importHandler, { method: "POST", body: bundle });
+  assert.equal(unchanged.statusCode, 200);
+  assert.equal(unchanged.body.created.length, 0);
+  assert.equal(unchanged.body.updated.length, 0);
+
+  bundle.categories[0].entries.push({ ...ENTRY, category: "ddp", disabled: false });
+  bundle.categories[0].entries[0] = { ...bundle.categories[0].entries[0], disabled: true };
+
+  const dryRun = await call(importHandler, {
+    method: "POST",
+    query: { dryRun: "1" },
+    body: bundle,
+  });
+  assert.equal(dryRun.body.dryRun, true);
+  assert.deepEqual(dryRun.body.created, [{ category: "ddp", id: ENTRY.id }]);
+  assert.ok(!(await queryDdpIds()).includes(ENTRY.id), "dry runs do not write");
+
+  const applied = await call(importHandler, {
+    method: "POST",
+    body: { bundle },
+  });
+  assert.equal(applied.statusCode, 200);
+  assert.equal(applied.body.created.length, 1);
+  assert.equal(applied.body.updated.length, 1);
+  assert.ok((await queryDdpIds()).includes(ENTRY.id));
+
+  const rejected = await call(importHandler, {
+    method: "POST",
+    body: {
+      ...bundle,
+      categories: [{ id: "ddp", entries: [ENTRY, { ...ENTRY, type: "guide" }] }],
+    },
+  });
+  assert.equal(rejected.statusCode, 400);
+  assert.deepEqual(
+    rejected.body.errors.map((error) => error.path),
+    ["/categories/0/entries/1/type", "/categories/0/entries/1/id"]
+  );
+});
+
+test("knowledge writes require a signed-in admin or author and record them as the actor", async (t) => {
+  await withKnowledgeStore(t);
+  const create = (headers, actor) =>
+    call(categoryHandler, {
+      method: "POST",
+      query: { category: "ddp" },
+      body: { entry: ENTRY, actor },
+      headers,
+    });
+
+  const anonymous = await create({});
+  assert.equal(anonymous.statusCode, 401);
+
+  const reader = await create(bearer({ sub: "reader@example.com", email: "reader@example.com" }));
+  assert.equal(reader.statusCode, 403);
+  assert.equal(reader.body.error, "forbidden");
+
+  const imported = await call(importHandler, {
+    method: "POST",
+    body: { categories: [{ id: "ddp", entries: [ENTRY] }] },
+    headers: bearer({ sub: "reader@example.com" }),
+  });
+  assert.equal(imported.statusCode, 403);
+
+  const disabled = await call(entryHandler, {
+    method: "DELETE",
+    query: { category: "ddp", id: "ddp-risk-management" },
+    headers: {},
+  });
+  assert.equal(disabled.statusCode, 401);
+  assert.ok(!(await queryDdpIds()).includes(ENTRY.id));
+
+  const admin = await create(bearer({ sub: "admin-1", roles: ["admin"] }), "someone@else.com");
+  assert.equal(admin.statusCode, 201);
+  assert.equal(admin.body.entry.updatedBy, "admin-1");
+
+  process.env.AUTH_MODE = "off";
+  const unauthenticated = await call(entryHandler, {
+    method: "PATCH",
+    query: { category: "ddp", id: ENTRY.id },
+    body: { entry: { priority: "low" } },
+    headers: {},
+  });
+  assert.equal(unauthenticated.statusCode, 403);
+});
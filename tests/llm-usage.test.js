@@ -0,0 +1,290 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import streamHandler from "../api/chat/stream.ts";
+import usageHandler from "../api/usage.js";
+import { resolveModelPrice } from "../server/config/llmUsage.js";
+import { createLLMClient } from "../server/llm/index.js";
+import {
+  __setUsageStore,
+  flushUsageLedger,
+  meterLLMClient,
+  readUsageEntries,
+  runWithUsageContext,
+  usageDay,
+  withUsageContext,
+} from "../server/llm/usage/index.js";
+import { createMockResponse } from "./helpers/http.js";
+import { withRecordStores } from "./helpers/recordStores.js";
+
+async function withUsageStore(t, env = {}) {
+  const previous = {};
+  for (const [key, value] of Object.entries(env)) {
+    previous[key] = process.env[key];
+    process.env[key] = value;
+  }
+  await withRecordStores(
+    t,
+    { usage: __setUsageStore },
+    {
+      async beforeCleanup() {
+        await flushUsageLedger();
+        for (const [key, value] of Object.entries(previous)) {
+          if (value === undefined) {
+            delete process.env[key];
+          } else {
+            process.env[key] = value;
+          }
+        }
+      },
+    }
+  );
+}
+
+async function todaysEntries() {
+  const today = usageDay();
+  return readUsageEntries({ from: today, to: today });
+}
+
+function fakeStreamingClient(chunks, requests) {
+  return {
+    chat: {
+      completions: {
+        async create(request) {
+          requests.push(request);
+          return {
+            async *[Symbol.asyncIterator]() {
+              yield* chunks;
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+test("model prices match dated snapshots by longest prefix", () => {
+  assert.deepEqual(resolveModelPrice("gpt-4o-mini-2024-07-18"), { input: 0.15, output: 0.6 });
+  assert.deepEqual(resolveModelPrice("gpt-4o-mini-transcribe"), { input: 1.25, output: 5 });
+  assert.equal(resolveModelPrice("llama3"), null);
+});
+
+test("metered calls are recorded with tokens, cost, latency, and request tags", async (t) => {
+  await withUsageStore(t);
+  const { client } = createLLMClient("extraction", { provider: "mock", model: "gpt-4o-mini" });
+
+  const handler = withUsageContext(
+    async (req, res) => {
+      await client.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [{ role: "user", content: "Extract the sponsor." }],
+      });
+      res.status(200).json({ ok: true });
+    },
+    { route: "/api/documents/extract" }
+  );
+  await handler(
+    {
+      method: "POST",
+      headers: { "x-session-id": "session-1" },
+      body: JSON.stringify({ docType: "charter", charterId: "apollo" }),
+      user: { id: "user-1" },
+    },
+    createMockResponse()
+  );
+
+  const [entry] = await todaysEntries();
+  assert.equal(entry.task, "extraction");
+  assert.equal(entry.provider, "mock");
+  assert.equal(entry.model, "gpt-4o-mini");
+  assert.equal(entry.operation, "chat.completions");
+  assert.equal(entry.route, "/api/documents/extract");
+  assert.equal(entry.sessionId, "session-1");
+  assert.equal(entry.docType, "charter");
+  assert.equal(entry.charterId, "apollo");
+  assert.equal(entry.userId, "user-1");
+  assert.equal(entry.estimated, false);
+  assert.ok(entry.promptTokens > 0 && entry.completionTokens > 0);
+  assert.equal(entry.totalTokens, entry.promptTokens + entry.completionTokens);
+  assert.equal(
+    entry.costUsd,
+    Math.round(((entry.promptTokens * 0.15 + entry.completionTokens * 0.6) / 1e6) * 1e6) / 1e6
+  );
+  assert.ok(Number.isFinite(entry.latencyMs));
+});
+
+test("streamed chat asks OpenAI for usage and hides the usage chunk from callers", async (t) => {
+  await withUsageStore(t);
+  const requests = [];
+  const client = meterLLMClient(
+    fakeStreamingClient(
+      [
+        { choices: [{ delta: { content: "Hello" } }] },
+        { choices: [{ delta: { content: " there" } }] },
+        { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 } },
+      ],
+      requests
+    ),
+    { task: "chat", provider: "openai", model: "gpt-5-mini" }
+  );
+
+  const stream = await runWithUsageContext({ route: "/api/chat", sessionId: "thread-9" }, () =>
+    client.chat.completions.create({ model: "gpt-5-mini", messages: [], stream: true })
+  );
+  const seen = [];
+  for await (const chunk of stream) {
+    seen.push(chunk);
+  }
+
+  assert.deepEqual(requests[0].stream_options, { include_usage: true });
+  assert.equal(seen.length, 2);
+  const [entry] = await todaysEntries();
+  assert.equal(entry.stream, true);
+  assert.equal(entry.sessionId, "thread-9");
+  assert.equal(entry.promptTokens, 12);
+  assert.equal(entry.completionTokens, 2);
+  assert.equal(entry.estimated, false);
+});
+
+test("streams without usage from the provider are estimated", async (t) => {
+  await withUsageStore(t);
+  const requests = [];
+  const client = meterLLMClient(
+    fakeStreamingClient([{ choices: [{ delta: { content: "Some streamed reply" } }] }], requests),
+    { task: "chat", provider: "openai-compatible", model: "llama3" }
+  );
+
+  const stream = await client.chat.completions.create({
+    model: "llama3",
+    messages: [{ role: "user", content: "Say something" }],
+    stream: true,
+  });
+  for await (const chunk of stream) {
+    assert.ok(chunk);
+  }
+
+  assert.equal(requests[0].stream_options, undefined);
+  const [entry] = await todaysEntries();
+  assert.equal(entry.estimated, true);
+  assert.ok(entry.completionTokens > 0);
+  assert.equal(entry.costUsd, null);
+});
+
+test("budgets warn with a header and block once a hard limit is used up", async (t) => {
+  await withUsageStore(t, {
+    LLM_BUDGETS: JSON.stringify([
+      { name: "apollo-daily", scope: "charter", period: "day", maxTokens: 1, action: "block" },
+      { name: "org-daily", scope: "total", period: "day", maxTokens: 1 },
+    ]),
+  });
+  const { client } = createLLMClient("review", { provider: "mock", model: "gpt-4o-mini" });
+  const call = (charterId, res) =>
+    runWithUsageContext({ charterId, res }, () =>
+      client.chat.completions.create({ messages: [{ role: "user", content: "Review this." }] })
+    );
+
+  const first = createMockResponse();
+  await call("apollo", first);
+  assert.equal(first.headers["x-llm-budget-warning"], undefined);
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  t.after(() => {
+    console.warn = originalWarn;
+  });
+
+  await assert.rejects(call("apollo", createMockResponse()), (error) => {
+    assert.equal(error.name, "LLMProviderError");
+    assert.equal(error.code, "budget_exceeded");
+    assert.equal(error.statusCode, 429);
+    return true;
+  });
+
+  const other = createMockResponse();
+  await call("hermes", other);
+  assert.match(other.headers["x-llm-budget-warning"], /^org-daily=\d+%$/);
+
+  const entries = await todaysEntries();
+  assert.deepEqual(
+    entries.map((entry) => entry.charterId),
+    ["apollo", "hermes"]
+  );
+});
+
+test("the unmetered Edge chat stream is refused while a blocking budget is set", async (t) => {
+  await withUsageStore(t, {
+    OPENAI_API_KEY: "test-key",
+    LLM_BUDGETS: JSON.stringify([{ name: "daily", scope: "total", period: "day", maxTokens: 10, action: "block" }]),
+  });
+  const request = () =>
+    new Request("https://app.example/api/chat/stream?stream=1", {
+      method: "POST",
+      body: JSON.stringify({ threadId: "t-1", clientStreamId: "s-1", messages: [] }),
+    });
+
+  const blocked = await streamHandler(request());
+  assert.equal(blocked.status, 404);
+  assert.equal((await blocked.json()).code, "streaming_budget_blocked");
+
+  process.env.LLM_BUDGETS = JSON.stringify([
+    { name: "daily", scope: "total", period: "day", maxTokens: 10, action: "warn" },
+  ]);
+  const allowed = await streamHandler(request());
+  assert.notEqual(allowed.status, 404);
+  await allowed.body?.cancel();
+});
+
+test("usage report rolls up by day and project and validates its range", async (t) => {
+  await withUsageStore(t, {
+    LLM_BUDGETS: JSON.stringify([{ name: "charter-monthly", scope: "charter", maxCostUsd: 100 }]),
+  });
+  const { client } = createLLMClient("analysis", { provider: "mock", model: "gpt-4o-mini" });
+  for (const [charterId, docType] of [
+    ["apollo", "charter"],
+    ["apollo", "ddp"],
+    [null, "charter"],
+  ]) {
+    await runWithUsageContext({ charterId, docType }, () =>
+      client.chat.completions.create({ messages: [{ role: "user", content: `Analyze ${docType}` }] })
+    );
+  }
+
+  const res = createMockResponse();
+  await usageHandler({ method: "GET", query: { groupBy: "model" } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.totals.calls, 3);
+  assert.equal(res.body.daily.length, 1);
+  assert.equal(res.body.daily[0].date, usageDay());
+  assert.deepEqual(
+    res.body.projects.map(({ charterId, calls }) => [charterId, calls]),
+    [
+      ["apollo", 2],
+      [null, 1],
+    ]
+  );
+  assert.deepEqual(
+    res.body.projects[0].docTypes.map(({ docType }) => docType),
+    ["charter", "ddp"]
+  );
+  assert.deepEqual(
+    res.body.groups.map(({ key, calls }) => [key, calls]),
+    [["gpt-4o-mini", 3]]
+  );
+  assert.deepEqual(
+    res.body.budgets.map(({ name, key, status }) => [name, key, status]),
+    [["charter-monthly", "apollo", "ok"]]
+  );
+
+  const filtered = createMockResponse();
+  await usageHandler({ method: "GET", query: { charterId: "apollo", docType: "ddp" } }, filtered);
+  assert.equal(filtered.body.totals.calls, 1);
+
+  const invalid = createMockResponse();
+  await usageHandler({ method: "GET", query: { from: "2024-02-01", to: "2024-01-01" } }, invalid);
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.error, "invalid_range");
+
+  const tooLong = createMockResponse();
+  await usageHandler({ method: "GET", query: { from: "2020-01-01", to: "2024-01-01" } }, tooLong);
+  assert.equal(tooLong.body.error, "range_too_large");
+});
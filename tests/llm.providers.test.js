@@ -0,0 +1,245 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  LLMProviderError,
+  createLLMClient,
+  describeLLMError,
+  mapLLMError,
+  resolveTaskModel,
+  resolveTaskProvider,
+} from "../server/llm/index.js";
+
+test("resolveTaskModel prefers LLM_<TASK>_MODEL over legacy variables and defaults", () => {
+  assert.equal(resolveTaskModel("review", {}), "gpt-4o-mini");
+  assert.equal(resolveTaskModel("review", { REVIEW_MODEL: "gpt-4.1" }), "gpt-4.1");
+  assert.equal(
+    resolveTaskModel("review", { REVIEW_MODEL: "gpt-4.1", LLM_REVIEW_MODEL: "o4-mini" }),
+    "o4-mini"
+  );
+  assert.equal(resolveTaskModel("extraction", { EXTRACTION_MODEL: "gpt-4o" }), "gpt-4o");
+  assert.equal(resolveTaskModel("transcription", {}), "gpt-4o-mini-transcribe");
+});
+
+test("resolveTaskModel strips realtime suffixes from legacy chat models", () => {
+  assert.equal(resolveTaskModel("chat", {}), "gpt-5-mini");
+  assert.equal(resolveTaskModel("chat", { OPENAI_REALTIME_MODEL: "gpt-4o-realtime" }), "gpt-4o");
+  assert.equal(resolveTaskModel("chat", { CHAT_MODEL: "gpt-4.1", LLM_CHAT_MODEL: "llama3" }), "llama3");
+});
+
+test("resolveTaskProvider layers per-task overrides over LLM_PROVIDER", () => {
+  assert.equal(resolveTaskProvider("chat", {}), "openai");
+  assert.equal(resolveTaskProvider("chat", { LLM_PROVIDER: "Azure" }), "azure");
+  assert.equal(
+    resolveTaskProvider("review", { LLM_PROVIDER: "azure", LLM_REVIEW_PROVIDER: "mock" }),
+    "mock"
+  );
+  assert.throws(() => resolveTaskProvider("summarize", {}), /Unknown LLM task/);
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(resolveTaskProvider("chat", { LLM_PROVIDER: "bogus" }), "openai");
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test("describeLLMError maps provider failures onto shared codes", () => {
+  const ctx = { provider: "azure", model: "charter-gpt" };
+  assert.equal(describeLLMError({ status: 401 }, ctx).code, "invalid_api_key");
+  assert.equal(describeLLMError({ status: 404 }, ctx).code, "invalid_model");
+  assert.equal(
+    describeLLMError({ status: 0, message: "DeploymentNotFound: no such deployment" }, ctx).code,
+    "invalid_model"
+  );
+  assert.match(describeLLMError({ status: 400 }, ctx).message, /Azure OpenAI account/);
+  assert.equal(describeLLMError({ status: 429 }, ctx).code, "rate_limited");
+  assert.equal(describeLLMError({ status: 503 }, ctx).code, "service_unavailable");
+  assert.equal(
+    describeLLMError({ status: 400, message: "This model's maximum context length is 8192" }, ctx)
+      .code,
+    "context_length_exceeded"
+  );
+  assert.equal(describeLLMError({ status: 500, message: "boom" }, ctx), null);
+});
+
+test("mapLLMError wraps SDK errors with provider context", () => {
+  const mapped = mapLLMError(
+    Object.assign(new Error("Too many requests"), { status: 429 }),
+    { provider: "openai", model: "gpt-4o-mini", task: "extraction" }
+  );
+  assert.ok(mapped instanceof LLMProviderError);
+  assert.equal(mapped.statusCode, 429);
+  assert.equal(mapped.code, "rate_limited");
+  assert.equal(mapped.task, "extraction");
+
+  const unknown = mapLLMError(new Error("socket hang up"), { provider: "openai" });
+  assert.equal(unknown.statusCode, 500);
+  assert.equal(unknown.code, "llm_error");
+  assert.equal(mapLLMError(mapped), mapped);
+});
+
+test("createLLMClient reports missing credentials per provider", () => {
+  assert.throws(
+    () => createLLMClient("chat", { env: {}, provider: "openai" }),
+    (error) => error instanceof LLMProviderError && error.code === "missing_api_key"
+  );
+  assert.throws(
+    () => createLLMClient("review", { env: { AZURE_OPENAI_API_KEY: "k" }, provider: "azure" }),
+    /AZURE_OPENAI_ENDPOINT/
+  );
+  assert.throws(
+    () => createLLMClient("chat", { env: {}, provider: "openai-compatible" }),
+    /OPENAI_COMPATIBLE_BASE_URL/
+  );
+});
+
+test("createLLMClient passes provider settings to the SDK constructor", () => {
+  const seen = [];
+  class RecordingClient {
+    constructor(options) {
+      seen.push(options);
+    }
+  }
+
+  const compatible = createLLMClient("extraction", {
+    env: { LLM_PROVIDER: "openai-compatible", OPENAI_COMPATIBLE_BASE_URL: "http://localhost:11434/v1" },
+    OpenAIClient: RecordingClient,
+  });
+  assert.equal(compatible.provider, "openai-compatible");
+  assert.equal(compatible.supportsResponses, false);
+  assert.deepEqual(seen.pop(), { apiKey: "not-needed", baseURL: "http://localhost:11434/v1" });
+
+  const azure = createLLMClient("review", {
+    env: {
+      LLM_PROVIDER: "azure",
+      LLM_REVIEW_MODEL: "review-deployment",
+      AZURE_OPENAI_ENDPOINT: "https://example.openai.azure.com",
+      AZURE_OPENAI_API_KEY: "azure-key",
+    },
+    AzureOpenAIClient: RecordingClient,
+  });
+  assert.equal(azure.model, "review-deployment");
+  assert.deepEqual(seen.pop(), {
+    endpoint: "https://example.openai.azure.com",
+    apiKey: "azure-key",
+    apiVersion: "2024-10-21",
+  });
+});
+
+test("mock provider returns deterministic replies without network access", async () => {
+  const { client, provider, supportsResponses } = createLLMClient("chat", {
+    env: { LLM_PROVIDER: "mock" },
+  });
+  assert.equal(provider, "mock");
+  assert.equal(supportsResponses, true);
+
+  const request = { model: "gpt-5-mini", messages: [{ role: "user", content: "List the risks" }] };
+  const first = await client.chat.completions.create(request);
+  const second = await client.chat.completions.create(request);
+  assert.equal(first.choices[0].message.content, second.choices[0].message.content);
+  assert.match(first.choices[0].message.content, /List the risks$/);
+  assert.ok(first.usage.total_tokens > 0);
+
+  const stream = await client.chat.completions.create({ ...request, stream: true });
+  let streamed = "";
+  for await (const chunk of stream) {
+    streamed += chunk.choices[0].delta.content;
+  }
+  assert.equal(streamed, first.choices[0].message.content);
+
+  const json = await client.chat.completions.create({
+    ...request,
+    response_format: { type: "json_object" },
+  });
+  assert.equal(JSON.parse(json.choices[0].message.content).mock, true);
+});
+
+test("mock provider serves pinned fixtures per task", async () => {
+  const fixtures = { extraction: { project_name: "Apollo" }, transcription: "Hello there" };
+  const extraction = createLLMClient("extraction", { env: { LLM_PROVIDER: "mock" }, fixtures });
+  const completion = await extraction.client.chat.completions.create({ messages: [] });
+  assert.deepEqual(JSON.parse(completion.choices[0].message.content), { project_name: "Apollo" });
+
+  const transcription = createLLMClient("transcription", { env: { LLM_PROVIDER: "mock" }, fixtures });
+  const { text } = await transcription.client.audio.transcriptions.create({});
+  assert.equal(text, "Hello there");
+});
+
+function withEnv(t, values) {
+  const previous = Object.fromEntries(Object.keys(values).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+}
+
+test("streaming review resolves its client through the review task provider", async (t) => {
+  withEnv(t, { LLM_REVIEW_PROVIDER: "mock", LLM_REVIEW_MODEL: "review-deployment" });
+  const { default: reviewStreamHandler } = await import("../api/documents/review-stream.js");
+  const { createMockStreamResponse } = await import("./helpers/http.js");
+
+  const res = createMockStreamResponse();
+  await reviewStreamHandler(
+    { method: "POST", query: {}, body: { docType: "charter", document: { project_name: "Apollo" } } },
+    res
+  );
+
+  const events = res.events();
+  assert.equal(events.at(-1).event, "result");
+  assert.ok(!events.some((entry) => entry.event === "error"));
+});
+
+test("guided extraction uses chat completions tool calls on providers without the Responses API", async (t) => {
+  withEnv(t, {
+    LLM_EXTRACTION_PROVIDER: "openai-compatible",
+    LLM_EXTRACTION_MODEL: "llama3",
+    OPENAI_COMPATIBLE_BASE_URL: "http://localhost:11434/v1",
+  });
+  const { extractFieldsFromUtterance } = await import(
+    "../server/charter/extractFieldsFromUtterance.ts"
+  );
+  const queue = (process.__OPENAI_MOCK_RESPONSES ??= []);
+  const requests = [];
+  queue.push((request) => {
+    requests.push(request);
+    return {
+      choices: [
+        {
+          message: {
+            tool_calls: [
+              {
+                type: "function",
+                function: {
+                  name: "extract_charter_fields",
+                  arguments: JSON.stringify({ project_name: "Apollo" }),
+                },
+              },
+            ],
+          },
+        },
+      ],
+    };
+  });
+
+  const result = await extractFieldsFromUtterance({
+    messages: [{ role: "user", content: "The project is called Apollo." }],
+    requestedFieldIds: ["project_name"],
+  });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.fields, { project_name: "Apollo" });
+  assert.equal(requests[0].model, "llama3");
+  assert.deepEqual(requests[0].tool_choice, {
+    type: "function",
+    function: { name: "extract_charter_fields" },
+  });
+  assert.equal(requests[0].input, undefined);
+});
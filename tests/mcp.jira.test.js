@@ -0,0 +1,240 @@
+/**
+ * Jira MCP server tests
+ *
+ * Runs the Jira tool handlers against a recorded fetch so charter → issue
+ * mapping and status read-back are checked without a Jira site.
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { JiraClient } from "../mcp-servers/jira/index.js";
+import {
+  handleCreateChildIssues,
+  handleGetEpicStatus,
+  handlePushCharter,
+  parseMilestoneSummary,
+} from "../mcp-servers/jira/handlers.js";
+import { jiraTools } from "../mcp-servers/jira/tools.js";
+
+const charter = {
+  project_name: "Pump redesign",
+  problem: "Pumps fail under load",
+  sponsor: "Dana Reyes",
+  start_date: "2026-01-01",
+  end_date: "2026-06-30",
+  scope_in: ["Prototype housing", "  "],
+  milestones: [
+    { phase: "Build", deliverable: "Prototype", date: "2026-03-01" },
+    { phase: "Validate", deliverable: "Test report", date: "TBD" },
+  ],
+  risks: ["Supplier delay"],
+};
+
+function createJiraFake(routes = {}) {
+  const requests = [];
+  let nextId = 100;
+  const fetchImpl = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    requests.push({ method: init.method ?? "GET", pathname, searchParams, body, headers: init.headers });
+
+    let payload;
+    if (routes[pathname]) {
+      payload = routes[pathname]({ searchParams, body });
+    } else if (pathname === "/rest/api/3/issue") {
+      payload = { id: String(nextId), key: `PMO-${nextId++}` };
+    } else if (pathname === "/rest/api/3/issue/bulk") {
+      payload = {
+        issues: body.issueUpdates.map(() => ({ id: String(nextId), key: `PMO-${nextId++}` })),
+        errors: [],
+      };
+    } else {
+      return new Response("not found", { status: 404 });
+    }
+    return new Response(JSON.stringify(payload), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+  return { requests, fetchImpl };
+}
+
+function createContext(fetchImpl, overrides = {}) {
+  return {
+    client: new JiraClient(
+      { baseUrl: "https://example.atlassian.net/", email: "pm@example.com", apiToken: "token" },
+      fetchImpl
+    ),
+    defaultProjectKey: "PMO",
+    issueTypes: { epic: "Epic", task: "Task", risk: "Risk" },
+    ...overrides,
+  };
+}
+
+function parse(response) {
+  return JSON.parse(response.content[0].text);
+}
+
+test("jira tools are namespaced and declare their required inputs", () => {
+  assert.deepEqual(
+    jiraTools.map((tool) => tool.name),
+    [
+      "jira_push_charter",
+      "jira_get_epic_status",
+      "jira_create_epic",
+      "jira_create_child_issues",
+      "jira_create_risk_issues",
+    ]
+  );
+  for (const tool of jiraTools) {
+    assert.equal(tool.inputSchema.type, "object");
+  }
+});
+
+test("jira_push_charter creates the epic, milestone and scope children, and risks", async () => {
+  const { requests, fetchImpl } = createJiraFake();
+  const result = parse(await handlePushCharter({ charter }, createContext(fetchImpl)));
+
+  assert.equal(result.epicKey, "PMO-100");
+  assert.deepEqual(
+    result.milestones.map((issue) => issue.key),
+    ["PMO-101", "PMO-102"]
+  );
+  assert.deepEqual(result.scope, [{ key: "PMO-103", id: "103" }]);
+  assert.deepEqual(result.risks, [{ key: "PMO-104", id: "104" }]);
+  assert.equal(result.failed, 0);
+
+  const [epicRequest, childRequest, riskRequest] = requests;
+  assert.equal(
+    epicRequest.headers.Authorization,
+    `Basic ${Buffer.from("pm@example.com:token").toString("base64")}`
+  );
+  assert.deepEqual(epicRequest.body.fields.project, { key: "PMO" });
+  assert.deepEqual(epicRequest.body.fields.issuetype, { name: "Epic" });
+  assert.equal(epicRequest.body.fields.summary, "Pump redesign");
+  assert.equal(epicRequest.body.fields.duedate, "2026-06-30");
+
+  const children = childRequest.body.issueUpdates.map((update) => update.fields);
+  assert.deepEqual(
+    children.map((fields) => [fields.summary, fields.parent.key, fields.duedate, fields.labels]),
+    [
+      ["Build: Prototype", "PMO-100", "2026-03-01", ["charter", "charter-milestone"]],
+      ["Validate: Test report", "PMO-100", undefined, ["charter", "charter-milestone"]],
+      ["Prototype housing", "PMO-100", undefined, ["charter", "charter-scope"]],
+    ]
+  );
+
+  const [risk] = riskRequest.body.issueUpdates.map((update) => update.fields);
+  assert.deepEqual(risk.issuetype, { name: "Risk" });
+  assert.deepEqual(risk.labels, ["charter", "charter-risk"]);
+});
+
+test("jira bulk results stay aligned when Jira rejects an element", async () => {
+  const { fetchImpl } = createJiraFake({
+    "/rest/api/3/issue/bulk": ({ body }) => ({
+      issues: body.issueUpdates.slice(1).map((_, index) => ({ id: `${index}`, key: `PMO-${200 + index}` })),
+      errors: [{ status: 400, failedElementNumber: 0 }],
+    }),
+  });
+  const result = parse(
+    await handleCreateChildIssues(
+      { epicKey: "PMO-100", milestones: charter.milestones, scopeIn: ["Prototype housing"] },
+      createContext(fetchImpl)
+    )
+  );
+
+  assert.deepEqual(
+    result.milestones.map((issue) => issue.key),
+    ["PMO-200"]
+  );
+  assert.deepEqual(
+    result.scope.map((issue) => issue.key),
+    ["PMO-201"]
+  );
+  assert.equal(result.failed, 1);
+});
+
+test("jira handlers validate required inputs before calling Jira", async () => {
+  const { requests, fetchImpl } = createJiraFake();
+  const context = createContext(fetchImpl, { defaultProjectKey: undefined });
+
+  const missingProject = await handlePushCharter({ charter }, context);
+  assert.equal(missingProject.isError, true);
+  assert.match(parse(missingProject).error, /projectKey/);
+
+  const missingItems = await handleCreateChildIssues({ epicKey: "PMO-1" }, context);
+  assert.equal(missingItems.isError, true);
+
+  const injectedKey = await handleGetEpicStatus({ epicKey: 'PMO-1" OR project = HR' }, context);
+  assert.equal(injectedKey.isError, true);
+  assert.equal(requests.length, 0);
+});
+
+test("jira_get_epic_status maps child issues back to milestone progress", async () => {
+  const issue = (key, summary, labels, category, extra = {}) => ({
+    id: key,
+    key,
+    fields: {
+      summary,
+      labels,
+      status: { name: category === "done" ? "Done" : "In Progress", statusCategory: { key: category } },
+      ...extra,
+    },
+  });
+  const { requests, fetchImpl } = createJiraFake({
+    "/rest/api/3/issue/PMO-100": () =>
+      issue("PMO-100", "Pump redesign", ["charter"], "indeterminate"),
+    "/rest/api/3/search/jql": () => ({
+      issues: [
+        issue("PMO-101", "Build: Prototype", ["charter", "charter-milestone"], "done", {
+          duedate: "2026-03-01",
+        }),
+        issue("PMO-102", "Validate: Test report", ["charter", "charter-milestone"], "indeterminate"),
+        issue("PMO-103", "Prototype housing", ["charter", "charter-scope"], "done"),
+        issue("PMO-104", "Supplier delay", ["charter", "charter-risk"], "new"),
+      ],
+    }),
+  });
+
+  const result = parse(await handleGetEpicStatus({ epicKey: "PMO-100" }, createContext(fetchImpl)));
+
+  assert.equal(requests[1].searchParams.get("jql"), 'parent = "PMO-100" ORDER BY created ASC');
+  assert.deepEqual(result.epic, {
+    key: "PMO-100",
+    summary: "Pump redesign",
+    status: "In Progress",
+    statusCategory: "indeterminate",
+    done: false,
+  });
+  assert.deepEqual(result.milestones[0], {
+    issueKey: "PMO-101",
+    phase: "Build",
+    deliverable: "Prototype",
+    date: "2026-03-01",
+    status: "Done",
+    statusCategory: "done",
+    done: true,
+  });
+  assert.deepEqual(result.progress, {
+    milestones: { done: 1, total: 2, percent: 50 },
+    scope: { done: 1, total: 1, percent: 100 },
+    openRisks: 1,
+  });
+});
+
+test("jira client reports sanitized API errors", async () => {
+  const fetchImpl = async () => new Response("secret details", { status: 401 });
+  await assert.rejects(
+    () => createContext(fetchImpl).client.getIssue("PMO-1"),
+    { message: "Jira authentication failed" }
+  );
+});
+
+test("parseMilestoneSummary splits phase and deliverable", () => {
+  assert.deepEqual(parseMilestoneSummary("Build: Prototype: v2"), {
+    phase: "Build",
+    deliverable: "Prototype: v2",
+  });
+  assert.deepEqual(parseMilestoneSummary("Kickoff"), { phase: "Kickoff", deliverable: "" });
+});
@@ -0,0 +1,179 @@
+/**
+ * MCP remote transport tests
+ *
+ * Exercises Streamable HTTP and SSE connections, env-resolved auth headers,
+ * reconnect/backoff and health reporting against a local stub server.
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MCPClientManager,
+  resolveRemoteHeaders,
+} from "../server/mcp/MCPClientManager.js";
+import { createMcpStubServer } from "./helpers/mcpStubServer.js";
+
+const TOKEN = "stub-token";
+
+async function startStub(t) {
+  const stub = createMcpStubServer({ token: TOKEN });
+  await stub.start();
+  t.after(() => stub.stop());
+  return stub;
+}
+
+function createManager(t, config) {
+  const manager = new MCPClientManager([{ name: "remote", enabled: true, ...config }]);
+  t.after(() => manager.disconnectAll());
+  return manager;
+}
+
+async function waitFor(predicate, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await predicate()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  throw new Error("Timed out waiting for condition");
+}
+
+function withEnv(t, values) {
+  const previous = {};
+  for (const [key, value] of Object.entries(values)) {
+    previous[key] = process.env[key];
+    process.env[key] = value;
+  }
+  t.after(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+}
+
+test("resolveRemoteHeaders fills placeholders and drops headers with unset variables", () => {
+  const headers = resolveRemoteHeaders(
+    {
+      Authorization: "Bearer ${MCP_TEST_TOKEN}",
+      "X-Tenant": "${MCP_TEST_TENANT}",
+      "X-Client": "exact-va",
+    },
+    { MCP_TEST_TOKEN: "abc" }
+  );
+  assert.deepEqual(headers, { Authorization: "Bearer abc", "X-Client": "exact-va" });
+});
+
+for (const [transport, path] of [
+  ["streamable-http", "/mcp"],
+  ["sse", "/sse"],
+]) {
+  test(`${transport} transport connects with the env auth header and calls tools`, async (t) => {
+    const stub = await startStub(t);
+    withEnv(t, { MCP_STUB_URL: stub.url, MCP_STUB_TOKEN: TOKEN });
+
+    const manager = createManager(t, {
+      transport,
+      url: `\${MCP_STUB_URL}${path}`,
+      headers: { Authorization: "Bearer ${MCP_STUB_TOKEN}" },
+    });
+    await manager.initialize();
+
+    const tools = await manager.listAllTools();
+    assert.deepEqual(
+      tools.map((tool) => `${tool.serverName}__${tool.name}`),
+      ["remote__echo"]
+    );
+
+    const result = await manager.callTool("remote", "echo", { message: "hello" });
+    assert.deepEqual(result.content, [{ type: "text", text: "hello" }]);
+    assert.ok(stub.requests.every((request) => request.headers.authorization === `Bearer ${TOKEN}`));
+
+    const health = await manager.checkHealth();
+    assert.equal(health.remote.transport, transport);
+    assert.equal(health.remote.state, "connected");
+    assert.equal(health.remote.connected, true);
+    assert.equal(health.remote.toolCount, 1);
+    assert.equal(health.remote.retryCount, 0);
+    assert.equal(typeof health.remote.latencyMs, "number");
+    assert.ok(health.remote.lastConnectedAt);
+  });
+}
+
+test("remote server is marked failed once reconnect attempts are exhausted", async (t) => {
+  const stub = await startStub(t);
+
+  const manager = createManager(t, {
+    transport: "streamable-http",
+    url: `${stub.url}/mcp`,
+    headers: { Authorization: "Bearer wrong-token" },
+    reconnect: { maxRetries: 2, initialDelayMs: 10, maxDelayMs: 20, failedRetryDelayMs: 0 },
+  });
+  await manager.initialize();
+
+  await waitFor(() => manager.getStatus().remote.state === "failed");
+  const status = manager.getStatus().remote;
+  assert.equal(status.connected, false);
+  assert.equal(status.retryCount, 2);
+  assert.equal(status.nextRetryAt, null, "failedRetryDelayMs: 0 stops retrying");
+  assert.ok(status.lastError);
+  await assert.rejects(() => manager.callTool("remote", "echo", { message: "x" }), /not connected/);
+});
+
+test("failed remote server keeps retrying slowly and recovers", async (t) => {
+  const stub = await startStub(t);
+  stub.setAvailable(false);
+
+  const manager = createManager(t, {
+    transport: "streamable-http",
+    url: `${stub.url}/mcp`,
+    headers: { Authorization: `Bearer ${TOKEN}` },
+    reconnect: { maxRetries: 1, initialDelayMs: 10, maxDelayMs: 20, failedRetryDelayMs: 200 },
+  });
+  await manager.initialize();
+
+  await waitFor(() => manager.getStatus().remote.state === "failed");
+  const failed = manager.getStatus().remote;
+  assert.equal(failed.retryCount, 1);
+  assert.ok(failed.nextRetryAt, "a slow retry is scheduled");
+
+  stub.setAvailable(true);
+  await waitFor(() => manager.isConnected("remote"));
+  const status = manager.getStatus().remote;
+  assert.equal(status.state, "connected");
+  assert.equal(status.retryCount, 0);
+});
+
+test("remote server reconnects after the service restarts", async (t) => {
+  const stub = await startStub(t);
+
+  const manager = createManager(t, {
+    transport: "streamable-http",
+    url: `${stub.url}/mcp`,
+    headers: { Authorization: `Bearer ${TOKEN}` },
+    reconnect: { maxRetries: 50, initialDelayMs: 20, maxDelayMs: 100 },
+  });
+  await manager.initialize();
+  assert.equal(manager.isConnected("remote"), true);
+
+  stub.setAvailable(false);
+  const down = await manager.checkHealth(500);
+  assert.equal(down.remote.connected, false);
+  assert.ok(["reconnecting", "disconnected"].includes(down.remote.state));
+  assert.ok(down.remote.lastError);
+
+  stub.setAvailable(true);
+  await waitFor(() => manager.isConnected("remote"));
+
+  const result = await manager.callTool("remote", "echo", { message: "back" });
+  assert.deepEqual(result.content, [{ type: "text", text: "back" }]);
+  const status = manager.getStatus().remote;
+  assert.equal(status.state, "connected");
+  assert.equal(status.retryCount, 0);
+  assert.equal(status.lastError, null);
+});
@@ -0,0 +1,304 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import vm from "node:vm";
+
+import { createStorage, MemoryStorage } from "../src/state/persistence/storage.ts";
+import {
+  OFFLINE_QUEUE_MAX_ATTEMPTS,
+  OFFLINE_QUEUE_STORAGE_KEY,
+  configureOfflineQueueStorage,
+  enqueueOfflineRequest,
+  isOfflineError,
+  listOfflineRequests,
+  replayOfflineQueue,
+} from "../src/offline/offlineQueue.ts";
+import {
+  configureOfflineDraftStorage,
+  flushOfflineDraft,
+  loadOfflineDraft,
+  saveOfflineDraft,
+} from "../src/offline/draftPersistence.ts";
+import {
+  collectLockConflicts,
+  mergeIntoDraftWithLocks,
+} from "../src/lib/preview/mergeIntoDraftWithLocks.js";
+
+function useStorage() {
+  const storage = createStorage({ backend: new MemoryStorage(), prefix: "test_" });
+  configureOfflineQueueStorage(storage);
+  return storage;
+}
+
+function networkError() {
+  return new TypeError("Failed to fetch");
+}
+
+function setBrowserOnline(onLine) {
+  const previous = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+  Object.defineProperty(globalThis, "navigator", {
+    value: { onLine },
+    configurable: true,
+    writable: true,
+  });
+  return () => {
+    if (previous) {
+      Object.defineProperty(globalThis, "navigator", previous);
+    } else {
+      delete globalThis.navigator;
+    }
+  };
+}
+
+test("network failures while offline are offline errors; HTTP errors and aborts are not", (t) => {
+  t.after(setBrowserOnline(false));
+  assert.equal(isOfflineError(networkError()), true);
+
+  const wrapped = new Error("Failed to fetch");
+  wrapped.cause = networkError();
+  assert.equal(isOfflineError(wrapped), true);
+
+  const tagged = new Error("API unreachable");
+  tagged.offline = true;
+  assert.equal(isOfflineError(tagged), true);
+
+  const httpError = new Error("failed with status 500");
+  httpError.status = 500;
+  assert.equal(isOfflineError(httpError), false);
+
+  const abort = new Error("aborted");
+  abort.name = "AbortError";
+  assert.equal(isOfflineError(abort), false);
+  assert.equal(isOfflineError(null), false);
+  assert.equal(isOfflineError(new Error("Unexpected token < in JSON")), false);
+});
+
+test("a fetch TypeError while online is not an offline error", (t) => {
+  t.after(setBrowserOnline(true));
+  assert.equal(isOfflineError(networkError()), false);
+  assert.equal(isOfflineError(new TypeError("Cannot read properties of undefined")), false);
+
+  const tagged = new Error("API unreachable");
+  tagged.offline = true;
+  assert.equal(isOfflineError(tagged), true);
+});
+
+test("queued requests survive a reload and newer extractions replace older ones", () => {
+  const storage = useStorage();
+  enqueueOfflineRequest({ kind: "extract", docType: "charter", payload: { messages: ["one"] } });
+  enqueueOfflineRequest({ kind: "render", docType: "charter", payload: { baseName: "A" } });
+  enqueueOfflineRequest({ kind: "render", docType: "charter", payload: { baseName: "B" } });
+  enqueueOfflineRequest({ kind: "extract", docType: "charter", payload: { messages: ["two"] } });
+
+  assert.ok(storage.get(OFFLINE_QUEUE_STORAGE_KEY));
+  configureOfflineQueueStorage(storage);
+
+  const queued = listOfflineRequests();
+  assert.deepEqual(
+    queued.map((request) => [request.kind, request.payload]),
+    [
+      ["render", { baseName: "A" }],
+      ["render", { baseName: "B" }],
+      ["extract", { messages: ["two"] }],
+    ]
+  );
+});
+
+test("replay runs in order, stops while still offline, and drops failed requests", async (t) => {
+  t.after(setBrowserOnline(false));
+  useStorage();
+  enqueueOfflineRequest({ kind: "review", docType: "charter" });
+  enqueueOfflineRequest({ kind: "render", docType: "charter", payload: { baseName: "A" } });
+  enqueueOfflineRequest({ kind: "extract", docType: "charter" });
+
+  const calls = [];
+  let online = false;
+  const handlers = {
+    review: async (request) => {
+      calls.push(request.kind);
+      throw new Error("Review failed with status 422");
+    },
+    render: async (request) => {
+      calls.push(request.kind);
+      if (!online) {
+        throw networkError();
+      }
+    },
+    extract: async (request) => {
+      calls.push(request.kind);
+    },
+  };
+
+  const offline = await replayOfflineQueue(handlers);
+  assert.deepEqual(calls, ["review", "render"]);
+  assert.equal(offline.replayed.length, 0);
+  assert.equal(offline.failed.length, 1);
+  assert.equal(offline.remaining, 2);
+  const [render] = listOfflineRequests();
+  assert.equal(render.attempts, 1);
+  assert.equal(render.lastError, "Failed to fetch");
+
+  online = true;
+  calls.length = 0;
+  const back = await replayOfflineQueue(handlers);
+  assert.deepEqual(calls, ["render", "extract"]);
+  assert.equal(back.replayed.length, 2);
+  assert.equal(back.remaining, 0);
+  assert.deepEqual(listOfflineRequests(), []);
+});
+
+test("a request still offline after the attempt limit is dropped", async (t) => {
+  t.after(setBrowserOnline(false));
+  useStorage();
+  enqueueOfflineRequest({ kind: "render", docType: "charter", payload: { baseName: "A" } });
+  const handlers = {
+    render: async () => {
+      throw networkError();
+    },
+  };
+
+  for (let attempt = 1; attempt < OFFLINE_QUEUE_MAX_ATTEMPTS; attempt += 1) {
+    const summary = await replayOfflineQueue(handlers);
+    assert.equal(summary.failed.length, 0);
+    assert.equal(listOfflineRequests()[0].attempts, attempt);
+  }
+
+  const last = await replayOfflineQueue(handlers);
+  assert.equal(last.failed.length, 1);
+  assert.equal(last.remaining, 0);
+  assert.deepEqual(listOfflineRequests(), []);
+});
+
+test("a network TypeError during an online replay keeps the request for another attempt", async (t) => {
+  t.after(setBrowserOnline(true));
+  useStorage();
+  enqueueOfflineRequest({ kind: "render", docType: "charter", payload: { baseName: "A" } });
+  enqueueOfflineRequest({ kind: "extract", docType: "charter" });
+
+  let failures = 1;
+  const calls = [];
+  const handlers = {
+    render: async (request) => {
+      calls.push(request.kind);
+      if (failures > 0) {
+        failures -= 1;
+        throw networkError();
+      }
+    },
+    extract: async (request) => {
+      calls.push(request.kind);
+    },
+  };
+
+  const flaky = await replayOfflineQueue(handlers);
+  assert.deepEqual(calls, ["render"]);
+  assert.equal(flaky.failed.length, 0);
+  assert.equal(flaky.remaining, 2);
+  assert.equal(listOfflineRequests()[0].attempts, 1);
+
+  calls.length = 0;
+  const retried = await replayOfflineQueue(handlers);
+  assert.deepEqual(calls, ["render", "extract"]);
+  assert.equal(retried.replayed.length, 2);
+  assert.deepEqual(listOfflineRequests(), []);
+
+  enqueueOfflineRequest({ kind: "render", docType: "charter", payload: { baseName: "B" } });
+  failures = Infinity;
+  for (let attempt = 1; attempt < OFFLINE_QUEUE_MAX_ATTEMPTS; attempt += 1) {
+    await replayOfflineQueue(handlers);
+  }
+  const exhausted = await replayOfflineQueue(handlers);
+  assert.equal(exhausted.failed.length, 1);
+  assert.deepEqual(listOfflineRequests(), []);
+});
+
+test("the working draft and its locks are kept per doc type", () => {
+  const storage = createStorage({ backend: new MemoryStorage(), prefix: "test_" });
+  configureOfflineDraftStorage(storage);
+  saveOfflineDraft({
+    docType: "charter",
+    draft: { project_name: "Apollo" },
+    lockedPointers: ["/project_name"],
+  });
+  flushOfflineDraft();
+
+  configureOfflineDraftStorage(storage);
+  const restored = loadOfflineDraft("charter");
+  assert.deepEqual(restored.draft, { project_name: "Apollo" });
+  assert.deepEqual(restored.lockedPointers, ["/project_name"]);
+  assert.equal(loadOfflineDraft("ddp"), null);
+});
+
+test("a replayed extraction keeps offline edits and reports them as conflicts", () => {
+  const current = {
+    project_name: "Apollo (edited offline)",
+    sponsor: "",
+    milestones: [{ phase: "Build", date: "2025-02-21" }],
+  };
+  const extracted = {
+    project_name: "Apollo",
+    sponsor: "Dana",
+    milestones: [{ phase: "Build", date: "2025-03-01" }],
+  };
+  const locks = { project_name: true, "milestones.0.date": true, sponsor: false };
+
+  const conflicts = collectLockConflicts(current, extracted, locks);
+  assert.deepEqual(conflicts, [
+    {
+      path: "project_name",
+      pointer: "/project_name",
+      current: "Apollo (edited offline)",
+      incoming: "Apollo",
+    },
+    {
+      path: "milestones.0.date",
+      pointer: "/milestones/0/date",
+      current: "2025-02-21",
+      incoming: "2025-03-01",
+    },
+  ]);
+
+  const { draft } = mergeIntoDraftWithLocks(current, extracted, locks);
+  assert.equal(draft.project_name, "Apollo (edited offline)");
+  assert.equal(draft.sponsor, "Dana");
+  assert.equal(draft.milestones[0].date, "2025-02-21");
+
+  assert.deepEqual(collectLockConflicts(current, { project_name: "" }, locks), []);
+  assert.deepEqual(collectLockConflicts(current, extracted, {}), []);
+});
+
+test("the service worker precaches the build assets listed in the manifest on install", async () => {
+  const source = await readFile(new URL("../public/sw.js", import.meta.url), "utf8");
+
+  const cached = new Map();
+  const listeners = {};
+  const context = {
+    URL,
+    caches: {
+      open: async (name) => ({
+        addAll: async (urls) => cached.set(name, [...(cached.get(name) ?? []), ...urls]),
+      }),
+    },
+    fetch: async (url) => {
+      assert.equal(url, "/precache-manifest.json");
+      return new Response(JSON.stringify(["/assets/index-abc.js", "/assets/index-abc.css"]));
+    },
+    self: {
+      addEventListener: (type, listener) => {
+        listeners[type] = listener;
+      },
+      skipWaiting: async () => {},
+    },
+  };
+  context.self.location = { origin: "https://app.example" };
+  vm.runInNewContext(source, context);
+
+  let installing;
+  listeners.install({ waitUntil: (promise) => (installing = promise) });
+  await installing;
+
+  const urls = [...cached.values()].flat();
+  assert.ok(urls.includes("/index.html"));
+  assert.ok(urls.includes("/assets/index-abc.js"));
+  assert.ok(urls.includes("/assets/index-abc.css"));
+});
@@ -0,0 +1,241 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { getRateLimitPolicies, resolveRateLimitPolicies } from "../server/config/rateLimits.js";
+import { rateLimiter, securityMiddleware } from "../server/middleware/security.js";
+import { slidingWindow, tokenBucket } from "../server/middleware/rateLimit/algorithms.js";
+import {
+  FileRateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStoreFromEnv,
+} from "../server/middleware/rateLimit/index.js";
+import { createMockResponse } from "./helpers/http.js";
+
+const MINUTE = 60_000;
+
+function run(algorithm, policy, times) {
+  let state = null;
+  const decisions = [];
+  for (const now of times) {
+    const step = algorithm(state, policy, now);
+    state = step.state;
+    decisions.push(step.decision);
+  }
+  return decisions;
+}
+
+test("sliding window weights the previous window by its remaining overlap", () => {
+  const policy = { limit: 4, windowMs: MINUTE };
+  const decisions = run(slidingWindow, policy, [
+    MINUTE + 1_000,
+    MINUTE + 2_000,
+    MINUTE + 3_000,
+    MINUTE + 4_000,
+    MINUTE + 5_000,
+    // Halfway into the next window, half of the previous 4 still count
+    2 * MINUTE + 30_000,
+    2 * MINUTE + 31_000,
+    2 * MINUTE + 32_000,
+  ]);
+
+  assert.deepEqual(
+    decisions.map((decision) => decision.allowed),
+    [true, true, true, true, false, true, true, false]
+  );
+  assert.equal(decisions[3].remaining, 0);
+  assert.equal(decisions[4].retryAfterMs, 55_000 + 15_000);
+  assert.equal(decisions[6].remaining, 0);
+  assert.equal(decisions[7].retryAfterMs, 13_000);
+});
+
+test("token bucket allows a burst and then refills at limit per window", () => {
+  const policy = { limit: 3, windowMs: 30_000 };
+  const decisions = run(tokenBucket, policy, [0, 1, 2, 3, 10_000, 10_001]);
+
+  assert.deepEqual(
+    decisions.map((decision) => decision.allowed),
+    [true, true, true, false, true, false]
+  );
+  assert.equal(decisions[3].retryAfterMs, 9_997);
+  assert.equal(decisions[2].resetMs, 29_998);
+});
+
+test("file store shares counts between store instances on the same directory", async (t) => {
+  const baseDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "rate-limit-"));
+  t.after(() => fs.rm(baseDirectory, { recursive: true, force: true }));
+  const first = new FileRateLimitStore({ baseDirectory });
+  const second = new FileRateLimitStore({ baseDirectory });
+  const policy = { algorithm: "sliding-window", limit: 3, windowMs: MINUTE };
+
+  const decisions = await Promise.all([
+    first.consume("ip:1", policy, { now: 1_000 }),
+    second.consume("ip:1", policy, { now: 1_000 }),
+    first.consume("ip:1", policy, { now: 1_000 }),
+    second.consume("ip:1", policy, { now: 1_000 }),
+  ]);
+  assert.equal(decisions.filter((decision) => decision.allowed).length, 3);
+  assert.equal((await second.consume("ip:2", policy, { now: 1_000 })).allowed, true);
+
+  const files = await fs.readdir(baseDirectory);
+  assert.equal(files.length, 2);
+  assert.ok(files.every((name) => /^[0-9a-f]{40}\.json$/.test(name)));
+
+  await first.cleanup(10 * MINUTE);
+  assert.deepEqual(await fs.readdir(baseDirectory), []);
+});
+
+test("redis store evaluates the policy script atomically over the REST protocol", async () => {
+  const requests = [];
+  const store = new RedisRateLimitStore({
+    url: "https://redis.example.com/",
+    token: "secret",
+    fetchImpl: async (url, init) => {
+      requests.push({ url, init, body: JSON.parse(init.body) });
+      return new Response(JSON.stringify({ result: [0, 0, 40_000, 12_000] }), { status: 200 });
+    },
+  });
+
+  const decision = await store.consume("llm:ip:1", {
+    algorithm: "token-bucket",
+    limit: 10,
+    windowMs: MINUTE,
+  });
+
+  assert.deepEqual(decision, { allowed: false, remaining: 0, resetMs: 40_000, retryAfterMs: 12_000 });
+  const [{ url, init, body }] = requests;
+  assert.equal(url, "https://redis.example.com");
+  assert.equal(init.headers.Authorization, "Bearer secret");
+  assert.equal(body[0], "EVAL");
+  assert.match(body[1], /tokens/);
+  assert.deepEqual(body.slice(2), ["1", "ratelimit:llm:ip:1", "10", "60000"]);
+
+  const failing = new RedisRateLimitStore({
+    url: "https://redis.example.com",
+    fetchImpl: async () => new Response(JSON.stringify({ error: "ERR script" }), { status: 400 }),
+  });
+  await assert.rejects(
+    () => failing.consume("k", { algorithm: "sliding-window", limit: 1, windowMs: MINUTE }),
+    { name: "RedisRateLimitStoreError" }
+  );
+});
+
+test("store selection follows RATE_LIMIT_STORE", () => {
+  assert.equal(createRateLimitStoreFromEnv({}).kind, "memory");
+  assert.equal(createRateLimitStoreFromEnv({ RATE_LIMIT_STORE: "file" }).kind, "file");
+  assert.equal(
+    createRateLimitStoreFromEnv({
+      RATE_LIMIT_STORE: "redis",
+      UPSTASH_REDIS_REST_URL: "https://redis.example.com",
+    }).kind,
+    "redis"
+  );
+  assert.throws(() => createRateLimitStoreFromEnv({ RATE_LIMIT_STORE: "redis" }), /RATE_LIMIT_REDIS_URL/);
+});
+
+test("LLM routes draw from a shared budget on top of their route policy", () => {
+  assert.deepEqual(
+    resolveRateLimitPolicies("/api/chat", { env: {} }).map((policy) => policy.name),
+    ["default", "llm", "llm-hourly"]
+  );
+  assert.deepEqual(
+    resolveRateLimitPolicies("/api/charters/x/approvals", { env: {} }).map((policy) => policy.name),
+    ["default"]
+  );
+  assert.deepEqual(
+    resolveRateLimitPolicies("/api/other-llm", { isOpenAI: true, env: {} }).map((policy) => policy.name),
+    ["default", "llm", "llm-hourly"]
+  );
+
+  const policies = getRateLimitPolicies({
+    RATE_LIMIT_POLICIES: JSON.stringify({ llm: { authenticated: 50, algorithm: "bogus" }, reports: { anonymous: 5 } }),
+  });
+  assert.equal(policies.llm.authenticated, 50);
+  assert.equal(policies.llm.algorithm, "token-bucket");
+  assert.equal(policies.reports.anonymous, 5);
+  assert.equal(policies.reports.windowMs, policies.default.windowMs);
+});
+
+function request(ip, extra = {}) {
+  return { method: "POST", headers: { "x-forwarded-for": ip }, ...extra };
+}
+
+async function callLimiter(middleware, req) {
+  const res = createMockResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test("rateLimiter sets RateLimit headers and rejects with 429 once the LLM budget is spent", async (t) => {
+  const store = new MemoryRateLimitStore();
+  t.after(() => store.close());
+  const chat = rateLimiter({ route: "/api/chat", store });
+  const review = rateLimiter({ route: "/api/documents/review", store });
+  const render = rateLimiter({ route: "/api/documents/render", store });
+
+  const first = await callLimiter(chat, request("203.0.113.5"));
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers["ratelimit-policy"], "30;w=60, 10;w=60, 60;w=3600");
+  assert.equal(first.res.headers["ratelimit-limit"], "10");
+  assert.equal(first.res.headers["ratelimit-remaining"], "9");
+
+  for (let i = 0; i < 9; i += 1) {
+    await callLimiter(i % 2 ? chat : review, request("203.0.113.5"));
+  }
+
+  const blocked = await callLimiter(review, request("203.0.113.5"));
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.body.error.code, "RATE_LIMITED");
+  assert.equal(blocked.res.body.error.policy, "llm");
+  assert.equal(blocked.res.headers["retry-after"], "6");
+  assert.equal(blocked.res.headers["ratelimit-remaining"], "0");
+
+  // Other routes and other callers keep their own budgets
+  assert.equal((await callLimiter(render, request("203.0.113.5"))).passed, true);
+  assert.equal((await callLimiter(chat, request("198.51.100.7"))).passed, true);
+
+  // Signed-in users are limited per user with the authenticated budget
+  const user = await callLimiter(chat, request("203.0.113.5", { user: { id: "u-1" } }));
+  assert.equal(user.passed, true);
+  assert.equal(user.res.headers["ratelimit-limit"], "20");
+});
+
+test("rateLimiter lets requests through when the store fails", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const store = {
+    async consume() {
+      throw new Error("connection refused");
+    },
+  };
+  const { res, passed } = await callLimiter(rateLimiter({ route: "/api/chat", store }), request("1.1.1.1"));
+  assert.equal(passed, true);
+  assert.equal(res.headers["ratelimit-limit"], undefined);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("securityMiddleware waits for the async rate limiter before continuing", async () => {
+  const middleware = securityMiddleware({ route: "/api/documents/render", rateLimit: 1 });
+  const req = request("192.0.2.44", { method: "GET" });
+
+  const first = createMockResponse();
+  let continued = false;
+  await middleware(req, first, () => {
+    continued = true;
+  });
+  assert.equal(continued, true);
+
+  const second = createMockResponse();
+  continued = false;
+  await middleware(req, second, () => {
+    continued = true;
+  });
+  assert.equal(continued, false);
+  assert.equal(second.statusCode, 429);
+});
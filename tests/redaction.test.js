@@ -0,0 +1,173 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import extractHandler from "../api/documents/extract.js";
+import {
+  compilePatternDictionary,
+  createRedactionSession,
+  resolveRedactionDetectors,
+} from "../server/documents/sanitization/redaction.js";
+import { createMockResponse } from "./helpers/http.js";
+
+const SCOPE_TEXT = [
+  "Contact jane.doe@example.com or (608) 555-0142 for access.",
+  "Patient MRN: 00482913, SSN 123-45-6789.",
+  "Escalate to jane.doe@example.com. Badge EMP-004211, client Northwind.",
+].join("\n");
+
+test("built-in detectors swap values for stable placeholders and restore them", () => {
+  const session = createRedactionSession({
+    detectors: resolveRedactionDetectors({ detectors: null, patterns: null }),
+  });
+
+  const redacted = session.redact({ attachments: [{ name: "scope.txt", text: SCOPE_TEXT }] });
+  const text = redacted.attachments[0].text;
+  assert.equal(
+    text,
+    [
+      "Contact [EMAIL_1] or [PHONE_1] for access.",
+      "Patient MRN: [MRN_1], SSN [SSN_1].",
+      "Escalate to [EMAIL_1]. Badge EMP-004211, client Northwind.",
+    ].join("\n")
+  );
+  assert.equal(redacted.attachments[0].name, "scope.txt");
+
+  const restored = session.restore({ sponsor: "[EMAIL_1]", notes: ["Call [PHONE_1]", "[OTHER_1]"] });
+  assert.deepEqual(restored, {
+    sponsor: "jane.doe@example.com",
+    notes: ["Call (608) 555-0142", "[OTHER_1]"],
+  });
+
+  assert.deepEqual(session.report(), {
+    total: 5,
+    detectors: { email: 2, ssn: 1, mrn: 1, phone: 1 },
+    unique: 4,
+    restored: 2,
+  });
+});
+
+test("custom dictionaries add regex and term detectors; detector ids can be limited", () => {
+  const detectors = resolveRedactionDetectors({
+    detectors: ["email"],
+    patterns: {
+      employee_id: "\\bEMP-\\d{6}\\b",
+      CLIENT: ["Northwind", "Contoso"],
+      broken: "(",
+    },
+  });
+  assert.deepEqual(
+    detectors.map((detector) => detector.id),
+    ["email", "employee_id", "client"]
+  );
+
+  const session = createRedactionSession({ detectors });
+  assert.equal(
+    session.redact(SCOPE_TEXT).split("\n")[2],
+    "Escalate to [EMAIL_1]. Badge [EMPLOYEE_ID_1], client [CLIENT_1]."
+  );
+  // The SSN detector was not selected
+  assert.match(session.redact(SCOPE_TEXT), /123-45-6789/);
+  assert.deepEqual(compilePatternDictionary(null), []);
+});
+
+test("/api/documents/extract redacts prompt text, restores the payload, and audits the report", async (t) => {
+  const analyticsEvents = [];
+  const toolCalls = [];
+  const originalHook = globalThis.__analyticsHook__;
+  const previousOverrides = globalThis.__charterExtractionOverrides__;
+  globalThis.__analyticsHook__ = (event, payload) => {
+    analyticsEvents.push({ event, payload });
+  };
+  globalThis.__charterExtractionOverrides__ = {
+    extractFieldsFromUtterance: async (request) => {
+      toolCalls.push(request);
+      return {
+        ok: true,
+        fields: { sponsor: "Jane Doe ([EMAIL_1])" },
+        warnings: [],
+        rawToolArguments: {},
+      };
+    },
+  };
+  t.after(() => {
+    globalThis.__analyticsHook__ = originalHook;
+    if (previousOverrides === undefined) {
+      delete globalThis.__charterExtractionOverrides__;
+    } else {
+      globalThis.__charterExtractionOverrides__ = previousOverrides;
+    }
+  });
+
+  const res = createMockResponse();
+  await extractHandler(
+    {
+      method: "POST",
+      query: { docType: "charter" },
+      body: {
+        guided: true,
+        docType: "charter",
+        requestedFieldIds: ["sponsor"],
+        attachments: [{ name: "Scope", text: SCOPE_TEXT }],
+        messages: [{ role: "user", text: "The sponsor is reachable at jane.doe@example.com." }],
+        seed: { sponsor: "Ops lead, (608) 555-0142" },
+      },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.fields, { sponsor: "Jane Doe (jane.doe@example.com)" });
+
+  const prompt = JSON.stringify(toolCalls[0]);
+  assert.doesNotMatch(prompt, /jane\.doe@example\.com|123-45-6789|00482913|555-0142/);
+  assert.match(toolCalls[0].messages[0].content, /reachable at \[EMAIL_1\]/);
+  assert.match(toolCalls[0].seed.sponsor, /^Ops lead, \[PHONE_1\]$/);
+
+  const audit = analyticsEvents.find((entry) => entry.event === "documents.redaction");
+  assert.ok(audit, "redaction report missing from the audit log");
+  assert.equal(audit.payload.status, "extract");
+  assert.equal(audit.payload.redaction.detectors.email, 3);
+  assert.equal(audit.payload.redaction.restored, 1);
+  assert.doesNotMatch(JSON.stringify(audit.payload), /jane\.doe@example\.com/);
+});
+
+test("PII_REDACTION_ENABLED=false sends text through unchanged", async (t) => {
+  const original = process.env.PII_REDACTION_ENABLED;
+  process.env.PII_REDACTION_ENABLED = "false";
+  const toolCalls = [];
+  const previousOverrides = globalThis.__charterExtractionOverrides__;
+  globalThis.__charterExtractionOverrides__ = {
+    extractFieldsFromUtterance: async (request) => {
+      toolCalls.push(request);
+      return { ok: true, fields: {}, warnings: [], rawToolArguments: {} };
+    },
+  };
+  t.after(() => {
+    if (original === undefined) {
+      delete process.env.PII_REDACTION_ENABLED;
+    } else {
+      process.env.PII_REDACTION_ENABLED = original;
+    }
+    if (previousOverrides === undefined) {
+      delete globalThis.__charterExtractionOverrides__;
+    } else {
+      globalThis.__charterExtractionOverrides__ = previousOverrides;
+    }
+  });
+
+  await extractHandler(
+    {
+      method: "POST",
+      query: { docType: "charter" },
+      body: {
+        guided: true,
+        docType: "charter",
+        requestedFieldIds: ["sponsor"],
+        attachments: [{ name: "Scope", text: SCOPE_TEXT }],
+      },
+    },
+    createMockResponse()
+  );
+
+  assert.equal(toolCalls[0].attachments[0].text, SCOPE_TEXT);
+});
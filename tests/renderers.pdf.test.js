@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+
+import { renderPdfBufferForDocType } from "../api/documents/render.js";
+import { getFormatHandlersForDocType } from "../api/documents/download.js";
+import { getDocTypeConfig, listSupportedDocTypes } from "../lib/doc/registry.js";
+import { buildPdfDefinition } from "../templates/pdf/schema.pdfdef.mjs";
+import { buildPdfDefinition as buildCharterPdfDefinition } from "../templates/pdf/charter.pdfdef.mjs";
+import { MINIMAL_INVALID_DDP, MINIMAL_VALID_DDP } from "./fixtures/doc/ddp.js";
+import { MINIMAL_VALID_SOW } from "./fixtures/doc/sow.js";
+
+function collectText(node, output = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectText(child, output));
+  } else if (node && typeof node === "object") {
+    for (const [key, child] of Object.entries(node)) {
+      if (key === "text" && typeof child === "string") {
+        output.push(child);
+      } else {
+        collectText(child, output);
+      }
+    }
+  }
+  return output;
+}
+
+test("buildPdfDefinition lays out scalars in a table and gives each array its own section", () => {
+  const schema = {
+    title: "Plan",
+    properties: {
+      project_name: { type: "string", title: "Project" },
+      kickoff: { type: "string", format: "date" },
+      risks: { type: "array", items: { type: "string" } },
+      phases: {
+        type: "array",
+        items: { type: "object", properties: { name: { type: "string" } } },
+      },
+    },
+  };
+
+  const definition = buildPdfDefinition(
+    {
+      project_name: "Apollo",
+      kickoff: "2025-01-15",
+      risks: [],
+      phases: [{ name: "Build", owner: "Casey" }],
+      notes: "Captured outside the schema",
+    },
+    { schema, label: "Design Plan" }
+  );
+
+  const text = collectText(definition.content);
+  assert.ok(text.includes("Design Plan"));
+  assert.ok(text.includes("Project:"));
+  assert.ok(text.includes("January 15, 2025"));
+  assert.ok(text.includes("Notes:"));
+  assert.ok(text.includes("Captured outside the schema"));
+
+  // Empty arrays keep their section with a placeholder
+  const risksIndex = text.indexOf("Risks");
+  assert.ok(risksIndex > -1);
+  assert.equal(text[risksIndex + 1], "Not provided");
+
+  // Object arrays become tables; columns missing from the schema are appended
+  const phaseTable = definition.content.find(
+    (node) => node.table?.headerRows === 1
+  );
+  assert.deepEqual(
+    phaseTable.table.body.map((row) => row.map((cell) => cell.text)),
+    [
+      ["Name", "Owner"],
+      ["Build", "Casey"],
+    ]
+  );
+});
+
+test("every registered doc type resolves a PDF definition and a pdf download handler", () => {
+  for (const docType of listSupportedDocTypes()) {
+    const config = getDocTypeConfig(docType);
+    assert.equal(typeof config.render.buildPdfDefinition, "function", docType);
+    assert.ok(getFormatHandlersForDocType(docType).pdf, `pdf handler missing for ${docType}`);
+  }
+  assert.equal(getDocTypeConfig("charter").render.buildPdfDefinition, buildCharterPdfDefinition);
+  assert.equal(getDocTypeConfig("ddp").render.buildPdfDefinition, buildPdfDefinition);
+});
+
+test("renderPdfBufferForDocType renders ddp and sow documents", async () => {
+  for (const [docType, document] of [
+    ["ddp", MINIMAL_VALID_DDP],
+    ["sow", MINIMAL_VALID_SOW],
+  ]) {
+    const buffer = await renderPdfBufferForDocType(docType, document);
+    assert.ok(Buffer.isBuffer(buffer), `Expected a Buffer for ${docType}`);
+    assert.equal(buffer.subarray(0, 5).toString("utf8"), "%PDF-");
+  }
+});
+
+test("renderPdfBufferForDocType rejects documents that fail validation", async () => {
+  await assert.rejects(renderPdfBufferForDocType("ddp", MINIMAL_INVALID_DDP), (error) => {
+    assert.equal(error.name, "DDPValidationError");
+    assert.equal(error.statusCode, 400);
+    return true;
+  });
+  await assert.rejects(renderPdfBufferForDocType("unknown", {}), {
+    name: "UnsupportedDocTypeError",
+  });
+});
+
+test("renderPdfBufferForDocType renders charter labels and dates in the requested language", async (t) => {
+  const charter = JSON.parse(await readFile(new URL("../samples/charter.smoke.json", import.meta.url), "utf8"));
+  const build = t.mock.method(getDocTypeConfig("charter").render, "buildPdfDefinition");
+
+  const german = await renderPdfBufferForDocType("charter", charter, { language: "de" });
+  assert.equal(german.subarray(0, 5).toString("utf8"), "%PDF-");
+  const germanText = collectText(build.mock.calls[0].result.content);
+  assert.ok(germanText.includes("Allgemeine Projektinformationen"));
+  assert.ok(germanText.includes("Projektname:"));
+  assert.ok(germanText.includes("Kernteam"));
+  assert.ok(germanText.includes("6. Januar 2025"));
+  assert.ok(!germanText.includes("Project Name:"));
+
+  await renderPdfBufferForDocType("charter", charter, { language: "es-MX", bilingual: true });
+  const bilingualText = collectText(build.mock.calls[1].result.content);
+  assert.ok(bilingualText.some((text) => text.endsWith(" / Project Name:")));
+
+  await renderPdfBufferForDocType("charter", charter);
+  const englishText = collectText(build.mock.calls[2].result.content);
+  assert.ok(englishText.includes("Project Name:"));
+  assert.ok(englishText.includes("January 6, 2025"));
+});
@@ -0,0 +1,168 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+
+import { buildWorkbookSheets, renderXlsxBuffer } from "../templates/renderers.js";
+import { createSheetName, toExcelDateSerial } from "../lib/doc/xlsx.js";
+import { MINIMAL_VALID_DDP } from "./fixtures/doc/ddp.js";
+import { MINIMAL_VALID_SOW } from "./fixtures/doc/sow.js";
+
+const CHARTER = {
+  project_name: "AI Launch",
+  sponsor: "Alice Example",
+  project_lead: "Bob Example",
+  start_date: "2024-01-01",
+  end_date: "2024-12-31",
+  vision: "Deliver an AI assistant to every PM team.",
+  scope_in: ["Research", "Pilot"],
+  risks: ["Integration delays", "Budget <constraints> & approvals"],
+  milestones: [
+    { phase: "Discovery", deliverable: "Pilot findings", date: "2024-04-15" },
+    { phase: "Rollout", deliverable: "GA release", date: "2024-10-01" },
+  ],
+  core_team: [{ name: "Sam", role: "Sponsor", responsibilities: ["Funding", "Escalations"] }],
+};
+
+function readZipEntries(buffer) {
+  const entries = new Map();
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf8", offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.set(name, (method === 8 ? zlib.inflateRawSync(data) : data).toString("utf8"));
+    offset = dataStart + compressedSize;
+  }
+  return entries;
+}
+
+function listSheetNames(entries) {
+  const workbook = entries.get("xl/workbook.xml");
+  return [...workbook.matchAll(/<sheet name="([^"]+)"/g)].map((match) => match[1]);
+}
+
+function readSheetText(entries, index) {
+  const xml = entries.get(`xl/worksheets/sheet${index + 1}.xml`);
+  return [...xml.matchAll(/<t xml:space="preserve">([^<]*)<\/t>/g)].map((match) => match[1]);
+}
+
+test("buildWorkbookSheets puts scalars on the summary sheet and arrays on their own sheets", () => {
+  const schema = {
+    properties: {
+      project_name: { type: "string" },
+      start_date: { type: "string", format: "date" },
+      budget: { type: "number" },
+      risks: { type: "array", items: { type: "string" } },
+      milestones: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { phase: { type: "string" }, date: { type: "string", format: "date" } },
+        },
+      },
+    },
+  };
+
+  const sheets = buildWorkbookSheets(
+    schema,
+    {
+      project_name: "Apollo",
+      start_date: "2025-01-15",
+      budget: "1200",
+      risks: ["Vendor delay"],
+      milestones: [{ phase: "Build", date: "2025-03-01", owner: "Casey" }],
+      notes: "Captured outside the schema",
+      tags: ["alpha"],
+    },
+    { label: "Charter" }
+  );
+
+  assert.deepEqual(
+    sheets.map((sheet) => sheet.name),
+    ["Summary", "Risks", "Milestones", "Tags"]
+  );
+
+  const [summary, risks, milestones] = sheets;
+  assert.deepEqual(summary.header, ["Field", "Value"]);
+  assert.deepEqual(summary.rows, [
+    ["Document Type", "Charter"],
+    ["Project Name", "Apollo"],
+    ["Start Date", { type: "date", value: "2025-01-15" }],
+    ["Budget", 1200],
+    ["Notes", "Captured outside the schema"],
+  ]);
+  assert.deepEqual(risks.header, ["#", "Risks"]);
+  assert.deepEqual(risks.rows, [[1, "Vendor delay"]]);
+  assert.deepEqual(milestones.header, ["#", "Phase", "Date", "Owner"]);
+  assert.deepEqual(milestones.rows, [
+    [1, "Build", { type: "date", value: "2025-03-01" }, "Casey"],
+  ]);
+});
+
+test("createSheetName strips invalid characters and de-duplicates", () => {
+  const used = new Set();
+  assert.equal(createSheetName("Risks / Issues: [Open]", used), "Risks Issues Open");
+  assert.equal(createSheetName("risks issues open", used), "risks issues open (2)");
+  assert.equal(createSheetName("x".repeat(40), used).length, 31);
+  assert.equal(createSheetName("", used), "Sheet");
+});
+
+test("toExcelDateSerial converts ISO dates and rejects invalid ones", () => {
+  assert.equal(toExcelDateSerial("1900-03-01"), 61);
+  assert.equal(toExcelDateSerial("2025-01-15"), 45672);
+  assert.equal(toExcelDateSerial("2025-02-30"), null);
+  assert.equal(toExcelDateSerial("next week"), null);
+});
+
+test("renderXlsxBuffer writes a charter workbook driven by the charter schema", async () => {
+  const buffer = await renderXlsxBuffer("charter", CHARTER);
+  const entries = readZipEntries(buffer);
+
+  assert.ok(entries.has("[Content_Types].xml"));
+  assert.ok(entries.has("xl/styles.xml"));
+  assert.deepEqual(listSheetNames(entries), [
+    "Summary",
+    "Scope In",
+    "Scope Out",
+    "Risks",
+    "Assumptions",
+    "Milestones",
+    "Success Metrics",
+    "Core Team",
+  ]);
+
+  const summaryText = readSheetText(entries, 0);
+  assert.ok(summaryText.includes("Project Name"));
+  assert.ok(summaryText.includes("AI Launch"));
+  assert.match(entries.get("xl/worksheets/sheet1.xml"), /<c r="B\d+" s="2"><v>45292<\/v><\/c>/);
+
+  const riskText = readSheetText(entries, 3);
+  assert.ok(riskText.includes("Budget &lt;constraints&gt; &amp; approvals"));
+
+  const teamText = readSheetText(entries, 7);
+  assert.ok(teamText.includes("Responsibilities"));
+  assert.ok(teamText.includes("Funding; Escalations"));
+});
+
+test("renderXlsxBuffer covers doc types without custom code", async () => {
+  const ddpEntries = readZipEntries(await renderXlsxBuffer("ddp", MINIMAL_VALID_DDP));
+  assert.deepEqual(listSheetNames(ddpEntries), [
+    "Summary",
+    "Scope",
+    "Phases",
+    "Requirements",
+    "Risks",
+  ]);
+  assert.ok(readSheetText(ddpEntries, 2).includes("Casey Lead"));
+
+  const sowEntries = readZipEntries(await renderXlsxBuffer("sow", MINIMAL_VALID_SOW));
+  const sowSheets = listSheetNames(sowEntries);
+  assert.equal(sowSheets[0], "Summary");
+  assert.ok(sowSheets.includes("Deliverables"));
+  assert.ok(sowSheets.includes("Payment Schedule"));
+});
+
@@ -0,0 +1,182 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import patchHandler from "../api/assistant/review/patch.js";
+import {
+  applyFeedbackPatch,
+  buildFeedbackPatch,
+  canUndoFeedbackPatch,
+  fallbackProposal,
+  rebaseFeedbackPatch,
+} from "../lib/doc/reviewPatch.js";
+import {
+  createReviewSession,
+  processReviewMessage,
+  __clearSessions,
+} from "../server/review/Orchestrator.js";
+import { applyPatch, resetSyncStore, syncStoreApi, undoPatch } from "../src/state/syncStore.ts";
+import { createMockResponse } from "./helpers/http.js";
+
+const charter = {
+  vision: "Improve onboarding.",
+  risks: ["Limited availability from sales engineering"],
+  success_metrics: [
+    { benefit: "Faster activation", metric: "Accounts onboarded in 30 days", system_of_measurement: ">= 75%" },
+  ],
+};
+
+function queueOpenAIValue(value) {
+  if (!process.__OPENAI_MOCK_RESPONSES) {
+    process.__OPENAI_MOCK_RESPONSES = [];
+  }
+  process.__OPENAI_MOCK_RESPONSES.push(() => ({
+    choices: [{ message: { content: JSON.stringify({ value }) } }],
+  }));
+}
+
+function feedbackItem(overrides = {}) {
+  return {
+    id: "fb_001",
+    field: "vision",
+    dimension: "specificity",
+    severity: "important",
+    issue: "Vision is vague",
+    recommendation: "State the outcome and audience",
+    status: "pending",
+    ...overrides,
+  };
+}
+
+test("text fields are rewritten and list fields get one new entry", () => {
+  const rewrite = buildFeedbackPatch(feedbackItem(), charter, "Every new customer is live within 30 days.");
+  assert.deepEqual(rewrite, {
+    feedbackId: "fb_001",
+    field: "vision",
+    operation: "replace",
+    before: "Improve onboarding.",
+    after: "Every new customer is live within 30 days.",
+  });
+
+  const risk = buildFeedbackPatch(feedbackItem({ field: "risks" }), charter, "Vendor sandbox delays");
+  assert.equal(risk.operation, "append");
+  assert.deepEqual(risk.after, [...charter.risks, "Vendor sandbox delays"]);
+
+  const metric = buildFeedbackPatch(
+    feedbackItem({ field: "success_metrics" }),
+    charter,
+    "Reduce support tickets"
+  );
+  assert.deepEqual(metric.after.at(-1), {
+    benefit: "Reduce support tickets",
+    metric: "",
+    system_of_measurement: "",
+  });
+
+  assert.equal(buildFeedbackPatch(feedbackItem({ field: null }), charter, "x"), null);
+  assert.equal(buildFeedbackPatch(feedbackItem({ field: "risks" }), charter, charter.risks[0]), null);
+  assert.equal(fallbackProposal(feedbackItem({ example: "  Cut setup to one day " })), "Cut setup to one day");
+  assert.equal(applyFeedbackPatch(charter, risk).risks.length, 2);
+});
+
+test("patches are re-based on the current draft and undone only while unchanged", () => {
+  const risk = buildFeedbackPatch(feedbackItem({ field: "risks" }), charter, "Vendor sandbox delays");
+  const rewrite = buildFeedbackPatch(feedbackItem(), charter, "Every new customer is live within 30 days.");
+  assert.equal(rebaseFeedbackPatch(rewrite, charter), rewrite);
+
+  // A risk added since the proposal is kept; the entry goes after it
+  const edited = { ...charter, vision: "Onboard faster.", risks: [...charter.risks, "Budget freeze"] };
+  const rebased = rebaseFeedbackPatch(risk, edited);
+  assert.deepEqual(rebased.before, edited.risks);
+  assert.deepEqual(rebased.after, [...edited.risks, "Vendor sandbox delays"]);
+  assert.equal(rebaseFeedbackPatch(risk, { ...charter, risks: rebased.after }), null);
+
+  // A rewrite of a field edited since the proposal is refused
+  assert.equal(rebaseFeedbackPatch(rewrite, edited), null);
+
+  assert.equal(canUndoFeedbackPatch(rebased, applyFeedbackPatch(edited, rebased)), true);
+  assert.equal(
+    canUndoFeedbackPatch(rebased, { ...edited, risks: [...rebased.after, "Another"] }),
+    false
+  );
+});
+
+test("undoPatch restores the fields a patch replaced", () => {
+  resetSyncStore();
+  applyPatch({ id: "base", version: 1, fields: { vision: "Old" }, appliedAt: 1 });
+  applyPatch(
+    { id: "review-1", version: 2, fields: { vision: "New" }, appliedAt: 2 },
+    { undo: { vision: "Old" } }
+  );
+  assert.equal(syncStoreApi.getState().draft.fields.vision, "New");
+  assert.equal(syncStoreApi.getState().undoStack.length, 1);
+
+  const revert = undoPatch("review-1");
+  assert.ok(revert);
+  const state = syncStoreApi.getState();
+  assert.equal(state.draft.fields.vision, "Old");
+  assert.equal(state.draft.version, 3);
+  assert.equal(state.undoStack.length, 0);
+  assert.equal(undoPatch("review-1"), null);
+});
+
+test("accepting session feedback proposes a patch and resolve applies it", async (t) => {
+  const originalApiKey = process.env.OPENAI_API_KEY;
+  process.env.OPENAI_API_KEY = "test-key";
+  t.after(() => {
+    __clearSessions();
+    if (originalApiKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = originalApiKey;
+    }
+  });
+  const session = createReviewSession(
+    "charter",
+    {
+      reviewId: "rev_1",
+      scores: { overall: 70, dimensions: {} },
+      strengths: [],
+      feedback: [feedbackItem(), feedbackItem({ id: "fb_002", field: "risks", example: "Vendor sandbox delays" })],
+      summary: "Needs detail.",
+    },
+    charter
+  );
+
+  queueOpenAIValue("Every new customer is live within 30 days.");
+  const accepted = await processReviewMessage(session.sessionId, "accept");
+  assert.equal(accepted.patch.after, "Every new customer is live within 30 days.");
+  assert.match(accepted.response, /Proposed change to Vision/);
+  assert.match(accepted.response, /resolve fb_001/);
+
+  const resolved = await processReviewMessage(session.sessionId, "resolve fb_001");
+  assert.match(resolved.response, /resolved/);
+  assert.equal(resolved.state.feedback[0].status, "resolved");
+  assert.equal(resolved.state.document.vision, "Every new customer is live within 30 days.");
+
+  // Without a usable rewrite the item's example is proposed instead
+  queueOpenAIValue(null);
+  const fallback = await processReviewMessage(session.sessionId, "accept");
+  assert.deepEqual(fallback.patch.after, [...charter.risks, "Vendor sandbox delays"]);
+});
+
+test("/api/assistant/review/patch is rate limited and validates the feedback item", async () => {
+  const res = createMockResponse();
+  await patchHandler(
+    { method: "POST", query: {}, body: { docType: "charter", document: charter } },
+    res
+  );
+  assert.equal(res.statusCode, 400);
+  assert.ok(res.headers["ratelimit-limit"]);
+
+  const ok = createMockResponse();
+  await patchHandler(
+    {
+      method: "POST",
+      query: {},
+      body: { docType: "charter", document: charter, feedback: feedbackItem({ field: null }) },
+    },
+    ok
+  );
+  assert.equal(ok.statusCode, 200);
+  assert.deepEqual(ok.body, { feedbackId: "fb_001", patch: null });
+});
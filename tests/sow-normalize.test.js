@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import normalizeSowPayload, {
+  createBlankSow,
+  normalizePricingModel,
+  toAmount,
+} from "../server/sow/utils/normalize.js";
+import getBlankDoc from "../src/utils/getBlankDoc.js";
+
+test("normalizeSowPayload coerces aliases and trims collections", () => {
+  const normalized = normalizeSowPayload({
+    engagementName: "  LIMS Connector Build  ",
+    vendor: " Northwind Consulting LLC ",
+    client: "Exact Sciences",
+    scopeIn: "Interface design\nConnector build\n\nConnector build",
+    exclusions: ["  Production support  "],
+    deliverables: [
+      { name: "  Interface spec  ", due_date: "2025-03-14" },
+      { name: "   " },
+      "Test report",
+    ],
+  });
+
+  assert.equal(normalized.project_name, "LIMS Connector Build");
+  assert.equal(normalized.vendor_name, "Northwind Consulting LLC");
+  assert.equal(normalized.client_name, "Exact Sciences");
+  assert.deepEqual(normalized.scope_in, ["Interface design", "Connector build"]);
+  assert.deepEqual(normalized.scope_out, ["Production support"]);
+  assert.deepEqual(normalized.deliverables, [
+    { name: "Interface spec", description: "", acceptance_criteria: "", due_date: "2025-03-14" },
+    { name: "Test report", description: "", acceptance_criteria: "", due_date: "" },
+  ]);
+});
+
+test("normalizeSowPayload parses amounts and omits unknown totals", () => {
+  const withTotals = normalizeSowPayload({
+    total_value: "$1,250,000.50",
+    payment_schedule: [
+      { milestone: "Kickoff", amount: "25,000" },
+      { milestone: "Go-live", amount: "TBD" },
+    ],
+  });
+  assert.equal(withTotals.total_value, 1250000.5);
+  assert.deepEqual(withTotals.payment_schedule, [
+    { milestone: "Kickoff", due_date: "", amount: 25000 },
+    { milestone: "Go-live", due_date: "" },
+  ]);
+
+  const withoutTotals = normalizeSowPayload({ total_value: "" });
+  assert.equal(Object.prototype.hasOwnProperty.call(withoutTotals, "total_value"), false);
+});
+
+test("normalizePricingModel maps common phrasings", () => {
+  assert.equal(normalizePricingModel("Fixed Price"), "fixed_price");
+  assert.equal(normalizePricingModel("T&M"), "time_and_materials");
+  assert.equal(normalizePricingModel("milestone-based"), "milestone_based");
+  assert.equal(normalizePricingModel(""), "");
+});
+
+test("toAmount detects the decimal separator and rejects negative amounts", () => {
+  assert.equal(toAmount("$250,000.00"), 250000);
+  assert.equal(toAmount("EUR 1.200"), 1200);
+  assert.equal(toAmount("1.234.567,89"), 1234567.89);
+  assert.equal(toAmount("1,234,567.89 USD"), 1234567.89);
+  assert.equal(toAmount("€ 12.500,5"), 12500.5);
+  assert.equal(toAmount("1 200 000"), 1200000);
+  assert.equal(toAmount("-500"), undefined);
+  assert.equal(toAmount("USD -1,200.00"), undefined);
+  assert.equal(toAmount(-5), undefined);
+  assert.equal(toAmount("TBD"), undefined);
+});
+
+test("getBlankDoc returns the sow blank from the registry", () => {
+  assert.deepEqual(getBlankDoc("sow"), createBlankSow());
+});
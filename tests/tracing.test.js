@@ -0,0 +1,252 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createLLMClient } from "../server/llm/index.js";
+import {
+  __setUsageStore,
+  flushUsageLedger,
+  readUsageEntries,
+  usageDay,
+  withUsageContext,
+} from "../server/llm/usage/index.js";
+import { MCPClientManager } from "../server/mcp/MCPClientManager.js";
+import {
+  createHttpSink,
+  createJsonLinesSink,
+  createLogSinksFromEnv,
+  createLogger,
+  createMemorySink,
+  setLogSinks,
+} from "../server/utils/logger.js";
+import { getTraceContext, parseTraceparent, withRequestTrace, withSpan } from "../server/utils/tracing.js";
+import { createMockResponse } from "./helpers/http.js";
+import { createMcpStubServer } from "./helpers/mcpStubServer.js";
+import { withRecordStores } from "./helpers/recordStores.js";
+
+function useMemorySink(t) {
+  const sink = createMemorySink();
+  const previous = setLogSinks([sink]);
+  t.after(() => setLogSinks(previous));
+  return sink;
+}
+
+async function useUsageStore(t) {
+  await withRecordStores(t, { usage: __setUsageStore }, { beforeCleanup: flushUsageLedger });
+}
+
+test("requests get a correlation ID shared by their logs, LLM spans, and usage entries", async (t) => {
+  const sink = useMemorySink(t);
+  await useUsageStore(t);
+  const { client } = createLLMClient("review", { provider: "mock", model: "gpt-4o-mini" });
+  const logger = createLogger("review-test");
+
+  const handler = withUsageContext(
+    async (req, res) => {
+      logger.warn("reviewing draft", { charterId: "apollo" });
+      await withSpan("review.knowledge", async () => {});
+      await client.chat.completions.create({ messages: [{ role: "user", content: "Review this." }] });
+      res.status(200).json({ ok: true });
+    },
+    { route: "/api/documents/review" }
+  );
+  const res = createMockResponse();
+  await handler({ method: "POST", headers: {}, body: {} }, res);
+  await flushUsageLedger();
+
+  const correlationId = res.headers["x-correlation-id"];
+  assert.match(correlationId, /^[0-9a-f-]{36}$/);
+
+  const server = sink.spans.find((span) => span.kind === "SERVER");
+  assert.equal(server.name, "POST /api/documents/review");
+  assert.equal(server.parentSpanId, null);
+  assert.equal(server.attributes["http.response.status_code"], 200);
+
+  const llm = sink.spans.find((span) => span.kind === "CLIENT");
+  assert.equal(llm.name, "chat gpt-4o-mini");
+  assert.equal(llm.parentSpanId, server.spanId);
+  assert.equal(llm.attributes["gen_ai.system"], "mock");
+  assert.equal(llm.attributes["llm.task"], "review");
+  assert.ok(llm.attributes["gen_ai.usage.output_tokens"] > 0);
+  assert.ok(BigInt(llm.endTimeUnixNano) >= BigInt(llm.startTimeUnixNano));
+
+  const knowledge = sink.spans.find((span) => span.name === "review.knowledge");
+  assert.equal(knowledge.parentSpanId, server.spanId);
+
+  for (const span of sink.spans) {
+    assert.equal(span.traceId, server.traceId);
+    assert.equal(span.correlationId, correlationId);
+  }
+
+  const log = sink.logs.find((entry) => entry.message === "[review-test] reviewing draft");
+  assert.equal(log.correlationId, correlationId);
+  assert.equal(log.spanId, server.spanId);
+
+  const access = sink.logs.find((entry) => entry.message.startsWith("[request]"));
+  assert.equal(access.message, "[request] POST /api/documents/review 200");
+
+  const [entry] = await readUsageEntries({ from: usageDay(), to: usageDay() });
+  assert.equal(entry.correlationId, correlationId);
+  assert.equal(entry.traceId, server.traceId);
+  assert.equal(llm.attributes["llm.usage_entry_id"], entry.id);
+  assert.equal(getTraceContext(), null);
+});
+
+test("incoming correlation IDs and traceparent headers are continued", async (t) => {
+  const sink = useMemorySink(t);
+  const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+  const handler = withRequestTrace(
+    async (req, res) => {
+      res.status(502).json({ error: "upstream" });
+    },
+    { route: "/api/documents/extract" }
+  );
+
+  const res = createMockResponse();
+  await handler(
+    {
+      method: "POST",
+      headers: {
+        "x-request-id": "client-req-42",
+        traceparent: `00-${traceId}-00f067aa0ba902b7-01`,
+      },
+    },
+    res
+  );
+
+  assert.equal(res.headers["x-correlation-id"], "client-req-42");
+  const [span] = sink.spans;
+  assert.equal(span.traceId, traceId);
+  assert.equal(span.parentSpanId, "00f067aa0ba902b7");
+  assert.deepEqual(span.status, { code: "ERROR", message: "HTTP 502" });
+
+  assert.equal(parseTraceparent(`00-${"0".repeat(32)}-00f067aa0ba902b7-01`), null);
+  assert.equal(parseTraceparent("not-a-traceparent"), null);
+
+  const spoofed = createMockResponse();
+  await handler({ method: "POST", headers: { "x-correlation-id": "bad id\nwith newline" } }, spoofed);
+  assert.notEqual(spoofed.headers["x-correlation-id"], "bad id\nwith newline");
+});
+
+test("MCP tool calls are spans that pass the trace to the server in _meta", async (t) => {
+  const sink = useMemorySink(t);
+  const stub = createMcpStubServer();
+  await stub.start();
+  t.after(() => stub.stop());
+  const manager = new MCPClientManager([
+    { name: "remote", enabled: true, transport: "streamable-http", url: `${stub.url}/mcp` },
+  ]);
+  t.after(() => manager.disconnectAll());
+  await manager.initialize();
+
+  const handler = withRequestTrace(
+    async (req, res) => {
+      await manager.callTool("remote", "echo", { message: "hi" });
+      await manager.callTool("remote", "missing", {});
+      res.status(200).json({ ok: true });
+    },
+    { route: "/api/chat" }
+  );
+  const res = createMockResponse();
+  await handler({ method: "POST", headers: { "x-correlation-id": "chat-7" } }, res);
+
+  const server = sink.spans.find((span) => span.kind === "SERVER");
+  const [echo, missing] = sink.spans.filter((span) => span.name.startsWith("tools/call"));
+  assert.equal(echo.name, "tools/call echo");
+  assert.equal(echo.parentSpanId, server.spanId);
+  assert.equal(echo.attributes["mcp.server.name"], "remote");
+  assert.equal(echo.attributes["mcp.transport"], "streamable-http");
+  assert.deepEqual(echo.status, { code: "UNSET" });
+  assert.equal(missing.status.code, "ERROR");
+
+  const [call] = stub.toolCalls;
+  assert.equal(call._meta.correlationId, "chat-7");
+  assert.equal(call._meta.traceparent, `00-${echo.traceId}-${echo.spanId}-01`);
+});
+
+test("file and HTTP collector sinks ship JSON lines and OTLP payloads", async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "log-sinks-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, "nested", "server.jsonl");
+
+  const posts = [];
+  const fetchImpl = async (url, init) => {
+    posts.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return { ok: true, status: 200 };
+  };
+  const file = createJsonLinesSink({ filePath });
+  const http = createHttpSink({
+    endpoint: "http://collector:4318/",
+    headers: { "x-api-key": "k" },
+    fetchImpl,
+    flushIntervalMs: 60_000,
+  });
+  const previous = setLogSinks([file, http]);
+  t.after(() => setLogSinks(previous));
+
+  await assert.rejects(
+    withRequestTrace(
+      async () => {
+        createLogger("sinks").error("render failed", { attempt: 2 });
+        throw new Error("boom");
+      },
+      { route: "/api/documents/render" }
+    )({ method: "POST", headers: {} }, createMockResponse())
+  );
+  await file.flush();
+  await http.flush();
+
+  const lines = (await fs.readFile(filePath, "utf8")).trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(
+    lines.map((line) => line.type),
+    ["log", "log", "span"]
+  );
+  assert.equal(lines[2].events[0].attributes["exception.message"], "boom");
+
+  assert.deepEqual(
+    posts.map((post) => post.url).sort(),
+    ["http://collector:4318/v1/logs", "http://collector:4318/v1/traces"]
+  );
+  assert.ok(posts.every((post) => post.headers["x-api-key"] === "k"));
+  const traces = posts.find((post) => post.url.endsWith("/v1/traces")).body;
+  const [otlpSpan] = traces.resourceSpans[0].scopeSpans[0].spans;
+  assert.equal(otlpSpan.kind, 2);
+  assert.equal(otlpSpan.status.code, 2);
+  assert.deepEqual(traces.resourceSpans[0].resource.attributes[0], {
+    key: "service.name",
+    value: { stringValue: "exact-va" },
+  });
+  const logs = posts.find((post) => post.url.endsWith("/v1/logs")).body;
+  const [record] = logs.resourceLogs[0].scopeLogs[0].logRecords;
+  assert.equal(record.severityText, "ERROR");
+  assert.equal(record.traceId, otlpSpan.traceId);
+  assert.ok(record.attributes.some(({ key, value }) => key === "attempt" && value.intValue === "2"));
+});
+
+test("LOG_SINKS selects sinks and skips ones that are not configured", () => {
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    const sinks = createLogSinksFromEnv({ LOG_SINKS: "console, jsonl,http,memory,carrier-pigeon" });
+    assert.deepEqual(
+      sinks.map((sink) => sink.name),
+      ["console", "jsonl", "memory"]
+    );
+    assert.equal(warnings.length, 2);
+    assert.deepEqual(
+      createLogSinksFromEnv({ LOG_SINKS: "http", OTEL_EXPORTER_OTLP_ENDPOINT: "http://otel:4318" }).map(
+        (sink) => sink.name
+      ),
+      ["http"]
+    );
+    assert.deepEqual(
+      createLogSinksFromEnv({}).map((sink) => sink.name),
+      ["console"]
+    );
+  } finally {
+    console.warn = originalWarn;
+  }
+});
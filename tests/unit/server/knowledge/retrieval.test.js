@@ -0,0 +1,164 @@
+/**
+ * Unit tests for server/knowledge/retrieval.js and rankKnowledge()
+ *
+ * Covers:
+ * - tokenizeTerms() normalization
+ * - TF-IDF scoring of knowledge entries
+ * - rankKnowledge() top-k selection with relevance scores
+ * - rankKnowledge() condition gating and triggered-first ordering
+ */
+
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+
+import { tokenizeTerms } from "../../../../lib/tokenize.js";
+import {
+  buildKnowledgeIndex,
+  scoreKnowledgeIndex,
+} from "../../../../server/knowledge/retrieval.js";
+import {
+  __clearKnowledgeCache,
+  formatKnowledgeForPrompt,
+  rankKnowledge,
+} from "../../../../server/knowledge/query.js";
+import { FileCharterRecordStore } from "../../../../server/charter/store/index.js";
+import {
+  __setKnowledgeRecordStore,
+  createKnowledgeEntry,
+} from "../../../../server/knowledge/store.js";
+
+test.beforeEach(() => {
+  __clearKnowledgeCache();
+});
+
+const ENTRIES = [
+  {
+    id: "vendor",
+    title: "Supplier Management",
+    content: "Qualify suppliers and track vendor delivery dates.",
+    tags: ["suppliers", "procurement"],
+  },
+  {
+    id: "testing",
+    title: "Testing Strategy",
+    content: "Plan unit, integration, and end-to-end tests with coverage targets.",
+    tags: ["quality"],
+  },
+  {
+    id: "budget",
+    title: "Budget Tracking",
+    content: "Compare actual spend to the approved budget every month.",
+    tags: ["finance"],
+  },
+];
+
+test("tokenizeTerms lowercases, drops stop words, and strips plurals", () => {
+  assert.deepEqual(tokenizeTerms("The Suppliers are testing deliveries"), [
+    "supplier",
+    "test",
+    "delivery",
+  ]);
+  assert.deepEqual(tokenizeTerms({ risks: ["Vendor risk"] }), ["vendor", "risk"]);
+  assert.deepEqual(tokenizeTerms(null), []);
+});
+
+test("scoreKnowledgeIndex ranks entries with shared vocabulary highest", () => {
+  const index = buildKnowledgeIndex(ENTRIES);
+  const scores = scoreKnowledgeIndex(index, "Our supplier may miss the delivery date");
+
+  const byId = Object.fromEntries(scores.map(({ entry, score }) => [entry.id, score]));
+  assert.ok(byId.vendor > 0.2, `expected vendor entry to match, got ${byId.vendor}`);
+  assert.equal(byId.budget, 0);
+  assert.ok(byId.vendor > byId.testing);
+});
+
+test("scoreKnowledgeIndex returns zero scores for empty queries", () => {
+  const index = buildKnowledgeIndex(ENTRIES);
+  assert.ok(scoreKnowledgeIndex(index, "").every(({ score }) => score === 0));
+  assert.deepEqual(scoreKnowledgeIndex(buildKnowledgeIndex([]), "supplier"), []);
+});
+
+test("rankKnowledge finds relevant entries without trigger matches", async () => {
+  const ranked = await rankKnowledge({
+    categories: ["ddp"],
+    document: {
+      project_name: "Pump redesign",
+      requirements: ["Unit test coverage above 80 percent before release"],
+    },
+    docType: "ddp",
+    topK: 3,
+  });
+
+  assert.equal(ranked.length, 3);
+  assert.equal(ranked[0].id, "ddp-testing-strategy");
+  for (let index = 1; index < ranked.length; index += 1) {
+    const [previous, current] = [ranked[index - 1], ranked[index]];
+    assert.ok(
+      previous.triggered > current.triggered ||
+        (previous.triggered === current.triggered && previous.relevance >= current.relevance)
+    );
+  }
+  for (const entry of ranked) {
+    assert.equal(typeof entry.relevance, "number");
+    assert.equal(typeof entry.triggered, "boolean");
+  }
+});
+
+test("formatKnowledgeForPrompt includes relevance scores when present", () => {
+  const result = formatKnowledgeForPrompt([
+    { id: "a", type: "best_practice", title: "Ranked", content: "Body.", relevance: 0.4271 },
+  ]);
+  assert.ok(result.includes("### Ranked (relevance 0.43)"));
+});
+
+test("rankKnowledge never bypasses failed conditions and ranks triggered entries first", async (t) => {
+  const baseDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "knowledge-rank-"));
+  __setKnowledgeRecordStore(new FileCharterRecordStore({ baseDirectory }));
+  __clearKnowledgeCache();
+  t.after(async () => {
+    __setKnowledgeRecordStore(null);
+    __clearKnowledgeCache();
+    await fs.rm(baseDirectory, { recursive: true, force: true });
+  });
+
+  const content = "Calibrate the flux capacitor and log every capacitor calibration run.";
+  await createKnowledgeEntry("ddp", {
+    id: "ddp-capacitor-gated",
+    type: "checklist",
+    title: "Flux Capacitor Calibration",
+    content,
+    triggers: { keywords: ["no-such-keyword"], conditions: [{ field: "risks", operator: "empty" }] },
+    priority: "high",
+  });
+  await createKnowledgeEntry("ddp", {
+    id: "ddp-capacitor-similar",
+    type: "checklist",
+    title: "Flux Capacitor Calibration",
+    content,
+    triggers: { keywords: ["no-such-keyword"] },
+    priority: "high",
+  });
+
+  const document = {
+    project_name: "Flux capacitor calibration",
+    requirements: ["Calibrate the flux capacitor"],
+    risks: ["Capacitor drift"],
+  };
+  const ranked = await rankKnowledge({ categories: ["ddp"], document, docType: "ddp", topK: 25 });
+  const ids = ranked.map((entry) => entry.id);
+
+  assert.ok(!ids.includes("ddp-capacitor-gated"), "failed conditions are not bypassed by similarity");
+  const similar = ranked.find((entry) => entry.id === "ddp-capacitor-similar");
+  assert.ok(similar, "keyword triggers can be bypassed by similarity");
+  assert.equal(similar.triggered, false);
+
+  const firstUntriggered = ranked.findIndex((entry) => !entry.triggered);
+  assert.ok(firstUntriggered > 0);
+  assert.ok(ranked.slice(firstUntriggered).every((entry) => !entry.triggered));
+
+  const [top] = await rankKnowledge({ categories: ["ddp"], document, docType: "ddp", topK: 1 });
+  assert.equal(top.triggered, true, "triggered entries survive the topK cut");
+});
@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createStorage, MemoryStorage } from "../src/state/persistence/storage.ts";
+import { VoiceCharterService } from "../src/voice/VoiceCharterService.ts";
+import {
+  VOICE_SESSION_MAX_AGE_MS,
+  VOICE_SESSION_STORAGE_KEY,
+  configureVoiceSessionStorage,
+  loadVoiceSession,
+  summarizeVoiceSession,
+} from "../src/voice/voiceSessionPersistence.ts";
+
+const schema = {
+  document_type: "charter",
+  version: "2024.1",
+  fields: [
+    { id: "project_name", label: "Project Name", type: "string", required: true },
+    { id: "sponsor", label: "Sponsor", type: "string", required: true },
+    { id: "vision", label: "Vision", type: "textarea", required: false },
+  ],
+};
+
+function createChannel() {
+  return {
+    readyState: "open",
+    sent: [],
+    send(payload) {
+      this.sent.push(payload);
+    },
+  };
+}
+
+function lastPrompt(channel) {
+  const items = channel.sent
+    .map((payload) => JSON.parse(payload))
+    .filter((event) => event.type === "conversation.item.create");
+  return JSON.stringify(items.at(-1));
+}
+
+function useStorage(t) {
+  const storage = createStorage({ backend: new MemoryStorage(), prefix: "test_" });
+  configureVoiceSessionStorage(storage);
+  const originalLog = console.log;
+  console.log = () => {};
+  t.after(() => {
+    console.log = originalLog;
+  });
+  return storage;
+}
+
+function interviewUpToSponsor(channel) {
+  const service = new VoiceCharterService();
+  assert.equal(service.initialize(schema, channel), true);
+  assert.equal(service.start(), true);
+  service.captureValue("project_name", "Apollo");
+  service.goToNextField();
+  return service;
+}
+
+test("a suspended session survives a reload and resumes at its last field with a recap", (t) => {
+  const storage = useStorage(t);
+  const service = interviewUpToSponsor(createChannel());
+  assert.equal(service.getState().currentFieldId, "sponsor");
+
+  service.suspend();
+  assert.equal(service.getState().step, "idle");
+  assert.ok(storage.get(VOICE_SESSION_STORAGE_KEY));
+
+  // A page reload rehydrates the snapshot into a fresh service
+  configureVoiceSessionStorage(storage);
+  const reloaded = new VoiceCharterService();
+  const session = reloaded.getResumableSession(schema);
+  assert.equal(session.currentFieldId, "sponsor");
+  assert.deepEqual(summarizeVoiceSession(session, schema), {
+    capturedCount: 1,
+    totalFields: 3,
+    currentFieldLabel: "Sponsor",
+    updatedAt: session.updatedAt,
+  });
+
+  const channel = createChannel();
+  assert.equal(reloaded.resume(schema, channel, session), true);
+  assert.equal(reloaded.start(), true);
+
+  const state = reloaded.getState();
+  assert.equal(state.step, "asking");
+  assert.equal(state.currentFieldId, "sponsor");
+  assert.equal(state.capturedValues.get("project_name").value, "Apollo");
+  assert.deepEqual(reloaded.getCapturedValuesObject(), { project_name: "Apollo" });
+
+  const prompt = lastPrompt(channel);
+  assert.match(prompt, /\[SESSION RESUMED\]/);
+  assert.match(prompt, /summarise what has already been captured/);
+  assert.match(prompt, /Project Name: Apollo/);
+  assert.match(prompt, /Progress: 1 of 3 fields/);
+  assert.match(prompt, /Current field to ask about: Sponsor/);
+  assert.match(prompt, /Who is the project sponsor\?/);
+});
+
+test("reset and completion discard the stored session", (t) => {
+  useStorage(t);
+  const service = interviewUpToSponsor(createChannel());
+  assert.ok(service.getResumableSession(schema));
+
+  service.reset();
+  assert.equal(service.getResumableSession(schema), null);
+
+  const finished = interviewUpToSponsor(createChannel());
+  finished.complete();
+  assert.equal(finished.getResumableSession(schema), null);
+});
+
+test("sessions from another form version or older than a day are not offered", (t) => {
+  useStorage(t);
+  const service = interviewUpToSponsor(createChannel());
+  service.suspend();
+
+  const session = loadVoiceSession(schema);
+  assert.ok(session);
+  assert.equal(loadVoiceSession({ ...schema, version: "2025.1" }), null);
+  assert.equal(loadVoiceSession(schema, session.updatedAt + VOICE_SESSION_MAX_AGE_MS + 1), null);
+});
@@ -1,8 +1,28 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Lists the build output in precache-manifest.json so the service worker
+// (public/sw.js) can cache every bundle on install, before the first
+// offline reload needs them.
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const urls = Object.keys(bundle)
+        .filter((fileName) => !fileName.endsWith('.map'))
+        .map((fileName) => `/${fileName}`)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify(urls),
+      })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   build: {
     outDir: 'dist/client',
     sourcemap: true,